@@ -11,9 +11,11 @@ import MusicManager from './src/music/MusicManager.js';
 import { startMetricsServer } from './src/api/metrics-server.js';
 import { getDatabaseManager } from './src/database/DatabaseManager.js';
 import { getHistoryBatcher } from './src/database/HistoryBatcher.js';
+import ResumeSession from './src/database/models/ResumeSession.js';
+import AuditLog from './src/database/models/AuditLog.js';
 import { getCacheManager } from './src/services/cache/CacheManager.js';
 import { getEventQueue } from './src/utils/EventQueue.js';
-import { TIME, DATABASE } from './src/utils/constants.js';
+import { TIME, DATABASE, AUTO_RESUME } from './src/utils/constants.js';
 import { createHealthCheckManager } from './src/utils/health-check.js';
 import { validateEnvironmentOrExit, getEnvironmentInfo } from './src/utils/validate-env.js';
 import { memoryMonitor, idleCleanup } from './src/utils/memory-optimization.js';
@@ -281,6 +283,8 @@ async function initializeDatabase() {
         client.dbCleanupInterval = setInterval(() => {
             db.cleanupCache();
             db.cleanupHistory();
+            ResumeSession.cleanup(AUTO_RESUME.SESSION_MAX_AGE_MS);
+            AuditLog.cleanup();
         }, TIME.DAY);
         client.dbCleanupInterval.unref();
 
@@ -492,6 +496,22 @@ async function gracefulShutdown(signal) {
             logger.debug('Auto-play handler shutdown failed (non-critical)', { error: e?.message });
         }
 
+        // Shutdown auto-resume handler (clear prompt timers)
+        try {
+            const { shutdownAutoResumeHandler } = await import('./src/events/autoResumeHandler.js');
+            shutdownAutoResumeHandler();
+        } catch (e) {
+            logger.debug('Auto-resume handler shutdown failed (non-critical)', { error: e?.message });
+        }
+
+        // Cancel pending song request channel player refreshes
+        try {
+            const { shutdownRequestChannelHandler } = await import('./src/events/requestChannelHandler.js');
+            shutdownRequestChannelHandler();
+        } catch (e) {
+            logger.debug('Request channel handler shutdown failed (non-critical)', { error: e?.message });
+        }
+
         // CRITICAL FIX: Clear metrics logging interval
         if (client.metricsInterval) {
             clearInterval(client.metricsInterval);
@@ -663,6 +683,13 @@ async function start() {
                     return;
                 }
 
+                // Resume queues that were playing before the last shutdown/crash
+                try {
+                    await client.musicManager.restoreQueues();
+                } catch (error) {
+                    logger.warn('Queue restore failed', { error: error.message });
+                }
+
                 const result = await client.musicManager.warmCache(50);
                 logger.info('Cache warming completed', result);
             } catch (error) {
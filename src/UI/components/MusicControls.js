@@ -1,13 +1,16 @@
 /**
  * @file MusicControls.js
  * @description Discord button and select menu components for music player controls
- * @version 1.9.0 - Standardized with button-ids.js constants
+ * @version 1.12.0 - Localized labels (player controls follow the queue's guild locale)
  */
 
 import { ActionRowBuilder, ButtonBuilder, ButtonStyle, StringSelectMenuBuilder } from 'discord.js';
 import { shortenButtonLabel } from '../../utils/mobile-optimization.js';
-import { MUSIC, SEEK, QUEUE, SEARCH, HISTORY } from '../../utils/button-ids.js';
+import { MUSIC, SEEK, QUEUE, SEARCH, HISTORY, UNDO_BUTTONS, EQ_EDITOR } from '../../utils/button-ids.js';
+import { EQ_BAND_FREQUENCIES, EQ_GAIN_LIMITS } from '../../music/FilterManager.js';
+import { FILTER_CHAINS } from '../../utils/constants.js';
 import { ICONS } from '../../config/design-system.js';
+import { t, DEFAULT_LOCALE } from '../../utils/i18n.js';
 
 /**
  * Create music control buttons (2 rows: main controls + additional controls)
@@ -16,6 +19,8 @@ import { ICONS } from '../../config/design-system.js';
  * @returns {ActionRowBuilder[]} Array of action rows with buttons
  */
 export function createMusicButtons(queue, disabled = false) {
+    const locale = queue?.locale || DEFAULT_LOCALE;
+
     // Check if previous is available (has history)
     const hasPrevious = queue && queue.history && queue.history.length > 0;
 
@@ -57,14 +62,14 @@ export function createMusicButtons(queue, disabled = false) {
         new ButtonBuilder()
             .setCustomId(MUSIC.LOOP)
             .setEmoji(getLoopEmoji(queue?.loop || 'off'))
-            .setLabel(shortenButtonLabel(getLoopLabelVi(queue?.loop || 'off'), 12))
+            .setLabel(shortenButtonLabel(getLoopLabel(queue?.loop || 'off', locale), 12))
             .setStyle(ButtonStyle.Secondary)
             .setDisabled(disabled || !queue),
 
         new ButtonBuilder()
             .setCustomId(MUSIC.SHUFFLE)
             .setEmoji('🔀')
-            .setLabel(shortenButtonLabel('Xáo trộn', 12))
+            .setLabel(shortenButtonLabel(t('button.shuffle', locale), 12))
             .setStyle(ButtonStyle.Secondary)
             .setDisabled(disabled || !queue || queue?.tracks?.length < 2),
 
@@ -83,7 +88,7 @@ export function createMusicButtons(queue, disabled = false) {
         new ButtonBuilder()
             .setCustomId(MUSIC.LYRICS)
             .setEmoji('📝')
-            .setLabel(shortenButtonLabel('Lời nhạc', 12))
+            .setLabel(shortenButtonLabel(t('button.lyrics', locale), 12))
             .setStyle(ButtonStyle.Secondary)
             .setDisabled(disabled || !queue?.current)
     );
@@ -102,41 +107,42 @@ export function createNowPlayingButtons(queue, disabled = false) {
     // Row 1: Main playback controls
     const isPaused = queue?.paused;
     const loopMode = queue?.loop || 'off';
+    const locale = queue?.locale || DEFAULT_LOCALE;
     const hasPrevious = queue && queue.history && queue.history.length > 0;
 
     const row1 = new ActionRowBuilder().addComponents(
         new ButtonBuilder()
             .setCustomId(MUSIC.PREVIOUS)
             .setEmoji('⏮️')
-            .setLabel(shortenButtonLabel('Trước', 10))
+            .setLabel(shortenButtonLabel(t('button.previous', locale), 10))
             .setStyle(ButtonStyle.Secondary)
             .setDisabled(disabled || !hasPrevious),
 
         new ButtonBuilder()
             .setCustomId(isPaused ? MUSIC.RESUME : MUSIC.PAUSE)
             .setEmoji(isPaused ? '▶️' : '⏸️')
-            .setLabel(shortenButtonLabel(isPaused ? 'Tiếp tục' : 'Tạm dừng', 12))
+            .setLabel(shortenButtonLabel(t(isPaused ? 'button.resume' : 'button.pause', locale), 12))
             .setStyle(isPaused ? ButtonStyle.Success : ButtonStyle.Primary)
             .setDisabled(disabled || !queue?.current),
 
         new ButtonBuilder()
             .setCustomId(MUSIC.SKIP)
             .setEmoji('⏭️')
-            .setLabel(shortenButtonLabel('Bỏ qua', 10))
+            .setLabel(shortenButtonLabel(t('button.skip', locale), 10))
             .setStyle(ButtonStyle.Primary)
             .setDisabled(disabled || !queue?.current),
 
         new ButtonBuilder()
             .setCustomId(MUSIC.STOP)
             .setEmoji('⏹️')
-            .setLabel(shortenButtonLabel('Dừng', 10))
+            .setLabel(shortenButtonLabel(t('button.stop', locale), 10))
             .setStyle(ButtonStyle.Danger)
             .setDisabled(disabled || !queue?.current),
 
         new ButtonBuilder()
             .setCustomId(MUSIC.LOOP)
             .setEmoji(getLoopEmoji(loopMode))
-            .setLabel(shortenButtonLabel(getLoopLabelVi(loopMode), 12))
+            .setLabel(shortenButtonLabel(getLoopLabel(loopMode, locale), 12))
             .setStyle(loopMode !== 'off' ? ButtonStyle.Success : ButtonStyle.Secondary)
             .setDisabled(disabled || !queue)
     );
@@ -147,7 +153,7 @@ export function createNowPlayingButtons(queue, disabled = false) {
         new ButtonBuilder()
             .setCustomId(MUSIC.SHUFFLE)
             .setEmoji('🔀')
-            .setLabel(shortenButtonLabel('Xáo trộn', 10))
+            .setLabel(shortenButtonLabel(t('button.shuffle', locale), 10))
             .setStyle(ButtonStyle.Secondary)
             .setDisabled(disabled || !queue || queue?.tracks?.length < 2),
 
@@ -161,7 +167,7 @@ export function createNowPlayingButtons(queue, disabled = false) {
         new ButtonBuilder()
             .setCustomId(MUSIC.SETTINGS)
             .setEmoji('⚙️')
-            .setLabel(shortenButtonLabel('Cài đặt', 8))
+            .setLabel(shortenButtonLabel(t('button.settings', locale), 8))
             .setStyle(ButtonStyle.Secondary)
             .setDisabled(disabled || !queue),
 
@@ -175,7 +181,7 @@ export function createNowPlayingButtons(queue, disabled = false) {
         new ButtonBuilder()
             .setCustomId(MUSIC.LYRICS)
             .setEmoji('📝')
-            .setLabel(shortenButtonLabel('Lời nhạc', 8))
+            .setLabel(shortenButtonLabel(t('button.lyrics', locale), 8))
             .setStyle(ButtonStyle.Secondary)
             .setDisabled(disabled || !queue?.current)
     );
@@ -185,35 +191,35 @@ export function createNowPlayingButtons(queue, disabled = false) {
         new ButtonBuilder()
             .setCustomId(MUSIC.VOLUME_DOWN)
             .setEmoji('🔉')
-            .setLabel(shortenButtonLabel('Giảm 10%', 10))
+            .setLabel(shortenButtonLabel(t('button.volume_down', locale), 10))
             .setStyle(ButtonStyle.Secondary)
             .setDisabled(disabled || !queue || queue?.volume <= 0),
 
         new ButtonBuilder()
             .setCustomId(MUSIC.VOLUME_UP)
             .setEmoji('🔊')
-            .setLabel(shortenButtonLabel('Tăng 10%', 10))
+            .setLabel(shortenButtonLabel(t('button.volume_up', locale), 10))
             .setStyle(ButtonStyle.Secondary)
             .setDisabled(disabled || !queue || queue?.volume >= 100),
 
         new ButtonBuilder()
             .setCustomId(MUSIC.LIKE)
             .setEmoji('❤️')
-            .setLabel(shortenButtonLabel('Yêu thích', 10))
+            .setLabel(shortenButtonLabel(t('button.like', locale), 10))
             .setStyle(ButtonStyle.Secondary)
             .setDisabled(disabled || !queue?.current),
 
         new ButtonBuilder()
             .setCustomId(MUSIC.QUEUE)
             .setEmoji('📋')
-            .setLabel(shortenButtonLabel('Hàng đợi', 10))
+            .setLabel(shortenButtonLabel(t('button.queue', locale), 10))
             .setStyle(ButtonStyle.Secondary)
             .setDisabled(disabled || !queue),
 
         new ButtonBuilder()
             .setCustomId(MUSIC.ADD_TO_PLAYLIST)
             .setEmoji('➕')
-            .setLabel(shortenButtonLabel('Playlist', 10))
+            .setLabel(shortenButtonLabel(t('button.playlist', locale), 10))
             .setStyle(ButtonStyle.Success)
             .setDisabled(disabled || !queue?.current)
     );
@@ -229,6 +235,8 @@ export function createNowPlayingButtons(queue, disabled = false) {
  * @returns {ActionRowBuilder[]} Array of action rows with buttons
  */
 export function createQueueButtons(page, totalPages, queue = null) {
+    const locale = queue?.locale || DEFAULT_LOCALE;
+
     const row1 = new ActionRowBuilder().addComponents(
         new ButtonBuilder()
             .setCustomId(`${QUEUE.FIRST_PAGE}_${page}`)
@@ -267,13 +275,13 @@ export function createQueueButtons(page, totalPages, queue = null) {
         new ButtonBuilder()
             .setCustomId(QUEUE.ADD_ALL_TO_PLAYLIST)
             .setEmoji('➕')
-            .setLabel(shortenButtonLabel('Thêm tất cả vào Playlist', 40))
+            .setLabel(shortenButtonLabel(t('button.add_all_to_playlist', locale), 40))
             .setStyle(ButtonStyle.Success)
             .setDisabled(!queue || (!queue.current && (!queue.tracks || queue.tracks.length === 0))),
         new ButtonBuilder()
             .setCustomId(QUEUE.REMOVE_TRACK)
             .setEmoji('🗑️')
-            .setLabel(shortenButtonLabel('Xóa bài nhạc', 40))
+            .setLabel(shortenButtonLabel(t('button.remove_track', locale), 40))
             .setStyle(ButtonStyle.Danger)
             .setDisabled(!queue || (!queue.current && (!queue.tracks || queue.tracks.length === 0)))
     );
@@ -298,57 +306,153 @@ function getLoopEmoji(mode) {
 }
 
 /**
- * Get loop label in Vietnamese based on mode
+ * Get localized loop label based on mode
  * @param {string} mode - Loop mode (off, track, queue)
- * @returns {string} Vietnamese Label
+ * @param {string} locale - Locale code
+ * @returns {string} Label
  */
-function getLoopLabelVi(mode) {
-    switch (mode) {
-        case 'track':
-            return 'Bài hát';
-        case 'queue':
-            return 'Tất cả';
-        default:
-            return 'Tắt';
-    }
+function getLoopLabel(mode, locale) {
+    return t(mode === 'track' || mode === 'queue' ? `loop.${mode}` : 'loop.off', locale);
+}
+
+/**
+ * Format how long ago a history entry was played
+ * @param {number|null} playedAt - Timestamp in ms
+ * @param {string} locale - Locale code
+ * @returns {string}
+ */
+export function formatTimeAgo(playedAt, locale = DEFAULT_LOCALE) {
+    const minutesAgo = Math.floor((playedAt ? Date.now() - playedAt : 0) / 60000);
+    if (minutesAgo < 1) return t('time.just_now', locale);
+    if (minutesAgo < 60) return t('time.minutes_ago', locale, { count: minutesAgo });
+    if (minutesAgo < 1440) return t('time.hours_ago', locale, { count: Math.floor(minutesAgo / 60) });
+    return t('time.days_ago', locale, { count: Math.floor(minutesAgo / 1440) });
 }
 
 /**
  * Create confirmation buttons for search result (Play, Details, Cancel)
  * @param {Object} track - The track to confirm
+ * @param {string} [locale] - Locale code
  * @returns {ActionRowBuilder[]} Array of action rows with buttons
  */
-export function createSearchConfirmButtons(track) {
+export function createSearchConfirmButtons(track, locale = DEFAULT_LOCALE) {
     const row = new ActionRowBuilder().addComponents(
         new ButtonBuilder()
             .setCustomId(SEARCH.CONFIRM_PLAY)
             .setEmoji('✅')
-            .setLabel('Phát ngay')
+            .setLabel(t('button.play_now', locale))
             .setStyle(ButtonStyle.Success),
 
         new ButtonBuilder()
             .setCustomId(SEARCH.SHOW_DETAILED)
             .setEmoji('ℹ️')
-            .setLabel('Tìm kiếm thêm')
+            .setLabel(t('button.search_more', locale))
             .setStyle(ButtonStyle.Primary),
 
-        new ButtonBuilder().setCustomId(SEARCH.CANCEL).setEmoji('❌').setLabel('Hủy').setStyle(ButtonStyle.Danger)
+        new ButtonBuilder()
+            .setCustomId(SEARCH.CANCEL)
+            .setEmoji('❌')
+            .setLabel(t('button.cancel', locale))
+            .setStyle(ButtonStyle.Danger)
     );
 
     return [row];
 }
 
+/**
+ * Create the Undo button shown under a queue change confirmation
+ * @param {Object|null} entry - Undo journal entry for the change (EnhancedQueue.peekUndo)
+ * @param {string} [locale] - Locale code
+ * @returns {ActionRowBuilder[]} One row, or none when there is nothing to undo
+ */
+export function createUndoButtons(entry, locale = DEFAULT_LOCALE) {
+    if (!entry) return [];
+
+    const row = new ActionRowBuilder().addComponents(
+        new ButtonBuilder()
+            .setCustomId(`${UNDO_BUTTONS.UNDO_PREFIX}${entry.id}`)
+            .setEmoji('↩️')
+            .setLabel(t('button.undo', locale))
+            .setStyle(ButtonStyle.Secondary)
+    );
+
+    return [row];
+}
+
+/**
+ * Format an equalizer gain with its sign, e.g. +0.15
+ * @param {number} gain
+ * @returns {string}
+ */
+export function formatEqGain(gain) {
+    return `${gain > 0 ? '+' : ''}${gain.toFixed(2)}`;
+}
+
+/**
+ * Create the /filter eq editor: band picker, gain steps for the picked band, reset buttons
+ * @param {number[]} gains - Gain of each band (queue.getEqualizerGains())
+ * @param {number} band - Band being edited
+ * @param {string} [locale] - Locale code
+ * @returns {ActionRowBuilder[]} Array of action rows
+ */
+export function createEqualizerEditor(gains, band, locale = DEFAULT_LOCALE) {
+    const [minGain, maxGain] = EQ_GAIN_LIMITS;
+    const gain = gains[band];
+
+    const bandSelect = new StringSelectMenuBuilder()
+        .setCustomId(EQ_EDITOR.BAND_SELECT)
+        .setPlaceholder(t('eq.band_placeholder', locale))
+        .addOptions(
+            EQ_BAND_FREQUENCIES.map((frequency, index) => ({
+                label: frequency,
+                value: String(index),
+                description: t('eq.band_gain', locale, { gain: formatEqGain(gains[index]) }),
+                default: index === band
+            }))
+        );
+
+    const stepButtons = [-5, -1, 1, 5].map(steps =>
+        new ButtonBuilder()
+            .setCustomId(`${EQ_EDITOR.ADJUST_PREFIX}${band}_${steps}`)
+            .setLabel(formatEqGain(steps * FILTER_CHAINS.EQ_STEP))
+            .setStyle(steps > 0 ? ButtonStyle.Success : ButtonStyle.Danger)
+            .setDisabled(steps > 0 ? gain >= maxGain : gain <= minGain)
+    );
+
+    const resetRow = new ActionRowBuilder().addComponents(
+        new ButtonBuilder()
+            .setCustomId(`${EQ_EDITOR.RESET_BAND_PREFIX}${band}`)
+            .setEmoji('↺')
+            .setLabel(t('eq.reset_band', locale))
+            .setStyle(ButtonStyle.Secondary)
+            .setDisabled(gain === 0),
+        new ButtonBuilder()
+            .setCustomId(EQ_EDITOR.FLAT)
+            .setEmoji('📏')
+            .setLabel(t('eq.flat', locale))
+            .setStyle(ButtonStyle.Secondary)
+            .setDisabled(gains.every(value => value === 0))
+    );
+
+    return [
+        new ActionRowBuilder().addComponents(bandSelect),
+        new ActionRowBuilder().addComponents(stepButtons),
+        resetRow
+    ];
+}
+
 /**
  * Create search result buttons for up to 5 tracks
  * Each button id encodes the index to pick: search_pick_{index}
  * @param {Array} tracks - Array of track objects
+ * @param {string} [locale] - Locale code
  * @returns {ActionRowBuilder[]} Array of action rows with select menu and cancel button
  */
-export function createSearchResultButtons(tracks) {
+export function createSearchResultButtons(tracks, locale = DEFAULT_LOCALE) {
     // Create dropdown menu for song selection
     const selectMenu = new StringSelectMenuBuilder()
         .setCustomId(SEARCH.SELECT)
-        .setPlaceholder('🎵 Chọn bài hát bạn muốn phát')
+        .setPlaceholder(t('menu.search_placeholder', locale))
         .setMinValues(1)
         .setMaxValues(1);
 
@@ -360,7 +464,7 @@ export function createSearchResultButtons(tracks) {
         const author = truncateTitle(track.info?.author || 'Unknown', 50);
         const duration = track.info?.length
             ? `${Math.floor(track.info.length / 1000 / 60)}:${String(Math.floor((track.info.length / 1000) % 60)).padStart(2, '0')}`
-            : 'Trực tiếp';
+            : t('track.live', locale);
 
         selectMenu.addOptions({
             label: title,
@@ -377,7 +481,7 @@ export function createSearchResultButtons(tracks) {
         new ButtonBuilder()
             .setCustomId(SEARCH.CANCEL)
             .setEmoji('❌')
-            .setLabel(shortenButtonLabel('Hủy', 8))
+            .setLabel(shortenButtonLabel(t('button.cancel', locale), 8))
             .setStyle(ButtonStyle.Danger)
     );
 
@@ -398,10 +502,11 @@ function truncateTitle(str, max = 70) {
 /**
  * Create history replay dropdown for selecting tracks from history
  * @param {Array} history - Array of history entries { track, playedAt }
+ * @param {string} [locale] - Locale code
  * @returns {ActionRowBuilder[]} Array of action rows with dropdown and cancel button
  * @throws {Error} If history is empty or has no valid entries
  */
-export function createHistoryReplayButtons(history) {
+export function createHistoryReplayButtons(history, locale = DEFAULT_LOCALE) {
     // Validate history parameter
     if (!Array.isArray(history) || history.length === 0) {
         throw new Error('History must be a non-empty array');
@@ -410,7 +515,7 @@ export function createHistoryReplayButtons(history) {
     // Create dropdown menu for history selection
     const selectMenu = new StringSelectMenuBuilder()
         .setCustomId(HISTORY.REPLAY_SELECT)
-        .setPlaceholder('🔄 Chọn bài hát từ lịch sử để phát lại')
+        .setPlaceholder(t('menu.history_placeholder', locale))
         .setMinValues(1)
         .setMaxValues(1);
 
@@ -432,19 +537,9 @@ export function createHistoryReplayButtons(history) {
         const duration =
             track.info.length && !track.info.isStream
                 ? `${Math.floor(track.info.length / 1000 / 60)}:${String(Math.floor((track.info.length / 1000) % 60)).padStart(2, '0')}`
-                : 'Trực tiếp';
-
-        // Format played time with validation
-        const timeSince = entry.playedAt ? Date.now() - entry.playedAt : 0;
-        const minutesAgo = Math.floor(timeSince / 60000);
-        const timeText =
-            minutesAgo < 1
-                ? 'Vừa xong'
-                : minutesAgo < 60
-                  ? `${minutesAgo} phút trước`
-                  : minutesAgo < 1440
-                    ? `${Math.floor(minutesAgo / 60)} giờ trước`
-                    : `${Math.floor(minutesAgo / 1440)} ngày trước`;
+                : t('track.live', locale);
+
+        const timeText = formatTimeAgo(entry.playedAt, locale);
 
         selectMenu.addOptions({
             label: title,
@@ -467,7 +562,7 @@ export function createHistoryReplayButtons(history) {
         new ButtonBuilder()
             .setCustomId(HISTORY.REPLAY_CANCEL)
             .setEmoji('❌')
-            .setLabel(shortenButtonLabel('Hủy', 8))
+            .setLabel(shortenButtonLabel(t('button.cancel', locale), 8))
             .setStyle(ButtonStyle.Danger)
     );
 
@@ -477,22 +572,28 @@ export function createHistoryReplayButtons(history) {
 /**
  * Create filter select menu
  * @param {Array<string>} activeFilters - Currently active filters
+ * @param {string} [locale] - Locale code
  * @returns {ActionRowBuilder[]} Array of action rows
  */
-export function createFilterSelectMenu(activeFilters = []) {
+export function createFilterSelectMenu(activeFilters = [], locale = DEFAULT_LOCALE) {
     const selectMenu = new StringSelectMenuBuilder()
         .setCustomId(MUSIC.FILTER_SELECT)
-        .setPlaceholder('🎚️ Chọn hiệu ứng âm thanh')
+        .setPlaceholder(t('menu.filter_placeholder', locale))
         .setMinValues(1)
         .setMaxValues(1);
 
     const options = [
-        { label: 'Tắt tất cả', value: 'clear', description: 'Xóa mọi hiệu ứng', emoji: '🚫' },
-        { label: 'Bass Boost', value: 'bass', description: 'Tăng cường âm trầm', emoji: '🎸' },
-        { label: 'Nightcore', value: 'nightcore', description: 'Tăng tốc độ & pitch', emoji: '🌙' },
-        { label: 'Vaporwave', value: 'vaporwave', description: 'Giảm tốc độ & pitch', emoji: '🌊' },
-        { label: 'Karaoke', value: 'karaoke', description: 'Loại bỏ giọng hát', emoji: '🎤' },
-        { label: '8D Audio', value: '8d', description: 'Âm thanh xoay vòng', emoji: '🎧' },
+        {
+            label: t('menu.filter_clear', locale),
+            value: 'clear',
+            description: t('menu.filter_clear_desc', locale),
+            emoji: '🚫'
+        },
+        { label: 'Bass Boost', value: 'bass', description: t('menu.filter_bass_desc', locale), emoji: '🎸' },
+        { label: 'Nightcore', value: 'nightcore', description: t('menu.filter_nightcore_desc', locale), emoji: '🌙' },
+        { label: 'Vaporwave', value: 'vaporwave', description: t('menu.filter_vaporwave_desc', locale), emoji: '🌊' },
+        { label: 'Karaoke', value: 'karaoke', description: t('menu.filter_karaoke_desc', locale), emoji: '🎤' },
+        { label: '8D Audio', value: '8d', description: t('menu.filter_8d_desc', locale), emoji: '🎧' },
         { label: 'Pop', value: 'pop', description: 'Equalizer Pop', emoji: '🎵' },
         { label: 'Rock', value: 'rock', description: 'Equalizer Rock', emoji: '🤘' },
         { label: 'Jazz', value: 'jazz', description: 'Equalizer Jazz', emoji: '🎷' }
@@ -501,7 +602,7 @@ export function createFilterSelectMenu(activeFilters = []) {
     const activeSet = new Set(activeFilters.map(f => f.toLowerCase()));
     const finalOptions = options.map(opt => ({
         ...opt,
-        label: activeSet.has(opt.value) ? `${opt.label} (Đang bật)` : opt.label,
+        label: activeSet.has(opt.value) ? t('menu.filter_active', locale, { label: opt.label }) : opt.label,
         default: activeSet.has(opt.value)
     }));
 
@@ -514,21 +615,22 @@ export function createFilterSelectMenu(activeFilters = []) {
 /**
  * Create volume select menu
  * @param {number} currentVol - Current volume
+ * @param {string} [locale] - Locale code
  * @returns {ActionRowBuilder[]} Array of action rows
  */
-export function createVolumeSelectMenu(currentVol) {
+export function createVolumeSelectMenu(currentVol, locale = DEFAULT_LOCALE) {
     const selectMenu = new StringSelectMenuBuilder()
         .setCustomId(MUSIC.VOLUME_SELECT)
-        .setPlaceholder(`🔊 Âm lượng hiện tại: ${currentVol}%`)
+        .setPlaceholder(t('menu.volume_placeholder', locale, { volume: currentVol }))
         .setMinValues(1)
         .setMaxValues(1);
 
     const options = [
-        { label: 'Tắt tiếng (0%)', value: '0', emoji: '🔇' },
-        { label: 'Nhỏ (25%)', value: '25', emoji: '🔈' },
-        { label: 'Vừa (50%)', value: '50', emoji: '🔉' },
-        { label: 'Cao (75%)', value: '75', emoji: '🔊' },
-        { label: 'Tối đa (100%)', value: '100', emoji: '🔊' }
+        { label: t('menu.volume_mute', locale), value: '0', emoji: '🔇' },
+        { label: t('menu.volume_low', locale), value: '25', emoji: '🔈' },
+        { label: t('menu.volume_medium', locale), value: '50', emoji: '🔉' },
+        { label: t('menu.volume_high', locale), value: '75', emoji: '🔊' },
+        { label: t('menu.volume_max', locale), value: '100', emoji: '🔊' }
     ];
 
     selectMenu.addOptions(options);
@@ -543,6 +645,9 @@ export default {
     createQueueButtons,
     createSearchResultButtons,
     createSearchConfirmButtons,
+    createUndoButtons,
+    createEqualizerEditor,
+    formatEqGain,
     createHistoryReplayButtons,
     createFilterSelectMenu,
     createVolumeSelectMenu
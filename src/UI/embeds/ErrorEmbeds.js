@@ -1,11 +1,12 @@
 /**
  * @file ErrorEmbeds.js
  * @description Standardized error embed builders using the design system
- * @version 1.9.0 — Unified colors, removed dead code, graceful expiry handling
+ * @version 1.12.0 — Localized via utils/i18n
  */
 
 import { EmbedBuilder } from 'discord.js';
 import { formatErrorForUser } from '../../utils/errors.js';
+import { t, getLocale, DEFAULT_LOCALE } from '../../utils/i18n.js';
 import { COLORS, ICONS } from '../../config/design-system.js';
 import { safeAddFields } from './EmbedUtils.js';
 import logger from '../../utils/logger.js';
@@ -14,14 +15,15 @@ import logger from '../../utils/logger.js';
  * Create a standard error embed
  * @param {string} message - Error message to display
  * @param {Object} config - Bot configuration
+ * @param {string} [locale] - Locale code
  * @returns {EmbedBuilder}
  */
-export function createErrorEmbed(message, config) {
-    const errorMessage = message ? String(message) : 'Đã xảy ra lỗi không xác định';
+export function createErrorEmbed(message, config, locale = DEFAULT_LOCALE) {
+    const errorMessage = message ? String(message) : t('error.unknown', locale);
 
     return new EmbedBuilder()
         .setColor(COLORS.ERROR)
-        .setTitle(`${ICONS.ERROR} Lỗi`)
+        .setTitle(`${ICONS.ERROR} ${t('error.title', locale)}`)
         .setDescription(errorMessage)
         .setFooter({ text: config?.bot?.footer || 'Miyao Music Bot' })
         .setTimestamp();
@@ -31,17 +33,57 @@ export function createErrorEmbed(message, config) {
  * Create a warning embed
  * @param {string} message - Warning message to display
  * @param {Object} config - Bot configuration
+ * @param {string} [locale] - Locale code
  * @returns {EmbedBuilder}
  */
-export function createWarningEmbed(message, config) {
+export function createWarningEmbed(message, config, locale = DEFAULT_LOCALE) {
     return new EmbedBuilder()
         .setColor(COLORS.WARNING)
-        .setTitle(`${ICONS.WARNING} Cảnh báo`)
+        .setTitle(`${ICONS.WARNING} ${t('error.warning_title', locale)}`)
         .setDescription(message)
         .setFooter({ text: config?.bot?.footer || 'Miyao Music Bot' })
         .setTimestamp();
 }
 
+/**
+ * Warning embed listing tracks that guild request limits kept out of the queue
+ * (for batches where the rest were still added)
+ * @param {Object} addResult - EnhancedQueue.add() result with `limited` and `limits`
+ * @param {Object} config - Bot configuration
+ * @param {string} [locale] - Locale code
+ * @returns {EmbedBuilder}
+ */
+export function createRequestLimitEmbed(addResult, config, locale = DEFAULT_LOCALE) {
+    const { limited, limits } = addResult;
+    const lines = [];
+
+    if (limited.perUser > 0) {
+        lines.push(
+            t('error.request_limit.skipped_per_user', locale, { count: limited.perUser, max: limits.maxTracksPerUser })
+        );
+    }
+    if (limited.hourly > 0) {
+        lines.push(
+            t('error.request_limit.skipped_hourly', locale, { count: limited.hourly, max: limits.maxRequestsPerHour })
+        );
+    }
+    if (limited.duration > 0) {
+        lines.push(
+            t('error.request_limit.skipped_duration', locale, {
+                count: limited.duration,
+                minutes: Math.round(limits.maxTrackDuration / 60)
+            })
+        );
+    }
+    if (limited.livestream > 0) {
+        lines.push(t('error.request_limit.skipped_livestream', locale, { count: limited.livestream }));
+    }
+
+    return createWarningEmbed(lines.join('\n'), config, locale).setTitle(
+        `🚦 ${t('error.request_limit.partial_title', locale)}`
+    );
+}
+
 /**
  * Send a formatted error response to an interaction.
  * Handles replied, deferred, fresh, and EXPIRED interaction states gracefully.
@@ -58,12 +100,13 @@ export async function sendErrorResponse(interaction, error, config, ephemeral =
     }
 
     try {
-        const errorInfo = formatErrorForUser(error);
+        const locale = getLocale(interaction);
+        const errorInfo = formatErrorForUser(error, locale);
 
         const embed = new EmbedBuilder()
             .setColor(errorInfo.color || COLORS.ERROR)
-            .setTitle(errorInfo.title || `${ICONS.ERROR} Lỗi`)
-            .setDescription(errorInfo.description || 'Đã xảy ra lỗi không xác định')
+            .setTitle(errorInfo.title || `${ICONS.ERROR} ${t('error.title', locale)}`)
+            .setDescription(errorInfo.description || t('error.unknown', locale))
             .setFooter({ text: config?.bot?.footer || 'Miyao Music Bot' })
             .setTimestamp();
 
@@ -72,7 +115,7 @@ export async function sendErrorResponse(interaction, error, config, ephemeral =
             const suggestionsText = errorInfo.suggestions.map(s => `• ${s}`).join('\n');
             safeAddFields(embed, [
                 {
-                    name: `${ICONS.TIP} Gợi ý`,
+                    name: `${ICONS.TIP} ${t('error.suggestions_field', locale)}`,
                     value: suggestionsText,
                     inline: false
                 }
@@ -114,23 +157,22 @@ export async function sendErrorResponse(interaction, error, config, ephemeral =
 /**
  * Create an OAuth authentication error embed for YouTube playback failures
  * @param {string} trackTitle - Title of the track that failed
+ * @param {string} [locale] - Locale code
  * @returns {EmbedBuilder}
  */
-export function createOAuthErrorEmbed(trackTitle) {
+export function createOAuthErrorEmbed(trackTitle, locale = DEFAULT_LOCALE) {
     return new EmbedBuilder()
         .setColor(COLORS.ERROR)
         .setDescription(
-            `${ICONS.ERROR} **YouTube yêu cầu xác thực**\n\n` +
-                `Không thể phát **${trackTitle}** và các bài hát tiếp theo.\n` +
-                `YouTube yêu cầu xác thực OAuth để phát nhạc. ` +
-                `Vui lòng kiểm tra cấu hình OAuth của Lavalink.\n\n` +
-                `${ICONS.WARNING} Các bài hát còn lại sẽ bị bỏ qua cho đến khi OAuth được sửa.`
+            `${ICONS.ERROR} ${t('error.oauth', locale, { title: trackTitle })}\n\n` +
+                `${ICONS.WARNING} ${t('error.oauth_skipped', locale)}`
         );
 }
 
 export default {
     createErrorEmbed,
     createWarningEmbed,
+    createRequestLimitEmbed,
     sendErrorResponse,
     createOAuthErrorEmbed
 };
@@ -1,21 +1,71 @@
 /**
  * @file MusicEmbeds.js
  * @description Centralized Discord embed builders for music player UI
- * @version 1.9.0 - Added comprehensive JSDoc documentation
+ * @version 1.12.0 - Localized (player embeds follow the queue's guild locale, others take a locale argument)
  */
 
 import { EmbedBuilder } from 'discord.js';
 import { formatDuration, getProgressBar, truncate, getPlatformIcon } from '../../utils/helpers.js';
 import { formatDurationMobile, exceedsMobileLimits } from '../../utils/mobile-optimization.js';
 import logger from '../../utils/logger.js';
-import { COLORS, ICONS, FIELD_NAMES } from '../../config/design-system.js';
-import { PLATFORM_NAMES } from '../../utils/constants.js';
+import { COLORS, ICONS } from '../../config/design-system.js';
+import { PLATFORM_NAMES, REQUEST_CHANNEL } from '../../utils/constants.js';
+import { t, DEFAULT_LOCALE } from '../../utils/i18n.js';
+import { formatTimeAgo, formatEqGain } from '../components/MusicControls.js';
+import { EQ_BAND_FREQUENCIES, EQ_GAIN_LIMITS } from '../../music/FilterManager.js';
 import { createErrorEmbed } from './ErrorEmbeds.js';
 import { safeAddFields } from './EmbedUtils.js';
 
 export { safeAddFields } from './EmbedUtils.js';
 export { createErrorEmbed } from './ErrorEmbeds.js';
 
+/** Icons for localized field names */
+const FIELD_ICONS = {
+    requested_by: ICONS.USER,
+    volume: ICONS.VOLUME,
+    loop: ICONS.LOOP_QUEUE,
+    duration: ICONS.DURATION,
+    position: ICONS.POSITION,
+    author: ICONS.USER,
+    now_playing: ICONS.TRACK,
+    up_next: ICONS.QUEUE,
+    queue_info: ICONS.STATS,
+    search_tips: ICONS.TIP
+};
+
+/**
+ * Get a localized embed field name
+ * @param {string} name - Field name key (see FIELD_ICONS)
+ * @param {string} locale - Locale code
+ * @returns {string}
+ */
+function fieldName(name, locale) {
+    return `${FIELD_ICONS[name]} ${t(`field.${name}`, locale)}`;
+}
+
+/**
+ * Get the localized loop mode label
+ * @param {string} mode - Loop mode (off, track, queue)
+ * @param {string} locale - Locale code
+ * @returns {string}
+ */
+function loopLabel(mode, locale) {
+    return t(mode === 'track' || mode === 'queue' ? `loop.${mode}` : 'loop.off', locale);
+}
+
+/**
+ * Embed shown when a track has no displayable info
+ * @param {string} locale - Locale code
+ * @returns {EmbedBuilder}
+ */
+function createInvalidTrackEmbed(locale) {
+    return new EmbedBuilder()
+        .setColor(COLORS.ERROR)
+        .setTitle(`${ICONS.ERROR} ${t('track.display_error_title', locale)}`)
+        .setDescription(t('track.display_error', locale))
+        .setTimestamp();
+}
+
 /**
  * Create now playing embed with dynamic progress bar, track info, and queue status
  * @param {Object} track - Track object with info property
@@ -25,14 +75,11 @@ export { createErrorEmbed } from './ErrorEmbeds.js';
  * @returns {EmbedBuilder} Now playing embed
  */
 export function createNowPlayingEmbed(track, queue, config, currentPosition = null) {
+    const locale = queue?.locale || DEFAULT_LOCALE;
+
     // Validate track and info
     if (!track || !track.info) {
-        return new EmbedBuilder()
-            .setColor(COLORS.ERROR)
-            .setTitle(`${ICONS.ERROR} Lỗi`)
-            .setDescription('Không thể hiển thị thông tin bài hát')
-            .setFooter({ text: config?.bot?.footer || 'Miyao Music Bot' })
-            .setTimestamp();
+        return createInvalidTrackEmbed(locale).setFooter({ text: config?.bot?.footer || 'Miyao Music Bot' });
     }
 
     const info = track.info;
@@ -59,33 +106,39 @@ export function createNowPlayingEmbed(track, queue, config, currentPosition = nu
 
     // Status indicator
     const statusEmoji = queue.paused ? '⏸️' : '▶️';
-    const statusText = queue.paused ? 'Đã tạm dừng' : 'Đang phát';
+    const statusText = t(queue.paused ? 'nowplaying.status_paused' : 'nowplaying.status_playing', locale);
 
     // Safe access with fallbacks
-    const title = info.title || 'Không rõ bài hát';
+    const title = info.title || t('track.unknown_title', locale);
     const uri = info.uri || '#';
-    const author = info.author || 'Không rõ nghệ sĩ';
+    const author = info.author || t('track.unknown_artist', locale);
 
     // v1.11.0: Source indicator
     const platformEmoji = getPlatformIcon(info.sourceName || 'unknown');
-    const platformName = PLATFORM_NAMES[(info.sourceName || '').toLowerCase()] || 'Không rõ';
+    const sourceName = (info.sourceName || '').toLowerCase();
+    const platformName =
+        PLATFORM_NAMES[sourceName] || t(sourceName === 'http' ? 'platform.http' : 'platform.unknown', locale);
 
     // Handle requester
     const requesterId =
-        typeof track.requester === 'string' ? track.requester : track.requester?.id || track.requesterId || 'Không rõ';
+        typeof track.requester === 'string'
+            ? track.requester
+            : track.requester?.id || track.requesterId || t('track.unknown', locale);
 
     // Get active filters if any
     const activeFilters = queue.getActiveFilters ? queue.getActiveFilters() : [];
     const filterText =
         activeFilters.length > 0
-            ? `✨ Hiệu ứng: **${activeFilters.map(f => f.charAt(0).toUpperCase() + f.slice(1)).join(', ')}**`
+            ? t('nowplaying.filters', locale, {
+                  filters: activeFilters.map(f => f.charAt(0).toUpperCase() + f.slice(1)).join(', ')
+              })
             : '';
 
     // Get next track info
     const nextTrack = queue.tracks && queue.tracks.length > 0 ? queue.tracks[0] : null;
     const nextTrackText = nextTrack
-        ? `⏭️ **Tiếp theo:** [${truncate(nextTrack.info?.title, 35)}](${nextTrack.info?.uri || '#'})`
-        : '📝 **Tiếp theo:** *Hết danh sách*';
+        ? t('nowplaying.next', locale, { title: truncate(nextTrack.info?.title, 35), uri: nextTrack.info?.uri || '#' })
+        : t('nowplaying.next_none', locale);
 
     const embed = new EmbedBuilder()
         .setColor(queue.paused ? COLORS.NOW_PLAYING_PAUSED : COLORS.NOW_PLAYING)
@@ -105,18 +158,18 @@ export function createNowPlayingEmbed(track, queue, config, currentPosition = nu
         )
         .addFields([
             {
-                name: FIELD_NAMES.REQUESTED_BY,
+                name: fieldName('requested_by', locale),
                 value: `<@${requesterId}>`,
                 inline: true
             },
             {
-                name: FIELD_NAMES.VOLUME,
+                name: fieldName('volume', locale),
                 value: `**${queue.volume}%**`,
                 inline: true
             },
             {
-                name: FIELD_NAMES.LOOP,
-                value: queue.loop === 'off' ? 'Tắt' : queue.loop === 'track' ? 'Bài hát' : 'Tất cả',
+                name: fieldName('loop', locale),
+                value: loopLabel(queue.loop, locale),
                 inline: true
             }
         ]);
@@ -131,7 +184,8 @@ export function createNowPlayingEmbed(track, queue, config, currentPosition = nu
 }
 
 /**
- * Create paginated queue embed showing current track and upcoming tracks
+ * Create paginated queue embed showing current track and upcoming tracks,
+ * with each track's projected start time while the queue is playing
  * @param {Object} queue - Queue object with current track, tracks array, volume, loop mode
  * @param {Object} config - Bot configuration with bot.color and bot.footer
  * @param {number} [page=1] - Page number to display (1-indexed)
@@ -147,6 +201,8 @@ export function createQueueEmbed(queue, config, page = 1) {
         throw new Error('Config object with bot property is required');
     }
 
+    const locale = queue.locale || DEFAULT_LOCALE;
+
     // Ensure tracks array exists (even if empty)
     const tracks = Array.isArray(queue.tracks) ? queue.tracks : [];
 
@@ -168,9 +224,9 @@ export function createQueueEmbed(queue, config, page = 1) {
 
     const embed = new EmbedBuilder()
         .setColor(COLORS.QUEUE)
-        .setTitle('📋 Hàng đợi phát nhạc')
+        .setTitle(t('queue.title', locale))
         .setFooter({
-            text: `${config.bot.footer || 'Miyao Music Bot'} • Trang ${page}/${totalPages} • Còn ${tracks.length} bài`
+            text: `${config.bot.footer || 'Miyao Music Bot'} • ${t('queue.footer', locale, { page, totalPages, count: tracks.length })}`
         })
         .setTimestamp();
 
@@ -181,15 +237,15 @@ export function createQueueEmbed(queue, config, page = 1) {
 
         try {
             const icon = getPlatformIcon(info.sourceName || 'unknown');
-            const title = truncate(info.title || 'Không rõ bài hát', 50);
+            const title = truncate(info.title || t('track.unknown_title', locale), 50);
             const uri = info.uri || '#';
             const isStream = info.isStream || false;
             const length = info.length || 0;
-            const author = truncate(info.author || 'Không rõ nghệ sĩ', 25);
+            const author = truncate(info.author || t('track.unknown_artist', locale), 25);
             const requesterId =
                 typeof current.requester === 'string'
                     ? current.requester
-                    : current.requester?.id || current.requesterId || 'Không rõ';
+                    : current.requester?.id || current.requesterId || t('track.unknown', locale);
 
             const fieldValue =
                 `${icon} **[${title}](${uri})**\n` +
@@ -198,7 +254,7 @@ export function createQueueEmbed(queue, config, page = 1) {
             if (fieldValue.length > 0 && fieldValue.length <= 1024) {
                 safeAddFields(embed, [
                     {
-                        name: FIELD_NAMES.NOW_PLAYING,
+                        name: fieldName('now_playing', locale),
                         value: fieldValue,
                         inline: false
                     }
@@ -214,6 +270,16 @@ export function createQueueEmbed(queue, config, page = 1) {
         try {
             const displayTracks = [queue.current, ...tracks].slice(start + 1, end + 1);
 
+            // Projected start: time left on the current track plus every track before this one.
+            // Unknown once a live stream is ahead, and meaningless while paused or looping one track.
+            let startOffset = currentLeft;
+            let projectable = !queue.paused && queue.loop !== 'track' && !queue.current?.info?.isStream;
+            for (const track of tracks.slice(0, start)) {
+                if (track?.info?.isStream) projectable = false;
+                startOffset += track?.info?.length || 0;
+            }
+            const now = Date.now();
+
             // Build track list incrementally to stay within 1024 char limit
             const trackLines = [];
             let currentLength = 0;
@@ -228,15 +294,19 @@ export function createQueueEmbed(queue, config, page = 1) {
                     const position = start + index + 1;
                     const info = track.info;
                     const icon = getPlatformIcon(info.sourceName || 'unknown');
-                    const title = truncate(info.title || 'Không rõ bài hát', 40);
+                    const title = truncate(info.title || t('track.unknown_title', locale), 40);
                     const isStream = info.isStream || false;
                     const length = info.length || 0;
 
-                    const line = `**#${position}** ${icon} ${title} • ${isStream ? '🔴 LIVE' : formatDuration(length)}`;
+                    const startsAt = projectable ? ` • 🕒 <t:${Math.floor((now + startOffset) / 1000)}:t>` : '';
+                    const line = `**#${position}** ${icon} ${title} • ${isStream ? '🔴 LIVE' : formatDuration(length)}${startsAt}`;
+
+                    if (isStream) projectable = false;
+                    startOffset += length;
 
                     if (currentLength + line.length + 1 > MAX_FIELD_LENGTH - TRUNCATION_RESERVE) {
                         const remaining = displayTracks.length - index;
-                        trackLines.push(`\n*...và ${remaining} bài khác*`);
+                        trackLines.push(`\n${t('queue.more_tracks', locale, { count: remaining })}`);
                         break;
                     }
 
@@ -252,7 +322,7 @@ export function createQueueEmbed(queue, config, page = 1) {
             if (trackList && trackList.trim().length > 0) {
                 safeAddFields(embed, [
                     {
-                        name: `${FIELD_NAMES.UP_NEXT} (${tracks.length} bài)`,
+                        name: `${fieldName('up_next', locale)} ${t('queue.track_count', locale, { count: tracks.length })}`,
                         value: trackList.substring(0, MAX_FIELD_LENGTH),
                         inline: false
                     }
@@ -266,15 +336,20 @@ export function createQueueEmbed(queue, config, page = 1) {
     // Simplified info line
     try {
         const loopEmoji = queue.loop === 'off' ? '➡️' : queue.loop === 'track' ? '🔂' : '🔁';
-        const loopText = queue.loop === 'off' ? 'Tắt' : queue.loop === 'track' ? 'Bài hát' : 'Tất cả';
-
-        const infoValue = `${loopEmoji} Loop: **${loopText}** | 📊 Âm lượng: **${queue.volume || 50}%** | ⏱️ Tổng: **${formatDuration(totalDuration)}** | 🕒 Còn lại: **${formatDuration(eta)}**`;
-
-        if (infoValue.length > 0 && infoValue.length <= 1024) {
+        const infoValue = t('queue.info_line', locale, {
+            loopEmoji,
+            loop: loopLabel(queue.loop, locale),
+            volume: queue.volume || 50,
+            total: formatDuration(totalDuration),
+            eta: formatDuration(eta)
+        });
+        const fairShare = queue.fairShare ? `\n${t('queue.fair_share', locale, { cap: queue.fairShareCap })}` : '';
+
+        if (infoValue.length > 0 && infoValue.length + fairShare.length <= 1024) {
             safeAddFields(embed, [
                 {
-                    name: FIELD_NAMES.QUEUE_INFO,
-                    value: infoValue,
+                    name: fieldName('queue_info', locale),
+                    value: infoValue + fairShare,
                     inline: false
                 }
             ]);
@@ -289,64 +364,63 @@ export function createQueueEmbed(queue, config, page = 1) {
 /**
  * Create embed shown when a track is added to the queue
  * @param {Object} track - Track object with info property
- * @param {number} position - Position in queue (1-indexed)
+ * @param {number|string} position - Position in queue (1-indexed), or a label such as "now playing"
  * @param {Object} config - Bot configuration with bot.color and bot.footer
  * @param {Object|null} [searchInfo=null] - Optional search source info for fallback badge
  * @param {string} [searchInfo.searchSource] - Search prefix used (e.g., 'scsearch')
  * @param {string} [searchInfo.searchSourceName] - Human-readable source name (e.g., 'SoundCloud')
  * @param {boolean} [searchInfo.isFallback] - Whether this was a fallback from primary source
+ * @param {string} [locale] - Locale code
  * @returns {EmbedBuilder} Track added confirmation embed
  */
-export function createTrackAddedEmbed(track, position, config, searchInfo = null) {
+export function createTrackAddedEmbed(track, position, config, searchInfo = null, locale = DEFAULT_LOCALE) {
     // Validate track and info
     if (!track || !track.info) {
-        return new EmbedBuilder()
-            .setColor(COLORS.ERROR)
-            .setTitle(`${ICONS.ERROR} Lỗi`)
-            .setDescription('Không thể hiển thị thông tin bài hát')
-            .setTimestamp();
+        return createInvalidTrackEmbed(locale);
     }
 
     const info = track.info;
 
     // Safe access with fallbacks
     const icon = getPlatformIcon(info.sourceName || 'unknown');
-    const title = info.title || 'Không rõ bài hát';
+    const title = info.title || t('track.unknown_title', locale);
     const uri = info.uri || '#';
-    const author = info.author || 'Không rõ nghệ sĩ';
+    const author = info.author || t('track.unknown_artist', locale);
     const isStream = info.isStream || false;
     const length = info.length || 0;
     // Handle requester as string ID, object with id property, or 'autoplay'
     const requesterId =
-        typeof track.requester === 'string' ? track.requester : track.requester?.id || track.requesterId || 'Không rõ';
+        typeof track.requester === 'string'
+            ? track.requester
+            : track.requester?.id || track.requesterId || t('track.unknown', locale);
 
     const embed = new EmbedBuilder()
         .setColor(COLORS.SUCCESS)
-        .setTitle('✅ Đã thêm vào hàng đợi')
+        .setTitle(t('track_added.title', locale))
         .setDescription(
             `${icon} **[${title}](${uri})**` +
                 (searchInfo?.isFallback
-                    ? `\n${ICONS.SOURCE_SWITCH} Tìm thấy trên **${searchInfo.searchSourceName}**`
+                    ? `\n${ICONS.SOURCE_SWITCH} ${t('track_added.fallback', locale, { source: searchInfo.searchSourceName })}`
                     : '')
         )
         .addFields([
             {
-                name: FIELD_NAMES.AUTHOR,
+                name: fieldName('author', locale),
                 value: author,
                 inline: true
             },
             {
-                name: FIELD_NAMES.DURATION,
+                name: fieldName('duration', locale),
                 value: isStream ? '🔴 LIVE' : formatDuration(length),
                 inline: true
             },
             {
-                name: FIELD_NAMES.POSITION,
-                value: `#${position}`,
+                name: fieldName('position', locale),
+                value: typeof position === 'number' ? `#${position}` : position,
                 inline: true
             },
             {
-                name: FIELD_NAMES.REQUESTED_BY,
+                name: fieldName('requested_by', locale),
                 value: `<@${requesterId}>`,
                 inline: true
             }
@@ -361,22 +435,69 @@ export function createTrackAddedEmbed(track, position, config, searchInfo = null
     return embed;
 }
 
+/**
+ * Describe where EnhancedQueue.enqueue() put new tracks
+ * @param {Object} addResult - enqueue() result (index, added, playingNow, interleaved)
+ * @param {Object} queue - EnhancedQueue instance
+ * @param {string} [locale] - Locale code
+ * @returns {string|null} Note for the reply, or null when the tracks were simply appended
+ */
+export function describePlacement(addResult, queue, locale = DEFAULT_LOCALE) {
+    if (addResult.playingNow) {
+        const interrupted = queue.tracks[addResult.added - 1];
+        return t('track_added.interrupted_resume', locale, {
+            title: interrupted?.info?.title || t('track.unknown_title', locale)
+        });
+    }
+    if (addResult.interleaved && addResult.added > 1) {
+        return t('track_added.interleaved', locale, { position: addResult.index + 1 });
+    }
+    if (addResult.index + addResult.added >= queue.tracks.length) return null;
+    return t('track_added.inserted_at', locale, { position: addResult.index + 1 });
+}
+
+/**
+ * Track-added embed that reflects where the track went: playing now, inserted, or appended
+ * @param {Object} track - Added track
+ * @param {Object} addResult - EnhancedQueue.enqueue() result
+ * @param {Object} queue - EnhancedQueue instance
+ * @param {Object} config - Bot configuration
+ * @param {Object|null} [searchInfo=null] - Search source info for the fallback badge
+ * @param {string} [locale] - Locale code
+ * @returns {EmbedBuilder}
+ */
+export function createQueuedTrackEmbed(track, addResult, queue, config, searchInfo = null, locale = DEFAULT_LOCALE) {
+    const position = addResult.playingNow ? t('track_added.playing_now_position', locale) : addResult.index + 1;
+    const embed = createTrackAddedEmbed(track, position, config, searchInfo, locale);
+
+    if (addResult.playingNow) {
+        embed.setTitle(t('track_added.playing_now_title', locale));
+    }
+    const note = describePlacement(addResult, queue, locale);
+    if (note && embed.data.description) {
+        embed.setDescription(`${embed.data.description}\n${note}`);
+    }
+
+    return embed;
+}
+
 /**
  * Create embed shown when a playlist is added to the queue
  * @param {string} playlistName - Name of the added playlist
  * @param {number} trackCount - Number of tracks added from the playlist
  * @param {Object} config - Bot configuration with bot.color and bot.footer
+ * @param {string} [locale] - Locale code
  * @returns {EmbedBuilder} Playlist added confirmation embed
  */
-export function createPlaylistAddedEmbed(playlistName, trackCount, config) {
+export function createPlaylistAddedEmbed(playlistName, trackCount, config, locale = DEFAULT_LOCALE) {
     const embed = new EmbedBuilder()
         .setColor(config?.bot?.color || COLORS.PRIMARY)
-        .setTitle('✅ Đã thêm playlist')
+        .setTitle(t('playlist_added.title', locale))
         .setDescription(`📝 **${playlistName}**`)
         .addFields([
             {
-                name: '🎵 Số bài',
-                value: `${trackCount} bài`,
+                name: t('playlist_added.tracks_field', locale),
+                value: t('playlist_added.tracks_value', locale, { count: trackCount }),
                 inline: true
             }
         ])
@@ -419,44 +540,116 @@ export function createInfoEmbed(title, message, config) {
         .setTimestamp();
 }
 
+/**
+ * Create the persistent player embed of a song request channel: the now-playing embed with
+ * the next tracks listed, or an idle card explaining how to request songs
+ * @param {Object|null} queue - EnhancedQueue instance, or null when no queue exists
+ * @param {Object} config - Bot configuration with bot.color and bot.footer
+ * @param {string} [locale] - Locale code for the idle card (the playing card uses the queue's)
+ * @returns {EmbedBuilder} Player embed
+ */
+export function createRequestChannelEmbed(queue, config, locale = DEFAULT_LOCALE) {
+    if (!queue?.current) {
+        return new EmbedBuilder()
+            .setColor(config?.bot?.color || COLORS.PRIMARY)
+            .setTitle(t('request_channel.idle_title', locale))
+            .setDescription(t('request_channel.idle', locale))
+            .setFooter({
+                text: `${config?.bot?.footer || 'Miyao Music Bot'} • ${t('request_channel.footer', locale)}`
+            })
+            .setTimestamp();
+    }
+
+    const embed = createNowPlayingEmbed(queue.current, queue, config);
+    const upNext = queue.tracks.slice(0, REQUEST_CHANNEL.UP_NEXT_COUNT);
+    if (upNext.length > 0) {
+        const lines = upNext.map(
+            (track, index) =>
+                `\`${index + 1}.\` ${truncate(track.info?.title, 45)} • ` +
+                `\`${track.info?.isStream ? 'LIVE' : formatDuration(track.info?.length || 0)}\``
+        );
+        if (queue.tracks.length > upNext.length) {
+            lines.push(t('request_channel.more', queue.locale, { count: queue.tracks.length - upNext.length }));
+        }
+        safeAddFields(embed, [
+            {
+                name: t('request_channel.up_next', queue.locale, { count: queue.tracks.length }),
+                value: lines.join('\n'),
+                inline: false
+            }
+        ]);
+    }
+
+    return embed;
+}
+
+/**
+ * Create the /filter eq editor embed: a bar per band, the band being edited marked
+ * @param {number[]} gains - Gain of each band (queue.getEqualizerGains())
+ * @param {number} band - Band being edited
+ * @param {Object} config - Bot configuration with bot.color and bot.footer
+ * @param {string} [locale] - Locale code
+ * @param {string|null} [note] - Extra line under the chart (e.g. filters the EQ turned off)
+ * @returns {EmbedBuilder} Equalizer embed
+ */
+export function createEqualizerEmbed(gains, band, config, locale = DEFAULT_LOCALE, note = null) {
+    const [minGain, maxGain] = EQ_GAIN_LIMITS;
+    const cells = 10;
+    const chart = EQ_BAND_FREQUENCIES.map((frequency, index) => {
+        const filled = Math.round(((gains[index] - minGain) / (maxGain - minGain)) * cells);
+        const marker = index === band ? '▶' : ' ';
+        return `${marker} ${frequency.padStart(7)} ${'█'.repeat(filled)}${'░'.repeat(cells - filled)} ${formatEqGain(gains[index])}`;
+    });
+
+    const lines = [
+        t('eq.description', locale),
+        `\`\`\`\n${chart.join('\n')}\n\`\`\``,
+        t('eq.selected', locale, { band: EQ_BAND_FREQUENCIES[band], gain: formatEqGain(gains[band]) })
+    ];
+    if (note) lines.push(note);
+
+    return new EmbedBuilder()
+        .setColor(config?.bot?.color || COLORS.PRIMARY)
+        .setTitle(t('eq.title', locale))
+        .setDescription(lines.join('\n'))
+        .setFooter({ text: config?.bot?.footer || 'Miyao Music Bot' })
+        .setTimestamp();
+}
+
 /**
  * Create search confirmation embed for the first track result
  * Shows track details and prompts user to confirm or search for alternatives
  * @param {Object} track - Track object with info property (title, author, uri, etc.)
  * @param {Object} config - Bot configuration with bot.color and bot.footer
+ * @param {string} [locale] - Locale code
  * @returns {EmbedBuilder} Search confirmation embed
  */
-export function createSearchConfirmEmbed(track, config) {
+export function createSearchConfirmEmbed(track, config, locale = DEFAULT_LOCALE) {
     // Validate track and info
     if (!track || !track.info) {
-        return new EmbedBuilder()
-            .setColor(COLORS.ERROR)
-            .setTitle(`${ICONS.ERROR} Lỗi`)
-            .setDescription('Không thể hiển thị thông tin bài hát')
-            .setTimestamp();
+        return createInvalidTrackEmbed(locale);
     }
 
     const info = track.info;
 
     // Safe access with fallbacks
     const icon = getPlatformIcon(info.sourceName || 'unknown');
-    const title = info.title || 'Không rõ bài hát';
+    const title = info.title || t('track.unknown_title', locale);
     const uri = info.uri || '#';
-    const author = info.author || 'Không rõ nghệ sĩ';
+    const author = info.author || t('track.unknown_artist', locale);
     const isStream = info.isStream || false;
     const length = info.length || 0;
 
     // Create compact description for mobile
     const description =
         `${icon} **[${title}](${uri})**\n\n` +
-        `👤 **Tác giả:** ${author}\n` +
-        `⏱️ **Thời lượng:** ${isStream ? '🔴 LIVE' : formatDurationMobile(length)}\n\n` +
-        '✅ Đúng bài này? Nhấn **Phát ngay**\n' +
-        '🔍 Không phải? Bạn nhấn **Tìm kiếm thêm** nhé';
+        `${t('search_confirm.author', locale, { author })}\n` +
+        `${t('search_confirm.duration', locale, { duration: isStream ? '🔴 LIVE' : formatDurationMobile(length) })}\n\n` +
+        t('search_confirm.prompt', locale);
 
     const embed = new EmbedBuilder()
         .setColor(config?.bot?.color || COLORS.PRIMARY)
-        .setTitle('🤔 Bạn muốn phát bài này phải không?')
+        .setTitle(t('search_confirm.title', locale))
         .setDescription(description);
 
     if (info.artworkUrl) {
@@ -472,10 +665,11 @@ export function createSearchConfirmEmbed(track, config) {
  * Create history replay embed showing recent tracks with relative timestamps
  * @param {Array<{track: Object, playedAt: number}>} history - Array of history entries
  * @param {Object} config - Bot configuration with bot.color and bot.footer
+ * @param {string} [locale] - Locale code
  * @returns {EmbedBuilder} History replay embed
  * @throws {Error} If history is not an array or config.bot is missing
  */
-export function createHistoryReplayEmbed(history, config) {
+export function createHistoryReplayEmbed(history, config, locale = DEFAULT_LOCALE) {
     // Validate inputs
     if (!Array.isArray(history)) {
         throw new Error('History must be an array');
@@ -487,10 +681,10 @@ export function createHistoryReplayEmbed(history, config) {
 
     const embed = new EmbedBuilder()
         .setColor(config.bot.color || COLORS.PRIMARY)
-        .setTitle('📜 Lịch Sử Phát Nhạc - Chọn Bài Để Phát Lại')
-        .setDescription('Chọn một bài hát từ danh sách bên dưới để phát lại ngay lập tức!')
+        .setTitle(t('history.replay_title', locale))
+        .setDescription(t('history.replay_description', locale))
         .setFooter({
-            text: `${config.bot.footer || 'Miyao Music Bot'} • Hiển thị ${Math.min(10, history.length)} bài gần nhất`
+            text: `${config.bot.footer || 'Miyao Music Bot'} • ${t('history.replay_footer', locale, { count: Math.min(10, history.length) })}`
         })
         .setTimestamp();
 
@@ -507,23 +701,13 @@ export function createHistoryReplayEmbed(history, config) {
 
                         // Safe access to all properties
                         const icon = getPlatformIcon(info.sourceName || 'unknown');
-                        const title = truncate(info.title || 'Không rõ bài hát', 40);
-                        const author = truncate(info.author || 'Không rõ nghệ sĩ', 20);
+                        const title = truncate(info.title || t('track.unknown_title', locale), 40);
+                        const author = truncate(info.author || t('track.unknown_artist', locale), 20);
                         const uri = info.uri || '#';
                         const isStream = info.isStream || false;
                         const length = info.length || 0;
 
-                        // Calculate time since played
-                        const timeSince = entry.playedAt ? Date.now() - entry.playedAt : 0;
-                        const minutesAgo = Math.floor(timeSince / 60000);
-                        const timeText =
-                            minutesAgo < 1
-                                ? 'Vừa xong'
-                                : minutesAgo < 60
-                                  ? `${minutesAgo} phút trước`
-                                  : minutesAgo < 1440
-                                    ? `${Math.floor(minutesAgo / 60)} giờ trước`
-                                    : `${Math.floor(minutesAgo / 1440)} ngày trước`;
+                        const timeText = formatTimeAgo(entry.playedAt, locale);
 
                         return (
                             `**#${index + 1}** ${icon} [${title}](${uri})\n` +
@@ -542,31 +726,31 @@ export function createHistoryReplayEmbed(history, config) {
             if (tracks && tracks.trim().length > 0 && tracks.length <= 1024) {
                 safeAddFields(embed, [
                     {
-                        name: '🎵 Lịch sử phát nhạc',
+                        name: t('history.field', locale),
                         value: tracks,
                         inline: false
                     }
                 ]);
             } else if (tracks && tracks.length > 1024) {
                 // Truncate if too long - ensure total stays within 1024 char limit
-                const suffix = '\n\n*... và nhiều bài khác*';
+                const suffix = `\n\n${t('history.more', locale)}`;
                 const truncated = tracks.substring(0, 1024 - suffix.length) + suffix;
                 safeAddFields(embed, [
                     {
-                        name: '🎵 Lịch sử phát nhạc',
+                        name: t('history.field', locale),
                         value: truncated,
                         inline: false
                     }
                 ]);
             } else {
-                embed.setDescription('Không có bài hát hợp lệ trong lịch sử.');
+                embed.setDescription(t('history.no_valid', locale));
             }
         } catch (error) {
             logger.error('Error creating history embed:', error);
-            embed.setDescription('Đã xảy ra lỗi khi tải lịch sử phát nhạc.');
+            embed.setDescription(t('history.load_error', locale));
         }
     } else {
-        embed.setDescription('Lịch sử phát nhạc trống.');
+        embed.setDescription(t('history.empty', locale));
     }
 
     return embed;
@@ -577,16 +761,14 @@ export function createHistoryReplayEmbed(history, config) {
  * @param {string} query - The search query that returned no results
  * @param {Array} suggestions - Array of suggestion objects {type, title, description, value}
  * @param {Object} config - Bot config
+ * @param {string} [locale] - Locale code
  * @returns {EmbedBuilder} No results embed with suggestions
  */
-export function createNoResultsSuggestionsEmbed(query, suggestions, config) {
+export function createNoResultsSuggestionsEmbed(query, suggestions, config, locale = DEFAULT_LOCALE) {
     const embed = new EmbedBuilder()
         .setColor(COLORS.WARNING)
-        .setTitle('🔍 Không tìm thấy kết quả')
-        .setDescription(
-            `Không tìm thấy bài hát nào cho: **"${truncate(query, 50)}"**\n\n` +
-                'Có thể bạn đang tìm một trong những bài này?'
-        )
+        .setTitle(t('no_results.title', locale))
+        .setDescription(t('no_results.description', locale, { query: truncate(query, 50) }))
         .setFooter({ text: config?.bot?.footer || 'Miyao Music Bot' })
         .setTimestamp();
 
@@ -603,14 +785,14 @@ export function createNoResultsSuggestionsEmbed(query, suggestions, config) {
                 .slice(0, 3)
                 .map(
                     (s, i) =>
-                        `**${i + 1}.** [${truncate(s.title, 40)}](${s.url || '#'})\n   └ 🎤 ${truncate(s.author || 'Không rõ', 25)}`
+                        `**${i + 1}.** [${truncate(s.title, 40)}](${s.url || '#'})\n   └ 🎤 ${truncate(s.author || t('track.unknown', locale), 25)}`
                 )
                 .join('\n');
 
             safeAddFields(embed, [
                 {
-                    name: '📜 Từ lịch sử nghe của bạn',
-                    value: historyText || '*Không có gợi ý*',
+                    name: t('no_results.history', locale),
+                    value: historyText || t('no_results.none', locale),
                     inline: false
                 }
             ]);
@@ -621,14 +803,15 @@ export function createNoResultsSuggestionsEmbed(query, suggestions, config) {
             const artistText = artistMatches
                 .slice(0, 3)
                 .map(
-                    (s, i) => `**${i + 1}.** ${truncate(s.title, 40)}\n   └ 🎤 ${truncate(s.author || 'Không rõ', 25)}`
+                    (s, i) =>
+                        `**${i + 1}.** ${truncate(s.title, 40)}\n   └ 🎤 ${truncate(s.author || t('track.unknown', locale), 25)}`
                 )
                 .join('\n');
 
             safeAddFields(embed, [
                 {
-                    name: '🎤 Bài hát của nghệ sĩ',
-                    value: artistText || '*Không có gợi ý*',
+                    name: t('no_results.artist', locale),
+                    value: artistText || t('no_results.none', locale),
                     inline: false
                 }
             ]);
@@ -643,8 +826,8 @@ export function createNoResultsSuggestionsEmbed(query, suggestions, config) {
 
             safeAddFields(embed, [
                 {
-                    name: '🔥 Phổ biến gần đây',
-                    value: popularText || '*Không có gợi ý*',
+                    name: t('no_results.popular', locale),
+                    value: popularText || t('no_results.none', locale),
                     inline: false
                 }
             ]);
@@ -654,12 +837,8 @@ export function createNoResultsSuggestionsEmbed(query, suggestions, config) {
     // Add tips section
     safeAddFields(embed, [
         {
-            name: FIELD_NAMES.SEARCH_TIPS,
-            value:
-                '• Kiểm tra chính tả của từ khóa\n' +
-                '• Thử tìm bằng tên đầy đủ + tên nghệ sĩ\n' +
-                '• Dùng `/trending` để khám phá nhạc mới\n' +
-                '• Dùng `/discover` để gợi ý theo sở thích',
+            name: fieldName('search_tips', locale),
+            value: t('no_results.tips', locale),
             inline: false
         }
     ]);
@@ -672,11 +851,15 @@ export default {
     createNowPlayingEmbed,
     createQueueEmbed,
     createTrackAddedEmbed,
+    createQueuedTrackEmbed,
+    describePlacement,
     createPlaylistAddedEmbed,
     createErrorEmbed,
     createSuccessEmbed,
     createInfoEmbed,
     createSearchConfirmEmbed,
     createHistoryReplayEmbed,
-    createNoResultsSuggestionsEmbed
+    createNoResultsSuggestionsEmbed,
+    createRequestChannelEmbed,
+    createEqualizerEmbed
 };
@@ -12,6 +12,9 @@ import os from 'os';
 import v8 from 'v8';
 import { timingSafeEqual } from 'crypto';
 import { metricsTracker } from '../utils/metrics.js';
+import { ValidationError, NodeChangeError, NodeNotFoundError } from '../utils/errors.js';
+import { MUSIC_MANAGER } from '../utils/constants.js';
+import { createPlaybackRouter, sendApiError } from './playback-api.js';
 import { VERSION, ENVIRONMENT } from '../utils/version.js';
 import logger from '../utils/logger.js';
 
@@ -19,8 +22,10 @@ const app = express();
 const PORT = process.env.METRICS_PORT || 3000;
 const SHOW_ERROR_DETAILS = process.env.SHOW_ERROR_DETAILS === 'true';
 
-// API key and whitelist will be validated on server start
+// API keys and whitelist will be validated on server start
+// METRICS_API_KEY keys are read-only; METRICS_CONTROL_API_KEY keys can also change playback and nodes
 let VALID_API_KEYS = [];
+let CONTROL_API_KEYS = [];
 let IP_WHITELIST = [];
 
 // Security middleware
@@ -29,7 +34,7 @@ app.use(helmet());
 app.use(
     cors({
         origin: process.env.CORS_ORIGIN || 'http://127.0.0.1',
-        methods: ['GET', 'POST'],
+        methods: ['GET', 'POST', 'DELETE'],
         allowedHeaders: ['Content-Type', 'x-api-key']
     })
 );
@@ -115,11 +120,13 @@ const authenticate = (req, res, next) => {
 
     // Check against all valid API keys (support rotation) using constant-time comparison
     const apiKeyBuffer = Buffer.from(apiKey);
-    const isValidKey = VALID_API_KEYS.some(validKey => {
+    const matchesKey = validKey => {
         const validKeyBuffer = Buffer.from(validKey);
         if (apiKeyBuffer.length !== validKeyBuffer.length) return false;
         return timingSafeEqual(apiKeyBuffer, validKeyBuffer);
-    });
+    };
+    const isControlKey = CONTROL_API_KEYS.some(matchesKey);
+    const isValidKey = isControlKey || VALID_API_KEYS.some(matchesKey);
 
     if (!isValidKey) {
         logger.warn('API request with invalid key', {
@@ -134,7 +141,20 @@ const authenticate = (req, res, next) => {
     }
 
     // Log successful authentication
-    logger.debug('API authenticated', { ip: req.ip, path: req.path });
+    req.apiScope = isControlKey ? 'control' : 'read';
+    logger.debug('API authenticated', { ip: req.ip, path: req.path, scope: req.apiScope });
+    next();
+};
+
+// Scope check for routes that change state (use after authenticate)
+const requireControl = (req, res, next) => {
+    if (req.apiScope !== 'control') {
+        logger.warn('API control request with read-only key', { ip: req.ip, path: req.path });
+        return res.status(403).json({
+            error: 'Forbidden',
+            message: 'This API key is read-only. Use a METRICS_CONTROL_API_KEY key.'
+        });
+    }
     next();
 };
 
@@ -396,6 +416,126 @@ app.get('/api/stats/realtime', authenticate, (req, res) => {
     }
 });
 
+/**
+ * Lavalink node management (same operations as /nodes)
+ */
+
+/**
+ * Music manager of the running bot, or a 503 response
+ * @param {import('express').Response} res
+ * @returns {Object|null}
+ */
+function getMusicManager(res) {
+    const musicManager = app.locals.client?.musicManager;
+    if (!musicManager) {
+        res.status(503).json({
+            success: false,
+            error: 'Music system not available',
+            message: 'Music manager not initialized'
+        });
+        return null;
+    }
+    return musicManager;
+}
+
+// Node pool overview
+app.get('/api/nodes', authenticate, (req, res) => {
+    const musicManager = getMusicManager(res);
+    if (!musicManager) return;
+
+    try {
+        res.json({ success: true, timestamp: new Date().toISOString(), ...musicManager.getNodeOverview() });
+    } catch (error) {
+        sendApiError(res, error, 'node report');
+    }
+});
+
+// Add a node: { name, url, password, secure? }
+app.post('/api/nodes', strictLimiter, authenticate, requireControl, (req, res) => {
+    const musicManager = getMusicManager(res);
+    if (!musicManager) return;
+
+    try {
+        const { name, url, password = null, secure = false } = req.body || {};
+        musicManager.addNode({ name, url, auth: password, secure: secure === true }, 'api');
+        res.status(201).json({ success: true, name });
+    } catch (error) {
+        sendApiError(res, error, 'node add');
+    }
+});
+
+// Move players off a node, then remove it
+app.delete('/api/nodes/:name', strictLimiter, authenticate, requireControl, async (req, res) => {
+    const musicManager = getMusicManager(res);
+    if (!musicManager) return;
+
+    try {
+        const result = await musicManager.removeNode(req.params.name, 'api');
+        res.json({ success: true, ...result });
+    } catch (error) {
+        sendApiError(res, error, 'node remove');
+    }
+});
+
+// Move players off a node for maintenance
+app.post('/api/nodes/:name/drain', strictLimiter, authenticate, requireControl, async (req, res) => {
+    const musicManager = getMusicManager(res);
+    if (!musicManager) return;
+
+    try {
+        if (!musicManager.shoukaku.nodes.has(req.params.name)) {
+            throw new NodeNotFoundError(req.params.name);
+        }
+        const result = await musicManager.drainNode(req.params.name);
+        if (result.targetless) {
+            throw new NodeChangeError('no_target', { name: req.params.name, count: result.total });
+        }
+        res.json({ success: true, ...result });
+    } catch (error) {
+        sendApiError(res, error, 'node drain');
+    }
+});
+
+// Blacklist a node: { minutes?, reason? }
+app.post('/api/nodes/:name/blacklist', strictLimiter, authenticate, requireControl, (req, res) => {
+    const musicManager = getMusicManager(res);
+    if (!musicManager) return;
+
+    try {
+        const { minutes = MUSIC_MANAGER.NODE_BLACKLIST_DEFAULT_MINUTES, reason = 'manual' } = req.body || {};
+        if (!Number.isInteger(minutes) || minutes < 1 || minutes > MUSIC_MANAGER.NODE_BLACKLIST_MAX_MINUTES) {
+            throw new ValidationError(
+                `minutes must be an integer from 1 to ${MUSIC_MANAGER.NODE_BLACKLIST_MAX_MINUTES}`,
+                'minutes'
+            );
+        }
+        musicManager.blacklistNode(req.params.name, String(reason).slice(0, 100), minutes * 60 * 1000);
+        res.json({ success: true, name: req.params.name, minutes });
+    } catch (error) {
+        sendApiError(res, error, 'node blacklist');
+    }
+});
+
+// Remove a node from the blacklist
+app.delete('/api/nodes/:name/blacklist', strictLimiter, authenticate, requireControl, (req, res) => {
+    const musicManager = getMusicManager(res);
+    if (!musicManager) return;
+
+    try {
+        if (!musicManager.unblacklistNode(req.params.name)) {
+            throw new NodeChangeError('not_blacklisted', { name: req.params.name });
+        }
+        res.json({ success: true, name: req.params.name });
+    } catch (error) {
+        sendApiError(res, error, 'node unblacklist');
+    }
+});
+
+/**
+ * Playback control (v1): queues, now playing, add/remove/move tracks, skip, pause/resume, seek, volume
+ */
+app.use('/api/v1', createPlaybackRouter({ authenticate, requireControl, controlLimiter: strictLimiter }));
+
 /**
  * Helper Functions
  */
@@ -447,6 +587,26 @@ export function startMetricsServer(client) {
     VALID_API_KEYS = API_KEY.split(',').map(k => k.trim());
     logger.info(`Metrics API initialized with ${VALID_API_KEYS.length} API key(s)`);
 
+    // Control keys (optional): without them the playback control API and node changes are disabled
+    CONTROL_API_KEYS = process.env.METRICS_CONTROL_API_KEY
+        ? process.env.METRICS_CONTROL_API_KEY.split(',')
+              .map(k => k.trim())
+              .filter(Boolean)
+        : [];
+    if (CONTROL_API_KEYS.some(k => k.length < 32)) {
+        logger.error('Every METRICS_CONTROL_API_KEY key must be at least 32 characters long for security');
+        throw new Error('METRICS_CONTROL_API_KEY too short (minimum 32 characters)');
+    }
+    if (CONTROL_API_KEYS.some(k => VALID_API_KEYS.includes(k))) {
+        logger.error('METRICS_CONTROL_API_KEY keys must differ from the read-only METRICS_API_KEY keys');
+        throw new Error('METRICS_CONTROL_API_KEY reuses a read-only key');
+    }
+    if (CONTROL_API_KEYS.length > 0) {
+        logger.info(`Playback control API enabled with ${CONTROL_API_KEYS.length} control key(s)`);
+    } else {
+        logger.info('Playback control API is read-only (set METRICS_CONTROL_API_KEY to allow control)');
+    }
+
     // IP Whitelist (optional, empty = allow all)
     IP_WHITELIST = process.env.METRICS_ALLOWED_IPS
         ? process.env.METRICS_ALLOWED_IPS.split(',').map(ip => ip.trim())
@@ -465,6 +625,7 @@ export function startMetricsServer(client) {
         logger.info(`Metrics API server started on 127.0.0.1:${PORT}`);
         logger.info(`Health check: http://127.0.0.1:${PORT}/health`);
         logger.info(`Metrics endpoint: http://127.0.0.1:${PORT}/api/metrics`);
+        logger.info(`Playback API: http://127.0.0.1:${PORT}/api/v1/queues`);
     });
 
     server.on('error', error => {
@@ -0,0 +1,407 @@
+/**
+ * Playback Control API (v1)
+ * Lets the stream overlay and the launcher drive playback without Discord.
+ * Read routes accept any API key; routes that change playback need a control key.
+ * Every change goes through the guild's EnhancedQueue, exactly like the slash commands.
+ */
+
+import express from 'express';
+import {
+    ValidationError,
+    PermissionError,
+    ResourceNotFoundError,
+    NoSearchResultsError,
+    NothingPlayingError,
+    DuplicateTrackError,
+    QueueFullError,
+    RequestLimitError,
+    QuizInProgressError,
+    ContentBlockedError,
+    assertQueued
+} from '../utils/errors.js';
+import { requireNoQuiz } from '../middleware/queueCheck.js';
+import { assertNotBlocked } from '../utils/content-filter.js';
+import { CONTROL_API, VOLUME } from '../utils/constants.js';
+import AuditLog, { AUDIT_ACTIONS } from '../database/models/AuditLog.js';
+import logger from '../utils/logger.js';
+
+const SHOW_ERROR_DETAILS = process.env.SHOW_ERROR_DETAILS === 'true';
+
+/** Requester recorded on tracks added without a requesterId (like 'autoplay') */
+const API_REQUESTER = 'api';
+
+/**
+ * Respond to a failed API operation, mapping bot errors to HTTP statuses
+ * @param {import('express').Response} res
+ * @param {Error} error
+ * @param {string} action - For the log line
+ */
+export function sendApiError(res, error, action) {
+    let mapped = null;
+    if (error instanceof ValidationError) mapped = [400, 'Bad request'];
+    else if (error instanceof PermissionError || error instanceof ContentBlockedError) mapped = [403, 'Forbidden'];
+    else if (error instanceof ResourceNotFoundError) mapped = [404, 'Not found'];
+    else if (error instanceof QueueFullError || error instanceof RequestLimitError) mapped = [409, 'Conflict'];
+    else if (error instanceof QuizInProgressError) mapped = [409, 'Conflict'];
+
+    if (!mapped) {
+        logger.error(`Error during API ${action}:`, error);
+        return res.status(500).json({
+            success: false,
+            error: 'Internal server error',
+            message: SHOW_ERROR_DETAILS ? error.message : 'An unexpected error occurred'
+        });
+    }
+
+    const [code, label] = mapped;
+    res.status(code).json({
+        success: false,
+        error: label,
+        code: error.code,
+        // Messages are written for Discord embeds, API clients get them without bold markers
+        message: error.localize('en').message.replace(/\*\*/g, '')
+    });
+}
+
+/**
+ * Reject a request that cannot be carried out in the queue's current state
+ * @param {import('express').Response} res
+ * @param {string} message
+ */
+function sendConflict(res, message) {
+    res.status(409).json({ success: false, error: 'Conflict', message });
+}
+
+/**
+ * Plain JSON view of a track
+ * @param {Object} track
+ * @returns {Object}
+ */
+function serializeTrack(track) {
+    const requester = track.requester || track.requesterId || null;
+    return {
+        title: track.info?.title || 'Unknown Track',
+        author: track.info?.author || null,
+        uri: track.info?.uri || null,
+        identifier: track.info?.identifier || null,
+        source: track.info?.sourceName || null,
+        length: track.info?.length || 0,
+        isStream: Boolean(track.info?.isStream),
+        artworkUrl: track.info?.artworkUrl || null,
+        requesterId: (typeof requester === 'string' ? requester : requester?.id) || null
+    };
+}
+
+/**
+ * Now-playing state of a queue
+ * @param {Object} queue - EnhancedQueue instance
+ * @returns {Object|null} Null when nothing is playing
+ */
+function serializeNowPlaying(queue) {
+    if (!queue.current) return null;
+    return {
+        track: serializeTrack(queue.current),
+        position: queue.player?.position || 0,
+        paused: queue.paused
+    };
+}
+
+/**
+ * Summary of a queue for the queue list
+ * @param {Object} queue - EnhancedQueue instance
+ * @param {Object} client - Discord client
+ * @returns {Object}
+ */
+function serializeQueueSummary(queue, client) {
+    return {
+        guildId: queue.guildId,
+        guildName: client.guilds?.cache?.get(queue.guildId)?.name || null,
+        voiceChannelId: queue.voiceChannelId,
+        node: queue.player?.node?.name || null,
+        nowPlaying: serializeNowPlaying(queue),
+        size: queue.tracks.length,
+        volume: queue.volume,
+        loop: queue.loop,
+        autoplay: Boolean(queue.autoplay)
+    };
+}
+
+/**
+ * Parse a 1-based queue position from the request
+ * @param {*} value - Raw value
+ * @param {Object} queue - EnhancedQueue instance
+ * @param {string} field - Field name for the error
+ * @returns {number} 0-based index
+ * @throws {ValidationError}
+ */
+function parsePosition(value, queue, field) {
+    const position = Number(value);
+    if (!Number.isInteger(position) || position < 1 || position > queue.tracks.length) {
+        throw new ValidationError(`${field} must be a queue position from 1 to ${queue.tracks.length}`, field);
+    }
+    return position - 1;
+}
+
+/**
+ * Audit trail entry for an API change, with the caller's address
+ * @param {import('express').Request} req
+ * @param {string} action - AUDIT_ACTIONS value
+ * @param {Object} details
+ */
+function audit(req, action, details) {
+    AuditLog.log(action, API_REQUESTER, req.params.guildId, {
+        details: { via: 'api', ...details },
+        ipAddress: req.ip,
+        userAgent: req.get('user-agent')
+    });
+}
+
+/**
+ * Build the v1 playback router
+ * @param {Object} middleware
+ * @param {Function} middleware.authenticate - API key check (sets req.apiScope)
+ * @param {Function} middleware.requireControl - Rejects read-only keys
+ * @param {Function} middleware.controlLimiter - Rate limiter for playback changes
+ * @returns {import('express').Router}
+ */
+export function createPlaybackRouter({ authenticate, requireControl, controlLimiter }) {
+    const router = express.Router();
+    router.use(authenticate);
+
+    const control = [controlLimiter, requireControl];
+
+    /**
+     * Queue of the guild in the path
+     * @throws {ResourceNotFoundError}
+     */
+    const requireQueue = req => {
+        const queue = req.app.locals.client?.musicManager?.getQueue(req.params.guildId);
+        if (!queue) {
+            throw new ResourceNotFoundError('No active queue in this guild', 'queue');
+        }
+        return queue;
+    };
+
+    // Active queues
+    router.get('/queues', (req, res) => {
+        try {
+            const client = req.app.locals.client;
+            const queues = [...(client?.musicManager?.queues?.values() || [])];
+            res.json({ success: true, queues: queues.map(queue => serializeQueueSummary(queue, client)) });
+        } catch (error) {
+            sendApiError(res, error, 'queue list');
+        }
+    });
+
+    // One queue with its upcoming tracks (?offset=0&limit=50)
+    router.get('/queues/:guildId', (req, res) => {
+        try {
+            const queue = requireQueue(req);
+            const offset = Math.max(0, parseInt(req.query.offset, 10) || 0);
+            const limit = Math.min(
+                CONTROL_API.MAX_TRACKS_LISTED,
+                Math.max(1, parseInt(req.query.limit, 10) || CONTROL_API.MAX_TRACKS_LISTED)
+            );
+
+            res.json({
+                success: true,
+                ...serializeQueueSummary(queue, req.app.locals.client),
+                offset,
+                tracks: queue.tracks.slice(offset, offset + limit).map((track, i) => ({
+                    position: offset + i + 1,
+                    ...serializeTrack(track)
+                }))
+            });
+        } catch (error) {
+            sendApiError(res, error, 'queue fetch');
+        }
+    });
+
+    // Current track and position
+    router.get('/queues/:guildId/now-playing', (req, res) => {
+        try {
+            const queue = requireQueue(req);
+            const nowPlaying = serializeNowPlaying(queue);
+            if (!nowPlaying) throw new NothingPlayingError();
+            res.json({ success: true, ...nowPlaying });
+        } catch (error) {
+            sendApiError(res, error, 'now playing');
+        }
+    });
+
+    // Add by search query or URL: { query, requesterId?, position? }
+    router.post('/queues/:guildId/tracks', ...control, async (req, res) => {
+        try {
+            const queue = requireQueue(req);
+            const { query, requesterId = null, position = null } = req.body || {};
+
+            if (typeof query !== 'string' || !query.trim() || query.length > CONTROL_API.MAX_QUERY_LENGTH) {
+                throw new ValidationError(
+                    `query must be a non-empty string of at most ${CONTROL_API.MAX_QUERY_LENGTH} characters`,
+                    'query'
+                );
+            }
+            if (requesterId !== null && !/^\d{17,20}$/.test(String(requesterId))) {
+                throw new ValidationError('requesterId must be a Discord user ID', 'requesterId');
+            }
+            if (position !== null && (!Number.isInteger(position) || position < 1)) {
+                throw new ValidationError('position must be a positive integer', 'position');
+            }
+
+            const requester = requesterId ? String(requesterId) : API_REQUESTER;
+            const result = await req.app.locals.client.musicManager.search(query.trim(), requester, {
+                guildId: queue.guildId
+            });
+            assertNotBlocked(result);
+            if (!result?.tracks?.length) throw new NoSearchResultsError(query);
+
+            const tracks = result.loadType === 'playlist' ? result.tracks : [result.tracks[0]];
+
+            const addResult = queue.add(tracks, position !== null ? { position: position - 1 } : {});
+            assertQueued(addResult);
+            if (addResult.added === 0) throw new DuplicateTrackError(tracks[0].info?.title);
+
+            if (!queue.current) {
+                await queue.play();
+            }
+
+            const playlist = result.loadType === 'playlist' ? result.playlistInfo?.name || null : null;
+            audit(req, AUDIT_ACTIONS.ADD, {
+                added: addResult.added,
+                ...(playlist ? { playlist } : { title: tracks[0].info?.title }),
+                position: addResult.index + 1,
+                requester
+            });
+            logger.info('Tracks added through the playback API', {
+                guildId: queue.guildId,
+                added: addResult.added,
+                requester
+            });
+            res.status(201).json({
+                success: true,
+                added: addResult.added,
+                skipped: addResult.skipped,
+                position: addResult.index + 1,
+                playlist,
+                tracks: tracks.slice(0, CONTROL_API.MAX_TRACKS_LISTED).map(serializeTrack)
+            });
+        } catch (error) {
+            sendApiError(res, error, 'track add');
+        }
+    });
+
+    // Remove an upcoming track by 1-based position
+    router.delete('/queues/:guildId/tracks/:position', ...control, (req, res) => {
+        try {
+            const queue = requireQueue(req);
+            const index = parsePosition(req.params.position, queue, 'position');
+            const removed = queue.remove(index);
+
+            audit(req, AUDIT_ACTIONS.REMOVE, { position: index + 1, title: removed?.info?.title });
+            res.json({ success: true, removed: removed ? serializeTrack(removed) : null });
+        } catch (error) {
+            sendApiError(res, error, 'track remove');
+        }
+    });
+
+    // Reorder: { from, to } (1-based positions)
+    router.post('/queues/:guildId/move', ...control, (req, res) => {
+        try {
+            const queue = requireQueue(req);
+            const from = parsePosition(req.body?.from, queue, 'from');
+            const to = parsePosition(req.body?.to, queue, 'to');
+            queue.move(from, to);
+
+            audit(req, AUDIT_ACTIONS.MOVE, { from: from + 1, to: to + 1 });
+            res.json({ success: true, from: from + 1, to: to + 1 });
+        } catch (error) {
+            sendApiError(res, error, 'track move');
+        }
+    });
+
+    router.post('/queues/:guildId/skip', ...control, async (req, res) => {
+        try {
+            const queue = requireQueue(req);
+            if (!queue.current) throw new NothingPlayingError();
+            requireNoQuiz(queue);
+
+            const skipped = queue.current;
+            if (!(await queue.skip())) return sendConflict(res, 'Skip failed');
+
+            audit(req, AUDIT_ACTIONS.SKIP, { title: skipped.info?.title });
+            res.json({ success: true, skipped: serializeTrack(skipped) });
+        } catch (error) {
+            sendApiError(res, error, 'skip');
+        }
+    });
+
+    router.post('/queues/:guildId/pause', ...control, async (req, res) => {
+        try {
+            const queue = requireQueue(req);
+            if (!queue.current) throw new NothingPlayingError();
+            requireNoQuiz(queue);
+            if (!(await queue.pause())) return sendConflict(res, 'Playback is already paused');
+            res.json({ success: true, paused: true });
+        } catch (error) {
+            sendApiError(res, error, 'pause');
+        }
+    });
+
+    router.post('/queues/:guildId/resume', ...control, async (req, res) => {
+        try {
+            const queue = requireQueue(req);
+            if (!queue.current) throw new NothingPlayingError();
+            requireNoQuiz(queue);
+            if (!(await queue.resume())) return sendConflict(res, 'Playback is not paused');
+            res.json({ success: true, paused: false });
+        } catch (error) {
+            sendApiError(res, error, 'resume');
+        }
+    });
+
+    // Seek: { position } in milliseconds
+    router.post('/queues/:guildId/seek', ...control, async (req, res) => {
+        try {
+            const queue = requireQueue(req);
+            if (!queue.current) throw new NothingPlayingError();
+            requireNoQuiz(queue);
+
+            const position = req.body?.position;
+            const length = queue.current.info?.length || 0;
+            if (!queue.current.info?.isSeekable || queue.current.info?.isStream) {
+                throw new ValidationError('The current track cannot be seeked', 'position');
+            }
+            if (!Number.isInteger(position) || position < 0 || position > length) {
+                throw new ValidationError(`position must be from 0 to ${length} milliseconds`, 'position');
+            }
+            if (!(await queue.seek(position))) return sendConflict(res, 'Seek failed');
+
+            res.json({ success: true, position });
+        } catch (error) {
+            sendApiError(res, error, 'seek');
+        }
+    });
+
+    // Volume: { volume } in the /volume range
+    router.post('/queues/:guildId/volume', ...control, async (req, res) => {
+        try {
+            const queue = requireQueue(req);
+            const volume = req.body?.volume;
+            if (!Number.isInteger(volume) || volume < VOLUME.MIN || volume > VOLUME.MAX) {
+                throw new ValidationError(`volume must be an integer from ${VOLUME.MIN} to ${VOLUME.MAX}`, 'volume');
+            }
+
+            const previousVolume = queue.volume;
+            const applied = await queue.setVolume(volume);
+
+            audit(req, AUDIT_ACTIONS.VOLUME, { from: previousVolume, to: applied });
+            res.json({ success: true, volume: applied });
+        } catch (error) {
+            sendApiError(res, error, 'volume');
+        }
+    });
+
+    return router;
+}
+
+export default createPlaybackRouter;
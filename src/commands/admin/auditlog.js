@@ -0,0 +1,286 @@
+/**
+ * Audit Log Command
+ * Browse recorded DJ and moderation actions (skips, stops, queue edits, volume, filters, settings)
+ */
+
+import { SlashCommandBuilder, EmbedBuilder, PermissionFlagsBits } from 'discord.js';
+import AuditLog, { AUDIT_ACTIONS } from '../../database/models/AuditLog.js';
+import { sendErrorResponse } from '../../UI/embeds/ErrorEmbeds.js';
+import { ValidationError } from '../../utils/errors.js';
+import { t, getLocale, localizations } from '../../utils/i18n.js';
+import logger from '../../utils/logger.js';
+
+const PAGE_SIZE = 10;
+
+/** Time range choices, in milliseconds (labels: command.auditlog.range_<key>) */
+const RANGES = {
+    '1h': 60 * 60 * 1000,
+    '24h': 24 * 60 * 60 * 1000,
+    '7d': 7 * 24 * 60 * 60 * 1000,
+    '30d': 30 * 24 * 60 * 60 * 1000
+};
+
+/**
+ * Display label for a recorded action
+ * @param {string} action - Action type
+ * @param {string} locale - Locale code
+ * @returns {string}
+ */
+function actionLabel(action, locale) {
+    const key = `command.auditlog.action_${action}`;
+    const label = t(key, locale);
+    return label === key ? action : label;
+}
+
+export default {
+    data: new SlashCommandBuilder()
+        .setName('auditlog')
+        .setDescription('Xem nhật ký thao tác DJ và quản lý trong server (Admin)')
+        .setDescriptionLocalizations(localizations('command.auditlog.description'))
+        .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild)
+        .addUserOption(option =>
+            option
+                .setName('user')
+                .setDescription('Lọc theo người thực hiện')
+                .setDescriptionLocalizations(localizations('command.auditlog.user_option'))
+        )
+        .addStringOption(option =>
+            option
+                .setName('action')
+                .setDescription('Lọc theo loại thao tác')
+                .setDescriptionLocalizations(localizations('command.auditlog.action_option'))
+                .addChoices(
+                    ...Object.values(AUDIT_ACTIONS).map(value => ({
+                        name: t(`command.auditlog.action_${value}`),
+                        name_localizations: localizations(`command.auditlog.action_${value}`),
+                        value
+                    }))
+                )
+        )
+        .addStringOption(option =>
+            option
+                .setName('range')
+                .setDescription('Khoảng thời gian (mặc định: tất cả)')
+                .setDescriptionLocalizations(localizations('command.auditlog.range_option'))
+                .addChoices(
+                    ...Object.keys(RANGES).map(value => ({
+                        name: t(`command.auditlog.range_${value}`),
+                        name_localizations: localizations(`command.auditlog.range_${value}`),
+                        value
+                    }))
+                )
+        )
+        .addStringOption(option =>
+            option
+                .setName('since')
+                .setDescription('Từ thời điểm (YYYY-MM-DD hoặc YYYY-MM-DD HH:MM, giờ UTC)')
+                .setDescriptionLocalizations(localizations('command.auditlog.since_option'))
+        )
+        .addStringOption(option =>
+            option
+                .setName('until')
+                .setDescription('Đến thời điểm (YYYY-MM-DD hoặc YYYY-MM-DD HH:MM, giờ UTC)')
+                .setDescriptionLocalizations(localizations('command.auditlog.until_option'))
+        )
+        .addIntegerOption(option =>
+            option
+                .setName('page')
+                .setDescription('Trang')
+                .setDescriptionLocalizations(localizations('command.auditlog.page_option'))
+                .setMinValue(1)
+        ),
+
+    async execute(interaction, client) {
+        try {
+            const locale = getLocale(interaction);
+
+            if (!interaction.member.permissions.has(PermissionFlagsBits.ManageGuild)) {
+                throw new ValidationError(t('command.auditlog.no_permission', locale));
+            }
+
+            await interaction.deferReply({ ephemeral: true });
+
+            const user = interaction.options.getUser('user');
+            const action = interaction.options.getString('action');
+            const range = interaction.options.getString('range');
+            const page = interaction.options.getInteger('page') || 1;
+
+            // An explicit `since` takes precedence over the preset range
+            const sinceOption = interaction.options.getString('since');
+            const since =
+                parseDateOption(sinceOption, 'since', locale) ||
+                (range ? new Date(Date.now() - RANGES[range]).toISOString() : null);
+            const until = parseDateOption(interaction.options.getString('until'), 'until', locale);
+
+            if (since && until && since >= until) {
+                throw new ValidationError(t('command.auditlog.invalid_range', locale));
+            }
+
+            const filters = {
+                guildId: interaction.guildId,
+                userId: user?.id || null,
+                action,
+                since,
+                until
+            };
+
+            const total = AuditLog.count(filters);
+            const totalPages = Math.max(1, Math.ceil(total / PAGE_SIZE));
+            const currentPage = Math.min(page, totalPages);
+
+            const logs = AuditLog.getLogs({
+                ...filters,
+                limit: PAGE_SIZE,
+                offset: (currentPage - 1) * PAGE_SIZE
+            });
+
+            const filterSummary = [
+                user ? `👤 ${user}` : null,
+                action ? actionLabel(action, locale) : null,
+                sinceOption
+                    ? t('command.auditlog.since', locale, { time: formatTimestamp(since) })
+                    : range
+                      ? `🕐 ${t(`command.auditlog.range_${range}`, locale)}`
+                      : null,
+                until ? t('command.auditlog.until', locale, { time: formatTimestamp(until) }) : null
+            ]
+                .filter(Boolean)
+                .join(' • ');
+
+            const embed = new EmbedBuilder()
+                .setColor(client.config.bot.color)
+                .setTitle(t('command.auditlog.title', locale))
+                .setDescription(
+                    (filterSummary ? `${filterSummary}\n\n` : '') +
+                        (logs.length > 0
+                            ? logs.map(log => formatEntry(log, locale)).join('\n\n')
+                            : t('command.auditlog.empty', locale))
+                )
+                .setFooter({
+                    text: t('command.auditlog.footer', locale, {
+                        footer: client.config.bot.footer,
+                        page: currentPage,
+                        pages: totalPages,
+                        total
+                    })
+                })
+                .setTimestamp();
+
+            await interaction.editReply({ embeds: [embed] });
+
+            logger.command('auditlog', interaction.user.id, interaction.guildId);
+        } catch (error) {
+            await sendErrorResponse(interaction, error, client.config, true);
+        }
+    }
+};
+
+/**
+ * Parse a user-supplied date option (interpreted as UTC)
+ * @param {string|null} value - Raw option value
+ * @param {string} name - Option name, for the error message
+ * @param {string} locale - Locale code
+ * @returns {string|null} ISO string or null
+ */
+function parseDateOption(value, name, locale) {
+    if (!value) return null;
+
+    const match = value.trim().match(/^(\d{4}-\d{2}-\d{2})(?:[ T](\d{1,2}:\d{2}))?$/);
+    const date = match ? new Date(`${match[1]}T${(match[2] || '00:00').padStart(5, '0')}:00Z`) : null;
+
+    if (!date || isNaN(date.getTime())) {
+        throw new ValidationError(t('command.auditlog.invalid_date', locale, { name }));
+    }
+
+    return date.toISOString();
+}
+
+/**
+ * Convert a date to a Discord timestamp tag
+ * @param {string} value - ISO string or SQLite 'YYYY-MM-DD HH:MM:SS' (UTC)
+ * @param {string} style - Discord timestamp style
+ * @returns {string}
+ */
+function formatTimestamp(value, style = 'f') {
+    const iso = value.includes('T') ? value : `${value.replace(' ', 'T')}Z`;
+    return `<t:${Math.floor(new Date(iso).getTime() / 1000)}:${style}>`;
+}
+
+/**
+ * Format one audit log entry for the embed
+ * @param {Object} log - Entry from AuditLog.getLogs
+ * @param {string} locale - Locale code
+ * @returns {string}
+ */
+function formatEntry(log, locale) {
+    const details = log.details || {};
+    const label = actionLabel(log.action, locale);
+    const lines = [`**${label}** • <@${log.user_id}> • ${formatTimestamp(log.created_at, 'R')}`];
+
+    if (details.track) {
+        const title = details.track.length > 60 ? `${details.track.slice(0, 59)}…` : details.track;
+        lines.push(`└ 🎵 ${log.target_id ? `[${title}](${log.target_id})` : title}`);
+    }
+
+    const extra = describeDetails(log.action, details, locale);
+    if (extra) {
+        lines.push(`└ ${extra}`);
+    }
+
+    return lines.join('\n');
+}
+
+/**
+ * Summarize action-specific details
+ * @param {string} action - Action type
+ * @param {Object} details - Parsed details
+ * @param {string} locale - Locale code
+ * @returns {string|null}
+ */
+function describeDetails(action, details, locale) {
+    switch (action) {
+        case AUDIT_ACTIONS.VOTE_SKIP:
+            return details.votes !== undefined
+                ? t('command.auditlog.votes', locale, { votes: details.votes, required: details.requiredVotes })
+                : null;
+        case AUDIT_ACTIONS.STOP:
+        case AUDIT_ACTIONS.CLEAR:
+            return details.clearedTracks !== undefined
+                ? t('command.auditlog.cleared', locale, { count: details.clearedTracks })
+                : null;
+        case AUDIT_ACTIONS.ADD:
+            return t(details.playlist ? 'command.auditlog.added_playlist' : 'command.auditlog.added_track', locale, {
+                name: details.playlist ?? details.title ?? '?',
+                count: details.added,
+                position: details.position
+            });
+        case AUDIT_ACTIONS.REMOVE:
+            return details.position !== undefined
+                ? t('command.auditlog.position', locale, { position: details.position })
+                : null;
+        case AUDIT_ACTIONS.MOVE:
+            return `#${details.from} → #${details.to}`;
+        case AUDIT_ACTIONS.UNDO:
+            return t(details.restored > 0 ? 'command.auditlog.undone_restored' : 'command.auditlog.undone', locale, {
+                action: details.action,
+                user: details.changedBy ? `<@${details.changedBy}>` : t('command.undo.someone', locale),
+                count: details.restored
+            });
+        case AUDIT_ACTIONS.VOLUME:
+            return `${details.from ?? '?'}% → ${details.to}%`;
+        case AUDIT_ACTIONS.FILTER: {
+            const value = details.value ?? details.enabled;
+            return `\`${details.filter}\`${value !== undefined ? ` = ${value}` : ''}`;
+        }
+        case AUDIT_ACTIONS.SETTINGS:
+        case AUDIT_ACTIONS.CONTENT_FILTER: {
+            const { setting, ...changes } = details;
+            const values = Object.entries(changes)
+                .map(([key, value]) => `${key}: \`${value}\``)
+                .join(', ');
+            return `\`${setting}\`${values ? ` — ${values}` : ''}`;
+        }
+        default:
+            return null;
+    }
+}
@@ -0,0 +1,328 @@
+/**
+ * Content Filter Command
+ * Manage the per-guild content filter (keyword categories, custom blacklist/whitelist)
+ */
+
+import { SlashCommandBuilder, EmbedBuilder, PermissionFlagsBits } from 'discord.js';
+import AuditLog, { AUDIT_ACTIONS } from '../../database/models/AuditLog.js';
+import { sendErrorResponse } from '../../UI/embeds/ErrorEmbeds.js';
+import { ValidationError } from '../../utils/errors.js';
+import { ContentCategory, contentFilterConfig, getFilterStats } from '../../utils/content-filter.js';
+import { COLORS } from '../../config/design-system.js';
+import { t, getLocale, localizations } from '../../utils/i18n.js';
+import logger from '../../utils/logger.js';
+
+const MAX_TERMS_PER_LIST = 100;
+const MAX_TERM_LENGTH = 100;
+
+/** Terms shown per list in /contentfilter status */
+const STATUS_TERM_PREVIEW = 20;
+
+/**
+ * Build the add/remove + term options shared by the blacklist and whitelist subcommands
+ * @param {import('discord.js').SlashCommandSubcommandBuilder} subcommand
+ * @returns {import('discord.js').SlashCommandSubcommandBuilder}
+ */
+function addTermOptions(subcommand) {
+    return subcommand
+        .addStringOption(option =>
+            option
+                .setName('action')
+                .setDescription('Thêm hoặc xóa')
+                .setDescriptionLocalizations(localizations('command.contentfilter.action_option'))
+                .setRequired(true)
+                .addChoices(
+                    {
+                        name: t('command.contentfilter.action_add'),
+                        name_localizations: localizations('command.contentfilter.action_add'),
+                        value: 'add'
+                    },
+                    {
+                        name: t('command.contentfilter.action_remove'),
+                        name_localizations: localizations('command.contentfilter.action_remove'),
+                        value: 'remove'
+                    }
+                )
+        )
+        .addStringOption(option =>
+            option
+                .setName('term')
+                .setDescription('Từ khóa (không phân biệt hoa thường)')
+                .setDescriptionLocalizations(localizations('command.contentfilter.term_option'))
+                .setMinLength(2)
+                .setMaxLength(MAX_TERM_LENGTH)
+                .setRequired(true)
+        );
+}
+
+export default {
+    data: new SlashCommandBuilder()
+        .setName('contentfilter')
+        .setDescription('Quản lý bộ lọc nội dung của server (Admin)')
+        .setDescriptionLocalizations(localizations('command.contentfilter.description'))
+        .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild)
+        .addSubcommand(subcommand => {
+            subcommand
+                .setName('enable')
+                .setDescription('Bật bộ lọc (không chọn danh mục nào = lọc tất cả)')
+                .setDescriptionLocalizations(localizations('command.contentfilter.enable_description'));
+            for (const category of Object.values(ContentCategory)) {
+                subcommand.addBooleanOption(option =>
+                    option
+                        .setName(category)
+                        .setDescription(t(`command.contentfilter.category_${category}`))
+                        .setDescriptionLocalizations(localizations(`command.contentfilter.category_${category}`))
+                );
+            }
+            return subcommand;
+        })
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('disable')
+                .setDescription('Tắt bộ lọc (giữ nguyên danh sách từ khóa)')
+                .setDescriptionLocalizations(localizations('command.contentfilter.disable_description'))
+        )
+        .addSubcommand(subcommand =>
+            addTermOptions(
+                subcommand
+                    .setName('blacklist')
+                    .setDescription('Chặn bài hát có chứa từ khóa')
+                    .setDescriptionLocalizations(localizations('command.contentfilter.blacklist_description'))
+            )
+        )
+        .addSubcommand(subcommand =>
+            addTermOptions(
+                subcommand
+                    .setName('whitelist')
+                    .setDescription('Luôn cho phép bài hát có chứa từ khóa')
+                    .setDescriptionLocalizations(localizations('command.contentfilter.whitelist_description'))
+            )
+        )
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('status')
+                .setDescription('Xem cấu hình bộ lọc hiện tại')
+                .setDescriptionLocalizations(localizations('command.contentfilter.status_description'))
+        ),
+
+    async execute(interaction, client) {
+        try {
+            const locale = getLocale(interaction);
+
+            if (!interaction.member.permissions.has(PermissionFlagsBits.ManageGuild)) {
+                throw new ValidationError(t('command.contentfilter.no_permission', locale));
+            }
+
+            await interaction.deferReply({ ephemeral: true });
+
+            const subcommand = interaction.options.getSubcommand();
+            switch (subcommand) {
+                case 'enable':
+                    await handleEnable(interaction, client, locale);
+                    break;
+                case 'disable':
+                    await handleDisable(interaction, client, locale);
+                    break;
+                case 'blacklist':
+                case 'whitelist':
+                    await handleTermList(interaction, client, locale, subcommand);
+                    break;
+                case 'status':
+                    await handleStatus(interaction, client, locale);
+                    break;
+                default:
+                    throw new ValidationError(t('command.settings.invalid_subcommand', locale));
+            }
+
+            logger.command(`contentfilter-${subcommand}`, interaction.user.id, interaction.guildId);
+        } catch (error) {
+            await sendErrorResponse(interaction, error, client.config, true);
+        }
+    }
+};
+
+/**
+ * Record a content filter change in the audit log
+ * @param {Interaction} interaction
+ * @param {Object} changes - What changed
+ */
+function logFilterChange(interaction, changes) {
+    AuditLog.log(AUDIT_ACTIONS.CONTENT_FILTER, interaction.user.id, interaction.guildId, {
+        details: { setting: interaction.options.getSubcommand(), ...changes }
+    });
+}
+
+/**
+ * Format a list of categories for display
+ * @param {string[]} categories
+ * @param {string} locale - Locale code
+ * @returns {string}
+ */
+function formatCategories(categories, locale) {
+    if (categories.length === 0) {
+        return t('command.contentfilter.no_categories', locale);
+    }
+    return categories.map(category => `• ${t(`command.contentfilter.category_${category}`, locale)}`).join('\n');
+}
+
+/**
+ * Enable filtering with the chosen categories
+ */
+async function handleEnable(interaction, client, locale) {
+    const allCategories = Object.values(ContentCategory);
+    const chosen = allCategories.filter(category => interaction.options.getBoolean(category) === true);
+    const anySpecified = allCategories.some(category => interaction.options.getBoolean(category) !== null);
+    const categories = anySpecified ? chosen : allCategories;
+
+    if (!contentFilterConfig.enable(interaction.guildId, categories)) {
+        throw new Error(t('command.contentfilter.update_failed', locale));
+    }
+
+    logFilterChange(interaction, { categories: categories.join(',') || 'none' });
+
+    const embed = new EmbedBuilder()
+        .setColor(COLORS.SUCCESS)
+        .setTitle(t('command.contentfilter.enabled_title', locale))
+        .setDescription(
+            t('command.contentfilter.enabled_desc', locale, { categories: formatCategories(categories, locale) })
+        )
+        .setFooter({ text: client.config.bot.footer })
+        .setTimestamp();
+
+    await interaction.editReply({ embeds: [embed] });
+}
+
+/**
+ * Disable filtering
+ */
+async function handleDisable(interaction, client, locale) {
+    if (!contentFilterConfig.disable(interaction.guildId)) {
+        throw new Error(t('command.contentfilter.update_failed', locale));
+    }
+
+    logFilterChange(interaction, {});
+
+    const embed = new EmbedBuilder()
+        .setColor(COLORS.INFO)
+        .setTitle(t('command.contentfilter.disabled_title', locale))
+        .setDescription(t('command.contentfilter.disabled_desc', locale))
+        .setFooter({ text: client.config.bot.footer })
+        .setTimestamp();
+
+    await interaction.editReply({ embeds: [embed] });
+}
+
+/**
+ * Add or remove a blacklist/whitelist term
+ * @param {string} listType - 'blacklist' or 'whitelist'
+ */
+async function handleTermList(interaction, client, locale, listType) {
+    const action = interaction.options.getString('action');
+    const term = interaction.options.getString('term').trim().toLowerCase();
+    const guildId = interaction.guildId;
+
+    if (term.length < 2) {
+        throw new ValidationError(t('command.contentfilter.term_too_short', locale), 'term');
+    }
+
+    const current =
+        listType === 'blacklist'
+            ? contentFilterConfig.getBlacklist(guildId)
+            : contentFilterConfig.getWhitelist(guildId);
+    const exists = current.includes(term);
+
+    if (action === 'add') {
+        if (exists) {
+            throw new ValidationError(t(`command.contentfilter.${listType}_exists`, locale, { term }), 'term');
+        }
+        if (current.length >= MAX_TERMS_PER_LIST) {
+            throw new ValidationError(
+                t('command.contentfilter.list_full', locale, { max: MAX_TERMS_PER_LIST }),
+                'term'
+            );
+        }
+
+        const success =
+            listType === 'blacklist'
+                ? contentFilterConfig.addToBlacklist(guildId, term, interaction.user.id)
+                : contentFilterConfig.addToWhitelist(guildId, term, interaction.user.id);
+        if (!success) {
+            throw new Error(t('command.contentfilter.update_failed', locale));
+        }
+    } else {
+        if (!exists) {
+            throw new ValidationError(t(`command.contentfilter.${listType}_missing`, locale, { term }), 'term');
+        }
+
+        const success =
+            listType === 'blacklist'
+                ? contentFilterConfig.removeFromBlacklist(guildId, term)
+                : contentFilterConfig.removeFromWhitelist(guildId, term);
+        if (!success) {
+            throw new Error(t('command.contentfilter.update_failed', locale));
+        }
+    }
+
+    logFilterChange(interaction, { action, term });
+
+    const { enabled } = getFilterStats(guildId);
+    const embed = new EmbedBuilder()
+        .setColor(COLORS.SUCCESS)
+        .setDescription(
+            t(`command.contentfilter.${listType}_${action === 'add' ? 'added' : 'removed'}`, locale, { term }) +
+                (enabled ? '' : `\n\n${t('command.contentfilter.currently_disabled', locale)}`)
+        )
+        .setFooter({ text: client.config.bot.footer })
+        .setTimestamp();
+
+    await interaction.editReply({ embeds: [embed] });
+}
+
+/**
+ * Show the current configuration
+ */
+async function handleStatus(interaction, client, locale) {
+    const guildId = interaction.guildId;
+    const stats = getFilterStats(guildId);
+
+    const formatTerms = terms => {
+        if (terms.length === 0) return t('command.contentfilter.empty_list', locale);
+        const shown = terms
+            .slice(0, STATUS_TERM_PREVIEW)
+            .map(term => `\`${term}\``)
+            .join(', ');
+        return terms.length > STATUS_TERM_PREVIEW
+            ? `${shown} ${t('command.contentfilter.more_terms', locale, { count: terms.length - STATUS_TERM_PREVIEW })}`
+            : shown;
+    };
+
+    const embed = new EmbedBuilder()
+        .setColor(stats.enabled ? COLORS.SUCCESS : COLORS.INFO)
+        .setTitle(t('command.contentfilter.status_title', locale))
+        .addFields([
+            {
+                name: t('command.contentfilter.field_state', locale),
+                value: t(stats.enabled ? 'command.contentfilter.state_on' : 'command.contentfilter.state_off', locale),
+                inline: false
+            },
+            {
+                name: t('command.contentfilter.field_categories', locale),
+                value: formatCategories(stats.activeCategories, locale),
+                inline: false
+            },
+            {
+                name: t('command.contentfilter.field_blacklist', locale, { count: stats.blacklistSize }),
+                value: formatTerms(contentFilterConfig.getBlacklist(guildId)),
+                inline: false
+            },
+            {
+                name: t('command.contentfilter.field_whitelist', locale, { count: stats.whitelistSize }),
+                value: formatTerms(contentFilterConfig.getWhitelist(guildId)),
+                inline: false
+            }
+        ])
+        .setFooter({ text: client.config.bot.footer })
+        .setTimestamp();
+
+    await interaction.editReply({ embeds: [embed] });
+}
@@ -9,18 +9,22 @@ import {
 import { VERSION } from '../../utils/version.js';
 import { sendErrorResponse } from '../../UI/embeds/ErrorEmbeds.js';
 import logger from '../../utils/logger.js';
+import { t, getLocale, localizations } from '../../utils/i18n.js';
 
 export default {
     data: new SlashCommandBuilder()
         .setName('metrics')
-        .setDescription('Hiển thị dashboard hiệu năng hệ thống (Live Update)'),
+        .setDescription('Hiển thị dashboard hiệu năng hệ thống (Live Update)')
+        .setDescriptionLocalizations(localizations('command.metrics.description')),
 
     async execute(interaction, client) {
         try {
+            const locale = getLocale(interaction);
+
             // Only allow admins to view metrics
             if (!interaction.member.permissions.has('Administrator')) {
                 return interaction.reply({
-                    content: '❌ Bạn cần quyền Administrator để xem metrics!',
+                    content: t('command.metrics.admin_only', locale),
                     ephemeral: true
                 });
             }
@@ -45,7 +49,7 @@ export default {
 
                 if (!metrics) {
                     return {
-                        content: '❌ Metrics chưa được khởi tạo!',
+                        content: t('command.metrics.not_ready', locale),
                         embeds: []
                     };
                 }
@@ -157,7 +161,7 @@ export default {
 
             collector.on('collect', async i => {
                 if (i.user.id !== interaction.user.id) {
-                    return i.reply({ content: '❌ Bạn không có quyền điều khiển dashboard này!', ephemeral: true });
+                    return i.reply({ content: t('command.metrics.not_your_dashboard', locale), ephemeral: true });
                 }
 
                 if (i.customId === 'dashboard_refresh') {
@@ -1,28 +1,141 @@
 import { SlashCommandBuilder, EmbedBuilder } from 'discord.js';
 import { sendErrorResponse } from '../../UI/embeds/ErrorEmbeds.js';
+import { PermissionError, NodeChangeError, NodeNotFoundError } from '../../utils/errors.js';
+import { isBotOwner } from '../../utils/permissions.js';
+import { MUSIC_MANAGER } from '../../utils/constants.js';
+import { COLORS } from '../../config/design-system.js';
+import { t, getLocale, localizations } from '../../utils/i18n.js';
 import logger from '../../utils/logger.js';
 
+/** Shoukaku v4.3.0 State: 0=CONNECTING, 1=CONNECTED, 2=DISCONNECTING, 3=DISCONNECTED */
+const NODE_STATES = {
+    0: ['🔄', 'connecting'],
+    1: ['✅', 'connected'],
+    2: ['⏳', 'disconnecting'],
+    3: ['❌', 'disconnected']
+};
+
 export default {
     data: new SlashCommandBuilder()
         .setName('nodes')
-        .setDescription('Hiển thị trạng thái chi tiết của các Lavalink nodes'),
+        .setDescription('Quản lý và xem trạng thái các Lavalink nodes')
+        .setDescriptionLocalizations(localizations('command.nodes.description'))
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('status')
+                .setDescription('Hiển thị trạng thái chi tiết của các Lavalink nodes')
+                .setDescriptionLocalizations(localizations('command.nodes.status_description'))
+        )
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('report')
+                .setDescription('Báo cáo sức khỏe, nguồn gốc và danh sách đen của node (chỉ chủ bot)')
+                .setDescriptionLocalizations(localizations('command.nodes.report_description'))
+        )
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('add')
+                .setDescription('Thêm Lavalink node mới mà không cần khởi động lại bot (chỉ chủ bot)')
+                .setDescriptionLocalizations(localizations('command.nodes.add_description'))
+                .addStringOption(option =>
+                    option
+                        .setName('name')
+                        .setDescription('Tên node')
+                        .setDescriptionLocalizations(localizations('command.nodes.name_option'))
+                        .setRequired(true)
+                        .setMaxLength(MUSIC_MANAGER.NODE_NAME_MAX_LENGTH)
+                )
+                .addStringOption(option =>
+                    option
+                        .setName('url')
+                        .setDescription('Địa chỉ host:port, ví dụ 127.0.0.1:2333')
+                        .setDescriptionLocalizations(localizations('command.nodes.url_option'))
+                        .setRequired(true)
+                )
+                .addStringOption(option =>
+                    option
+                        .setName('password')
+                        .setDescription('Mật khẩu Lavalink của node này')
+                        .setDescriptionLocalizations(localizations('command.nodes.password_option'))
+                        .setRequired(true)
+                )
+                .addBooleanOption(option =>
+                    option
+                        .setName('secure')
+                        .setDescription('Kết nối qua TLS (wss/https)')
+                        .setDescriptionLocalizations(localizations('command.nodes.secure_option'))
+                )
+        )
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('remove')
+                .setDescription('Chuyển player đi rồi gỡ node khỏi bot (chỉ chủ bot)')
+                .setDescriptionLocalizations(localizations('command.nodes.remove_description'))
+                .addStringOption(option => nodeNameOption(option))
+        )
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('drain')
+                .setDescription('Chuyển mọi player sang node khác để bảo trì node (chỉ chủ bot)')
+                .setDescriptionLocalizations(localizations('command.nodes.drain_description'))
+                .addStringOption(option => nodeNameOption(option))
+        )
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('blacklist')
+                .setDescription('Không chọn node cho player mới trong một khoảng thời gian (chỉ chủ bot)')
+                .setDescriptionLocalizations(localizations('command.nodes.blacklist_description'))
+                .addStringOption(option => nodeNameOption(option))
+                .addIntegerOption(option =>
+                    option
+                        .setName('minutes')
+                        .setDescription(`Thời gian (phút, mặc định ${MUSIC_MANAGER.NODE_BLACKLIST_DEFAULT_MINUTES})`)
+                        .setDescriptionLocalizations(localizations('command.nodes.minutes_option'))
+                        .setMinValue(1)
+                        .setMaxValue(MUSIC_MANAGER.NODE_BLACKLIST_MAX_MINUTES)
+                )
+                .addStringOption(option =>
+                    option
+                        .setName('reason')
+                        .setDescription('Lý do')
+                        .setDescriptionLocalizations(localizations('command.nodes.reason_option'))
+                        .setMaxLength(100)
+                )
+        )
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('unblacklist')
+                .setDescription('Đưa node trở lại danh sách được chọn (chỉ chủ bot)')
+                .setDescriptionLocalizations(localizations('command.nodes.unblacklist_description'))
+                .addStringOption(option => nodeNameOption(option))
+        ),
 
     async execute(interaction, client) {
-        await interaction.deferReply();
+        const subcommand = interaction.options.getSubcommand();
+        const locale = getLocale(interaction);
+        // The add reply echoes connection details, keep it to the owner
+        await interaction.deferReply({ ephemeral: subcommand === 'add' });
         try {
+            if (subcommand !== 'status') {
+                if (!isBotOwner(interaction.user.id)) {
+                    throw new PermissionError(t('command.nodes.owner_only', locale));
+                }
+                return await OWNER_HANDLERS[subcommand](interaction, client, locale);
+            }
+
             const healthMonitor = client.musicManager.healthMonitor;
             const nodes = client.musicManager.shoukaku.nodes;
 
             if (!nodes || nodes.size === 0) {
                 return await interaction.editReply({
-                    content: '❌ Không có Lavalink node nào được kết nối!'
+                    content: t('command.nodes.none_connected', locale)
                 });
             }
 
             const embed = new EmbedBuilder()
                 .setColor(client.config.bot.color)
-                .setTitle('🔌 Lavalink Nodes')
-                .setDescription(`**${nodes.size}** node(s) đang được quản lý`)
+                .setTitle(t('command.nodes.status_title', locale))
+                .setDescription(t('command.nodes.status_count', locale, { count: nodes.size }))
                 .setFooter({ text: `${client.config.bot.footer}` })
                 .setTimestamp();
 
@@ -30,21 +143,7 @@ export default {
                 const health = healthMonitor ? healthMonitor.getNodeHealth(name) : null;
                 const stats = node.stats;
 
-                // Shoukaku v4.3.0 State: 0=CONNECTING, 1=CONNECTED, 2=DISCONNECTING, 3=DISCONNECTED
-                let statusIcon = '❌';
-                let statusText = 'Disconnected';
-                if (node.state === 1) {
-                    statusIcon = '✅';
-                    statusText = 'Connected';
-                } else if (node.state === 0) {
-                    statusIcon = '🔄';
-                    statusText = 'Connecting';
-                } else if (node.state === 2) {
-                    statusIcon = '⏳';
-                    statusText = 'Disconnecting';
-                }
-
-                const fieldLines = [`**Status:** ${statusIcon} ${statusText}`];
+                const fieldLines = [t('command.nodes.field_status', locale, { status: describeState(node, locale) })];
 
                 if (stats) {
                     const uptime = Math.floor(stats.uptime / 1000 / 60);
@@ -61,16 +160,29 @@ export default {
 
                     const cpuLoad = (stats.cpu.systemLoad * 100).toFixed(1);
 
-                    fieldLines.push(`**Players:** ${stats.playingPlayers}/${stats.players} active`);
-                    fieldLines.push(`**Uptime:** ${uptimeStr}`);
-                    fieldLines.push(`**CPU:** ${cpuLoad}% (${stats.cpu.cores} cores)`);
-                    fieldLines.push(`**Memory:** ${memUsed}/${memTotal}MB (${memPercent}%)`);
+                    fieldLines.push(
+                        t('command.nodes.field_players', locale, {
+                            playing: stats.playingPlayers,
+                            total: stats.players
+                        })
+                    );
+                    fieldLines.push(t('command.nodes.field_uptime', locale, { uptime: uptimeStr }));
+                    fieldLines.push(t('command.nodes.field_cpu', locale, { load: cpuLoad, cores: stats.cpu.cores }));
+                    fieldLines.push(
+                        t('command.nodes.field_memory', locale, {
+                            used: memUsed,
+                            total: memTotal,
+                            percent: memPercent
+                        })
+                    );
                 }
 
                 if (health) {
                     const healthScore = health.score.toFixed(0);
                     const healthEmoji = health.score >= 80 ? '🟢' : health.score >= 50 ? '🟡' : '🔴';
-                    fieldLines.push(`**Health:** ${healthEmoji} ${healthScore}/100`);
+                    fieldLines.push(
+                        t('command.nodes.field_health', locale, { emoji: healthEmoji, score: healthScore })
+                    );
                 }
 
                 embed.addFields([
@@ -88,8 +200,8 @@ export default {
                 if (bestNode && nodes.size > 1) {
                     embed.addFields([
                         {
-                            name: '⭐ Recommended',
-                            value: `**${bestNode.name}** đang hoạt động tốt nhất`,
+                            name: t('command.nodes.recommended', locale),
+                            value: t('command.nodes.recommended_value', locale, { name: bestNode.name }),
                             inline: false
                         }
                     ]);
@@ -105,5 +217,249 @@ export default {
             logger.error('Nodes command error', error);
             await sendErrorResponse(interaction, error, client.config, true);
         }
+    },
+
+    async autocomplete(interaction) {
+        const focused = interaction.options.getFocused().toLowerCase();
+        const nodes = interaction.client.musicManager?.shoukaku?.nodes;
+        const names = nodes ? [...nodes.keys()] : [];
+
+        await interaction.respond(
+            names
+                .filter(name => name.toLowerCase().includes(focused))
+                .slice(0, 25)
+                .map(name => ({ name, value: name }))
+        );
+    }
+};
+
+/**
+ * Required node name option with autocomplete from the live node pool
+ * @param {import('discord.js').SlashCommandStringOption} option
+ * @returns {import('discord.js').SlashCommandStringOption}
+ */
+function nodeNameOption(option) {
+    return option
+        .setName('name')
+        .setDescription('Tên node')
+        .setDescriptionLocalizations(localizations('command.nodes.name_option'))
+        .setRequired(true)
+        .setAutocomplete(true);
+}
+
+/**
+ * Connection state of a node with its icon
+ * @param {Object} node - Shoukaku node
+ * @param {string} locale - Locale code
+ * @returns {string}
+ */
+function describeState(node, locale) {
+    const [icon, state] = NODE_STATES[node.state] || NODE_STATES[3];
+    return `${icon} ${t(`command.nodes.state_${state}`, locale)}`;
+}
+
+/**
+ * Reply with a result embed
+ * @param {import('discord.js').ChatInputCommandInteraction} interaction
+ * @param {Object} client - Discord client
+ * @param {string} title - Embed title
+ * @param {string[]} lines - Description lines
+ * @param {number} [color] - Embed color
+ */
+async function replyResult(interaction, client, title, lines, color = COLORS.SUCCESS) {
+    const embed = new EmbedBuilder()
+        .setColor(color)
+        .setTitle(title)
+        .setDescription(lines.join('\n'))
+        .setFooter({ text: `${client.config.bot.footer}` })
+        .setTimestamp();
+
+    await interaction.editReply({ embeds: [embed] });
+}
+
+/**
+ * Connect a new node and keep it across restarts
+ * @param {import('discord.js').ChatInputCommandInteraction} interaction
+ * @param {Object} client - Discord client
+ * @param {string} locale - Locale code
+ */
+async function handleAdd(interaction, client, locale) {
+    const name = interaction.options.getString('name');
+    const url = interaction.options.getString('url');
+    const secure = interaction.options.getBoolean('secure') ?? false;
+
+    client.musicManager.addNode(
+        { name, url, auth: interaction.options.getString('password'), secure },
+        interaction.user.id
+    );
+
+    await replyResult(interaction, client, t('command.nodes.added_title', locale, { name }), [
+        t('command.nodes.added_address', locale, { address: `${secure ? 'wss' : 'ws'}://${url}` }),
+        t('command.nodes.added_connecting', locale),
+        t('command.nodes.added_saved', locale)
+    ]);
+
+    logger.command('nodes-add', interaction.user.id, interaction.guildId);
+}
+
+/**
+ * Move players off a node, then take it out of the pool for good
+ * @param {import('discord.js').ChatInputCommandInteraction} interaction
+ * @param {Object} client - Discord client
+ * @param {string} locale - Locale code
+ */
+async function handleRemove(interaction, client, locale) {
+    const name = interaction.options.getString('name');
+    const result = await client.musicManager.removeNode(name, interaction.user.id);
+
+    await replyResult(interaction, client, t('command.nodes.removed_title', locale, { name }), [
+        t('command.nodes.moved', locale, { moved: result.moved, total: result.total }),
+        t('command.nodes.removed_note', locale)
+    ]);
+
+    logger.command('nodes-remove', interaction.user.id, interaction.guildId);
+}
+
+/**
+ * Keep a node out of node selection for a while
+ * @param {import('discord.js').ChatInputCommandInteraction} interaction
+ * @param {Object} client - Discord client
+ * @param {string} locale - Locale code
+ */
+async function handleBlacklist(interaction, client, locale) {
+    const name = interaction.options.getString('name');
+    const minutes = interaction.options.getInteger('minutes') ?? MUSIC_MANAGER.NODE_BLACKLIST_DEFAULT_MINUTES;
+    const reason = interaction.options.getString('reason') || 'manual';
+
+    client.musicManager.blacklistNode(name, reason, minutes * 60 * 1000);
+
+    await replyResult(interaction, client, t('command.nodes.blacklisted_title', locale, { name }), [
+        t('command.nodes.blacklisted_duration', locale, {
+            minutes,
+            expires: `<t:${Math.floor((Date.now() + minutes * 60 * 1000) / 1000)}:R>`
+        }),
+        t('command.nodes.blacklisted_reason', locale, { reason }),
+        t('command.nodes.blacklisted_note', locale)
+    ]);
+
+    logger.command('nodes-blacklist', interaction.user.id, interaction.guildId);
+}
+
+/**
+ * Put a blacklisted node back into node selection
+ * @param {import('discord.js').ChatInputCommandInteraction} interaction
+ * @param {Object} client - Discord client
+ * @param {string} locale - Locale code
+ */
+async function handleUnblacklist(interaction, client, locale) {
+    const name = interaction.options.getString('name');
+    if (!client.musicManager.unblacklistNode(name)) {
+        throw new NodeChangeError('not_blacklisted', { name });
+    }
+
+    await replyResult(interaction, client, t('command.nodes.unblacklisted_title', locale, { name }), [
+        t('command.nodes.unblacklisted_note', locale)
+    ]);
+
+    logger.command('nodes-unblacklist', interaction.user.id, interaction.guildId);
+}
+
+/**
+ * Health, origin and blacklist of every node in the pool
+ * @param {import('discord.js').ChatInputCommandInteraction} interaction
+ * @param {Object} client - Discord client
+ * @param {string} locale - Locale code
+ */
+async function handleReport(interaction, client, locale) {
+    const report = client.musicManager.getNodeOverview();
+
+    const summary = [
+        t('command.nodes.report_healthy', locale, { healthy: report.healthyNodes, total: report.totalNodes }),
+        t('command.nodes.report_players', locale, {
+            playing: report.totalPlayingPlayers,
+            total: report.totalPlayers
+        }),
+        t('command.nodes.report_cpu', locale, { cpu: report.averageCpu.toFixed(1) })
+    ];
+    if (report.stale) {
+        summary.push(t('command.nodes.report_stale', locale));
+    }
+
+    const embed = new EmbedBuilder()
+        .setColor(report.unhealthyNodes > 0 ? COLORS.WARNING : client.config.bot.color)
+        .setTitle(t('command.nodes.report_title', locale))
+        .setDescription(summary.join('\n'))
+        .setFooter({ text: `${client.config.bot.footer}` })
+        .setTimestamp();
+
+    for (const node of report.pool.slice(0, 25)) {
+        const lines = [
+            t('command.nodes.field_status', locale, { status: describeState(node, locale) }),
+            t('command.nodes.field_source', locale, {
+                source: node.source === 'config' ? 'config.json' : t('command.nodes.source_runtime', locale)
+            }),
+            t('command.nodes.field_queues', locale, { count: node.guildPlayers })
+        ];
+        if (node.blacklist) {
+            lines.push(
+                t('command.nodes.field_blacklist', locale, {
+                    minutes: node.blacklist.remainingMinutes,
+                    reason: node.blacklist.reason
+                })
+            );
+        }
+
+        embed.addFields([{ name: `📡 ${node.name}`, value: lines.join('\n'), inline: true }]);
+    }
+
+    await interaction.editReply({ embeds: [embed] });
+
+    logger.command('nodes-report', interaction.user.id, interaction.guildId);
+}
+
+/**
+ * Move every player off a node so it can be taken down for maintenance
+ * @param {import('discord.js').ChatInputCommandInteraction} interaction
+ * @param {Object} client - Discord client
+ * @param {string} locale - Locale code
+ */
+async function handleDrain(interaction, client, locale) {
+    const name = interaction.options.getString('name');
+    const musicManager = client.musicManager;
+    if (!musicManager.shoukaku.nodes.has(name)) {
+        throw new NodeNotFoundError(name);
+    }
+
+    const result = await musicManager.drainNode(name);
+    if (result.targetless) {
+        throw new NodeChangeError('no_target', { name, count: result.total });
+    }
+
+    const hours = Math.round(MUSIC_MANAGER.DRAIN_BLACKLIST_MS / 3600000);
+    const lines = [
+        t('command.nodes.moved', locale, { moved: result.moved, total: result.total }),
+        t('command.nodes.drained_blacklist', locale, { name, hours })
+    ];
+    if (result.failed > 0) {
+        lines.push(t('command.nodes.drained_failed', locale, { count: result.failed }));
     }
+
+    await replyResult(
+        interaction,
+        client,
+        t('command.nodes.drained_title', locale, { name }),
+        lines,
+        result.failed > 0 ? COLORS.WARNING : COLORS.SUCCESS
+    );
+
+    logger.command('nodes-drain', interaction.user.id, interaction.guildId);
+}
+
+const OWNER_HANDLERS = {
+    add: handleAdd,
+    remove: handleRemove,
+    drain: handleDrain,
+    blacklist: handleBlacklist,
+    unblacklist: handleUnblacklist,
+    report: handleReport
 };
@@ -2,14 +2,19 @@ import { SlashCommandBuilder, EmbedBuilder } from 'discord.js';
 import { sendErrorResponse } from '../../UI/embeds/ErrorEmbeds.js';
 import logger from '../../utils/logger.js';
 import { getDatabaseManager } from '../../database/DatabaseManager.js';
+import { t, getLocale, localizations } from '../../utils/i18n.js';
 
 export default {
-    data: new SlashCommandBuilder().setName('ping').setDescription('Kiểm tra độ trễ và trạng thái của bot'),
+    data: new SlashCommandBuilder()
+        .setName('ping')
+        .setDescription('Kiểm tra độ trễ và trạng thái của bot')
+        .setDescriptionLocalizations(localizations('command.ping.description')),
 
     async execute(interaction, client) {
         try {
+            const locale = getLocale(interaction);
             const sent = await interaction.reply({
-                content: '🏓 Đang kiểm tra...',
+                content: t('command.ping.checking', locale),
                 fetchReply: true
             });
 
@@ -58,7 +63,7 @@ export default {
             const embed = new EmbedBuilder()
                 .setColor(client.config.bot.color)
                 .setTitle('🏓 Pong!')
-                .setDescription('Trạng thái hệ thống Miyao Bot')
+                .setDescription(t('command.ping.status', locale))
                 .addFields([
                     {
                         name: `${getHealthEmoji(roundtrip)} Bot Latency`,
@@ -20,6 +20,7 @@ import History from '../../database/models/History.js';
 import { formatDuration } from '../../utils/helpers.js';
 import { getRecommendationEngine } from '../../music/RecommendationEngine.js';
 import { DISCOVERY } from '../../utils/constants.js';
+import { t, getLocale, localizations } from '../../utils/i18n.js';
 
 // Genre-specific search queries - more specific and music-focused
 function getGenreQueries(year) {
@@ -52,6 +53,16 @@ function getMoodQueries(year) {
     };
 }
 
+/**
+ * Display label for a mood choice value
+ * @param {string} mood - Mood choice value (e.g. 'chill relaxing')
+ * @param {string} locale - Locale code
+ * @returns {string}
+ */
+function moodLabel(mood, locale) {
+    return t(`command.discover.mood_${mood.split(' ')[0]}`, locale);
+}
+
 // Minimum and maximum duration for quality filtering
 const MIN_DURATION = 90000; // 1.5 minutes
 const MAX_DURATION = 10 * 60 * 1000; // 10 minutes
@@ -63,10 +74,12 @@ export default {
     data: new SlashCommandBuilder()
         .setName('discover')
         .setDescription('Khám phá nhạc mới dựa trên lịch sử nghe của server')
+        .setDescriptionLocalizations(localizations('command.discover.description'))
         .addStringOption(option =>
             option
                 .setName('genre')
                 .setDescription('Thể loại nhạc')
+                .setDescriptionLocalizations(localizations('command.discover.genre_option'))
                 .setRequired(false)
                 .addChoices(
                     { name: '🎵 Pop', value: 'pop' },
@@ -87,32 +100,71 @@ export default {
             option
                 .setName('mood')
                 .setDescription('Tâm trạng')
+                .setDescriptionLocalizations(localizations('command.discover.mood_option'))
                 .setRequired(false)
                 .addChoices(
-                    { name: '⚡ Sôi động (Energetic)', value: 'energetic upbeat' },
-                    { name: '😌 Thư giãn (Chill)', value: 'chill relaxing' },
-                    { name: '😊 Vui vẻ (Happy)', value: 'happy cheerful' },
-                    { name: '💔 Buồn (Sad)', value: 'sad emotional' },
-                    { name: '🎯 Tập trung (Focus)', value: 'focus study' },
+                    {
+                        name: '⚡ Sôi động (Energetic)',
+                        name_localizations: localizations('command.discover.mood_energetic'),
+                        value: 'energetic upbeat'
+                    },
+                    {
+                        name: '😌 Thư giãn (Chill)',
+                        name_localizations: localizations('command.discover.mood_chill'),
+                        value: 'chill relaxing'
+                    },
+                    {
+                        name: '😊 Vui vẻ (Happy)',
+                        name_localizations: localizations('command.discover.mood_happy'),
+                        value: 'happy cheerful'
+                    },
+                    {
+                        name: '💔 Buồn (Sad)',
+                        name_localizations: localizations('command.discover.mood_sad'),
+                        value: 'sad emotional'
+                    },
+                    {
+                        name: '🎯 Tập trung (Focus)',
+                        name_localizations: localizations('command.discover.mood_focus'),
+                        value: 'focus study'
+                    },
                     { name: '💪 Workout', value: 'workout gym motivation' },
-                    { name: '🌙 Đêm khuya (Late night)', value: 'late night vibes' }
+                    {
+                        name: '🌙 Đêm khuya (Late night)',
+                        name_localizations: localizations('command.discover.mood_late'),
+                        value: 'late night vibes'
+                    }
                 )
         )
         .addStringOption(option =>
             option
                 .setName('source')
                 .setDescription('Nguồn gợi ý')
+                .setDescriptionLocalizations(localizations('command.discover.source_option'))
                 .setRequired(false)
                 .addChoices(
-                    { name: '📊 Từ lịch sử server', value: 'server' },
-                    { name: '🌍 Trending toàn cầu', value: 'global' },
-                    { name: '🎲 Ngẫu nhiên', value: 'random' }
+                    {
+                        name: '📊 Từ lịch sử server',
+                        name_localizations: localizations('command.discover.source_server'),
+                        value: 'server'
+                    },
+                    {
+                        name: '🌍 Trending toàn cầu',
+                        name_localizations: localizations('command.discover.source_global'),
+                        value: 'global'
+                    },
+                    {
+                        name: '🎲 Ngẫu nhiên',
+                        name_localizations: localizations('command.discover.source_random'),
+                        value: 'random'
+                    }
                 )
         )
         .addIntegerOption(option =>
             option
                 .setName('count')
                 .setDescription('Số lượng gợi ý (mặc định: 5)')
+                .setDescriptionLocalizations(localizations('command.discover.count_option'))
                 .setRequired(false)
                 .setMinValue(3)
                 .setMaxValue(10)
@@ -122,6 +174,7 @@ export default {
         try {
             await interaction.deferReply();
 
+            const locale = getLocale(interaction);
             const genre = interaction.options.getString('genre');
             const mood = interaction.options.getString('mood');
             const source = interaction.options.getString('source') || 'server';
@@ -138,7 +191,7 @@ export default {
                     embeds: [
                         new EmbedBuilder()
                             .setColor(COLORS.ERROR)
-                            .setDescription('❌ Nguồn gợi ý không hợp lệ.')
+                            .setDescription(t('command.discover.invalid_source', locale))
                             .setFooter({ text: client.config.bot.footer })
                             .setTimestamp()
                     ]
@@ -149,7 +202,7 @@ export default {
                     embeds: [
                         new EmbedBuilder()
                             .setColor(COLORS.ERROR)
-                            .setDescription('❌ Thể loại không hợp lệ.')
+                            .setDescription(t('command.discover.invalid_genre', locale))
                             .setFooter({ text: client.config.bot.footer })
                             .setTimestamp()
                     ]
@@ -160,7 +213,7 @@ export default {
                     embeds: [
                         new EmbedBuilder()
                             .setColor(COLORS.ERROR)
-                            .setDescription('❌ Tâm trạng không hợp lệ.')
+                            .setDescription(t('command.discover.invalid_mood', locale))
                             .setFooter({ text: client.config.bot.footer })
                             .setTimestamp()
                     ]
@@ -205,7 +258,9 @@ export default {
                             searchQueries.push(`${artist} best songs official`);
                             searchQueries.push(`${artist} new songs ${currentYear}`);
                         }
-                        recommendationSource = `🎯 Dựa trên: ${topArtists.slice(0, 2).join(', ')}`;
+                        recommendationSource = t('command.discover.based_on', locale, {
+                            artists: topArtists.slice(0, 2).join(', ')
+                        });
                     }
                 }
             }
@@ -214,7 +269,7 @@ export default {
             if (genre && GENRE_QUERIES[genre]) {
                 const genreQueries = GENRE_QUERIES[genre];
                 searchQueries.push(...genreQueries);
-                recommendationSource = recommendationSource || `🎵 Thể loại: ${genre}`;
+                recommendationSource = recommendationSource || t('command.discover.genre_source', locale, { genre });
             }
 
             // Strategy 3: Apply mood filter
@@ -222,7 +277,7 @@ export default {
                 const moodQueries = MOOD_QUERIES[mood];
                 searchQueries.push(...moodQueries);
                 if (!recommendationSource) {
-                    recommendationSource = `🎭 Tâm trạng: ${mood.split(' ')[0]}`;
+                    recommendationSource = t('command.discover.mood_source', locale, { mood: moodLabel(mood, locale) });
                 }
             }
 
@@ -236,13 +291,13 @@ export default {
                     `popular music ${year} official`,
                     `viral songs ${year} official`
                 ];
-                recommendationSource = '🌟 Nhạc đang hot';
+                recommendationSource = t('command.discover.hot_source', locale);
             }
 
             // For random source, shuffle the queries
             if (source === 'random') {
                 searchQueries = searchQueries.sort(() => Math.random() - 0.5);
-                recommendationSource = '🎲 Gợi ý ngẫu nhiên';
+                recommendationSource = t('command.discover.random_source', locale);
             }
 
             // Search using multiple queries and collect unique tracks with quality filtering
@@ -268,7 +323,11 @@ export default {
                             new EmbedBuilder()
                                 .setColor(client.config.bot.color)
                                 .setDescription(
-                                    `🔍 Đang tìm kiếm... (${qi}/${queriesToRun.length}) — Đã tìm thấy ${recommendations.length} bài`
+                                    t('command.discover.searching', locale, {
+                                        done: qi,
+                                        total: queriesToRun.length,
+                                        found: recommendations.length
+                                    })
                                 )
                                 .setFooter({ text: client.config.bot.footer })
                                 .setTimestamp()
@@ -277,7 +336,9 @@ export default {
                 }
 
                 try {
-                    const result = await client.musicManager.search(`ytsearch:${query}`, interaction.user);
+                    const result = await client.musicManager.search(`ytsearch:${query}`, interaction.user, {
+                        guildId: interaction.guildId
+                    });
 
                     if (result?.tracks?.length > 0) {
                         for (const track of result.tracks) {
@@ -365,7 +426,7 @@ export default {
             }
 
             if (recommendations.length === 0) {
-                throw new NoSearchResultsError('gợi ý nhạc');
+                throw new NoSearchResultsError(t('command.discover.no_results_query', locale));
             }
 
             // Create dropdown for selection
@@ -378,7 +439,7 @@ export default {
 
             const selectMenu = new StringSelectMenuBuilder()
                 .setCustomId(`discover_select_${interaction.user.id}`)
-                .setPlaceholder('🎵 Chọn bài hát để phát')
+                .setPlaceholder(t('command.discover.select_placeholder', locale))
                 .addOptions(options);
 
             const row = new ActionRowBuilder().addComponents(selectMenu);
@@ -387,23 +448,25 @@ export default {
             const buttonRow = new ActionRowBuilder().addComponents(
                 new ButtonBuilder()
                     .setCustomId(`discover_play_all_${interaction.user.id}`)
-                    .setLabel('▶️ Phát tất cả')
+                    .setLabel(t('command.trending.play_all_button', locale))
                     .setStyle(ButtonStyle.Success),
                 new ButtonBuilder()
                     .setCustomId(`discover_shuffle_all_${interaction.user.id}`)
-                    .setLabel('🔀 Phát ngẫu nhiên')
+                    .setLabel(t('command.trending.shuffle_button', locale))
                     .setStyle(ButtonStyle.Primary)
             );
 
             // Build description with personalization context
             let description = '';
             if (recommendationSource) description += `${recommendationSource}\n`;
-            if (genre) description += `**Thể loại:** ${genre}\n`;
-            if (mood) description += `**Tâm trạng:** ${mood.split(' ')[0]}\n`;
+            if (genre) description += `${t('command.discover.genre_line', locale, { genre })}\n`;
+            if (mood) description += `${t('command.discover.mood_line', locale, { mood: moodLabel(mood, locale) })}\n`;
 
             // Add user context if available
             if (userProfile && !userProfile.isNewUser && userProfile.topGenres.length > 0) {
-                description += `**Sở thích của bạn:** ${userProfile.topGenres.slice(0, 2).join(', ')}\n`;
+                description += `${t('command.discover.your_taste', locale, {
+                    genres: userProfile.topGenres.slice(0, 2).join(', ')
+                })}\n`;
             }
             description += '\n';
 
@@ -418,12 +481,12 @@ export default {
 
             const embed = new EmbedBuilder()
                 .setColor(client.config.bot.color)
-                .setTitle('🔍 Khám Phá Nhạc Mới')
+                .setTitle(t('command.discover.title', locale))
                 .setDescription(description)
                 .setFooter({
                     text:
-                        '💡 Chọn từ menu hoặc nhấn nút để phát!' +
-                        (userProfile?.isNewUser ? '\n🌱 Nghe thêm để nhận gợi ý cá nhân hóa!' : '')
+                        t('command.discover.footer', locale) +
+                        (userProfile?.isNewUser ? `\n${t('command.discover.footer_new_user', locale)}` : '')
                 })
                 .setTimestamp();
 
@@ -16,22 +16,34 @@ import { getLyrics, paginateLyrics, cleanTrackName, cleanArtistName, parseSynced
 import { sendErrorResponse } from '../../UI/embeds/ErrorEmbeds.js';
 import { NothingPlayingError, DifferentVoiceChannelError, ResourceNotFoundError } from '../../utils/errors.js';
 import { COLORS } from '../../config/design-system.js';
+import { t, getLocale, localizations } from '../../utils/i18n.js';
 import logger from '../../utils/logger.js';
 
 export default {
     data: new SlashCommandBuilder()
         .setName('lyrics')
         .setDescription('Hiển thị lời bài hát')
+        .setDescriptionLocalizations(localizations('command.lyrics.description'))
         .addStringOption(option =>
-            option.setName('query').setDescription('Tìm kiếm lời bài hát (để trống = bài đang phát)').setRequired(false)
+            option
+                .setName('query')
+                .setDescription('Tìm kiếm lời bài hát (để trống = bài đang phát)')
+                .setDescriptionLocalizations(localizations('command.lyrics.query_option'))
+                .setRequired(false)
         )
         .addBooleanOption(option =>
-            option.setName('synced').setDescription('Hiển thị lyrics đồng bộ thời gian (nếu có)').setRequired(false)
+            option
+                .setName('synced')
+                .setDescription('Hiển thị lyrics đồng bộ thời gian (nếu có)')
+                .setDescriptionLocalizations(localizations('command.lyrics.synced_option'))
+                .setRequired(false)
         ),
 
     async execute(interaction, client) {
         await interaction.deferReply();
 
+        const locale = getLocale(interaction);
+
         try {
             const query = interaction.options.getString('query');
             const showSynced = interaction.options.getBoolean('synced') || false;
@@ -78,13 +90,11 @@ export default {
 
                 const embed = new EmbedBuilder()
                     .setColor(COLORS.WARNING)
-                    .setTitle('⚠️ Không Thể Tải Lyrics')
+                    .setTitle(t('command.lyrics.unavailable_title', locale))
                     .setDescription(
-                        `Không thể tải lời bài hát cho:\n**${trackName}**${artistName ? ` - ${artistName}` : ''}\n\n` +
-                            '**Nguyên nhân có thể:**\n' +
-                            '• Dịch vụ lyrics tạm thời không khả dụng\n' +
-                            '• Bài hát chưa có trong cơ sở dữ liệu\n\n' +
-                            '💡 *Thử lại sau hoặc tìm kiếm với từ khóa khác*'
+                        t('command.lyrics.unavailable', locale, {
+                            track: `${trackName}${artistName ? ` - ${artistName}` : ''}`
+                        })
                     )
                     .setFooter({ text: client.config.bot.footer })
                     .setTimestamp();
@@ -94,7 +104,9 @@ export default {
 
             if (!lyricsData) {
                 throw new ResourceNotFoundError(
-                    `Không tìm thấy lời bài hát cho:\n**${trackName}**${artistName ? ` - ${artistName}` : ''}`,
+                    t('command.lyrics.not_found', locale, {
+                        track: `${trackName}${artistName ? ` - ${artistName}` : ''}`
+                    }),
                     'lyrics'
                 );
             }
@@ -103,11 +115,11 @@ export default {
             if (lyricsData.instrumental) {
                 const embed = new EmbedBuilder()
                     .setColor(client.config.bot.color)
-                    .setTitle('🎵 Nhạc Không Lời (Instrumental)')
+                    .setTitle(t('command.lyrics.instrumental_title', locale))
                     .setDescription(
                         `**${lyricsData.trackName}**\n` +
                             `*${lyricsData.artistName}*\n\n` +
-                            '🎹 Bài hát này là nhạc không lời.'
+                            t('command.lyrics.instrumental', locale)
                     )
                     .setFooter({ text: client.config.bot.footer })
                     .setTimestamp();
@@ -117,9 +129,9 @@ export default {
 
             // Show synced or plain lyrics
             if (showSynced && lyricsData.syncedLyrics) {
-                await showSyncedLyrics(interaction, client, lyricsData);
+                await showSyncedLyrics(interaction, client, lyricsData, locale);
             } else {
-                await showPlainLyrics(interaction, client, lyricsData);
+                await showPlainLyrics(interaction, client, lyricsData, locale);
             }
 
             logger.command('lyrics', interaction.user.id, interaction.guildId, {
@@ -137,14 +149,16 @@ export default {
 /**
  * Show plain lyrics with pagination
  */
-async function showPlainLyrics(interaction, client, lyricsData) {
+async function showPlainLyrics(interaction, client, lyricsData, locale) {
     const plainLyrics = lyricsData.plainLyrics;
 
     if (!plainLyrics) {
         const embed = new EmbedBuilder()
             .setColor(COLORS.WARNING)
-            .setTitle('⚠️ Không Có Lời')
-            .setDescription(`**${lyricsData.trackName}**\n*${lyricsData.artistName}*\n\nKhông tìm thấy lời bài hát.`)
+            .setTitle(t('command.lyrics.empty_title', locale))
+            .setDescription(
+                `**${lyricsData.trackName}**\n*${lyricsData.artistName}*\n\n${t('command.lyrics.empty', locale)}`
+            )
             .setFooter({ text: client.config.bot.footer })
             .setTimestamp();
 
@@ -163,7 +177,9 @@ async function showPlainLyrics(interaction, client, lyricsData) {
             .setDescription(
                 `**${lyricsData.artistName}**${lyricsData.albumName ? `\n*${lyricsData.albumName}*` : ''}\n\n${pages[page]}`
             )
-            .setFooter({ text: `${client.config.bot.footer} | Trang ${page + 1}/${pages.length}` })
+            .setFooter({
+                text: `${client.config.bot.footer} | ${t('lyrics.page', locale, { page: page + 1, pages: pages.length })}`
+            })
             .setTimestamp();
     };
 
@@ -217,7 +233,7 @@ async function showPlainLyrics(interaction, client, lyricsData) {
 
     collector.on('collect', async i => {
         if (i.user.id !== interaction.user.id) {
-            return i.reply({ content: 'Chỉ người yêu cầu mới có thể điều khiển!', ephemeral: true });
+            return i.reply({ content: t('lyrics.requester_only', getLocale(i)), ephemeral: true });
         }
 
         switch (i.customId) {
@@ -249,19 +265,19 @@ async function showPlainLyrics(interaction, client, lyricsData) {
 /**
  * Show synced lyrics (basic display, no live sync in this implementation)
  */
-async function showSyncedLyrics(interaction, client, lyricsData) {
+async function showSyncedLyrics(interaction, client, lyricsData, locale) {
     const syncedLyrics = lyricsData.syncedLyrics;
 
     if (!syncedLyrics) {
         // Fallback to plain lyrics
-        return showPlainLyrics(interaction, client, lyricsData);
+        return showPlainLyrics(interaction, client, lyricsData, locale);
     }
 
     const parsed = parseSyncedLyrics(syncedLyrics);
 
     if (parsed.length === 0) {
         // Fallback to plain lyrics
-        return showPlainLyrics(interaction, client, lyricsData);
+        return showPlainLyrics(interaction, client, lyricsData, locale);
     }
 
     // For simplicity, show all synced lyrics with timestamps
@@ -275,7 +291,8 @@ async function showSyncedLyrics(interaction, client, lyricsData) {
         })
         .join('\n');
 
-    const moreLines = parsed.length > 30 ? `\n\n*...và ${parsed.length - 30} dòng nữa*` : '';
+    const moreLines =
+        parsed.length > 30 ? `\n\n${t('command.lyrics.more_lines', locale, { count: parsed.length - 30 })}` : '';
 
     const embed = new EmbedBuilder()
         .setColor(client.config.bot.color)
@@ -283,7 +300,7 @@ async function showSyncedLyrics(interaction, client, lyricsData) {
         .setDescription(
             `**${lyricsData.artistName}**${lyricsData.albumName ? `\n*${lyricsData.albumName}*` : ''}\n\n${lyricsText}${moreLines}`
         )
-        .setFooter({ text: `${client.config.bot.footer} | Lời đồng bộ` })
+        .setFooter({ text: `${client.config.bot.footer} | ${t('command.lyrics.synced_footer', locale)}` })
         .setTimestamp();
 
     await interaction.editReply({ embeds: [embed] });
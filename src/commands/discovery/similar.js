@@ -19,18 +19,25 @@ import { formatDuration } from '../../utils/helpers.js';
 import { getDatabaseManager } from '../../database/DatabaseManager.js';
 import { escapeLikePattern } from '../../database/helpers.js';
 import { getRecommendationEngine } from '../../music/RecommendationEngine.js';
+import { t, getLocale, localizations } from '../../utils/i18n.js';
 
 export default {
     data: new SlashCommandBuilder()
         .setName('similar')
         .setDescription('Tìm nhạc tương tự với bài hát hiện tại hoặc bài hát chỉ định')
+        .setDescriptionLocalizations(localizations('command.similar.description'))
         .addStringOption(option =>
-            option.setName('query').setDescription('Tên bài hát hoặc URL (để trống = bài đang phát)').setRequired(false)
+            option
+                .setName('query')
+                .setDescription('Tên bài hát hoặc URL (để trống = bài đang phát)')
+                .setDescriptionLocalizations(localizations('command.similar.query_option'))
+                .setRequired(false)
         )
         .addIntegerOption(option =>
             option
                 .setName('count')
                 .setDescription('Số lượng gợi ý (mặc định: 5)')
+                .setDescriptionLocalizations(localizations('command.similar.count_option'))
                 .setRequired(false)
                 .setMinValue(3)
                 .setMaxValue(10)
@@ -40,6 +47,7 @@ export default {
         try {
             await interaction.deferReply();
 
+            const locale = getLocale(interaction);
             const query = interaction.options.getString('query');
             const count = interaction.options.getInteger('count') || 5;
 
@@ -55,7 +63,9 @@ export default {
 
                 referenceTrack = queue.current;
             } else {
-                const result = await client.musicManager.search(query, interaction.user);
+                const result = await client.musicManager.search(query, interaction.user, {
+                    guildId: interaction.guildId
+                });
 
                 if (!result || !result.tracks || result.tracks.length === 0) {
                     throw new NoSearchResultsError(query);
@@ -86,7 +96,7 @@ export default {
 
             if (collaborativeResults.length > 0) {
                 recommendations.push(...collaborativeResults);
-                recommendationSource = '🎯 Dựa trên người nghe tương tự';
+                recommendationSource = t('command.similar.source_collaborative', locale);
             }
 
             // Strategy 2: Find other popular tracks from same artist
@@ -97,13 +107,14 @@ export default {
                     seenUrls,
                     seenTitles,
                     count - recommendations.length,
-                    interaction.user
+                    interaction.user,
+                    interaction.guildId
                 );
 
                 if (artistResults.length > 0) {
                     recommendations.push(...artistResults);
                     if (!recommendationSource) {
-                        recommendationSource = `🎤 Các bài khác của ${refArtist}`;
+                        recommendationSource = t('command.similar.source_artist', locale, { artist: refArtist });
                     }
                 }
             }
@@ -117,13 +128,14 @@ export default {
                     seenUrls,
                     seenTitles,
                     count - recommendations.length,
-                    interaction.user
+                    interaction.user,
+                    interaction.guildId
                 );
 
                 if (metadataResults.length > 0) {
                     recommendations.push(...metadataResults);
                     if (!recommendationSource) {
-                        recommendationSource = '🔍 Tìm kiếm thông minh';
+                        recommendationSource = t('command.similar.source_metadata', locale);
                     }
                 }
             }
@@ -137,23 +149,20 @@ export default {
                     seenUrls,
                     seenTitles,
                     count - recommendations.length,
-                    interaction.user
+                    interaction.user,
+                    interaction.guildId
                 );
 
                 if (curatedResults.length > 0) {
                     recommendations.push(...curatedResults);
                     if (!recommendationSource) {
-                        recommendationSource = '🌟 Gợi ý theo phong cách';
+                        recommendationSource = t('command.similar.source_curated', locale);
                     }
                 }
             }
 
             if (recommendations.length === 0) {
-                throw new ValidationError(
-                    `Không tìm thấy bài hát tương tự cho:\n**${refTitle}**\n\n` +
-                        '💡 Thử nghe thêm một vài bài trên server để hệ thống học được sở thích của bạn!',
-                    'similar'
-                );
+                throw new ValidationError(t('command.similar.none_found', locale, { title: refTitle }), 'similar');
             }
 
             // Use RecommendationEngine for scoring and diversity
@@ -286,7 +295,7 @@ async function findCollaborativeRecommendations(guildId, trackUrl, trackTitle, s
 /**
  * Find other tracks from the same artist
  */
-async function findArtistTracks(client, artist, seenUrls, seenTitles, limit, requester) {
+async function findArtistTracks(client, artist, seenUrls, seenTitles, limit, requester, guildId) {
     if (!artist || artist === 'Unknown') return [];
 
     try {
@@ -305,7 +314,7 @@ async function findArtistTracks(client, artist, seenUrls, seenTitles, limit, req
             if (results.length >= limit) break;
 
             try {
-                const searchResult = await client.musicManager.search(`ytsearch:${query}`, requester);
+                const searchResult = await client.musicManager.search(`ytsearch:${query}`, requester, { guildId });
 
                 if (searchResult?.tracks?.length > 0) {
                     for (const track of searchResult.tracks) {
@@ -344,7 +353,7 @@ async function findArtistTracks(client, artist, seenUrls, seenTitles, limit, req
 /**
  * Find tracks with similar metadata patterns
  */
-async function findMetadataSimilar(client, title, artist, seenUrls, seenTitles, limit, requester) {
+async function findMetadataSimilar(client, title, artist, seenUrls, seenTitles, limit, requester, guildId) {
     try {
         // Extract key words from title (excluding common words)
         const stopWords = new Set([
@@ -413,7 +422,7 @@ async function findMetadataSimilar(client, title, artist, seenUrls, seenTitles,
             if (results.length >= limit) break;
 
             try {
-                const searchResult = await client.musicManager.search(`ytsearch:${query}`, requester);
+                const searchResult = await client.musicManager.search(`ytsearch:${query}`, requester, { guildId });
 
                 if (searchResult?.tracks?.length > 0) {
                     for (const track of searchResult.tracks) {
@@ -479,7 +488,7 @@ function detectGenreFromTitle(title) {
 /**
  * Fallback: Find similar using curated search queries
  */
-async function findCuratedSimilar(client, title, artist, seenUrls, seenTitles, limit, requester) {
+async function findCuratedSimilar(client, title, artist, seenUrls, seenTitles, limit, requester, guildId) {
     try {
         const year = new Date().getFullYear();
         const queries = [
@@ -495,7 +504,7 @@ async function findCuratedSimilar(client, title, artist, seenUrls, seenTitles, l
             if (results.length >= limit) break;
 
             try {
-                const searchResult = await client.musicManager.search(`ytsearch:${query}`, requester);
+                const searchResult = await client.musicManager.search(`ytsearch:${query}`, requester, { guildId });
 
                 if (searchResult?.tracks?.length > 0) {
                     for (const track of searchResult.tracks.slice(0, 5)) {
@@ -541,6 +550,7 @@ async function findCuratedSimilar(client, title, artist, seenUrls, seenTitles, l
 async function sendSimilarResponse(interaction, client, referenceTrack, recommendations, source, profiles = {}) {
     const { userProfile } = profiles;
     const recEngine = getRecommendationEngine();
+    const locale = getLocale(interaction);
 
     if (!recEngine) {
         return sendBasicSimilarResponse(interaction, client, referenceTrack, recommendations, source);
@@ -556,7 +566,7 @@ async function sendSimilarResponse(interaction, client, referenceTrack, recommen
 
     const selectMenu = new StringSelectMenuBuilder()
         .setCustomId(`similar_select_${interaction.user.id}`)
-        .setPlaceholder('🎵 Chọn bài hát để phát')
+        .setPlaceholder(t('command.similar.select_placeholder', locale))
         .addOptions(options);
 
     const row = new ActionRowBuilder().addComponents(selectMenu);
@@ -564,7 +574,7 @@ async function sendSimilarResponse(interaction, client, referenceTrack, recommen
     const buttonRow = new ActionRowBuilder().addComponents(
         new ButtonBuilder()
             .setCustomId(`similar_play_all_${interaction.user.id}`)
-            .setLabel('▶️ Thêm tất cả vào queue')
+            .setLabel(t('command.similar.add_all_button', locale))
             .setStyle(ButtonStyle.Success)
     );
 
@@ -580,9 +590,9 @@ async function sendSimilarResponse(interaction, client, referenceTrack, recommen
     // Create embed with enhanced info
     const embed = new EmbedBuilder()
         .setColor(client.config.bot.color)
-        .setTitle('🔎 Nhạc Tương Tự')
+        .setTitle(t('command.similar.title', locale))
         .setDescription(
-            '**🎯 Dựa trên:**\n' +
+            `${t('command.similar.based_on', locale)}\n` +
                 `${referenceTrack.info.title}\n` +
                 `└ 🎤 ${referenceTrack.info.author}` +
                 (contextInfo ? `\n└ ${contextInfo}` : '') +
@@ -606,8 +616,8 @@ async function sendSimilarResponse(interaction, client, referenceTrack, recommen
         )
         .setFooter({
             text:
-                `${client.config.bot.footer} • 💡 Chọn từ menu để phát ngay!` +
-                (userProfile?.isNewUser ? '\n🌱 Nghe thêm để hệ thống học sở thích của bạn!' : '')
+                `${client.config.bot.footer} • ${t('command.similar.footer', locale)}` +
+                (userProfile?.isNewUser ? `\n${t('command.similar.footer_new_user', locale)}` : '')
         })
         .setTimestamp();
 
@@ -644,6 +654,7 @@ async function sendSimilarResponse(interaction, client, referenceTrack, recommen
  * Sends recommendations without scoring/diversity enhancements.
  */
 async function sendBasicSimilarResponse(interaction, client, referenceTrack, recommendations, source) {
+    const locale = getLocale(interaction);
     const options = recommendations.map((track, index) => ({
         label: track.info.title.substring(0, 100),
         description: `${track.info.author?.substring(0, 50) || 'Unknown'} • ${formatDuration(track.info.length || 0)}`,
@@ -653,22 +664,22 @@ async function sendBasicSimilarResponse(interaction, client, referenceTrack, rec
 
     const selectMenu = new StringSelectMenuBuilder()
         .setCustomId(`similar_select_${interaction.user.id}`)
-        .setPlaceholder('🎵 Chọn bài hát để phát')
+        .setPlaceholder(t('command.similar.select_placeholder', locale))
         .addOptions(options);
 
     const row = new ActionRowBuilder().addComponents(selectMenu);
     const buttonRow = new ActionRowBuilder().addComponents(
         new ButtonBuilder()
             .setCustomId(`similar_play_all_${interaction.user.id}`)
-            .setLabel('▶️ Thêm tất cả vào queue')
+            .setLabel(t('command.similar.add_all_button', locale))
             .setStyle(ButtonStyle.Success)
     );
 
     const embed = new EmbedBuilder()
         .setColor(client.config.bot.color)
-        .setTitle('🎵 Bài Hát Tương Tự')
+        .setTitle(t('command.similar.basic_title', locale))
         .setDescription(
-            `**Dựa trên:**\n` +
+            `${t('command.similar.basic_based_on', locale)}\n` +
                 `${referenceTrack.info.title}\n` +
                 `└ 🎤 ${referenceTrack.info.author}` +
                 `\n\n**${source}:**\n\n` +
@@ -19,6 +19,7 @@ import logger from '../../utils/logger.js';
 import History from '../../database/models/History.js';
 import { formatDuration } from '../../utils/helpers.js';
 import { TRENDING, DISCOVERY } from '../../utils/constants.js';
+import { t, getLocale, localizations } from '../../utils/i18n.js';
 
 // Better curated search queries for different regions - more specific and music-focused
 function getCuratedQueries(year) {
@@ -72,37 +73,77 @@ export default {
     data: new SlashCommandBuilder()
         .setName('trending')
         .setDescription('Xem nhạc đang hot trong server hoặc theo khu vực')
+        .setDescriptionLocalizations(localizations('command.trending.description'))
         .addStringOption(option =>
             option
                 .setName('source')
                 .setDescription('Nguồn trending')
+                .setDescriptionLocalizations(localizations('command.trending.source_option'))
                 .setRequired(false)
                 .addChoices(
-                    { name: '🏠 Hot trong server này', value: 'server' },
-                    { name: '🌍 Toàn cầu', value: 'global' },
-                    { name: '🇻🇳 Việt Nam', value: 'vn' },
-                    { name: '🇰🇷 Hàn Quốc (K-Pop)', value: 'kr' },
-                    { name: '🇯🇵 Nhật Bản (J-Pop)', value: 'jp' },
-                    { name: '🇺🇸 Hoa Kỳ', value: 'us' },
-                    { name: '🇬🇧 Anh', value: 'uk' }
+                    {
+                        name: '🏠 Hot trong server này',
+                        name_localizations: localizations('command.trending.source_server'),
+                        value: 'server'
+                    },
+                    {
+                        name: '🌍 Toàn cầu',
+                        name_localizations: localizations('command.trending.source_global'),
+                        value: 'global'
+                    },
+                    {
+                        name: '🇻🇳 Việt Nam',
+                        name_localizations: localizations('command.trending.source_vn'),
+                        value: 'vn'
+                    },
+                    {
+                        name: '🇰🇷 Hàn Quốc (K-Pop)',
+                        name_localizations: localizations('command.trending.source_kr'),
+                        value: 'kr'
+                    },
+                    {
+                        name: '🇯🇵 Nhật Bản (J-Pop)',
+                        name_localizations: localizations('command.trending.source_jp'),
+                        value: 'jp'
+                    },
+                    { name: '🇺🇸 Hoa Kỳ', name_localizations: localizations('command.trending.source_us'), value: 'us' },
+                    { name: '🇬🇧 Anh', name_localizations: localizations('command.trending.source_uk'), value: 'uk' }
                 )
         )
         .addStringOption(option =>
             option
                 .setName('period')
                 .setDescription('Khoảng thời gian (cho server)')
+                .setDescriptionLocalizations(localizations('command.trending.period_option'))
                 .setRequired(false)
                 .addChoices(
-                    { name: '📅 Hôm nay', value: 'day' },
-                    { name: '📆 Tuần này', value: 'week' },
-                    { name: '🗓️ Tháng này', value: 'month' },
-                    { name: '📊 Tất cả', value: 'all' }
+                    {
+                        name: '📅 Hôm nay',
+                        name_localizations: localizations('command.trending.period_day'),
+                        value: 'day'
+                    },
+                    {
+                        name: '📆 Tuần này',
+                        name_localizations: localizations('command.trending.period_week'),
+                        value: 'week'
+                    },
+                    {
+                        name: '🗓️ Tháng này',
+                        name_localizations: localizations('command.trending.period_month'),
+                        value: 'month'
+                    },
+                    {
+                        name: '📊 Tất cả',
+                        name_localizations: localizations('command.trending.period_all'),
+                        value: 'all'
+                    }
                 )
         )
         .addIntegerOption(option =>
             option
                 .setName('count')
                 .setDescription('Số lượng (mặc định: 10)')
+                .setDescriptionLocalizations(localizations('command.trending.count_option'))
                 .setRequired(false)
                 .setMinValue(5)
                 .setMaxValue(15)
@@ -112,6 +153,7 @@ export default {
         try {
             await interaction.deferReply();
 
+            const locale = getLocale(interaction);
             const source = interaction.options.getString('source') || 'server';
             const period = interaction.options.getString('period') || 'week';
             const count = interaction.options.getInteger('count') || 10;
@@ -122,15 +164,15 @@ export default {
 
             if (source === 'server') {
                 // Use server's actual listening history
-                const result = await getServerTrending(interaction, client, period, count);
+                const result = await getServerTrending(interaction, client, period, count, locale);
                 tracks = result.tracks;
-                title = '🔥 Hot Trong Server';
+                title = t('command.trending.server_title', locale);
                 subtitle = result.subtitle;
             } else {
                 // Fetch from curated queries for regions
-                const result = await getRegionalTrending(interaction, client, source, count);
+                const result = await getRegionalTrending(interaction, client, source, count, locale);
                 tracks = result.tracks;
-                title = '🔥 Nhạc Đang Hot';
+                title = t('command.trending.regional_title', locale);
                 subtitle = result.subtitle;
             }
 
@@ -139,13 +181,7 @@ export default {
                     const embed = new EmbedBuilder()
                         .setColor(client.config.bot.color)
                         .setTitle('🔥 Trending')
-                        .setDescription(
-                            'Server chưa có đủ dữ liệu nghe nhạc để hiển thị trending.\n\n' +
-                                '💡 Hãy thử:\n' +
-                                '• `/trending source:Toàn cầu` - Xem trending toàn cầu\n' +
-                                '• `/discover` - Khám phá nhạc mới\n' +
-                                '• `/play` - Bắt đầu nghe nhạc!'
-                        )
+                        .setDescription(t('command.trending.not_enough_data', locale))
                         .setFooter({ text: client.config.bot.footer })
                         .setTimestamp();
 
@@ -154,7 +190,7 @@ export default {
                 throw new NoSearchResultsError('trending music');
             }
 
-            await sendTrendingResponse(interaction, client, tracks, title, subtitle, source);
+            await sendTrendingResponse(interaction, client, tracks, title, subtitle, source, locale);
 
             logger.command('trending', interaction.user.id, interaction.guildId, {
                 source,
@@ -171,7 +207,7 @@ export default {
 /**
  * Get trending tracks from server's listening history
  */
-async function getServerTrending(interaction, client, period, count) {
+async function getServerTrending(interaction, client, period, count, locale) {
     const mostPlayed = History.getMostPlayed(interaction.guildId, count * TRENDING.SERVER_FETCH_MULTIPLIER, period);
 
     if (!mostPlayed || mostPlayed.length === 0) {
@@ -207,16 +243,9 @@ async function getServerTrending(interaction, client, period, count) {
         seenTitles.add(titleKey);
     }
 
-    const periodLabels = {
-        day: 'hôm nay',
-        week: 'tuần này',
-        month: 'tháng này',
-        all: 'mọi lúc'
-    };
-
     return {
         tracks,
-        subtitle: `📊 Được nghe nhiều nhất ${periodLabels[period]} trong server`
+        subtitle: t(`command.trending.server_subtitle_${period}`, locale)
     };
 }
 
@@ -224,7 +253,7 @@ async function getServerTrending(interaction, client, period, count) {
  * Get trending tracks from regional curated queries
  * Filters out shorts, very short videos, and non-music content
  */
-async function getRegionalTrending(interaction, client, region, count) {
+async function getRegionalTrending(interaction, client, region, count, locale) {
     const CURATED_QUERIES = getCuratedQueries(new Date().getFullYear());
     const queries = CURATED_QUERIES[region] || CURATED_QUERIES['global'];
     const tracks = [];
@@ -244,7 +273,9 @@ async function getRegionalTrending(interaction, client, region, count) {
 
         try {
             // Search for more results to have better filtering
-            const result = await client.musicManager.search(`ytsearch:${query}`, interaction.user);
+            const result = await client.musicManager.search(`ytsearch:${query}`, interaction.user, {
+                guildId: interaction.guildId
+            });
 
             if (result?.tracks?.length > 0) {
                 for (const track of result.tracks) {
@@ -272,7 +303,7 @@ async function getRegionalTrending(interaction, client, region, count) {
                     const author = track.info.author || 'Unknown';
                     const authorKey = author.toLowerCase();
                     const authorCount = [...tracks].filter(
-                        t => (t.info.author || '').toLowerCase() === authorKey
+                        added => (added.info.author || '').toLowerCase() === authorKey
                     ).length;
                     if (authorCount >= TRENDING.MAX_TRACKS_PER_ARTIST) continue;
 
@@ -285,25 +316,20 @@ async function getRegionalTrending(interaction, client, region, count) {
         }
     }
 
-    const regionLabels = {
-        global: '🌍 Toàn Cầu',
-        vn: '🇻🇳 Việt Nam',
-        kr: '🇰🇷 Hàn Quốc',
-        jp: '🇯🇵 Nhật Bản',
-        us: '🇺🇸 Hoa Kỳ',
-        uk: '🇬🇧 Anh'
-    };
+    const regionKey = region in CURATED_QUERIES ? region : 'global';
 
     return {
         tracks,
-        subtitle: `📍 Khu vực: ${regionLabels[region] || regionLabels['global']}`
+        subtitle: t('command.trending.region_subtitle', locale, {
+            region: t(`command.trending.region_${regionKey}`, locale)
+        })
     };
 }
 
 /**
  * Send trending response with interactive components
  */
-async function sendTrendingResponse(interaction, client, tracks, title, subtitle, _source) {
+async function sendTrendingResponse(interaction, client, tracks, title, subtitle, _source, locale) {
     const displayTracks = tracks.slice(0, Math.min(tracks.length, TRENDING.MAX_DISPLAY_TRACKS));
 
     // Create dropdown
@@ -316,7 +342,7 @@ async function sendTrendingResponse(interaction, client, tracks, title, subtitle
 
     const selectMenu = new StringSelectMenuBuilder()
         .setCustomId(`trending_select_${interaction.user.id}`)
-        .setPlaceholder('🔥 Chọn bài hát để phát')
+        .setPlaceholder(t('command.trending.select_placeholder', locale))
         .addOptions(options);
 
     const row = new ActionRowBuilder().addComponents(selectMenu);
@@ -324,11 +350,11 @@ async function sendTrendingResponse(interaction, client, tracks, title, subtitle
     const buttonRow = new ActionRowBuilder().addComponents(
         new ButtonBuilder()
             .setCustomId(`trending_play_all_${interaction.user.id}`)
-            .setLabel('▶️ Phát tất cả')
+            .setLabel(t('command.trending.play_all_button', locale))
             .setStyle(ButtonStyle.Success),
         new ButtonBuilder()
             .setCustomId(`trending_shuffle_${interaction.user.id}`)
-            .setLabel('🔀 Phát ngẫu nhiên')
+            .setLabel(t('command.trending.shuffle_button', locale))
             .setStyle(ButtonStyle.Primary)
     );
 
@@ -348,7 +374,7 @@ async function sendTrendingResponse(interaction, client, tracks, title, subtitle
         .setColor(COLORS.INFO)
         .setTitle(title)
         .setDescription(description)
-        .setFooter({ text: `💡 Chọn từ menu hoặc nhấn nút để phát! • ${displayTracks.length} bài hát` })
+        .setFooter({ text: t('command.trending.footer', locale, { count: displayTracks.length }) })
         .setTimestamp();
 
     await interaction.editReply({ embeds: [embed], components: [row, buttonRow] });
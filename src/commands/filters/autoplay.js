@@ -1,24 +1,29 @@
 /**
  * Autoplay Command
  * Enable/disable automatic playlist continuation with smart recommendations
- * @version 1.9.0 - Standardized error handling
+ * @version 1.12.0 - Localized replies
  */
 
 import { SlashCommandBuilder, EmbedBuilder } from 'discord.js';
 import { COLORS } from '../../config/design-system.js';
-import UserPreferences from '../../database/models/UserPreferences.js';
 import { sendErrorResponse } from '../../UI/embeds/ErrorEmbeds.js';
 import { requireQueue } from '../../middleware/queueCheck.js';
 import { UserNotInVoiceError, DifferentVoiceChannelError } from '../../utils/errors.js';
 import { isMusicSystemAvailable, getDegradedModeMessage } from '../../utils/resilience.js';
+import { t, getLocale, localizations } from '../../utils/i18n.js';
 import logger from '../../utils/logger.js';
 
 export default {
     data: new SlashCommandBuilder()
         .setName('autoplay')
         .setDescription('Bật/tắt tự động phát nhạc liên quan khi hết queue')
+        .setDescriptionLocalizations(localizations('command.autoplay.description'))
         .addBooleanOption(option =>
-            option.setName('enabled').setDescription('Bật (true) hoặc tắt (false) autoplay').setRequired(false)
+            option
+                .setName('enabled')
+                .setDescription('Bật (true) hoặc tắt (false) autoplay')
+                .setDescriptionLocalizations(localizations('command.autoplay.enabled_option'))
+                .setRequired(false)
         ),
 
     async execute(interaction, client) {
@@ -28,7 +33,7 @@ export default {
             if (!isMusicSystemAvailable(client.musicManager)) {
                 return sendErrorResponse(
                     interaction,
-                    new Error(getDegradedModeMessage('nhạc').description),
+                    new Error(getDegradedModeMessage('music', getLocale(interaction)).description),
                     client.config
                 );
             }
@@ -64,25 +69,17 @@ export default {
                 }
             }
 
-            // Save preference
-            UserPreferences.set(interaction.user.id, { autoResume: newState }, interaction.user.username);
-
             // Current track info for context
+            const locale = getLocale(interaction);
             const currentTrack = queue.current;
-            const trackInfo = currentTrack ? `\n🎵 *Đang phát: ${currentTrack.info.title}*` : '';
+            const trackInfo = currentTrack
+                ? `\n${t('command.autoplay.now_playing', locale, { title: currentTrack.info.title })}`
+                : '';
 
             const embed = new EmbedBuilder()
                 .setColor(newState ? COLORS.AUTOPLAY_ON : COLORS.AUTOPLAY_OFF)
-                .setTitle(newState ? '✅ Autoplay Đã Bật' : '❌ Autoplay Đã Tắt')
-                .setDescription(
-                    newState
-                        ? '**Bot sẽ tự động thêm nhạc khi hàng đợi kết thúc**\n\n' +
-                              '🎯 Nhạc sẽ được gợi ý dựa trên:\n' +
-                              '• Bài hát hiện tại\n' +
-                              '• Nghệ sĩ đang nghe\n' +
-                              `• Lịch sử nghe của bạn${trackInfo}`
-                        : '**Bot sẽ dừng khi hết hàng đợi**\n\n' + `💡 Sử dụng \`/autoplay\` để bật lại${trackInfo}`
-                )
+                .setTitle(t(newState ? 'command.autoplay.on_title' : 'command.autoplay.off_title', locale))
+                .setDescription(t(newState ? 'command.autoplay.on' : 'command.autoplay.off', locale) + trackInfo)
                 .setFooter({ text: client.config.bot.footer })
                 .setTimestamp();
 
@@ -1,39 +1,150 @@
 /**
  * Filter Command
- * Apply audio filters for music playback
- * @version 1.9.0 - Added Karaoke, Speed, Pitch subcommands
+ * Apply audio filters for music playback, edit the 15-band EQ and manage saved filter chains
+ * @version 1.12.0 - Localized replies
  */
 
 import { SlashCommandBuilder, EmbedBuilder } from 'discord.js';
 import { sendErrorResponse } from '../../UI/embeds/ErrorEmbeds.js';
+import { createEqualizerEmbed } from '../../UI/embeds/MusicEmbeds.js';
+import { createEqualizerEditor, formatEqGain } from '../../UI/components/MusicControls.js';
 import { requireCurrentTrack } from '../../middleware/queueCheck.js';
-import { UserNotInVoiceError, DifferentVoiceChannelError, FilterError } from '../../utils/errors.js';
+import {
+    UserNotInVoiceError,
+    DifferentVoiceChannelError,
+    FilterError,
+    ValidationError,
+    PermissionError,
+    DatabaseError
+} from '../../utils/errors.js';
 import { isMusicSystemAvailable, getDegradedModeMessage } from '../../utils/resilience.js';
+import { isDJOrAdmin } from '../../utils/permissions.js';
+import AuditLog, { AUDIT_ACTIONS } from '../../database/models/AuditLog.js';
+import FilterPreset, { FILTER_PRESET_SCOPES } from '../../database/models/FilterPreset.js';
+import UserPreferences from '../../database/models/UserPreferences.js';
+import { FILTER_LIMITS, EQ_BAND_FREQUENCIES, EQ_GAIN_LIMITS } from '../../music/FilterManager.js';
+import { FILTER_CHAINS } from '../../utils/constants.js';
+import { t, getLocale, localizations } from '../../utils/i18n.js';
 import logger from '../../utils/logger.js';
 
-// Filter descriptions for better UX
+// Preset display names (descriptions are translated: command.filter.preset_<type>)
 const FILTER_INFO = {
-    bass: { name: '🎸 Bass Boost', description: 'Tăng cường âm bass' },
-    pop: { name: '🎵 Pop', description: 'Equalizer nhạc Pop' },
-    jazz: { name: '🎹 Jazz', description: 'Âm thanh ấm áp' },
-    rock: { name: '🎤 Rock', description: 'Tăng cường mid-range' },
-    nightcore: { name: '🌙 Nightcore', description: 'Tăng tốc độ & pitch' },
-    vaporwave: { name: '🌊 Vaporwave', description: 'Giảm tốc độ & pitch' },
-    '8d': { name: '🔊 8D Audio', description: 'Hiệu ứng xoay 360°' }
+    bass: { name: '🎸 Bass Boost' },
+    pop: { name: '🎵 Pop' },
+    jazz: { name: '🎹 Jazz' },
+    rock: { name: '🎤 Rock' },
+    nightcore: { name: '🌙 Nightcore' },
+    vaporwave: { name: '🌊 Vaporwave' },
+    '8d': { name: '🔊 8D Audio' }
 };
 
+// Parameterized Lavalink filters: subcommand → filter key, display name, queue setter and
+// option name → setting key
+const EFFECTS = {
+    tremolo: {
+        key: 'tremolo',
+        name: '〰️ Tremolo',
+        setter: 'setTremolo',
+        options: { frequency: 'frequency', depth: 'depth' }
+    },
+    vibrato: {
+        key: 'vibrato',
+        name: '🎻 Vibrato',
+        setter: 'setVibrato',
+        options: { frequency: 'frequency', depth: 'depth' }
+    },
+    rotation: { key: 'rotation', name: '🔄 Rotation', setter: 'setRotation', options: { hz: 'rotationHz' } },
+    distortion: {
+        key: 'distortion',
+        name: '⚡ Distortion',
+        setter: 'setDistortion',
+        options: {
+            sin_offset: 'sinOffset',
+            sin_scale: 'sinScale',
+            cos_offset: 'cosOffset',
+            cos_scale: 'cosScale',
+            tan_offset: 'tanOffset',
+            tan_scale: 'tanScale',
+            offset: 'offset',
+            scale: 'scale'
+        }
+    },
+    channelmix: {
+        key: 'channelMix',
+        name: '🎚️ Channel Mix',
+        setter: 'setChannelMix',
+        options: {
+            left_to_left: 'leftToLeft',
+            left_to_right: 'leftToRight',
+            right_to_left: 'rightToLeft',
+            right_to_right: 'rightToRight'
+        }
+    },
+    lowpass: { key: 'lowPass', name: '🔉 Low Pass', setter: 'setLowPass', options: { smoothing: 'smoothing' } }
+};
+
+/**
+ * Number option limited to a FilterManager range, with the range in its description
+ * @param {import('discord.js').SlashCommandNumberOption} option
+ * @param {string} name - Option name
+ * @param {string} key - Translation key of the description, without the range
+ * @param {[number, number]} range - FILTER_LIMITS entry
+ */
+function rangedNumberOption(option, name, key, [min, max]) {
+    const range = ` (${min} - ${max})`;
+    const described = Object.fromEntries(
+        Object.entries(localizations(key)).map(([locale, description]) => [locale, description + range])
+    );
+    return option
+        .setName(name)
+        .setDescription(t(key) + range)
+        .setDescriptionLocalizations(described)
+        .setMinValue(min)
+        .setMaxValue(max);
+}
+
+/**
+ * Optional switch for turning a parameterized filter off
+ * @param {import('discord.js').SlashCommandBooleanOption} option
+ */
+function enabledOption(option) {
+    return option
+        .setName('enabled')
+        .setDescription('Đặt False để tắt hiệu ứng này (mặc định: bật)')
+        .setDescriptionLocalizations(localizations('command.filter.enabled_option'));
+}
+
+/**
+ * Saved chain name option, completed from the member's and the server's chains
+ * @param {import('discord.js').SlashCommandStringOption} option
+ * @param {string} key - Translation key of the description
+ */
+function chainNameOption(option, key) {
+    return option
+        .setName('name')
+        .setDescription(t(key))
+        .setDescriptionLocalizations(localizations(key))
+        .setAutocomplete(true);
+}
+
+// Chain management that works without anything playing
+const CHAIN_OFFLINE_SUBCOMMANDS = ['list', 'delete', 'default'];
+
 export default {
     data: new SlashCommandBuilder()
         .setName('filter')
         .setDescription('Áp dụng hiệu ứng âm thanh (bass, nightcore, 8D, karaoke...)')
+        .setDescriptionLocalizations(localizations('command.filter.description'))
         .addSubcommand(subcommand =>
             subcommand
                 .setName('preset')
                 .setDescription('Sử dụng các bộ lọc có sẵn')
+                .setDescriptionLocalizations(localizations('command.filter.preset_description'))
                 .addStringOption(option =>
                     option
                         .setName('type')
                         .setDescription('Loại filter')
+                        .setDescriptionLocalizations(localizations('command.filter.type_option'))
                         .setRequired(true)
                         .addChoices(
                             { name: '🎸 Bass Boost', value: 'bass' },
@@ -50,16 +161,25 @@ export default {
             subcommand
                 .setName('karaoke')
                 .setDescription('Bật/tắt chế độ Karaoke (loại bỏ giọng hát)')
-                .addBooleanOption(option => option.setName('enabled').setDescription('Bật hoặc tắt').setRequired(true))
+                .setDescriptionLocalizations(localizations('command.filter.karaoke_description'))
+                .addBooleanOption(option =>
+                    option
+                        .setName('enabled')
+                        .setDescription('Bật hoặc tắt')
+                        .setDescriptionLocalizations(localizations('command.filter.karaoke_option'))
+                        .setRequired(true)
+                )
         )
         .addSubcommand(subcommand =>
             subcommand
                 .setName('speed')
                 .setDescription('Điều chỉnh tốc độ phát (0.5x - 2.0x)')
+                .setDescriptionLocalizations(localizations('command.filter.speed_description'))
                 .addNumberOption(option =>
                     option
                         .setName('value')
                         .setDescription('Tốc độ (mặc định 1.0)')
+                        .setDescriptionLocalizations(localizations('command.filter.speed_option'))
                         .setRequired(true)
                         .setMinValue(0.5)
                         .setMaxValue(2.0)
@@ -69,27 +189,297 @@ export default {
             subcommand
                 .setName('pitch')
                 .setDescription('Điều chỉnh cao độ (0.5x - 2.0x)')
+                .setDescriptionLocalizations(localizations('command.filter.pitch_description'))
                 .addNumberOption(option =>
                     option
                         .setName('value')
                         .setDescription('Cao độ (mặc định 1.0)')
+                        .setDescriptionLocalizations(localizations('command.filter.pitch_option'))
                         .setRequired(true)
                         .setMinValue(0.5)
                         .setMaxValue(2.0)
                 )
         )
-        .addSubcommand(subcommand => subcommand.setName('clear').setDescription('Xóa tất cả hiệu ứng'))
-        .addSubcommand(subcommand => subcommand.setName('status').setDescription('Xem các hiệu ứng đang bật')),
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('tremolo')
+                .setDescription('Rung âm lượng theo nhịp (tremolo)')
+                .setDescriptionLocalizations(localizations('command.filter.tremolo_description'))
+                .addNumberOption(option =>
+                    rangedNumberOption(
+                        option,
+                        'frequency',
+                        'command.filter.frequency_option',
+                        FILTER_LIMITS.tremolo.frequency
+                    )
+                )
+                .addNumberOption(option =>
+                    rangedNumberOption(option, 'depth', 'command.filter.depth_option', FILTER_LIMITS.tremolo.depth)
+                )
+                .addBooleanOption(enabledOption)
+        )
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('vibrato')
+                .setDescription('Rung cao độ theo nhịp (vibrato)')
+                .setDescriptionLocalizations(localizations('command.filter.vibrato_description'))
+                .addNumberOption(option =>
+                    rangedNumberOption(
+                        option,
+                        'frequency',
+                        'command.filter.frequency_option',
+                        FILTER_LIMITS.vibrato.frequency
+                    )
+                )
+                .addNumberOption(option =>
+                    rangedNumberOption(option, 'depth', 'command.filter.depth_option', FILTER_LIMITS.vibrato.depth)
+                )
+                .addBooleanOption(enabledOption)
+        )
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('rotation')
+                .setDescription('Xoay âm thanh quanh người nghe với tốc độ tùy chỉnh (như 8D)')
+                .setDescriptionLocalizations(localizations('command.filter.rotation_description'))
+                .addNumberOption(option =>
+                    rangedNumberOption(option, 'hz', 'command.filter.hz_option', FILTER_LIMITS.rotation.rotationHz)
+                )
+                .addBooleanOption(enabledOption)
+        )
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('distortion')
+                .setDescription('Méo tiếng với các hệ số sin/cos/tan')
+                .setDescriptionLocalizations(localizations('command.filter.distortion_description'))
+                .addNumberOption(option =>
+                    rangedNumberOption(
+                        option,
+                        'sin_offset',
+                        'command.filter.sin_offset_option',
+                        FILTER_LIMITS.distortion.sinOffset
+                    )
+                )
+                .addNumberOption(option =>
+                    rangedNumberOption(
+                        option,
+                        'sin_scale',
+                        'command.filter.sin_scale_option',
+                        FILTER_LIMITS.distortion.sinScale
+                    )
+                )
+                .addNumberOption(option =>
+                    rangedNumberOption(
+                        option,
+                        'cos_offset',
+                        'command.filter.cos_offset_option',
+                        FILTER_LIMITS.distortion.cosOffset
+                    )
+                )
+                .addNumberOption(option =>
+                    rangedNumberOption(
+                        option,
+                        'cos_scale',
+                        'command.filter.cos_scale_option',
+                        FILTER_LIMITS.distortion.cosScale
+                    )
+                )
+                .addNumberOption(option =>
+                    rangedNumberOption(
+                        option,
+                        'tan_offset',
+                        'command.filter.tan_offset_option',
+                        FILTER_LIMITS.distortion.tanOffset
+                    )
+                )
+                .addNumberOption(option =>
+                    rangedNumberOption(
+                        option,
+                        'tan_scale',
+                        'command.filter.tan_scale_option',
+                        FILTER_LIMITS.distortion.tanScale
+                    )
+                )
+                .addNumberOption(option =>
+                    rangedNumberOption(
+                        option,
+                        'offset',
+                        'command.filter.offset_option',
+                        FILTER_LIMITS.distortion.offset
+                    )
+                )
+                .addNumberOption(option =>
+                    rangedNumberOption(option, 'scale', 'command.filter.scale_option', FILTER_LIMITS.distortion.scale)
+                )
+                .addBooleanOption(enabledOption)
+        )
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('channelmix')
+                .setDescription('Trộn kênh trái/phải (tất cả 0.5 = mono)')
+                .setDescriptionLocalizations(localizations('command.filter.channelmix_description'))
+                .addNumberOption(option =>
+                    rangedNumberOption(
+                        option,
+                        'left_to_left',
+                        'command.filter.left_to_left_option',
+                        FILTER_LIMITS.channelMix.leftToLeft
+                    )
+                )
+                .addNumberOption(option =>
+                    rangedNumberOption(
+                        option,
+                        'left_to_right',
+                        'command.filter.left_to_right_option',
+                        FILTER_LIMITS.channelMix.leftToRight
+                    )
+                )
+                .addNumberOption(option =>
+                    rangedNumberOption(
+                        option,
+                        'right_to_left',
+                        'command.filter.right_to_left_option',
+                        FILTER_LIMITS.channelMix.rightToLeft
+                    )
+                )
+                .addNumberOption(option =>
+                    rangedNumberOption(
+                        option,
+                        'right_to_right',
+                        'command.filter.right_to_right_option',
+                        FILTER_LIMITS.channelMix.rightToRight
+                    )
+                )
+                .addBooleanOption(enabledOption)
+        )
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('lowpass')
+                .setDescription('Lọc bớt âm cao cho tiếng trầm, ấm hơn')
+                .setDescriptionLocalizations(localizations('command.filter.lowpass_description'))
+                .addNumberOption(option =>
+                    rangedNumberOption(
+                        option,
+                        'smoothing',
+                        'command.filter.smoothing_option',
+                        FILTER_LIMITS.lowPass.smoothing
+                    )
+                )
+                .addBooleanOption(enabledOption)
+        )
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('eq')
+                .setDescription('Mở trình chỉnh equalizer 15 dải, hoặc đặt nhanh một dải')
+                .setDescriptionLocalizations(localizations('command.filter.eq_description'))
+                .addIntegerOption(option =>
+                    option
+                        .setName('band')
+                        .setDescription('Dải tần cần chỉnh')
+                        .setDescriptionLocalizations(localizations('command.filter.band_option'))
+                        .addChoices(...EQ_BAND_FREQUENCIES.map((name, value) => ({ name, value })))
+                )
+                .addNumberOption(option =>
+                    rangedNumberOption(option, 'gain', 'command.filter.gain_option', EQ_GAIN_LIMITS)
+                )
+        )
+        .addSubcommandGroup(group =>
+            group
+                .setName('chain')
+                .setDescription('Lưu và dùng lại chuỗi filter (EQ, tốc độ, hiệu ứng...)')
+                .setDescriptionLocalizations(localizations('command.filter.chain_description'))
+                .addSubcommand(subcommand =>
+                    subcommand
+                        .setName('save')
+                        .setDescription('Lưu các filter đang bật thành một chuỗi có tên')
+                        .setDescriptionLocalizations(localizations('command.filter.chain_save_description'))
+                        .addStringOption(option =>
+                            option
+                                .setName('name')
+                                .setDescription('Tên chuỗi (trùng tên sẽ ghi đè)')
+                                .setDescriptionLocalizations(localizations('command.filter.chain_name_option'))
+                                .setRequired(true)
+                                .setMaxLength(FILTER_CHAINS.NAME_MAX_LENGTH)
+                        )
+                        .addStringOption(option =>
+                            option
+                                .setName('scope')
+                                .setDescription('Lưu cho riêng bạn hay cho cả server (cần DJ)')
+                                .setDescriptionLocalizations(localizations('command.filter.chain_scope_option'))
+                                .addChoices(
+                                    {
+                                        name: '👤 Cá nhân',
+                                        name_localizations: localizations('command.filter.chain_scope_user'),
+                                        value: FILTER_PRESET_SCOPES.USER
+                                    },
+                                    { name: '🏠 Server', value: FILTER_PRESET_SCOPES.GUILD }
+                                )
+                        )
+                )
+                .addSubcommand(subcommand =>
+                    subcommand
+                        .setName('load')
+                        .setDescription('Áp dụng một chuỗi đã lưu')
+                        .setDescriptionLocalizations(localizations('command.filter.chain_load_description'))
+                        .addStringOption(option =>
+                            chainNameOption(option, 'command.filter.chain_load_option').setRequired(true)
+                        )
+                )
+                .addSubcommand(subcommand =>
+                    subcommand
+                        .setName('delete')
+                        .setDescription('Xóa một chuỗi đã lưu')
+                        .setDescriptionLocalizations(localizations('command.filter.chain_delete_description'))
+                        .addStringOption(option =>
+                            chainNameOption(option, 'command.filter.chain_delete_option').setRequired(true)
+                        )
+                )
+                .addSubcommand(subcommand =>
+                    subcommand
+                        .setName('list')
+                        .setDescription('Xem các chuỗi của bạn và của server')
+                        .setDescriptionLocalizations(localizations('command.filter.chain_list_description'))
+                )
+                .addSubcommand(subcommand =>
+                    subcommand
+                        .setName('default')
+                        .setDescription('Tự áp dụng một chuỗi cá nhân khi bài bạn yêu cầu được phát')
+                        .setDescriptionLocalizations(localizations('command.filter.chain_default_description'))
+                        .addStringOption(option => chainNameOption(option, 'command.filter.chain_default_option'))
+                )
+        )
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('clear')
+                .setDescription('Xóa tất cả hiệu ứng')
+                .setDescriptionLocalizations(localizations('command.filter.clear_description'))
+        )
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('status')
+                .setDescription('Xem các hiệu ứng đang bật')
+                .setDescriptionLocalizations(localizations('command.filter.status_description'))
+        ),
 
     async execute(interaction, client) {
-        await interaction.deferReply();
+        const group = interaction.options.getSubcommandGroup(false);
+        const subcommand = interaction.options.getSubcommand();
+        // Chain management replies are only for the member, except loading a chain
+        await interaction.deferReply({ ephemeral: group === 'chain' && subcommand !== 'load' });
 
         try {
+            const locale = getLocale(interaction);
+
+            if (group === 'chain' && CHAIN_OFFLINE_SUBCOMMANDS.includes(subcommand)) {
+                await handleChainManagement(interaction, client, subcommand, locale);
+                logger.command(`filter-chain-${subcommand}`, interaction.user.id, interaction.guildId);
+                return;
+            }
+
             // Check resilience
             if (!isMusicSystemAvailable(client.musicManager)) {
                 return sendErrorResponse(
                     interaction,
-                    new Error(getDegradedModeMessage('nhạc').description),
+                    new Error(getDegradedModeMessage('music', getLocale(interaction)).description),
                     client.config
                 );
             }
@@ -101,50 +491,113 @@ export default {
             if (!member.voice.channel) throw new UserNotInVoiceError();
             if (member.voice.channel.id !== queue.voiceChannelId) throw new DifferentVoiceChannelError();
 
-            const subcommand = interaction.options.getSubcommand();
-
             // BUG-070: Verify player exists and is connected before applying filters
-            if (subcommand !== 'status' && (!queue.player || !queue.player.node)) {
-                throw new FilterError('Player chưa sẵn sàng. Hãy đợi bài hát bắt đầu phát.');
+            if (subcommand !== 'status' && subcommand !== 'save' && (!queue.player || !queue.player.node)) {
+                throw new FilterError(subcommand, t('command.filter.player_not_ready', locale));
             }
 
+            // Filled in by subcommands that change the filter chain (handlers throw on failure)
+            let auditDetails = null;
+
             switch (subcommand) {
                 case 'preset': {
                     const type = interaction.options.getString('type');
-                    await handlePreset(interaction, queue, type, client);
+                    await handlePreset(interaction, queue, type, client, locale);
+                    auditDetails = { filter: type };
                     break;
                 }
                 case 'karaoke': {
                     const enabled = interaction.options.getBoolean('enabled');
-                    await handleKaraoke(interaction, queue, enabled, client);
+                    await handleKaraoke(interaction, queue, enabled, client, locale);
+                    auditDetails = { filter: 'karaoke', enabled };
                     break;
                 }
                 case 'speed': {
                     const value = interaction.options.getNumber('value');
-                    await handleTimescale(interaction, queue, { speed: value }, client);
+                    await handleTimescale(interaction, queue, { speed: value }, client, locale);
+                    auditDetails = { filter: 'speed', value };
                     break;
                 }
                 case 'pitch': {
                     const value = interaction.options.getNumber('value');
-                    await handleTimescale(interaction, queue, { pitch: value }, client);
+                    await handleTimescale(interaction, queue, { pitch: value }, client, locale);
+                    auditDetails = { filter: 'pitch', value };
                     break;
                 }
+                case 'tremolo':
+                case 'vibrato':
+                case 'rotation':
+                case 'distortion':
+                case 'channelmix':
+                case 'lowpass':
+                    auditDetails = await handleEffect(interaction, queue, EFFECTS[subcommand], client, locale);
+                    break;
+                case 'eq':
+                    auditDetails = await handleEqualizer(interaction, queue, client, locale);
+                    break;
+                case 'save':
+                    await handleChainSave(interaction, client, queue, locale);
+                    break;
+                case 'load':
+                    auditDetails = await handleChainLoad(interaction, client, queue, locale);
+                    break;
                 case 'clear':
-                    await handleClear(interaction, client, queue);
+                    await handleClear(interaction, client, queue, locale);
+                    auditDetails = { filter: 'clear' };
                     break;
                 case 'status':
-                    await handleStatus(interaction, client, queue);
+                    await handleStatus(interaction, client, queue, locale);
                     break;
             }
 
-            logger.command(`filter-${subcommand}`, interaction.user.id, interaction.guildId);
+            if (auditDetails) {
+                AuditLog.logTrackAction(
+                    AUDIT_ACTIONS.FILTER,
+                    interaction.user.id,
+                    interaction.guildId,
+                    queue.current,
+                    auditDetails
+                );
+            }
+
+            logger.command(
+                group ? `filter-${group}-${subcommand}` : `filter-${subcommand}`,
+                interaction.user.id,
+                interaction.guildId
+            );
         } catch (error) {
             await sendErrorResponse(interaction, error, client.config, true);
         }
+    },
+
+    /**
+     * Complete saved chain names: the member's own first, then the server's
+     * (`default` only offers personal chains)
+     */
+    async autocomplete(interaction) {
+        const focused = interaction.options.getFocused(true);
+        if (focused.name !== 'name') {
+            return interaction.respond([]);
+        }
+
+        const personalOnly = interaction.options.getSubcommand() === 'default';
+        const presets = FilterPreset.search(
+            interaction.user.id,
+            personalOnly ? null : interaction.guildId,
+            focused.value.trim(),
+            FILTER_CHAINS.MAX_PER_OWNER
+        );
+
+        await interaction.respond(
+            presets.map(preset => ({
+                name: `${preset.scope === FILTER_PRESET_SCOPES.GUILD ? '🏠' : '👤'} ${preset.name}`,
+                value: String(preset.id)
+            }))
+        );
     }
 };
 
-async function handlePreset(interaction, queue, type, client) {
+async function handlePreset(interaction, queue, type, client, locale) {
     let success = false;
 
     switch (type) {
@@ -175,45 +628,42 @@ async function handlePreset(interaction, queue, type, client) {
 
     const embed = new EmbedBuilder()
         .setColor(client.config.bot.color)
-        .setTitle(`✅ Đã áp dụng ${FILTER_INFO[type].name}`)
-        .setDescription(FILTER_INFO[type].description)
+        .setTitle(t('command.filter.applied', locale, { name: FILTER_INFO[type].name }))
+        .setDescription(t(`command.filter.preset_${type}`, locale))
         .setFooter({ text: `${client.config.bot.footer}` })
         .setTimestamp();
 
     await interaction.editReply({ embeds: [embed] });
 }
 
-async function handleKaraoke(interaction, queue, enabled, client) {
+async function handleKaraoke(interaction, queue, enabled, client, locale) {
     const success = await queue.setKaraoke(enabled);
     if (!success) throw new FilterError('Karaoke');
 
     const embed = new EmbedBuilder()
         .setColor(client.config.bot.color)
-        .setTitle(enabled ? '✅ Đã bật Karaoke' : '✅ Đã tắt Karaoke')
-        .setDescription(enabled ? 'Đang loại bỏ giọng hát...' : 'Đã khôi phục giọng hát gốc.')
+        .setTitle(t(enabled ? 'command.filter.karaoke_on' : 'command.filter.karaoke_off', locale))
+        .setDescription(t(enabled ? 'command.filter.karaoke_on_desc' : 'command.filter.karaoke_off_desc', locale))
         .setFooter({ text: `${client.config.bot.footer}` })
         .setTimestamp();
 
     await interaction.editReply({ embeds: [embed] });
 }
 
-async function handleTimescale(interaction, queue, options, client) {
+async function handleTimescale(interaction, queue, options, client, locale) {
     const success = await queue.setTimescale(options);
     if (!success) throw new FilterError('Timescale');
 
-    const type = options.speed !== undefined ? 'Tốc độ' : 'Cao độ';
+    const type = t(options.speed !== undefined ? 'command.filter.speed' : 'command.filter.pitch', locale);
     const currentTimescale = queue.filterManager?.filters?.timescale;
 
-    let description;
-    if (currentTimescale) {
-        description = `Tốc độ: **${currentTimescale.speed}x** | Cao độ: **${currentTimescale.pitch}x**`;
-    } else {
-        description = 'Tốc độ: **1.0x** | Cao độ: **1.0x**';
-    }
+    const description = currentTimescale
+        ? t('command.filter.timescale', locale, { speed: currentTimescale.speed, pitch: currentTimescale.pitch })
+        : t('command.filter.timescale', locale, { speed: '1.0', pitch: '1.0' });
 
     const embed = new EmbedBuilder()
         .setColor(client.config.bot.color)
-        .setTitle(`✅ Đã chỉnh ${type}`)
+        .setTitle(t('command.filter.adjusted', locale, { type }))
         .setDescription(description)
         .setFooter({ text: `${client.config.bot.footer}` })
         .setTimestamp();
@@ -221,21 +671,311 @@ async function handleTimescale(interaction, queue, options, client) {
     await interaction.editReply({ embeds: [embed] });
 }
 
-async function handleClear(interaction, client, queue) {
+/**
+ * One-line summary of a filter's settings, e.g. `frequency` **2** · `depth` **0.5**
+ * @param {Object} settings - Filter settings object
+ * @returns {string}
+ */
+function formatFilterSettings(settings) {
+    return Object.entries(settings)
+        .map(([key, value]) => `\`${key}\` **${value}**`)
+        .join(' · ');
+}
+
+/**
+ * Enable, adjust or disable a parameterized filter (EFFECTS)
+ * @returns {Promise<Object>} Audit log details
+ */
+async function handleEffect(interaction, queue, effect, client, locale) {
+    const enabled = interaction.options.getBoolean('enabled') ?? true;
+    const embed = new EmbedBuilder()
+        .setColor(client.config.bot.color)
+        .setFooter({ text: `${client.config.bot.footer}` })
+        .setTimestamp();
+
+    if (!enabled) {
+        const success = await queue[effect.setter](null);
+        if (!success) throw new FilterError(effect.name);
+
+        embed
+            .setTitle(t('command.filter.effect_off', locale, { name: effect.name }))
+            .setDescription(t('command.filter.effect_off_desc', locale));
+        await interaction.editReply({ embeds: [embed] });
+        return { filter: effect.key, enabled: false };
+    }
+
+    const settings = {};
+    for (const [optionName, key] of Object.entries(effect.options)) {
+        const value = interaction.options.getNumber(optionName);
+        if (value !== null) settings[key] = value;
+    }
+
+    const conflicts = queue.getConflictingActiveFilters(effect.key);
+    const success = await queue[effect.setter](settings);
+    if (!success) throw new FilterError(effect.name);
+
+    const current = queue.filters[effect.key];
+    if (current) {
+        let description = formatFilterSettings(current);
+        if (conflicts.length > 0) {
+            description += `\n${t('command.filter.conflicts_cleared', locale, { filters: conflicts.join(', ') })}`;
+        }
+        embed.setTitle(t('command.filter.applied', locale, { name: effect.name })).setDescription(description);
+    } else {
+        // An identity channel mix switches the filter off instead
+        embed
+            .setTitle(t('command.filter.effect_off', locale, { name: effect.name }))
+            .setDescription(t('command.filter.effect_reset', locale));
+    }
+
+    await interaction.editReply({ embeds: [embed] });
+    return { filter: effect.key, enabled: true, ...settings };
+}
+
+/**
+ * Show the EQ editor, after setting a band when `band` and `gain` are given
+ * @returns {Promise<Object|null>} Audit log details when a band changed
+ */
+async function handleEqualizer(interaction, queue, client, locale) {
+    const band = interaction.options.getInteger('band');
+    const gain = interaction.options.getNumber('gain');
+    if (gain !== null && band === null) {
+        throw new ValidationError(t('command.filter.eq_band_required', locale));
+    }
+
+    let note = null;
+    let auditDetails = null;
+    if (gain !== null) {
+        const conflicts = gain !== 0 ? queue.getConflictingActiveFilters('equalizer') : [];
+        const success = await queue.setEqualizerBand(band, gain);
+        if (!success) throw new FilterError('Equalizer');
+
+        if (conflicts.length > 0) {
+            note = t('command.filter.conflicts_cleared', locale, { filters: conflicts.join(', ') });
+        }
+        auditDetails = { filter: 'equalizer', band, gain };
+    }
+
+    const gains = queue.getEqualizerGains();
+    const selected = band ?? 0;
+    await interaction.editReply({
+        embeds: [createEqualizerEmbed(gains, selected, client.config, locale, note)],
+        components: createEqualizerEditor(gains, selected, locale)
+    });
+
+    return auditDetails;
+}
+
+/**
+ * One line per filter of a saved chain
+ * @param {Object} chain - Filter key → settings
+ * @param {string} locale - Locale code
+ * @returns {string}
+ */
+function describeChain(chain, locale) {
+    return Object.entries(chain)
+        .map(([type, settings]) => {
+            if (type === 'equalizer') {
+                const bands = settings
+                    .map(({ band, gain }) => `${EQ_BAND_FREQUENCIES[band]} ${formatEqGain(gain)}`)
+                    .join(', ');
+                return `• **equalizer** — ${t('command.filter.status_equalizer', locale, { count: settings.length })}: ${bands}`;
+            }
+            return `• **${type}** — ${formatFilterSettings(settings)}`;
+        })
+        .join('\n');
+}
+
+/**
+ * Find a saved chain the member can use from an autocomplete value (preset ID) or a typed name
+ * @param {import('discord.js').ChatInputCommandInteraction} interaction
+ * @param {string} value - `name` option value
+ * @param {string} locale - Locale code
+ * @param {boolean} [personalOnly=false] - Ignore the server's chains
+ * @returns {Object} Preset
+ */
+function resolveChain(interaction, value, locale, personalOnly = false) {
+    const userId = interaction.user.id;
+    const guildId = interaction.guildId;
+    const canUse = preset =>
+        (preset.scope === FILTER_PRESET_SCOPES.USER && preset.ownerId === userId) ||
+        (!personalOnly && preset.scope === FILTER_PRESET_SCOPES.GUILD && preset.ownerId === guildId);
+
+    const byId = /^\d+$/.test(value) ? FilterPreset.get(Number(value)) : null;
+    if (byId && canUse(byId)) return byId;
+
+    const name = value.trim();
+    const preset =
+        FilterPreset.findByName(FILTER_PRESET_SCOPES.USER, userId, name) ||
+        (personalOnly ? null : FilterPreset.findByName(FILTER_PRESET_SCOPES.GUILD, guildId, name));
+    if (!preset) {
+        throw new ValidationError(t('command.filter.chain_not_found', locale, { name }));
+    }
+    return preset;
+}
+
+/**
+ * Save the active filters as a named chain
+ */
+async function handleChainSave(interaction, client, queue, locale) {
+    const name = interaction.options.getString('name').trim();
+    const scope = interaction.options.getString('scope') || FILTER_PRESET_SCOPES.USER;
+    const isServer = scope === FILTER_PRESET_SCOPES.GUILD;
+    const ownerId = isServer ? interaction.guildId : interaction.user.id;
+
+    if (!name) {
+        throw new ValidationError(t('command.filter.chain_name_empty', locale));
+    }
+    if (isServer && !isDJOrAdmin(interaction.member, interaction.guildId).allowed) {
+        throw new PermissionError(t('command.filter.chain_server_dj_only', locale));
+    }
+
+    const chain = queue.getFilterChain();
+    if (Object.keys(chain).length === 0) {
+        throw new ValidationError(t('command.filter.chain_empty', locale));
+    }
+
+    const existing = FilterPreset.findByName(scope, ownerId, name);
+    if (!existing && FilterPreset.count(scope, ownerId) >= FILTER_CHAINS.MAX_PER_OWNER) {
+        throw new ValidationError(t('command.filter.chain_limit', locale, { max: FILTER_CHAINS.MAX_PER_OWNER }));
+    }
+
+    const preset = FilterPreset.save({ scope, ownerId, name, filters: chain, createdBy: interaction.user.id });
+    if (!preset) {
+        throw new DatabaseError('Failed to save filter chain');
+    }
+
+    AuditLog.log(AUDIT_ACTIONS.FILTER, interaction.user.id, interaction.guildId, {
+        details: { filter: 'chain_save', name: preset.name, scope, replaced: Boolean(existing) }
+    });
+
+    const embed = new EmbedBuilder()
+        .setColor(client.config.bot.color)
+        .setTitle(
+            t(isServer ? 'command.filter.chain_saved_server' : 'command.filter.chain_saved', locale, {
+                name: preset.name
+            })
+        )
+        .setDescription(
+            describeChain(chain, locale) +
+                (isServer ? '' : `\n\n${t('command.filter.chain_default_hint', locale, { name: preset.name })}`)
+        )
+        .setFooter({ text: client.config.bot.footer })
+        .setTimestamp();
+
+    await interaction.editReply({ embeds: [embed] });
+}
+
+/**
+ * Replace the current filters with a saved chain
+ * @returns {Promise<Object>} Audit log details
+ */
+async function handleChainLoad(interaction, client, queue, locale) {
+    const preset = resolveChain(interaction, interaction.options.getString('name'), locale);
+
+    const success = await queue.applyFilterChain(preset.filters);
+    if (!success) throw new FilterError(preset.name);
+
+    const embed = new EmbedBuilder()
+        .setColor(client.config.bot.color)
+        .setTitle(t('command.filter.applied', locale, { name: preset.name }))
+        .setDescription(describeChain(preset.filters, locale) || t('command.filter.none_active', locale))
+        .setFooter({ text: client.config.bot.footer })
+        .setTimestamp();
+
+    await interaction.editReply({ embeds: [embed] });
+    return { filter: 'chain', name: preset.name, scope: preset.scope };
+}
+
+/**
+ * List, delete, or pick the default of saved chains (no playback needed)
+ */
+async function handleChainManagement(interaction, client, subcommand, locale) {
+    const userId = interaction.user.id;
+    const embed = new EmbedBuilder()
+        .setColor(client.config.bot.color)
+        .setFooter({ text: client.config.bot.footer })
+        .setTimestamp();
+
+    if (subcommand === 'list') {
+        const defaultId = UserPreferences.get(userId).defaultFilterPresetId;
+        const format = presets =>
+            presets.length > 0
+                ? presets
+                      .map(
+                          preset =>
+                              `${preset.id === defaultId ? '⭐' : '•'} **${preset.name}** — ${Object.keys(preset.filters).join(', ')}`
+                      )
+                      .join('\n')
+                : t('command.filter.chain_none', locale);
+
+        embed.setTitle(t('command.filter.chain_list_title', locale)).addFields([
+            {
+                name: t('command.filter.chain_personal', locale),
+                value: format(FilterPreset.list(FILTER_PRESET_SCOPES.USER, userId)),
+                inline: false
+            },
+            {
+                name: t('command.filter.chain_server', locale),
+                value: format(FilterPreset.list(FILTER_PRESET_SCOPES.GUILD, interaction.guildId)),
+                inline: false
+            }
+        ]);
+        if (defaultId) embed.setDescription(t('command.filter.chain_list_default', locale));
+    } else if (subcommand === 'delete') {
+        const preset = resolveChain(interaction, interaction.options.getString('name'), locale);
+        if (
+            preset.scope === FILTER_PRESET_SCOPES.GUILD &&
+            !isDJOrAdmin(interaction.member, interaction.guildId).allowed
+        ) {
+            throw new PermissionError(t('command.filter.chain_server_dj_only', locale));
+        }
+        if (!FilterPreset.delete(preset.id)) {
+            throw new DatabaseError('Failed to delete filter chain');
+        }
+
+        AuditLog.log(AUDIT_ACTIONS.FILTER, userId, interaction.guildId, {
+            details: { filter: 'chain_delete', name: preset.name, scope: preset.scope }
+        });
+        embed.setTitle(t('command.filter.chain_deleted', locale, { name: preset.name }));
+    } else {
+        const value = interaction.options.getString('name');
+        const preset = value ? resolveChain(interaction, value, locale, true) : null;
+        if (!UserPreferences.set(userId, { defaultFilterPresetId: preset?.id ?? null }, interaction.user.username)) {
+            throw new DatabaseError('Failed to update default filter chain');
+        }
+
+        embed
+            .setTitle(
+                preset
+                    ? t('command.filter.chain_default_set', locale, { name: preset.name })
+                    : t('command.filter.chain_default_off', locale)
+            )
+            .setDescription(
+                preset
+                    ? t('command.filter.chain_default_set_desc', locale)
+                    : t('command.filter.chain_default_off_desc', locale)
+            );
+    }
+
+    await interaction.editReply({ embeds: [embed] });
+}
+
+async function handleClear(interaction, client, queue, locale) {
     const success = await queue.clearFilters();
     if (!success) throw new FilterError('Clear');
 
     const embed = new EmbedBuilder()
         .setColor(client.config.bot.color)
-        .setTitle('✅ Đã xóa tất cả hiệu ứng')
-        .setDescription('Âm thanh đã trở về mặc định.')
+        .setTitle(t('command.filter.cleared', locale))
+        .setDescription(t('command.filter.cleared_desc', locale))
         .setFooter({ text: `${client.config.bot.footer}` })
         .setTimestamp();
 
     await interaction.editReply({ embeds: [embed] });
 }
 
-async function handleStatus(interaction, client, queue) {
+async function handleStatus(interaction, client, queue, locale) {
     const activeFilters = queue.getActiveFilters();
 
     if (activeFilters.length === 0) {
@@ -244,7 +984,7 @@ async function handleStatus(interaction, client, queue) {
                 new EmbedBuilder()
                     .setColor(client.config.bot.color)
                     .setTitle('📋 Filters')
-                    .setDescription('Không có hiệu ứng nào đang bật.')
+                    .setDescription(t('command.filter.none_active', locale))
                     .setFooter({ text: client.config.bot.footer })
                     .setTimestamp()
             ]
@@ -253,8 +993,18 @@ async function handleStatus(interaction, client, queue) {
 
     const embed = new EmbedBuilder()
         .setColor(client.config.bot.color)
-        .setTitle('📋 Filters Đang Hoạt Động')
-        .setDescription(activeFilters.map(f => `• **${f}**`).join('\n'))
+        .setTitle(t('command.filter.active_title', locale))
+        .setDescription(
+            activeFilters
+                .map(f => {
+                    const settings = queue.filters[f];
+                    const summary = Array.isArray(settings)
+                        ? t('command.filter.status_equalizer', locale, { count: settings.length })
+                        : formatFilterSettings(settings);
+                    return `• **${f}** — ${summary}`;
+                })
+                .join('\n')
+        )
         .setFooter({ text: client.config.bot.footer })
         .setTimestamp();
 
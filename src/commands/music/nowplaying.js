@@ -4,10 +4,14 @@ import { createNowPlayingButtons } from '../../UI/components/MusicControls.js';
 import { sendErrorResponse } from '../../UI/embeds/ErrorEmbeds.js';
 import { requireCurrentTrack } from '../../middleware/queueCheck.js';
 import { isMusicSystemAvailable, getDegradedModeMessage } from '../../utils/resilience.js';
+import { t, getLocale, localizations } from '../../utils/i18n.js';
 import logger from '../../utils/logger.js';
 
 export default {
-    data: new SlashCommandBuilder().setName('nowplaying').setDescription('Hiển thị bài hát đang phát kèm điều khiển'),
+    data: new SlashCommandBuilder()
+        .setName('nowplaying')
+        .setDescription('Hiển thị bài hát đang phát kèm điều khiển')
+        .setDescriptionLocalizations(localizations('command.nowplaying.description')),
 
     async execute(interaction, client) {
         await interaction.deferReply();
@@ -16,7 +20,7 @@ export default {
             if (!isMusicSystemAvailable(client.musicManager)) {
                 return sendErrorResponse(
                     interaction,
-                    new Error(getDegradedModeMessage('nhạc').description),
+                    new Error(getDegradedModeMessage('music', getLocale(interaction)).description),
                     client.config
                 );
             }
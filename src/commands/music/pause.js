@@ -1,13 +1,17 @@
 import { SlashCommandBuilder } from 'discord.js';
 import { createSuccessEmbed } from '../../UI/embeds/MusicEmbeds.js';
 import { createWarningEmbed, sendErrorResponse } from '../../UI/embeds/ErrorEmbeds.js';
-import { requireQueue } from '../../middleware/queueCheck.js';
+import { requireQueue, requireNoQuiz } from '../../middleware/queueCheck.js';
 import { UserNotInVoiceError, DifferentVoiceChannelError } from '../../utils/errors.js';
 import { isMusicSystemAvailable, getDegradedModeMessage } from '../../utils/resilience.js';
+import { t, getLocale, localizations } from '../../utils/i18n.js';
 import logger from '../../utils/logger.js';
 
 export default {
-    data: new SlashCommandBuilder().setName('pause').setDescription('Tạm dừng bài hát đang phát'),
+    data: new SlashCommandBuilder()
+        .setName('pause')
+        .setDescription('Tạm dừng bài hát đang phát')
+        .setDescriptionLocalizations(localizations('command.pause.description')),
 
     async execute(interaction, client) {
         try {
@@ -16,7 +20,7 @@ export default {
             if (!isMusicSystemAvailable(client.musicManager)) {
                 return sendErrorResponse(
                     interaction,
-                    new Error(getDegradedModeMessage('nhạc').description),
+                    new Error(getDegradedModeMessage('music', getLocale(interaction)).description),
                     client.config
                 );
             }
@@ -33,10 +37,15 @@ export default {
                 throw new DifferentVoiceChannelError();
             }
 
+            // A voice quiz holds the player until it ends
+            requireNoQuiz(queue);
+
             // Check if already paused
+            const locale = getLocale(interaction);
+
             if (queue.paused) {
                 return interaction.editReply({
-                    embeds: [createWarningEmbed('Nhạc đã được tạm dừng rồi!', client.config)]
+                    embeds: [createWarningEmbed(t('command.pause.already_paused', locale), client.config, locale)]
                 });
             }
 
@@ -44,7 +53,9 @@ export default {
             await queue.pause();
 
             await interaction.editReply({
-                embeds: [createSuccessEmbed('Tạm dừng', 'Đã tạm dừng phát nhạc', client.config)]
+                embeds: [
+                    createSuccessEmbed(t('command.pause.title', locale), t('command.pause.done', locale), client.config)
+                ]
             });
 
             logger.command('pause', interaction.user.id, interaction.guildId);
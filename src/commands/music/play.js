@@ -1,33 +1,41 @@
 import { SlashCommandBuilder, EmbedBuilder } from 'discord.js';
 import {
-    createTrackAddedEmbed,
+    createQueuedTrackEmbed,
+    describePlacement,
     createPlaylistAddedEmbed,
     createErrorEmbed,
-    createNowPlayingEmbed,
     createInfoEmbed,
     createSearchConfirmEmbed,
     createNoResultsSuggestionsEmbed
 } from '../../UI/embeds/MusicEmbeds.js';
-import {
-    createNowPlayingButtons,
-    createSearchResultButtons,
-    createSearchConfirmButtons
-} from '../../UI/components/MusicControls.js';
-import { sendErrorResponse } from '../../UI/embeds/ErrorEmbeds.js';
+import { createSearchResultButtons, createSearchConfirmButtons } from '../../UI/components/MusicControls.js';
+import { sendErrorResponse, createRequestLimitEmbed } from '../../UI/embeds/ErrorEmbeds.js';
 import {
     UserNotInVoiceError,
     VoiceChannelPermissionError,
     DifferentVoiceChannelError,
-    NoSearchResultsError
+    NoSearchResultsError,
+    DuplicateTrackError,
+    ValidationError,
+    assertQueued
 } from '../../utils/errors.js';
 import { isMusicSystemAvailable, getDegradedModeMessage } from '../../utils/resilience.js';
 import { CircuitBreakerError } from '../../utils/CircuitBreaker.js';
-import { PLAYLIST_RESOLUTION, SEARCH_PREFIXES } from '../../utils/constants.js';
+import { PLAYLIST_RESOLUTION, SEARCH_PREFIXES, QUEUE_PLACEMENTS } from '../../utils/constants.js';
 import { detectPlatform, getPlatformEmoji, getSmartSuggestions } from '../../utils/musicUtils.js';
 import { COLORS } from '../../config/design-system.js';
 import { checkAutoPlayFromResults, markAutoPlayed } from '../../events/autoPlaySuggestionHandler.js';
+import { requiresApproval, submitSongRequest } from '../../events/buttons/SongRequestHandlers.js';
+import { assertNotBlocked } from '../../utils/content-filter.js';
+import { checkDJPermission } from '../../utils/permissions.js';
+import History from '../../database/models/History.js';
+import { t, getLocale, localizations } from '../../utils/i18n.js';
 import logger from '../../utils/logger.js';
 
+/** Query autocomplete: recent plays shown before cached search results */
+const AUTOCOMPLETE_HISTORY_CHOICES = 10;
+const AUTOCOMPLETE_MAX_CHOICES = 25;
+
 /**
  * Normalize search query for better cache hit rates
  * @param {string} query - Raw search query
@@ -54,7 +62,7 @@ function truncateTitle(str, maxLen) {
 }
 
 async function handleDegradedMode(interaction) {
-    const degradedMessage = getDegradedModeMessage('phát nhạc');
+    const degradedMessage = getDegradedModeMessage('playback', getLocale(interaction));
     const embed = new EmbedBuilder()
         .setColor(degradedMessage.color)
         .setTitle(degradedMessage.title)
@@ -76,6 +84,45 @@ function validateVoicePermissions(interaction) {
     return voiceChannel;
 }
 
+/**
+ * Read the placement options. Interrupting someone else's track needs the DJ role.
+ * @param {import('discord.js').ChatInputCommandInteraction} interaction
+ * @param {Object} queue - EnhancedQueue instance
+ * @returns {{mode: string, position: number|null}}
+ */
+function getPlacement(interaction, queue) {
+    const locale = getLocale(interaction);
+    const mode = interaction.options.getString('placement') || QUEUE_PLACEMENTS.END;
+    const position = interaction.options.getInteger('position');
+
+    if (mode === QUEUE_PLACEMENTS.NOW) {
+        if (position) {
+            throw new ValidationError(t('command.play.placement_conflict', locale), 'position');
+        }
+        const requester = queue.current?.requester?.id || queue.current?.requester;
+        if (
+            queue.current &&
+            requester !== interaction.user.id &&
+            !checkDJPermission(interaction.member, interaction.guildId).allowed
+        ) {
+            throw new ValidationError(t('command.play.now_no_permission', locale), 'placement');
+        }
+    }
+
+    return { mode, position };
+}
+
+/**
+ * Build one autocomplete choice; values longer than Discord allows fall back to a text query
+ */
+function toQueryChoice(prefix, title, author, uri) {
+    const label = `${prefix} ${title || 'Unknown'}${author ? ` — ${author}` : ''}`;
+    return {
+        name: truncateTitle(label, 100),
+        value: uri.length <= 100 ? uri : truncateTitle(`${author || ''} ${title || ''}`.trim(), 100)
+    };
+}
+
 async function getOrCreateQueue(client, interaction, voiceChannel) {
     let queue = client.musicManager.getQueue(interaction.guildId);
     if (!queue) {
@@ -90,12 +137,11 @@ async function getOrCreateQueue(client, interaction, voiceChannel) {
 
 async function handleSpotifyLoading(interaction, platform, type) {
     if (platform === 'spotify' && (type === 'playlist' || type === 'album')) {
+        const locale = getLocale(interaction);
         const loadingEmbed = new EmbedBuilder()
             .setColor(COLORS.PRIMARY)
-            .setTitle(
-                `${getPlatformEmoji(platform)} Đang tải ${type === 'playlist' ? 'playlist' : 'album'} từ Spotify...`
-            )
-            .setDescription('Quá trình này có thể mất vài giây, vui lòng đợi...')
+            .setTitle(`${getPlatformEmoji(platform)} ${t('command.play.spotify_loading', locale, { type })}`)
+            .setDescription(t('command.play.spotify_loading_wait', locale))
             .setFooter({ text: interaction.client.config.bot.footer })
             .setTimestamp();
         await interaction.editReply({ embeds: [loadingEmbed] });
@@ -103,11 +149,13 @@ async function handleSpotifyLoading(interaction, platform, type) {
 }
 
 async function handleNoResults(interaction, client, query, platform) {
+    const locale = getLocale(interaction);
+
     if (platform === 'spotify') {
         const spotifyError = new EmbedBuilder()
             .setColor(COLORS.ERROR)
-            .setTitle('❌ Không tìm thấy kết quả từ Spotify')
-            .setDescription('Không thể tải nhạc từ Spotify. Thử tìm kiếm bằng tên bài hát.')
+            .setTitle(t('command.play.spotify_no_results_title', locale))
+            .setDescription(t('command.play.spotify_no_results', locale))
             .setFooter({ text: client.config.bot.footer })
             .setTimestamp();
         return interaction.editReply({ embeds: [spotifyError] });
@@ -115,7 +163,7 @@ async function handleNoResults(interaction, client, query, platform) {
 
     const suggestions = await getSmartSuggestions(query, interaction.user.id, interaction.guildId);
     if (suggestions.length > 0) {
-        const suggestionsEmbed = createNoResultsSuggestionsEmbed(query, suggestions, client.config);
+        const suggestionsEmbed = createNoResultsSuggestionsEmbed(query, suggestions, client.config, locale);
         return interaction.editReply({ embeds: [suggestionsEmbed] });
     }
 
@@ -125,10 +173,15 @@ async function handleNoResults(interaction, client, query, platform) {
 const SEARCH_RESULTS_TTL = 5 * 60 * 1000; // 5 minutes
 const SEARCH_RESULTS_MAX_SIZE = 100;
 
-async function handleSearchConfirmation(interaction, client, firstTrack, choices) {
+async function handleSearchConfirmation(interaction, client, firstTrack, choices, placement) {
     const key = `${interaction.user.id}:${interaction.guildId}`;
     if (client.cacheManager) {
-        client.cacheManager.set('searchResults', key, { tracks: choices, createdAt: Date.now() }, SEARCH_RESULTS_TTL);
+        client.cacheManager.set(
+            'searchResults',
+            key,
+            { tracks: choices, placement, createdAt: Date.now() },
+            SEARCH_RESULTS_TTL
+        );
     } else {
         if (!client._lastSearchResults) client._lastSearchResults = new Map();
 
@@ -144,13 +197,14 @@ async function handleSearchConfirmation(interaction, client, firstTrack, choices
             client._lastSearchResults.delete(oldestKey);
         }
 
-        client._lastSearchResults.set(key, { tracks: choices, createdAt: Date.now() });
+        client._lastSearchResults.set(key, { tracks: choices, placement, createdAt: Date.now() });
         setTimeout(() => client._lastSearchResults.delete(key), 120_000);
     }
 
+    const locale = getLocale(interaction);
     const reply = await interaction.editReply({
-        embeds: [createSearchConfirmEmbed(firstTrack, client.config)],
-        components: createSearchConfirmButtons(firstTrack)
+        embeds: [createSearchConfirmEmbed(firstTrack, client.config, locale)],
+        components: createSearchConfirmButtons(firstTrack, locale)
     });
 
     // BUG-067: Disable buttons after timeout
@@ -172,26 +226,63 @@ async function handleSearchConfirmation(interaction, client, firstTrack, choices
     logger.command('play-search-confirm', interaction.user.id, interaction.guildId);
 }
 
-async function handlePlaylistResult({ interaction, client, queue, result, platform, type, searchInfo }) {
-    result.tracks.forEach(t => (t.requester = interaction.user.id));
-    queue.add(result.tracks);
+/**
+ * Send the request to the DJs instead of queueing it (request approval mode)
+ * @param {import('discord.js').ChatInputCommandInteraction} interaction
+ * @param {Object} client - Discord client
+ * @param {import('discord.js').VoiceBasedChannel} voiceChannel - Requester's voice channel
+ * @param {Array} tracks - Resolved tracks
+ * @param {string|null} [playlistName] - Set for playlists and albums
+ */
+async function handleApprovalRequest(interaction, client, voiceChannel, tracks, playlistName = null) {
+    const embed = await submitSongRequest(interaction, client, { tracks, playlistName, voiceChannel });
+    await interaction.editReply({ embeds: [embed] });
+    logger.command('play-request', interaction.user.id, interaction.guildId, { tracks: tracks.length });
+}
+
+async function handlePlaylistResult({ interaction, client, queue, result, platform, type, searchInfo, placement }) {
+    const locale = getLocale(interaction);
+    result.tracks.forEach(track => (track.requester = interaction.user.id));
+    const addResult = queue.enqueue(result.tracks, placement);
+    assertQueued(addResult);
 
     if (client.metrics) {
-        client.metrics.trackMusic('playlist_added', { trackCount: result.tracks.length, platform, type });
+        client.metrics.trackMusic('playlist_added', { trackCount: addResult.added, platform, type });
     }
 
     const playlistName = result.playlistInfo?.name || 'Playlist';
+    const skippedNotes = [];
+    if (addResult.trimmed) {
+        skippedNotes.push(t('playlist_added.trimmed', locale, { count: addResult.trimmed, max: addResult.maxSize }));
+    }
+    if (addResult.skippedTracks.length > 0) {
+        skippedNotes.push(t('playlist_added.duplicates', locale, { count: addResult.skippedTracks.length }));
+    }
+    if (result.blockedCount) {
+        skippedNotes.push(t('playlist_added.blocked', locale, { count: result.blockedCount }));
+    }
+    const placementNote = describePlacement(addResult, queue, locale);
     const playlistEmbed = new EmbedBuilder()
         .setColor(client.config.bot.color)
-        .setTitle(`${getPlatformEmoji(platform)} Đã thêm ${type === 'album' ? 'album' : 'playlist'}`)
+        .setTitle(
+            `${getPlatformEmoji(platform)} ${t('command.play.collection_added', locale, { type: type === 'album' ? 'album' : 'playlist' })}`
+        )
         .setDescription(
             `📝 **${playlistName}**` +
-                (searchInfo?.isFallback ? `\n🔄 Tìm thấy trên **${searchInfo.searchSourceName}**` : '')
+                (searchInfo?.isFallback
+                    ? `\n🔄 ${t('track_added.fallback', locale, { source: searchInfo.searchSourceName })}`
+                    : '') +
+                (placementNote ? `\n${placementNote}` : '') +
+                (skippedNotes.length > 0 ? `\n\n${skippedNotes.join('\n')}` : '')
         )
         .addFields([
-            { name: '🎵 Số bài', value: `${result.tracks.length} bài`, inline: true },
             {
-                name: '📍 Nguồn',
+                name: t('playlist_added.tracks_field', locale),
+                value: t('playlist_added.tracks_value', locale, { count: addResult.added }),
+                inline: true
+            },
+            {
+                name: t('command.play.source_field', locale),
                 value: searchInfo?.searchSourceName || platform.charAt(0).toUpperCase() + platform.slice(1),
                 inline: true
             }
@@ -200,49 +291,42 @@ async function handlePlaylistResult({ interaction, client, queue, result, platfo
         .setTimestamp();
 
     if (result.playlistInfo?.artworkUrl) playlistEmbed.setThumbnail(result.playlistInfo.artworkUrl);
-    await interaction.editReply({ embeds: [playlistEmbed] });
+    await interaction.editReply({
+        embeds: addResult.limited
+            ? [playlistEmbed, createRequestLimitEmbed(addResult, client.config, locale)]
+            : [playlistEmbed]
+    });
 
-    await ensurePlayback(interaction, queue, client);
+    await ensurePlayback(queue);
 }
 
-async function handleSingleTrackResult({ interaction, client, queue, track, platform, searchInfo }) {
+async function handleSingleTrackResult({ interaction, client, queue, track, platform, searchInfo, placement }) {
+    const locale = getLocale(interaction);
     track.requester = interaction.user.id;
-    queue.add(track);
+    const addResult = queue.enqueue(track, placement);
+    assertQueued(addResult);
+    if (addResult.added === 0) throw new DuplicateTrackError(track.info?.title);
 
     if (client.metrics) client.metrics.trackMusic('track_added', { platform });
 
     await interaction.editReply({
-        embeds: [createTrackAddedEmbed(track, queue.tracks.length, client.config, searchInfo)]
+        embeds: [createQueuedTrackEmbed(track, addResult, queue, client.config, searchInfo, locale)]
     });
 
-    await ensurePlayback(interaction, queue, client);
+    await ensurePlayback(queue);
 }
 
-async function ensurePlayback(interaction, queue, client) {
+async function ensurePlayback(queue) {
+    // The now-playing announcement is sent by the queue when the track starts (see TrackAnnouncer)
     if (!queue.current) {
         await queue.play();
-        setTimeout(async () => {
-            try {
-                if (!queue.current) {
-                    logger.warn('No current track in queue after play, skipping now-playing message');
-                    return;
-                }
-                const nowPlayingMessage = await interaction.channel.send({
-                    embeds: [createNowPlayingEmbed(queue.current, queue, client.config)],
-                    components: createNowPlayingButtons(queue, false)
-                });
-                queue.setNowPlayingMessage(nowPlayingMessage);
-            } catch (error) {
-                logger.error('Failed to send now playing message', error);
-            }
-        }, 1000);
     }
 }
 
 async function handlePlayError(interaction, client, error) {
     if (error instanceof CircuitBreakerError) {
-        const degradedMessage = getDegradedModeMessage('tìm kiếm nhạc');
-        degradedMessage.description = 'Hệ thống tìm kiếm nhạc đang quá tải. Vui lòng thử lại sau 1-2 phút.';
+        const degradedMessage = getDegradedModeMessage('search', getLocale(interaction));
+        degradedMessage.description = t('command.play.search_overloaded', getLocale(interaction));
 
         const embed = new EmbedBuilder()
             .setColor(degradedMessage.color)
@@ -262,11 +346,46 @@ export default {
     data: new SlashCommandBuilder()
         .setName('play')
         .setDescription('Phát nhạc từ YouTube, Spotify, SoundCloud, v.v.')
+        .setDescriptionLocalizations(localizations('command.play.description'))
         .addStringOption(option =>
             option
                 .setName('query')
                 .setDescription('URL hoặc từ khóa tìm kiếm (hỗ trợ YouTube, Spotify, SoundCloud)')
+                .setDescriptionLocalizations(localizations('command.play.query_option'))
+                .setAutocomplete(true)
                 .setRequired(true)
+        )
+        .addStringOption(option =>
+            option
+                .setName('placement')
+                .setDescription('Vị trí thêm vào hàng đợi (mặc định: cuối hàng đợi)')
+                .setDescriptionLocalizations(localizations('command.play.placement_option'))
+                .addChoices(
+                    {
+                        name: t('command.play.placement_end'),
+                        name_localizations: localizations('command.play.placement_end'),
+                        value: QUEUE_PLACEMENTS.END
+                    },
+                    {
+                        name: t('command.play.placement_next'),
+                        name_localizations: localizations('command.play.placement_next'),
+                        value: QUEUE_PLACEMENTS.NEXT
+                    },
+                    {
+                        name: t('command.play.placement_now'),
+                        name_localizations: localizations('command.play.placement_now'),
+                        value: QUEUE_PLACEMENTS.NOW
+                    }
+                )
+                .setRequired(false)
+        )
+        .addIntegerOption(option =>
+            option
+                .setName('position')
+                .setDescription('Chèn vào vị trí cụ thể trong hàng đợi')
+                .setDescriptionLocalizations(localizations('command.play.position_option'))
+                .setMinValue(1)
+                .setRequired(false)
         ),
 
     async execute(interaction, client) {
@@ -279,20 +398,24 @@ export default {
 
             const query = normalizeSearchQuery(interaction.options.getString('query'));
             const voiceChannel = validateVoicePermissions(interaction);
+            // Moderated sessions: requests from non-DJs wait for approval, so nothing is queued or joined yet
+            const needsApproval = requiresApproval(interaction.member, interaction.guildId);
 
             // Get or create queue
-            const queue = await getOrCreateQueue(client, interaction, voiceChannel);
+            const queue = needsApproval ? null : await getOrCreateQueue(client, interaction, voiceChannel);
+            const placement = queue ? getPlacement(interaction, queue) : { mode: QUEUE_PLACEMENTS.END, position: null };
 
             const { platform, type, isUrl } = detectPlatform(query);
             logger.debug('Play command', { query: query.substring(0, 50), platform, type });
 
             await handleSpotifyLoading(interaction, platform, type);
 
-            const result = await client.musicManager.search(query, interaction.user);
+            const result = await client.musicManager.search(query, interaction.user, { guildId: interaction.guildId });
 
             if (result?.error === 'SERVICE_UNAVAILABLE') {
                 return handleDegradedMode(interaction);
             }
+            assertNotBlocked(result);
 
             if (!result || !result.tracks || result.tracks.length === 0) {
                 return handleNoResults(interaction, client, query, platform);
@@ -309,25 +432,36 @@ export default {
                 const autoPlayMatch = checkAutoPlayFromResults(interaction.user.id, searchTracks);
 
                 if (autoPlayMatch && autoPlayMatch.matchIndex >= 0) {
+                    if (needsApproval) {
+                        const matchedTrack = searchTracks[autoPlayMatch.matchIndex] || topTrack;
+                        return handleApprovalRequest(interaction, client, voiceChannel, [matchedTrack]);
+                    }
+
                     // BUG-002: Guard against queue-full — fall back to manual confirmation
-                    const maxQueueSize = client.config?.music?.maxQueueSize || 500;
-                    if (queue.tracks.length >= maxQueueSize) {
-                        return handleSearchConfirmation(interaction, client, topTrack, searchTracks);
+                    if (queue.tracks.length >= queue.maxQueueSize) {
+                        return handleSearchConfirmation(interaction, client, topTrack, searchTracks, placement);
                     }
 
                     // Auto-play: use the MATCHED track (could be any result, not just tracks[0])
                     const matchedTrack = searchTracks[autoPlayMatch.matchIndex] || topTrack;
                     const matchedTrackUrl = matchedTrack.info?.uri || matchedTrack.uri || matchedTrack.url || '';
                     matchedTrack.requester = interaction.user.id;
-                    queue.add(matchedTrack);
+                    const addResult = queue.enqueue(matchedTrack, placement);
+                    assertQueued(addResult);
+                    if (addResult.added === 0) throw new DuplicateTrackError(matchedTrack.info?.title);
 
                     // Build informative auto-play message
                     const matchedTitle = matchedTrack.info?.title || autoPlayMatch.trackTitle || 'Unknown';
                     const isAlternateVersion = autoPlayMatch.matchIndex > 0;
-                    const description = isAlternateVersion
-                        ? `🔄 Đã tự động phát **${truncateTitle(matchedTitle, 50)}**\n` +
-                          '💡 _Đây là phiên bản bạn đã chọn trước đó_'
-                        : `🔄 Đã tự động phát **${truncateTitle(matchedTitle, 50)}**`;
+                    const locale = getLocale(interaction);
+                    const autoPlayed = t('command.play.auto_played', locale, {
+                        title: truncateTitle(matchedTitle, 50)
+                    });
+                    const placementNote = describePlacement(addResult, queue, locale);
+                    const description =
+                        (isAlternateVersion
+                            ? `${autoPlayed}\n${t('command.play.auto_played_alternate', locale)}`
+                            : autoPlayed) + (placementNote ? `\n${placementNote}` : '');
 
                     const autoPlayEmbed = new EmbedBuilder()
                         .setColor(COLORS.SUCCESS)
@@ -337,7 +471,7 @@ export default {
 
                     await interaction.editReply({ embeds: [autoPlayEmbed] });
                     markAutoPlayed(interaction.user.id, matchedTrackUrl);
-                    await ensurePlayback(interaction, queue, client);
+                    await ensurePlayback(queue);
 
                     logger.command('play-auto', interaction.user.id, interaction.guildId, {
                         platform,
@@ -347,7 +481,7 @@ export default {
                     return;
                 }
 
-                return handleSearchConfirmation(interaction, client, topTrack, searchTracks);
+                return handleSearchConfirmation(interaction, client, topTrack, searchTracks, placement);
             }
 
             // v1.11.0: Build search source info for fallback badge
@@ -363,11 +497,24 @@ export default {
             // Handle Results
             if (result.loadType === 'playlist') {
                 // BUG-C01: Validate tracks have encoded field before adding to queue
-                result.tracks = result.tracks.filter(t => t.encoded);
+                result.tracks = result.tracks.filter(track => track.encoded);
                 if (result.tracks.length === 0) {
                     return handleNoResults(interaction, client, query, platform);
                 }
-                await handlePlaylistResult({ interaction, client, queue, result, platform, type, searchInfo });
+                if (needsApproval) {
+                    const playlistName = result.playlistInfo?.name || 'Playlist';
+                    return handleApprovalRequest(interaction, client, voiceChannel, result.tracks, playlistName);
+                }
+                await handlePlaylistResult({
+                    interaction,
+                    client,
+                    queue,
+                    result,
+                    platform,
+                    type,
+                    searchInfo,
+                    placement
+                });
             } else {
                 const track = result.tracks[0];
                 // BUG-C01: Validate track.encoded exists before passing to queue
@@ -375,12 +522,60 @@ export default {
                     logger.warn('Track missing encoded field', { query: query.substring(0, 50), platform });
                     return handleNoResults(interaction, client, query, platform);
                 }
-                await handleSingleTrackResult({ interaction, client, queue, track, platform, searchInfo });
+                if (needsApproval) {
+                    return handleApprovalRequest(interaction, client, voiceChannel, [track]);
+                }
+                await handleSingleTrackResult({ interaction, client, queue, track, platform, searchInfo, placement });
             }
 
-            logger.command('play', interaction.user.id, interaction.guildId, { platform, type });
+            logger.command('play', interaction.user.id, interaction.guildId, {
+                platform,
+                type,
+                placement: placement.position ? 'position' : placement.mode
+            });
         } catch (error) {
             await handlePlayError(interaction, client, error);
         }
+    },
+
+    /**
+     * Suggest tracks for `query` from the user's recent plays and the shared search cache
+     */
+    async autocomplete(interaction) {
+        try {
+            const focused = interaction.options.getFocused().trim();
+            // A pasted URL is already a complete query
+            if (/^https?:\/\//i.test(focused)) {
+                return interaction.respond([]);
+            }
+
+            const needle = focused.toLowerCase();
+            const seen = new Set();
+            const choices = [];
+            const addChoice = (prefix, title, author, uri) => {
+                if (!uri || seen.has(uri)) return;
+                seen.add(uri);
+                choices.push(toQueryChoice(prefix, title, author, uri));
+            };
+
+            for (const row of History.getUserHistory(interaction.user.id, 50)) {
+                if (choices.length >= AUTOCOMPLETE_HISTORY_CHOICES) break;
+                const haystack = `${row.track_title} ${row.track_author || ''}`.toLowerCase();
+                if (needle && !haystack.includes(needle)) continue;
+                addChoice('🕘', row.track_title, row.track_author, row.track_url);
+            }
+
+            const cached = interaction.client.musicManager?.searchCache?.findTracks(focused, AUTOCOMPLETE_MAX_CHOICES);
+            for (const track of cached || []) {
+                if (choices.length >= AUTOCOMPLETE_MAX_CHOICES) break;
+                addChoice('🔎', track.info.title, track.info.author, track.info.uri);
+            }
+
+            await interaction.respond(choices);
+        } catch (error) {
+            if (error.code === 10062) return; // Interaction expired while typing
+            logger.error('Play autocomplete error', error);
+            await interaction.respond([]).catch(() => {});
+        }
     }
 };
@@ -4,10 +4,14 @@ import { sendErrorResponse } from '../../UI/embeds/ErrorEmbeds.js';
 import { requireCurrentTrack } from '../../middleware/queueCheck.js';
 import { UserNotInVoiceError, DifferentVoiceChannelError } from '../../utils/errors.js';
 import { isMusicSystemAvailable, getDegradedModeMessage } from '../../utils/resilience.js';
+import { t, getLocale, localizations } from '../../utils/i18n.js';
 import logger from '../../utils/logger.js';
 
 export default {
-    data: new SlashCommandBuilder().setName('replay').setDescription('Phát lại bài hát hiện tại từ đầu'),
+    data: new SlashCommandBuilder()
+        .setName('replay')
+        .setDescription('Phát lại bài hát hiện tại từ đầu')
+        .setDescriptionLocalizations(localizations('command.replay.description')),
 
     async execute(interaction, client) {
         try {
@@ -16,7 +20,7 @@ export default {
             if (!isMusicSystemAvailable(client.musicManager)) {
                 return sendErrorResponse(
                     interaction,
-                    new Error(getDegradedModeMessage('nhạc').description),
+                    new Error(getDegradedModeMessage('music', getLocale(interaction)).description),
                     client.config
                 );
             }
@@ -36,9 +40,16 @@ export default {
             // Seek to the beginning to replay the current track
             await queue.player.seekTo(0);
 
+            const locale = getLocale(interaction);
             const title = current?.info?.title || 'Unknown Track';
             await interaction.editReply({
-                embeds: [createSuccessEmbed('Phát lại', `Đang phát lại **${title}** từ đầu`, client.config)]
+                embeds: [
+                    createSuccessEmbed(
+                        t('command.replay.title', locale),
+                        t('command.replay.success', locale, { title }),
+                        client.config
+                    )
+                ]
             });
 
             logger.command('replay', interaction.user.id, interaction.guildId);
@@ -1,13 +1,17 @@
 import { SlashCommandBuilder } from 'discord.js';
 import { createSuccessEmbed } from '../../UI/embeds/MusicEmbeds.js';
 import { createWarningEmbed, sendErrorResponse } from '../../UI/embeds/ErrorEmbeds.js';
-import { requireQueue } from '../../middleware/queueCheck.js';
+import { requireQueue, requireNoQuiz } from '../../middleware/queueCheck.js';
 import { UserNotInVoiceError, DifferentVoiceChannelError } from '../../utils/errors.js';
 import { isMusicSystemAvailable, getDegradedModeMessage } from '../../utils/resilience.js';
+import { t, getLocale, localizations } from '../../utils/i18n.js';
 import logger from '../../utils/logger.js';
 
 export default {
-    data: new SlashCommandBuilder().setName('resume').setDescription('Tiếp tục phát bài hát đã tạm dừng'),
+    data: new SlashCommandBuilder()
+        .setName('resume')
+        .setDescription('Tiếp tục phát bài hát đã tạm dừng')
+        .setDescriptionLocalizations(localizations('command.resume.description')),
 
     async execute(interaction, client) {
         try {
@@ -16,7 +20,7 @@ export default {
             if (!isMusicSystemAvailable(client.musicManager)) {
                 return sendErrorResponse(
                     interaction,
-                    new Error(getDegradedModeMessage('nhạc').description),
+                    new Error(getDegradedModeMessage('music', getLocale(interaction)).description),
                     client.config
                 );
             }
@@ -33,10 +37,15 @@ export default {
                 throw new DifferentVoiceChannelError();
             }
 
+            // A voice quiz holds the player until it ends
+            requireNoQuiz(queue);
+
             // Check if not paused
+            const locale = getLocale(interaction);
+
             if (!queue.paused) {
                 return interaction.editReply({
-                    embeds: [createWarningEmbed('Nhạc đang phát rồi!', client.config)]
+                    embeds: [createWarningEmbed(t('command.resume.already_playing', locale), client.config, locale)]
                 });
             }
 
@@ -44,7 +53,13 @@ export default {
             await queue.resume();
 
             await interaction.editReply({
-                embeds: [createSuccessEmbed('Tiếp tục', 'Đã tiếp tục phát nhạc', client.config)]
+                embeds: [
+                    createSuccessEmbed(
+                        t('command.resume.title', locale),
+                        t('command.resume.done', locale),
+                        client.config
+                    )
+                ]
             });
 
             logger.command('resume', interaction.user.id, interaction.guildId);
@@ -3,17 +3,27 @@ import { sendErrorResponse } from '../../UI/embeds/ErrorEmbeds.js';
 import { requireVoiceChannel } from '../../middleware/voiceCheck.js';
 import { isMusicSystemAvailable, getDegradedModeMessage } from '../../utils/resilience.js';
 import { formatDuration } from '../../utils/helpers.js';
+import { t, getLocale, localizations } from '../../utils/i18n.js';
+import { assertNotBlocked } from '../../utils/content-filter.js';
 import logger from '../../utils/logger.js';
 
 export default {
     data: new SlashCommandBuilder()
         .setName('search')
         .setDescription('Tìm kiếm bài hát')
-        .addStringOption(option => option.setName('query').setDescription('Tên bài hát hoặc URL').setRequired(true))
+        .setDescriptionLocalizations(localizations('command.search.description'))
+        .addStringOption(option =>
+            option
+                .setName('query')
+                .setDescription('Tên bài hát hoặc URL')
+                .setDescriptionLocalizations(localizations('command.search.query_option'))
+                .setRequired(true)
+        )
         .addStringOption(option =>
             option
                 .setName('source')
                 .setDescription('Nguồn tìm kiếm')
+                .setDescriptionLocalizations(localizations('command.search.source_option'))
                 .setRequired(false)
                 .addChoices(
                     { name: 'YouTube', value: 'ytsearch' },
@@ -32,7 +42,7 @@ export default {
             if (!isMusicSystemAvailable(client.musicManager)) {
                 return sendErrorResponse(
                     interaction,
-                    new Error(getDegradedModeMessage('nhạc').description),
+                    new Error(getDegradedModeMessage('music', getLocale(interaction)).description),
                     client.config
                 );
             }
@@ -40,20 +50,25 @@ export default {
             // Validate voice channel
             requireVoiceChannel(interaction);
 
+            const locale = getLocale(interaction);
             const query = interaction.options.getString('query');
             const source = interaction.options.getString('source') || 'ytsearch';
 
             // SRCH-C01 fix: Pass source via options instead of prefixing query
             // to avoid double-prefix in MusicManager._executeSearch()
-            const result = await client.musicManager.search(query, interaction.user.id, { requestedSource: source });
+            const result = await client.musicManager.search(query, interaction.user.id, {
+                requestedSource: source,
+                guildId: interaction.guildId
+            });
+            assertNotBlocked(result);
 
             if (!result || !result.tracks || result.tracks.length === 0) {
                 return interaction.editReply({
                     embeds: [
                         new EmbedBuilder()
                             .setColor(client.config.bot.color)
-                            .setTitle('🔍 Không tìm thấy')
-                            .setDescription(`Không tìm thấy kết quả cho: **${query}**`)
+                            .setTitle(t('command.search.not_found_title', locale))
+                            .setDescription(t('command.play.no_results', locale, { query }))
                             .setFooter({ text: client.config.bot.footer })
                             .setTimestamp()
                     ]
@@ -83,9 +98,9 @@ export default {
 
             const embed = new EmbedBuilder()
                 .setColor(client.config.bot.color)
-                .setTitle(`🔍 Kết quả tìm kiếm: ${query}`)
+                .setTitle(t('command.search.results_title', locale, { query }))
                 .setDescription(description)
-                .setFooter({ text: `${client.config.bot.footer} • Chọn bài hát bên dưới để phát` })
+                .setFooter({ text: `${client.config.bot.footer} • ${t('command.search.footer', locale)}` })
                 .setTimestamp();
 
             // Build select menu with null-safe track data
@@ -108,7 +123,7 @@ export default {
 
             const selectMenu = new StringSelectMenuBuilder()
                 .setCustomId(`search_select_${interaction.user.id}`)
-                .setPlaceholder('🎵 Chọn bài hát để phát')
+                .setPlaceholder(t('command.search.placeholder', locale))
                 .addOptions(options);
 
             const row = new ActionRowBuilder().addComponents(selectMenu);
@@ -1,7 +1,7 @@
 import { SlashCommandBuilder } from 'discord.js';
 import { createSuccessEmbed } from '../../UI/embeds/MusicEmbeds.js';
 import { sendErrorResponse, createErrorEmbed } from '../../UI/embeds/ErrorEmbeds.js';
-import { requireCurrentTrack } from '../../middleware/queueCheck.js';
+import { requireCurrentTrack, requireNoQuiz } from '../../middleware/queueCheck.js';
 import {
     UserNotInVoiceError,
     DifferentVoiceChannelError,
@@ -10,14 +10,20 @@ import {
 } from '../../utils/errors.js';
 import { isMusicSystemAvailable, getDegradedModeMessage } from '../../utils/resilience.js';
 import { parseTime, formatDuration } from '../../utils/helpers.js';
+import { t, getLocale, localizations } from '../../utils/i18n.js';
 import logger from '../../utils/logger.js';
 
 export default {
     data: new SlashCommandBuilder()
         .setName('seek')
         .setDescription('Tua đến thời điểm cụ thể')
+        .setDescriptionLocalizations(localizations('command.seek.description'))
         .addStringOption(option =>
-            option.setName('time').setDescription('Ví dụ: 1:30, 02:45, 1:23:45').setRequired(true)
+            option
+                .setName('time')
+                .setDescription('Ví dụ: 1:30, 02:45, 1:23:45')
+                .setDescriptionLocalizations(localizations('command.seek.time_option'))
+                .setRequired(true)
         ),
 
     async execute(interaction, client) {
@@ -28,7 +34,7 @@ export default {
             if (!isMusicSystemAvailable(client.musicManager)) {
                 return sendErrorResponse(
                     interaction,
-                    new Error(getDegradedModeMessage('nhạc').description),
+                    new Error(getDegradedModeMessage('music', getLocale(interaction)).description),
                     client.config
                 );
             }
@@ -45,10 +51,15 @@ export default {
                 throw new DifferentVoiceChannelError();
             }
 
+            // A voice quiz holds the player until it ends
+            requireNoQuiz(queue);
+
+            const locale = getLocale(interaction);
+
             // Check if track is seekable
             if (queue.current?.info?.isStream) {
                 return interaction.editReply({
-                    embeds: [createErrorEmbed('Không thể tua livestream!', client.config)]
+                    embeds: [createErrorEmbed(t('command.seek.livestream', locale), client.config, locale)]
                 });
             }
 
@@ -67,9 +78,7 @@ export default {
             // BUG-C19: Validate track has a known duration before seeking
             if (trackLength <= 0) {
                 return interaction.editReply({
-                    embeds: [
-                        createErrorEmbed('Không thể tua bài hát này (không xác định được thời lượng)!', client.config)
-                    ]
+                    embeds: [createErrorEmbed(t('command.seek.unknown_duration', locale), client.config, locale)]
                 });
             }
 
@@ -87,8 +96,9 @@ export default {
                 return interaction.editReply({
                     embeds: [
                         createErrorEmbed(
-                            `Thời điểm không hợp lệ! Bài hát chỉ dài **${formattedDuration}**.`,
-                            client.config
+                            t('command.seek.out_of_range', locale, { duration: formattedDuration }),
+                            client.config,
+                            locale
                         )
                     ]
                 });
@@ -98,7 +108,13 @@ export default {
             await queue.seek(position);
 
             await interaction.editReply({
-                embeds: [createSuccessEmbed('Tua nhạc', `Đã tua đến **${timeString}**`, client.config)]
+                embeds: [
+                    createSuccessEmbed(
+                        t('command.seek.title', locale),
+                        t('command.seek.done', locale, { time: timeString }),
+                        client.config
+                    )
+                ]
             });
 
             logger.command('seek', interaction.user.id, interaction.guildId);
@@ -8,11 +8,13 @@ import {
 } from 'discord.js';
 import { createSuccessEmbed, createErrorEmbed } from '../../UI/embeds/MusicEmbeds.js';
 import { sendErrorResponse } from '../../UI/embeds/ErrorEmbeds.js';
-import { requireCurrentTrack } from '../../middleware/queueCheck.js';
-import { UserNotInVoiceError, DifferentVoiceChannelError } from '../../utils/errors.js';
+import { requireCurrentTrack, requireNoQuiz } from '../../middleware/queueCheck.js';
+import { UserNotInVoiceError, DifferentVoiceChannelError, QuizInProgressError } from '../../utils/errors.js';
 import { isMusicSystemAvailable, getDegradedModeMessage } from '../../utils/resilience.js';
 import GuildSettings from '../../database/models/GuildSettings.js';
+import AuditLog, { AUDIT_ACTIONS } from '../../database/models/AuditLog.js';
 import { COLORS } from '../../config/design-system.js';
+import { t, getLocale, localizations } from '../../utils/i18n.js';
 import logger from '../../utils/logger.js';
 import { detectInstantSkip, sendInstantSkipPrompt } from '../../events/autoPlaySuggestionHandler.js';
 import { getAutoPlayPreferenceService } from '../../services/AutoPlayPreferenceService.js';
@@ -22,8 +24,13 @@ export default {
     data: new SlashCommandBuilder()
         .setName('skip')
         .setDescription('Bỏ qua bài hát hiện tại')
+        .setDescriptionLocalizations(localizations('command.skip.description'))
         .addBooleanOption(option =>
-            option.setName('force').setDescription('Bỏ qua không cần vote (Admin/DJ)').setRequired(false)
+            option
+                .setName('force')
+                .setDescription('Bỏ qua không cần vote (Admin/DJ)')
+                .setDescriptionLocalizations(localizations('command.skip.force_option'))
+                .setRequired(false)
         ),
 
     async execute(interaction, client) {
@@ -33,7 +40,7 @@ export default {
             if (!isMusicSystemAvailable(client.musicManager)) {
                 return sendErrorResponse(
                     interaction,
-                    new Error(getDegradedModeMessage('nhạc').description),
+                    new Error(getDegradedModeMessage('music', getLocale(interaction)).description),
                     client.config
                 );
             }
@@ -50,6 +57,10 @@ export default {
                 throw new DifferentVoiceChannelError();
             }
 
+            // A voice quiz holds the player until it ends
+            requireNoQuiz(queue);
+
+            const locale = getLocale(interaction);
             const forceSkip = interaction.options.getBoolean('force') || false;
             const guildSettings = GuildSettings.get(interaction.guildId);
 
@@ -69,12 +80,7 @@ export default {
                 const canForce = await canBypassVoteSkip(interaction, queue, guildSettings);
                 if (!canForce) {
                     return interaction.editReply({
-                        embeds: [
-                            createErrorEmbed(
-                                'Bạn không có quyền force skip! Chỉ Admin, DJ, hoặc người yêu cầu bài hát mới có thể force skip.',
-                                client.config
-                            )
-                        ]
+                        embeds: [createErrorEmbed(t('command.skip.no_force_permission', locale), client.config, locale)]
                     });
                 }
             }
@@ -86,9 +92,21 @@ export default {
 
             // Skip
             await queue.skip();
+            AuditLog.logTrackAction(
+                forceSkip ? AUDIT_ACTIONS.FORCE_SKIP : AUDIT_ACTIONS.SKIP,
+                interaction.user.id,
+                interaction.guildId,
+                current
+            );
 
             await interaction.editReply({
-                embeds: [createSuccessEmbed('Đã bỏ qua', `Đã bỏ qua **${skippedTrack}**`, client.config)]
+                embeds: [
+                    createSuccessEmbed(
+                        t('command.skip.title', locale),
+                        t('command.skip.done', locale, { title: skippedTrack }),
+                        client.config
+                    )
+                ]
             });
 
             logger.command('skip', interaction.user.id, interaction.guildId);
@@ -199,8 +217,9 @@ async function handleVoteSkip(interaction, client, queue, guildSettings) {
     } else {
         // Add vote
         if (session.votes.has(interaction.user.id)) {
+            const locale = getLocale(interaction);
             return interaction.editReply({
-                embeds: [createErrorEmbed('Bạn đã vote skip rồi!', client.config)]
+                embeds: [createErrorEmbed(t('voteskip.already_voted', locale), client.config, locale)]
             });
         }
         session.votes.add(interaction.user.id);
@@ -214,31 +233,19 @@ async function handleVoteSkip(interaction, client, queue, guildSettings) {
         manager.clearSession(interaction.guildId);
 
         const skippedTrack = queue.current?.info?.title || 'Unknown Track';
+        AuditLog.logTrackAction(AUDIT_ACTIONS.VOTE_SKIP, interaction.user.id, interaction.guildId, queue.current, {
+            votes: session.votes.size,
+            requiredVotes: session.requiredVotes
+        });
         await queue.skip();
 
-        const successEmbed = new EmbedBuilder()
-            .setColor(client.config.bot.color)
-            .setTitle('⏭️ Vote Skip Thành Công!')
-            .setDescription(`Đã bỏ qua **${skippedTrack}**\n└ ${session.votes.size}/${session.requiredVotes} phiếu bầu`)
-            .setFooter({ text: client.config.bot.footer })
-            .setTimestamp();
-
-        return interaction.editReply({ embeds: [successEmbed] });
+        return interaction.editReply({
+            embeds: [createVoteSkipSuccessEmbed(skippedTrack, session, client.config, queue.locale)]
+        });
     }
 
     // Create vote skip embed with button
-    const embed = new EmbedBuilder()
-        .setColor(COLORS.WARNING)
-        .setTitle('🗳️ Vote Skip')
-        .setDescription(
-            `**${session.trackTitle}**\n\n` +
-                `📊 **Tiến độ:** ${session.votes.size}/${session.requiredVotes} phiếu\n` +
-                `👥 **Thành viên trong voice:** ${membersInVoice}\n` +
-                `📈 **Yêu cầu:** ${requiredPercentage}% phiếu bầu\n\n` +
-                '*Nhấn nút bên dưới để vote skip!*'
-        )
-        .setFooter({ text: 'Vote sẽ hết hạn khi bài hát kết thúc' })
-        .setTimestamp();
+    const embed = createVoteSkipEmbed(session, membersInVoice, requiredPercentage, queue.locale);
 
     const row = new ActionRowBuilder().addComponents(
         new ButtonBuilder()
@@ -252,16 +259,56 @@ async function handleVoteSkip(interaction, client, queue, guildSettings) {
     session.messageId = reply.id;
 }
 
+/**
+ * Build the public vote skip progress embed (in the guild's locale, since everyone sees it)
+ */
+function createVoteSkipEmbed(session, membersInVoice, requiredPercentage, locale) {
+    return new EmbedBuilder()
+        .setColor(COLORS.WARNING)
+        .setTitle('🗳️ Vote Skip')
+        .setDescription(
+            `**${session.trackTitle}**\n\n` +
+                t('voteskip.progress', locale, {
+                    votes: session.votes.size,
+                    required: session.requiredVotes,
+                    members: membersInVoice,
+                    percentage: requiredPercentage
+                })
+        )
+        .setFooter({ text: t('voteskip.footer', locale) })
+        .setTimestamp();
+}
+
+/**
+ * Build the embed shown once a vote skip passes
+ */
+function createVoteSkipSuccessEmbed(skippedTrack, session, config, locale) {
+    return new EmbedBuilder()
+        .setColor(config.bot.color)
+        .setTitle(t('voteskip.success_title', locale))
+        .setDescription(
+            t('voteskip.success', locale, {
+                title: skippedTrack,
+                votes: session.votes.size,
+                required: session.requiredVotes
+            })
+        )
+        .setFooter({ text: config.bot.footer })
+        .setTimestamp();
+}
+
 /**
  * Handle vote skip button interaction
  */
 async function handleVoteSkipButton(interaction, client) {
+    const locale = getLocale(interaction);
+
     try {
         const queue = client.musicManager.getQueue(interaction.guildId);
 
         if (!queue || !queue.current) {
             return interaction.reply({
-                embeds: [createErrorEmbed('Không có nhạc nào đang phát!', client.config)],
+                embeds: [createErrorEmbed(t('voteskip.nothing_playing', locale), client.config, locale)],
                 ephemeral: true
             });
         }
@@ -269,24 +316,28 @@ async function handleVoteSkipButton(interaction, client) {
         const member = interaction.member;
         if (!member.voice.channel || member.voice.channel.id !== queue.voiceChannelId) {
             return interaction.reply({
-                embeds: [createErrorEmbed('Bạn phải ở trong cùng voice channel với bot!', client.config)],
+                embeds: [createErrorEmbed(t('voteskip.not_same_channel', locale), client.config, locale)],
                 ephemeral: true
             });
         }
 
+        if (queue.quizActive) {
+            return sendErrorResponse(interaction, new QuizInProgressError(), client.config, true);
+        }
+
         const manager = getVoteSkipManager();
         const session = manager.getSession(interaction.guildId);
 
         if (!session || session.trackUri !== queue.current?.info?.uri) {
             return interaction.reply({
-                embeds: [createErrorEmbed('Phiên vote skip này đã hết hạn!', client.config)],
+                embeds: [createErrorEmbed(t('voteskip.expired', locale), client.config, locale)],
                 ephemeral: true
             });
         }
 
         if (session.votes.has(interaction.user.id)) {
             return interaction.reply({
-                embeds: [createErrorEmbed('Bạn đã vote skip rồi!', client.config)],
+                embeds: [createErrorEmbed(t('voteskip.already_voted', locale), client.config, locale)],
                 ephemeral: true
             });
         }
@@ -306,33 +357,20 @@ async function handleVoteSkipButton(interaction, client) {
             manager.clearSession(interaction.guildId);
 
             const skippedTrack = queue.current?.info?.title || 'Unknown Track';
+            AuditLog.logTrackAction(AUDIT_ACTIONS.VOTE_SKIP, interaction.user.id, interaction.guildId, queue.current, {
+                votes: session.votes.size,
+                requiredVotes: session.requiredVotes
+            });
             await queue.skip();
 
-            const successEmbed = new EmbedBuilder()
-                .setColor(client.config.bot.color)
-                .setTitle('⏭️ Vote Skip Thành Công!')
-                .setDescription(
-                    `Đã bỏ qua **${skippedTrack}**\n└ ${session.votes.size}/${session.requiredVotes} phiếu bầu`
-                )
-                .setFooter({ text: client.config.bot.footer })
-                .setTimestamp();
-
-            return interaction.update({ embeds: [successEmbed], components: [] });
+            return interaction.update({
+                embeds: [createVoteSkipSuccessEmbed(skippedTrack, session, client.config, queue.locale)],
+                components: []
+            });
         }
 
         // Update embed with new vote count
-        const embed = new EmbedBuilder()
-            .setColor(COLORS.WARNING)
-            .setTitle('🗳️ Vote Skip')
-            .setDescription(
-                `**${session.trackTitle}**\n\n` +
-                    `📊 **Tiến độ:** ${session.votes.size}/${session.requiredVotes} phiếu\n` +
-                    `👥 **Thành viên trong voice:** ${membersInVoice}\n` +
-                    `📈 **Yêu cầu:** ${requiredPercentage}% phiếu bầu\n\n` +
-                    '*Nhấn nút bên dưới để vote skip!*'
-            )
-            .setFooter({ text: 'Vote sẽ hết hạn khi bài hát kết thúc' })
-            .setTimestamp();
+        const embed = createVoteSkipEmbed(session, membersInVoice, requiredPercentage, queue.locale);
 
         const row = new ActionRowBuilder().addComponents(
             new ButtonBuilder()
@@ -349,7 +387,7 @@ async function handleVoteSkipButton(interaction, client) {
         if (!interaction.replied && !interaction.deferred) {
             await interaction
                 .reply({
-                    embeds: [createErrorEmbed('Đã xảy ra lỗi khi xử lý vote skip!', client.config)],
+                    embeds: [createErrorEmbed(t('voteskip.error', locale), client.config, locale)],
                     ephemeral: true
                 })
                 .catch(() => {});
@@ -1,13 +1,20 @@
 import { SlashCommandBuilder } from 'discord.js';
 import { createSuccessEmbed } from '../../UI/embeds/MusicEmbeds.js';
 import { sendErrorResponse } from '../../UI/embeds/ErrorEmbeds.js';
-import { requireQueue } from '../../middleware/queueCheck.js';
-import { UserNotInVoiceError, DifferentVoiceChannelError } from '../../utils/errors.js';
+import { requireQueue, requireNoQuiz } from '../../middleware/queueCheck.js';
+import { UserNotInVoiceError, DifferentVoiceChannelError, QuizInProgressError } from '../../utils/errors.js';
 import { isMusicSystemAvailable, getDegradedModeMessage } from '../../utils/resilience.js';
+import AuditLog, { AUDIT_ACTIONS } from '../../database/models/AuditLog.js';
+import { requestActionVote } from '../../events/actionVoteHandler.js';
+import { VOTE_ACTIONS } from '../../utils/constants.js';
+import { t, getLocale, localizations } from '../../utils/i18n.js';
 import logger from '../../utils/logger.js';
 
 export default {
-    data: new SlashCommandBuilder().setName('stop').setDescription('Dừng phát nhạc, xóa hàng đợi và rời kênh thoại'),
+    data: new SlashCommandBuilder()
+        .setName('stop')
+        .setDescription('Dừng phát nhạc, xóa hàng đợi và rời kênh thoại')
+        .setDescriptionLocalizations(localizations('command.stop.description')),
 
     async execute(interaction, client) {
         try {
@@ -16,7 +23,7 @@ export default {
             if (!isMusicSystemAvailable(client.musicManager)) {
                 return sendErrorResponse(
                     interaction,
-                    new Error(getDegradedModeMessage('nhạc').description),
+                    new Error(getDegradedModeMessage('music', getLocale(interaction)).description),
                     client.config
                 );
             }
@@ -33,11 +40,22 @@ export default {
                 throw new DifferentVoiceChannelError();
             }
 
-            // Stop
-            await queue.stop();
+            // A voice quiz holds the player until it ends
+            requireNoQuiz(queue);
+
+            // Democratic mode: non-DJs put the stop to a vote
+            const voted = await requestActionVote(interaction, client, queue, VOTE_ACTIONS.STOP, {
+                summary: t('vote.summary.stop', queue.locale),
+                perform: stopPlayback
+            });
+            if (voted) return;
+
+            const locale = getLocale(interaction);
+            const done = await stopPlayback(queue, { userId: interaction.user.id, locale, details: {} });
+            if (!done) throw new QuizInProgressError();
 
             await interaction.editReply({
-                embeds: [createSuccessEmbed('Dừng phát', 'Đã dừng phát nhạc và xóa hàng đợi', client.config)]
+                embeds: [createSuccessEmbed(t('command.stop.title', locale), done, client.config)]
             });
 
             logger.command('stop', interaction.user.id, interaction.guildId);
@@ -46,3 +64,19 @@ export default {
         }
     }
 };
+
+/**
+ * Stop playback and clear the queue (directly or once a democratic mode vote passes)
+ * @param {Object} queue - EnhancedQueue instance
+ * @param {{userId: string, locale: string, details: Object}} context - Who acted, reply locale, audit details
+ * @returns {Promise<string|null>} Result line, or null when a voice quiz started in the meantime
+ */
+export async function stopPlayback(queue, { userId, locale, details }) {
+    const stoppedTrack = queue.current;
+    const clearedTracks = queue.tracks.length;
+
+    if (!(await queue.stop())) return null;
+    AuditLog.logTrackAction(AUDIT_ACTIONS.STOP, userId, queue.guildId, stoppedTrack, { clearedTracks, ...details });
+
+    return t('command.stop.done', locale);
+}
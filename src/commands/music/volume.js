@@ -4,16 +4,22 @@ import { sendErrorResponse } from '../../UI/embeds/ErrorEmbeds.js';
 import { requireQueue } from '../../middleware/queueCheck.js';
 import { UserNotInVoiceError, DifferentVoiceChannelError } from '../../utils/errors.js';
 import { isMusicSystemAvailable, getDegradedModeMessage } from '../../utils/resilience.js';
+import AuditLog, { AUDIT_ACTIONS } from '../../database/models/AuditLog.js';
+import { requestActionVote } from '../../events/actionVoteHandler.js';
+import { VOTE_ACTIONS } from '../../utils/constants.js';
+import { t, getLocale, localizations } from '../../utils/i18n.js';
 import logger from '../../utils/logger.js';
 
 export default {
     data: new SlashCommandBuilder()
         .setName('volume')
         .setDescription('Điều chỉnh âm lượng')
+        .setDescriptionLocalizations(localizations('command.volume.description'))
         .addIntegerOption(option =>
             option
                 .setName('level')
                 .setDescription('Âm lượng từ 0 (tắt tiếng) đến 100 (tối đa)')
+                .setDescriptionLocalizations(localizations('command.volume.level_option'))
                 .setMinValue(0)
                 .setMaxValue(100)
                 .setRequired(true)
@@ -26,7 +32,7 @@ export default {
             if (!isMusicSystemAvailable(client.musicManager)) {
                 return sendErrorResponse(
                     interaction,
-                    new Error(getDegradedModeMessage('nhạc').description),
+                    new Error(getDegradedModeMessage('music', getLocale(interaction)).description),
                     client.config
                 );
             }
@@ -43,20 +49,36 @@ export default {
                 throw new DifferentVoiceChannelError();
             }
 
+            const locale = getLocale(interaction);
             const volume = interaction.options.getInteger('level');
 
             // BUG-C18: Defensive validation harmonized with queue's 0-100 clamp
             if (volume < 0 || volume > 100) {
                 return interaction.editReply({
-                    embeds: [createSuccessEmbed('Âm lượng', 'Âm lượng phải trong khoảng **0-100%**', client.config)]
+                    embeds: [
+                        createSuccessEmbed(
+                            t('command.volume.title', locale),
+                            t('command.volume.out_of_range', locale),
+                            client.config
+                        )
+                    ]
                 });
             }
 
-            // Set volume
-            await queue.setVolume(volume);
+            const perform = (target, context) => changeVolume(target, volume, context);
+
+            // Democratic mode: non-DJs put the volume change to a vote
+            const voted = await requestActionVote(interaction, client, queue, VOTE_ACTIONS.VOLUME, {
+                key: String(volume),
+                summary: t('vote.summary.volume', queue.locale, { from: queue.volume, to: volume }),
+                perform
+            });
+            if (voted) return;
+
+            const done = await perform(queue, { userId: interaction.user.id, locale, details: {} });
 
             await interaction.editReply({
-                embeds: [createSuccessEmbed('Âm lượng', `Đã đặt âm lượng thành **${volume}%**`, client.config)]
+                embeds: [createSuccessEmbed(t('command.volume.title', locale), done, client.config)]
             });
 
             logger.command('volume', interaction.user.id, interaction.guildId);
@@ -65,3 +87,23 @@ export default {
         }
     }
 };
+
+/**
+ * Set the playback volume (directly or once a democratic mode vote passes)
+ * @param {Object} queue - EnhancedQueue instance
+ * @param {number} volume - New volume, 0-100
+ * @param {{userId: string, locale: string, details: Object}} context - Who acted, reply locale, audit details
+ * @returns {Promise<string>} Result line
+ */
+export async function changeVolume(queue, volume, { userId, locale, details }) {
+    const previousVolume = queue.volume;
+
+    await queue.setVolume(volume);
+    AuditLog.logTrackAction(AUDIT_ACTIONS.VOLUME, userId, queue.guildId, queue.current, {
+        from: previousVolume,
+        to: volume,
+        ...details
+    });
+
+    return t('command.volume.done', locale, { volume });
+}
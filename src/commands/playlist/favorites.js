@@ -5,7 +5,7 @@
 
 import { SlashCommandBuilder, EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle } from 'discord.js';
 import Favorites from '../../database/models/Favorites.js';
-import { sendErrorResponse } from '../../UI/embeds/ErrorEmbeds.js';
+import { sendErrorResponse, createRequestLimitEmbed } from '../../UI/embeds/ErrorEmbeds.js';
 import { formatDuration } from '../../utils/helpers.js';
 import { 
     ValidationError,
@@ -13,21 +13,27 @@ import {
     UserNotInVoiceError,
     VoiceChannelPermissionError,
     DifferentVoiceChannelError,
-    NoSearchResultsError
+    NoSearchResultsError,
+    assertQueued
 } from '../../utils/errors.js';
+import { assertNotBlocked } from '../../utils/content-filter.js';
+import { t, getLocale, intlLocale, localizations } from '../../utils/i18n.js';
 import logger from '../../utils/logger.js';
 
 export default {
     data: new SlashCommandBuilder()
         .setName('favorites')
         .setDescription('Quản lý danh sách bài hát yêu thích')
+        .setDescriptionLocalizations(localizations('command.favorites.description'))
         .addSubcommand(subcommand =>
             subcommand
                 .setName('list')
                 .setDescription('Xem danh sách bài hát yêu thích của bạn')
+                .setDescriptionLocalizations(localizations('command.favorites.list_description'))
                 .addIntegerOption(option =>
                     option.setName('page')
                         .setDescription('Số trang (mặc định: 1)')
+                        .setDescriptionLocalizations(localizations('command.favorites.page_option'))
                         .setRequired(false)
                         .setMinValue(1)
                 )
@@ -36,9 +42,11 @@ export default {
             subcommand
                 .setName('add')
                 .setDescription('Thêm bài hát vào danh sách yêu thích')
+                .setDescriptionLocalizations(localizations('command.favorites.add_description'))
                 .addStringOption(option =>
                     option.setName('query')
                         .setDescription('URL hoặc từ khóa tìm kiếm (để trống = bài đang phát)')
+                        .setDescriptionLocalizations(localizations('command.favorites.query_option'))
                         .setRequired(false)
                 )
         )
@@ -46,9 +54,11 @@ export default {
             subcommand
                 .setName('remove')
                 .setDescription('Xóa bài hát khỏi danh sách yêu thích')
+                .setDescriptionLocalizations(localizations('command.favorites.remove_description'))
                 .addIntegerOption(option =>
                     option.setName('position')
                         .setDescription('Vị trí bài hát (1, 2, 3...)')
+                        .setDescriptionLocalizations(localizations('command.favorites.position_option'))
                         .setRequired(true)
                         .setMinValue(1)
                 )
@@ -57,9 +67,11 @@ export default {
             subcommand
                 .setName('play')
                 .setDescription('Phát toàn bộ danh sách yêu thích')
+                .setDescriptionLocalizations(localizations('command.favorites.play_description'))
                 .addBooleanOption(option =>
                     option.setName('shuffle')
                         .setDescription('Xáo trộn thứ tự phát?')
+                        .setDescriptionLocalizations(localizations('command.favorites.shuffle_option'))
                         .setRequired(false)
                 )
         )
@@ -67,6 +79,7 @@ export default {
             subcommand
                 .setName('clear')
                 .setDescription('Xóa toàn bộ danh sách yêu thích')
+                .setDescriptionLocalizations(localizations('command.favorites.clear_description'))
         ),
 
     async execute(interaction, client) {
@@ -109,6 +122,7 @@ export default {
 async function handleList(interaction, client) {
     await interaction.deferReply({ ephemeral: true });
 
+    const locale = getLocale(interaction);
     const page = interaction.options.getInteger('page') || 1;
     const pageSize = 10;
     const offset = (page - 1) * pageSize;
@@ -120,37 +134,31 @@ async function handleList(interaction, client) {
     if (total === 0) {
         const embed = new EmbedBuilder()
             .setColor(client.config.bot.color)
-            .setTitle('❤️ Bài Hát Yêu Thích')
-            .setDescription(
-                'Bạn chưa có bài hát yêu thích nào.\n\n' +
-                '**Cách thêm:**\n' +
-                '• Sử dụng `/favorites add` để thêm bài đang phát\n' +
-                '• Sử dụng `/favorites add query:<tên bài>` để tìm và thêm\n' +
-                '• Nhấn nút ❤️ khi phát nhạc'
-            )
+            .setTitle(t('command.favorites.title', locale))
+            .setDescription(t('command.favorites.empty_help', locale))
             .setTimestamp();
 
         return await interaction.editReply({ embeds: [embed] });
     }
 
     if (page > totalPages) {
-        throw new ValidationError(`Chỉ có ${totalPages} trang`, 'page');
+        throw new ValidationError(t('command.favorites.page_out_of_range', locale, { total: totalPages }), 'page');
     }
 
     const description = favorites.map((fav, index) => {
         const position = offset + index + 1;
         const title = fav.track_title.length > 45 ? fav.track_title.substring(0, 42) + '...' : fav.track_title;
         const duration = formatDuration(fav.track_duration);
-        const addedDate = new Date(fav.added_at).toLocaleDateString('vi-VN');
+        const addedDate = new Date(fav.added_at).toLocaleDateString(intlLocale(locale));
         return `**${position}.** ${title}\n   └ 🎤 ${fav.track_author} • ⏱️ ${duration} • 📅 ${addedDate}`;
     }).join('\n\n');
 
     const embed = new EmbedBuilder()
         .setColor(client.config.bot.color)
-        .setTitle('❤️ Bài Hát Yêu Thích')
+        .setTitle(t('command.favorites.title', locale))
         .setDescription(description)
         .setFooter({ 
-            text: `Trang ${page}/${totalPages} • Tổng ${total} bài hát • /favorites play để phát` 
+            text: t('command.favorites.list_footer', locale, { page, pages: totalPages, total }) 
         })
         .setTimestamp();
 
@@ -159,17 +167,17 @@ async function handleList(interaction, client) {
         .addComponents(
             new ButtonBuilder()
                 .setCustomId(`favorites_page_${page - 1}`)
-                .setLabel('◀️ Trước')
+                .setLabel(t('command.favorites.previous_button', locale))
                 .setStyle(ButtonStyle.Secondary)
                 .setDisabled(page <= 1),
             new ButtonBuilder()
                 .setCustomId(`favorites_page_${page + 1}`)
-                .setLabel('Sau ▶️')
+                .setLabel(t('command.favorites.next_button', locale))
                 .setStyle(ButtonStyle.Secondary)
                 .setDisabled(page >= totalPages),
             new ButtonBuilder()
                 .setCustomId('favorites_play_all')
-                .setLabel('▶️ Phát tất cả')
+                .setLabel(t('command.favorites.play_all_button', locale))
                 .setStyle(ButtonStyle.Success)
         );
 
@@ -182,6 +190,7 @@ async function handleList(interaction, client) {
 async function handleAdd(interaction, client) {
     await interaction.deferReply({ ephemeral: true });
 
+    const locale = getLocale(interaction);
     const query = interaction.options.getString('query');
     let track = null;
 
@@ -191,7 +200,7 @@ async function handleAdd(interaction, client) {
 
         if (!queue || !queue.current) {
             throw new ValidationError(
-                'Không có bài nào đang phát. Sử dụng `/favorites add query:<tên bài>` để tìm và thêm.',
+                t('command.favorites.nothing_playing', locale),
                 'query'
             );
         }
@@ -199,7 +208,8 @@ async function handleAdd(interaction, client) {
         track = queue.current;
     } else {
         // Search for track
-        const result = await client.musicManager.search(query, interaction.user);
+        const result = await client.musicManager.search(query, interaction.user, { guildId: interaction.guildId });
+        assertNotBlocked(result);
 
         if (!result || !result.tracks || result.tracks.length === 0) {
             throw new NoSearchResultsError(query);
@@ -212,8 +222,8 @@ async function handleAdd(interaction, client) {
     if (Favorites.isFavorite(interaction.user.id, track.info.uri)) {
         const embed = new EmbedBuilder()
             .setColor('#FFA500')
-            .setTitle('⚠️ Đã Tồn Tại')
-            .setDescription(`**${track.info.title}**\n└ Bài hát này đã có trong danh sách yêu thích của bạn!`)
+            .setTitle(t('command.favorites.exists_title', locale))
+            .setDescription(t('command.favorites.exists', locale, { title: track.info.title }))
             .setTimestamp();
 
         return await interaction.editReply({ embeds: [embed] });
@@ -228,17 +238,17 @@ async function handleAdd(interaction, client) {
     });
 
     if (!success) {
-        throw new InternalError('Không thể thêm bài hát vào danh sách yêu thích');
+        throw new InternalError(t('command.favorites.add_failed', locale));
     }
 
     const total = Favorites.count(interaction.user.id);
 
     const embed = new EmbedBuilder()
         .setColor(client.config.bot.color)
-        .setTitle('❤️ Đã Thêm Vào Yêu Thích')
+        .setTitle(t('command.favorites.added_title', locale))
         .setDescription(`**${track.info.title}**\n└ 🎤 ${track.info.author}`)
         .setThumbnail(track.info.artworkUrl || null)
-        .setFooter({ text: `Tổng ${total} bài hát yêu thích` })
+        .setFooter({ text: t('command.favorites.total_footer', locale, { count: total }) })
         .setTimestamp();
 
     await interaction.editReply({ embeds: [embed] });
@@ -250,38 +260,39 @@ async function handleAdd(interaction, client) {
 async function handleRemove(interaction, client) {
     await interaction.deferReply({ ephemeral: true });
 
+    const locale = getLocale(interaction);
     const position = interaction.options.getInteger('position');
     const total = Favorites.count(interaction.user.id);
 
     if (total === 0) {
-        throw new ValidationError('Danh sách yêu thích của bạn đang trống', 'favorites');
+        throw new ValidationError(t('command.favorites.empty', locale), 'favorites');
     }
 
     if (position > total) {
-        throw new ValidationError(`Vị trí không hợp lệ. Bạn có ${total} bài hát yêu thích`, 'position');
+        throw new ValidationError(t('command.favorites.invalid_position', locale, { count: total }), 'position');
     }
 
     // Get the favorite at that position
     const favorites = Favorites.getByUser(interaction.user.id, 1, position - 1);
     
     if (!favorites || favorites.length === 0) {
-        throw new ValidationError('Không tìm thấy bài hát ở vị trí này', 'position');
+        throw new ValidationError(t('command.favorites.position_not_found', locale), 'position');
     }
 
     const favorite = favorites[0];
     const success = Favorites.remove(interaction.user.id, favorite.track_url);
 
     if (!success) {
-        throw new InternalError('Không thể xóa bài hát khỏi danh sách yêu thích');
+        throw new InternalError(t('command.favorites.remove_failed', locale));
     }
 
     const remaining = Favorites.count(interaction.user.id);
 
     const embed = new EmbedBuilder()
         .setColor(client.config.bot.color)
-        .setTitle('💔 Đã Xóa Khỏi Yêu Thích')
+        .setTitle(t('command.favorites.removed_title', locale))
         .setDescription(`**${favorite.track_title}**\n└ 🎤 ${favorite.track_author}`)
-        .setFooter({ text: `Còn ${remaining} bài hát yêu thích` })
+        .setFooter({ text: t('command.favorites.remaining_footer', locale, { count: remaining }) })
         .setTimestamp();
 
     await interaction.editReply({ embeds: [embed] });
@@ -293,6 +304,7 @@ async function handleRemove(interaction, client) {
 async function handlePlay(interaction, client) {
     await interaction.deferReply();
 
+    const locale = getLocale(interaction);
     const member = interaction.member;
     const voiceChannel = member.voice.channel;
     const shuffle = interaction.options.getBoolean('shuffle') || false;
@@ -311,7 +323,7 @@ async function handlePlay(interaction, client) {
     const total = Favorites.count(interaction.user.id);
 
     if (total === 0) {
-        throw new ValidationError('Danh sách yêu thích của bạn đang trống', 'favorites');
+        throw new ValidationError(t('command.favorites.empty', locale), 'favorites');
     }
 
     const favorites = Favorites.getByUser(interaction.user.id, total, 0);
@@ -346,7 +358,7 @@ async function handlePlay(interaction, client) {
 
         const results = await Promise.allSettled(
             batch.map(fav =>
-                client.musicManager.search(fav.track_url, interaction.user)
+                client.musicManager.search(fav.track_url, interaction.user, { guildId: interaction.guildId })
                     .then(result => ({ success: true, result, track: fav }))
                     .catch(error => ({ success: false, error, track: fav }))
             )
@@ -368,7 +380,7 @@ async function handlePlay(interaction, client) {
     }
 
     if (resolvedTracks.length === 0) {
-        throw new ValidationError('Không thể tải bất kỳ bài hát nào từ danh sách yêu thích', 'tracks');
+        throw new ValidationError(t('command.favorites.none_loaded', locale), 'tracks');
     }
 
     // Shuffle if requested
@@ -382,41 +394,26 @@ async function handlePlay(interaction, client) {
     });
 
     // Add all resolved tracks to queue
-    queue.add(resolvedTracks);
+    const addResult = queue.add(resolvedTracks);
+    assertQueued(addResult);
 
     const embed = new EmbedBuilder()
         .setColor(client.config.bot.color)
-        .setTitle('❤️ Đang Phát Bài Hát Yêu Thích')
+        .setTitle(t('command.favorites.playing_title', locale))
         .setDescription(
-            `Đã thêm **${resolvedTracks.length}/${favorites.length}** bài hát vào hàng đợi` +
-            (shuffle ? '\n🔀 Đã xáo trộn thứ tự' : '') +
-            (failedCount > 0 ? `\n⚠️ ${failedCount} bài không tải được` : '')
+            t('command.favorites.queued', locale, { added: addResult.added, total: favorites.length }) +
+            (shuffle ? `\n${t('command.favorites.shuffled', locale)}` : '') +
+            (failedCount > 0 ? `\n${t('command.favorites.failed', locale, { count: failedCount })}` : '')
         )
         .setTimestamp();
 
-    await interaction.editReply({ embeds: [embed] });
+    await interaction.editReply({
+        embeds: addResult.limited ? [embed, createRequestLimitEmbed(addResult, client.config)] : [embed]
+    });
 
     // Start playing if not already
     if (!queue.current) {
         await queue.play();
-
-        // Send now playing with buttons after a short delay
-        setTimeout(async () => {
-            try {
-                const { createNowPlayingEmbed } = await import('../../UI/embeds/MusicEmbeds.js');
-                const { createNowPlayingButtons } = await import('../../UI/components/MusicControls.js');
-
-                const nowPlayingMessage = await interaction.channel.send({
-                    embeds: [createNowPlayingEmbed(queue.current, queue, client.config)],
-                    components: createNowPlayingButtons(queue, false)
-                });
-
-                // Store message for auto-updates
-                queue.setNowPlayingMessage(nowPlayingMessage);
-            } catch (error) {
-                logger.error('Failed to send now playing message from favorites', error);
-            }
-        }, 1000);
     }
 }
 
@@ -426,13 +423,14 @@ async function handlePlay(interaction, client) {
 async function handleClear(interaction, client) {
     await interaction.deferReply({ ephemeral: true });
 
+    const locale = getLocale(interaction);
     const total = Favorites.count(interaction.user.id);
 
     if (total === 0) {
         const embed = new EmbedBuilder()
             .setColor(client.config.bot.color)
-            .setTitle('❤️ Danh Sách Yêu Thích')
-            .setDescription('Danh sách yêu thích của bạn đã trống!')
+            .setTitle(t('command.favorites.list_title', locale))
+            .setDescription(t('command.favorites.already_empty', locale))
             .setTimestamp();
 
         return await interaction.editReply({ embeds: [embed] });
@@ -443,21 +441,18 @@ async function handleClear(interaction, client) {
         .addComponents(
             new ButtonBuilder()
                 .setCustomId('favorites_clear_confirm')
-                .setLabel('✅ Xác nhận xóa')
+                .setLabel(t('command.favorites.confirm_button', locale))
                 .setStyle(ButtonStyle.Danger),
             new ButtonBuilder()
                 .setCustomId('favorites_clear_cancel')
-                .setLabel('❌ Hủy')
+                .setLabel(t('command.favorites.cancel_button', locale))
                 .setStyle(ButtonStyle.Secondary)
         );
 
     const embed = new EmbedBuilder()
         .setColor('#FF0000')
-        .setTitle('⚠️ Xác Nhận Xóa')
-        .setDescription(
-            `Bạn có chắc muốn xóa **toàn bộ ${total} bài hát** khỏi danh sách yêu thích?\n\n` +
-            '**Hành động này không thể hoàn tác!**'
-        )
+        .setTitle(t('command.favorites.confirm_title', locale))
+        .setDescription(t('command.favorites.confirm', locale, { count: total }))
         .setTimestamp();
 
     const reply = await interaction.editReply({ embeds: [embed], components: [row] });
@@ -474,21 +469,21 @@ async function handleClear(interaction, client) {
             const success = Favorites.clearAll(interaction.user.id);
 
             if (!success) {
-                throw new InternalError('Không thể xóa danh sách yêu thích');
+                throw new InternalError(t('command.favorites.clear_failed', locale));
             }
 
             const successEmbed = new EmbedBuilder()
                 .setColor(client.config.bot.color)
-                .setTitle('✅ Đã Xóa')
-                .setDescription(`Đã xóa toàn bộ **${total}** bài hát khỏi danh sách yêu thích.`)
+                .setTitle(t('command.favorites.cleared_title', locale))
+                .setDescription(t('command.favorites.cleared', locale, { count: total }))
                 .setTimestamp();
 
             await buttonInteraction.update({ embeds: [successEmbed], components: [] });
         } else {
             const cancelEmbed = new EmbedBuilder()
                 .setColor(client.config.bot.color)
-                .setTitle('❌ Đã Hủy')
-                .setDescription('Đã hủy thao tác xóa danh sách yêu thích.')
+                .setTitle(t('command.favorites.cancelled_title', locale))
+                .setDescription(t('command.favorites.cancelled', locale))
                 .setTimestamp();
 
             await buttonInteraction.update({ embeds: [cancelEmbed], components: [] });
@@ -497,8 +492,8 @@ async function handleClear(interaction, client) {
         // Timeout - remove buttons
         const timeoutEmbed = new EmbedBuilder()
             .setColor('#808080')
-            .setTitle('⏰ Hết Thời Gian')
-            .setDescription('Đã hết thời gian chờ xác nhận. Thao tác đã bị hủy.')
+            .setTitle(t('command.favorites.timeout_title', locale))
+            .setDescription(t('command.favorites.timeout', locale))
             .setTimestamp();
 
         await interaction.editReply({ embeds: [timeoutEmbed], components: [] }).catch(() => {});
@@ -3,9 +3,16 @@
  * Manage custom playlists
  */
 
-import { SlashCommandBuilder, EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle } from 'discord.js';
-import Playlist from '../../database/models/Playlist.js';
-import { sendErrorResponse } from '../../UI/embeds/ErrorEmbeds.js';
+import {
+    SlashCommandBuilder,
+    EmbedBuilder,
+    ActionRowBuilder,
+    ButtonBuilder,
+    ButtonStyle,
+    AttachmentBuilder
+} from 'discord.js';
+import Playlist, { PLAYLIST_ACCESS, PLAYLIST_KINDS } from '../../database/models/Playlist.js';
+import { sendErrorResponse, createRequestLimitEmbed } from '../../UI/embeds/ErrorEmbeds.js';
 import { COLORS } from '../../config/design-system.js';
 import {
     PlaylistNotFoundError,
@@ -14,67 +21,155 @@ import {
     UserNotInVoiceError,
     VoiceChannelPermissionError,
     DifferentVoiceChannelError,
-    NoSearchResultsError
+    NoSearchResultsError,
+    PlaylistFileError,
+    SmartPlaylistError,
+    assertQueued
 } from '../../utils/errors.js';
-import { PLAYLIST_RESOLUTION } from '../../utils/constants.js';
+import { PLAYLIST_RESOLUTION, PLAYLIST_FILES, SMART_PLAYLISTS } from '../../utils/constants.js';
+import { assertNotBlocked } from '../../utils/content-filter.js';
+import { getMemberRoleIds } from '../../utils/permissions.js';
+import { t, getLocale, intlLocale, localizations } from '../../utils/i18n.js';
+import { validatePlaylistDescription, validateURL } from '../../utils/input-validator.js';
+import {
+    PLAYLIST_FILE_FORMATS,
+    getExportFileName,
+    serializePlaylist,
+    parsePlaylistFile,
+    getEntryQuery
+} from '../../utils/playlist-files.js';
+import {
+    SMART_SOURCES,
+    SMART_SCOPES,
+    SMART_SORTS,
+    normalizeSmartRules,
+    parseSmartRules,
+    describeSmartRules
+} from '../../utils/smart-playlists.js';
 import { handlePlaylistAutocomplete } from '../../events/playlists/index.js';
 import logger from '../../utils/logger.js';
 
+/** Maximum users and roles a playlist can be shared with */
+const MAX_PLAYLIST_COLLABORATORS = 25;
+
+/**
+ * Display label for a collaborator permission
+ * @param {string} access - PLAYLIST_ACCESS.EDITOR or PLAYLIST_ACCESS.VIEWER
+ * @param {string} locale - Locale code
+ * @returns {string}
+ */
+function accessLabel(access, locale) {
+    return t(
+        access === PLAYLIST_ACCESS.EDITOR ? 'command.playlist.access_editor' : 'command.playlist.access_viewer',
+        locale
+    );
+}
+
 export default {
     data: new SlashCommandBuilder()
         .setName('playlist')
         .setDescription('Quản lý playlists')
+        .setDescriptionLocalizations(localizations('command.playlist.description'))
         .addSubcommand(subcommand =>
             subcommand
                 .setName('create')
                 .setDescription('Tạo playlist mới')
-                .addStringOption(option => option.setName('name').setDescription('Tên playlist').setRequired(true))
+                .setDescriptionLocalizations(localizations('command.playlist.create_description'))
+                .addStringOption(option =>
+                    option
+                        .setName('name')
+                        .setDescription('Tên playlist')
+                        .setDescriptionLocalizations(localizations('command.playlist.export_name_option'))
+                        .setRequired(true)
+                )
                 .addStringOption(option =>
-                    option.setName('description').setDescription('Mô tả playlist').setRequired(false)
+                    option
+                        .setName('description')
+                        .setDescription('Mô tả playlist')
+                        .setDescriptionLocalizations(localizations('command.playlist.description_option'))
+                        .setRequired(false)
                 )
                 .addBooleanOption(option =>
-                    option.setName('public').setDescription('Công khai playlist?').setRequired(false)
+                    option
+                        .setName('public')
+                        .setDescription('Công khai playlist?')
+                        .setDescriptionLocalizations(localizations('command.playlist.edit_public_option'))
+                        .setRequired(false)
                 )
         )
-        .addSubcommand(subcommand => subcommand.setName('list').setDescription('Xem tất cả playlists của bạn'))
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('list')
+                .setDescription('Xem tất cả playlists của bạn')
+                .setDescriptionLocalizations(localizations('command.playlist.list_description'))
+        )
         .addSubcommand(subcommand =>
             subcommand
                 .setName('show')
                 .setDescription('Xem chi tiết một playlist')
+                .setDescriptionLocalizations(localizations('command.playlist.show_description'))
                 .addStringOption(option =>
-                    option.setName('name').setDescription('Tên playlist').setAutocomplete(true).setRequired(true)
+                    option
+                        .setName('name')
+                        .setDescription('Tên playlist')
+                        .setDescriptionLocalizations(localizations('command.playlist.export_name_option'))
+                        .setAutocomplete(true)
+                        .setRequired(true)
                 )
         )
         .addSubcommand(subcommand =>
             subcommand
                 .setName('delete')
                 .setDescription('Xóa một playlist')
+                .setDescriptionLocalizations(localizations('command.playlist.delete_description'))
                 .addStringOption(option =>
-                    option.setName('name').setDescription('Tên playlist').setAutocomplete(true).setRequired(true)
+                    option
+                        .setName('name')
+                        .setDescription('Tên playlist')
+                        .setDescriptionLocalizations(localizations('command.playlist.export_name_option'))
+                        .setAutocomplete(true)
+                        .setRequired(true)
                 )
         )
         .addSubcommand(subcommand =>
             subcommand
                 .setName('add')
                 .setDescription('Thêm bài hát vào playlist')
+                .setDescriptionLocalizations(localizations('command.playlist.add_description'))
                 .addStringOption(option =>
-                    option.setName('name').setDescription('Tên playlist').setAutocomplete(true).setRequired(true)
+                    option
+                        .setName('name')
+                        .setDescription('Tên playlist')
+                        .setDescriptionLocalizations(localizations('command.playlist.export_name_option'))
+                        .setAutocomplete(true)
+                        .setRequired(true)
                 )
                 .addStringOption(option =>
-                    option.setName('query').setDescription('URL hoặc từ khóa tìm kiếm').setRequired(true)
+                    option
+                        .setName('query')
+                        .setDescription('URL hoặc từ khóa tìm kiếm')
+                        .setDescriptionLocalizations(localizations('command.playlist.query_option'))
+                        .setRequired(true)
                 )
         )
         .addSubcommand(subcommand =>
             subcommand
                 .setName('remove')
                 .setDescription('Xóa bài hát khỏi playlist')
+                .setDescriptionLocalizations(localizations('command.playlist.remove_description'))
                 .addStringOption(option =>
-                    option.setName('name').setDescription('Tên playlist').setAutocomplete(true).setRequired(true)
+                    option
+                        .setName('name')
+                        .setDescription('Tên playlist')
+                        .setDescriptionLocalizations(localizations('command.playlist.export_name_option'))
+                        .setAutocomplete(true)
+                        .setRequired(true)
                 )
                 .addIntegerOption(option =>
                     option
                         .setName('position')
                         .setDescription('Vị trí bài hát (1, 2, 3...)')
+                        .setDescriptionLocalizations(localizations('command.playlist.position_option'))
                         .setRequired(true)
                         .setMinValue(1)
                 )
@@ -83,17 +178,32 @@ export default {
             subcommand
                 .setName('save')
                 .setDescription('Lưu bài hát đang phát hoặc hàng đợi vào playlist')
+                .setDescriptionLocalizations(localizations('command.playlist.save_description'))
                 .addStringOption(option =>
-                    option.setName('name').setDescription('Tên playlist').setAutocomplete(true).setRequired(true)
+                    option
+                        .setName('name')
+                        .setDescription('Tên playlist')
+                        .setDescriptionLocalizations(localizations('command.playlist.export_name_option'))
+                        .setAutocomplete(true)
+                        .setRequired(true)
                 )
                 .addStringOption(option =>
                     option
                         .setName('source')
                         .setDescription('Nguồn lưu')
+                        .setDescriptionLocalizations(localizations('command.playlist.save_source_option'))
                         .setRequired(false)
                         .addChoices(
-                            { name: 'Bài đang phát', value: 'current' },
-                            { name: 'Toàn bộ hàng đợi', value: 'queue' }
+                            {
+                                name: 'Bài đang phát',
+                                name_localizations: localizations('command.playlist.save_source_current'),
+                                value: 'current'
+                            },
+                            {
+                                name: 'Toàn bộ hàng đợi',
+                                name_localizations: localizations('command.playlist.save_source_queue'),
+                                value: 'queue'
+                            }
                         )
                 )
         )
@@ -101,55 +211,500 @@ export default {
             subcommand
                 .setName('play')
                 .setDescription('Phát toàn bộ playlist')
+                .setDescriptionLocalizations(localizations('command.playlist.play_description'))
                 .addStringOption(option =>
-                    option.setName('name').setDescription('Tên playlist').setAutocomplete(true).setRequired(true)
+                    option
+                        .setName('name')
+                        .setDescription('Tên playlist')
+                        .setDescriptionLocalizations(localizations('command.playlist.export_name_option'))
+                        .setAutocomplete(true)
+                        .setRequired(true)
                 )
         )
-        .addSubcommand(subcommand => subcommand.setName('menu').setDescription('Hiển thị menu quản lý playlist'))
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('menu')
+                .setDescription('Hiển thị menu quản lý playlist')
+                .setDescriptionLocalizations(localizations('command.playlist.menu_description'))
+        )
         .addSubcommand(subcommand =>
             subcommand
                 .setName('shuffle')
                 .setDescription('Xáo trộn thứ tự bài hát trong playlist')
+                .setDescriptionLocalizations(localizations('command.playlist.shuffle_description'))
                 .addStringOption(option =>
-                    option.setName('name').setDescription('Tên playlist').setAutocomplete(true).setRequired(true)
+                    option
+                        .setName('name')
+                        .setDescription('Tên playlist')
+                        .setDescriptionLocalizations(localizations('command.playlist.export_name_option'))
+                        .setAutocomplete(true)
+                        .setRequired(true)
                 )
         )
         .addSubcommand(subcommand =>
             subcommand
                 .setName('clone')
                 .setDescription('Tạo bản sao của playlist')
+                .setDescriptionLocalizations(localizations('command.playlist.clone_description'))
                 .addStringOption(option =>
-                    option.setName('source').setDescription('Tên playlist gốc').setAutocomplete(true).setRequired(true)
+                    option
+                        .setName('source')
+                        .setDescription('Tên playlist gốc')
+                        .setDescriptionLocalizations(localizations('command.playlist.clone_source_option'))
+                        .setAutocomplete(true)
+                        .setRequired(true)
                 )
                 .addStringOption(option =>
-                    option.setName('newname').setDescription('Tên playlist mới').setRequired(true)
+                    option
+                        .setName('newname')
+                        .setDescription('Tên playlist mới')
+                        .setDescriptionLocalizations(localizations('command.playlist.import_name_option'))
+                        .setRequired(true)
                 )
         )
         .addSubcommand(subcommand =>
             subcommand
                 .setName('clear')
                 .setDescription('Xóa tất cả bài hát khỏi playlist')
+                .setDescriptionLocalizations(localizations('command.playlist.clear_description'))
+                .addStringOption(option =>
+                    option
+                        .setName('name')
+                        .setDescription('Tên playlist')
+                        .setDescriptionLocalizations(localizations('command.playlist.export_name_option'))
+                        .setAutocomplete(true)
+                        .setRequired(true)
+                )
+        )
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('move')
+                .setDescription('Di chuyển bài hát đến vị trí khác trong playlist')
+                .setDescriptionLocalizations(localizations('command.playlist.move_description'))
+                .addStringOption(option =>
+                    option
+                        .setName('name')
+                        .setDescription('Tên playlist')
+                        .setDescriptionLocalizations(localizations('command.playlist.name_option'))
+                        .setAutocomplete(true)
+                        .setRequired(true)
+                )
+                .addIntegerOption(option =>
+                    option
+                        .setName('from')
+                        .setDescription('Vị trí hiện tại của bài hát')
+                        .setDescriptionLocalizations(localizations('command.playlist.move_from_option'))
+                        .setMinValue(1)
+                        .setRequired(true)
+                )
+                .addIntegerOption(option =>
+                    option
+                        .setName('to')
+                        .setDescription('Vị trí mới')
+                        .setDescriptionLocalizations(localizations('command.playlist.move_to_option'))
+                        .setMinValue(1)
+                        .setRequired(true)
+                )
+        )
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('rename')
+                .setDescription('Đổi tên playlist')
+                .setDescriptionLocalizations(localizations('command.playlist.rename_description'))
+                .addStringOption(option =>
+                    option
+                        .setName('name')
+                        .setDescription('Tên playlist')
+                        .setDescriptionLocalizations(localizations('command.playlist.name_option'))
+                        .setAutocomplete(true)
+                        .setRequired(true)
+                )
+                .addStringOption(option =>
+                    option
+                        .setName('newname')
+                        .setDescription('Tên mới')
+                        .setDescriptionLocalizations(localizations('command.playlist.rename_newname_option'))
+                        .setMaxLength(50)
+                        .setRequired(true)
+                )
+        )
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('edit')
+                .setDescription('Sửa mô tả, ảnh bìa hoặc chế độ công khai của playlist')
+                .setDescriptionLocalizations(localizations('command.playlist.edit_description'))
+                .addStringOption(option =>
+                    option
+                        .setName('name')
+                        .setDescription('Tên playlist')
+                        .setDescriptionLocalizations(localizations('command.playlist.name_option'))
+                        .setAutocomplete(true)
+                        .setRequired(true)
+                )
+                .addStringOption(option =>
+                    option
+                        .setName('description')
+                        .setDescription('Mô tả mới (nhập - để xóa)')
+                        .setDescriptionLocalizations(localizations('command.playlist.edit_description_option'))
+                        .setMaxLength(200)
+                        .setRequired(false)
+                )
+                .addStringOption(option =>
+                    option
+                        .setName('thumbnail')
+                        .setDescription('URL ảnh bìa (nhập - để xóa)')
+                        .setDescriptionLocalizations(localizations('command.playlist.edit_thumbnail_option'))
+                        .setRequired(false)
+                )
+                .addBooleanOption(option =>
+                    option
+                        .setName('public')
+                        .setDescription('Công khai playlist?')
+                        .setDescriptionLocalizations(localizations('command.playlist.edit_public_option'))
+                        .setRequired(false)
+                )
+        )
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('dedupe')
+                .setDescription('Xóa các bài hát bị trùng lặp trong playlist')
+                .setDescriptionLocalizations(localizations('command.playlist.dedupe_description'))
+                .addStringOption(option =>
+                    option
+                        .setName('name')
+                        .setDescription('Tên playlist')
+                        .setDescriptionLocalizations(localizations('command.playlist.name_option'))
+                        .setAutocomplete(true)
+                        .setRequired(true)
+                )
+        )
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('share')
+                .setDescription('Chia sẻ playlist với người dùng hoặc role')
+                .setDescriptionLocalizations(localizations('command.playlist.share_description'))
+                .addStringOption(option =>
+                    option
+                        .setName('name')
+                        .setDescription('Tên playlist')
+                        .setDescriptionLocalizations(localizations('command.playlist.name_option'))
+                        .setAutocomplete(true)
+                        .setRequired(true)
+                )
+                .addUserOption(option =>
+                    option
+                        .setName('user')
+                        .setDescription('Người dùng được chia sẻ')
+                        .setDescriptionLocalizations(localizations('command.playlist.share_user_option'))
+                        .setRequired(false)
+                )
+                .addRoleOption(option =>
+                    option
+                        .setName('role')
+                        .setDescription('Role được chia sẻ')
+                        .setDescriptionLocalizations(localizations('command.playlist.share_role_option'))
+                        .setRequired(false)
+                )
+                .addStringOption(option =>
+                    option
+                        .setName('permission')
+                        .setDescription('Quyền (mặc định: chỉnh sửa)')
+                        .setDescriptionLocalizations(localizations('command.playlist.share_permission_option'))
+                        .addChoices(
+                            {
+                                name: 'Chỉnh sửa (thêm, xóa, sắp xếp bài hát)',
+                                name_localizations: localizations('command.playlist.share_permission_editor'),
+                                value: PLAYLIST_ACCESS.EDITOR
+                            },
+                            {
+                                name: 'Chỉ xem (xem và phát)',
+                                name_localizations: localizations('command.playlist.share_permission_viewer'),
+                                value: PLAYLIST_ACCESS.VIEWER
+                            }
+                        )
+                        .setRequired(false)
+                )
+                .addBooleanOption(option =>
+                    option
+                        .setName('remove')
+                        .setDescription('Ngừng chia sẻ với người dùng/role này')
+                        .setDescriptionLocalizations(localizations('command.playlist.share_remove_option'))
+                        .setRequired(false)
+                )
+        )
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('collaborators')
+                .setDescription('Xem những người cùng quản lý playlist')
+                .setDescriptionLocalizations(localizations('command.playlist.collaborators_description'))
                 .addStringOption(option =>
-                    option.setName('name').setDescription('Tên playlist').setAutocomplete(true).setRequired(true)
+                    option
+                        .setName('name')
+                        .setDescription('Tên playlist')
+                        .setDescriptionLocalizations(localizations('command.playlist.name_option'))
+                        .setAutocomplete(true)
+                        .setRequired(true)
                 )
         )
         .addSubcommand(subcommand =>
-            subcommand.setName('public').setDescription('Xem các playlist công khai trong server')
+            subcommand
+                .setName('public')
+                .setDescription('Xem các playlist công khai trong server')
+                .setDescriptionLocalizations(localizations('command.playlist.public_description'))
         )
         .addSubcommand(subcommand =>
             subcommand
                 .setName('import')
-                .setDescription('Import playlist từ YouTube/Spotify URL')
+                .setDescription('Import playlist từ URL YouTube/Spotify hoặc file JSON/M3U8/CSV')
+                .setDescriptionLocalizations(localizations('command.playlist.import_description'))
+                .addStringOption(option =>
+                    option
+                        .setName('name')
+                        .setDescription('Tên playlist mới')
+                        .setDescriptionLocalizations(localizations('command.playlist.import_name_option'))
+                        .setRequired(true)
+                )
+                .addStringOption(option =>
+                    option
+                        .setName('url')
+                        .setDescription('URL của playlist YouTube/Spotify')
+                        .setDescriptionLocalizations(localizations('command.playlist.import_url_option'))
+                        .setRequired(false)
+                )
+                .addAttachmentOption(option =>
+                    option
+                        .setName('file')
+                        .setDescription('File playlist (.json, .m3u8, .csv)')
+                        .setDescriptionLocalizations(localizations('command.playlist.import_file_option'))
+                        .setRequired(false)
+                )
+        )
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('export')
+                .setDescription('Xuất playlist ra file (JSON, M3U8, CSV)')
+                .setDescriptionLocalizations(localizations('command.playlist.export_description'))
+                .addStringOption(option =>
+                    option
+                        .setName('name')
+                        .setDescription('Tên playlist')
+                        .setDescriptionLocalizations(localizations('command.playlist.export_name_option'))
+                        .setAutocomplete(true)
+                        .setRequired(true)
+                )
                 .addStringOption(option =>
-                    option.setName('url').setDescription('URL của playlist YouTube/Spotify').setRequired(true)
+                    option
+                        .setName('format')
+                        .setDescription('Định dạng file (mặc định: Miyao JSON)')
+                        .setDescriptionLocalizations(localizations('command.playlist.export_format_option'))
+                        .addChoices(
+                            {
+                                name: 'Miyao JSON (đầy đủ thông tin)',
+                                name_localizations: localizations('command.playlist.export_format_json'),
+                                value: 'json'
+                            },
+                            { name: 'M3U8', value: 'm3u8' },
+                            { name: 'CSV', value: 'csv' }
+                        )
+                        .setRequired(false)
+                )
+        )
+        .addSubcommandGroup(group =>
+            group
+                .setName('smart')
+                .setDescription('Smart playlist tự cập nhật từ lịch sử nghe và bài yêu thích')
+                .setDescriptionLocalizations(localizations('command.playlist.smart_description'))
+                .addSubcommand(subcommand =>
+                    subcommand
+                        .setName('create')
+                        .setDescription('Tạo smart playlist từ quy tắc')
+                        .setDescriptionLocalizations(localizations('command.playlist.smart_create_description'))
+                        .addStringOption(option =>
+                            option
+                                .setName('name')
+                                .setDescription('Tên playlist')
+                                .setDescriptionLocalizations(localizations('command.playlist.name_option'))
+                                .setMaxLength(50)
+                                .setRequired(true)
+                        )
+                        .addStringOption(option =>
+                            option
+                                .setName('source')
+                                .setDescription('Nguồn bài hát (mặc định: lịch sử nghe)')
+                                .setDescriptionLocalizations(localizations('command.playlist.smart_source_option'))
+                                .addChoices(
+                                    {
+                                        name: 'Lịch sử nghe',
+                                        name_localizations: localizations('command.playlist.smart_source_history'),
+                                        value: SMART_SOURCES.HISTORY
+                                    },
+                                    {
+                                        name: 'Bài hát yêu thích',
+                                        name_localizations: localizations('command.playlist.smart_source_favorites'),
+                                        value: SMART_SOURCES.FAVORITES
+                                    }
+                                )
+                                .setRequired(false)
+                        )
+                        .addStringOption(option =>
+                            option
+                                .setName('scope')
+                                .setDescription('Tính lượt nghe của ai (mặc định: của tôi)')
+                                .setDescriptionLocalizations(localizations('command.playlist.smart_scope_option'))
+                                .addChoices(
+                                    {
+                                        name: 'Của tôi',
+                                        name_localizations: localizations('command.playlist.smart_scope_owner'),
+                                        value: SMART_SCOPES.OWNER
+                                    },
+                                    {
+                                        name: 'Cả server',
+                                        name_localizations: localizations('command.playlist.smart_scope_server'),
+                                        value: SMART_SCOPES.SERVER
+                                    }
+                                )
+                                .setRequired(false)
+                        )
+                        .addStringOption(option =>
+                            option
+                                .setName('period')
+                                .setDescription('Khoảng thời gian tính lượt nghe (mặc định: tất cả)')
+                                .setDescriptionLocalizations(localizations('command.playlist.smart_period_option'))
+                                .addChoices(
+                                    {
+                                        name: 'Hôm nay',
+                                        name_localizations: localizations('command.playlist.smart_period_today'),
+                                        value: 'today'
+                                    },
+                                    {
+                                        name: '7 ngày qua',
+                                        name_localizations: localizations('command.playlist.smart_period_week'),
+                                        value: 'week'
+                                    },
+                                    {
+                                        name: '30 ngày qua',
+                                        name_localizations: localizations('command.playlist.smart_period_month'),
+                                        value: 'month'
+                                    },
+                                    {
+                                        name: '365 ngày qua',
+                                        name_localizations: localizations('command.playlist.smart_period_year'),
+                                        value: 'year'
+                                    },
+                                    {
+                                        name: 'Tất cả',
+                                        name_localizations: localizations('command.playlist.smart_period_all'),
+                                        value: 'all'
+                                    }
+                                )
+                                .setRequired(false)
+                        )
+                        .addStringOption(option =>
+                            option
+                                .setName('artist')
+                                .setDescription('Chỉ lấy bài của nghệ sĩ có tên chứa...')
+                                .setDescriptionLocalizations(localizations('command.playlist.smart_artist_option'))
+                                .setMaxLength(100)
+                                .setRequired(false)
+                        )
+                        .addIntegerOption(option =>
+                            option
+                                .setName('min_plays')
+                                .setDescription('Số lượt nghe tối thiểu trong khoảng thời gian')
+                                .setDescriptionLocalizations(localizations('command.playlist.smart_min_plays_option'))
+                                .setMinValue(1)
+                                .setMaxValue(SMART_PLAYLISTS.MAX_MIN_PLAYS)
+                                .setRequired(false)
+                        )
+                        .addIntegerOption(option =>
+                            option
+                                .setName('not_played_days')
+                                .setDescription('Chỉ lấy bài chưa nghe trong số ngày gần đây')
+                                .setDescriptionLocalizations(localizations('command.playlist.smart_not_played_option'))
+                                .setMinValue(1)
+                                .setMaxValue(SMART_PLAYLISTS.MAX_DAYS)
+                                .setRequired(false)
+                        )
+                        .addStringOption(option =>
+                            option
+                                .setName('sort')
+                                .setDescription('Sắp xếp (mặc định: nghe nhiều nhất)')
+                                .setDescriptionLocalizations(localizations('command.playlist.smart_sort_option'))
+                                .addChoices(
+                                    {
+                                        name: 'Nghe nhiều nhất',
+                                        name_localizations: localizations('command.playlist.smart_sort_plays'),
+                                        value: SMART_SORTS.PLAYS
+                                    },
+                                    {
+                                        name: 'Mới nhất',
+                                        name_localizations: localizations('command.playlist.smart_sort_recent'),
+                                        value: SMART_SORTS.RECENT
+                                    },
+                                    {
+                                        name: 'Ngẫu nhiên',
+                                        name_localizations: localizations('command.playlist.smart_sort_random'),
+                                        value: SMART_SORTS.RANDOM
+                                    }
+                                )
+                                .setRequired(false)
+                        )
+                        .addIntegerOption(option =>
+                            option
+                                .setName('limit')
+                                .setDescription(`Số bài tối đa (mặc định: ${SMART_PLAYLISTS.DEFAULT_TRACKS})`)
+                                .setDescriptionLocalizations(localizations('command.playlist.smart_limit_option'))
+                                .setMinValue(1)
+                                .setMaxValue(SMART_PLAYLISTS.MAX_TRACKS)
+                                .setRequired(false)
+                        )
+                        .addBooleanOption(option =>
+                            option
+                                .setName('public')
+                                .setDescription('Công khai playlist?')
+                                .setDescriptionLocalizations(localizations('command.playlist.edit_public_option'))
+                                .setRequired(false)
+                        )
+                )
+                .addSubcommand(subcommand =>
+                    subcommand
+                        .setName('refresh')
+                        .setDescription('Lưu danh sách hiện tại của smart playlist thành playlist thường')
+                        .setDescriptionLocalizations(localizations('command.playlist.smart_refresh_description'))
+                        .addStringOption(option =>
+                            option
+                                .setName('name')
+                                .setDescription('Tên smart playlist')
+                                .setDescriptionLocalizations(localizations('command.playlist.smart_name_option'))
+                                .setAutocomplete(true)
+                                .setRequired(true)
+                        )
+                        .addStringOption(option =>
+                            option
+                                .setName('target')
+                                .setDescription('Playlist thường để ghi đè hoặc tạo mới (mặc định: "<tên> (bản lưu)")')
+                                .setDescriptionLocalizations(localizations('command.playlist.smart_target_option'))
+                                .setMaxLength(50)
+                                .setRequired(false)
+                        )
                 )
-                .addStringOption(option => option.setName('name').setDescription('Tên playlist mới').setRequired(true))
         ),
 
     async execute(interaction, client) {
         try {
+            const group = interaction.options.getSubcommandGroup(false);
             const subcommand = interaction.options.getSubcommand();
 
+            if (group === 'smart') {
+                if (subcommand === 'create') {
+                    await handleSmartCreate(interaction, client);
+                } else {
+                    await handleSmartRefresh(interaction, client);
+                }
+                logger.command(`playlist-smart-${subcommand}`, interaction.user.id, interaction.guildId);
+                return;
+            }
+
             switch (subcommand) {
                 case 'menu':
                     await handleMenu(interaction, client);
@@ -187,12 +742,33 @@ export default {
                 case 'clear':
                     await handleClear(interaction, client);
                     break;
+                case 'move':
+                    await handleMove(interaction, client);
+                    break;
+                case 'rename':
+                    await handleRename(interaction, client);
+                    break;
+                case 'edit':
+                    await handleEdit(interaction, client);
+                    break;
+                case 'dedupe':
+                    await handleDedupe(interaction, client);
+                    break;
+                case 'share':
+                    await handleShare(interaction, client);
+                    break;
+                case 'collaborators':
+                    await handleCollaborators(interaction, client);
+                    break;
                 case 'public':
                     await handlePublicList(interaction, client);
                     break;
                 case 'import':
                     await handleImport(interaction, client);
                     break;
+                case 'export':
+                    await handleExport(interaction, client);
+                    break;
                 default:
                     // Default to menu if subcommand not recognized
                     await handleMenu(interaction, client);
@@ -215,42 +791,36 @@ export default {
  * Display playlist management menu
  */
 async function handleMenu(interaction, client) {
+    const locale = getLocale(interaction);
     const embed = new EmbedBuilder()
         .setColor(client.config.bot.color)
-        .setTitle('🎵 Quản Lý Playlist')
-        .setDescription(
-            '**Chào mừng đến với hệ thống quản lý playlist!**\n\n' +
-                '📝 **Tạo playlist:** Tạo playlist mới với tên và mô tả\n' +
-                '🔍 **Tìm kiếm:** Xem chi tiết playlist của bạn\n' +
-                '➕ **Thêm nhạc:** Thêm bài hát vào playlist có sẵn\n' +
-                '🗑️ **Xóa playlist:** Xóa playlist không còn dùng\n\n' +
-                '💡 *Chọn một nút bên dưới để bắt đầu!*'
-        )
+        .setTitle(t('command.playlist.menu_title', locale))
+        .setDescription(t('command.playlist.menu_body', locale))
         .setFooter({ text: client.config.bot.footer })
         .setTimestamp();
 
     const row = new ActionRowBuilder().addComponents(
         new ButtonBuilder()
             .setCustomId('playlist_create_modal')
-            .setLabel('Thêm Playlist')
+            .setLabel(t('command.playlist.menu_create_button', locale))
             .setEmoji('📝')
             .setStyle(ButtonStyle.Success),
 
         new ButtonBuilder()
             .setCustomId('playlist_search_modal')
-            .setLabel('Tìm Kiếm')
+            .setLabel(t('command.playlist.menu_search_button', locale))
             .setEmoji('🔍')
             .setStyle(ButtonStyle.Primary),
 
         new ButtonBuilder()
             .setCustomId('playlist_add_track_modal')
-            .setLabel('Thêm Nhạc')
+            .setLabel(t('command.playlist.add_tracks_button', locale))
             .setEmoji('➕')
             .setStyle(ButtonStyle.Primary),
 
         new ButtonBuilder()
             .setCustomId('playlist_delete_modal')
-            .setLabel('Xóa Playlist')
+            .setLabel(t('command.playlist.menu_delete_button', locale))
             .setEmoji('🗑️')
             .setStyle(ButtonStyle.Danger)
     );
@@ -264,19 +834,20 @@ async function handleMenu(interaction, client) {
 async function handleCreate(interaction, client) {
     await interaction.deferReply({ ephemeral: true });
 
+    const locale = getLocale(interaction);
     const name = interaction.options.getString('name');
     const description = interaction.options.getString('description');
     const isPublic = interaction.options.getBoolean('public') || false;
 
     // Validate name
     if (name.length > 50) {
-        throw new ValidationError('Tên playlist không được dài quá 50 ký tự', 'name');
+        throw new ValidationError(t('command.playlist.name_too_long', locale, { max: 50 }), 'name');
     }
 
     // Check if playlist already exists
     const existing = Playlist.getByName(name, interaction.user.id, interaction.guildId);
     if (existing) {
-        throw new ValidationError(`Playlist "${name}" đã tồn tại`, 'name');
+        throw new ValidationError(t('command.playlist.name_exists', locale, { name }), 'name');
     }
 
     // Create playlist
@@ -295,22 +866,25 @@ async function handleCreate(interaction, client) {
             name,
             username: interaction.user.username
         });
-        throw new InternalError('Không thể tạo playlist. Vui lòng thử lại sau.');
+        throw new InternalError(t('command.playlist.create_failed_retry', locale));
     }
 
     const embed = new EmbedBuilder()
         .setColor(client.config.bot.color)
-        .setTitle('✅ Playlist Đã Tạo')
-        .setDescription(`Playlist **${name}** đã được tạo thành công!`)
+        .setTitle(t('command.playlist.created_title', locale))
+        .setDescription(t('command.playlist.created', locale, { name }))
         .addFields([
             {
-                name: '📋 Thông tin',
-                value: `• **Mô tả:** ${description || 'Không có'}\n• **Công khai:** ${isPublic ? 'Có' : 'Không'}\n• **Số bài hát:** 0`,
+                name: t('command.playlist.info_field', locale),
+                value: t('command.playlist.created_info', locale, {
+                    description: description || t('command.playlist.none', locale),
+                    public: t(isPublic ? 'command.playlist.yes' : 'command.playlist.no', locale)
+                }),
                 inline: false
             },
             {
-                name: '💡 Tiếp theo',
-                value: `Thêm bài hát với:\n\`/playlist add name:${name} query:<tên bài hát>\``,
+                name: t('command.playlist.next_field', locale),
+                value: t('command.playlist.created_next', locale, { name }),
                 inline: false
             }
         ])
@@ -326,34 +900,67 @@ async function handleCreate(interaction, client) {
 async function handleList(interaction, client) {
     await interaction.deferReply({ ephemeral: true });
 
+    const locale = getLocale(interaction);
     const playlists = Playlist.getByOwner(interaction.user.id, interaction.guildId);
+    const sharedPlaylists = Playlist.getSharedWith(
+        interaction.user.id,
+        interaction.guildId,
+        getMemberRoleIds(interaction.member)
+    );
 
-    if (playlists.length === 0) {
+    if (playlists.length === 0 && sharedPlaylists.length === 0) {
         const embed = new EmbedBuilder()
             .setColor(client.config.bot.color)
-            .setTitle('📋 Playlists Của Bạn')
-            .setDescription('Bạn chưa có playlist nào.\n\nTạo playlist mới với:\n`/playlist create name:<tên>`')
+            .setTitle(t('command.playlist.list_title', locale))
+            .setDescription(t('command.playlist.list_empty', locale))
             .setFooter({ text: client.config.bot.footer })
             .setTimestamp();
 
         return interaction.editReply({ embeds: [embed] });
     }
 
-    const description = playlists
-        .map((pl, index) => {
-            const trackCount = pl.track_count || 0;
-            const publicIcon = pl.is_public ? '🌐' : '🔒';
-            return `**${index + 1}. ${publicIcon} ${pl.name}**\n   └ ${trackCount} bài hát${pl.description ? `\n   └ *${pl.description}*` : ''}`;
-        })
-        .join('\n\n');
+    const description =
+        playlists.length > 0
+            ? playlists
+                  .map((pl, index) => {
+                      const trackCount = pl.track_count || 0;
+                      const publicIcon = pl.is_public ? '🌐' : '🔒';
+                      const contents =
+                          pl.kind === PLAYLIST_KINDS.SMART
+                              ? '🧠 Smart playlist'
+                              : t('command.playlist.track_count', locale, { count: trackCount });
+                      return `**${index + 1}. ${publicIcon} ${pl.name}**\n   └ ${contents}${pl.description ? `\n   └ *${pl.description}*` : ''}`;
+                  })
+                  .join('\n\n')
+            : t('command.playlist.list_none', locale);
 
     const embed = new EmbedBuilder()
         .setColor(client.config.bot.color)
-        .setTitle('📋 Playlists Của Bạn')
+        .setTitle(t('command.playlist.list_title', locale))
         .setDescription(description)
-        .setFooter({ text: `Tổng ${playlists.length} playlist${playlists.length > 1 ? 's' : ''}` })
+        .setFooter({ text: t('command.playlist.list_footer', locale, { count: playlists.length }) })
         .setTimestamp();
 
+    if (sharedPlaylists.length > 0) {
+        const sharedList = sharedPlaylists
+            .slice(0, 10)
+            .map(
+                pl =>
+                    `🤝 **${pl.name}** • <@${pl.owner_id}>\n   └ ${t('command.playlist.shared_entry', locale, {
+                        count: pl.track_count || 0,
+                        access: accessLabel(pl.access, locale)
+                    })}`
+            )
+            .join('\n');
+        embed.addFields({
+            name: t('command.playlist.shared_with_you', locale, { count: sharedPlaylists.length }),
+            value:
+                sharedPlaylists.length > 10
+                    ? `${sharedList}\n${t('command.playlist.shared_more', locale, { count: sharedPlaylists.length - 10 })}`
+                    : sharedList
+        });
+    }
+
     await interaction.editReply({ embeds: [embed] });
 }
 
@@ -363,39 +970,72 @@ async function handleList(interaction, client) {
 async function handleShow(interaction, client) {
     await interaction.deferReply({ ephemeral: true });
 
+    const locale = getLocale(interaction);
     const name = interaction.options.getString('name');
 
-    // Use findByNameInGuild to support both user's own and public playlists
-    const playlist = Playlist.findByNameInGuild(name, interaction.user.id, interaction.guildId);
+    // Use findByNameInGuild to support the user's own, shared and public playlists
+    const roleIds = getMemberRoleIds(interaction.member);
+    const playlist = Playlist.findByNameInGuild(name, interaction.user.id, interaction.guildId, roleIds);
 
     if (!playlist) {
         throw new PlaylistNotFoundError(name);
     }
 
     const tracks = Playlist.getTracks(playlist.id);
-    const isOwn = playlist.owner_id === interaction.user.id;
-
-    let description = `**Chủ sở hữu:** ${isOwn ? 'Bạn' : `<@${playlist.owner_id}>`}\n`;
-    description += `**Mô tả:** ${playlist.description || 'Không có'}\n`;
-    description += `**Công khai:** ${playlist.is_public ? 'Có' : 'Không'}\n`;
-    description += `**Tạo lúc:** ${new Date(playlist.created_at).toLocaleString('vi-VN')}\n\n`;
+    const access = Playlist.getAccess(playlist, interaction.user.id, roleIds);
+    const isOwn = access === PLAYLIST_ACCESS.OWNER;
+    const canEdit = isOwn || access === PLAYLIST_ACCESS.EDITOR;
+    const isSmart = playlist.kind === PLAYLIST_KINDS.SMART;
+    // Smart playlists are computed from rules, so nobody edits their tracks
+    const canEditTracks = canEdit && !isSmart;
+    const collaborators = Playlist.getCollaborators(playlist.id);
+
+    let description = `${t('command.playlist.show_owner', locale, {
+        owner: isOwn ? t('command.playlist.show_owner_you', locale) : `<@${playlist.owner_id}>`
+    })}\n`;
+    if (isSmart) {
+        const rules = parseSmartRules(playlist.smart_rules);
+        description += `${t('command.playlist.show_smart', locale)}\n${rules ? `${describeSmartRules(rules, locale)}\n` : ''}`;
+    }
+    description += `${t('command.playlist.show_about', locale, {
+        description: playlist.description || t('command.playlist.none', locale)
+    })}\n`;
+    description += `${t('command.playlist.show_public', locale, {
+        value: t(playlist.is_public ? 'command.playlist.yes' : 'command.playlist.no', locale)
+    })}\n`;
+    if (collaborators.length > 0) {
+        description += `${t('command.playlist.show_collaborators', locale, { count: collaborators.length })}\n`;
+    }
+    if (!isOwn) {
+        description += `${t('command.playlist.show_your_access', locale, {
+            access: accessLabel(canEdit ? PLAYLIST_ACCESS.EDITOR : PLAYLIST_ACCESS.VIEWER, locale)
+        })}\n`;
+    }
+    description += `${t('command.playlist.show_created', locale, {
+        date: new Date(playlist.created_at).toLocaleString(intlLocale(locale))
+    })}\n\n`;
 
     if (tracks.length === 0) {
-        description += '*Playlist đang trống*';
+        description += t(isSmart ? 'command.playlist.smart_no_matches' : 'command.playlist.show_empty', locale);
     } else {
-        description += '**Danh sách bài hát:**\n';
+        description += `${t('command.playlist.show_tracks', locale)}\n`;
         const trackList = tracks
             .slice(0, 10)
             .map((track, index) => {
                 const title =
                     track.track_title.length > 50 ? track.track_title.substring(0, 47) + '...' : track.track_title;
-                return `${index + 1}. ${title}`;
+                // Credit collaborators for the tracks they added
+                const addedBy = track.added_by && track.added_by !== playlist.owner_id ? ` • <@${track.added_by}>` : '';
+                const plays = track.play_count
+                    ? ` • ${t('command.playlist.play_count', locale, { count: track.play_count })}`
+                    : '';
+                return `${index + 1}. ${title}${addedBy}${plays}`;
             })
             .join('\n');
         description += trackList;
 
         if (tracks.length > 10) {
-            description += `\n\n...và ${tracks.length - 10} bài khác`;
+            description += `\n\n${t('command.playlist.more_tracks', locale, { count: tracks.length - 10 })}`;
         }
     }
 
@@ -406,6 +1046,10 @@ async function handleShow(interaction, client) {
         .setFooter({ text: `Playlist ID: ${playlist.id} • ${client.config.bot.footer}` })
         .setTimestamp();
 
+    if (playlist.thumbnail) {
+        embed.setThumbnail(playlist.thumbnail);
+    }
+
     // Build action buttons
     const components = [];
 
@@ -417,26 +1061,32 @@ async function handleShow(interaction, client) {
         row1.addComponents(
             new ButtonBuilder()
                 .setCustomId(`playlist_play_${playlist.id}`)
-                .setLabel('Phát Playlist')
+                .setLabel(t('command.playlist.play_button', locale))
                 .setEmoji('▶️')
                 .setStyle(ButtonStyle.Success)
         );
     }
 
-    // Only show edit buttons if user owns the playlist
-    if (isOwn) {
+    // Only show edit buttons to the owner and editors
+    if (canEditTracks) {
         row1.addComponents(
             new ButtonBuilder()
                 .setCustomId(`playlist_add_track_to_${playlist.id}`)
-                .setLabel('Thêm Nhạc')
+                .setLabel(t('command.playlist.add_tracks_button', locale))
                 .setEmoji('➕')
                 .setStyle(ButtonStyle.Primary),
             new ButtonBuilder()
                 .setCustomId(`playlist_remove_track_${playlist.id}`)
-                .setLabel('Xóa Nhạc')
+                .setLabel(t('command.playlist.remove_tracks_button', locale))
                 .setEmoji('🗑️')
                 .setStyle(ButtonStyle.Danger)
-                .setDisabled(tracks.length === 0)
+                .setDisabled(tracks.length === 0),
+            new ButtonBuilder()
+                .setCustomId(`playlist_reorder_${playlist.id}`)
+                .setLabel(t('command.playlist.reorder_button', locale))
+                .setEmoji('↕️')
+                .setStyle(ButtonStyle.Secondary)
+                .setDisabled(tracks.length < 2)
         );
     }
 
@@ -449,28 +1099,39 @@ async function handleShow(interaction, client) {
         const row2 = new ActionRowBuilder().addComponents(
             new ButtonBuilder()
                 .setCustomId(`playlist_edit_${playlist.id}`)
-                .setLabel('Sửa Playlist')
+                .setLabel(t('command.playlist.edit_button', locale))
                 .setEmoji('✏️')
                 .setStyle(ButtonStyle.Secondary),
             new ButtonBuilder()
                 .setCustomId(`playlist_shuffle_${playlist.id}`)
-                .setLabel('Xáo Trộn')
+                .setLabel(t('command.playlist.shuffle_button', locale))
                 .setEmoji('🔀')
                 .setStyle(ButtonStyle.Secondary)
-                .setDisabled(tracks.length < 2),
+                .setDisabled(isSmart || tracks.length < 2),
             new ButtonBuilder()
                 .setCustomId(`playlist_clone_${playlist.id}`)
-                .setLabel('Nhân Bản')
+                .setLabel(t('command.playlist.clone_button', locale))
                 .setEmoji('📋')
                 .setStyle(ButtonStyle.Secondary)
         );
         components.push(row2);
     } else {
-        // Non-owner can clone public playlists
-        const row2 = new ActionRowBuilder().addComponents(
+        // Non-owner can clone public and shared playlists; editors can also shuffle
+        const row2 = new ActionRowBuilder();
+        if (canEditTracks) {
+            row2.addComponents(
+                new ButtonBuilder()
+                    .setCustomId(`playlist_shuffle_${playlist.id}`)
+                    .setLabel(t('command.playlist.shuffle_button', locale))
+                    .setEmoji('🔀')
+                    .setStyle(ButtonStyle.Secondary)
+                    .setDisabled(tracks.length < 2)
+            );
+        }
+        row2.addComponents(
             new ButtonBuilder()
                 .setCustomId(`playlist_clone_${playlist.id}`)
-                .setLabel('Lưu Bản Sao')
+                .setLabel(t('command.playlist.save_copy_button', locale))
                 .setEmoji('📋')
                 .setStyle(ButtonStyle.Primary)
         );
@@ -486,6 +1147,7 @@ async function handleShow(interaction, client) {
 async function handleDelete(interaction, client) {
     await interaction.deferReply({ ephemeral: true });
 
+    const locale = getLocale(interaction);
     const name = interaction.options.getString('name');
     const playlist = Playlist.getByName(name, interaction.user.id, interaction.guildId);
 
@@ -496,13 +1158,13 @@ async function handleDelete(interaction, client) {
     const success = Playlist.delete(playlist.id, interaction.user.id);
 
     if (!success) {
-        throw new InternalError('Không thể xóa playlist');
+        throw new InternalError(t('command.playlist.delete_failed', locale));
     }
 
     const embed = new EmbedBuilder()
         .setColor(client.config.bot.color)
-        .setTitle('✅ Đã Xóa Playlist')
-        .setDescription(`Playlist **${name}** đã được xóa thành công!`)
+        .setTitle(t('command.playlist.deleted_title', locale))
+        .setDescription(t('command.playlist.deleted', locale, { name }))
         .setFooter({ text: client.config.bot.footer })
         .setTimestamp();
 
@@ -515,17 +1177,22 @@ async function handleDelete(interaction, client) {
 async function handleAdd(interaction, client) {
     await interaction.deferReply({ ephemeral: true });
 
+    const locale = getLocale(interaction);
     const name = interaction.options.getString('name');
     const query = interaction.options.getString('query');
 
-    const playlist = Playlist.getByName(name, interaction.user.id, interaction.guildId);
+    const roleIds = getMemberRoleIds(interaction.member);
+    const playlist = Playlist.findEditable(name, interaction.user.id, interaction.guildId, roleIds);
 
     if (!playlist) {
         throw new PlaylistNotFoundError(name);
     }
 
+    assertStaticPlaylist(playlist);
+
     // Search for track
-    const result = await client.musicManager.search(query, interaction.user);
+    const result = await client.musicManager.search(query, interaction.user, { guildId: interaction.guildId });
+    assertNotBlocked(result);
 
     if (!result || !result.tracks || result.tracks.length === 0) {
         throw new NoSearchResultsError(query);
@@ -544,16 +1211,16 @@ async function handleAdd(interaction, client) {
     const addedTrack = Playlist.addTrack(playlist.id, simpleTrack, interaction.user.id);
 
     if (!addedTrack) {
-        throw new InternalError('Không thể thêm bài hát vào playlist');
+        throw new InternalError(t('command.playlist.add_failed', locale));
     }
 
     const tracks = Playlist.getTracks(playlist.id);
 
     const embed = new EmbedBuilder()
         .setColor(client.config.bot.color)
-        .setTitle('✅ Đã Thêm Vào Playlist')
-        .setDescription(`**${track.info.title}**\n└ Đã thêm vào playlist **${name}**`)
-        .setFooter({ text: `Tổng ${tracks.length} bài hát` })
+        .setTitle(t('command.playlist.added_title', locale))
+        .setDescription(t('command.playlist.added', locale, { title: track.info.title, name }))
+        .setFooter({ text: t('command.playlist.total_tracks', locale, { count: tracks.length }) })
         .setTimestamp();
 
     await interaction.editReply({ embeds: [embed] });
@@ -565,41 +1232,48 @@ async function handleAdd(interaction, client) {
 async function handleRemove(interaction, client) {
     await interaction.deferReply({ ephemeral: true });
 
+    const locale = getLocale(interaction);
     const name = interaction.options.getString('name');
     const position = interaction.options.getInteger('position');
 
-    const playlist = Playlist.getByName(name, interaction.user.id, interaction.guildId);
+    const roleIds = getMemberRoleIds(interaction.member);
+    const playlist = Playlist.findEditable(name, interaction.user.id, interaction.guildId, roleIds);
 
     if (!playlist) {
         throw new PlaylistNotFoundError(name);
     }
 
+    assertStaticPlaylist(playlist);
+
     const tracks = Playlist.getTracks(playlist.id);
 
     if (position < 1 || position > tracks.length) {
-        throw new ValidationError(`Vị trí không hợp lệ. Playlist có ${tracks.length} bài hát`, 'position');
+        throw new ValidationError(
+            t('command.playlist.remove_invalid_position', locale, { count: tracks.length }),
+            'position'
+        );
     }
 
     // Find track by position
     const trackToRemove = tracks.find(t => t.position === position);
 
     if (!trackToRemove) {
-        throw new ValidationError('Không tìm thấy bài hát ở vị trí này', 'position');
+        throw new ValidationError(t('command.playlist.remove_not_found', locale), 'position');
     }
 
-    const success = Playlist.removeTrack(playlist.id, trackToRemove.id, interaction.user.id);
+    const success = Playlist.removeTrack(playlist.id, trackToRemove.id, interaction.user.id, roleIds);
 
     if (!success) {
-        throw new InternalError('Không thể xóa bài hát khỏi playlist');
+        throw new InternalError(t('command.playlist.remove_failed', locale));
     }
 
     const remainingTracks = Playlist.getTracks(playlist.id);
 
     const embed = new EmbedBuilder()
         .setColor(client.config.bot.color)
-        .setTitle('✅ Đã Xóa Khỏi Playlist')
-        .setDescription(`**${trackToRemove.track_title}**\n└ Đã xóa khỏi playlist **${name}**`)
-        .setFooter({ text: `Còn ${remainingTracks.length} bài hát` })
+        .setTitle(t('command.playlist.removed_title', locale))
+        .setDescription(t('command.playlist.removed', locale, { title: trackToRemove.track_title, name }))
+        .setFooter({ text: t('command.playlist.tracks_left', locale, { count: remainingTracks.length }) })
         .setTimestamp();
 
     await interaction.editReply({ embeds: [embed] });
@@ -611,19 +1285,23 @@ async function handleRemove(interaction, client) {
 async function handleSave(interaction, client) {
     await interaction.deferReply({ ephemeral: true });
 
+    const locale = getLocale(interaction);
     const name = interaction.options.getString('name');
     const source = interaction.options.getString('source') || 'current';
 
-    const playlist = Playlist.getByName(name, interaction.user.id, interaction.guildId);
+    const roleIds = getMemberRoleIds(interaction.member);
+    const playlist = Playlist.findEditable(name, interaction.user.id, interaction.guildId, roleIds);
 
     if (!playlist) {
         throw new PlaylistNotFoundError(name);
     }
 
+    assertStaticPlaylist(playlist);
+
     const queue = client.musicManager.getQueue(interaction.guildId);
 
     if (!queue || (!queue.current && queue.tracks.length === 0)) {
-        throw new ValidationError('Không có nhạc nào đang phát', 'queue');
+        throw new ValidationError(t('command.playlist.save_nothing_playing', locale), 'queue');
     }
 
     let tracksToSave = [];
@@ -633,7 +1311,7 @@ async function handleSave(interaction, client) {
     if (source === 'current') {
         // Save only current track
         if (!queue.current) {
-            throw new ValidationError('Không có bài nào đang phát', 'current');
+            throw new ValidationError(t('command.playlist.save_no_current', locale), 'current');
         }
         tracksToSave = [queue.current];
     } else {
@@ -642,7 +1320,7 @@ async function handleSave(interaction, client) {
     }
 
     if (tracksToSave.length === 0) {
-        throw new ValidationError('Không có bài hát nào để lưu', 'tracks');
+        throw new ValidationError(t('command.playlist.save_no_tracks', locale), 'tracks');
     }
 
     // Add each track to playlist
@@ -675,13 +1353,15 @@ async function handleSave(interaction, client) {
 
     const embed = new EmbedBuilder()
         .setColor(client.config.bot.color)
-        .setTitle('✅ Đã Lưu Vào Playlist')
+        .setTitle(t('command.playlist.saved_title', locale))
         .setDescription(
-            `**${playlist.name}**\n` +
-                `└ Đã lưu ${savedCount}/${tracksToSave.length} bài hát` +
-                (skippedCount > 0 ? `\n⚠️ ${skippedCount} bài đã tồn tại hoặc lỗi` : '')
+            t('command.playlist.saved', locale, {
+                name: playlist.name,
+                saved: savedCount,
+                total: tracksToSave.length
+            }) + (skippedCount > 0 ? `\n${t('command.playlist.saved_skipped', locale, { count: skippedCount })}` : '')
         )
-        .setFooter({ text: `Tổng ${finalTracks.length} bài hát trong playlist` })
+        .setFooter({ text: t('command.playlist.saved_footer', locale, { count: finalTracks.length }) })
         .setTimestamp();
 
     await interaction.editReply({ embeds: [embed] });
@@ -698,6 +1378,7 @@ async function handleSave(interaction, client) {
 async function handlePlay(interaction, client) {
     await interaction.deferReply();
 
+    const locale = getLocale(interaction);
     const name = interaction.options.getString('name');
     const member = interaction.member;
     const voiceChannel = member.voice.channel;
@@ -713,8 +1394,13 @@ async function handlePlay(interaction, client) {
         throw new VoiceChannelPermissionError(voiceChannel.name);
     }
 
-    // Use findByNameInGuild to support both user's own and public playlists
-    const playlist = Playlist.findByNameInGuild(name, interaction.user.id, interaction.guildId);
+    // Use findByNameInGuild to support the user's own, shared and public playlists
+    const playlist = Playlist.findByNameInGuild(
+        name,
+        interaction.user.id,
+        interaction.guildId,
+        getMemberRoleIds(interaction.member)
+    );
 
     if (!playlist) {
         throw new PlaylistNotFoundError(name);
@@ -723,7 +1409,7 @@ async function handlePlay(interaction, client) {
     let playlistTracks = Playlist.getTracks(playlist.id);
 
     if (playlistTracks.length === 0) {
-        throw new ValidationError('Playlist đang trống', 'tracks');
+        throw new ValidationError(t('command.playlist.play_empty', locale), 'tracks');
     }
 
     // Enforce maximum track count to prevent queue overflow
@@ -764,9 +1450,9 @@ async function handlePlay(interaction, client) {
     if (isLargePlaylist) {
         const loadingEmbed = new EmbedBuilder()
             .setColor(client.config.bot.color)
-            .setTitle('📋 Đang tải playlist...')
-            .setDescription(`**${playlist.name}**\n\n⏳ Đang tải: 0/${totalTracks} bài hát...`)
-            .setFooter({ text: 'Vui lòng đợi trong giây lát' })
+            .setTitle(t('command.playlist.loading_title', locale))
+            .setDescription(t('command.playlist.loading_start', locale, { name: playlist.name, total: totalTracks }))
+            .setFooter({ text: t('command.playlist.loading_footer', locale) })
             .setTimestamp();
 
         await interaction.editReply({ embeds: [loadingEmbed] });
@@ -792,7 +1478,7 @@ async function handlePlay(interaction, client) {
     async function resolveTrackWithTimeout(simpleTrack) {
         try {
             const result = await Promise.race([
-                client.musicManager.search(simpleTrack.track_url, interaction.user),
+                client.musicManager.search(simpleTrack.track_url, interaction.user, { guildId: interaction.guildId }),
                 new Promise((_, reject) =>
                     setTimeout(() => reject(new Error('Track resolution timeout')), TRACK_TIMEOUT)
                 )
@@ -864,15 +1550,17 @@ async function handlePlay(interaction, client) {
 
                 const progressEmbed = new EmbedBuilder()
                     .setColor(client.config.bot.color)
-                    .setTitle('📋 Đang tải playlist...')
+                    .setTitle(t('command.playlist.loading_title', locale))
                     .setDescription(
                         `**${playlist.name}**\n\n` +
                             `${progressBar} ${progressPercent}%\n\n` +
-                            `✅ Đã tải: ${resolvedTracks.length} bài\n` +
-                            `❌ Lỗi: ${failedCount} bài\n` +
-                            `⏳ Còn lại: ${totalTracks - processedCount} bài`
+                            t('command.playlist.loading_progress', locale, {
+                                loaded: resolvedTracks.length,
+                                failed: failedCount,
+                                remaining: totalTracks - processedCount
+                            })
                     )
-                    .setFooter({ text: 'Đang xử lý...' })
+                    .setFooter({ text: t('command.playlist.loading_progress_footer', locale) })
                     .setTimestamp();
 
                 await interaction.editReply({ embeds: [progressEmbed] });
@@ -884,7 +1572,7 @@ async function handlePlay(interaction, client) {
     }
 
     if (resolvedTracks.length === 0) {
-        throw new ValidationError('Không thể tải bất kỳ bài hát nào từ playlist', 'tracks');
+        throw new ValidationError(t('command.playlist.play_none_loaded', locale), 'tracks');
     }
 
     // Add requester to all resolved tracks
@@ -893,49 +1581,37 @@ async function handlePlay(interaction, client) {
     });
 
     // Add all resolved tracks to queue
-    queue.add(resolvedTracks);
+    const addResult = queue.add(resolvedTracks);
+    assertQueued(addResult);
 
     // Final result embed
     const successRate = Math.round((resolvedTracks.length / totalTracks) * 100);
     const embed = new EmbedBuilder()
         .setColor(failedCount > 0 || wasTruncated ? COLORS.WARNING : client.config.bot.color)
-        .setTitle('📋 Đã Tải Playlist')
+        .setTitle(t('command.playlist.loaded_title', locale))
         .setDescription(
             `**${playlist.name}**\n\n` +
-                `✅ Đã thêm **${resolvedTracks.length}**/${totalTracks} bài hát vào hàng đợi\n` +
-                (failedCount > 0 ? `⚠️ **${failedCount}** bài không tải được\n` : '') +
+                `${t('command.playlist.loaded_added', locale, { added: addResult.added, total: totalTracks })}\n` +
+                (failedCount > 0 ? `${t('command.playlist.loaded_failed', locale, { count: failedCount })}\n` : '') +
                 (wasTruncated
-                    ? `⚠️ Playlist đã bị giới hạn ở **${MAX_PLAYLIST_LOAD}** bài (tổng cộng: ${Playlist.getTracks(playlist.id).length})\n`
+                    ? `${t('command.playlist.loaded_truncated', locale, {
+                          max: MAX_PLAYLIST_LOAD,
+                          total: Playlist.getTracks(playlist.id).length
+                      })}\n`
                     : '') +
-                `📊 Tỷ lệ thành công: ${successRate}%`
+                t('command.playlist.loaded_success_rate', locale, { rate: successRate })
         )
         .setFooter({ text: client.config.bot.footer })
         .setTimestamp();
 
-    await interaction.editReply({ embeds: [embed] });
+    await interaction.editReply({
+        embeds: addResult.limited ? [embed, createRequestLimitEmbed(addResult, client.config)] : [embed]
+    });
 
     // Start playing if not already
     if (!queue.current) {
         try {
             await queue.play();
-
-            // Send now playing with buttons after a short delay
-            setTimeout(async () => {
-                try {
-                    const { createNowPlayingEmbed } = await import('../../UI/embeds/MusicEmbeds.js');
-                    const { createNowPlayingButtons } = await import('../../UI/components/MusicControls.js');
-
-                    const nowPlayingMessage = await interaction.channel.send({
-                        embeds: [createNowPlayingEmbed(queue.current, queue, client.config)],
-                        components: createNowPlayingButtons(queue, false)
-                    });
-
-                    // Store message for auto-updates
-                    queue.setNowPlayingMessage(nowPlayingMessage);
-                } catch (error) {
-                    logger.error('Failed to send now playing message from playlist', error);
-                }
-            }, 1000);
         } catch (playError) {
             logger.error('Failed to start playback from playlist', {
                 error: playError.message,
@@ -944,7 +1620,7 @@ async function handlePlay(interaction, client) {
             // Still keep the embed since tracks were added, just notify user
             try {
                 await interaction.followUp({
-                    content: '⚠️ Đã thêm bài hát vào hàng đợi nhưng không thể bắt đầu phát ngay. Thử `/play` để phát.',
+                    content: t('command.playlist.play_start_failed', locale),
                     ephemeral: true
                 });
             } catch (followUpError) {
@@ -960,17 +1636,21 @@ async function handlePlay(interaction, client) {
 async function handleShuffle(interaction, client) {
     await interaction.deferReply({ ephemeral: true });
 
+    const locale = getLocale(interaction);
     const name = interaction.options.getString('name');
-    const playlist = Playlist.getByName(name, interaction.user.id, interaction.guildId);
+    const roleIds = getMemberRoleIds(interaction.member);
+    const playlist = Playlist.findEditable(name, interaction.user.id, interaction.guildId, roleIds);
 
     if (!playlist) {
         throw new PlaylistNotFoundError(name);
     }
 
+    assertStaticPlaylist(playlist);
+
     const tracks = Playlist.getTracks(playlist.id);
 
     if (tracks.length < 2) {
-        throw new ValidationError('Playlist cần ít nhất 2 bài hát để xáo trộn!', 'tracks');
+        throw new ValidationError(t('command.playlist.shuffle_too_few', locale), 'tracks');
     }
 
     // Shuffle the tracks using Fisher-Yates algorithm
@@ -999,15 +1679,13 @@ async function handleShuffle(interaction, client) {
             }
         });
     } catch (error) {
-        throw new InternalError('Không thể xáo trộn playlist!');
+        throw new InternalError(t('command.playlist.shuffle_failed', locale));
     }
 
     const embed = new EmbedBuilder()
         .setColor(client.config.bot.color)
-        .setTitle('🔀 Đã Xáo Trộn Playlist')
-        .setDescription(
-            `Playlist **${name}** đã được xáo trộn thành công!\n\n🎵 **${tracks.length}** bài hát đã được sắp xếp lại ngẫu nhiên.`
-        )
+        .setTitle(t('command.playlist.shuffled_title', locale))
+        .setDescription(t('command.playlist.shuffled', locale, { name, count: tracks.length }))
         .setFooter({ text: client.config.bot.footer })
         .setTimestamp();
 
@@ -1020,25 +1698,27 @@ async function handleShuffle(interaction, client) {
 async function handleClone(interaction, client) {
     await interaction.deferReply({ ephemeral: true });
 
+    const locale = getLocale(interaction);
     const sourceName = interaction.options.getString('source');
     const newName = interaction.options.getString('newname');
 
-    // Find source playlist (own or public)
-    const sourcePlaylist = Playlist.findByNameInGuild(sourceName, interaction.user.id, interaction.guildId);
+    // Find source playlist (own, shared or public)
+    const roleIds = getMemberRoleIds(interaction.member);
+    const sourcePlaylist = Playlist.findByNameInGuild(sourceName, interaction.user.id, interaction.guildId, roleIds);
 
     if (!sourcePlaylist) {
         throw new PlaylistNotFoundError(sourceName);
     }
 
     // Check if user can access source playlist
-    if (sourcePlaylist.owner_id !== interaction.user.id && !sourcePlaylist.is_public) {
-        throw new ValidationError('Bạn không có quyền sao chép playlist này!', 'permission');
+    if (!Playlist.getAccess(sourcePlaylist, interaction.user.id, roleIds)) {
+        throw new ValidationError(t('command.playlist.clone_no_permission', locale), 'permission');
     }
 
     // Check if new name conflicts with existing playlist
     const existing = Playlist.getByName(newName, interaction.user.id, interaction.guildId);
     if (existing) {
-        throw new ValidationError(`Playlist "${newName}" đã tồn tại`, 'name');
+        throw new ValidationError(t('command.playlist.name_exists', locale, { name: newName }), 'name');
     }
 
     // Create new playlist
@@ -1047,12 +1727,12 @@ async function handleClone(interaction, client) {
         interaction.user.id,
         interaction.user.username,
         interaction.guildId,
-        `Bản sao từ: ${sourcePlaylist.name}`,
+        t('command.playlist.clone_copy_of', locale, { name: sourcePlaylist.name }),
         false
     );
 
     if (!newPlaylist) {
-        throw new InternalError('Không thể tạo playlist mới!');
+        throw new InternalError(t('command.playlist.create_failed', locale));
     }
 
     // Copy all tracks from source to new playlist
@@ -1077,15 +1757,19 @@ async function handleClone(interaction, client) {
 
     const embed = new EmbedBuilder()
         .setColor(client.config.bot.color)
-        .setTitle('📋 Đã Nhân Bản Playlist')
+        .setTitle(t('command.playlist.cloned_title', locale))
         .setDescription(
-            `Playlist **${newName}** đã được tạo từ **${sourcePlaylist.name}**!\n\n` +
-                `✅ Đã sao chép **${copiedCount}**/${sourceTracks.length} bài hát`
+            t('command.playlist.cloned', locale, {
+                name: newName,
+                source: sourcePlaylist.name,
+                copied: copiedCount,
+                total: sourceTracks.length
+            })
         )
         .addFields([
             {
-                name: '💡 Gợi ý',
-                value: 'Sử dụng `/playlist show` để xem playlist mới của bạn!',
+                name: t('command.playlist.tip_field', locale),
+                value: t('command.playlist.cloned_tip', locale),
                 inline: false
             }
         ])
@@ -1101,29 +1785,33 @@ async function handleClone(interaction, client) {
 async function handleClear(interaction, client) {
     await interaction.deferReply({ ephemeral: true });
 
+    const locale = getLocale(interaction);
     const name = interaction.options.getString('name');
-    const playlist = Playlist.getByName(name, interaction.user.id, interaction.guildId);
+    const roleIds = getMemberRoleIds(interaction.member);
+    const playlist = Playlist.findEditable(name, interaction.user.id, interaction.guildId, roleIds);
 
     if (!playlist) {
         throw new PlaylistNotFoundError(name);
     }
 
+    assertStaticPlaylist(playlist);
+
     const trackCount = Playlist.getTracks(playlist.id).length;
 
     if (trackCount === 0) {
-        throw new ValidationError('Playlist đã trống!', 'tracks');
+        throw new ValidationError(t('command.playlist.clear_empty', locale), 'tracks');
     }
 
-    const success = Playlist.clearTracks(playlist.id, interaction.user.id);
+    const success = Playlist.clearTracks(playlist.id, interaction.user.id, roleIds);
 
     if (!success) {
-        throw new InternalError('Không thể xóa các bài hát khỏi playlist!');
+        throw new InternalError(t('command.playlist.clear_failed', locale));
     }
 
     const embed = new EmbedBuilder()
         .setColor(client.config.bot.color)
-        .setTitle('🗑️ Đã Xóa Tất Cả Bài Hát')
-        .setDescription(`Đã xóa **${trackCount}** bài hát khỏi playlist **${name}**.\n\nPlaylist hiện đang trống.`)
+        .setTitle(t('command.playlist.cleared_title', locale))
+        .setDescription(t('command.playlist.cleared', locale, { count: trackCount, name }))
         .setFooter({ text: client.config.bot.footer })
         .setTimestamp();
 
@@ -1131,140 +1819,971 @@ async function handleClear(interaction, client) {
 }
 
 /**
- * List public playlists in the server
+ * Move a track to another position
  */
-async function handlePublicList(interaction, client) {
+async function handleMove(interaction, client) {
     await interaction.deferReply({ ephemeral: true });
 
-    const publicPlaylists = Playlist.getPublic(interaction.guildId, 25);
+    const locale = getLocale(interaction);
+    const name = interaction.options.getString('name');
+    const from = interaction.options.getInteger('from');
+    const to = interaction.options.getInteger('to');
 
-    if (publicPlaylists.length === 0) {
-        const embed = new EmbedBuilder()
-            .setColor(client.config.bot.color)
-            .setTitle('🌐 Playlist Công Khai')
-            .setDescription(
-                'Chưa có playlist công khai nào trong server này.\n\nHãy tạo playlist mới với `/playlist create` và đặt `public: true` để chia sẻ!'
-            )
-            .setFooter({ text: client.config.bot.footer })
-            .setTimestamp();
+    const roleIds = getMemberRoleIds(interaction.member);
+    const playlist = Playlist.findEditable(name, interaction.user.id, interaction.guildId, roleIds);
 
-        return interaction.editReply({ embeds: [embed] });
+    if (!playlist) {
+        throw new PlaylistNotFoundError(name);
     }
 
-    const description = publicPlaylists
-        .map((pl, index) => {
-            const trackCount = pl.track_count || 0;
-            return `**${index + 1}. ${pl.name}**\n   └ 🎵 ${trackCount} bài | 👤 <@${pl.owner_id}>`;
-        })
-        .join('\n\n');
+    assertStaticPlaylist(playlist);
 
-    const embed = new EmbedBuilder()
-        .setColor(client.config.bot.color)
-        .setTitle('🌐 Playlist Công Khai')
-        .setDescription(description)
-        .setFooter({
-            text: `Tổng ${publicPlaylists.length} playlist công khai • Sử dụng /playlist show để xem chi tiết`
-        })
-        .setTimestamp();
+    const tracks = Playlist.getTracks(playlist.id);
 
-    await interaction.editReply({ embeds: [embed] });
-}
+    if (from > tracks.length) {
+        throw new ValidationError(t('command.playlist.move_invalid', locale, { count: tracks.length }), 'from');
+    }
+    if (to > tracks.length) {
+        throw new ValidationError(t('command.playlist.move_invalid', locale, { count: tracks.length }), 'to');
+    }
+    if (from === to) {
+        throw new ValidationError(t('command.playlist.move_same', locale), 'to');
+    }
+
+    const track = tracks.find(entry => entry.position === from);
+
+    Playlist.moveTrack(playlist.id, from, to, interaction.user.id, roleIds);
+
+    const embed = new EmbedBuilder()
+        .setColor(client.config.bot.color)
+        .setTitle(t('command.playlist.move_title', locale))
+        .setDescription(
+            t('command.playlist.move_done', locale, {
+                title: track?.track_title || t('command.playlist.track_number', locale, { position: from }),
+                from,
+                to,
+                name
+            })
+        )
+        .setFooter({ text: client.config.bot.footer })
+        .setTimestamp();
+
+    await interaction.editReply({ embeds: [embed] });
+}
+
+/**
+ * Rename a playlist (owner only)
+ */
+async function handleRename(interaction, client) {
+    await interaction.deferReply({ ephemeral: true });
+
+    const locale = getLocale(interaction);
+    const name = interaction.options.getString('name');
+    const newName = interaction.options.getString('newname').trim();
+
+    if (newName.length === 0) {
+        throw new ValidationError(t('command.playlist.name_empty', locale), 'newname');
+    }
+    if (newName.length > 50) {
+        throw new ValidationError(t('command.playlist.name_too_long', locale, { max: 50 }), 'newname');
+    }
+
+    const playlist = Playlist.getByName(name, interaction.user.id, interaction.guildId);
+
+    if (!playlist) {
+        throw new PlaylistNotFoundError(name);
+    }
+
+    if (newName === playlist.name) {
+        throw new ValidationError(t('command.playlist.rename_same', locale), 'newname');
+    }
+
+    const existing = Playlist.getByName(newName, interaction.user.id, interaction.guildId);
+    if (existing) {
+        throw new ValidationError(t('command.playlist.name_exists', locale, { name: newName }), 'newname');
+    }
+
+    Playlist.update(playlist.id, interaction.user.id, { name: newName });
+
+    const embed = new EmbedBuilder()
+        .setColor(client.config.bot.color)
+        .setTitle(t('command.playlist.rename_title', locale))
+        .setDescription(`**${name}** → **${newName}**`)
+        .setFooter({ text: client.config.bot.footer })
+        .setTimestamp();
+
+    await interaction.editReply({ embeds: [embed] });
+}
+
+/**
+ * Edit a playlist's description, thumbnail or visibility
+ * Editors may change the description and thumbnail; visibility is owner only
+ */
+async function handleEdit(interaction, client) {
+    await interaction.deferReply({ ephemeral: true });
+
+    const locale = getLocale(interaction);
+    const name = interaction.options.getString('name');
+    const description = interaction.options.getString('description');
+    const thumbnail = interaction.options.getString('thumbnail');
+    const isPublic = interaction.options.getBoolean('public');
+
+    if (description === null && thumbnail === null && isPublic === null) {
+        throw new ValidationError(t('command.playlist.edit_nothing', locale), 'description');
+    }
+
+    const roleIds = getMemberRoleIds(interaction.member);
+    const playlist = Playlist.findEditable(name, interaction.user.id, interaction.guildId, roleIds);
+
+    if (!playlist) {
+        throw new PlaylistNotFoundError(name);
+    }
+
+    if (isPublic !== null && playlist.owner_id !== interaction.user.id) {
+        throw new ValidationError(t('command.playlist.edit_public_owner_only', locale), 'public');
+    }
+
+    const changes = {};
+
+    if (description !== null) {
+        if (description.trim() === '-') {
+            changes.description = null;
+        } else {
+            const result = validatePlaylistDescription(description, locale);
+            if (!result.valid) {
+                throw new ValidationError(result.error, 'description');
+            }
+            changes.description = result.sanitized || null;
+        }
+    }
+
+    if (thumbnail !== null) {
+        if (thumbnail.trim() === '-') {
+            changes.thumbnail = null;
+        } else {
+            const result = validateURL(thumbnail.trim(), locale);
+            if (!result.valid) {
+                throw new ValidationError(result.error, 'thumbnail');
+            }
+            changes.thumbnail = thumbnail.trim();
+        }
+    }
+
+    if (isPublic !== null) {
+        changes.is_public = isPublic;
+    }
+
+    const updated = Playlist.update(playlist.id, interaction.user.id, changes, roleIds);
+
+    const embed = new EmbedBuilder()
+        .setColor(client.config.bot.color)
+        .setTitle(t('command.playlist.edit_title', locale))
+        .setDescription(t('command.playlist.edit_done', locale, { name: updated.name }))
+        .addFields([
+            {
+                name: t('command.playlist.edit_new_info', locale),
+                value: t('command.playlist.edit_info', locale, {
+                    description: updated.description || t('command.playlist.none', locale),
+                    thumbnail: t(updated.thumbnail ? 'command.playlist.yes' : 'command.playlist.none', locale),
+                    public: t(updated.is_public ? 'command.playlist.yes' : 'command.playlist.no', locale)
+                }),
+                inline: false
+            }
+        ])
+        .setFooter({ text: client.config.bot.footer })
+        .setTimestamp();
+
+    if (updated.thumbnail) {
+        embed.setThumbnail(updated.thumbnail);
+    }
+
+    await interaction.editReply({ embeds: [embed] });
+}
 
 /**
- * Import playlist from YouTube/Spotify URL
+ * Remove repeated tracks from a playlist
+ */
+async function handleDedupe(interaction, client) {
+    await interaction.deferReply({ ephemeral: true });
+
+    const locale = getLocale(interaction);
+    const name = interaction.options.getString('name');
+    const roleIds = getMemberRoleIds(interaction.member);
+    const playlist = Playlist.findEditable(name, interaction.user.id, interaction.guildId, roleIds);
+
+    if (!playlist) {
+        throw new PlaylistNotFoundError(name);
+    }
+
+    assertStaticPlaylist(playlist);
+
+    const removed = Playlist.removeDuplicates(playlist.id, interaction.user.id, roleIds);
+
+    if (removed.length === 0) {
+        const embed = new EmbedBuilder()
+            .setColor(client.config.bot.color)
+            .setDescription(t('command.playlist.dedupe_none', locale, { name }))
+            .setFooter({ text: client.config.bot.footer })
+            .setTimestamp();
+
+        return interaction.editReply({ embeds: [embed] });
+    }
+
+    const preview = removed
+        .slice(0, 10)
+        .map(track => `• ${truncateLabel(track.track_title)}`)
+        .join('\n');
+
+    const embed = new EmbedBuilder()
+        .setColor(client.config.bot.color)
+        .setTitle(t('command.playlist.dedupe_title', locale))
+        .setDescription(
+            `${t('command.playlist.dedupe_done', locale, { count: removed.length, name })}\n\n${preview}` +
+                (removed.length > 10
+                    ? `\n${t('command.playlist.more_tracks', locale, { count: removed.length - 10 })}`
+                    : '')
+        )
+        .setFooter({
+            text: `${t('command.playlist.tracks_left', locale, { count: playlist.track_count - removed.length })} • ${client.config.bot.footer}`
+        })
+        .setTimestamp();
+
+    await interaction.editReply({ embeds: [embed] });
+}
+
+/**
+ * Share a playlist with a user or role, change their permission, or stop sharing
+ */
+async function handleShare(interaction, client) {
+    await interaction.deferReply({ ephemeral: true });
+
+    const locale = getLocale(interaction);
+    const name = interaction.options.getString('name');
+    const user = interaction.options.getUser('user');
+    const role = interaction.options.getRole('role');
+    const permission = interaction.options.getString('permission') || PLAYLIST_ACCESS.EDITOR;
+    const remove = interaction.options.getBoolean('remove') ?? false;
+
+    if (!user === !role) {
+        throw new ValidationError(t('command.playlist.share_one_target', locale), 'user');
+    }
+
+    // Only the owner manages who the playlist is shared with
+    const playlist = Playlist.getByName(name, interaction.user.id, interaction.guildId);
+
+    if (!playlist) {
+        throw new PlaylistNotFoundError(name);
+    }
+
+    const targetType = user ? 'user' : 'role';
+    const targetId = user ? user.id : role.id;
+    const targetLabel = user ? `<@${user.id}>` : `<@&${role.id}>`;
+
+    if (remove) {
+        const removed = Playlist.removeCollaborator(playlist.id, interaction.user.id, targetType, targetId);
+
+        if (!removed) {
+            throw new ValidationError(
+                t('command.playlist.share_not_shared', locale, { name, target: targetLabel }),
+                targetType
+            );
+        }
+
+        const embed = new EmbedBuilder()
+            .setColor(client.config.bot.color)
+            .setTitle(t('command.playlist.share_removed_title', locale))
+            .setDescription(t('command.playlist.share_removed', locale, { name, target: targetLabel }))
+            .setFooter({ text: client.config.bot.footer })
+            .setTimestamp();
+
+        return interaction.editReply({ embeds: [embed] });
+    }
+
+    if (user?.id === interaction.user.id) {
+        throw new ValidationError(t('command.playlist.share_self', locale), 'user');
+    }
+
+    if (user?.bot) {
+        throw new ValidationError(t('command.playlist.share_bot', locale), 'user');
+    }
+
+    const collaborators = Playlist.getCollaborators(playlist.id);
+    const isNew = !collaborators.some(c => c.target_type === targetType && c.target_id === targetId);
+
+    if (isNew && collaborators.length >= MAX_PLAYLIST_COLLABORATORS) {
+        throw new ValidationError(
+            t('command.playlist.share_limit', locale, { max: MAX_PLAYLIST_COLLABORATORS }),
+            targetType
+        );
+    }
+
+    Playlist.addCollaborator(playlist.id, interaction.user.id, targetType, targetId, permission);
+
+    const rights = t(
+        permission === PLAYLIST_ACCESS.EDITOR ? 'command.playlist.rights_editor' : 'command.playlist.rights_viewer',
+        locale
+    );
+
+    const embed = new EmbedBuilder()
+        .setColor(client.config.bot.color)
+        .setTitle(t(isNew ? 'command.playlist.share_added_title' : 'command.playlist.share_updated_title', locale))
+        .setDescription(
+            t('command.playlist.share_granted', locale, {
+                target: targetLabel,
+                access: accessLabel(permission, locale),
+                name,
+                rights
+            })
+        )
+        .setFooter({ text: `${t('command.playlist.share_footer', locale)} • ${client.config.bot.footer}` })
+        .setTimestamp();
+
+    await interaction.editReply({ embeds: [embed] });
+}
+
+/**
+ * Show who a playlist is shared with and who added its tracks
+ */
+async function handleCollaborators(interaction, client) {
+    await interaction.deferReply({ ephemeral: true });
+
+    const locale = getLocale(interaction);
+    const name = interaction.options.getString('name');
+    const playlist = Playlist.findByNameInGuild(
+        name,
+        interaction.user.id,
+        interaction.guildId,
+        getMemberRoleIds(interaction.member)
+    );
+
+    if (!playlist) {
+        throw new PlaylistNotFoundError(name);
+    }
+
+    const collaborators = Playlist.getCollaborators(playlist.id);
+    const contributors = Playlist.getContributors(playlist.id);
+
+    const collaboratorList =
+        collaborators.length > 0
+            ? collaborators
+                  .map(c => {
+                      const target = c.target_type === 'role' ? `<@&${c.target_id}>` : `<@${c.target_id}>`;
+                      return `• ${target} — ${accessLabel(c.permission, locale)}`;
+                  })
+                  .join('\n')
+            : t('command.playlist.collaborators_none', locale);
+
+    const contributorList =
+        contributors.length > 0
+            ? contributors
+                  .slice(0, 10)
+                  .map(
+                      c => `• <@${c.added_by}> — ${t('command.playlist.track_count', locale, { count: c.track_count })}`
+                  )
+                  .join('\n')
+            : t('command.playlist.contributors_none', locale);
+
+    const embed = new EmbedBuilder()
+        .setColor(client.config.bot.color)
+        .setTitle(t('command.playlist.collaborators_title', locale, { name: playlist.name }))
+        .setDescription(t('command.playlist.collaborators_owner', locale, { owner: `<@${playlist.owner_id}>` }))
+        .addFields(
+            {
+                name: t('command.playlist.collaborators_shared', locale, { count: collaborators.length }),
+                value: collaboratorList
+            },
+            { name: t('command.playlist.contributors', locale), value: contributorList }
+        )
+        .setFooter({
+            text:
+                playlist.owner_id === interaction.user.id
+                    ? `${t('command.playlist.collaborators_footer', locale)} • ${client.config.bot.footer}`
+                    : client.config.bot.footer
+        })
+        .setTimestamp();
+
+    await interaction.editReply({ embeds: [embed] });
+}
+
+/**
+ * Reject track edits on smart playlists, whose tracks are computed from rules
+ * @param {Object} playlist - Playlist row
+ */
+function assertStaticPlaylist(playlist) {
+    if (playlist.kind === PLAYLIST_KINDS.SMART) {
+        throw new SmartPlaylistError('read_only', 'name', { name: playlist.name });
+    }
+}
+
+/**
+ * Create a smart playlist from the rules builder options
+ */
+async function handleSmartCreate(interaction, client) {
+    await interaction.deferReply({ ephemeral: true });
+
+    const locale = getLocale(interaction);
+    const name = interaction.options.getString('name').trim();
+    const isPublic = interaction.options.getBoolean('public') || false;
+
+    if (name.length === 0) {
+        throw new ValidationError(t('command.playlist.name_empty', locale), 'name');
+    }
+
+    const rules = normalizeSmartRules({
+        source: interaction.options.getString('source'),
+        scope: interaction.options.getString('scope'),
+        period: interaction.options.getString('period'),
+        artist: interaction.options.getString('artist'),
+        minPlays: interaction.options.getInteger('min_plays'),
+        notPlayedDays: interaction.options.getInteger('not_played_days'),
+        sort: interaction.options.getString('sort'),
+        limit: interaction.options.getInteger('limit')
+    });
+
+    const existing = Playlist.getByName(name, interaction.user.id, interaction.guildId);
+    if (existing) {
+        throw new ValidationError(t('command.playlist.name_exists', locale, { name }), 'name');
+    }
+
+    const playlist = Playlist.createSmart(
+        name,
+        interaction.user.id,
+        interaction.user.username,
+        interaction.guildId,
+        rules,
+        null,
+        isPublic
+    );
+
+    if (!playlist) {
+        throw new InternalError(t('command.playlist.smart_create_failed', locale));
+    }
+
+    const tracks = Playlist.getTracks(playlist.id);
+    const preview =
+        tracks.length > 0
+            ? tracks
+                  .slice(0, 10)
+                  .map((track, index) => `${index + 1}. ${truncateLabel(track.track_title)}`)
+                  .join('\n') +
+              (tracks.length > 10
+                  ? `\n${t('command.playlist.more_tracks', locale, { count: tracks.length - 10 })}`
+                  : '')
+            : t('command.playlist.smart_no_matches_yet', locale);
+
+    const embed = new EmbedBuilder()
+        .setColor(client.config.bot.color)
+        .setTitle(t('command.playlist.smart_created_title', locale))
+        .setDescription(
+            `${t('command.playlist.smart_created', locale, { name })}\n\n${describeSmartRules(rules, locale)}`
+        )
+        .addFields([
+            {
+                name: t('command.playlist.smart_current', locale, { count: tracks.length }),
+                value: preview,
+                inline: false
+            },
+            {
+                name: t('command.playlist.smart_next_title', locale),
+                value: t('command.playlist.smart_next', locale, { name }),
+                inline: false
+            }
+        ])
+        .setFooter({
+            text: `${t('command.playlist.public_footer', locale, {
+                value: t(isPublic ? 'command.playlist.yes' : 'command.playlist.no', locale)
+            })} • ${client.config.bot.footer}`
+        })
+        .setTimestamp();
+
+    await interaction.editReply({ embeds: [embed] });
+}
+
+/**
+ * Snapshot a smart playlist's current tracks into a static playlist owned by the user,
+ * creating it or replacing its tracks
+ */
+async function handleSmartRefresh(interaction, client) {
+    await interaction.deferReply({ ephemeral: true });
+
+    const locale = getLocale(interaction);
+    const name = interaction.options.getString('name');
+    const roleIds = getMemberRoleIds(interaction.member);
+    const smartPlaylist = Playlist.findByNameInGuild(name, interaction.user.id, interaction.guildId, roleIds);
+
+    if (!smartPlaylist) {
+        throw new PlaylistNotFoundError(name);
+    }
+    if (smartPlaylist.kind !== PLAYLIST_KINDS.SMART) {
+        throw new SmartPlaylistError('not_smart', 'name', { name: smartPlaylist.name });
+    }
+
+    const suffix = ` ${t('command.playlist.smart_copy_suffix', locale)}`;
+    const targetName =
+        interaction.options.getString('target')?.trim() ||
+        `${smartPlaylist.name.slice(0, 50 - suffix.length)}${suffix}`;
+
+    const tracks = Playlist.getTracks(smartPlaylist.id);
+    if (tracks.length === 0) {
+        throw new SmartPlaylistError('no_matches', 'name', { name: smartPlaylist.name });
+    }
+
+    let target = Playlist.getByName(targetName, interaction.user.id, interaction.guildId);
+    const replaced = Boolean(target);
+
+    if (target) {
+        assertStaticPlaylist(target);
+    } else {
+        target = Playlist.create(
+            targetName,
+            interaction.user.id,
+            interaction.user.username,
+            interaction.guildId,
+            t('command.playlist.smart_copy_description', locale, { name: smartPlaylist.name }),
+            false
+        );
+        if (!target) {
+            throw new InternalError(t('command.playlist.create_failed', locale));
+        }
+    }
+
+    Playlist.replaceTracks(target.id, tracks, interaction.user.id);
+
+    const embed = new EmbedBuilder()
+        .setColor(client.config.bot.color)
+        .setTitle(t('command.playlist.smart_saved_title', locale))
+        .setDescription(
+            t(replaced ? 'command.playlist.smart_saved_replaced' : 'command.playlist.smart_saved_created', locale, {
+                target: targetName,
+                count: tracks.length,
+                name: smartPlaylist.name
+            })
+        )
+        .setFooter({ text: client.config.bot.footer })
+        .setTimestamp();
+
+    await interaction.editReply({ embeds: [embed] });
+}
+
+/**
+ * List public playlists in the server
+ */
+async function handlePublicList(interaction, client) {
+    await interaction.deferReply({ ephemeral: true });
+
+    const locale = getLocale(interaction);
+    const publicPlaylists = Playlist.getPublic(interaction.guildId, 25);
+
+    if (publicPlaylists.length === 0) {
+        const embed = new EmbedBuilder()
+            .setColor(client.config.bot.color)
+            .setTitle(t('command.playlist.public_title', locale))
+            .setDescription(t('command.playlist.public_none', locale))
+            .setFooter({ text: client.config.bot.footer })
+            .setTimestamp();
+
+        return interaction.editReply({ embeds: [embed] });
+    }
+
+    const description = publicPlaylists
+        .map((pl, index) => {
+            const trackCount = pl.track_count || 0;
+            return `**${index + 1}. ${pl.name}**\n   └ 🎵 ${t('command.playlist.track_count', locale, { count: trackCount })} | 👤 <@${pl.owner_id}>`;
+        })
+        .join('\n\n');
+
+    const embed = new EmbedBuilder()
+        .setColor(client.config.bot.color)
+        .setTitle(t('command.playlist.public_title', locale))
+        .setDescription(description)
+        .setFooter({ text: t('command.playlist.public_list_footer', locale, { count: publicPlaylists.length }) })
+        .setTimestamp();
+
+    await interaction.editReply({ embeds: [embed] });
+}
+
+/**
+ * Import playlist from a YouTube/Spotify URL or an uploaded JSON/M3U8/CSV file
  */
 async function handleImport(interaction, client) {
     await interaction.deferReply({ ephemeral: true });
 
+    const locale = getLocale(interaction);
     const url = interaction.options.getString('url');
+    const file = interaction.options.getAttachment('file');
     const name = interaction.options.getString('name');
 
+    if (!url === !file) {
+        throw new ValidationError(t('command.playlist.import_one_source', locale), 'url');
+    }
+
     // Validate name
     if (name.length > 50) {
-        throw new ValidationError('Tên playlist không được dài quá 50 ký tự', 'name');
+        throw new ValidationError(t('command.playlist.name_too_long', locale, { max: 50 }), 'name');
     }
 
     // Check if playlist already exists
     const existing = Playlist.getByName(name, interaction.user.id, interaction.guildId);
     if (existing) {
-        throw new ValidationError(`Playlist "${name}" đã tồn tại`, 'name');
+        throw new ValidationError(t('command.playlist.name_exists', locale, { name }), 'name');
     }
 
     // Search/load the external playlist
     const loadingEmbed = new EmbedBuilder()
         .setColor(client.config.bot.color)
-        .setTitle('⏳ Đang import playlist...')
-        .setDescription('Đang tải thông tin playlist từ URL...')
+        .setTitle(t('command.playlist.import_progress_title', locale))
+        .setDescription(
+            file
+                ? t('command.playlist.import_reading_file', locale, { file: file.name })
+                : t('command.playlist.import_loading_url', locale)
+        )
         .setFooter({ text: client.config.bot.footer })
         .setTimestamp();
 
     await interaction.editReply({ embeds: [loadingEmbed] });
 
-    const result = await client.musicManager.search(url, interaction.user);
+    const MAX_TRACKS = PLAYLIST_FILES.MAX_IMPORT_TRACKS;
+    let externalPlaylistName;
+    let totalEntries;
+    let artworkUrl = null;
+    // { track, entry } pairs in playlist order; failed entries carry a reason instead of a track
+    let resolved;
+    const failed = [];
+
+    if (file) {
+        const parsed = await readImportFile(file);
+        externalPlaylistName = parsed.name || file.name;
+        totalEntries = parsed.entries.length;
+
+        const results = await resolveImportEntries(
+            interaction,
+            client,
+            parsed.entries.slice(0, MAX_TRACKS),
+            name,
+            locale
+        );
+        resolved = results.filter(result => result.track);
+        failed.push(...results.filter(result => !result.track));
+    } else {
+        const result = await client.musicManager.search(url, interaction.user, { guildId: interaction.guildId });
+        assertNotBlocked(result);
+
+        if (!result || result.loadType !== 'playlist' || !result.tracks || result.tracks.length === 0) {
+            throw new ValidationError(t('command.playlist.import_invalid_url', locale), 'url');
+        }
+
+        externalPlaylistName = result.playlistInfo?.name || 'Imported Playlist';
+        artworkUrl = result.playlistInfo?.artworkUrl || null;
+        totalEntries = result.tracks.length;
+        resolved = result.tracks.slice(0, MAX_TRACKS).map((track, index) => ({ index, track }));
+    }
 
-    if (!result || result.loadType !== 'playlist' || !result.tracks || result.tracks.length === 0) {
-        throw new ValidationError('URL không phải là một playlist hợp lệ hoặc playlist trống!', 'url');
+    if (resolved.length === 0) {
+        throw new ValidationError(t('command.playlist.import_nothing_loaded', locale), 'tracks');
     }
 
     // Create new playlist
-    const externalPlaylistName = result.playlistInfo?.name || 'Imported Playlist';
     const newPlaylist = Playlist.create(
         name,
         interaction.user.id,
         interaction.user.username,
         interaction.guildId,
-        `Import từ: ${externalPlaylistName}`,
+        t('command.playlist.import_playlist_description', locale, { source: externalPlaylistName }),
         false
     );
 
     if (!newPlaylist) {
-        throw new InternalError('Không thể tạo playlist mới!');
+        throw new InternalError(t('command.playlist.create_failed', locale));
     }
 
     // Add all tracks to the new playlist
     let successCount = 0;
-    let failedCount = 0;
 
-    for (const track of result.tracks.slice(0, 100)) {
-        // Limit to 100 tracks
+    for (const item of resolved) {
         try {
             const trackData = {
-                url: track.info.uri,
-                title: track.info.title,
-                author: track.info.author,
-                duration: track.info.length
+                url: item.track.info.uri,
+                title: item.track.info.title,
+                author: item.track.info.author,
+                duration: item.track.info.length
             };
 
-            const added = Playlist.addTrack(newPlaylist.id, trackData, interaction.user.id);
-            if (added) {
-                successCount++;
-            } else {
-                failedCount++;
+            Playlist.addTrack(newPlaylist.id, trackData, interaction.user.id);
+            successCount++;
+        } catch (error) {
+            failed.push({ ...item, track: null, reason: 'save_failed' });
+        }
+    }
+
+    const truncated = totalEntries - Math.min(totalEntries, MAX_TRACKS);
+    failed.sort((a, b) => a.index - b.index);
+
+    const failedPreview = failed
+        .slice(0, PLAYLIST_FILES.FAILED_PREVIEW)
+        .map(
+            item =>
+                `• \`#${item.index + 1}\` ${truncateLabel(describeImportItem(item, locale))} — ${describeImportReason(item, locale)}`
+        )
+        .join('\n');
+
+    const summary = [
+        t('command.playlist.import_done', locale, { name, source: externalPlaylistName }),
+        '',
+        t('command.playlist.import_imported', locale, { count: successCount })
+    ];
+    if (failed.length > 0) {
+        summary.push(t('command.playlist.import_failed_count', locale, { count: failed.length }));
+    }
+    if (truncated > 0) {
+        summary.push('', t('command.playlist.import_truncated', locale, { max: MAX_TRACKS, total: totalEntries }));
+    }
+
+    const embed = new EmbedBuilder()
+        .setColor(failed.length > 0 || truncated > 0 ? COLORS.WARNING : client.config.bot.color)
+        .setTitle(t('command.playlist.import_done_title', locale))
+        .setDescription(summary.join('\n'))
+        .setFooter({ text: client.config.bot.footer })
+        .setTimestamp();
+
+    if (failedPreview) {
+        embed.addFields([
+            {
+                name: t('command.playlist.import_failed_title', locale),
+                value:
+                    failedPreview +
+                    (failed.length > PLAYLIST_FILES.FAILED_PREVIEW
+                        ? `\n${t('command.playlist.import_failed_more', locale, {
+                              count: failed.length - PLAYLIST_FILES.FAILED_PREVIEW
+                          })}`
+                        : ''),
+                inline: false
+            }
+        ]);
+    }
+
+    if (artworkUrl) {
+        embed.setThumbnail(artworkUrl);
+    }
+
+    // Full failed-entries report as a text file
+    const files = [];
+    if (failed.length > 0) {
+        const report = failed
+            .map(
+                item => `#${item.index + 1}\t${describeImportItem(item, locale)}\t${describeImportReason(item, locale)}`
+            )
+            .join('\n');
+        files.push(new AttachmentBuilder(Buffer.from(report + '\n', 'utf8'), { name: 'failed-entries.txt' }));
+    }
+
+    logger.info('Playlist imported', {
+        playlistId: newPlaylist.id,
+        source: file ? 'file' : 'url',
+        imported: successCount,
+        failed: failed.length,
+        truncated
+    });
+
+    await interaction.editReply({ embeds: [embed], files });
+}
+
+/**
+ * Download and parse an uploaded playlist file
+ * @param {import('discord.js').Attachment} file
+ * @returns {Promise<Object>} Parsed playlist (see parsePlaylistFile)
+ */
+async function readImportFile(file) {
+    if (file.size > PLAYLIST_FILES.MAX_IMPORT_SIZE) {
+        throw new PlaylistFileError('too_large', { maxKb: Math.round(PLAYLIST_FILES.MAX_IMPORT_SIZE / 1024) });
+    }
+
+    let content;
+    try {
+        const response = await fetch(file.url, { signal: AbortSignal.timeout(15000) });
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+        content = await response.text();
+    } catch (error) {
+        logger.warn('Failed to download playlist import file', { name: file.name, error: error.message });
+        throw new PlaylistFileError('download_failed');
+    }
+
+    return parsePlaylistFile(content, file.name);
+}
+
+/**
+ * Resolve imported file entries through MusicManager.search, in batches with a progress embed
+ * @param {Interaction} interaction
+ * @param {Client} client
+ * @param {Array} entries - Parsed file entries
+ * @param {string} playlistName - Name of the playlist being created (for the progress embed)
+ * @param {string} locale - Locale code
+ * @returns {Promise<Array<{index: number, entry: Object, track?: Object, reason?: string}>>} One result per entry,
+ *   in order; reason is a code for describeImportReason
+ */
+async function resolveImportEntries(interaction, client, entries, playlistName, locale) {
+    const CONCURRENCY = PLAYLIST_RESOLUTION.CONCURRENCY;
+    const STAGGER_DELAY = PLAYLIST_RESOLUTION.STAGGER_DELAY;
+    const PROGRESS_UPDATE_INTERVAL = PLAYLIST_RESOLUTION.PROGRESS_UPDATE_INTERVAL;
+    const TRACK_TIMEOUT = PLAYLIST_RESOLUTION.TRACK_RESOLUTION_TIMEOUT;
+
+    const total = entries.length;
+    const results = [];
+    let processedCount = 0;
+    let lastProgressUpdate = 0;
+
+    const resolveEntry = async (entry, index) => {
+        const query = getEntryQuery(entry);
+        if (!query) {
+            return { index, entry, reason: 'missing_query' };
+        }
+
+        let timer;
+        try {
+            const result = await Promise.race([
+                client.musicManager.search(query, interaction.user, { guildId: interaction.guildId }),
+                new Promise((_, reject) => {
+                    timer = setTimeout(() => reject(new Error('Track resolution timeout')), TRACK_TIMEOUT);
+                })
+            ]);
+
+            if (result?.tracks?.length > 0) {
+                return { index, entry, track: result.tracks[0] };
+            }
+            if (result?.error === 'CONTENT_BLOCKED') {
+                return { index, entry, reason: 'blocked' };
             }
+            return { index, entry, reason: 'not_found' };
         } catch (error) {
-            failedCount++;
+            logger.debug('Failed to resolve imported playlist entry', { query, error: error.message });
+            return {
+                index,
+                entry,
+                reason: error.message === 'Track resolution timeout' ? 'timeout' : 'search_error'
+            };
+        } finally {
+            clearTimeout(timer);
         }
+    };
+
+    for (let start = 0; start < total; start += CONCURRENCY) {
+        if (start > 0) {
+            await new Promise(resolve => setTimeout(resolve, STAGGER_DELAY));
+        }
+
+        const batch = entries.slice(start, start + CONCURRENCY);
+        results.push(...(await Promise.all(batch.map((entry, offset) => resolveEntry(entry, start + offset)))));
+        processedCount += batch.length;
+
+        if (processedCount - lastProgressUpdate >= PROGRESS_UPDATE_INTERVAL && processedCount < total) {
+            lastProgressUpdate = processedCount;
+
+            try {
+                const progressPercent = Math.round((processedCount / total) * 100);
+                const resolvedCount = results.filter(result => result.track).length;
+
+                const progressEmbed = new EmbedBuilder()
+                    .setColor(client.config.bot.color)
+                    .setTitle(t('command.playlist.import_progress_title', locale))
+                    .setDescription(
+                        `**${playlistName}**\n\n` +
+                            `${createProgressBar(progressPercent, 20)} ${progressPercent}%\n\n` +
+                            t('command.playlist.import_progress', locale, {
+                                found: resolvedCount,
+                                failed: processedCount - resolvedCount,
+                                remaining: total - processedCount
+                            })
+                    )
+                    .setFooter({ text: t('command.playlist.import_progress_footer', locale) })
+                    .setTimestamp();
+
+                await interaction.editReply({ embeds: [progressEmbed] });
+            } catch (error) {
+                // Ignore progress update errors
+                logger.debug('Failed to update import progress', { error: error.message });
+            }
+        }
+    }
+
+    return results;
+}
+
+/**
+ * Human-readable label for an import result (file entry or URL track)
+ * @param {Object} item - Import result
+ * @param {string} locale - Locale code
+ * @returns {string}
+ */
+function describeImportItem(item, locale) {
+    const entry = item.entry;
+    if (entry) {
+        const title = entry.title ? (entry.author ? `${entry.author} - ${entry.title}` : entry.title) : null;
+        return title || entry.url || t('command.playlist.import_unknown', locale);
     }
+    return item.track?.info?.title || t('command.playlist.import_unknown', locale);
+}
+
+/**
+ * Why an import entry failed, in the user's language
+ * @param {Object} item - Failed import result
+ * @param {string} locale - Locale code
+ * @returns {string}
+ */
+function describeImportReason(item, locale) {
+    return t(`command.playlist.import_reason_${item.reason}`, locale);
+}
+
+/**
+ * Shorten a label for embed display
+ * @param {string} label
+ * @returns {string}
+ */
+function truncateLabel(label) {
+    return label.length > 60 ? label.substring(0, 57) + '...' : label;
+}
+
+/**
+ * Export a playlist as a file attachment
+ */
+async function handleExport(interaction, client) {
+    await interaction.deferReply({ ephemeral: true });
+
+    const locale = getLocale(interaction);
+    const name = interaction.options.getString('name');
+    const format = interaction.options.getString('format') || 'json';
+
+    const playlist = Playlist.findByNameInGuild(
+        name,
+        interaction.user.id,
+        interaction.guildId,
+        getMemberRoleIds(interaction.member)
+    );
+    if (!playlist) {
+        throw new PlaylistNotFoundError(name);
+    }
+
+    const tracks = Playlist.getTracks(playlist.id);
+    if (tracks.length === 0) {
+        throw new ValidationError(t('command.playlist.export_empty', locale), 'tracks');
+    }
+
+    const { extension } = PLAYLIST_FILE_FORMATS[format] || PLAYLIST_FILE_FORMATS.json;
+    const content = serializePlaylist(playlist, tracks, format);
+    const attachment = new AttachmentBuilder(Buffer.from(content, 'utf8'), {
+        name: getExportFileName(playlist.name, extension)
+    });
 
     const embed = new EmbedBuilder()
-        .setColor(successCount > 0 ? client.config.bot.color : COLORS.ERROR)
-        .setTitle('📥 Import Playlist Hoàn Tất')
+        .setColor(client.config.bot.color)
+        .setTitle(t('command.playlist.export_title', locale))
         .setDescription(
-            `**${name}** đã được tạo từ **${externalPlaylistName}**!\n\n` +
-                `✅ Đã import: **${successCount}** bài\n` +
-                (failedCount > 0 ? `❌ Thất bại: **${failedCount}** bài\n` : '') +
-                (result.tracks.length > 100
-                    ? `\n⚠️ Chỉ import 100 bài đầu tiên (playlist gốc có ${result.tracks.length} bài)`
-                    : '')
+            t('command.playlist.export_done', locale, { name: playlist.name, count: tracks.length, extension })
         )
         .setFooter({ text: client.config.bot.footer })
         .setTimestamp();
 
-    if (result.playlistInfo?.artworkUrl) {
-        embed.setThumbnail(result.playlistInfo.artworkUrl);
-    }
-
-    await interaction.editReply({ embeds: [embed] });
+    await interaction.editReply({ embeds: [embed], files: [attachment] });
 }
 
 /**
@@ -1,13 +1,21 @@
 import { SlashCommandBuilder } from 'discord.js';
 import { createSuccessEmbed, createInfoEmbed } from '../../UI/embeds/MusicEmbeds.js';
 import { sendErrorResponse } from '../../UI/embeds/ErrorEmbeds.js';
+import { createUndoButtons } from '../../UI/components/MusicControls.js';
 import { requireQueue } from '../../middleware/queueCheck.js';
 import { UserNotInVoiceError, DifferentVoiceChannelError } from '../../utils/errors.js';
 import { isMusicSystemAvailable, getDegradedModeMessage } from '../../utils/resilience.js';
+import AuditLog, { AUDIT_ACTIONS } from '../../database/models/AuditLog.js';
+import { requestActionVote } from '../../events/actionVoteHandler.js';
+import { VOTE_ACTIONS } from '../../utils/constants.js';
+import { t, getLocale, localizations } from '../../utils/i18n.js';
 import logger from '../../utils/logger.js';
 
 export default {
-    data: new SlashCommandBuilder().setName('clear').setDescription('Xóa toàn bộ hàng đợi'),
+    data: new SlashCommandBuilder()
+        .setName('clear')
+        .setDescription('Xóa toàn bộ hàng đợi')
+        .setDescriptionLocalizations(localizations('command.clear.description')),
 
     async execute(interaction, client) {
         try {
@@ -16,7 +24,7 @@ export default {
             if (!isMusicSystemAvailable(client.musicManager)) {
                 return sendErrorResponse(
                     interaction,
-                    new Error(getDegradedModeMessage('nhạc').description),
+                    new Error(getDegradedModeMessage('music', getLocale(interaction)).description),
                     client.config
                 );
             }
@@ -33,20 +41,33 @@ export default {
                 throw new DifferentVoiceChannelError();
             }
 
+            const locale = getLocale(interaction);
+
             // Check if queue has tracks
             if (queue.tracks.length === 0) {
                 return interaction.editReply({
-                    embeds: [createInfoEmbed('Hàng đợi trống', 'Hàng đợi đã trống rồi, không cần xóa.', client.config)]
+                    embeds: [
+                        createInfoEmbed(
+                            t('command.clear.empty_title', locale),
+                            t('command.clear.empty', locale),
+                            client.config
+                        )
+                    ]
                 });
             }
 
-            const count = queue.tracks.length;
+            // Democratic mode: non-DJs put clearing the queue to a vote
+            const voted = await requestActionVote(interaction, client, queue, VOTE_ACTIONS.CLEAR, {
+                summary: t('vote.summary.clear', queue.locale, { count: queue.tracks.length }),
+                perform: clearQueue
+            });
+            if (voted) return;
 
-            // Clear queue
-            queue.clear();
+            const done = await clearQueue(queue, { userId: interaction.user.id, locale, details: {} });
 
             await interaction.editReply({
-                embeds: [createSuccessEmbed('Xóa hàng đợi', `Đã xóa **${count}** bài khỏi hàng đợi`, client.config)]
+                embeds: [createSuccessEmbed(t('command.clear.title', locale), done, client.config)],
+                components: createUndoButtons(queue.peekUndo(), locale)
             });
 
             logger.command('clear', interaction.user.id, interaction.guildId);
@@ -55,3 +76,19 @@ export default {
         }
     }
 };
+
+/**
+ * Clear the upcoming tracks (directly or once a democratic mode vote passes)
+ * @param {Object} queue - EnhancedQueue instance
+ * @param {{userId: string, locale: string, details: Object}} context - Who acted, reply locale, audit details
+ * @returns {Promise<string|null>} Result line, or null when the queue is already empty
+ */
+export async function clearQueue(queue, { userId, locale, details }) {
+    const count = queue.tracks.length;
+    if (count === 0) return null;
+
+    queue.clear(userId);
+    AuditLog.logTrackAction(AUDIT_ACTIONS.CLEAR, userId, queue.guildId, null, { clearedTracks: count, ...details });
+
+    return t('command.clear.done', locale, { count });
+}
@@ -1,19 +1,25 @@
 import { SlashCommandBuilder } from 'discord.js';
 import { createSuccessEmbed } from '../../UI/embeds/MusicEmbeds.js';
+import { createUndoButtons } from '../../UI/components/MusicControls.js';
 import { sendErrorResponse } from '../../UI/embeds/ErrorEmbeds.js';
 import { requireQueueTracks, validateQueuePosition } from '../../middleware/queueCheck.js';
 import { UserNotInVoiceError, DifferentVoiceChannelError } from '../../utils/errors.js';
 import { isMusicSystemAvailable, getDegradedModeMessage } from '../../utils/resilience.js';
+import { requestActionVote } from '../../events/actionVoteHandler.js';
+import { VOTE_ACTIONS } from '../../utils/constants.js';
+import { t, getLocale, localizations } from '../../utils/i18n.js';
 import logger from '../../utils/logger.js';
 
 export default {
     data: new SlashCommandBuilder()
         .setName('jump')
         .setDescription('Nhảy tới một bài cụ thể trong hàng đợi và phát ngay')
+        .setDescriptionLocalizations(localizations('command.jump.description'))
         .addIntegerOption(option =>
             option
                 .setName('position')
                 .setDescription('Vị trí bài trong hàng đợi (bắt đầu từ 1)')
+                .setDescriptionLocalizations(localizations('command.jump.position_option'))
                 .setMinValue(1)
                 .setRequired(true)
         ),
@@ -25,7 +31,7 @@ export default {
             if (!isMusicSystemAvailable(client.musicManager)) {
                 return sendErrorResponse(
                     interaction,
-                    new Error(getDegradedModeMessage('nhạc').description),
+                    new Error(getDegradedModeMessage('music', getLocale(interaction)).description),
                     client.config
                 );
             }
@@ -49,24 +55,29 @@ export default {
             validateQueuePosition(queue, position, 'jump to track');
 
             const trackToJump = queue.tracks[position - 1];
+            const perform = (target, context) => jumpToTrack(target, trackToJump, context);
 
-            // Jump
-            // jump method implementation varies. usually it acts like skip to pos.
-            const ok = await queue.jump(position);
+            // Democratic mode: non-DJs put the jump to a vote
+            const voted = await requestActionVote(interaction, client, queue, VOTE_ACTIONS.JUMP, {
+                key: trackToJump.info?.uri || trackToJump.info?.title,
+                summary: t('vote.summary.jump', queue.locale, {
+                    title: trackToJump.info?.title || 'Unknown Track',
+                    position
+                }),
+                perform
+            });
+            if (voted) return;
+
+            const locale = getLocale(interaction);
+            const done = await perform(queue, { userId: interaction.user.id, locale });
 
-            if (!ok) {
-                throw new Error(`Không thể nhảy tới vị trí ${position}!`);
+            if (!done) {
+                throw new Error(t('command.jump.failed', locale, { position }));
             }
 
-            const trackTitle = trackToJump?.info?.title || 'Unknown Track';
             await interaction.editReply({
-                embeds: [
-                    createSuccessEmbed(
-                        'Đã nhảy tới bài',
-                        `Đang phát **${trackTitle}** (vị trí #${position}).`,
-                        client.config
-                    )
-                ]
+                embeds: [createSuccessEmbed(t('command.jump.title', locale), done, client.config)],
+                components: createUndoButtons(queue.peekUndo(), locale)
             });
 
             logger.command('jump', interaction.user.id, interaction.guildId);
@@ -75,3 +86,21 @@ export default {
         }
     }
 };
+
+/**
+ * Jump to a queued track (directly or once a democratic mode vote passes).
+ * The track is looked up again by identity, since the queue can change while a vote runs.
+ * @param {Object} queue - EnhancedQueue instance
+ * @param {Object} track - Queued track to play
+ * @param {{userId: string, locale: string}} context - Who acted, reply locale
+ * @returns {Promise<string|null>} Result line, or null when the track is no longer queued or failed to start
+ */
+export async function jumpToTrack(queue, track, { userId, locale }) {
+    const position = queue.tracks.indexOf(track) + 1;
+    if (position === 0) return null;
+
+    const ok = await queue.jump(position, userId);
+    if (!ok) return null;
+
+    return t('command.jump.done', locale, { title: track.info?.title || 'Unknown Track', position });
+}
@@ -4,21 +4,32 @@ import { sendErrorResponse } from '../../UI/embeds/ErrorEmbeds.js';
 import { requireQueue } from '../../middleware/queueCheck.js';
 import { UserNotInVoiceError, DifferentVoiceChannelError } from '../../utils/errors.js';
 import { isMusicSystemAvailable, getDegradedModeMessage } from '../../utils/resilience.js';
+import { t, getLocale, localizations } from '../../utils/i18n.js';
 import logger from '../../utils/logger.js';
 
 export default {
     data: new SlashCommandBuilder()
         .setName('loop')
         .setDescription('Bật/tắt lặp lại bài hát hoặc toàn bộ hàng đợi')
+        .setDescriptionLocalizations(localizations('command.loop.description'))
         .addStringOption(option =>
             option
                 .setName('mode')
                 .setDescription('Chọn chế độ lặp')
+                .setDescriptionLocalizations(localizations('command.loop.mode_option'))
                 .setRequired(true)
                 .addChoices(
-                    { name: 'Tắt', value: 'off' },
-                    { name: 'Bài hát hiện tại', value: 'track' },
-                    { name: 'Toàn bộ hàng đợi', value: 'queue' }
+                    { name: 'Tắt', name_localizations: localizations('command.loop.mode_off'), value: 'off' },
+                    {
+                        name: 'Bài hát hiện tại',
+                        name_localizations: localizations('command.loop.mode_track'),
+                        value: 'track'
+                    },
+                    {
+                        name: 'Toàn bộ hàng đợi',
+                        name_localizations: localizations('command.loop.mode_queue'),
+                        value: 'queue'
+                    }
                 )
         ),
 
@@ -29,7 +40,7 @@ export default {
             if (!isMusicSystemAvailable(client.musicManager)) {
                 return sendErrorResponse(
                     interaction,
-                    new Error(getDegradedModeMessage('nhạc').description),
+                    new Error(getDegradedModeMessage('music', getLocale(interaction)).description),
                     client.config
                 );
             }
@@ -56,15 +67,14 @@ export default {
                 queue.clearLeaveTimeout();
             }
 
-            const modeText = {
-                off: 'Tắt',
-                track: 'Bài hát hiện tại',
-                queue: 'Toàn bộ hàng đợi'
-            };
-
+            const locale = getLocale(interaction);
             await interaction.editReply({
                 embeds: [
-                    createSuccessEmbed('Chế độ lặp', `Đã đặt chế độ lặp thành **${modeText[mode]}**`, client.config)
+                    createSuccessEmbed(
+                        t('command.loop.title', locale),
+                        t('command.loop.done', locale, { mode: t(`command.loop.mode_${mode}`, locale) }),
+                        client.config
+                    )
                 ]
             });
 
@@ -1,24 +1,34 @@
 import { SlashCommandBuilder } from 'discord.js';
 import { createSuccessEmbed } from '../../UI/embeds/MusicEmbeds.js';
+import { createUndoButtons } from '../../UI/components/MusicControls.js';
 import { sendErrorResponse } from '../../UI/embeds/ErrorEmbeds.js';
 import { requireQueueTracks, validateQueuePosition } from '../../middleware/queueCheck.js';
 import { UserNotInVoiceError, DifferentVoiceChannelError, ValidationError } from '../../utils/errors.js';
 import { isMusicSystemAvailable, getDegradedModeMessage } from '../../utils/resilience.js';
+import AuditLog, { AUDIT_ACTIONS } from '../../database/models/AuditLog.js';
+import { t, getLocale, localizations } from '../../utils/i18n.js';
 import logger from '../../utils/logger.js';
 
 export default {
     data: new SlashCommandBuilder()
         .setName('move')
         .setDescription('Di chuyển vị trí một bài trong hàng đợi')
+        .setDescriptionLocalizations(localizations('command.move.description'))
         .addIntegerOption(option =>
             option
                 .setName('from')
                 .setDescription('Vị trí bài cần di chuyển (xem /queue)')
+                .setDescriptionLocalizations(localizations('command.move.from_option'))
                 .setMinValue(1)
                 .setRequired(true)
         )
         .addIntegerOption(option =>
-            option.setName('to').setDescription('Vị trí đích muốn di chuyển đến').setMinValue(1).setRequired(true)
+            option
+                .setName('to')
+                .setDescription('Vị trí đích muốn di chuyển đến')
+                .setDescriptionLocalizations(localizations('command.move.to_option'))
+                .setMinValue(1)
+                .setRequired(true)
         ),
 
     async execute(interaction, client) {
@@ -28,7 +38,7 @@ export default {
             if (!isMusicSystemAvailable(client.musicManager)) {
                 return sendErrorResponse(
                     interaction,
-                    new Error(getDegradedModeMessage('nhạc').description),
+                    new Error(getDegradedModeMessage('music', getLocale(interaction)).description),
                     client.config
                 );
             }
@@ -45,12 +55,13 @@ export default {
                 throw new DifferentVoiceChannelError();
             }
 
+            const locale = getLocale(interaction);
             const from = interaction.options.getInteger('from');
             const to = interaction.options.getInteger('to');
 
             // FIX-LB06: Validate from !== to position
             if (from === to) {
-                throw new ValidationError('Vị trí nguồn và đích giống nhau! Vui lòng chọn 2 vị trí khác nhau.');
+                throw new ValidationError(t('command.move.same_position', locale));
             }
 
             // Validate positions
@@ -61,21 +72,26 @@ export default {
             const trackToMove = queue.tracks[fromIndex];
 
             // Move track
-            const ok = queue.move(fromIndex, toIndex);
+            const ok = queue.move(fromIndex, toIndex, interaction.user.id);
 
             if (!ok) {
-                throw new Error('Không thể di chuyển bài, vui lòng thử lại!');
+                throw new Error(t('command.move.failed', locale));
             }
+            AuditLog.logTrackAction(AUDIT_ACTIONS.MOVE, interaction.user.id, interaction.guildId, trackToMove, {
+                from,
+                to
+            });
 
             const trackTitle = trackToMove?.info?.title || 'Unknown Track';
             await interaction.editReply({
                 embeds: [
                     createSuccessEmbed(
-                        'Đã di chuyển',
-                        `Đã di chuyển **${trackTitle}** từ vị trí #${from} về vị trí #${to}.`,
+                        t('command.move.title', locale),
+                        t('command.move.done', locale, { title: trackTitle, from, to }),
                         client.config
                     )
-                ]
+                ],
+                components: createUndoButtons(queue.peekUndo(), locale)
             });
 
             logger.command('move', interaction.user.id, interaction.guildId);
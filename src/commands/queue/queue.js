@@ -4,16 +4,19 @@ import { sendErrorResponse, createErrorEmbed } from '../../UI/embeds/ErrorEmbeds
 import { createQueueButtons } from '../../UI/components/MusicControls.js';
 import { requireCurrentTrack } from '../../middleware/queueCheck.js';
 import { isMusicSystemAvailable, getDegradedModeMessage } from '../../utils/resilience.js';
+import { t, getLocale, localizations } from '../../utils/i18n.js';
 import logger from '../../utils/logger.js';
 
 export default {
     data: new SlashCommandBuilder()
         .setName('queue')
         .setDescription('Xem danh sách hàng đợi')
+        .setDescriptionLocalizations(localizations('command.queue.description'))
         .addIntegerOption(option =>
             option
                 .setName('page')
                 .setDescription('Xem trang cụ thể (mặc định: trang 1)')
+                .setDescriptionLocalizations(localizations('command.queue.page_option'))
                 .setMinValue(1)
                 .setRequired(false)
         ),
@@ -25,7 +28,7 @@ export default {
             if (!isMusicSystemAvailable(client.musicManager)) {
                 return sendErrorResponse(
                     interaction,
-                    new Error(getDegradedModeMessage('nhạc').description),
+                    new Error(getDegradedModeMessage('music', getLocale(interaction)).description),
                     client.config
                 );
             }
@@ -38,12 +41,10 @@ export default {
             const totalPages = Math.max(1, Math.ceil(queue.tracks.length / pageSize));
 
             if (requestedPage > totalPages || requestedPage < 1) {
+                const locale = getLocale(interaction);
                 return interaction.editReply({
                     embeds: [
-                        createErrorEmbed(
-                            `Trang không hợp lệ! Chỉ có ${totalPages} trang. Hãy chọn số từ 1 đến ${totalPages}.`,
-                            client.config
-                        )
+                        createErrorEmbed(t('command.queue.invalid_page', locale, { totalPages }), client.config, locale)
                     ]
                 });
             }
@@ -1,19 +1,26 @@
 import { SlashCommandBuilder } from 'discord.js';
 import { createSuccessEmbed, createErrorEmbed } from '../../UI/embeds/MusicEmbeds.js';
 import { sendErrorResponse } from '../../UI/embeds/ErrorEmbeds.js';
+import { createUndoButtons } from '../../UI/components/MusicControls.js';
 import { requireQueueTracks, validateQueuePosition } from '../../middleware/queueCheck.js';
 import { UserNotInVoiceError, DifferentVoiceChannelError } from '../../utils/errors.js';
 import { isMusicSystemAvailable, getDegradedModeMessage } from '../../utils/resilience.js';
+import AuditLog, { AUDIT_ACTIONS } from '../../database/models/AuditLog.js';
+import { requestActionVote } from '../../events/actionVoteHandler.js';
+import { VOTE_ACTIONS } from '../../utils/constants.js';
+import { t, getLocale, localizations } from '../../utils/i18n.js';
 import logger from '../../utils/logger.js';
 
 export default {
     data: new SlashCommandBuilder()
         .setName('remove')
         .setDescription('Xóa bài hát khỏi hàng đợi — dùng /queue để xem vị trí')
+        .setDescriptionLocalizations(localizations('command.remove.description'))
         .addIntegerOption(option =>
             option
                 .setName('position')
                 .setDescription('Vị trí bài trong hàng đợi (bắt đầu từ 1)')
+                .setDescriptionLocalizations(localizations('command.remove.position_option'))
                 .setMinValue(1)
                 .setRequired(true)
         ),
@@ -25,7 +32,7 @@ export default {
             if (!isMusicSystemAvailable(client.musicManager)) {
                 return sendErrorResponse(
                     interaction,
-                    new Error(getDegradedModeMessage('nhạc').description),
+                    new Error(getDegradedModeMessage('music', getLocale(interaction)).description),
                     client.config
                 );
             }
@@ -42,6 +49,7 @@ export default {
                 throw new DifferentVoiceChannelError();
             }
 
+            const locale = getLocale(interaction);
             const position = interaction.options.getInteger('position');
 
             // BUG-C07: Re-validate position against current queue length before removing
@@ -49,8 +57,9 @@ export default {
                 return interaction.editReply({
                     embeds: [
                         createErrorEmbed(
-                            `Vị trí #${position} không hợp lệ! Hàng đợi hiện có ${queue.tracks.length} bài.\nDùng \`/queue\` để xem vị trí mới.`,
-                            client.config
+                            t('command.remove.invalid_position', locale, { position, count: queue.tracks.length }),
+                            client.config,
+                            locale
                         )
                     ]
                 });
@@ -58,24 +67,31 @@ export default {
 
             // Validate position
             const index = validateQueuePosition(queue, position, 'remove track');
+            const track = queue.tracks[index];
+            const perform = (target, context) => removeQueuedTrack(target, track, context);
 
-            // Remove track
-            const removed = queue.remove(index);
+            // Democratic mode: non-DJs put removing someone else's track to a vote
+            const voted = await requestActionVote(interaction, client, queue, VOTE_ACTIONS.REMOVE, {
+                key: track.info?.uri || track.info?.title,
+                summary: t('vote.summary.remove', queue.locale, {
+                    title: track.info?.title || 'Unknown Track',
+                    position
+                }),
+                perform,
+                requesterId: track.requester?.id || track.requester
+            });
+            if (voted) return;
+
+            const done = await perform(queue, { userId: interaction.user.id, locale, details: {} });
 
-            // queue.remove returns the removed track or null/false
-            if (!removed) {
-                throw new Error('Không thể xóa bài này, vui lòng thử lại!');
+            // The track is null when it is no longer queued
+            if (!done) {
+                throw new Error(t('command.remove.failed', locale));
             }
 
-            const trackTitle = removed.info?.title || 'Unknown Track';
             await interaction.editReply({
-                embeds: [
-                    createSuccessEmbed(
-                        'Đã xóa bài',
-                        `Đã xóa **${trackTitle}** khỏi hàng đợi (vị trí #${position}).`,
-                        client.config
-                    )
-                ]
+                embeds: [createSuccessEmbed(t('command.remove.title', locale), done, client.config)],
+                components: createUndoButtons(queue.peekUndo(), locale)
             });
 
             logger.command('remove', interaction.user.id, interaction.guildId);
@@ -84,3 +100,24 @@ export default {
         }
     }
 };
+
+/**
+ * Remove a queued track (directly or once a democratic mode vote passes).
+ * The track is looked up again by identity, since the queue can change while a vote runs.
+ * @param {Object} queue - EnhancedQueue instance
+ * @param {Object} track - Queued track to remove
+ * @param {{userId: string, locale: string, details: Object}} context - Who acted, reply locale, audit details
+ * @returns {Promise<string|null>} Result line, or null when the track is no longer queued
+ */
+export async function removeQueuedTrack(queue, track, { userId, locale, details }) {
+    const index = queue.tracks.indexOf(track);
+    if (index === -1) return null;
+
+    const removed = queue.remove(index, userId);
+    if (!removed) return null;
+
+    const position = index + 1;
+    AuditLog.logTrackAction(AUDIT_ACTIONS.REMOVE, userId, queue.guildId, removed, { position, ...details });
+
+    return t('command.remove.done', locale, { title: removed.info?.title || 'Unknown Track', position });
+}
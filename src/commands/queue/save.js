@@ -5,12 +5,13 @@
  */
 
 import { SlashCommandBuilder, EmbedBuilder } from 'discord.js';
-import Playlist from '../../database/models/Playlist.js';
+import Playlist, { PLAYLIST_KINDS } from '../../database/models/Playlist.js';
 import { createSuccessEmbed } from '../../UI/embeds/MusicEmbeds.js';
 import { sendErrorResponse } from '../../UI/embeds/ErrorEmbeds.js';
 import { requireQueue } from '../../middleware/queueCheck.js';
 import { isMusicSystemAvailable, getDegradedModeMessage } from '../../utils/resilience.js';
-import { ValidationError } from '../../utils/errors.js';
+import { ValidationError, SmartPlaylistError } from '../../utils/errors.js';
+import { t, getLocale, intlLocale, localizations } from '../../utils/i18n.js';
 import logger from '../../utils/logger.js';
 import { COLORS } from '../../config/design-system.js';
 
@@ -18,42 +19,52 @@ export default {
     data: new SlashCommandBuilder()
         .setName('save')
         .setDescription('Lưu hàng đợi hiện tại vào playlist')
+        .setDescriptionLocalizations(localizations('command.save.description'))
         .addStringOption(option =>
             option
                 .setName('name')
                 .setDescription('Tên playlist (sẽ tạo mới nếu chưa có)')
+                .setDescriptionLocalizations(localizations('command.save.name_option'))
                 .setRequired(true)
                 .setAutocomplete(true)
         )
         .addBooleanOption(option =>
-            option.setName('include_current').setDescription('Bao gồm bài đang phát? (mặc định: có)').setRequired(false)
+            option
+                .setName('include_current')
+                .setDescription('Bao gồm bài đang phát? (mặc định: có)')
+                .setDescriptionLocalizations(localizations('command.save.include_current_option'))
+                .setRequired(false)
         )
         .addBooleanOption(option =>
             option
                 .setName('create_new')
                 .setDescription('Tạo playlist mới thay vì thêm vào playlist có sẵn?')
+                .setDescriptionLocalizations(localizations('command.save.create_new_option'))
                 .setRequired(false)
         ),
 
     async autocomplete(interaction, client) {
         const focusedValue = interaction.options.getFocused();
+        const locale = getLocale(interaction);
 
         try {
-            // Get user's playlists for autocomplete
-            const playlists = Playlist.getByOwner(interaction.user.id, interaction.guildId);
+            // Get user's playlists for autocomplete (smart playlists have no stored tracks to save into)
+            const playlists = Playlist.getByOwner(interaction.user.id, interaction.guildId).filter(
+                pl => pl.kind !== PLAYLIST_KINDS.SMART
+            );
 
             const choices = playlists
                 .filter(pl => pl.name.toLowerCase().includes(focusedValue.toLowerCase()))
                 .slice(0, 25)
                 .map(pl => ({
-                    name: `${pl.name} (${pl.track_count || 0} bài)`,
+                    name: t('command.save.choice', locale, { name: pl.name, count: pl.track_count || 0 }),
                     value: pl.name
                 }));
 
             // Add option to create new if not matching any
             if (focusedValue && !choices.some(c => c.value.toLowerCase() === focusedValue.toLowerCase())) {
                 choices.unshift({
-                    name: `📝 Tạo mới: "${focusedValue}"`,
+                    name: t('command.save.choice_create', locale, { name: focusedValue }),
                     value: focusedValue
                 });
             }
@@ -68,12 +79,14 @@ export default {
     async execute(interaction, client) {
         await interaction.deferReply({ ephemeral: true });
 
+        const locale = getLocale(interaction);
+
         try {
             // Check resilience
             if (!isMusicSystemAvailable(client.musicManager)) {
                 return sendErrorResponse(
                     interaction,
-                    new Error(getDegradedModeMessage('nhạc').description),
+                    new Error(getDegradedModeMessage('music', getLocale(interaction)).description),
                     client.config
                 );
             }
@@ -84,7 +97,7 @@ export default {
 
             // Validate playlist name
             if (!playlistName || playlistName.length > 50) {
-                throw new ValidationError('Tên playlist không hợp lệ! Tên phải có 1-50 ký tự.');
+                throw new ValidationError(t('command.save.invalid_name', locale));
             }
 
             // Use middleware
@@ -102,7 +115,7 @@ export default {
             }
 
             if (tracksToSave.length === 0) {
-                throw new ValidationError('Hàng đợi trống! Không có bài nào để lưu.');
+                throw new ValidationError(t('command.save.queue_empty', locale));
             }
 
             // Check if playlist exists
@@ -110,9 +123,11 @@ export default {
             let isNewPlaylist = false;
 
             if (playlist && createNew) {
-                throw new ValidationError(
-                    `Playlist "${playlistName}" đã tồn tại. Bỏ chọn "create_new" để thêm vào playlist này.`
-                );
+                throw new ValidationError(t('command.save.exists', locale, { name: playlistName }));
+            }
+
+            if (playlist?.kind === PLAYLIST_KINDS.SMART) {
+                throw new SmartPlaylistError('read_only', 'playlist', { name: playlistName });
             }
 
             if (!playlist) {
@@ -122,7 +137,9 @@ export default {
                     interaction.user.id,
                     interaction.user.username,
                     interaction.guildId,
-                    `Tạo từ hàng đợi ngày ${new Date().toLocaleDateString('vi-VN')}`,
+                    t('command.save.created_from_queue', locale, {
+                        date: new Date().toLocaleDateString(intlLocale(locale))
+                    }),
                     false // Private by default
                 );
                 isNewPlaylist = true;
@@ -141,7 +158,7 @@ export default {
 
             // Get existing tracks to check for duplicates
             const existingTracks = Playlist.getTracks(playlist.id);
-            existingTracks.forEach(t => existingUrls.add(t.track_url));
+            existingTracks.forEach(track => existingUrls.add(track.track_url));
 
             for (const track of tracksToSave) {
                 try {
@@ -201,25 +218,25 @@ export default {
             const finalTracks = Playlist.getTracks(playlist.id);
 
             // Build response
-            let description = isNewPlaylist
-                ? `✨ Đã tạo playlist mới **${playlistName}**!\n\n`
-                : `📋 Đã thêm vào playlist **${playlistName}**\n\n`;
+            let description = `${t(isNewPlaylist ? 'command.save.created' : 'command.save.appended', locale, {
+                name: playlistName
+            })}\n\n`;
 
-            description += `✅ **Đã lưu:** ${savedCount}/${tracksToSave.length} bài\n`;
+            description += `${t('command.save.saved', locale, { saved: savedCount, total: tracksToSave.length })}\n`;
 
             if (skippedCount > 0) {
-                description += `⏭️ **Bỏ qua:** ${skippedCount} bài (đã có trong playlist)\n`;
+                description += `${t('command.save.skipped', locale, { count: skippedCount })}\n`;
             }
 
-            description += `\n📊 **Tổng:** ${finalTracks.length} bài trong playlist`;
+            description += `\n${t('command.save.total', locale, { count: finalTracks.length })}`;
 
             if (savedCount > 0) {
-                description += '\n\n💡 Dùng `/playlist play name:' + playlistName + '` để phát playlist này!';
+                description += `\n\n${t('command.save.play_hint', locale, { name: playlistName })}`;
             }
 
             const embed = new EmbedBuilder()
                 .setColor(savedCount > 0 ? client.config.bot.color : COLORS.WARNING)
-                .setTitle(savedCount > 0 ? '✅ Đã Lưu Hàng Đợi' : '⚠️ Không Có Bài Nào Được Lưu')
+                .setTitle(t(savedCount > 0 ? 'command.save.title' : 'command.save.nothing_saved_title', locale))
                 .setDescription(description)
                 .setFooter({ text: `${client.config.bot.footer} | Playlist ID: ${playlist.id}` })
                 .setTimestamp();
@@ -227,18 +244,21 @@ export default {
             // Add track preview (first 5 saved tracks)
             if (savedCount > 0 && savedCount <= 10) {
                 const previewTracks = tracksToSave
-                    .filter(t => !existingUrls.has(t.info.uri) || savedCount === tracksToSave.length)
+                    .filter(track => !existingUrls.has(track.info.uri) || savedCount === tracksToSave.length)
                     .slice(0, 5)
-                    .map((t, i) => {
-                        const title = t.info.title.length > 40 ? t.info.title.substring(0, 37) + '...' : t.info.title;
+                    .map((track, i) => {
+                        const title =
+                            track.info.title.length > 40 ? track.info.title.substring(0, 37) + '...' : track.info.title;
                         return `${i + 1}. ${title}`;
                     })
                     .join('\n');
 
                 if (previewTracks) {
                     embed.addFields({
-                        name: '🎵 Bài hát đã lưu',
-                        value: previewTracks + (savedCount > 5 ? `\n*...và ${savedCount - 5} bài khác*` : ''),
+                        name: t('command.save.saved_field', locale),
+                        value:
+                            previewTracks +
+                            (savedCount > 5 ? `\n${t('command.save.more', locale, { count: savedCount - 5 })}` : ''),
                         inline: false
                     });
                 }
@@ -1,13 +1,20 @@
 import { SlashCommandBuilder } from 'discord.js';
 import { createSuccessEmbed } from '../../UI/embeds/MusicEmbeds.js';
 import { createWarningEmbed, sendErrorResponse } from '../../UI/embeds/ErrorEmbeds.js';
+import { createUndoButtons } from '../../UI/components/MusicControls.js';
 import { requireQueue } from '../../middleware/queueCheck.js';
 import { UserNotInVoiceError, DifferentVoiceChannelError } from '../../utils/errors.js';
 import { isMusicSystemAvailable, getDegradedModeMessage } from '../../utils/resilience.js';
+import { requestActionVote } from '../../events/actionVoteHandler.js';
+import { VOTE_ACTIONS } from '../../utils/constants.js';
+import { t, getLocale, localizations } from '../../utils/i18n.js';
 import logger from '../../utils/logger.js';
 
 export default {
-    data: new SlashCommandBuilder().setName('shuffle').setDescription('Xáo trộn hàng đợi'),
+    data: new SlashCommandBuilder()
+        .setName('shuffle')
+        .setDescription('Xáo trộn hàng đợi')
+        .setDescriptionLocalizations(localizations('command.shuffle.description')),
 
     async execute(interaction, client) {
         await interaction.deferReply();
@@ -16,7 +23,7 @@ export default {
             if (!isMusicSystemAvailable(client.musicManager)) {
                 return sendErrorResponse(
                     interaction,
-                    new Error(getDegradedModeMessage('nhạc').description),
+                    new Error(getDegradedModeMessage('music', getLocale(interaction)).description),
                     client.config
                 );
             }
@@ -37,23 +44,26 @@ export default {
             // queue.tracks is the UPCOMING tracks.
             // If length < 2, minimal effect, but user might want to shuffle anyway?
             // shuffle.js logic: returns error if < 2.
+            const locale = getLocale(interaction);
+
             if (queue.tracks.length < 2) {
                 return interaction.editReply({
-                    embeds: [createWarningEmbed('Cần ít nhất 2 bài trong hàng đợi để xáo trộn!', client.config)]
+                    embeds: [createWarningEmbed(t('command.shuffle.too_few', locale), client.config, locale)]
                 });
             }
 
-            // Shuffle
-            queue.shuffle();
+            // Democratic mode: non-DJs put the shuffle to a vote
+            const voted = await requestActionVote(interaction, client, queue, VOTE_ACTIONS.SHUFFLE, {
+                summary: t('vote.summary.shuffle', queue.locale, { count: queue.tracks.length }),
+                perform: shuffleQueue
+            });
+            if (voted) return;
+
+            const done = await shuffleQueue(queue, { userId: interaction.user.id, locale });
 
             await interaction.editReply({
-                embeds: [
-                    createSuccessEmbed(
-                        'Xáo trộn',
-                        `Đã xáo trộn **${queue.tracks.length}** bài trong hàng đợi`,
-                        client.config
-                    )
-                ]
+                embeds: [createSuccessEmbed(t('command.shuffle.title', locale), done, client.config)],
+                components: createUndoButtons(queue.peekUndo(), locale)
             });
 
             logger.command('shuffle', interaction.user.id, interaction.guildId);
@@ -62,3 +72,17 @@ export default {
         }
     }
 };
+
+/**
+ * Shuffle the upcoming tracks (directly or once a democratic mode vote passes)
+ * @param {Object} queue - EnhancedQueue instance
+ * @param {{userId: string, locale: string}} context - Who acted, reply locale
+ * @returns {Promise<string|null>} Result line, or null when too few tracks are left to shuffle
+ */
+export async function shuffleQueue(queue, { userId, locale }) {
+    if (queue.tracks.length < 2) return null;
+
+    queue.shuffle(userId);
+
+    return t('command.shuffle.done', locale, { count: queue.tracks.length });
+}
@@ -0,0 +1,159 @@
+import { SlashCommandBuilder, EmbedBuilder } from 'discord.js';
+import { sendErrorResponse } from '../../UI/embeds/ErrorEmbeds.js';
+import { requireQueue } from '../../middleware/queueCheck.js';
+import {
+    UserNotInVoiceError,
+    DifferentVoiceChannelError,
+    ValidationError,
+    PermissionError
+} from '../../utils/errors.js';
+import { isMusicSystemAvailable, getDegradedModeMessage } from '../../utils/resilience.js';
+import { isDJOrAdmin } from '../../utils/permissions.js';
+import { UNDO_BUTTONS, extractId } from '../../utils/button-ids.js';
+import { QUEUE_UNDO } from '../../utils/constants.js';
+import AuditLog, { AUDIT_ACTIONS } from '../../database/models/AuditLog.js';
+import { COLORS } from '../../config/design-system.js';
+import { t, getLocale, localizations } from '../../utils/i18n.js';
+import logger from '../../utils/logger.js';
+
+export default {
+    data: new SlashCommandBuilder()
+        .setName('undo')
+        .setDescription('Hoàn tác thay đổi gần nhất của hàng đợi (xóa, xáo trộn, di chuyển, nhảy bài...)')
+        .setDescriptionLocalizations(localizations('command.undo.description')),
+
+    async execute(interaction, client) {
+        await interaction.deferReply();
+        try {
+            // Check resilience
+            if (!isMusicSystemAvailable(client.musicManager)) {
+                return sendErrorResponse(
+                    interaction,
+                    new Error(getDegradedModeMessage('music', getLocale(interaction)).description),
+                    client.config
+                );
+            }
+
+            const queue = requireQueue(client.musicManager, interaction.guildId);
+            const embed = await undoLatestChange(interaction, client, queue);
+
+            await interaction.editReply({ embeds: [embed] });
+
+            logger.command('undo', interaction.user.id, interaction.guildId);
+        } catch (error) {
+            await sendErrorResponse(interaction, error, client.config, true);
+        }
+    }
+};
+
+/**
+ * One-line description of a journaled queue change
+ * @param {Object} entry - Undo journal entry (EnhancedQueue._recordUndo)
+ * @param {string} locale - Locale code
+ * @returns {string}
+ */
+function describeUndoEntry(entry, locale) {
+    return t(`command.undo.action_${entry.action}`, locale, {
+        count: entry.count,
+        title: entry.title || 'Unknown Track',
+        position: entry.position,
+        from: entry.from,
+        to: entry.to
+    });
+}
+
+/**
+ * Revert the latest queue change for a member in the bot's voice channel.
+ * Anyone can undo their own change; undoing someone else's needs DJ rights.
+ * @param {import('discord.js').Interaction} interaction - /undo or Undo button interaction
+ * @param {Object} client - Discord client
+ * @param {Object} queue - EnhancedQueue instance
+ * @param {number|null} [entryId] - From an Undo button: only undo if this is still the latest change
+ * @returns {Promise<EmbedBuilder>} Result embed
+ */
+async function undoLatestChange(interaction, client, queue, entryId = null) {
+    const locale = getLocale(interaction);
+
+    const member = interaction.member;
+    if (!member.voice.channel) {
+        throw new UserNotInVoiceError();
+    }
+    if (member.voice.channel.id !== queue.voiceChannelId) {
+        throw new DifferentVoiceChannelError();
+    }
+
+    const entry = queue.peekUndo();
+    if (!entry) {
+        throw new ValidationError(t('command.undo.nothing', locale));
+    }
+    if (entryId !== null && entry.id !== entryId) {
+        throw new ValidationError(t('command.undo.outdated', locale));
+    }
+    if (entry.userId && entry.userId !== interaction.user.id && !isDJOrAdmin(member, interaction.guildId).allowed) {
+        throw new PermissionError(t('command.undo.not_yours', locale, { user: `<@${entry.userId}>` }));
+    }
+
+    const result = await queue.undo(entry.id);
+    if (!result) {
+        // Another undo got there first
+        throw new ValidationError(t('command.undo.outdated', locale));
+    }
+
+    AuditLog.log(AUDIT_ACTIONS.UNDO, interaction.user.id, interaction.guildId, {
+        details: { action: entry.action, changedBy: entry.userId, restored: result.restored }
+    });
+
+    const who = entry.userId ? `<@${entry.userId}>` : t('command.undo.someone', locale);
+    const when = `<t:${Math.floor(entry.createdAt / 1000)}:R>`;
+    const embed = new EmbedBuilder()
+        .setColor(COLORS.SUCCESS)
+        .setTitle(t('command.undo.title', locale))
+        .setDescription(
+            t('command.undo.done', locale, { change: describeUndoEntry(entry, locale), user: who, time: when }) +
+                (result.restored > 0 ? `\n${t('command.undo.restored', locale, { count: result.restored })}` : '')
+        )
+        .setFooter({ text: client.config.bot.footer })
+        .setTimestamp();
+
+    const earlier = queue.undoJournal.slice(-QUEUE_UNDO.HISTORY_SHOWN).reverse();
+    if (earlier.length > 0) {
+        embed.addFields([
+            {
+                name: t('command.undo.earlier', locale),
+                value: earlier
+                    .map(
+                        previous =>
+                            `• ${describeUndoEntry(previous, locale)} — ` +
+                            `${previous.userId ? `<@${previous.userId}>` : t('command.undo.someone', locale)} ` +
+                            `<t:${Math.floor(previous.createdAt / 1000)}:R>`
+                    )
+                    .join('\n'),
+                inline: false
+            }
+        ]);
+    }
+
+    return embed;
+}
+
+/**
+ * Handle the Undo button under a queue change confirmation
+ * @param {import('discord.js').ButtonInteraction} interaction
+ * @param {Object} client - Discord client
+ */
+export async function handleUndoButton(interaction, client) {
+    try {
+        const queue = requireQueue(client.musicManager, interaction.guildId);
+        const entryId = Number(extractId(interaction.customId, UNDO_BUTTONS.UNDO_PREFIX));
+        const embed = await undoLatestChange(interaction, client, queue, entryId);
+
+        // Works for ephemeral confirmations too, which cannot be edited through the message
+        await interaction.update({ components: [] });
+        await interaction.followUp({ embeds: [embed] });
+
+        logger.command('undo-button', interaction.user.id, interaction.guildId);
+    } catch (error) {
+        if (error.code === 10062) return;
+        await sendErrorResponse(interaction, error, client.config, true);
+    }
+}
@@ -1,14 +1,19 @@
 import { SlashCommandBuilder, EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle } from 'discord.js';
 import { COLORS } from '../../config/design-system.js';
 import { sendErrorResponse } from '../../UI/embeds/ErrorEmbeds.js';
-import { requireCurrentTrack } from '../../middleware/queueCheck.js';
+import { requireCurrentTrack, requireNoQuiz } from '../../middleware/queueCheck.js';
 import { UserNotInVoiceError, DifferentVoiceChannelError } from '../../utils/errors.js';
 import { isMusicSystemAvailable, getDegradedModeMessage } from '../../utils/resilience.js';
+import { t, getLocale, localizations } from '../../utils/i18n.js';
 import logger from '../../utils/logger.js';
 import { getVoteSkipManager } from '../../services/VoteSkipManager.js';
+import AuditLog, { AUDIT_ACTIONS } from '../../database/models/AuditLog.js';
 
 export default {
-    data: new SlashCommandBuilder().setName('voteskip').setDescription('Bỏ phiếu để bỏ qua bài hiện tại'),
+    data: new SlashCommandBuilder()
+        .setName('voteskip')
+        .setDescription('Bỏ phiếu để bỏ qua bài hiện tại')
+        .setDescriptionLocalizations(localizations('command.voteskip.description')),
 
     async execute(interaction, client) {
         try {
@@ -18,7 +23,7 @@ export default {
             if (!isMusicSystemAvailable(client.musicManager)) {
                 return sendErrorResponse(
                     interaction,
-                    new Error(getDegradedModeMessage('nhạc').description),
+                    new Error(getDegradedModeMessage('music', getLocale(interaction)).description),
                     client.config
                 );
             }
@@ -34,6 +39,10 @@ export default {
                 throw new DifferentVoiceChannelError();
             }
 
+            // A voice quiz holds the player until it ends
+            requireNoQuiz(queue);
+
+            const locale = getLocale(interaction);
             const voiceChannel = member.voice.channel;
 
             // Get members in voice channel (exclude bots)
@@ -65,7 +74,7 @@ export default {
                 // Add vote to existing session
                 if (session.votes.has(interaction.user.id)) {
                     return interaction.editReply({
-                        content: '❌ Bạn đã bỏ phiếu rồi!'
+                        content: t('command.voteskip.already_voted', locale)
                     });
                 }
                 manager.addVote(interaction.guildId, interaction.user.id);
@@ -78,15 +87,22 @@ export default {
                 manager.clearSession(interaction.guildId);
 
                 const skippedTitle = queue.current?.info?.title || 'Unknown';
+                AuditLog.logTrackAction(
+                    AUDIT_ACTIONS.VOTE_SKIP,
+                    interaction.user.id,
+                    interaction.guildId,
+                    queue.current,
+                    { votes: currentVotes, requiredVotes }
+                );
                 await queue.skip();
 
                 const embed = new EmbedBuilder()
                     .setColor(COLORS.SUCCESS)
-                    .setTitle('⏭️ Bỏ Qua Thành Công')
-                    .setDescription(`**${skippedTitle}** đã được bỏ qua bởi bình chọn!`)
+                    .setTitle(t('command.voteskip.success_title', locale))
+                    .setDescription(t('command.voteskip.success', locale, { title: skippedTitle }))
                     .addFields({
-                        name: '🗳️ Kết quả',
-                        value: `${currentVotes}/${requiredVotes} phiếu`,
+                        name: t('command.voteskip.result', locale),
+                        value: t('command.voteskip.votes', locale, { votes: currentVotes, required: requiredVotes }),
                         inline: true
                     })
                     .setFooter({ text: client.config.bot.footer })
@@ -100,27 +116,29 @@ export default {
             // Show voting progress
             const embed = new EmbedBuilder()
                 .setColor(COLORS.WARNING)
-                .setTitle('🗳️ Bỏ Phiếu Để Bỏ Qua')
+                .setTitle(t('command.voteskip.title', locale))
                 .setDescription(`**${session.trackTitle}**`)
                 .addFields(
                     {
-                        name: '📊 Tiến độ',
-                        value: `${currentVotes}/${requiredVotes} phiếu`,
+                        name: t('command.voteskip.progress', locale),
+                        value: t('command.voteskip.votes', locale, { votes: currentVotes, required: requiredVotes }),
                         inline: true
                     },
                     {
-                        name: '⏱️ Thời gian còn lại',
-                        value: '30 giây',
+                        name: t('command.voteskip.time_left', locale),
+                        value: t('command.voteskip.seconds', locale, { seconds: 30 }),
                         inline: true
                     }
                 )
-                .setFooter({ text: `${client.config.bot.footer} • Bỏ phiếu hết hạn sau 30 giây` })
+                .setFooter({
+                    text: `${client.config.bot.footer} • ${t('command.voteskip.footer', locale, { seconds: 30 })}`
+                })
                 .setTimestamp();
 
             const row = new ActionRowBuilder().addComponents(
                 new ButtonBuilder()
                     .setCustomId('voteskip_vote')
-                    .setLabel(`Bỏ phiếu (${currentVotes}/${requiredVotes})`)
+                    .setLabel(t('command.voteskip.button', locale, { votes: currentVotes, required: requiredVotes }))
                     .setStyle(ButtonStyle.Primary)
                     .setEmoji('⏭️')
             );
@@ -1,6 +1,7 @@
 import { SlashCommandBuilder, EmbedBuilder, PermissionFlagsBits } from 'discord.js';
 import { COLORS } from '../../config/design-system.js';
 import { sendErrorResponse } from '../../UI/embeds/ErrorEmbeds.js';
+import { t, getLocale, intlLocale, localizations } from '../../utils/i18n.js';
 import logger from '../../utils/logger.js';
 import FeedbackSubmission from '../../database/models/FeedbackSubmission.js';
 import BugReport from '../../database/models/BugReport.js';
@@ -9,78 +10,113 @@ export default {
     data: new SlashCommandBuilder()
         .setName('feedback')
         .setDescription('[ADMIN] Quản lý feedback và bug reports')
+        .setDescriptionLocalizations(localizations('command.feedback.description'))
         .setDefaultMemberPermissions(PermissionFlagsBits.Administrator)
         .addSubcommand(subcommand =>
             subcommand
                 .setName('list')
                 .setDescription('Xem danh sách feedbacks')
+                .setDescriptionLocalizations(localizations('command.feedback.list_description'))
                 .addIntegerOption(option =>
-                    option.setName('page').setDescription('Trang (mỗi trang 5 items)').setRequired(false).setMinValue(1)
+                    option
+                        .setName('page')
+                        .setDescription('Trang (mỗi trang 5 items)')
+                        .setDescriptionLocalizations(localizations('command.feedback.page_option'))
+                        .setRequired(false)
+                        .setMinValue(1)
                 )
         )
         .addSubcommand(subcommand =>
             subcommand
                 .setName('view')
                 .setDescription('Xem chi tiết feedback')
+                .setDescriptionLocalizations(localizations('command.feedback.view_description'))
                 .addIntegerOption(option =>
-                    option.setName('id').setDescription('ID của feedback').setRequired(true).setMinValue(1)
+                    option
+                        .setName('id')
+                        .setDescription('ID của feedback')
+                        .setDescriptionLocalizations(localizations('command.feedback.feedback_id_option'))
+                        .setRequired(true)
+                        .setMinValue(1)
                 )
         )
         .addSubcommand(subcommand =>
             subcommand
                 .setName('bugs')
                 .setDescription('Xem danh sách bug reports')
+                .setDescriptionLocalizations(localizations('command.feedback.bugs_description'))
                 .addIntegerOption(option =>
-                    option.setName('page').setDescription('Trang (mỗi trang 5 items)').setRequired(false).setMinValue(1)
+                    option
+                        .setName('page')
+                        .setDescription('Trang (mỗi trang 5 items)')
+                        .setDescriptionLocalizations(localizations('command.feedback.page_option'))
+                        .setRequired(false)
+                        .setMinValue(1)
                 )
         )
         .addSubcommand(subcommand =>
             subcommand
                 .setName('bug')
                 .setDescription('Xem chi tiết bug report')
+                .setDescriptionLocalizations(localizations('command.feedback.bug_description'))
                 .addIntegerOption(option =>
-                    option.setName('id').setDescription('ID của bug report').setRequired(true).setMinValue(1)
+                    option
+                        .setName('id')
+                        .setDescription('ID của bug report')
+                        .setDescriptionLocalizations(localizations('command.feedback.bug_id_option'))
+                        .setRequired(true)
+                        .setMinValue(1)
                 )
         )
         .addSubcommand(subcommand =>
             subcommand
                 .setName('resolve')
                 .setDescription('Đánh dấu bug report đã giải quyết')
+                .setDescriptionLocalizations(localizations('command.feedback.resolve_description'))
                 .addIntegerOption(option =>
-                    option.setName('id').setDescription('ID của bug report').setRequired(true).setMinValue(1)
+                    option
+                        .setName('id')
+                        .setDescription('ID của bug report')
+                        .setDescriptionLocalizations(localizations('command.feedback.bug_id_option'))
+                        .setRequired(true)
+                        .setMinValue(1)
                 )
         )
         .addSubcommand(subcommand =>
-            subcommand.setName('stats').setDescription('Xem thống kê feedback và bug reports')
+            subcommand
+                .setName('stats')
+                .setDescription('Xem thống kê feedback và bug reports')
+                .setDescriptionLocalizations(localizations('command.feedback.stats_description'))
         ),
 
     async execute(interaction, client) {
         try {
             await interaction.deferReply({ ephemeral: true });
             const subcommand = interaction.options.getSubcommand();
+            const locale = getLocale(interaction);
 
             switch (subcommand) {
                 case 'list':
-                    await handleFeedbackList(interaction, client);
+                    await handleFeedbackList(interaction, client, locale);
                     break;
                 case 'view':
-                    await handleFeedbackView(interaction, client);
+                    await handleFeedbackView(interaction, client, locale);
                     break;
                 case 'bugs':
-                    await handleBugList(interaction, client);
+                    await handleBugList(interaction, client, locale);
                     break;
                 case 'bug':
-                    await handleBugView(interaction, client);
+                    await handleBugView(interaction, client, locale);
                     break;
                 case 'resolve':
-                    await handleBugResolve(interaction, client);
+                    await handleBugResolve(interaction, client, locale);
                     break;
                 case 'stats':
-                    await handleStats(interaction, client);
+                    await handleStats(interaction, client, locale);
                     break;
                 default:
                     await interaction.editReply({
-                        content: '❌ Subcommand không hợp lệ!'
+                        content: t('command.feedback.invalid_subcommand', locale)
                     });
             }
 
@@ -95,12 +131,12 @@ export default {
 /**
  * Handle feedback list
  */
-async function handleFeedbackList(interaction, client) {
+async function handleFeedbackList(interaction, client, locale) {
     const totalCount = await FeedbackSubmission.getCount();
 
     if (totalCount === 0) {
         return interaction.editReply({
-            content: '📝 Chưa có feedback nào!'
+            content: t('command.feedback.no_feedback', locale)
         });
     }
 
@@ -112,13 +148,15 @@ async function handleFeedbackList(interaction, client) {
 
     const embed = new EmbedBuilder()
         .setColor(client.config.bot.color)
-        .setTitle('📝 Danh sách Feedbacks')
-        .setDescription(`Tổng: **${totalCount}** feedbacks`)
-        .setFooter({ text: `${client.config.bot.footer} • Trang ${page}/${totalPages}` })
+        .setTitle(t('command.feedback.list_title', locale))
+        .setDescription(t('command.feedback.list_total', locale, { count: totalCount }))
+        .setFooter({
+            text: `${client.config.bot.footer} • ${t('command.feedback.page_footer', locale, { page, total: totalPages })}`
+        })
         .setTimestamp();
 
     for (const feedback of pageFeedbacks) {
-        const date = new Date(feedback.created_at).toLocaleString('vi-VN');
+        const date = new Date(feedback.created_at).toLocaleString(intlLocale(locale));
         const contentPreview = feedback.content.substring(0, 100);
         embed.addFields({
             name: `#${feedback.id} - ${feedback.subject}`,
@@ -139,28 +177,36 @@ async function handleFeedbackList(interaction, client) {
 /**
  * Handle feedback view
  */
-async function handleFeedbackView(interaction, client) {
+async function handleFeedbackView(interaction, client, locale) {
     const id = interaction.options.getInteger('id');
     const feedback = await FeedbackSubmission.getById(id);
 
     if (!feedback) {
         return interaction.editReply({
-            content: `❌ Không tìm thấy feedback với ID ${id}!`
+            content: t('command.feedback.feedback_not_found', locale, { id })
         });
     }
 
-    const date = new Date(feedback.created_at).toLocaleString('vi-VN');
+    const date = new Date(feedback.created_at).toLocaleString(intlLocale(locale));
 
     const embed = new EmbedBuilder()
         .setColor(client.config.bot.color)
         .setTitle(`📝 Feedback #${feedback.id}`)
         .addFields([
-            { name: '📌 Tiêu đề', value: feedback.subject, inline: false },
-            { name: '👤 Người gửi', value: `${feedback.user_tag || 'Unknown'} (${feedback.user_id})`, inline: true },
+            { name: t('command.feedback.subject_field', locale), value: feedback.subject, inline: false },
+            {
+                name: t('command.feedback.sender_field', locale),
+                value: `${feedback.user_tag || 'Unknown'} (${feedback.user_id})`,
+                inline: true
+            },
             { name: '🏢 Server', value: feedback.guild_name || 'Unknown', inline: true },
-            { name: '📅 Thời gian', value: date, inline: true },
-            { name: '📄 Nội dung', value: feedback.content, inline: false },
-            { name: '📞 Liên hệ', value: feedback.contact || 'Không cung cấp', inline: false }
+            { name: t('feedback.time_field', locale), value: date, inline: true },
+            { name: t('command.feedback.content_field', locale), value: feedback.content, inline: false },
+            {
+                name: t('command.feedback.contact_field', locale),
+                value: feedback.contact || t('command.feedback.no_contact', locale),
+                inline: false
+            }
         ])
         .setFooter({ text: client.config.bot.footer })
         .setTimestamp();
@@ -173,12 +219,12 @@ async function handleFeedbackView(interaction, client) {
 /**
  * Handle bug list
  */
-async function handleBugList(interaction, client) {
+async function handleBugList(interaction, client, locale) {
     const totalCount = await BugReport.getCount();
 
     if (totalCount === 0) {
         return interaction.editReply({
-            content: '🐛 Chưa có bug report nào!'
+            content: t('command.feedback.no_bugs', locale)
         });
     }
 
@@ -190,13 +236,15 @@ async function handleBugList(interaction, client) {
 
     const embed = new EmbedBuilder()
         .setColor(COLORS.ERROR)
-        .setTitle('🐛 Danh sách Bug Reports')
-        .setDescription(`Tổng: **${totalCount}** bug reports`)
-        .setFooter({ text: `${client.config.bot.footer} • Trang ${page}/${totalPages}` })
+        .setTitle(t('command.feedback.bugs_title', locale))
+        .setDescription(t('command.feedback.bugs_total', locale, { count: totalCount }))
+        .setFooter({
+            text: `${client.config.bot.footer} • ${t('command.feedback.page_footer', locale, { page, total: totalPages })}`
+        })
         .setTimestamp();
 
     for (const bug of pageBugs) {
-        const date = new Date(bug.created_at).toLocaleString('vi-VN');
+        const date = new Date(bug.created_at).toLocaleString(intlLocale(locale));
         const statusEmoji = bug.status === 'RESOLVED' ? '✅' : '🔴';
         embed.addFields({
             name: `${statusEmoji} #${bug.id} - ${bug.title}`,
@@ -217,32 +265,40 @@ async function handleBugList(interaction, client) {
 /**
  * Handle bug view
  */
-async function handleBugView(interaction, client) {
+async function handleBugView(interaction, client, locale) {
     const id = interaction.options.getInteger('id');
     const bug = await BugReport.getById(id);
 
     if (!bug) {
         return interaction.editReply({
-            content: `❌ Không tìm thấy bug report với ID ${id}!`
+            content: t('command.feedback.bug_not_found', locale, { id })
         });
     }
 
-    const date = new Date(bug.created_at).toLocaleString('vi-VN');
+    const date = new Date(bug.created_at).toLocaleString(intlLocale(locale));
     const statusEmoji = bug.status === 'RESOLVED' ? '✅' : '🔴';
 
     const embed = new EmbedBuilder()
         .setColor(bug.status === 'RESOLVED' ? COLORS.SUCCESS : COLORS.ERROR)
         .setTitle(`${statusEmoji} Bug Report #${bug.id}`)
         .addFields([
-            { name: '🐛 Tên lỗi', value: bug.title, inline: false },
-            { name: '👤 Người báo cáo', value: `${bug.user_tag || 'Unknown'} (${bug.user_id})`, inline: true },
+            { name: t('command.feedback.bug_title_field', locale), value: bug.title, inline: false },
+            {
+                name: t('command.feedback.reporter_field', locale),
+                value: `${bug.user_tag || 'Unknown'} (${bug.user_id})`,
+                inline: true
+            },
             { name: '🏢 Server', value: bug.guild_name || 'Unknown', inline: true },
-            { name: '📅 Thời gian', value: date, inline: true },
+            { name: t('feedback.time_field', locale), value: date, inline: true },
             { name: '📊 Status', value: `**${bug.status}**`, inline: true },
-            { name: '📝 Các bước tái hiện', value: bug.steps, inline: false },
-            { name: '✅ Kết quả mong đợi', value: bug.expected, inline: true },
-            { name: '❌ Kết quả thực tế', value: bug.actual, inline: true },
-            { name: '📞 Liên hệ', value: bug.contact || 'Không cung cấp', inline: false }
+            { name: t('command.feedback.steps_field', locale), value: bug.steps, inline: false },
+            { name: t('command.feedback.expected_field', locale), value: bug.expected, inline: true },
+            { name: t('command.feedback.actual_field', locale), value: bug.actual, inline: true },
+            {
+                name: t('command.feedback.contact_field', locale),
+                value: bug.contact || t('command.feedback.no_contact', locale),
+                inline: false
+            }
         ])
         .setFooter({ text: client.config.bot.footer })
         .setTimestamp();
@@ -255,19 +311,19 @@ async function handleBugView(interaction, client) {
 /**
  * Handle bug resolve
  */
-async function handleBugResolve(interaction, client) {
+async function handleBugResolve(interaction, client, locale) {
     const id = interaction.options.getInteger('id');
     const bug = await BugReport.getById(id);
 
     if (!bug) {
         return interaction.editReply({
-            content: `❌ Không tìm thấy bug report với ID ${id}!`
+            content: t('command.feedback.bug_not_found', locale, { id })
         });
     }
 
     if (bug.status === 'RESOLVED') {
         return interaction.editReply({
-            content: `✅ Bug report #${id} đã được resolve trước đó!`
+            content: t('command.feedback.already_resolved', locale, { id })
         });
     }
 
@@ -275,18 +331,18 @@ async function handleBugResolve(interaction, client) {
 
     if (!resolved) {
         return interaction.editReply({
-            content: `❌ Không thể resolve bug report #${id}!`
+            content: t('command.feedback.resolve_failed', locale, { id })
         });
     }
 
     const embed = new EmbedBuilder()
         .setColor(COLORS.SUCCESS)
         .setTitle('✅ Bug Report Resolved')
-        .setDescription(`Bug report **#${id}** đã được đánh dấu là đã giải quyết!`)
+        .setDescription(t('command.feedback.resolved', locale, { id }))
         .addFields([
-            { name: '🐛 Lỗi', value: bug.title, inline: false },
+            { name: t('command.feedback.bug_field', locale), value: bug.title, inline: false },
             { name: '👤 Resolved by', value: interaction.user.tag, inline: true },
-            { name: '📅 Resolved at', value: new Date().toLocaleString('vi-VN'), inline: true }
+            { name: '📅 Resolved at', value: new Date().toLocaleString(intlLocale(locale)), inline: true }
         ])
         .setFooter({ text: client.config.bot.footer })
         .setTimestamp();
@@ -299,7 +355,7 @@ async function handleBugResolve(interaction, client) {
 /**
  * Handle stats
  */
-async function handleStats(interaction, client) {
+async function handleStats(interaction, client, locale) {
     const [feedbacks, bugReports, bugStats, feedbackCount] = await Promise.all([
         FeedbackSubmission.getAll(),
         BugReport.getAll(),
@@ -312,8 +368,8 @@ async function handleStats(interaction, client) {
     // Get date range from both collections
     const allItems = [...feedbacks, ...bugReports];
     const dates = allItems.map(item => new Date(item.created_at)).sort((a, b) => a - b);
-    const firstDate = dates.length > 0 ? dates[0].toLocaleDateString('vi-VN') : 'N/A';
-    const lastDate = dates.length > 0 ? dates[dates.length - 1].toLocaleDateString('vi-VN') : 'N/A';
+    const firstDate = dates.length > 0 ? dates[0].toLocaleDateString(intlLocale(locale)) : 'N/A';
+    const lastDate = dates.length > 0 ? dates[dates.length - 1].toLocaleDateString(intlLocale(locale)) : 'N/A';
 
     // Top reporters
     const reporters = {};
@@ -326,17 +382,17 @@ async function handleStats(interaction, client) {
             .sort((a, b) => b[1] - a[1])
             .slice(0, 5)
             .map(([tag, count]) => `**${tag}**: ${count}`)
-            .join('\n') || 'Chưa có dữ liệu';
+            .join('\n') || t('command.feedback.no_data', locale);
 
     const totalItems = feedbackCount + totalBugs;
 
     const embed = new EmbedBuilder()
         .setColor(client.config.bot.color)
-        .setTitle('📊 Thống kê Feedback & Bug Reports')
+        .setTitle(t('command.feedback.stats_title', locale))
         .addFields([
             { name: '📝 Feedbacks', value: `**${feedbackCount}** feedbacks`, inline: true },
             { name: '🐛 Bug Reports', value: `**${totalBugs}** reports`, inline: true },
-            { name: '📈 Tổng', value: `**${totalItems}** items`, inline: true },
+            { name: t('command.feedback.total_field', locale), value: `**${totalItems}** items`, inline: true },
             { name: '🔴 Open Bugs', value: `**${openBugs}**`, inline: true },
             { name: '✅ Resolved Bugs', value: `**${resolvedBugs}**`, inline: true },
             {
@@ -344,7 +400,7 @@ async function handleStats(interaction, client) {
                 value: totalBugs > 0 ? `**${Math.round((resolvedBugs / totalBugs) * 100)}%**` : '**N/A**',
                 inline: true
             },
-            { name: '📅 Khoảng thời gian', value: `${firstDate} - ${lastDate}`, inline: false },
+            { name: t('command.feedback.range_field', locale), value: `${firstDate} - ${lastDate}`, inline: false },
             { name: '🏆 Top Contributors', value: topReporters, inline: false }
         ])
         .setFooter({ text: client.config.bot.footer })
@@ -11,34 +11,34 @@ import { getAutoPlayPreferenceService, PREFERENCES_PAGE_SIZE } from '../../servi
 import { AUTOPLAY_PREF_BUTTONS } from '../../utils/button-ids.js';
 import { COLORS, ICONS } from '../../config/design-system.js';
 import { sendErrorResponse } from '../../UI/embeds/ErrorEmbeds.js';
+import { t, getLocale, localizations } from '../../utils/i18n.js';
 import logger from '../../utils/logger.js';
 
 export default {
     data: new SlashCommandBuilder()
         .setName('mypreferences')
-        .setDescription('Xem và quản lý danh sách bài hát auto-play của bạn'),
+        .setDescription('Xem và quản lý danh sách bài hát auto-play của bạn')
+        .setDescriptionLocalizations(localizations('command.mypreferences.description')),
 
     async execute(interaction, client) {
         try {
             await interaction.deferReply({ ephemeral: true });
 
+            const locale = getLocale(interaction);
             const service = getAutoPlayPreferenceService();
             const result = service.getUserPreferences(interaction.user.id, 1);
 
             if (result.totalItems === 0) {
                 const emptyEmbed = new EmbedBuilder()
                     .setColor(COLORS.MUTED)
-                    .setDescription(
-                        `${ICONS.INFO || 'ℹ️'} Bạn chưa có bài hát auto-play nào.\n\n` +
-                            'Khi bạn nghe cùng một bài nhiều lần, bot sẽ đề nghị bật auto-play.'
-                    )
+                    .setDescription(`${ICONS.INFO || 'ℹ️'} ${t('command.mypreferences.empty', locale)}`)
                     .setFooter({ text: client.config.bot.footer })
                     .setTimestamp();
 
                 return interaction.editReply({ embeds: [emptyEmbed] });
             }
 
-            const { embed, components } = buildPreferencesPage(result, client.config);
+            const { embed, components } = buildPreferencesPage(result, client.config, locale);
             await interaction.editReply({ embeds: [embed], components });
 
             logger.command('mypreferences', interaction.user.id, interaction.guildId);
@@ -53,9 +53,10 @@ export default {
  *
  * @param {{ items: Array, page: number, totalPages: number, totalItems: number }} result
  * @param {object} config
+ * @param {string} locale - Locale code
  * @returns {{ embed: EmbedBuilder, components: ActionRowBuilder[] }}
  */
-function buildPreferencesPage(result, config) {
+function buildPreferencesPage(result, config, locale) {
     const { items, page, totalPages, totalItems } = result;
 
     const lines = items.map((item, idx) => {
@@ -68,8 +69,10 @@ function buildPreferencesPage(result, config) {
 
     const embed = new EmbedBuilder()
         .setColor(COLORS.PRIMARY)
-        .setTitle(`${ICONS.SETTINGS || '⚙️'} Tùy chỉnh Auto-Play`)
-        .setDescription(lines.join('\n\n') + `\n\n📊 Tổng: **${totalItems}** bài · Trang ${page}/${totalPages}`)
+        .setTitle(`${ICONS.SETTINGS || '⚙️'} ${t('command.mypreferences.title', locale)}`)
+        .setDescription(
+            `${lines.join('\n\n')}\n\n${t('command.mypreferences.summary', locale, { count: totalItems, page, pages: totalPages })}`
+        )
         .setFooter({ text: config.bot.footer })
         .setTimestamp();
 
@@ -80,7 +83,11 @@ function buildPreferencesPage(result, config) {
         const buttons = items.map((item, idx) =>
             new ButtonBuilder()
                 .setCustomId(`${AUTOPLAY_PREF_BUTTONS.PREF_DISABLE_PREFIX}${page}_${idx}`)
-                .setLabel(`Tắt #${(page - 1) * PREFERENCES_PAGE_SIZE + idx + 1}`)
+                .setLabel(
+                    t('command.mypreferences.disable_button', locale, {
+                        position: (page - 1) * PREFERENCES_PAGE_SIZE + idx + 1
+                    })
+                )
                 .setStyle(ButtonStyle.Secondary)
         );
         for (let i = 0; i < buttons.length; i += 5) {
@@ -111,7 +118,7 @@ function buildPreferencesPage(result, config) {
         const disableAllRow = new ActionRowBuilder().addComponents(
             new ButtonBuilder()
                 .setCustomId(AUTOPLAY_PREF_BUTTONS.PREF_DISABLE_ALL)
-                .setLabel('Tắt tất cả')
+                .setLabel(t('command.mypreferences.disable_all_button', locale))
                 .setEmoji('🚫')
                 .setStyle(ButtonStyle.Danger)
         );
@@ -131,6 +138,7 @@ function buildPreferencesPage(result, config) {
 export async function handlePreferencesButton(interaction, client) {
     const customId = interaction.customId;
     const service = getAutoPlayPreferenceService();
+    const locale = getLocale(interaction);
 
     try {
         // Parse current page from the message state
@@ -142,7 +150,7 @@ export async function handlePreferencesButton(interaction, client) {
                 embeds: [
                     new EmbedBuilder()
                         .setColor(COLORS.MUTED)
-                        .setDescription('🚫 Đã tắt tất cả auto-play. Không còn bài auto-play nào.')
+                        .setDescription(t('command.mypreferences.all_disabled', locale))
                         .setFooter({ text: client.config.bot.footer })
                         .setTimestamp()
                 ],
@@ -153,14 +161,14 @@ export async function handlePreferencesButton(interaction, client) {
 
         if (customId === AUTOPLAY_PREF_BUTTONS.PREF_PREV_PAGE) {
             const result = service.getUserPreferences(interaction.user.id, currentPage - 1);
-            const { embed, components } = buildPreferencesPage(result, client.config);
+            const { embed, components } = buildPreferencesPage(result, client.config, locale);
             await interaction.update({ embeds: [embed], components });
             return;
         }
 
         if (customId === AUTOPLAY_PREF_BUTTONS.PREF_NEXT_PAGE) {
             const result = service.getUserPreferences(interaction.user.id, currentPage + 1);
-            const { embed, components } = buildPreferencesPage(result, client.config);
+            const { embed, components } = buildPreferencesPage(result, client.config, locale);
             await interaction.update({ embeds: [embed], components });
             return;
         }
@@ -176,7 +184,7 @@ export async function handlePreferencesButton(interaction, client) {
             const item = result.items[idx];
 
             if (!item) {
-                await interaction.reply({ content: '❌ Bài hát không tìm thấy.', ephemeral: true });
+                await interaction.reply({ content: t('command.mypreferences.track_missing', locale), ephemeral: true });
                 return;
             }
 
@@ -191,7 +199,9 @@ export async function handlePreferencesButton(interaction, client) {
                         new EmbedBuilder()
                             .setColor(COLORS.MUTED)
                             .setDescription(
-                                `🚫 Đã tắt auto-play cho **${truncate(item.track_title, 40)}**.\n\nKhông còn bài auto-play nào.`
+                                t('command.mypreferences.disabled_last', locale, {
+                                    title: truncate(item.track_title, 40)
+                                })
                             )
                             .setFooter({ text: client.config.bot.footer })
                             .setTimestamp()
@@ -202,8 +212,11 @@ export async function handlePreferencesButton(interaction, client) {
                 // Stay on a valid page
                 const safePage = Math.min(page, refreshed.totalPages);
                 const pageResult = service.getUserPreferences(interaction.user.id, safePage);
-                const { embed, components } = buildPreferencesPage(pageResult, client.config);
-                embed.setDescription(`🚫 Đã tắt: **${truncate(item.track_title, 35)}**\n\n` + embed.data.description);
+                const { embed, components } = buildPreferencesPage(pageResult, client.config, locale);
+                embed.setDescription(
+                    `${t('command.mypreferences.disabled', locale, { title: truncate(item.track_title, 35) })}\n\n` +
+                        embed.data.description
+                );
                 await interaction.update({ embeds: [embed], components });
             }
             return;
@@ -215,21 +228,21 @@ export async function handlePreferencesButton(interaction, client) {
         }
         logger.error('Error handling preferences button', error);
         if (!interaction.replied && !interaction.deferred) {
-            await interaction.reply({ content: '❌ Đã xảy ra lỗi.', ephemeral: true }).catch(() => {});
+            await interaction.reply({ content: t('error.unexpected_retry', locale), ephemeral: true }).catch(() => {});
         }
     }
 }
 
 /**
  * Parse current page number from the embed description text.
- * Looks for "Trang X/Y" pattern.
+ * Looks for the "X/Y" page counter that ends the summary line.
  *
  * @param {import('discord.js').Message} message
  * @returns {number}
  */
 function parseCurrentPage(message) {
     const desc = message?.embeds?.[0]?.description || '';
-    const match = desc.match(/Trang (\d+)\/(\d+)/);
+    const match = desc.match(/(\d+)\/(\d+)$/);
     return match ? parseInt(match[1], 10) : 1;
 }
 
@@ -3,28 +3,49 @@
  * User preferences and server settings management
  */
 
-import { SlashCommandBuilder, EmbedBuilder, PermissionFlagsBits } from 'discord.js';
+import { SlashCommandBuilder, EmbedBuilder, PermissionFlagsBits, ChannelType } from 'discord.js';
 import UserPreferences from '../../database/models/UserPreferences.js';
 import GuildSettings from '../../database/models/GuildSettings.js';
+import AuditLog, { AUDIT_ACTIONS } from '../../database/models/AuditLog.js';
 import { sendErrorResponse } from '../../UI/embeds/ErrorEmbeds.js';
 import { ValidationError, InvalidVolumeError } from '../../utils/errors.js';
 import { COLORS } from '../../config/design-system.js';
-import { VOLUME } from '../../utils/constants.js';
+import { VOLUME, QUEUE, REQUEST_LIMITS, VOTING, VOTE_ACTIONS, ANNOUNCE_MODES } from '../../utils/constants.js';
+import {
+    t,
+    getLocale,
+    resolveLocale,
+    normalizeLocale,
+    setUserLocale,
+    getAvailableLocales,
+    intlLocale,
+    localizations
+} from '../../utils/i18n.js';
+import { getRequestChannelManager } from '../../services/RequestChannelManager.js';
+import { createUndoButtons } from '../../UI/components/MusicControls.js';
 import logger from '../../utils/logger.js';
 
 export default {
     data: new SlashCommandBuilder()
         .setName('settings')
         .setDescription('Cấu hình cài đặt cá nhân và server')
-        .addSubcommand(subcommand => subcommand.setName('show').setDescription('Xem cài đặt hiện tại'))
+        .setDescriptionLocalizations(localizations('command.settings.description'))
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('show')
+                .setDescription('Xem cài đặt hiện tại')
+                .setDescriptionLocalizations(localizations('command.settings.show_description'))
+        )
         .addSubcommand(subcommand =>
             subcommand
                 .setName('volume')
                 .setDescription('Đặt âm lượng mặc định')
+                .setDescriptionLocalizations(localizations('command.settings.volume_description'))
                 .addIntegerOption(option =>
                     option
                         .setName('level')
                         .setDescription('Mức âm lượng (0-100)')
+                        .setDescriptionLocalizations(localizations('command.settings.volume_level_option'))
                         .setMinValue(VOLUME.MIN)
                         .setMaxValue(VOLUME.MAX)
                         .setRequired(true)
@@ -34,47 +55,121 @@ export default {
             subcommand
                 .setName('autoresume')
                 .setDescription('Tự động tiếp tục phát khi join lại')
+                .setDescriptionLocalizations(localizations('command.settings.autoresume_description'))
                 .addBooleanOption(option =>
-                    option.setName('enabled').setDescription('Bật/tắt auto-resume').setRequired(true)
+                    option
+                        .setName('enabled')
+                        .setDescription('Bật/tắt auto-resume')
+                        .setDescriptionLocalizations(localizations('command.settings.autoresume_enabled_option'))
+                        .setRequired(true)
                 )
         )
         .addSubcommand(subcommand =>
             subcommand
                 .setName('notifications')
                 .setDescription('Nhận thông báo từ bot')
+                .setDescriptionLocalizations(localizations('command.settings.notifications_description'))
                 .addBooleanOption(option =>
-                    option.setName('enabled').setDescription('Bật/tắt thông báo').setRequired(true)
+                    option
+                        .setName('enabled')
+                        .setDescription('Bật/tắt thông báo')
+                        .setDescriptionLocalizations(localizations('command.settings.notifications_enabled_option'))
+                        .setRequired(true)
+                )
+        )
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('language')
+                .setDescription('Chọn ngôn ngữ hiển thị của bot')
+                .setDescriptionLocalizations(localizations('command.settings.language_description'))
+                .addStringOption(option =>
+                    option
+                        .setName('language')
+                        .setDescription('Ngôn ngữ')
+                        .setDescriptionLocalizations(localizations('command.settings.language_option'))
+                        .setRequired(true)
+                        .addChoices(
+                            ...getAvailableLocales().map(({ code, name, flag }) => ({
+                                name: `${flag} ${name}`,
+                                value: code
+                            })),
+                            {
+                                name: '🌐 Tự động',
+                                name_localizations: localizations('command.settings.language_auto_choice'),
+                                value: 'auto'
+                            }
+                        )
+                )
+                .addStringOption(option =>
+                    option
+                        .setName('scope')
+                        .setDescription('Áp dụng cho')
+                        .setDescriptionLocalizations(localizations('command.settings.scope_option'))
+                        .setRequired(false)
+                        .addChoices(
+                            {
+                                name: 'Chỉ mình tôi',
+                                name_localizations: localizations('command.settings.scope_user'),
+                                value: 'user'
+                            },
+                            {
+                                name: '[Admin] Mặc định của server',
+                                name_localizations: localizations('command.settings.scope_server'),
+                                value: 'server'
+                            }
+                        )
                 )
         )
-        .addSubcommand(subcommand => subcommand.setName('reset').setDescription('Đặt lại về mặc định'))
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('reset')
+                .setDescription('Đặt lại về mặc định')
+                .setDescriptionLocalizations(localizations('command.settings.reset_description'))
+        )
         // Server settings subcommands (require Manage Server permission)
         .addSubcommand(subcommand =>
             subcommand
                 .setName('djrole')
                 .setDescription('⚙️ [Admin] Đặt role DJ để kiểm soát nhạc')
+                .setDescriptionLocalizations(localizations('command.settings.djrole_description'))
                 .addRoleOption(option =>
-                    option.setName('role').setDescription('Role được quyền DJ (để trống để xóa)').setRequired(false)
+                    option
+                        .setName('role')
+                        .setDescription('Role được quyền DJ (để trống để xóa)')
+                        .setDescriptionLocalizations(localizations('command.settings.djrole_role_option'))
+                        .setRequired(false)
                 )
         )
         .addSubcommand(subcommand =>
             subcommand
                 .setName('djonly')
                 .setDescription('⚙️ [Admin] Chỉ DJ mới dùng được lệnh điều khiển')
+                .setDescriptionLocalizations(localizations('command.settings.djonly_description'))
                 .addBooleanOption(option =>
-                    option.setName('enabled').setDescription('Bật/tắt chế độ DJ-only').setRequired(true)
+                    option
+                        .setName('enabled')
+                        .setDescription('Bật/tắt chế độ DJ-only')
+                        .setDescriptionLocalizations(localizations('command.settings.djonly_enabled_option'))
+                        .setRequired(true)
                 )
         )
         .addSubcommand(subcommand =>
             subcommand
                 .setName('voteskip')
                 .setDescription('⚙️ [Admin] Cấu hình vote skip')
+                .setDescriptionLocalizations(localizations('command.settings.voteskip_description'))
                 .addBooleanOption(option =>
-                    option.setName('enabled').setDescription('Bật/tắt vote skip').setRequired(true)
+                    option
+                        .setName('enabled')
+                        .setDescription('Bật/tắt vote skip')
+                        .setDescriptionLocalizations(localizations('command.settings.voteskip_enabled_option'))
+                        .setRequired(true)
                 )
                 .addIntegerOption(option =>
                     option
                         .setName('percentage')
                         .setDescription('Phần trăm cần thiết để skip (10-100)')
+                        .setDescriptionLocalizations(localizations('command.settings.voteskip_percentage_option'))
                         .setMinValue(10)
                         .setMaxValue(100)
                         .setRequired(false)
@@ -84,61 +179,290 @@ export default {
             subcommand
                 .setName('247')
                 .setDescription('⚙️ [Admin] Bật/tắt chế độ 24/7 (bot không rời voice)')
+                .setDescriptionLocalizations(localizations('command.settings.247_description'))
                 .addBooleanOption(option =>
-                    option.setName('enabled').setDescription('Bật/tắt 24/7 mode').setRequired(true)
+                    option
+                        .setName('enabled')
+                        .setDescription('Bật/tắt 24/7 mode')
+                        .setDescriptionLocalizations(localizations('command.settings.247_enabled_option'))
+                        .setRequired(true)
                 )
         )
         .addSubcommand(subcommand =>
             subcommand
                 .setName('duplicates')
                 .setDescription('⚙️ [Admin] Cho phép/chặn bài hát trùng lặp trong hàng đợi')
+                .setDescriptionLocalizations(localizations('command.settings.duplicates_description'))
+                .addBooleanOption(option =>
+                    option
+                        .setName('allow')
+                        .setDescription('Cho phép bài hát trùng lặp?')
+                        .setDescriptionLocalizations(localizations('command.settings.duplicates_allow_option'))
+                        .setRequired(true)
+                )
+        )
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('maxqueue')
+                .setDescription('⚙️ [Admin] Đặt số bài tối đa trong hàng đợi')
+                .setDescriptionLocalizations(localizations('command.settings.maxqueue_description'))
+                .addIntegerOption(option =>
+                    option
+                        .setName('size')
+                        .setDescription('Số bài tối đa (10-1000)')
+                        .setDescriptionLocalizations(localizations('command.settings.maxqueue_size_option'))
+                        .setMinValue(QUEUE.MIN_GUILD_MAX_SIZE)
+                        .setMaxValue(QUEUE.MAX_SIZE)
+                        .setRequired(true)
+                )
+        )
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('fairshare')
+                .setDescription('⚙️ [Admin] Chia lượt công bằng: xếp xen kẽ bài hát theo người yêu cầu')
+                .setDescriptionLocalizations(localizations('command.settings.fairshare_description'))
+                .addBooleanOption(option =>
+                    option
+                        .setName('enabled')
+                        .setDescription('Bật/tắt chia lượt công bằng')
+                        .setDescriptionLocalizations(localizations('command.settings.fairshare_enabled_option'))
+                        .setRequired(true)
+                )
+                .addIntegerOption(option =>
+                    option
+                        .setName('per_turn')
+                        .setDescription('Số bài mỗi người được phát trong một lượt (mặc định: 1)')
+                        .setDescriptionLocalizations(localizations('command.settings.fairshare_cap_option'))
+                        .setMinValue(1)
+                        .setMaxValue(QUEUE.MAX_FAIR_SHARE_CAP)
+                        .setRequired(false)
+                )
+        )
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('limits')
+                .setDescription('⚙️ [Admin] Giới hạn yêu cầu của mỗi thành viên (0 = không giới hạn)')
+                .setDescriptionLocalizations(localizations('command.settings.limits_description'))
+                .addIntegerOption(option =>
+                    option
+                        .setName('max_tracks')
+                        .setDescription('Số bài tối đa mỗi người có trong hàng đợi')
+                        .setDescriptionLocalizations(localizations('command.settings.limits_max_tracks_option'))
+                        .setMinValue(0)
+                        .setMaxValue(REQUEST_LIMITS.MAX_TRACKS_PER_USER)
+                )
+                .addIntegerOption(option =>
+                    option
+                        .setName('max_minutes')
+                        .setDescription('Độ dài tối đa của một bài (phút)')
+                        .setDescriptionLocalizations(localizations('command.settings.limits_max_minutes_option'))
+                        .setMinValue(0)
+                        .setMaxValue(REQUEST_LIMITS.MAX_TRACK_MINUTES)
+                )
+                .addIntegerOption(option =>
+                    option
+                        .setName('per_hour')
+                        .setDescription('Số bài tối đa mỗi người được yêu cầu trong một giờ')
+                        .setDescriptionLocalizations(localizations('command.settings.limits_per_hour_option'))
+                        .setMinValue(0)
+                        .setMaxValue(REQUEST_LIMITS.MAX_REQUESTS_PER_HOUR)
+                )
+                .addBooleanOption(option =>
+                    option
+                        .setName('block_live')
+                        .setDescription('Chặn livestream')
+                        .setDescriptionLocalizations(localizations('command.settings.limits_block_live_option'))
+                )
+        )
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('democratic')
+                .setDescription(
+                    '⚙️ [Admin] Chế độ dân chủ: biểu quyết trước khi dừng, xóa, xáo trộn, nhảy bài, đổi âm lượng'
+                )
+                .setDescriptionLocalizations(localizations('command.settings.democratic_description'))
+                .addBooleanOption(option =>
+                    option
+                        .setName('enabled')
+                        .setDescription('Bật/tắt chế độ dân chủ')
+                        .setDescriptionLocalizations(localizations('command.settings.democratic_enabled_option'))
+                )
+                .addStringOption(option =>
+                    option
+                        .setName('action')
+                        .setDescription('Thao tác cần đặt ngưỡng biểu quyết')
+                        .setDescriptionLocalizations(localizations('command.settings.democratic_action_option'))
+                        .addChoices(
+                            {
+                                name: t('command.settings.democratic_action_all'),
+                                name_localizations: localizations('command.settings.democratic_action_all'),
+                                value: 'all'
+                            },
+                            ...Object.values(VOTE_ACTIONS).map(value => ({
+                                name: t(`vote.action.${value}`),
+                                name_localizations: localizations(`vote.action.${value}`),
+                                value
+                            }))
+                        )
+                )
+                .addIntegerOption(option =>
+                    option
+                        .setName('threshold')
+                        .setDescription('Phần trăm người nghe cần đồng ý (0 = không cần biểu quyết)')
+                        .setDescriptionLocalizations(localizations('command.settings.democratic_threshold_option'))
+                        .setMinValue(0)
+                        .setMaxValue(VOTING.MAX_THRESHOLD)
+                )
+        )
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('approval')
+                .setDescription('⚙️ [Admin] Duyệt yêu cầu /play của thành viên không phải DJ trước khi vào hàng đợi')
+                .setDescriptionLocalizations(localizations('command.settings.approval_description'))
+                .addBooleanOption(option =>
+                    option
+                        .setName('enabled')
+                        .setDescription('Bật/tắt duyệt yêu cầu')
+                        .setDescriptionLocalizations(localizations('command.settings.approval_enabled_option'))
+                )
+                .addChannelOption(option =>
+                    option
+                        .setName('channel')
+                        .setDescription('Kênh nhận yêu cầu chờ duyệt')
+                        .setDescriptionLocalizations(localizations('command.settings.approval_channel_option'))
+                        .addChannelTypes(ChannelType.GuildText, ChannelType.GuildAnnouncement)
+                )
                 .addBooleanOption(option =>
-                    option.setName('allow').setDescription('Cho phép bài hát trùng lặp?').setRequired(true)
+                    option
+                        .setName('reset_channel')
+                        .setDescription('Gửi yêu cầu vào kênh mà thành viên đã dùng /play')
+                        .setDescriptionLocalizations(localizations('command.settings.approval_reset_option'))
+                )
+        )
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('announce')
+                .setDescription('⚙️ [Admin] Cách thông báo bài hát đang phát')
+                .setDescriptionLocalizations(localizations('command.settings.announce_description'))
+                .addStringOption(option =>
+                    option
+                        .setName('mode')
+                        .setDescription('Kiểu thông báo')
+                        .setDescriptionLocalizations(localizations('command.settings.announce_mode_option'))
+                        .addChoices(
+                            ...Object.values(ANNOUNCE_MODES).map(value => ({
+                                name: t(`command.settings.announce_mode_${value}`),
+                                name_localizations: localizations(`command.settings.announce_mode_${value}`),
+                                value
+                            }))
+                        )
+                )
+                .addChannelOption(option =>
+                    option
+                        .setName('channel')
+                        .setDescription('Kênh riêng để thông báo bài hát')
+                        .setDescriptionLocalizations(localizations('command.settings.announce_channel_option'))
+                        .addChannelTypes(ChannelType.GuildText, ChannelType.GuildAnnouncement, ChannelType.GuildVoice)
+                )
+                .addBooleanOption(option =>
+                    option
+                        .setName('reset_channel')
+                        .setDescription('Thông báo trong kênh đã dùng lệnh phát nhạc')
+                        .setDescriptionLocalizations(localizations('command.settings.announce_reset_option'))
                 )
         )
-        .addSubcommand(subcommand => subcommand.setName('server').setDescription('⚙️ [Admin] Xem cài đặt server')),
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('requestchannel')
+                .setDescription('⚙️ [Admin] Kênh yêu cầu nhạc: mọi tin nhắn trong kênh được phát như /play')
+                .setDescriptionLocalizations(localizations('command.settings.requestchannel_description'))
+                .addChannelOption(option =>
+                    option
+                        .setName('channel')
+                        .setDescription('Kênh văn bản dùng làm kênh yêu cầu nhạc')
+                        .setDescriptionLocalizations(localizations('command.settings.requestchannel_channel_option'))
+                        .addChannelTypes(ChannelType.GuildText)
+                )
+                .addBooleanOption(option =>
+                    option
+                        .setName('disable')
+                        .setDescription('Tắt kênh yêu cầu nhạc và xóa trình phát đã ghim')
+                        .setDescriptionLocalizations(localizations('command.settings.requestchannel_disable_option'))
+                )
+        )
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('server')
+                .setDescription('⚙️ [Admin] Xem cài đặt server')
+                .setDescriptionLocalizations(localizations('command.settings.server_description'))
+        ),
 
     async execute(interaction, client) {
         try {
             const subcommand = interaction.options.getSubcommand();
+            const locale = getLocale(interaction);
 
             switch (subcommand) {
                 case 'show':
-                    await handleShow(interaction, client);
+                    await handleShow(interaction, client, locale);
                     break;
                 case 'volume':
-                    await handleVolume(interaction, client);
+                    await handleVolume(interaction, client, locale);
                     break;
                 case 'autoresume':
-                    await handleAutoResume(interaction, client);
+                    await handleAutoResume(interaction, client, locale);
                     break;
                 case 'notifications':
-                    await handleNotifications(interaction, client);
+                    await handleNotifications(interaction, client, locale);
+                    break;
+                case 'language':
+                    await handleLanguage(interaction, client, locale);
                     break;
                 case 'reset':
-                    await handleReset(interaction, client);
+                    await handleReset(interaction, client, locale);
                     break;
                 // Server settings
                 case 'djrole':
-                    await handleDJRole(interaction, client);
+                    await handleDJRole(interaction, client, locale);
                     break;
                 case 'djonly':
-                    await handleDJOnly(interaction, client);
+                    await handleDJOnly(interaction, client, locale);
                     break;
                 case 'voteskip':
-                    await handleVoteSkip(interaction, client);
+                    await handleVoteSkip(interaction, client, locale);
                     break;
                 case '247':
-                    await handle247(interaction, client);
+                    await handle247(interaction, client, locale);
                     break;
                 case 'duplicates':
-                    await handleDuplicates(interaction, client);
+                    await handleDuplicates(interaction, client, locale);
+                    break;
+                case 'maxqueue':
+                    await handleMaxQueue(interaction, client, locale);
+                    break;
+                case 'fairshare':
+                    await handleFairShare(interaction, client, locale);
+                    break;
+                case 'limits':
+                    await handleLimits(interaction, client, locale);
+                    break;
+                case 'democratic':
+                    await handleDemocratic(interaction, client, locale);
+                    break;
+                case 'approval':
+                    await handleApproval(interaction, client, locale);
+                    break;
+                case 'announce':
+                    await handleAnnounce(interaction, client, locale);
+                    break;
+                case 'requestchannel':
+                    await handleRequestChannel(interaction, client, locale);
                     break;
                 case 'server':
-                    await handleServerSettings(interaction, client);
+                    await handleServerSettings(interaction, client, locale);
                     break;
                 default:
-                    throw new ValidationError('Subcommand không hợp lệ');
+                    throw new ValidationError(t('command.settings.invalid_subcommand', locale));
             }
 
             logger.command(`settings-${subcommand}`, interaction.user.id, interaction.guildId);
@@ -149,37 +473,59 @@ export default {
     }
 };
 
+/**
+ * Format an on/off value for an embed field
+ * @param {boolean} enabled
+ * @param {string} locale - Locale code
+ * @returns {string}
+ */
+function onOff(enabled, locale) {
+    return t(enabled ? 'command.settings.on' : 'command.settings.off', locale);
+}
+
+/**
+ * Format a stored language preference for display
+ * @param {string|null} language - Stored locale code, null = automatic
+ * @param {string} autoKey - Translation key for the automatic fallback
+ * @param {string} locale - Locale code to display in
+ * @returns {string}
+ */
+function formatLanguage(language, autoKey, locale) {
+    const info = getAvailableLocales().find(({ code }) => code === normalizeLocale(language));
+    return info ? `${info.flag} ${info.name}` : `🌐 ${t(autoKey, locale)}`;
+}
+
 /**
  * Show current settings
  */
-async function handleShow(interaction, client) {
+async function handleShow(interaction, client, locale) {
     await interaction.deferReply({ ephemeral: true });
 
     const prefs = UserPreferences.get(interaction.user.id);
 
     const embed = new EmbedBuilder()
         .setColor(client.config.bot.color)
-        .setTitle('⚙️ Cài Đặt Của Bạn')
-        .setDescription('Cấu hình cá nhân hiện tại')
+        .setTitle(t('command.settings.show_title', locale))
+        .setDescription(t('command.settings.show_desc', locale))
         .addFields([
             {
-                name: '🔊 Âm lượng mặc định',
+                name: t('command.settings.field_volume', locale),
                 value: `${prefs.defaultVolume}%`,
                 inline: true
             },
             {
-                name: '▶️ Auto-resume',
-                value: prefs.autoResume ? '✅ Bật' : '❌ Tắt',
+                name: t('command.settings.field_autoresume', locale),
+                value: onOff(prefs.autoResume, locale),
                 inline: true
             },
             {
-                name: '🔔 Thông báo',
-                value: prefs.notificationsEnabled ? '✅ Bật' : '❌ Tắt',
+                name: t('command.settings.field_notifications', locale),
+                value: onOff(prefs.notificationsEnabled, locale),
                 inline: true
             },
             {
-                name: '🌐 Ngôn ngữ',
-                value: '🇻🇳 Tiếng Việt (chỉ hỗ trợ)',
+                name: t('command.settings.field_language', locale),
+                value: formatLanguage(prefs.language, 'command.settings.language_auto_user', locale),
                 inline: true
             }
         ])
@@ -189,8 +535,8 @@ async function handleShow(interaction, client) {
     if (prefs.createdAt) {
         embed.addFields([
             {
-                name: '📅 Tham gia',
-                value: new Date(prefs.createdAt).toLocaleDateString('vi-VN'),
+                name: t('command.settings.field_joined', locale),
+                value: new Date(prefs.createdAt).toLocaleDateString(intlLocale(locale)),
                 inline: true
             }
         ]);
@@ -202,7 +548,7 @@ async function handleShow(interaction, client) {
 /**
  * Set default volume
  */
-async function handleVolume(interaction, client) {
+async function handleVolume(interaction, client, locale) {
     await interaction.deferReply({ ephemeral: true });
 
     const volume = interaction.options.getInteger('level');
@@ -214,13 +560,13 @@ async function handleVolume(interaction, client) {
     const success = UserPreferences.set(interaction.user.id, { defaultVolume: volume }, interaction.user.username);
 
     if (!success) {
-        throw new Error('Không thể cập nhật cài đặt');
+        throw new Error(t('command.settings.update_failed', locale));
     }
 
     const embed = new EmbedBuilder()
         .setColor(client.config.bot.color)
-        .setTitle('✅ Đã Cập Nhật')
-        .setDescription(`Âm lượng mặc định: **${volume}%**\n\nÂm lượng này sẽ được áp dụng khi bạn bắt đầu phát nhạc.`)
+        .setTitle(t('command.settings.updated_title', locale))
+        .setDescription(t('command.settings.volume_updated', locale, { volume }))
         .setFooter({ text: client.config.bot.footer })
         .setTimestamp();
 
@@ -230,7 +576,7 @@ async function handleVolume(interaction, client) {
 /**
  * Set auto-resume
  */
-async function handleAutoResume(interaction, client) {
+async function handleAutoResume(interaction, client, locale) {
     await interaction.deferReply({ ephemeral: true });
 
     const enabled = interaction.options.getBoolean('enabled');
@@ -238,15 +584,13 @@ async function handleAutoResume(interaction, client) {
     const success = UserPreferences.set(interaction.user.id, { autoResume: enabled }, interaction.user.username);
 
     if (!success) {
-        throw new Error('Không thể cập nhật cài đặt');
+        throw new Error(t('command.settings.update_failed', locale));
     }
 
     const embed = new EmbedBuilder()
         .setColor(client.config.bot.color)
-        .setTitle('✅ Đã Cập Nhật')
-        .setDescription(
-            `Auto-resume: **${enabled ? 'Bật' : 'Tắt'}**\n\n${enabled ? 'Bot sẽ tự động tiếp tục phát nhạc khi bạn join lại voice channel.' : 'Bot sẽ không tự động tiếp tục phát.'}`
-        )
+        .setTitle(t('command.settings.updated_title', locale))
+        .setDescription(t(enabled ? 'command.settings.autoresume_on' : 'command.settings.autoresume_off', locale))
         .setFooter({ text: client.config.bot.footer })
         .setTimestamp();
 
@@ -256,7 +600,7 @@ async function handleAutoResume(interaction, client) {
 /**
  * Set notifications
  */
-async function handleNotifications(interaction, client) {
+async function handleNotifications(interaction, client, locale) {
     await interaction.deferReply({ ephemeral: true });
 
     const enabled = interaction.options.getBoolean('enabled');
@@ -268,15 +612,64 @@ async function handleNotifications(interaction, client) {
     );
 
     if (!success) {
-        throw new Error('Không thể cập nhật cài đặt');
+        throw new Error(t('command.settings.update_failed', locale));
     }
 
     const embed = new EmbedBuilder()
         .setColor(client.config.bot.color)
-        .setTitle('✅ Đã Cập Nhật')
-        .setDescription(
-            `Thông báo: **${enabled ? 'Bật' : 'Tắt'}**\n\n${enabled ? 'Bạn sẽ nhận được thông báo từ bot.' : 'Bạn sẽ không nhận thông báo.'}`
-        )
+        .setTitle(t('command.settings.updated_title', locale))
+        .setDescription(t(enabled ? 'command.settings.notifications_on' : 'command.settings.notifications_off', locale))
+        .setFooter({ text: client.config.bot.footer })
+        .setTimestamp();
+
+    await interaction.editReply({ embeds: [embed] });
+}
+
+/**
+ * Set the display language, for the user or as the server default
+ */
+async function handleLanguage(interaction, client, locale) {
+    const choice = interaction.options.getString('language');
+    const scope = interaction.options.getString('scope') || 'user';
+    const language = choice === 'auto' ? null : choice;
+
+    if (scope === 'server') {
+        checkAdminPermission(interaction, locale);
+    }
+
+    await interaction.deferReply({ ephemeral: true });
+
+    const success =
+        scope === 'server'
+            ? GuildSettings.set(interaction.guildId, { language }, interaction.guild.name)
+            : await setUserLocale(interaction.user.id, language);
+    if (!success) {
+        throw new Error(t('command.settings.update_failed', locale));
+    }
+
+    // Reply in the language the caller will see from now on
+    locale = resolveLocale({
+        userId: interaction.user.id,
+        guildId: interaction.guildId,
+        discordLocale: interaction.locale
+    });
+
+    let description;
+    if (scope === 'server') {
+        logSettingsChange(interaction, { language });
+        description = language
+            ? t('command.settings.language_server_set', locale, { language: formatLanguage(language, null, locale) })
+            : t('command.settings.language_server_auto', locale);
+    } else {
+        description = language
+            ? t('command.settings.language_user_set', locale, { language: formatLanguage(language, null, locale) })
+            : t('command.settings.language_user_auto', locale);
+    }
+
+    const embed = new EmbedBuilder()
+        .setColor(client.config.bot.color)
+        .setTitle(t('command.settings.language_title', locale))
+        .setDescription(description)
         .setFooter({ text: client.config.bot.footer })
         .setTimestamp();
 
@@ -286,40 +679,42 @@ async function handleNotifications(interaction, client) {
 /**
  * Reset to default
  */
-async function handleReset(interaction, client) {
+async function handleReset(interaction, client, locale) {
     await interaction.deferReply({ ephemeral: true });
 
     const success = UserPreferences.delete(interaction.user.id);
 
     if (!success) {
-        throw new Error('Không thể đặt lại cài đặt');
+        throw new Error(t('command.settings.reset_failed', locale));
     }
 
     const defaults = UserPreferences.getDefaults();
+    const on = t('command.settings.on_plain', locale);
+    const off = t('command.settings.off_plain', locale);
 
     const embed = new EmbedBuilder()
         .setColor(client.config.bot.color)
-        .setTitle('✅ Đã Đặt Lại')
-        .setDescription('Tất cả cài đặt đã được đặt lại về mặc định')
+        .setTitle(t('command.settings.reset_title', locale))
+        .setDescription(t('command.settings.reset_desc', locale))
         .addFields([
             {
-                name: '🔊 Âm lượng',
+                name: t('command.settings.field_volume_short', locale),
                 value: `${defaults.defaultVolume}%`,
                 inline: true
             },
             {
-                name: '▶️ Auto-resume',
-                value: defaults.autoResume ? 'Bật' : 'Tắt',
+                name: t('command.settings.field_autoresume', locale),
+                value: defaults.autoResume ? on : off,
                 inline: true
             },
             {
-                name: '🔔 Thông báo',
-                value: defaults.notificationsEnabled ? 'Bật' : 'Tắt',
+                name: t('command.settings.field_notifications', locale),
+                value: defaults.notificationsEnabled ? on : off,
                 inline: true
             },
             {
-                name: '🌐 Ngôn ngữ',
-                value: '🇻🇳 Tiếng Việt (chỉ hỗ trợ)',
+                name: t('command.settings.field_language', locale),
+                value: formatLanguage(defaults.language, 'command.settings.language_auto_user', locale),
                 inline: true
             }
         ])
@@ -332,17 +727,28 @@ async function handleReset(interaction, client) {
 /**
  * Check if user has admin permissions
  */
-function checkAdminPermission(interaction) {
+function checkAdminPermission(interaction, locale) {
     if (!interaction.member.permissions.has(PermissionFlagsBits.ManageGuild)) {
-        throw new ValidationError('Bạn cần quyền **Quản lý Server** để sử dụng lệnh này!');
+        throw new ValidationError(t('command.settings.no_permission', locale));
     }
 }
 
+/**
+ * Record a server settings change in the audit log
+ * @param {Interaction} interaction
+ * @param {Object} changes - Updated settings (same shape as passed to GuildSettings.set)
+ */
+function logSettingsChange(interaction, changes) {
+    AuditLog.log(AUDIT_ACTIONS.SETTINGS, interaction.user.id, interaction.guildId, {
+        details: { setting: interaction.options.getSubcommand(), ...changes }
+    });
+}
+
 /**
  * Set DJ role
  */
-async function handleDJRole(interaction, client) {
-    checkAdminPermission(interaction);
+async function handleDJRole(interaction, client, locale) {
+    checkAdminPermission(interaction, locale);
     await interaction.deferReply({ ephemeral: true });
 
     const role = interaction.options.getRole('role');
@@ -350,16 +756,18 @@ async function handleDJRole(interaction, client) {
     const success = GuildSettings.set(interaction.guildId, { djRoleId: role ? role.id : null }, interaction.guild.name);
 
     if (!success) {
-        throw new Error('Không thể cập nhật cài đặt server');
+        throw new Error(t('command.settings.server_update_failed', locale));
     }
 
+    logSettingsChange(interaction, { djRoleId: role ? role.id : null });
+
     const embed = new EmbedBuilder()
         .setColor(client.config.bot.color)
-        .setTitle('✅ Đã Cập Nhật DJ Role')
+        .setTitle(t('command.settings.djrole_title', locale))
         .setDescription(
             role
-                ? `DJ Role được đặt thành: **${role.name}**\n\nThành viên có role này có thể sử dụng các lệnh điều khiển nhạc khi bật chế độ DJ-only.`
-                : 'DJ Role đã được **xóa**.\n\nMọi người đều có thể điều khiển nhạc.'
+                ? t('command.settings.djrole_set', locale, { role: role.name })
+                : t('command.settings.djrole_cleared', locale)
         )
         .setFooter({ text: client.config.bot.footer })
         .setTimestamp();
@@ -370,33 +778,33 @@ async function handleDJRole(interaction, client) {
 /**
  * Set DJ-only mode
  */
-async function handleDJOnly(interaction, client) {
-    checkAdminPermission(interaction);
+async function handleDJOnly(interaction, client, locale) {
+    checkAdminPermission(interaction, locale);
     await interaction.deferReply({ ephemeral: true });
 
     const enabled = interaction.options.getBoolean('enabled');
     const guildSettings = GuildSettings.get(interaction.guildId);
 
     if (enabled && !guildSettings.djRoleId) {
-        throw new ValidationError(
-            'Vui lòng đặt DJ Role trước khi bật chế độ DJ-only!\nSử dụng: `/settings djrole @role`'
-        );
+        throw new ValidationError(t('command.settings.djonly_need_role', locale));
     }
 
     const success = GuildSettings.set(interaction.guildId, { djOnlyMode: enabled }, interaction.guild.name);
 
     if (!success) {
-        throw new Error('Không thể cập nhật cài đặt server');
+        throw new Error(t('command.settings.server_update_failed', locale));
     }
 
+    logSettingsChange(interaction, { djOnlyMode: enabled });
+
     const embed = new EmbedBuilder()
         .setColor(enabled ? COLORS.WARNING : COLORS.SETTINGS_ENABLED)
-        .setTitle(`✅ Chế Độ DJ-Only: ${enabled ? 'BẬT' : 'TẮT'}`)
-        .setDescription(
-            enabled
-                ? '🎧 **Chế độ DJ-Only đã được bật!**\n\nChỉ những người có role DJ mới có thể:\n• Skip bài hát\n• Dừng phát nhạc\n• Xóa queue\n• Thay đổi âm lượng\n• Sử dụng các bộ lọc\n\n*Administrators luôn có quyền DJ.*'
-                : '🎵 **Chế độ DJ-Only đã tắt!**\n\nTất cả mọi người đều có thể điều khiển nhạc.'
+        .setTitle(
+            t('command.settings.djonly_title', locale, {
+                state: t(enabled ? 'command.settings.on_upper' : 'command.settings.off_upper', locale)
+            })
         )
+        .setDescription(t(enabled ? 'command.settings.djonly_on' : 'command.settings.djonly_off', locale))
         .setFooter({ text: client.config.bot.footer })
         .setTimestamp();
 
@@ -406,8 +814,8 @@ async function handleDJOnly(interaction, client) {
 /**
  * Configure vote skip
  */
-async function handleVoteSkip(interaction, client) {
-    checkAdminPermission(interaction);
+async function handleVoteSkip(interaction, client, locale) {
+    checkAdminPermission(interaction, locale);
     await interaction.deferReply({ ephemeral: true });
 
     const enabled = interaction.options.getBoolean('enabled');
@@ -423,19 +831,22 @@ async function handleVoteSkip(interaction, client) {
     );
 
     if (!success) {
-        throw new Error('Không thể cập nhật cài đặt server');
+        throw new Error(t('command.settings.server_update_failed', locale));
     }
 
+    logSettingsChange(interaction, { voteSkipEnabled: enabled, voteSkipPercentage: percentage });
+
     const embed = new EmbedBuilder()
         .setColor(enabled ? COLORS.SETTINGS_ENABLED : COLORS.WARNING)
-        .setTitle(`✅ Vote Skip: ${enabled ? 'BẬT' : 'TẮT'}`)
+        .setTitle(
+            t('command.settings.voteskip_title', locale, {
+                state: t(enabled ? 'command.settings.on_upper' : 'command.settings.off_upper', locale)
+            })
+        )
         .setDescription(
             enabled
-                ? '🗳️ **Vote Skip đã được bật!**\n\n' +
-                      `• Cần **${percentage}%** số người trong voice channel vote để skip\n` +
-                      '• DJ và Admin có thể skip trực tiếp\n\n' +
-                      '*Nhấn nút 🗳️ trong Now Playing để vote skip*'
-                : '⏭️ **Vote Skip đã tắt!**\n\nBài hát sẽ được skip ngay khi có người nhấn nút skip.'
+                ? t('command.settings.voteskip_on', locale, { percentage })
+                : t('command.settings.voteskip_off', locale)
         )
         .setFooter({ text: client.config.bot.footer })
         .setTimestamp();
@@ -446,8 +857,8 @@ async function handleVoteSkip(interaction, client) {
 /**
  * Configure 24/7 mode
  */
-async function handle247(interaction, client) {
-    checkAdminPermission(interaction);
+async function handle247(interaction, client, locale) {
+    checkAdminPermission(interaction, locale);
     await interaction.deferReply({ ephemeral: true });
 
     const enabled = interaction.options.getBoolean('enabled');
@@ -455,24 +866,19 @@ async function handle247(interaction, client) {
     const success = GuildSettings.set(interaction.guildId, { twentyFourSeven: enabled }, interaction.guild.name);
 
     if (!success) {
-        throw new Error('Không thể cập nhật cài đặt server');
+        throw new Error(t('command.settings.server_update_failed', locale));
     }
 
+    logSettingsChange(interaction, { twentyFourSeven: enabled });
+
     const embed = new EmbedBuilder()
         .setColor(enabled ? COLORS.FILTER_ACTIVE : COLORS.INFO)
-        .setTitle(`✅ Chế Độ 24/7: ${enabled ? 'BẬT' : 'TẮT'}`)
-        .setDescription(
-            enabled
-                ? '🌙 **Chế độ 24/7 đã được bật!**\n\n' +
-                      '• Bot sẽ **không tự động rời** voice channel\n' +
-                      '• Bot sẽ ở lại ngay cả khi hết nhạc hoặc không có ai\n' +
-                      '• Bot sẽ tự động kết nối lại nếu bị disconnect\n\n' +
-                      '*Lưu ý: Bạn vẫn có thể dùng /stop để đuổi bot ra khỏi voice*'
-                : '🔄 **Chế độ 24/7 đã tắt!**\n\n' +
-                      'Bot sẽ tự động rời voice channel khi:\n' +
-                      '• Hết nhạc trong queue\n' +
-                      '• Không có ai trong voice channel'
+        .setTitle(
+            t('command.settings.mode247_title', locale, {
+                state: t(enabled ? 'command.settings.on_upper' : 'command.settings.off_upper', locale)
+            })
         )
+        .setDescription(t(enabled ? 'command.settings.mode247_on' : 'command.settings.mode247_off', locale))
         .setFooter({ text: client.config.bot.footer })
         .setTimestamp();
 
@@ -482,8 +888,8 @@ async function handle247(interaction, client) {
 /**
  * Configure duplicate track handling
  */
-async function handleDuplicates(interaction, client) {
-    checkAdminPermission(interaction);
+async function handleDuplicates(interaction, client, locale) {
+    checkAdminPermission(interaction, locale);
     await interaction.deferReply({ ephemeral: true });
 
     const allowDuplicates = interaction.options.getBoolean('allow');
@@ -495,18 +901,22 @@ async function handleDuplicates(interaction, client) {
     );
 
     if (!success) {
-        throw new Error('Không thể cập nhật cài đặt server');
+        throw new Error(t('command.settings.server_update_failed', locale));
     }
 
+    logSettingsChange(interaction, { allowDuplicates });
+
     // Update current queue if exists
     const queue = client.musicManager.getQueue(interaction.guildId);
+    let dedupeUndo = null;
     if (queue) {
         queue.setRemoveDuplicates(!allowDuplicates);
 
         // Optionally remove existing duplicates if disallowing
         if (!allowDuplicates) {
-            const result = queue.removeDuplicatesFromQueue();
+            const result = queue.removeDuplicatesFromQueue(interaction.user.id);
             if (result.removed > 0) {
+                dedupeUndo = queue.peekUndo();
                 logger.info('Removed duplicates from existing queue', {
                     guildId: interaction.guildId,
                     removed: result.removed
@@ -517,17 +927,57 @@ async function handleDuplicates(interaction, client) {
 
     const embed = new EmbedBuilder()
         .setColor(allowDuplicates ? COLORS.INFO : COLORS.FILTER_ACTIVE)
-        .setTitle(`✅ Bài Hát Trùng Lặp: ${allowDuplicates ? 'CHO PHÉP' : 'CHẶN'}`)
+        .setTitle(
+            t('command.settings.duplicates_title', locale, {
+                state: t(allowDuplicates ? 'command.settings.allow_upper' : 'command.settings.block_upper', locale)
+            })
+        )
         .setDescription(
             allowDuplicates
-                ? '🔄 **Cho phép bài hát trùng lặp!**\n\n' +
-                      '• Cùng một bài hát có thể xuất hiện nhiều lần trong hàng đợi\n' +
-                      '• Phù hợp khi muốn nghe đi nghe lại bài yêu thích'
-                : '🚫 **Chặn bài hát trùng lặp!**\n\n' +
-                      '• Bài hát đã có trong hàng đợi sẽ bị bỏ qua\n' +
-                      '• Giúp hàng đợi đa dạng hơn\n' +
-                      (queue ? `• ${queue.tracks.length} bài còn lại trong hàng đợi\n` : '') +
-                      '\n*Áp dụng cho cả bài đang phát và hàng đợi*'
+                ? t('command.settings.duplicates_allow', locale)
+                : t('command.settings.duplicates_block', locale) +
+                      (queue
+                          ? t('command.settings.duplicates_remaining', locale, { count: queue.tracks.length })
+                          : '') +
+                      t('command.settings.duplicates_note', locale)
+        )
+        .setFooter({ text: client.config.bot.footer })
+        .setTimestamp();
+
+    await interaction.editReply({ embeds: [embed], components: createUndoButtons(dedupeUndo, locale) });
+}
+
+/**
+ * Configure the maximum queue size
+ */
+async function handleMaxQueue(interaction, client, locale) {
+    checkAdminPermission(interaction, locale);
+    await interaction.deferReply({ ephemeral: true });
+
+    const maxQueueSize = interaction.options.getInteger('size');
+
+    const success = GuildSettings.set(interaction.guildId, { maxQueueSize }, interaction.guild.name);
+
+    if (!success) {
+        throw new Error(t('command.settings.server_update_failed', locale));
+    }
+
+    logSettingsChange(interaction, { maxQueueSize });
+
+    // Update current queue if exists; tracks already queued beyond the new limit are kept
+    const queue = client.musicManager.getQueue(interaction.guildId);
+    if (queue) {
+        queue.setMaxQueueSize(maxQueueSize);
+    }
+
+    const embed = new EmbedBuilder()
+        .setColor(COLORS.SUCCESS)
+        .setTitle(t('command.settings.maxqueue_title', locale, { count: maxQueueSize }))
+        .setDescription(
+            t('command.settings.maxqueue_desc', locale, { count: maxQueueSize }) +
+                (queue && queue.tracks.length > maxQueueSize
+                    ? t('command.settings.maxqueue_over', locale, { current: queue.tracks.length })
+                    : '')
         )
         .setFooter({ text: client.config.bot.footer })
         .setTimestamp();
@@ -535,11 +985,403 @@ async function handleDuplicates(interaction, client) {
     await interaction.editReply({ embeds: [embed] });
 }
 
+/**
+ * Configure fair share (round-robin by requester) queue ordering
+ */
+async function handleFairShare(interaction, client, locale) {
+    checkAdminPermission(interaction, locale);
+    await interaction.deferReply({ ephemeral: true });
+
+    const enabled = interaction.options.getBoolean('enabled');
+    const cap = interaction.options.getInteger('per_turn') ?? GuildSettings.get(interaction.guildId).fairShareCap;
+
+    const success = GuildSettings.set(
+        interaction.guildId,
+        { fairShare: enabled, fairShareCap: cap },
+        interaction.guild.name
+    );
+
+    if (!success) {
+        throw new Error(t('command.settings.server_update_failed', locale));
+    }
+
+    logSettingsChange(interaction, { fairShare: enabled, fairShareCap: cap });
+
+    // Update current queue if exists; enabling reorders what is already queued
+    const queue = client.musicManager.getQueue(interaction.guildId);
+    if (queue) {
+        queue.setFairShare(enabled, cap);
+    }
+
+    const embed = new EmbedBuilder()
+        .setColor(enabled ? COLORS.SETTINGS_ENABLED : COLORS.INFO)
+        .setTitle(
+            t('command.settings.fairshare_title', locale, {
+                state: t(enabled ? 'command.settings.on_upper' : 'command.settings.off_upper', locale)
+            })
+        )
+        .setDescription(
+            enabled
+                ? t('command.settings.fairshare_on', locale, { cap }) +
+                      (queue && queue.tracks.length > 0 ? t('command.settings.fairshare_reordered', locale) : '')
+                : t('command.settings.fairshare_off', locale)
+        )
+        .setFooter({ text: client.config.bot.footer })
+        .setTimestamp();
+
+    await interaction.editReply({ embeds: [embed] });
+}
+
+/**
+ * Describe the request limits, one line per active limit
+ * @param {Object} settings - Guild settings
+ * @param {string} locale - Locale code
+ * @returns {string}
+ */
+function formatRequestLimits(settings, locale) {
+    const lines = [];
+    if (settings.maxTracksPerUser > 0) {
+        lines.push(t('command.settings.limits_max_tracks', locale, { count: settings.maxTracksPerUser }));
+    }
+    if (settings.maxTrackDuration > 0) {
+        lines.push(
+            t('command.settings.limits_max_minutes', locale, { minutes: Math.round(settings.maxTrackDuration / 60) })
+        );
+    }
+    if (settings.maxRequestsPerHour > 0) {
+        lines.push(t('command.settings.limits_per_hour', locale, { count: settings.maxRequestsPerHour }));
+    }
+    if (settings.blockLivestreams) {
+        lines.push(t('command.settings.limits_block_live', locale));
+    }
+    return lines.length > 0 ? lines.join('\n') : t('command.settings.limits_none', locale);
+}
+
+/**
+ * Configure per-member request limits
+ */
+async function handleLimits(interaction, client, locale) {
+    checkAdminPermission(interaction, locale);
+    await interaction.deferReply({ ephemeral: true });
+
+    const maxTracks = interaction.options.getInteger('max_tracks');
+    const maxMinutes = interaction.options.getInteger('max_minutes');
+    const perHour = interaction.options.getInteger('per_hour');
+    const blockLive = interaction.options.getBoolean('block_live');
+
+    const changes = {};
+    if (maxTracks !== null) changes.maxTracksPerUser = maxTracks;
+    if (maxMinutes !== null) changes.maxTrackDuration = maxMinutes * 60;
+    if (perHour !== null) changes.maxRequestsPerHour = perHour;
+    if (blockLive !== null) changes.blockLivestreams = blockLive;
+
+    if (Object.keys(changes).length === 0) {
+        throw new ValidationError(t('command.settings.limits_nothing', locale));
+    }
+
+    const success = GuildSettings.set(interaction.guildId, changes, interaction.guild.name);
+
+    if (!success) {
+        throw new Error(t('command.settings.server_update_failed', locale));
+    }
+
+    logSettingsChange(interaction, changes);
+
+    const settings = GuildSettings.get(interaction.guildId);
+
+    // Update current queue if exists; tracks already queued are kept
+    const queue = client.musicManager.getQueue(interaction.guildId);
+    if (queue) {
+        queue.setRequestLimits(GuildSettings.getRequestLimits(settings));
+    }
+
+    const embed = new EmbedBuilder()
+        .setColor(COLORS.SUCCESS)
+        .setTitle(t('command.settings.limits_title', locale))
+        .setDescription(`${formatRequestLimits(settings, locale)}${t('command.settings.limits_note', locale)}`)
+        .setFooter({ text: client.config.bot.footer })
+        .setTimestamp();
+
+    await interaction.editReply({ embeds: [embed] });
+}
+
+/**
+ * Describe the democratic mode vote thresholds, one line per action
+ * @param {Object} settings - Guild settings
+ * @param {string} locale - Locale code
+ * @returns {string}
+ */
+function formatVoteThresholds(settings, locale) {
+    return Object.values(VOTE_ACTIONS)
+        .map(action => {
+            const params = { action: t(`vote.action.${action}`, locale), threshold: settings.voteThresholds[action] };
+            return params.threshold > 0
+                ? t('command.settings.democratic_threshold', locale, params)
+                : t('command.settings.democratic_threshold_none', locale, params);
+        })
+        .join('\n');
+}
+
+/**
+ * Configure democratic mode and its per-action vote thresholds
+ */
+async function handleDemocratic(interaction, client, locale) {
+    checkAdminPermission(interaction, locale);
+    await interaction.deferReply({ ephemeral: true });
+
+    const enabled = interaction.options.getBoolean('enabled');
+    const action = interaction.options.getString('action');
+    const threshold = interaction.options.getInteger('threshold');
+
+    if ((action === null) !== (threshold === null)) {
+        throw new ValidationError(t('command.settings.democratic_pair', locale));
+    }
+
+    const changes = {};
+    if (enabled !== null) changes.democraticMode = enabled;
+    if (action !== null) {
+        const actions = action === 'all' ? Object.values(VOTE_ACTIONS) : [action];
+        changes.voteThresholds = Object.fromEntries(actions.map(name => [name, threshold]));
+    }
+
+    if (Object.keys(changes).length === 0) {
+        throw new ValidationError(t('command.settings.democratic_nothing', locale));
+    }
+
+    const success = GuildSettings.set(interaction.guildId, changes, interaction.guild.name);
+
+    if (!success) {
+        throw new Error(t('command.settings.server_update_failed', locale));
+    }
+
+    logSettingsChange(interaction, changes);
+
+    // Votes are read from guild settings when requested, so running queues need no update
+    const settings = GuildSettings.get(interaction.guildId);
+
+    const embed = new EmbedBuilder()
+        .setColor(settings.democraticMode ? COLORS.SETTINGS_ENABLED : COLORS.WARNING)
+        .setTitle(
+            t('command.settings.democratic_title', locale, {
+                state: t(settings.democraticMode ? 'command.settings.on_upper' : 'command.settings.off_upper', locale)
+            })
+        )
+        .setDescription(
+            settings.democraticMode
+                ? t('command.settings.democratic_on', locale) +
+                      (settings.djRoleId ? '' : t('command.settings.democratic_no_dj', locale))
+                : t('command.settings.democratic_off', locale)
+        )
+        .addFields({
+            name: t('command.settings.field_vote_thresholds', locale),
+            value: formatVoteThresholds(settings, locale)
+        })
+        .setFooter({ text: client.config.bot.footer })
+        .setTimestamp();
+
+    await interaction.editReply({ embeds: [embed] });
+}
+
+/**
+ * Configure song request approval and where pending requests are posted
+ */
+async function handleApproval(interaction, client, locale) {
+    checkAdminPermission(interaction, locale);
+    await interaction.deferReply({ ephemeral: true });
+
+    const enabled = interaction.options.getBoolean('enabled');
+    const channel = interaction.options.getChannel('channel');
+    const resetChannel = interaction.options.getBoolean('reset_channel');
+
+    if (enabled === null && !channel && !resetChannel) {
+        throw new ValidationError(t('command.settings.approval_nothing', locale));
+    }
+
+    if (channel) {
+        const canPost = channel
+            .permissionsFor(interaction.guild.members.me)
+            ?.has([PermissionFlagsBits.ViewChannel, PermissionFlagsBits.SendMessages, PermissionFlagsBits.EmbedLinks]);
+        if (!canPost) {
+            throw new ValidationError(
+                t('command.settings.announce_no_access', locale, { channel: `<#${channel.id}>` })
+            );
+        }
+    }
+
+    const changes = {};
+    if (enabled !== null) changes.requestApproval = enabled;
+    if (channel) {
+        changes.approvalChannelId = channel.id;
+    } else if (resetChannel) {
+        changes.approvalChannelId = null;
+    }
+
+    const success = GuildSettings.set(interaction.guildId, changes, interaction.guild.name);
+
+    if (!success) {
+        throw new Error(t('command.settings.server_update_failed', locale));
+    }
+
+    logSettingsChange(interaction, changes);
+
+    // Checked on every /play, so requests already pending are unaffected
+    const settings = GuildSettings.get(interaction.guildId);
+
+    const embed = new EmbedBuilder()
+        .setColor(settings.requestApproval ? COLORS.SETTINGS_ENABLED : COLORS.WARNING)
+        .setTitle(
+            t('command.settings.approval_title', locale, {
+                state: t(settings.requestApproval ? 'command.settings.on_upper' : 'command.settings.off_upper', locale)
+            })
+        )
+        .setDescription(
+            (settings.requestApproval
+                ? t('command.settings.approval_on', locale) +
+                  (settings.djRoleId ? '' : t('command.settings.approval_no_dj', locale))
+                : t('command.settings.approval_off', locale)) +
+                '\n\n' +
+                (settings.approvalChannelId
+                    ? t('command.settings.approval_in_channel', locale, { channel: `<#${settings.approvalChannelId}>` })
+                    : t('command.settings.approval_in_command_channel', locale))
+        )
+        .setFooter({ text: client.config.bot.footer })
+        .setTimestamp();
+
+    await interaction.editReply({ embeds: [embed] });
+}
+
+/**
+ * Describe the announcement mode and channel for an embed field
+ * @param {Object} settings - Guild settings
+ * @param {string} locale - Locale code
+ * @returns {string}
+ */
+function formatAnnounce(settings, locale) {
+    const mode = t(`command.settings.announce_mode_${settings.announceMode}`, locale);
+    return settings.announceChannelId ? `${mode} • <#${settings.announceChannelId}>` : mode;
+}
+
+/**
+ * Configure now-playing announcements
+ */
+async function handleAnnounce(interaction, client, locale) {
+    checkAdminPermission(interaction, locale);
+    await interaction.deferReply({ ephemeral: true });
+
+    const mode = interaction.options.getString('mode');
+    const channel = interaction.options.getChannel('channel');
+    const resetChannel = interaction.options.getBoolean('reset_channel');
+
+    if (!mode && !channel && !resetChannel) {
+        throw new ValidationError(t('command.settings.announce_nothing', locale));
+    }
+
+    if (channel) {
+        const canPost = channel
+            .permissionsFor(interaction.guild.members.me)
+            ?.has([PermissionFlagsBits.ViewChannel, PermissionFlagsBits.SendMessages, PermissionFlagsBits.EmbedLinks]);
+        if (!canPost) {
+            throw new ValidationError(
+                t('command.settings.announce_no_access', locale, { channel: `<#${channel.id}>` })
+            );
+        }
+    }
+
+    const changes = {};
+    if (mode) changes.announceMode = mode;
+    if (channel) {
+        changes.announceChannelId = channel.id;
+    } else if (resetChannel) {
+        changes.announceChannelId = null;
+    }
+
+    const success = GuildSettings.set(interaction.guildId, changes, interaction.guild.name);
+
+    if (!success) {
+        throw new Error(t('command.settings.server_update_failed', locale));
+    }
+
+    logSettingsChange(interaction, changes);
+
+    const settings = GuildSettings.get(interaction.guildId);
+    const embed = new EmbedBuilder()
+        .setColor(settings.announceMode === ANNOUNCE_MODES.OFF ? COLORS.INFO : COLORS.SUCCESS)
+        .setTitle(t('command.settings.announce_title', locale))
+        .setDescription(
+            `**${t(`command.settings.announce_mode_${settings.announceMode}`, locale)}**\n` +
+                t(`command.settings.announce_mode_${settings.announceMode}_desc`, locale) +
+                '\n\n' +
+                (settings.announceChannelId
+                    ? t('command.settings.announce_in_channel', locale, { channel: `<#${settings.announceChannelId}>` })
+                    : t('command.settings.announce_in_command_channel', locale)) +
+                t('command.settings.announce_next_track', locale)
+        )
+        .setFooter({ text: client.config.bot.footer })
+        .setTimestamp();
+
+    await interaction.editReply({ embeds: [embed] });
+}
+
+/**
+ * Set up or turn off the song request channel and its pinned player
+ */
+async function handleRequestChannel(interaction, client, locale) {
+    checkAdminPermission(interaction, locale);
+    await interaction.deferReply({ ephemeral: true });
+
+    const channel = interaction.options.getChannel('channel');
+    const disable = interaction.options.getBoolean('disable');
+
+    if (!channel && !disable) {
+        throw new ValidationError(t('command.settings.requestchannel_nothing', locale));
+    }
+
+    const manager = getRequestChannelManager();
+    const embed = new EmbedBuilder().setFooter({ text: client.config.bot.footer }).setTimestamp();
+
+    if (disable) {
+        await manager.disable(client, interaction.guildId);
+        logSettingsChange(interaction, { requestChannelId: null });
+
+        embed
+            .setColor(COLORS.WARNING)
+            .setTitle(t('command.settings.requestchannel_off_title', locale))
+            .setDescription(t('command.settings.requestchannel_off', locale));
+        await interaction.editReply({ embeds: [embed] });
+        return;
+    }
+
+    // Requests are deleted after reading and the player is edited in place, so the bot needs more than posting rights
+    const canManage = channel
+        .permissionsFor(interaction.guild.members.me)
+        ?.has([
+            PermissionFlagsBits.ViewChannel,
+            PermissionFlagsBits.SendMessages,
+            PermissionFlagsBits.EmbedLinks,
+            PermissionFlagsBits.ManageMessages,
+            PermissionFlagsBits.ReadMessageHistory
+        ]);
+    if (!canManage) {
+        throw new ValidationError(
+            t('command.settings.requestchannel_no_access', locale, { channel: `<#${channel.id}>` })
+        );
+    }
+
+    await manager.setup(client, channel);
+    logSettingsChange(interaction, { requestChannelId: channel.id });
+
+    embed
+        .setColor(COLORS.SUCCESS)
+        .setTitle(t('command.settings.requestchannel_on_title', locale))
+        .setDescription(t('command.settings.requestchannel_on', locale, { channel: `<#${channel.id}>` }));
+    await interaction.editReply({ embeds: [embed] });
+}
+
 /**
  * Show server settings
  */
-async function handleServerSettings(interaction, client) {
-    checkAdminPermission(interaction);
+async function handleServerSettings(interaction, client, locale) {
+    checkAdminPermission(interaction, locale);
     await interaction.deferReply({ ephemeral: true });
 
     const settings = GuildSettings.get(interaction.guildId);
@@ -547,47 +1389,86 @@ async function handleServerSettings(interaction, client) {
 
     const embed = new EmbedBuilder()
         .setColor(client.config.bot.color)
-        .setTitle('⚙️ Cài Đặt Server')
-        .setDescription(`Cấu hình cho **${interaction.guild.name}**`)
+        .setTitle(t('command.settings.server_title', locale))
+        .setDescription(t('command.settings.server_desc', locale, { guild: interaction.guild.name }))
         .addFields([
             {
-                name: '🎧 DJ Role',
-                value: djRole ? `<@&${djRole.id}>` : '*Chưa đặt*',
+                name: t('command.settings.field_djrole', locale),
+                value: djRole ? `<@&${djRole.id}>` : t('command.settings.not_set', locale),
                 inline: true
             },
             {
-                name: '🔒 DJ-Only Mode',
-                value: settings.djOnlyMode ? '✅ Bật' : '❌ Tắt',
+                name: t('command.settings.field_djonly', locale),
+                value: onOff(settings.djOnlyMode, locale),
                 inline: true
             },
             {
-                name: '🗳️ Vote Skip',
-                value: settings.voteSkipEnabled ? `✅ Bật (${settings.voteSkipPercentage}%)` : '❌ Tắt',
+                name: t('command.settings.field_voteskip', locale),
+                value: settings.voteSkipEnabled
+                    ? t('command.settings.on_percentage', locale, { percentage: settings.voteSkipPercentage })
+                    : onOff(false, locale),
                 inline: true
             },
             {
-                name: '🌙 24/7 Mode',
-                value: settings.twentyFourSeven ? '✅ Bật' : '❌ Tắt',
+                name: t('command.settings.field_247', locale),
+                value: onOff(settings.twentyFourSeven, locale),
                 inline: true
             },
             {
-                name: '📢 Thông báo bài hát',
-                value: settings.announceSongs ? '✅ Bật' : '❌ Tắt',
+                name: t('command.settings.field_announce', locale),
+                value: formatAnnounce(settings, locale),
                 inline: true
             },
             {
-                name: '🔊 Âm lượng mặc định',
+                name: t('command.settings.field_volume', locale),
                 value: `${settings.defaultVolume}%`,
                 inline: true
             },
             {
-                name: '🔄 Cho phép trùng lặp',
-                value: settings.allowDuplicates ? '✅ Cho phép' : '🚫 Chặn',
+                name: t('command.settings.field_duplicates', locale),
+                value: t(settings.allowDuplicates ? 'command.settings.allow' : 'command.settings.block', locale),
+                inline: true
+            },
+            {
+                name: t('command.settings.field_maxqueue', locale),
+                value: t('command.settings.tracks', locale, {
+                    count: settings.maxQueueSize ?? client.config?.music?.maxQueueSize ?? QUEUE.MAX_SIZE
+                }),
+                inline: true
+            },
+            {
+                name: t('command.settings.field_limits', locale),
+                value: formatRequestLimits(settings, locale),
+                inline: true
+            },
+            {
+                name: t('command.settings.field_fairshare', locale),
+                value: settings.fairShare
+                    ? t('command.settings.on_per_turn', locale, { cap: settings.fairShareCap })
+                    : onOff(false, locale),
+                inline: true
+            },
+            {
+                name: t('command.settings.field_democratic', locale),
+                value: settings.democraticMode ? formatVoteThresholds(settings, locale) : onOff(false, locale),
+                inline: true
+            },
+            {
+                name: t('command.settings.field_approval', locale),
+                value:
+                    settings.requestApproval && settings.approvalChannelId
+                        ? `${onOff(true, locale)} • <#${settings.approvalChannelId}>`
+                        : onOff(settings.requestApproval, locale),
+                inline: true
+            },
+            {
+                name: t('command.settings.field_request_channel', locale),
+                value: settings.requestChannelId ? `<#${settings.requestChannelId}>` : onOff(false, locale),
                 inline: true
             },
             {
-                name: '📋 Giới hạn hàng đợi',
-                value: `${settings.maxQueueSize} bài`,
+                name: t('command.settings.field_language', locale),
+                value: formatLanguage(settings.language, 'command.settings.language_auto_server', locale),
                 inline: true
             }
         ])
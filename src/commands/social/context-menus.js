@@ -23,9 +23,10 @@ import {
     ValidationError
 } from '../../utils/errors.js';
 import { commandRateLimiter } from '../../utils/rate-limiter.js';
-import Playlist from '../../database/models/Playlist.js';
+import Playlist, { PLAYLIST_KINDS } from '../../database/models/Playlist.js';
 import logger from '../../utils/logger.js';
 import { COLORS } from '../../config/design-system.js';
+import { t, getLocale, localizations } from '../../utils/i18n.js';
 
 /**
  * Extract track URLs from message content
@@ -64,15 +65,20 @@ function truncate(str, maxLength) {
  * Right-click on a message containing music links to add them to queue
  */
 export const addToQueueContextMenu = {
-    data: new ContextMenuCommandBuilder().setName('Thêm vào Queue').setType(ApplicationCommandType.Message),
+    data: new ContextMenuCommandBuilder()
+        .setName('Thêm vào Queue')
+        .setNameLocalizations(localizations('command.context_menu.add_to_queue'))
+        .setType(ApplicationCommandType.Message),
 
     async execute(interaction, client) {
         await interaction.deferReply({ ephemeral: true });
 
+        const locale = getLocale(interaction);
+
         try {
             // Check rate limit (prevent spam/abuse)
             const isAdmin = interaction.member?.permissions?.has('Administrator') || false;
-            const rateLimitCheck = commandRateLimiter.check(interaction.user.id, isAdmin);
+            const rateLimitCheck = commandRateLimiter.check(interaction.user.id, isAdmin, locale);
 
             if (!rateLimitCheck.allowed) {
                 logger.warn(`Rate limit exceeded for context menu: ${interaction.user.id}`);
@@ -80,9 +86,10 @@ export const addToQueueContextMenu = {
                     embeds: [
                         createErrorEmbed(
                             `⏱️ ${rateLimitCheck.reason}\n\n` +
-                                '**Thông tin:**\n' +
-                                `• Còn lại: ${rateLimitCheck.remaining} lệnh\n` +
-                                `• Reset sau: ${Math.ceil(rateLimitCheck.resetIn / 1000)} giây`,
+                                t('command.context_menu.rate_limit_info', locale, {
+                                    remaining: rateLimitCheck.remaining,
+                                    seconds: Math.ceil(rateLimitCheck.resetIn / 1000)
+                                }),
                             client.config
                         )
                     ]
@@ -100,10 +107,10 @@ export const addToQueueContextMenu = {
                     embeds: [
                         new EmbedBuilder()
                             .setColor(COLORS.ERROR)
-                            .setTitle('❌ Không Tìm Thấy Link Nhạc')
+                            .setTitle(t('command.context_menu.no_links_title', locale))
                             .setDescription(
-                                'Tin nhắn này không chứa link nhạc hợp lệ!\n\n' +
-                                    '**Hỗ trợ:**\n' +
+                                t('command.context_menu.no_links', locale) +
+                                    '\n' +
                                     '🔴 YouTube, YouTube Music\n' +
                                     '🟢 Spotify\n' +
                                     '🟠 SoundCloud\n' +
@@ -150,7 +157,9 @@ export const addToQueueContextMenu = {
 
             for (const url of urls) {
                 try {
-                    const result = await client.musicManager.search(url, interaction.user);
+                    const result = await client.musicManager.search(url, interaction.user, {
+                        guildId: interaction.guildId
+                    });
 
                     if (result && result.tracks && result.tracks.length > 0) {
                         const track = result.tracks[0];
@@ -179,7 +188,7 @@ export const addToQueueContextMenu = {
             // Build response embed
             const embed = new EmbedBuilder()
                 .setColor(client.config.bot.color)
-                .setTitle('✅ Đã Thêm Vào Queue')
+                .setTitle(t('command.context_menu.queue_added_title', locale))
                 .setTimestamp();
 
             // Different description based on track count
@@ -187,9 +196,11 @@ export const addToQueueContextMenu = {
                 const info = addedTracks[0].info;
                 embed.setDescription(
                     `**🎵 ${truncate(info.title, 50)}**\n` +
-                        `└ Tác giả: ${truncate(info.author, 30)}\n\n` +
-                        `📍 Vị trí: #${queue.tracks.length}\n` +
-                        `📊 Tổng queue: ${queue.tracks.length + (queue.current ? 1 : 0)} bài`
+                        t('command.context_menu.single_added', locale, {
+                            author: truncate(info.author, 30),
+                            position: queue.tracks.length,
+                            total: queue.tracks.length + (queue.current ? 1 : 0)
+                        })
                 );
 
                 if (info.artworkUrl) {
@@ -198,23 +209,29 @@ export const addToQueueContextMenu = {
             } else {
                 let trackList = addedTracks
                     .slice(0, 5)
-                    .map((t, i) => `${i + 1}. ${truncate(t.info?.title || 'Unknown', 40)}`)
+                    .map((track, i) => `${i + 1}. ${truncate(track.info?.title || 'Unknown', 40)}`)
                     .join('\n');
 
                 if (addedTracks.length > 5) {
-                    trackList += `\n...và ${addedTracks.length - 5} bài khác`;
+                    trackList += `\n${t('command.context_menu.more_tracks', locale, { count: addedTracks.length - 5 })}`;
                 }
 
                 embed.setDescription(
-                    `Đã thêm **${addedTracks.length}** bài hát vào hàng đợi!\n\n` +
-                        (failedUrls.length > 0 ? `⚠️ Không thể thêm: ${failedUrls.length} link\n\n` : '') +
-                        `**Danh sách:**\n${trackList}\n\n` +
-                        `📍 Vị trí: #${queue.tracks.length - addedTracks.length + 1}` +
+                    `${t('command.context_menu.multi_added', locale, { count: addedTracks.length })}\n\n` +
+                        (failedUrls.length > 0
+                            ? `${t('command.context_menu.links_failed_add', locale, { count: failedUrls.length })}\n\n`
+                            : '') +
+                        `${t('command.context_menu.track_list', locale, { list: trackList })}\n\n` +
+                        t('command.context_menu.position', locale, {
+                            position: queue.tracks.length - addedTracks.length + 1
+                        }) +
                         (addedTracks.length > 1 ? ` - #${queue.tracks.length}` : '')
                 );
             }
 
-            embed.setFooter({ text: `${client.config.bot.footer} • Từ tin nhắn của ${message.author.username}` });
+            embed.setFooter({
+                text: `${client.config.bot.footer} • ${t('command.context_menu.from_message', locale, { user: message.author.username })}`
+            });
 
             await interaction.editReply({ embeds: [embed] });
 
@@ -231,21 +248,29 @@ export const addToQueueContextMenu = {
  * Right-click on a message containing music links to add them to your playlist
  */
 export const addToPlaylistContextMenu = {
-    data: new ContextMenuCommandBuilder().setName('Thêm vào Playlist').setType(ApplicationCommandType.Message),
+    data: new ContextMenuCommandBuilder()
+        .setName('Thêm vào Playlist')
+        .setNameLocalizations(localizations('command.context_menu.add_to_playlist'))
+        .setType(ApplicationCommandType.Message),
 
     async execute(interaction, client) {
         await interaction.deferReply({ ephemeral: true });
 
+        const locale = getLocale(interaction);
+
         try {
             // Check rate limit
             const isAdmin = interaction.member?.permissions?.has('Administrator') || false;
-            const rateLimitCheck = commandRateLimiter.check(interaction.user.id, isAdmin);
+            const rateLimitCheck = commandRateLimiter.check(interaction.user.id, isAdmin, locale);
 
             if (!rateLimitCheck.allowed) {
                 return await interaction.editReply({
                     embeds: [
                         createErrorEmbed(
-                            `⏱️ ${rateLimitCheck.reason}\n\nReset sau: ${Math.ceil(rateLimitCheck.resetIn / 1000)} giây`,
+                            `⏱️ ${rateLimitCheck.reason}\n\n` +
+                                t('command.context_menu.rate_limit_reset', locale, {
+                                    seconds: Math.ceil(rateLimitCheck.resetIn / 1000)
+                                }),
                             client.config
                         )
                     ]
@@ -263,10 +288,10 @@ export const addToPlaylistContextMenu = {
                     embeds: [
                         new EmbedBuilder()
                             .setColor(COLORS.ERROR)
-                            .setTitle('❌ Không Tìm Thấy Link Nhạc')
+                            .setTitle(t('command.context_menu.no_links_title', locale))
                             .setDescription(
-                                'Tin nhắn này không chứa link nhạc hợp lệ!\n\n' +
-                                    '**Hỗ trợ:**\n' +
+                                t('command.context_menu.no_links', locale) +
+                                    '\n' +
                                     '🔴 YouTube, YouTube Music\n' +
                                     '🟢 Spotify\n' +
                                     '🟠 SoundCloud\n' +
@@ -278,27 +303,24 @@ export const addToPlaylistContextMenu = {
                 });
             }
 
-            // Get user's playlists
-            const userPlaylists = Playlist.getByOwner(interaction.user.id, interaction.guildId);
+            // Get user's playlists (smart playlists can't take tracks)
+            const userPlaylists = Playlist.getByOwner(interaction.user.id, interaction.guildId).filter(
+                pl => pl.kind !== PLAYLIST_KINDS.SMART
+            );
 
             // If user has no playlists, show create option
             if (userPlaylists.length === 0) {
                 const embed = new EmbedBuilder()
                     .setColor(COLORS.WARNING)
-                    .setTitle('📋 Chưa Có Playlist')
-                    .setDescription(
-                        'Bạn chưa có playlist nào!\n\n' +
-                            '**Tạo playlist mới:**\n' +
-                            '`/playlist create name:<tên>`\n\n' +
-                            `**Đã phát hiện ${urls.length} link nhạc** trong tin nhắn này.`
-                    )
+                    .setTitle(t('command.context_menu.no_playlists_title', locale))
+                    .setDescription(t('command.context_menu.no_playlists', locale, { count: urls.length }))
                     .setFooter({ text: client.config.bot.footer })
                     .setTimestamp();
 
                 const row = new ActionRowBuilder().addComponents(
                     new ButtonBuilder()
                         .setCustomId('playlist_create_modal')
-                        .setLabel('Tạo Playlist Mới')
+                        .setLabel(t('command.context_menu.create_playlist_button', locale))
                         .setEmoji('📝')
                         .setStyle(ButtonStyle.Success)
                 );
@@ -313,7 +335,9 @@ export const addToPlaylistContextMenu = {
             for (const url of urls.slice(0, 10)) {
                 // Limit to 10 tracks
                 try {
-                    const result = await client.musicManager.search(url, interaction.user);
+                    const result = await client.musicManager.search(url, interaction.user, {
+                        guildId: interaction.guildId
+                    });
                     if (result && result.tracks && result.tracks.length > 0) {
                         resolvedTracks.push({
                             url: result.tracks[0].info.uri,
@@ -332,9 +356,7 @@ export const addToPlaylistContextMenu = {
 
             if (resolvedTracks.length === 0) {
                 return await interaction.editReply({
-                    embeds: [
-                        createErrorEmbed('Không thể tải thông tin từ các link nhạc trong tin nhắn này!', client.config)
-                    ]
+                    embeds: [createErrorEmbed(t('command.context_menu.resolve_failed', locale), client.config)]
                 });
             }
 
@@ -364,14 +386,16 @@ export const addToPlaylistContextMenu = {
             // Build playlist select menu
             const playlistOptions = userPlaylists.slice(0, 25).map(pl => ({
                 label: truncate(pl.name, 50),
-                description: `${pl.track_count || 0} bài hát${pl.description ? ' • ' + truncate(pl.description, 30) : ''}`,
+                description:
+                    t('command.context_menu.playlist_option', locale, { count: pl.track_count || 0 }) +
+                    (pl.description ? ' • ' + truncate(pl.description, 30) : ''),
                 value: `${sessionId}_${pl.id}`,
                 emoji: pl.is_public ? '🌐' : '🔒'
             }));
 
             const selectMenu = new StringSelectMenuBuilder()
                 .setCustomId('context_menu_add_to_playlist')
-                .setPlaceholder('📋 Chọn playlist...')
+                .setPlaceholder(t('command.context_menu.select_placeholder', locale))
                 .addOptions(playlistOptions);
 
             const row = new ActionRowBuilder().addComponents(selectMenu);
@@ -379,29 +403,33 @@ export const addToPlaylistContextMenu = {
             // Track list for display
             let trackDisplay = resolvedTracks
                 .slice(0, 5)
-                .map((t, i) => `${i + 1}. **${truncate(t.title, 40)}**\n   └ ${truncate(t.author, 25)}`)
+                .map((track, i) => `${i + 1}. **${truncate(track.title, 40)}**\n   └ ${truncate(track.author, 25)}`)
                 .join('\n');
 
             if (resolvedTracks.length > 5) {
-                trackDisplay += `\n\n...và ${resolvedTracks.length - 5} bài khác`;
+                trackDisplay += `\n\n${t('command.context_menu.more_tracks', locale, { count: resolvedTracks.length - 5 })}`;
             }
 
             const embed = new EmbedBuilder()
                 .setColor(client.config.bot.color)
-                .setTitle('📋 Thêm Vào Playlist')
+                .setTitle(t('command.context_menu.playlist_title', locale))
                 .setDescription(
-                    `**Chọn playlist** để thêm ${resolvedTracks.length} bài hát:\n\n` +
+                    `${t('command.context_menu.choose_playlist', locale, { count: resolvedTracks.length })}\n\n` +
                         trackDisplay +
-                        (failedUrls.length > 0 ? `\n\n⚠️ ${failedUrls.length} link không thể tải` : '')
+                        (failedUrls.length > 0
+                            ? `\n\n${t('command.context_menu.links_failed_load', locale, { count: failedUrls.length })}`
+                            : '')
                 )
                 .addFields([
                     {
-                        name: '💡 Hướng dẫn',
-                        value: 'Chọn playlist từ menu bên dưới để thêm các bài hát này vào.',
+                        name: t('command.context_menu.guide_field', locale),
+                        value: t('command.context_menu.guide', locale),
                         inline: false
                     }
                 ])
-                .setFooter({ text: `${client.config.bot.footer} • Từ tin nhắn của ${message.author.username}` })
+                .setFooter({
+                    text: `${client.config.bot.footer} • ${t('command.context_menu.from_message', locale, { user: message.author.username })}`
+                })
                 .setTimestamp();
 
             await interaction.editReply({ embeds: [embed], components: [row] });
@@ -419,6 +447,8 @@ export const addToPlaylistContextMenu = {
  * This should be called from your interaction handler
  */
 export async function handleContextMenuPlaylistSelect(interaction, client) {
+    const locale = getLocale(interaction);
+
     try {
         await interaction.deferUpdate();
 
@@ -433,7 +463,7 @@ export async function handleContextMenuPlaylistSelect(interaction, client) {
         const sessions = client._contextMenuPlaylistSessions;
         if (!sessions) {
             return await interaction.followUp({
-                embeds: [createErrorEmbed('Phiên làm việc đã hết hạn. Vui lòng thử lại!', client.config)],
+                embeds: [createErrorEmbed(t('command.context_menu.session_expired', locale), client.config)],
                 ephemeral: true
             });
         }
@@ -444,7 +474,7 @@ export async function handleContextMenuPlaylistSelect(interaction, client) {
         if (!sessionData || sessionData.expiry < Date.now()) {
             sessions.delete(sessionKey);
             return await interaction.followUp({
-                embeds: [createErrorEmbed('Phiên làm việc đã hết hạn. Vui lòng thử lại!', client.config)],
+                embeds: [createErrorEmbed(t('command.context_menu.session_expired', locale), client.config)],
                 ephemeral: true
             });
         }
@@ -452,7 +482,7 @@ export async function handleContextMenuPlaylistSelect(interaction, client) {
         // Verify user
         if (sessionData.userId !== interaction.user.id) {
             return await interaction.followUp({
-                embeds: [createErrorEmbed('Bạn không có quyền thực hiện thao tác này!', client.config)],
+                embeds: [createErrorEmbed(t('command.context_menu.not_your_session', locale), client.config)],
                 ephemeral: true
             });
         }
@@ -465,7 +495,7 @@ export async function handleContextMenuPlaylistSelect(interaction, client) {
 
         // Verify ownership
         if (playlist.owner_id !== interaction.user.id) {
-            throw new ValidationError('Bạn không phải chủ sở hữu playlist này!', 'playlist');
+            throw new ValidationError(t('command.context_menu.not_owner', locale), 'playlist');
         }
 
         // Add tracks to playlist
@@ -499,38 +529,44 @@ export async function handleContextMenuPlaylistSelect(interaction, client) {
         // Build success embed
         const embed = new EmbedBuilder()
             .setColor(COLORS.SUCCESS)
-            .setTitle('✅ Đã Thêm Vào Playlist')
+            .setTitle(t('command.context_menu.playlist_added_title', locale))
             .setDescription(
                 `**${playlist.name}**\n\n` +
-                    `✨ Đã thêm: **${addedCount}** bài hát\n` +
-                    (skippedCount > 0 ? `⚠️ Bỏ qua: ${skippedCount} bài (đã tồn tại/lỗi)\n` : '') +
-                    `📊 Tổng playlist: **${finalTracks.length}** bài hát`
+                    `${t('command.context_menu.playlist_added', locale, { count: addedCount })}\n` +
+                    (skippedCount > 0
+                        ? `${t('command.context_menu.playlist_skipped', locale, { count: skippedCount })}\n`
+                        : '') +
+                    t('command.context_menu.playlist_total', locale, { count: finalTracks.length })
             )
             .addFields([
                 {
-                    name: '🎵 Bài hát đã thêm',
+                    name: t('command.context_menu.added_tracks_field', locale),
                     value:
                         sessionData.tracks
                             .slice(0, 5)
-                            .map((t, i) => `${i + 1}. ${truncate(t.title, 45)}`)
+                            .map((track, i) => `${i + 1}. ${truncate(track.title, 45)}`)
                             .join('\n') +
-                        (sessionData.tracks.length > 5 ? `\n...và ${sessionData.tracks.length - 5} bài khác` : ''),
+                        (sessionData.tracks.length > 5
+                            ? `\n${t('command.context_menu.more_tracks', locale, { count: sessionData.tracks.length - 5 })}`
+                            : ''),
                     inline: false
                 }
             ])
-            .setFooter({ text: `${client.config.bot.footer} • Từ tin nhắn của ${sessionData.messageAuthor}` })
+            .setFooter({
+                text: `${client.config.bot.footer} • ${t('command.context_menu.from_message', locale, { user: sessionData.messageAuthor })}`
+            })
             .setTimestamp();
 
         // Add action buttons
         const row = new ActionRowBuilder().addComponents(
             new ButtonBuilder()
                 .setCustomId(`playlist_play_${playlistId}`)
-                .setLabel('Phát Playlist')
+                .setLabel(t('command.context_menu.play_button', locale))
                 .setEmoji('▶️')
                 .setStyle(ButtonStyle.Success),
             new ButtonBuilder()
                 .setCustomId(`playlist_view_${playlistId}`)
-                .setLabel('Xem Playlist')
+                .setLabel(t('command.context_menu.view_button', locale))
                 .setEmoji('📋')
                 .setStyle(ButtonStyle.Primary)
         );
@@ -551,7 +587,7 @@ export async function handleContextMenuPlaylistSelect(interaction, client) {
     } catch (error) {
         logger.error('Handle context menu playlist select error', error);
         await interaction.followUp({
-            embeds: [createErrorEmbed(error.message || 'Có lỗi xảy ra!', client.config)],
+            embeds: [createErrorEmbed(error.message || t('command.context_menu.failed', locale), client.config)],
             ephemeral: true
         });
     }
@@ -1,100 +1,176 @@
 /**
  * Music Quiz Command
  * Interactive music guessing game
+ * Voice mode plays a short clip of a history track through the guild's player
  */
 
-import { 
-    SlashCommandBuilder, 
-    EmbedBuilder, 
-    ActionRowBuilder, 
-    ButtonBuilder, 
-    ButtonStyle 
-} from 'discord.js';
+import { SlashCommandBuilder, EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle } from 'discord.js';
 import History from '../../database/models/History.js';
+import QuizResult from '../../database/models/QuizResult.js';
+import { sendErrorResponse } from '../../UI/embeds/ErrorEmbeds.js';
+import {
+    MiyaoError,
+    UserNotInVoiceError,
+    VoiceChannelPermissionError,
+    DifferentVoiceChannelError
+} from '../../utils/errors.js';
+import { cleanTrackName, calculateSimilarity } from '../../utils/lyrics.js';
+import { t, getLocale, getGuildLocale, localizations } from '../../utils/i18n.js';
 import logger from '../../utils/logger.js';
 
 // Active quiz sessions
 const activeQuizzes = new Map();
 
+// Voice mode: clip length, extra answer time after the clip, and speed-based scoring
+const VOICE_CLIP_MIN_MS = 15000;
+const VOICE_CLIP_MAX_MS = 30000;
+const VOICE_ANSWER_GRACE_MS = 5000;
+const VOICE_MIN_TRACK_MS = 45000;
+const VOICE_BASE_POINTS = 5;
+const VOICE_SPEED_POINTS = 15;
+const VOICE_RESOLVE_ATTEMPTS = 5;
+const TYPED_ANSWER_SIMILARITY = 0.8;
+
 export default {
     data: new SlashCommandBuilder()
         .setName('quiz')
-        .setDescription('Start a music quiz game')
+        .setDescription('Bắt đầu trò chơi đoán nhạc')
+        .setDescriptionLocalizations(localizations('command.quiz.description'))
         .addStringOption(option =>
             option
                 .setName('mode')
-                .setDescription('Quiz mode')
+                .setDescription('Chế độ quiz')
+                .setDescriptionLocalizations(localizations('command.quiz.mode_option'))
                 .addChoices(
-                    { name: 'Guess the Song', value: 'song' },
-                    { name: 'Guess the Artist', value: 'artist' }
+                    {
+                        name: t('command.quiz.mode_song'),
+                        name_localizations: localizations('command.quiz.mode_song'),
+                        value: 'song'
+                    },
+                    {
+                        name: t('command.quiz.mode_artist'),
+                        name_localizations: localizations('command.quiz.mode_artist'),
+                        value: 'artist'
+                    },
+                    {
+                        name: t('command.quiz.mode_voice'),
+                        name_localizations: localizations('command.quiz.mode_voice'),
+                        value: 'voice'
+                    }
                 )
                 .setRequired(false)
         )
         .addIntegerOption(option =>
             option
                 .setName('questions')
-                .setDescription('Number of questions (1-10)')
+                .setDescription('Số câu hỏi (1-10)')
+                .setDescriptionLocalizations(localizations('command.quiz.questions_option'))
                 .setMinValue(1)
                 .setMaxValue(10)
                 .setRequired(false)
         ),
 
     async execute(interaction, client) {
+        let quizSession = null;
+
         try {
             await interaction.deferReply();
 
             const mode = interaction.options.getString('mode') || 'song';
             const questionCount = interaction.options.getInteger('questions') || 5;
             const guildId = interaction.guildId;
+            // Questions and results are shared by the channel; direct replies use the player's locale
+            const locale = getGuildLocale(guildId, interaction.guild);
 
             // Check if quiz already active in this channel
             if (activeQuizzes.has(interaction.channelId)) {
                 const embed = new EmbedBuilder()
                     .setColor('#FFA500')
-                    .setTitle('⚠️ Quiz Already Active')
-                    .setDescription('A quiz is already running in this channel. Please wait for it to finish!')
+                    .setTitle(t('command.quiz.already_active_title', getLocale(interaction)))
+                    .setDescription(t('command.quiz.already_active', getLocale(interaction)))
                     .setTimestamp();
 
                 return await interaction.editReply({ embeds: [embed] });
             }
 
+            // Create the session now: the channel stays reserved through the awaits below, so a
+            // second /quiz cannot pass the check above before this one is set up
+            quizSession = {
+                mode,
+                questionCount,
+                currentQuestion: 0,
+                score: 0,
+                participants: new Map(), // userId -> score
+                players: new Map(), // userId -> answer stats, persisted when the quiz ends
+                guildId,
+                startTime: Date.now(),
+                host: interaction.user.id,
+                locale,
+                queue: null,
+                voicePool: null,
+                usedUrls: new Set()
+            };
+            activeQuizzes.set(interaction.channelId, quizSession);
+
             // Get history to create questions
             const history = History.getGuildHistory(guildId, 100);
 
             if (!history || history.length < 10) {
                 const embed = new EmbedBuilder()
                     .setColor('#FFA500')
-                    .setTitle('❌ Insufficient Data')
-                    .setDescription('Need at least 10 tracks in server history to start a quiz. Play more music first!')
+                    .setTitle(t('command.quiz.insufficient_title', getLocale(interaction)))
+                    .setDescription(t('command.quiz.insufficient', getLocale(interaction)))
                     .setTimestamp();
 
+                await endQuiz(interaction.channelId, quizSession);
                 return await interaction.editReply({ embeds: [embed] });
             }
 
-            // Create quiz session
-            const quizSession = {
-                mode,
-                questionCount,
-                currentQuestion: 0,
-                score: 0,
-                participants: new Map(), // userId -> score
-                startTime: Date.now(),
-                host: interaction.user.id
-            };
+            // Voice mode needs enough distinct, long-enough tracks and the guild's player
+            let voicePool = null;
+            let queue = null;
+            if (mode === 'voice') {
+                voicePool = buildVoicePool(history);
+                if (voicePool.length < 4) {
+                    const embed = new EmbedBuilder()
+                        .setColor('#FFA500')
+                        .setTitle(t('command.quiz.insufficient_title', getLocale(interaction)))
+                        .setDescription(t('command.quiz.insufficient_voice', getLocale(interaction)))
+                        .setTimestamp();
+
+                    await endQuiz(interaction.channelId, quizSession);
+                    return await interaction.editReply({ embeds: [embed] });
+                }
+
+                queue = await getVoiceQueue(interaction, client);
+                if (!(await queue.suspendForQuiz())) {
+                    const embed = new EmbedBuilder()
+                        .setColor('#FFA500')
+                        .setTitle(t('command.quiz.already_active_title', getLocale(interaction)))
+                        .setDescription(t('command.quiz.already_active_voice', getLocale(interaction)))
+                        .setTimestamp();
+
+                    await endQuiz(interaction.channelId, quizSession);
+                    return await interaction.editReply({ embeds: [embed] });
+                }
+            }
 
-            activeQuizzes.set(interaction.channelId, quizSession);
+            quizSession.queue = queue;
+            quizSession.voicePool = voicePool;
+            quizSession.startTime = Date.now();
 
             // Show start screen
             const startEmbed = new EmbedBuilder()
                 .setColor('#00D9FF')
-                .setTitle('🎮 Music Quiz Starting!')
-                .setDescription([
-                    `**Mode:** ${mode === 'song' ? 'Guess the Song' : 'Guess the Artist'}`,
-                    `**Questions:** ${questionCount}`,
-                    `**Time per question:** 30 seconds`,
-                    `\nGet ready! First question coming up...`
-                ].join('\n'))
-                .setFooter({ text: `Hosted by ${interaction.user.username}` })
+                .setTitle(t('command.quiz.starting_title', locale))
+                .setDescription(
+                    t(mode === 'voice' ? 'command.quiz.starting_voice' : 'command.quiz.starting', locale, {
+                        mode: t(`command.quiz.mode_${mode}`, locale),
+                        questions: questionCount,
+                        channel: queue ? `<#${queue.voiceChannelId}>` : ''
+                    })
+                )
+                .setFooter({ text: t('command.quiz.hosted_by', locale, { user: interaction.user.username }) })
                 .setTimestamp();
 
             await interaction.editReply({ embeds: [startEmbed] });
@@ -104,14 +180,20 @@ export default {
 
             // Start quiz
             await askQuestion(interaction, client, history, quizSession);
-
         } catch (error) {
+            // Cleanup (hands the player back if a voice quiz got that far)
+            await endQuiz(interaction.channelId, quizSession);
+
+            if (error instanceof MiyaoError) {
+                return await sendErrorResponse(interaction, error, client.config);
+            }
+
             logger.error('Error in quiz command', { error });
 
             const errorEmbed = new EmbedBuilder()
                 .setColor('#FF0000')
-                .setTitle('❌ Error')
-                .setDescription('Failed to start quiz. Please try again.')
+                .setTitle(t('command.quiz.error_title', getLocale(interaction)))
+                .setDescription(t('command.quiz.error', getLocale(interaction)))
                 .setTimestamp();
 
             if (interaction.deferred) {
@@ -119,17 +201,149 @@ export default {
             } else {
                 await interaction.reply({ embeds: [errorEmbed], ephemeral: true });
             }
-
-            // Cleanup
-            activeQuizzes.delete(interaction.channelId);
         }
     }
 };
 
+/**
+ * End a quiz session and give the player back to the queue in voice mode
+ * @param {string} channelId - Channel the quiz runs in
+ * @param {Object|null} session - Quiz session
+ */
+async function endQuiz(channelId, session) {
+    if (activeQuizzes.get(channelId) === session) {
+        activeQuizzes.delete(channelId);
+    }
+
+    if (session?.queue) {
+        const queue = session.queue;
+        session.queue = null;
+        await queue.resumeAfterQuiz().catch(error => {
+            logger.error('Failed to restore queue after voice quiz', { guildId: queue.guildId, error });
+        });
+    }
+}
+
+/**
+ * Get (or create) the guild queue the voice quiz plays through
+ * @throws {UserNotInVoiceError|VoiceChannelPermissionError|DifferentVoiceChannelError}
+ */
+async function getVoiceQueue(interaction, client) {
+    const voiceChannel = interaction.member.voice?.channel;
+    if (!voiceChannel) throw new UserNotInVoiceError();
+
+    const permissions = voiceChannel.permissionsFor(interaction.client.user);
+    if (!permissions?.has(['ViewChannel', 'Connect', 'Speak'])) {
+        throw new VoiceChannelPermissionError(voiceChannel.name);
+    }
+
+    const queue = client.musicManager.getQueue(interaction.guildId);
+    if (queue) {
+        if (queue.voiceChannelId !== voiceChannel.id) throw new DifferentVoiceChannelError();
+        return queue;
+    }
+
+    return client.musicManager.createQueue(interaction.guildId, voiceChannel.id, interaction.channel);
+}
+
+/**
+ * History rows usable for voice questions: a playable URL, long enough for a clip, one per title
+ * @param {Array} history - Guild history rows
+ * @returns {Array}
+ */
+function buildVoicePool(history) {
+    const seenTitles = new Set();
+    return history.filter(row => {
+        if (!row.track_url || !row.track_title || (row.track_duration || 0) < VOICE_MIN_TRACK_MS) return false;
+        const key = row.track_title.toLowerCase();
+        if (seenTitles.has(key)) return false;
+        seenTitles.add(key);
+        return true;
+    });
+}
+
+/**
+ * Normalize a title or typed guess for comparison (no extras, accents or punctuation)
+ * @param {string} text
+ * @returns {string}
+ */
+function normalizeAnswer(text) {
+    return cleanTrackName(text || '')
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .replace(/đ/gi, 'd')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, ' ')
+        .trim();
+}
+
+/**
+ * Whether a typed guess names the track. "Artist - Title" uploads also accept the title alone.
+ * @param {string} guess - Message content
+ * @param {string} title - Track title from history
+ * @returns {boolean}
+ */
+function isTypedMatch(guess, title) {
+    const normalizedGuess = normalizeAnswer(guess);
+    if (normalizedGuess.length < 2) return false;
+
+    const candidates = [title];
+    const dash = title.lastIndexOf(' - ');
+    if (dash !== -1) candidates.push(title.slice(dash + 3));
+
+    return candidates.some(candidate => {
+        const normalized = normalizeAnswer(candidate);
+        return (
+            normalized.length > 0 &&
+            (normalized === normalizedGuess ||
+                calculateSimilarity(normalized, normalizedGuess) >= TYPED_ANSWER_SIMILARITY)
+        );
+    });
+}
+
+/**
+ * Pick an unused pool track, resolve it and start a random clip
+ * @returns {Promise<{row: Object, clipMs: number}|null>} Null if nothing could be played
+ */
+async function startVoiceClip(client, session, guildId) {
+    const candidates = session.voicePool
+        .filter(row => !session.usedUrls.has(row.track_url))
+        .sort(() => Math.random() - 0.5)
+        .slice(0, VOICE_RESOLVE_ATTEMPTS);
+
+    for (const row of candidates) {
+        session.usedUrls.add(row.track_url);
+
+        try {
+            const result = await client.musicManager.search(row.track_url, client.user, { guildId });
+            const track = result?.tracks?.[0];
+            const length = track?.info?.length || 0;
+            if (!track?.encoded || track.info.isStream || track.info.isSeekable === false) continue;
+            if (length < VOICE_MIN_TRACK_MS) continue;
+
+            // Random clip length, starting somewhere past the intro and before the outro
+            const clipMs = VOICE_CLIP_MIN_MS + Math.floor(Math.random() * (VOICE_CLIP_MAX_MS - VOICE_CLIP_MIN_MS + 1));
+            const latestStart = Math.max(0, length - clipMs - 5000);
+            const earliestStart = Math.min(Math.round(length * 0.15), latestStart);
+            const startMs = earliestStart + Math.floor(Math.random() * (latestStart - earliestStart + 1));
+
+            if (await session.queue.playQuizClip(track, startMs, clipMs)) {
+                return { row, clipMs };
+            }
+        } catch (error) {
+            logger.warn('Failed to resolve voice quiz track', { guildId, url: row.track_url, error: error.message });
+        }
+    }
+
+    return null;
+}
+
 /**
  * Ask a quiz question
  */
 async function askQuestion(interaction, client, history, session) {
+    const { locale } = session;
+
     try {
         session.currentQuestion++;
 
@@ -138,12 +352,16 @@ async function askQuestion(interaction, client, history, session) {
             return await showResults(interaction, session);
         }
 
+        if (session.mode === 'voice') {
+            return await askVoiceQuestion(interaction, client, history, session);
+        }
+
         // Select random track for question
         const correctTrack = history[Math.floor(Math.random() * history.length)];
 
         // Generate wrong answers
         const wrongTracks = history
-            .filter(t => t.id !== correctTrack.id)
+            .filter(track => track.id !== correctTrack.id)
             .sort(() => Math.random() - 0.5)
             .slice(0, 3);
 
@@ -153,26 +371,36 @@ async function askQuestion(interaction, client, history, session) {
         // Create question embed
         const questionEmbed = new EmbedBuilder()
             .setColor('#FFD700')
-            .setTitle(`🎵 Question ${session.currentQuestion}/${session.questionCount}`)
-            .setFooter({ text: '30 seconds to answer!' })
+            .setTitle(
+                t('command.quiz.question_title', locale, {
+                    current: session.currentQuestion,
+                    total: session.questionCount
+                })
+            )
+            .setFooter({ text: t('command.quiz.question_footer', locale) })
             .setTimestamp();
 
         if (session.mode === 'song') {
             questionEmbed.setDescription(
-                `**Artist:** ${correctTrack.track_author}\n\nWhat's the song name?`
+                t('command.quiz.question_song', locale, { artist: correctTrack.track_author })
             );
         } else {
             questionEmbed.setDescription(
-                `**Song:** ${correctTrack.track_title}\n\nWho's the artist?`
+                t('command.quiz.question_artist', locale, { title: correctTrack.track_title })
             );
         }
 
         // Create answer buttons
         const row = new ActionRowBuilder();
         options.forEach((track, index) => {
-            const label = session.mode === 'song' 
-                ? (track.track_title.length > 50 ? track.track_title.substring(0, 47) + '...' : track.track_title)
-                : (track.track_author.length > 50 ? track.track_author.substring(0, 47) + '...' : track.track_author);
+            const label =
+                session.mode === 'song'
+                    ? track.track_title.length > 50
+                        ? track.track_title.substring(0, 47) + '...'
+                        : track.track_title
+                    : track.track_author.length > 50
+                      ? track.track_author.substring(0, 47) + '...'
+                      : track.track_author;
 
             row.addComponents(
                 new ButtonBuilder()
@@ -188,6 +416,7 @@ async function askQuestion(interaction, client, history, session) {
         });
 
         // Store correct answer
+        const roundStart = Date.now();
         session.correctAnswer = correctTrack;
         session.answeredUsers = new Set();
 
@@ -196,11 +425,11 @@ async function askQuestion(interaction, client, history, session) {
             time: 30000 // 30 seconds
         });
 
-        collector.on('collect', async (i) => {
+        collector.on('collect', async i => {
             // Check if user already answered
             if (session.answeredUsers.has(i.user.id)) {
                 return await i.reply({
-                    content: '⚠️ You already answered this question!',
+                    content: t('command.quiz.already_answered', getLocale(i)),
                     ephemeral: true
                 });
             }
@@ -210,6 +439,7 @@ async function askQuestion(interaction, client, history, session) {
             // Check answer
             const [, , , isCorrect] = i.customId.split('_');
             const correct = isCorrect === 'true';
+            recordAnswer(session, i.user.id, correct, Date.now() - roundStart);
 
             if (correct) {
                 // Award points
@@ -217,43 +447,43 @@ async function askQuestion(interaction, client, history, session) {
                 session.participants.set(i.user.id, currentScore + 10);
 
                 await i.reply({
-                    content: '✅ **Correct!** +10 points',
+                    content: t('command.quiz.correct', getLocale(i)),
                     ephemeral: true
                 });
             } else {
                 await i.reply({
-                    content: `❌ **Wrong!** Correct answer: **${
-                        session.mode === 'song' 
-                            ? correctTrack.track_title 
-                            : correctTrack.track_author
-                    }**`,
+                    content: t('command.quiz.wrong', getLocale(i), {
+                        answer: session.mode === 'song' ? correctTrack.track_title : correctTrack.track_author
+                    }),
                     ephemeral: true
                 });
             }
         });
 
         collector.on('end', async () => {
+            breakMissedStreaks(session);
+
             // Disable buttons
-            const disabledRow = new ActionRowBuilder()
-                .addComponents(
-                    row.components.map(button => 
-                        ButtonBuilder.from(button).setDisabled(true)
-                    )
-                );
+            const disabledRow = new ActionRowBuilder().addComponents(
+                row.components.map(button => ButtonBuilder.from(button).setDisabled(true))
+            );
 
             await message.edit({ components: [disabledRow] }).catch(() => {});
 
             // Show correct answer
             const answerEmbed = new EmbedBuilder()
                 .setColor('#00FF00')
-                .setTitle('✅ Time\'s Up!')
-                .setDescription([
-                    `**Correct Answer:**`,
-                    session.mode === 'song' 
-                        ? `🎵 **${correctTrack.track_title}** by ${correctTrack.track_author}`
-                        : `👤 **${correctTrack.track_author}** - ${correctTrack.track_title}`,
-                    `\n${session.answeredUsers.size} player(s) answered`
-                ].join('\n'))
+                .setTitle(t('command.quiz.times_up_title', locale))
+                .setDescription(
+                    [
+                        t('command.quiz.correct_answer', locale),
+                        t(`command.quiz.answer_${session.mode}`, locale, {
+                            title: correctTrack.track_title,
+                            artist: correctTrack.track_author
+                        }),
+                        `\n${t('command.quiz.answered_count', locale, { count: session.answeredUsers.size })}`
+                    ].join('\n')
+                )
                 .setTimestamp();
 
             await interaction.followUp({ embeds: [answerEmbed] });
@@ -264,17 +494,248 @@ async function askQuestion(interaction, client, history, session) {
             // Next question
             await askQuestion(interaction, client, history, session);
         });
-
     } catch (error) {
         logger.error('Error in quiz question', { error });
-        activeQuizzes.delete(interaction.channelId);
+        await endQuiz(interaction.channelId, session);
     }
 }
 
+/**
+ * Ask a voice question: play a clip and accept button or typed answers, faster answers score more
+ */
+async function askVoiceQuestion(interaction, client, history, session) {
+    const { locale, queue } = session;
+
+    // The queue was stopped or the bot left voice mid-quiz
+    if (client.musicManager.getQueue(interaction.guildId) !== queue || !queue.quizActive) {
+        session.queue = null;
+        await interaction.followUp({ content: t('command.quiz.voice_lost', locale) });
+        return await showResults(interaction, session);
+    }
+
+    const round = await startVoiceClip(client, session, interaction.guildId);
+    if (!round) {
+        await interaction.followUp({ content: t('command.quiz.voice_no_tracks', locale) });
+        return await showResults(interaction, session);
+    }
+
+    const { row: correctTrack, clipMs } = round;
+    const answerWindow = clipMs + VOICE_ANSWER_GRACE_MS;
+
+    // Wrong options come from other titles in the pool
+    const correctTitle = correctTrack.track_title.toLowerCase();
+    const wrongTracks = session.voicePool
+        .filter(row => row.track_title.toLowerCase() !== correctTitle)
+        .sort(() => Math.random() - 0.5)
+        .slice(0, 3);
+    const options = [correctTrack, ...wrongTracks].sort(() => Math.random() - 0.5);
+
+    const questionEmbed = new EmbedBuilder()
+        .setColor('#FFD700')
+        .setTitle(
+            t('command.quiz.question_title', locale, {
+                current: session.currentQuestion,
+                total: session.questionCount
+            })
+        )
+        .setDescription(t('command.quiz.question_voice', locale, { seconds: Math.round(answerWindow / 1000) }))
+        .setFooter({ text: t('command.quiz.question_voice_footer', locale) })
+        .setTimestamp();
+
+    const row = new ActionRowBuilder();
+    options.forEach((track, index) => {
+        const label = track.track_title.length > 50 ? track.track_title.substring(0, 47) + '...' : track.track_title;
+
+        row.addComponents(
+            new ButtonBuilder()
+                .setCustomId(`quiz_answer_${index}_${track === correctTrack}`)
+                .setLabel(label)
+                .setStyle(ButtonStyle.Primary)
+        );
+    });
+
+    const message = await interaction.followUp({
+        embeds: [questionEmbed],
+        components: [row]
+    });
+
+    const roundStart = Date.now();
+    session.correctAnswer = correctTrack;
+    session.answeredUsers = new Set();
+    const roundWinners = [];
+
+    const award = userId => {
+        const elapsed = Date.now() - roundStart;
+        const points = VOICE_BASE_POINTS + Math.round(VOICE_SPEED_POINTS * Math.max(0, 1 - elapsed / answerWindow));
+        session.participants.set(userId, (session.participants.get(userId) || 0) + points);
+        recordAnswer(session, userId, true, elapsed);
+        roundWinners.push({ userId, points });
+        return { points, seconds: (elapsed / 1000).toFixed(1) };
+    };
+
+    const collector = message.createMessageComponentCollector({ time: answerWindow });
+    const typedCollector = interaction.channel.createMessageCollector({
+        filter: m => !m.author.bot,
+        time: answerWindow
+    });
+
+    collector.on('collect', async i => {
+        if (session.answeredUsers.has(i.user.id)) {
+            return await i.reply({
+                content: t('command.quiz.already_answered', getLocale(i)),
+                ephemeral: true
+            });
+        }
+
+        session.answeredUsers.add(i.user.id);
+
+        const [, , , isCorrect] = i.customId.split('_');
+        if (isCorrect === 'true') {
+            const { points, seconds } = award(i.user.id);
+            await i.reply({
+                content: t('command.quiz.voice_correct', getLocale(i), { points, seconds }),
+                ephemeral: true
+            });
+        } else {
+            recordAnswer(session, i.user.id, false, Date.now() - roundStart);
+            await i.reply({
+                content: t('command.quiz.wrong', getLocale(i), { answer: correctTrack.track_title }),
+                ephemeral: true
+            });
+        }
+    });
+
+    // Typed guesses can be retried until the player picks a button or gets it right
+    typedCollector.on('collect', async m => {
+        if (session.answeredUsers.has(m.author.id)) return;
+        if (!isTypedMatch(m.content, correctTrack.track_title)) return;
+
+        session.answeredUsers.add(m.author.id);
+        award(m.author.id);
+        await m.react('✅').catch(() => {});
+    });
+
+    collector.on('end', async () => {
+        try {
+            typedCollector.stop();
+            breakMissedStreaks(session);
+            await queue.stopQuizClip();
+
+            const disabledRow = new ActionRowBuilder().addComponents(
+                row.components.map(button => ButtonBuilder.from(button).setDisabled(true))
+            );
+            await message.edit({ components: [disabledRow] }).catch(() => {});
+
+            const lines = [
+                t('command.quiz.correct_answer', locale),
+                t('command.quiz.answer_song', locale, {
+                    title: correctTrack.track_title,
+                    artist: correctTrack.track_author
+                })
+            ];
+            if (roundWinners.length > 0) {
+                lines.push(
+                    `\n${t('command.quiz.voice_fastest', locale, {
+                        user: `<@${roundWinners[0].userId}>`,
+                        points: roundWinners[0].points
+                    })}`
+                );
+            }
+            lines.push(`\n${t('command.quiz.answered_count', locale, { count: session.answeredUsers.size })}`);
+
+            const answerEmbed = new EmbedBuilder()
+                .setColor('#00FF00')
+                .setTitle(t('command.quiz.times_up_title', locale))
+                .setDescription(lines.join('\n'))
+                .setTimestamp();
+
+            await interaction.followUp({ embeds: [answerEmbed], allowedMentions: { parse: [] } });
+
+            // Wait 2 seconds before next question
+            await new Promise(resolve => setTimeout(resolve, 2000));
+
+            await askQuestion(interaction, client, history, session);
+        } catch (error) {
+            logger.error('Error ending voice quiz question', { error });
+            await endQuiz(interaction.channelId, session);
+        }
+    });
+}
+
+/**
+ * Track a player's answer for the persisted stats
+ * @param {Object} session - Quiz session
+ * @param {string} userId - Player
+ * @param {boolean} correct - Whether the answer was right
+ * @param {number} elapsedMs - Time from question to answer
+ */
+function recordAnswer(session, userId, correct, elapsedMs) {
+    const player = session.players.get(userId) || {
+        answered: 0,
+        correct: 0,
+        totalAnswerMs: 0,
+        streak: 0,
+        bestStreak: 0
+    };
+
+    player.answered++;
+    player.totalAnswerMs += elapsedMs;
+    if (correct) {
+        player.correct++;
+        player.streak++;
+        player.bestStreak = Math.max(player.bestStreak, player.streak);
+    } else {
+        player.streak = 0;
+    }
+
+    session.players.set(userId, player);
+}
+
+/**
+ * Sitting a question out ends a player's streak too
+ * @param {Object} session - Quiz session
+ */
+function breakMissedStreaks(session) {
+    for (const [userId, player] of session.players) {
+        if (!session.answeredUsers.has(userId)) player.streak = 0;
+    }
+}
+
+/**
+ * Persist every player's result; the top scorer (if anyone scored) wins the game
+ * @param {Object} session - Quiz session
+ */
+function saveResults(session) {
+    let winnerId = null;
+    let bestScore = 0;
+    for (const [userId, score] of session.participants) {
+        if (score > bestScore) {
+            bestScore = score;
+            winnerId = userId;
+        }
+    }
+
+    QuizResult.recordGame(session.guildId, {
+        mode: session.mode,
+        questions: Math.min(session.currentQuestion - 1, session.questionCount),
+        players: Array.from(session.players.entries()).map(([userId, player]) => ({
+            userId,
+            answered: player.answered,
+            correct: player.correct,
+            points: session.participants.get(userId) || 0,
+            totalAnswerMs: player.totalAnswerMs,
+            bestStreak: player.bestStreak,
+            won: userId === winnerId
+        }))
+    });
+}
+
 /**
  * Show quiz results
  */
 async function showResults(interaction, session) {
+    const { locale } = session;
+
     try {
         // Sort participants by score
         const rankings = Array.from(session.participants.entries())
@@ -283,16 +744,20 @@ async function showResults(interaction, session) {
 
         const duration = Math.round((Date.now() - session.startTime) / 1000);
 
+        saveResults(session);
+
         const resultsEmbed = new EmbedBuilder()
             .setColor('#FFD700')
-            .setTitle('🏆 Quiz Complete!')
-            .setDescription(`**Mode:** ${session.mode === 'song' ? 'Guess the Song' : 'Guess the Artist'}\n**Duration:** ${duration}s`)
+            .setTitle(t('command.quiz.complete_title', locale))
+            .setDescription(
+                t('command.quiz.summary', locale, { mode: t(`command.quiz.mode_${session.mode}`, locale), duration })
+            )
             .setTimestamp();
 
         if (rankings.length === 0) {
             resultsEmbed.addFields({
-                name: '😢 No Participants',
-                value: 'Nobody answered any questions!'
+                name: t('command.quiz.no_participants_title', locale),
+                value: t('command.quiz.no_participants', locale)
             });
         } else {
             const leaderboardText = await Promise.all(
@@ -303,15 +768,18 @@ async function showResults(interaction, session) {
 
                     try {
                         const user = await interaction.client.users.fetch(userId);
-                        return `${rankDisplay} **${user.username}** - ${score} points`;
+                        return `${rankDisplay} ${t('command.quiz.points', locale, { user: `**${user.username}**`, score })}`;
                     } catch (error) {
-                        return `${rankDisplay} Unknown User - ${score} points`;
+                        return `${rankDisplay} ${t('command.quiz.points', locale, {
+                            user: t('command.quiz.unknown_user', locale),
+                            score
+                        })}`;
                     }
                 })
             );
 
             resultsEmbed.addFields({
-                name: '🏅 Leaderboard',
+                name: t('command.quiz.leaderboard', locale),
                 value: leaderboardText.join('\n')
             });
 
@@ -319,8 +787,8 @@ async function showResults(interaction, session) {
             const [winnerId] = rankings[0];
             try {
                 const winner = await interaction.client.users.fetch(winnerId);
-                resultsEmbed.setFooter({ 
-                    text: `👑 Winner: ${winner.username}`,
+                resultsEmbed.setFooter({
+                    text: t('command.quiz.winner', locale, { user: winner.username }),
                     iconURL: winner.displayAvatarURL()
                 });
             } catch (error) {
@@ -331,7 +799,7 @@ async function showResults(interaction, session) {
         await interaction.followUp({ embeds: [resultsEmbed] });
 
         // Cleanup
-        activeQuizzes.delete(interaction.channelId);
+        await endQuiz(interaction.channelId, session);
 
         logger.command('quiz', {
             mode: session.mode,
@@ -339,9 +807,8 @@ async function showResults(interaction, session) {
             participants: rankings.length,
             duration
         });
-
     } catch (error) {
         logger.error('Error showing quiz results', { error });
-        activeQuizzes.delete(interaction.channelId);
+        await endQuiz(interaction.channelId, session);
     }
 }
@@ -9,6 +9,7 @@ import { sendErrorResponse } from '../../UI/embeds/ErrorEmbeds.js';
 import logger from '../../utils/logger.js';
 import { formatDuration } from '../../utils/helpers.js';
 import History from '../../database/models/History.js';
+import { t, getLocale, intlLocale, localizations } from '../../utils/i18n.js';
 
 /** Discord embed field value limit */
 const MAX_FIELD_VALUE = 1024;
@@ -24,21 +25,36 @@ export default {
     data: new SlashCommandBuilder()
         .setName('history')
         .setDescription('Xem lịch sử nghe nhạc của bạn')
+        .setDescriptionLocalizations(localizations('command.history.description'))
         .addStringOption(option =>
             option
                 .setName('view')
                 .setDescription('Loại lịch sử muốn xem')
+                .setDescriptionLocalizations(localizations('command.history.view_option'))
                 .setRequired(false)
                 .addChoices(
-                    { name: '👤 Lịch sử cá nhân (tất cả server)', value: 'personal' },
-                    { name: '📋 Session hiện tại', value: 'session' },
-                    { name: '🏠 Lịch sử server này', value: 'server' }
+                    {
+                        name: '👤 Lịch sử cá nhân (tất cả server)',
+                        name_localizations: localizations('command.history.view_personal'),
+                        value: 'personal'
+                    },
+                    {
+                        name: '📋 Session hiện tại',
+                        name_localizations: localizations('command.history.view_session'),
+                        value: 'session'
+                    },
+                    {
+                        name: '🏠 Lịch sử server này',
+                        name_localizations: localizations('command.history.view_server'),
+                        value: 'server'
+                    }
                 )
         )
         .addIntegerOption(option =>
             option
                 .setName('limit')
                 .setDescription('Số lượng bài hát (mặc định: 10)')
+                .setDescriptionLocalizations(localizations('command.history.limit_option'))
                 .setRequired(false)
                 .setMinValue(5)
                 .setMaxValue(25)
@@ -48,6 +64,7 @@ export default {
         try {
             await interaction.deferReply();
 
+            const locale = getLocale(interaction);
             const view = interaction.options.getString('view') || 'personal';
             const limit = interaction.options.getInteger('limit') || 10;
 
@@ -56,14 +73,14 @@ export default {
 
             switch (view) {
                 case 'session':
-                    ({ embed, components } = await buildSessionHistory(interaction, client, limit));
+                    ({ embed, components } = await buildSessionHistory(interaction, client, limit, locale));
                     break;
                 case 'server':
-                    ({ embed, components } = await buildServerHistory(interaction, client, limit));
+                    ({ embed, components } = await buildServerHistory(interaction, client, limit, locale));
                     break;
                 case 'personal':
                 default:
-                    ({ embed, components } = await buildPersonalHistory(interaction, client, limit));
+                    ({ embed, components } = await buildPersonalHistory(interaction, client, limit, locale));
                     break;
             }
 
@@ -80,7 +97,7 @@ export default {
 /**
  * Build personal history from database (all servers)
  */
-async function buildPersonalHistory(interaction, client, limit) {
+async function buildPersonalHistory(interaction, client, limit, locale) {
     const history = History.getUserHistory(interaction.user.id, limit);
     const stats = History.getUserStats(interaction.user.id);
     const topTracks = History.getTopTracks(interaction.user.id, null, 5);
@@ -88,8 +105,8 @@ async function buildPersonalHistory(interaction, client, limit) {
     if (!history || history.length === 0) {
         const embed = new EmbedBuilder()
             .setColor(client.config.bot.color)
-            .setTitle('📜 Lịch Sử Nghe Nhạc Cá Nhân')
-            .setDescription('Bạn chưa có lịch sử nghe nhạc nào.\n\n' + '💡 Sử dụng `/play` để bắt đầu nghe nhạc!')
+            .setTitle(t('command.history.personal_title', locale))
+            .setDescription(t('command.history.personal_empty', locale))
             .setFooter({ text: client.config.bot.footer })
             .setTimestamp();
 
@@ -105,7 +122,7 @@ async function buildPersonalHistory(interaction, client, limit) {
                     : entry.track_title || 'Unknown';
             const author = entry.track_author || 'Unknown';
             const duration = entry.track_duration ? formatDuration(entry.track_duration) : '?:??';
-            const playedAt = new Date(entry.played_at).toLocaleDateString('vi-VN', {
+            const playedAt = new Date(entry.played_at).toLocaleDateString(intlLocale(locale), {
                 day: '2-digit',
                 month: '2-digit',
                 hour: '2-digit',
@@ -118,9 +135,11 @@ async function buildPersonalHistory(interaction, client, limit) {
 
     const embed = new EmbedBuilder()
         .setColor(client.config.bot.color)
-        .setTitle('📜 Lịch Sử Nghe Nhạc Cá Nhân')
+        .setTitle(t('command.history.personal_title', locale))
         .setDescription(description)
-        .setFooter({ text: `${client.config.bot.footer} • ${history.length} bài gần nhất` })
+        .setFooter({
+            text: `${client.config.bot.footer} • ${t('command.history.recent_footer', locale, { count: history.length })}`
+        })
         .setTimestamp();
 
     // Add stats if available
@@ -132,11 +151,13 @@ async function buildPersonalHistory(interaction, client, limit) {
 
         embed.addFields([
             {
-                name: '📊 Thống Kê Tổng Quan',
+                name: t('command.history.overview_field', locale),
                 value: truncateFieldValue(
-                    `🎵 **Tổng đã nghe:** ${stats.totalPlays} bài\n` +
-                        `⏱️ **Thời gian:** ${timeStr}\n` +
-                        `📅 **Lần đầu:** ${new Date(stats.firstPlayedAt).toLocaleDateString('vi-VN')}`
+                    t('command.history.overview', locale, {
+                        count: stats.totalPlays,
+                        time: timeStr,
+                        date: new Date(stats.firstPlayedAt).toLocaleDateString(intlLocale(locale))
+                    })
                 ),
                 inline: true
             }
@@ -146,17 +167,19 @@ async function buildPersonalHistory(interaction, client, limit) {
         if (topTracks && topTracks.length > 0) {
             const topList = topTracks
                 .slice(0, 3)
-                .map((t, i) => {
+                .map((track, i) => {
                     const emoji = ['🥇', '🥈', '🥉'][i];
                     const title =
-                        t.track_name?.length > 25 ? t.track_name.substring(0, 22) + '...' : t.track_name || 'Unknown';
-                    return `${emoji} ${title} (${t.play_count}x)`;
+                        track.track_name?.length > 25
+                            ? track.track_name.substring(0, 22) + '...'
+                            : track.track_name || 'Unknown';
+                    return `${emoji} ${title} (${track.play_count}x)`;
                 })
                 .join('\n');
 
             embed.addFields([
                 {
-                    name: '🔥 Nghe Nhiều Nhất',
+                    name: t('command.history.most_played_field', locale),
                     value: truncateFieldValue(topList),
                     inline: true
                 }
@@ -176,7 +199,7 @@ async function buildPersonalHistory(interaction, client, limit) {
 
         const selectMenu = new StringSelectMenuBuilder()
             .setCustomId(`history_personal_select_${interaction.user.id}`)
-            .setPlaceholder('🔄 Chọn bài hát để phát lại')
+            .setPlaceholder(t('command.history.replay_placeholder', locale))
             .addOptions(options);
 
         components.push(new ActionRowBuilder().addComponents(selectMenu));
@@ -209,18 +232,14 @@ async function buildPersonalHistory(interaction, client, limit) {
 /**
  * Build session history from current queue
  */
-async function buildSessionHistory(interaction, client, limit) {
+async function buildSessionHistory(interaction, client, limit, locale) {
     const queue = client.musicManager.getQueue(interaction.guildId);
 
     if (!queue) {
         const embed = new EmbedBuilder()
             .setColor(client.config.bot.color)
-            .setTitle('📋 Lịch Sử Session')
-            .setDescription(
-                'Không có session phát nhạc nào đang hoạt động.\n\n' +
-                    '💡 Sử dụng `/play` để bắt đầu nghe nhạc!\n' +
-                    '💡 Hoặc dùng `/history view:Lịch sử cá nhân` để xem lịch sử đã lưu.'
-            )
+            .setTitle(t('command.history.session_title', locale))
+            .setDescription(t('command.history.no_session', locale))
             .setFooter({ text: client.config.bot.footer })
             .setTimestamp();
 
@@ -232,10 +251,8 @@ async function buildSessionHistory(interaction, client, limit) {
     if (history.length === 0) {
         const embed = new EmbedBuilder()
             .setColor(client.config.bot.color)
-            .setTitle('📋 Lịch Sử Session')
-            .setDescription(
-                'Chưa có bài hát nào được phát trong session này.\n\n' + '💡 Sử dụng `/play` để bắt đầu nghe nhạc!'
-            )
+            .setTitle(t('command.history.session_title', locale))
+            .setDescription(t('command.history.session_empty', locale))
             .setFooter({ text: client.config.bot.footer })
             .setTimestamp();
 
@@ -248,7 +265,7 @@ async function buildSessionHistory(interaction, client, limit) {
     const description = recentTracks
         .map((track, index) => {
             if (!track?.info) {
-                return `**${index + 1}.** ❓ Unknown track`;
+                return `**${index + 1}.** ${t('command.history.unknown_track', locale)}`;
             }
 
             const title = track.info.title || 'Unknown';
@@ -264,9 +281,14 @@ async function buildSessionHistory(interaction, client, limit) {
 
     const embed = new EmbedBuilder()
         .setColor(client.config.bot.color)
-        .setTitle('📋 Lịch Sử Session')
+        .setTitle(t('command.history.session_title', locale))
         .setDescription(description)
-        .setFooter({ text: `${client.config.bot.footer} • ${recentTracks.length}/${history.length} bài gần nhất` })
+        .setFooter({
+            text: `${client.config.bot.footer} • ${t('command.history.session_footer', locale, {
+                shown: recentTracks.length,
+                total: history.length
+            })}`
+        })
         .setTimestamp();
 
     if (stats) {
@@ -278,11 +300,13 @@ async function buildSessionHistory(interaction, client, limit) {
 
         embed.addFields([
             {
-                name: '📊 Thống Kê Session',
+                name: t('command.history.session_stats_field', locale),
                 value: truncateFieldValue(
-                    `🎵 **Tổng đã phát:** ${stats.totalPlayed}\n` +
-                        `⏱️ **Thời gian:** ${playtimeStr}\n` +
-                        `⏭️ **Số lần skip:** ${stats.skips}`
+                    t('command.history.session_stats', locale, {
+                        count: stats.totalPlayed,
+                        time: playtimeStr,
+                        skips: stats.skips
+                    })
                 ),
                 inline: false
             }
@@ -295,7 +319,7 @@ async function buildSessionHistory(interaction, client, limit) {
 /**
  * Build server history from database
  */
-async function buildServerHistory(interaction, client, limit) {
+async function buildServerHistory(interaction, client, limit, locale) {
     const history = History.getGuildHistory(interaction.guildId, limit);
     const serverStats = History.getServerStats(interaction.guildId, 'week');
     const topTracks = History.getMostPlayed(interaction.guildId, 5, 'week');
@@ -303,10 +327,8 @@ async function buildServerHistory(interaction, client, limit) {
     if (!history || history.length === 0) {
         const embed = new EmbedBuilder()
             .setColor(client.config.bot.color)
-            .setTitle('🏠 Lịch Sử Server')
-            .setDescription(
-                'Server này chưa có lịch sử nghe nhạc nào.\n\n' + '💡 Sử dụng `/play` để bắt đầu nghe nhạc!'
-            )
+            .setTitle(t('command.history.server_title', locale))
+            .setDescription(t('command.history.server_empty', locale))
             .setFooter({ text: client.config.bot.footer })
             .setTimestamp();
 
@@ -322,7 +344,7 @@ async function buildServerHistory(interaction, client, limit) {
                     : entry.track_title || 'Unknown';
             const author = entry.track_author || 'Unknown';
             const duration = entry.track_duration ? formatDuration(entry.track_duration) : '?:??';
-            const playedAt = new Date(entry.played_at).toLocaleDateString('vi-VN', {
+            const playedAt = new Date(entry.played_at).toLocaleDateString(intlLocale(locale), {
                 day: '2-digit',
                 month: '2-digit',
                 hour: '2-digit',
@@ -335,9 +357,11 @@ async function buildServerHistory(interaction, client, limit) {
 
     const embed = new EmbedBuilder()
         .setColor(client.config.bot.color)
-        .setTitle('🏠 Lịch Sử Server')
+        .setTitle(t('command.history.server_title', locale))
         .setDescription(description)
-        .setFooter({ text: `${client.config.bot.footer} • ${history.length} bài gần nhất` })
+        .setFooter({
+            text: `${client.config.bot.footer} • ${t('command.history.recent_footer', locale, { count: history.length })}`
+        })
         .setTimestamp();
 
     // Add server stats
@@ -349,11 +373,13 @@ async function buildServerHistory(interaction, client, limit) {
 
         embed.addFields([
             {
-                name: '📊 Thống Kê Tuần Này',
+                name: t('command.history.week_stats_field', locale),
                 value: truncateFieldValue(
-                    `🎵 **Tổng đã phát:** ${serverStats.totalPlays} bài\n` +
-                        `👥 **Thành viên:** ${serverStats.uniqueUsers} người\n` +
-                        `⏱️ **Thời gian:** ${timeStr}`
+                    t('command.history.week_stats', locale, {
+                        count: serverStats.totalPlays,
+                        users: serverStats.uniqueUsers,
+                        time: timeStr
+                    })
                 ),
                 inline: true
             }
@@ -364,17 +390,19 @@ async function buildServerHistory(interaction, client, limit) {
     if (topTracks && topTracks.length > 0) {
         const topList = topTracks
             .slice(0, 3)
-            .map((t, i) => {
+            .map((track, i) => {
                 const emoji = ['🥇', '🥈', '🥉'][i];
                 const title =
-                    t.track_title?.length > 25 ? t.track_title.substring(0, 22) + '...' : t.track_title || 'Unknown';
-                return `${emoji} ${title} (${t.play_count}x)`;
+                    track.track_title?.length > 25
+                        ? track.track_title.substring(0, 22) + '...'
+                        : track.track_title || 'Unknown';
+                return `${emoji} ${title} (${track.play_count}x)`;
             })
             .join('\n');
 
         embed.addFields([
             {
-                name: '🔥 Hot Tuần Này',
+                name: t('command.history.week_hot_field', locale),
                 value: truncateFieldValue(topList),
                 inline: true
             }
@@ -5,22 +5,39 @@
 
 import { SlashCommandBuilder, EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle } from 'discord.js';
 import History from '../../database/models/History.js';
+import QuizResult from '../../database/models/QuizResult.js';
 import { sendErrorResponse } from '../../UI/embeds/ErrorEmbeds.js';
 import logger from '../../utils/logger.js';
 import { formatDuration } from '../../utils/helpers.js';
 import { COLORS } from '../../config/design-system.js';
+import { t, getLocale, localizations } from '../../utils/i18n.js';
 
 export default {
     data: new SlashCommandBuilder()
         .setName('leaderboard')
         .setDescription('Xem bảng xếp hạng nhạc của server')
+        .setDescriptionLocalizations(localizations('command.leaderboard.description'))
         .addStringOption(option =>
             option
                 .setName('type')
                 .setDescription('Loại bảng xếp hạng')
+                .setDescriptionLocalizations(localizations('command.leaderboard.type_option'))
                 .addChoices(
-                    { name: 'Người nghe nhiều nhất', value: 'users' },
-                    { name: 'Bài hát được nghe nhiều nhất', value: 'tracks' }
+                    {
+                        name: 'Người nghe nhiều nhất',
+                        name_localizations: localizations('command.leaderboard.type_users'),
+                        value: 'users'
+                    },
+                    {
+                        name: 'Bài hát được nghe nhiều nhất',
+                        name_localizations: localizations('command.leaderboard.type_tracks'),
+                        value: 'tracks'
+                    },
+                    {
+                        name: 'Quiz âm nhạc',
+                        name_localizations: localizations('command.leaderboard.type_quiz'),
+                        value: 'quiz'
+                    }
                 )
                 .setRequired(false)
         )
@@ -28,11 +45,28 @@ export default {
             option
                 .setName('period')
                 .setDescription('Khoảng thời gian')
+                .setDescriptionLocalizations(localizations('command.leaderboard.period_option'))
                 .addChoices(
-                    { name: 'Hôm nay', value: 'day' },
-                    { name: 'Tuần này', value: 'week' },
-                    { name: 'Tháng này', value: 'month' },
-                    { name: 'Tất cả', value: 'all' }
+                    {
+                        name: 'Hôm nay',
+                        name_localizations: localizations('command.leaderboard.period_day'),
+                        value: 'day'
+                    },
+                    {
+                        name: 'Tuần này',
+                        name_localizations: localizations('command.leaderboard.period_week'),
+                        value: 'week'
+                    },
+                    {
+                        name: 'Tháng này',
+                        name_localizations: localizations('command.leaderboard.period_month'),
+                        value: 'month'
+                    },
+                    {
+                        name: 'Tất cả',
+                        name_localizations: localizations('command.leaderboard.period_all'),
+                        value: 'all'
+                    }
                 )
                 .setRequired(false)
         ),
@@ -44,12 +78,13 @@ export default {
             const type = interaction.options.getString('type') || 'users';
             const period = interaction.options.getString('period') || 'all';
             const guildId = interaction.guildId;
+            const locale = getLocale(interaction);
 
             const periodNames = {
-                day: 'Hôm nay',
-                week: 'Tuần này',
-                month: 'Tháng này',
-                all: 'Tất cả'
+                day: t('command.leaderboard.period_day', locale),
+                week: t('command.leaderboard.period_week', locale),
+                month: t('command.leaderboard.period_month', locale),
+                all: t('command.leaderboard.period_all', locale)
             };
 
             if (type === 'users') {
@@ -59,8 +94,8 @@ export default {
                 if (!users || users.length === 0) {
                     const embed = new EmbedBuilder()
                         .setColor(COLORS.WARNING)
-                        .setTitle('🏆 Bảng xếp hạng')
-                        .setDescription('Chưa có dữ liệu. Hãy bắt đầu nghe nhạc!')
+                        .setTitle(t('command.leaderboard.title', locale))
+                        .setDescription(t('command.leaderboard.empty', locale))
                         .setFooter({ text: client.config.bot.footer })
                         .setTimestamp();
 
@@ -79,11 +114,15 @@ export default {
 
                     const embed = new EmbedBuilder()
                         .setColor(COLORS.PRIMARY)
-                        .setTitle('🏆 Bảng xếp hạng')
-                        .setDescription(`**${periodNames[period]}** • Người nghe nhiều nhất`)
+                        .setTitle(t('command.leaderboard.title', locale))
+                        .setDescription(t('command.leaderboard.users_heading', locale, { period: periodNames[period] }))
                         .setThumbnail(interaction.guild.iconURL({ dynamic: true }))
                         .setFooter({
-                            text: `Trang ${page + 1}/${totalPages} • Tổng ${users.length} người dùng | ${client.config.bot.footer}`
+                            text: `${t('command.leaderboard.users_footer', locale, {
+                                page: page + 1,
+                                pages: totalPages,
+                                count: users.length
+                            })} | ${client.config.bot.footer}`
                         })
                         .setTimestamp();
 
@@ -105,18 +144,19 @@ export default {
 
                                 return [
                                     `${rankDisplay} **${discordUser.username}**`,
-                                    `   🎵 ${user.play_count.toLocaleString()} lần phát`,
-                                    `   ⏱️ ${time} tổng`,
-                                    `   📊 TB: ${avgDuration}s mỗi bài`
+                                    `   ${t('command.leaderboard.user_plays', locale, { count: user.play_count.toLocaleString() })}`,
+                                    `   ${t('command.leaderboard.user_time', locale, { time })}`,
+                                    `   ${t('command.leaderboard.user_average', locale, { seconds: avgDuration })}`
                                 ].join('\n');
                             } catch (error) {
-                                return `${rankDisplay} Ẩn danh\n   🎵 ${user.play_count} lần phát`;
+                                const plays = t('command.leaderboard.user_plays', locale, { count: user.play_count });
+                                return `${rankDisplay} ${t('command.leaderboard.anonymous', locale)}\n   ${plays}`;
                             }
                         })
                     );
 
                     embed.setDescription(
-                        `**${periodNames[period]}** • Người nghe nhiều nhất\n\n${leaderboardText.join('\n\n')}`
+                        `${t('command.leaderboard.users_heading', locale, { period: periodNames[period] })}\n\n${leaderboardText.join('\n\n')}`
                     );
 
                     return embed;
@@ -162,7 +202,7 @@ export default {
                     collector.on('collect', async i => {
                         if (i.user.id !== interaction.user.id) {
                             return i.reply({
-                                content: '❌ Chỉ người dùng lệnh mới được chuyển trang!',
+                                content: t('command.leaderboard.page_owner_only', locale),
                                 ephemeral: true
                             });
                         }
@@ -221,6 +261,73 @@ export default {
                         message.edit({ components: [disabledRow] }).catch(() => {});
                     });
                 }
+            } else if (type === 'quiz') {
+                // Quiz leaderboard
+                const players = QuizResult.getLeaderboard(guildId, 15, period);
+
+                if (!players || players.length === 0) {
+                    const embed = new EmbedBuilder()
+                        .setColor(COLORS.WARNING)
+                        .setTitle(t('command.leaderboard.quiz_title', locale))
+                        .setDescription(t('command.leaderboard.quiz_empty', locale))
+                        .setFooter({ text: client.config.bot.footer })
+                        .setTimestamp();
+
+                    return await interaction.editReply({ embeds: [embed] });
+                }
+
+                const playersText = await Promise.all(
+                    players.map(async (player, index) => {
+                        const rank = index + 1;
+                        const medals = { 1: '🥇', 2: '🥈', 3: '🥉' };
+                        const rankDisplay = medals[rank] || `**#${rank}**`;
+
+                        let name = t('command.leaderboard.anonymous', locale);
+                        try {
+                            const discordUser = await client.users.fetch(player.user_id);
+                            name = discordUser.username;
+                        } catch (error) {
+                            // Keep anonymous
+                        }
+
+                        const accuracy = player.answered > 0 ? Math.round((player.correct / player.answered) * 100) : 0;
+                        const avgSeconds = (player.avg_answer_ms / 1000).toFixed(1);
+
+                        return [
+                            t('command.leaderboard.quiz_points', locale, {
+                                rank: rankDisplay,
+                                name,
+                                points: player.points.toLocaleString()
+                            }),
+                            t('command.leaderboard.quiz_accuracy', locale, {
+                                correct: player.correct,
+                                answered: player.answered,
+                                accuracy,
+                                seconds: avgSeconds
+                            }),
+                            t('command.leaderboard.quiz_record', locale, {
+                                games: player.games,
+                                wins: player.wins,
+                                streak: player.best_streak
+                            })
+                        ].join('\n');
+                    })
+                );
+
+                const embed = new EmbedBuilder()
+                    .setColor(COLORS.PRIMARY)
+                    .setTitle(t('command.leaderboard.quiz_title', locale))
+                    .setDescription(`**${periodNames[period]}**\n\n${playersText.join('\n\n')}`)
+                    .setThumbnail(interaction.guild.iconURL({ dynamic: true }))
+                    .setFooter({
+                        text: `${t('command.leaderboard.quiz_footer', locale, {
+                            count: players.length,
+                            period: periodNames[period]
+                        })} | ${client.config.bot.footer}`
+                    })
+                    .setTimestamp();
+
+                await interaction.editReply({ embeds: [embed] });
             } else {
                 // Tracks leaderboard
                 const tracks = History.getMostPlayed(guildId, 20, period);
@@ -228,8 +335,8 @@ export default {
                 if (!tracks || tracks.length === 0) {
                     const embed = new EmbedBuilder()
                         .setColor(COLORS.WARNING)
-                        .setTitle('🏆 Bảng xếp hạng')
-                        .setDescription('Chưa có dữ liệu. Hãy bắt đầu nghe nhạc!')
+                        .setTitle(t('command.leaderboard.title', locale))
+                        .setDescription(t('command.leaderboard.empty', locale))
                         .setFooter({ text: client.config.bot.footer })
                         .setTimestamp();
 
@@ -238,11 +345,14 @@ export default {
 
                 const embed = new EmbedBuilder()
                     .setColor(COLORS.PRIMARY)
-                    .setTitle('🏆 Bài hát phổ biến nhất')
+                    .setTitle(t('command.leaderboard.tracks_title', locale))
                     .setDescription(`**${periodNames[period]}**`)
                     .setThumbnail(interaction.guild.iconURL({ dynamic: true }))
                     .setFooter({
-                        text: `${tracks.length} bài hát • ${periodNames[period]} | ${client.config.bot.footer}`
+                        text: `${t('command.leaderboard.tracks_footer', locale, {
+                            count: tracks.length,
+                            period: periodNames[period]
+                        })} | ${client.config.bot.footer}`
                     })
                     .setTimestamp();
 
@@ -258,7 +368,11 @@ export default {
                                 ? track.track_title.substring(0, 37) + '...'
                                 : track.track_title;
 
-                        return `${rankDisplay} **${title}**\n   bởi ${track.track_author} • ${track.play_count} lần phát`;
+                        const line = t('command.leaderboard.track_line', locale, {
+                            author: track.track_author,
+                            count: track.play_count
+                        });
+                        return `${rankDisplay} **${title}**\n   ${line}`;
                     })
                     .join('\n\n');
 
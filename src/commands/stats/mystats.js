@@ -6,13 +6,47 @@
 
 import { SlashCommandBuilder, EmbedBuilder } from 'discord.js';
 import History from '../../database/models/History.js';
+import QuizResult from '../../database/models/QuizResult.js';
 import { EnhancedStatisticsService } from '../../database/models/Statistics.js';
 import { sendErrorResponse } from '../../UI/embeds/ErrorEmbeds.js';
 import { formatDuration } from '../../utils/helpers.js';
 import logger from '../../utils/logger.js';
+import { t, getLocale, intlLocale, localizations } from '../../utils/i18n.js';
+
+/**
+ * Add the user's quiz record to a stats embed, if they have played
+ * @param {EmbedBuilder} embed
+ * @param {string} userId
+ * @param {string} guildId
+ * @param {string} locale - Locale code
+ */
+function addQuizField(embed, userId, guildId, locale) {
+    const quiz = QuizResult.getUserStats(userId, guildId);
+    if (!quiz || !quiz.games) return;
+
+    const accuracy = quiz.answered > 0 ? Math.round((quiz.correct / quiz.answered) * 100) : 0;
+    const avgSeconds = (quiz.avg_answer_ms / 1000).toFixed(1);
+
+    embed.addFields([
+        {
+            name: t('command.mystats.quiz_title', locale),
+            value: [
+                t('command.mystats.quiz_games', locale, { games: quiz.games, wins: quiz.wins }),
+                t('command.mystats.quiz_points', locale, { points: quiz.points.toLocaleString() }),
+                t('command.mystats.quiz_correct', locale, { correct: quiz.correct, answered: quiz.answered, accuracy }),
+                t('command.mystats.quiz_speed', locale, { seconds: avgSeconds }),
+                t('command.mystats.quiz_streak', locale, { streak: quiz.best_streak })
+            ].join('\n'),
+            inline: false
+        }
+    ]);
+}
 
 export default {
-    data: new SlashCommandBuilder().setName('mystats').setDescription('Xem thống kê nghe nhạc cá nhân'),
+    data: new SlashCommandBuilder()
+        .setName('mystats')
+        .setDescription('Xem thống kê nghe nhạc cá nhân')
+        .setDescriptionLocalizations(localizations('command.mystats.description')),
 
     async execute(interaction, client) {
         await interaction.deferReply({ ephemeral: true });
@@ -20,6 +54,7 @@ export default {
         try {
             const userId = interaction.user.id;
             const guildId = interaction.guildId;
+            const locale = getLocale(interaction);
 
             // Get user stats from database
             const stats = History.getUserStats(userId, guildId);
@@ -27,11 +62,13 @@ export default {
             if (!stats || stats.totalPlays === 0) {
                 const embed = new EmbedBuilder()
                     .setColor(client.config.bot.color)
-                    .setTitle('📊 Thống Kê Của Bạn')
-                    .setDescription('Bạn chưa nghe nhạc nào qua bot!\n\nSử dụng `/play` để bắt đầu nghe nhạc.')
+                    .setTitle(t('command.mystats.empty_title', locale))
+                    .setDescription(t('command.mystats.empty', locale))
                     .setFooter({ text: client.config.bot.footer })
                     .setTimestamp();
 
+                addQuizField(embed, userId, guildId, locale);
+
                 return await interaction.editReply({ embeds: [embed] });
             }
 
@@ -42,18 +79,25 @@ export default {
             const totalHours = Math.floor(stats.totalListeningTime / 3600000);
             const totalMinutes = Math.floor((stats.totalListeningTime % 3600000) / 60000);
 
-            let description = '**Tổng quan hoạt động của bạn**\n\n';
+            const dateLocale = intlLocale(locale);
+            const overview = [
+                t('command.mystats.total_plays', locale, { count: stats.totalPlays.toLocaleString(dateLocale) }),
+                t('command.mystats.listening_time', locale, { hours: totalHours, minutes: totalMinutes }),
+                t('command.mystats.first_played', locale, {
+                    date: new Date(stats.firstPlayedAt).toLocaleDateString(dateLocale)
+                }),
+                t('command.mystats.last_played', locale, {
+                    date: new Date(stats.lastPlayedAt).toLocaleDateString(dateLocale)
+                })
+            ];
 
-            description += `**📈 Tổng số bài hát:** ${stats.totalPlays.toLocaleString()}\n`;
-            description += `**⏱️ Thời gian nghe:** ${totalHours}h ${totalMinutes}m\n`;
-            description += `**🎵 Lần đầu nghe:** ${new Date(stats.firstPlayedAt).toLocaleDateString('vi-VN')}\n`;
-            description += `**🕐 Lần cuối nghe:** ${new Date(stats.lastPlayedAt).toLocaleDateString('vi-VN')}\n\n`;
+            let description = `${t('command.mystats.overview', locale)}\n\n${overview.join('\n')}\n\n`;
 
             // Add streak info
             if (streak && streak.totalDays > 0) {
-                description += `**🔥 Streak hiện tại:** ${streak.currentStreak} ngày\n`;
-                description += `**🏆 Streak dài nhất:** ${streak.longestStreak} ngày\n`;
-                description += `**📅 Tổng số ngày nghe:** ${streak.totalDays} ngày\n\n`;
+                description += `${t('command.mystats.current_streak', locale, { days: streak.currentStreak })}\n`;
+                description += `${t('command.mystats.longest_streak', locale, { days: streak.longestStreak })}\n`;
+                description += `${t('command.mystats.total_days', locale, { days: streak.totalDays })}\n\n`;
             }
 
             const embed = new EmbedBuilder()
@@ -62,7 +106,7 @@ export default {
                     name: `${interaction.user.username}`,
                     iconURL: interaction.user.displayAvatarURL()
                 })
-                .setTitle('📊 Thống Kê Cá Nhân')
+                .setTitle(t('command.mystats.title', locale))
                 .setDescription(description);
 
             // Get top tracks
@@ -73,13 +117,13 @@ export default {
                         const emoji = ['🥇', '🥈', '🥉', '4️⃣', '5️⃣'][index];
                         const title =
                             track.track_name.length > 40 ? track.track_name.substring(0, 37) + '...' : track.track_name;
-                        return `${emoji} **${title}**\n   └ ${track.play_count} lần nghe`;
+                        return `${emoji} **${title}**\n   └ ${t('command.mystats.track_plays', locale, { count: track.play_count })}`;
                     })
                     .join('\n');
 
                 embed.addFields([
                     {
-                        name: '🎵 Top 5 Bài Hát',
+                        name: t('command.mystats.top_tracks_field', locale),
                         value: topTracksText,
                         inline: false
                     }
@@ -95,10 +139,10 @@ export default {
                 );
 
                 const timeRanges = {
-                    'Sáng sớm (0-6h)': [0, 1, 2, 3, 4, 5],
-                    'Buổi sáng (6-12h)': [6, 7, 8, 9, 10, 11],
-                    'Buổi chiều (12-18h)': [12, 13, 14, 15, 16, 17],
-                    'Buổi tối (18-24h)': [18, 19, 20, 21, 22, 23]
+                    early_morning: [0, 1, 2, 3, 4, 5],
+                    morning: [6, 7, 8, 9, 10, 11],
+                    afternoon: [12, 13, 14, 15, 16, 17],
+                    evening: [18, 19, 20, 21, 22, 23]
                 };
 
                 // Calculate plays by time range
@@ -111,12 +155,14 @@ export default {
 
                 const maxRange = rangeStats.reduce((max, current) => (current.count > max.count ? current : max));
 
-                let patternText = `**⏰ Giờ nghe nhiều nhất:** ${peakHour.hour_of_day}h (${peakHour.play_count} bài)\n`;
-                patternText += `**🌟 Thời gian yêu thích:** ${maxRange.name}`;
+                let patternText = `${t('command.mystats.peak_hour', locale, { hour: peakHour.hour_of_day, count: peakHour.play_count })}\n`;
+                patternText += t('command.mystats.favorite_time', locale, {
+                    range: t(`command.mystats.range_${maxRange.name}`, locale)
+                });
 
                 embed.addFields([
                     {
-                        name: '📈 Thói Quen Nghe Nhạc',
+                        name: t('command.mystats.patterns_field', locale),
                         value: patternText,
                         inline: false
                     }
@@ -125,31 +171,35 @@ export default {
 
             // Achievement badges based on activity
             const badges = [];
-            if (stats.totalPlays >= 1000) badges.push('🎖️ Nghiện Nhạc (1000+ bài)');
-            else if (stats.totalPlays >= 500) badges.push('🏅 Fan Cuồng (500+ bài)');
-            else if (stats.totalPlays >= 100) badges.push('🎵 Người Yêu Nhạc (100+ bài)');
+            if (stats.totalPlays >= 1000) badges.push('badge_1000_plays');
+            else if (stats.totalPlays >= 500) badges.push('badge_500_plays');
+            else if (stats.totalPlays >= 100) badges.push('badge_100_plays');
 
-            if (totalHours >= 100) badges.push('⏰ Thính Giả Hardcore (100h+)');
-            else if (totalHours >= 24) badges.push('🎧 Thính Giả Chăm Chỉ (24h+)');
+            if (totalHours >= 100) badges.push('badge_100_hours');
+            else if (totalHours >= 24) badges.push('badge_24_hours');
 
             if (streak) {
-                if (streak.currentStreak >= 30) badges.push('🔥 Streak Master (30+ ngày)');
-                else if (streak.currentStreak >= 7) badges.push('📅 Nghe Nhạc Hàng Ngày (7+ ngày)');
+                if (streak.currentStreak >= 30) badges.push('badge_30_streak');
+                else if (streak.currentStreak >= 7) badges.push('badge_7_streak');
 
-                if (streak.longestStreak >= 30) badges.push('🏆 Kỷ Lục Streak 30+');
+                if (streak.longestStreak >= 30) badges.push('badge_longest_streak');
             }
 
+            addQuizField(embed, userId, guildId, locale);
+
             if (badges.length > 0) {
                 embed.addFields([
                     {
-                        name: '🏆 Thành Tích',
-                        value: badges.join('\n'),
+                        name: t('command.mystats.badges_field', locale),
+                        value: badges.map(badge => t(`command.mystats.${badge}`, locale)).join('\n'),
                         inline: false
                     }
                 ]);
             }
 
-            embed.setFooter({ text: `${client.config.bot.footer} | Cập nhật realtime` }).setTimestamp();
+            embed
+                .setFooter({ text: `${client.config.bot.footer} | ${t('command.mystats.footer', locale)}` })
+                .setTimestamp();
 
             await interaction.editReply({ embeds: [embed] });
 
@@ -11,20 +11,39 @@ import { sendErrorResponse } from '../../UI/embeds/ErrorEmbeds.js';
 import { COLORS } from '../../config/design-system.js';
 import logger from '../../utils/logger.js';
 import { formatDuration } from '../../utils/helpers.js';
+import { t, getLocale, intlLocale, localizations } from '../../utils/i18n.js';
 
 export default {
     data: new SlashCommandBuilder()
         .setName('serverstats')
         .setDescription('Xem thống kê nghe nhạc của server')
+        .setDescriptionLocalizations(localizations('command.serverstats.description'))
         .addStringOption(option =>
             option
                 .setName('period')
                 .setDescription('Khoảng thời gian thống kê')
+                .setDescriptionLocalizations(localizations('command.serverstats.period_option'))
                 .addChoices(
-                    { name: 'Hôm nay', value: 'today' },
-                    { name: 'Tuần này', value: 'week' },
-                    { name: 'Tháng này', value: 'month' },
-                    { name: 'Tất cả', value: 'all' }
+                    {
+                        name: 'Hôm nay',
+                        name_localizations: localizations('command.serverstats.period_today'),
+                        value: 'today'
+                    },
+                    {
+                        name: 'Tuần này',
+                        name_localizations: localizations('command.serverstats.period_week'),
+                        value: 'week'
+                    },
+                    {
+                        name: 'Tháng này',
+                        name_localizations: localizations('command.serverstats.period_month'),
+                        value: 'month'
+                    },
+                    {
+                        name: 'Tất cả',
+                        name_localizations: localizations('command.serverstats.period_all'),
+                        value: 'all'
+                    }
                 )
                 .setRequired(false)
         )
@@ -32,12 +51,33 @@ export default {
             option
                 .setName('view')
                 .setDescription('Loại thống kê muốn xem')
+                .setDescriptionLocalizations(localizations('command.serverstats.view_option'))
                 .addChoices(
-                    { name: '📊 Tổng quan', value: 'overview' },
-                    { name: '🎵 Top bài hát', value: 'tracks' },
-                    { name: '👥 Top người nghe', value: 'listeners' },
-                    { name: '⏰ Giờ cao điểm', value: 'hours' },
-                    { name: '🎤 Top nghệ sĩ', value: 'artists' }
+                    {
+                        name: '📊 Tổng quan',
+                        name_localizations: localizations('command.serverstats.view_overview'),
+                        value: 'overview'
+                    },
+                    {
+                        name: '🎵 Top bài hát',
+                        name_localizations: localizations('command.serverstats.view_tracks'),
+                        value: 'tracks'
+                    },
+                    {
+                        name: '👥 Top người nghe',
+                        name_localizations: localizations('command.serverstats.view_listeners'),
+                        value: 'listeners'
+                    },
+                    {
+                        name: '⏰ Giờ cao điểm',
+                        name_localizations: localizations('command.serverstats.view_hours'),
+                        value: 'hours'
+                    },
+                    {
+                        name: '🎤 Top nghệ sĩ',
+                        name_localizations: localizations('command.serverstats.view_artists'),
+                        value: 'artists'
+                    }
                 )
                 .setRequired(false)
         ),
@@ -46,34 +86,30 @@ export default {
         try {
             await interaction.deferReply();
 
+            const locale = getLocale(interaction);
             const period = interaction.options.getString('period') || 'all';
             const view = interaction.options.getString('view') || 'overview';
             const guildId = interaction.guildId;
 
-            // Period names for display
-            const periodNames = {
-                today: 'Hôm nay',
-                week: 'Tuần này',
-                month: 'Tháng này',
-                all: 'Tất cả thời gian'
-            };
+            // Period name for display
+            const periodName = t(`command.serverstats.period_${period === 'all' ? 'all_name' : period}`, locale);
 
             // Get server statistics based on view type
             switch (view) {
                 case 'tracks':
-                    await showTopTracks(interaction, client, guildId, period, periodNames[period]);
+                    await showTopTracks(interaction, client, guildId, period, periodName, locale);
                     break;
                 case 'listeners':
-                    await showTopListeners(interaction, client, guildId, period, periodNames[period]);
+                    await showTopListeners(interaction, client, guildId, period, periodName, locale);
                     break;
                 case 'hours':
-                    await showPeakHours(interaction, client, guildId, period, periodNames[period]);
+                    await showPeakHours(interaction, client, guildId, period, periodName, locale);
                     break;
                 case 'artists':
-                    await showTopArtists(interaction, client, guildId, period, periodNames[period]);
+                    await showTopArtists(interaction, client, guildId, period, periodName, locale);
                     break;
                 default:
-                    await showOverview(interaction, client, guildId, period, periodNames[period]);
+                    await showOverview(interaction, client, guildId, period, periodName, locale);
             }
 
             logger.command('serverstats', interaction.user.id, guildId);
@@ -87,14 +123,14 @@ export default {
 /**
  * Show overview statistics
  */
-async function showOverview(interaction, client, guildId, period, periodName) {
+async function showOverview(interaction, client, guildId, period, periodName, locale) {
     const stats = History.getServerStats(guildId, period);
 
     if (!stats) {
         const embed = new EmbedBuilder()
             .setColor(COLORS.WARNING)
-            .setTitle('📊 Chưa Có Thống Kê')
-            .setDescription('Chưa có ai nghe nhạc trong server này. Hãy bắt đầu phát nhạc!')
+            .setTitle(t('command.serverstats.empty_title', locale))
+            .setDescription(t('command.serverstats.empty', locale))
             .setFooter({ text: client.config.bot.footer })
             .setTimestamp();
 
@@ -111,7 +147,7 @@ async function showOverview(interaction, client, guildId, period, periodName) {
     // Build embed
     const embed = new EmbedBuilder()
         .setColor(COLORS.INFO)
-        .setTitle(`📊 Thống Kê ${interaction.guild.name}`)
+        .setTitle(t('command.serverstats.title', locale, { guild: interaction.guild.name }))
         .setThumbnail(interaction.guild.iconURL({ dynamic: true }))
         .setDescription(`**${periodName}**`)
         .setFooter({ text: client.config.bot.footer })
@@ -120,12 +156,14 @@ async function showOverview(interaction, client, guildId, period, periodName) {
     // Overall statistics
     const listeningTime = formatDuration(stats.totalDuration);
     embed.addFields({
-        name: '📈 Tổng Quan',
+        name: t('command.serverstats.overview_field', locale),
         value: [
-            `🎵 **Tổng lượt phát:** ${stats.totalPlays.toLocaleString()}`,
-            `👥 **Người dùng hoạt động:** ${stats.uniqueUsers}`,
-            `🎼 **Bài hát khác nhau:** ${stats.uniqueTracks}`,
-            `⏱️ **Tổng thời gian nghe:** ${listeningTime}`
+            t('command.serverstats.total_plays', locale, {
+                count: stats.totalPlays.toLocaleString(intlLocale(locale))
+            }),
+            t('command.serverstats.active_users', locale, { count: stats.uniqueUsers }),
+            t('command.serverstats.unique_tracks', locale, { count: stats.uniqueTracks }),
+            t('command.serverstats.listening_time', locale, { time: listeningTime })
         ].join('\n'),
         inline: false
     });
@@ -138,13 +176,13 @@ async function showOverview(interaction, client, guildId, period, periodName) {
                 const emoji = ['🥇', '🥈', '🥉'][index];
                 const title =
                     track.track_title.length > 30 ? track.track_title.substring(0, 27) + '...' : track.track_title;
-                return `${emoji} ${title} (${track.play_count} lần)`;
+                return `${emoji} ${title} (${t('command.serverstats.play_count', locale, { count: track.play_count })})`;
             })
             .join('\n');
 
         embed.addFields({
-            name: '🎵 Top Bài Hát',
-            value: tracksText + '\n*Dùng `/serverstats view:tracks` để xem thêm*',
+            name: t('command.serverstats.top_tracks_field', locale),
+            value: `${tracksText}\n${t('command.serverstats.see_more', locale, { view: 'tracks' })}`,
             inline: true
         });
     }
@@ -164,8 +202,8 @@ async function showOverview(interaction, client, guildId, period, periodName) {
         );
 
         embed.addFields({
-            name: '👑 Top Người Nghe',
-            value: usersText.join('\n') + '\n*Dùng `/serverstats view:listeners` để xem thêm*',
+            name: t('command.serverstats.top_listeners_field', locale),
+            value: `${usersText.join('\n')}\n${t('command.serverstats.see_more', locale, { view: 'listeners' })}`,
             inline: true
         });
     }
@@ -178,8 +216,8 @@ async function showOverview(interaction, client, guildId, period, periodName) {
             .join('\n');
 
         embed.addFields({
-            name: '⏰ Giờ Cao Điểm',
-            value: peakText + '\n*Dùng `/serverstats view:hours` để xem thêm*',
+            name: t('command.serverstats.peak_hours_field', locale),
+            value: `${peakText}\n${t('command.serverstats.see_more', locale, { view: 'hours' })}`,
             inline: true
         });
     }
@@ -190,14 +228,14 @@ async function showOverview(interaction, client, guildId, period, periodName) {
 /**
  * Show top tracks detailed view
  */
-async function showTopTracks(interaction, client, guildId, period, periodName) {
+async function showTopTracks(interaction, client, guildId, period, periodName, locale) {
     const tracks = TrackStatistics.getTopTracksByPeriod(guildId, 10, period);
 
     if (!tracks || tracks.length === 0) {
         const embed = new EmbedBuilder()
             .setColor(COLORS.WARNING)
-            .setTitle('🎵 Top Bài Hát')
-            .setDescription(`Chưa có dữ liệu cho **${periodName}**`)
+            .setTitle(t('command.serverstats.top_tracks_title', locale))
+            .setDescription(t('command.serverstats.no_data', locale, { period: periodName }))
             .setFooter({ text: client.config.bot.footer })
             .setTimestamp();
         return interaction.editReply({ embeds: [embed] });
@@ -205,7 +243,7 @@ async function showTopTracks(interaction, client, guildId, period, periodName) {
 
     const embed = new EmbedBuilder()
         .setColor(COLORS.INFO)
-        .setTitle(`🎵 Top 10 Bài Hát - ${periodName}`)
+        .setTitle(t('command.serverstats.top_tracks_period', locale, { period: periodName }))
         .setThumbnail(interaction.guild.iconURL({ dynamic: true }))
         .setFooter({ text: client.config.bot.footer })
         .setTimestamp();
@@ -216,7 +254,12 @@ async function showTopTracks(interaction, client, guildId, period, periodName) {
             const title =
                 track.track_title.length > 35 ? track.track_title.substring(0, 32) + '...' : track.track_title;
             const listeners = track.unique_listeners || 1;
-            return `${medal} **${title}**\n   └ ${track.track_author} • ${track.play_count} lần • ${listeners} người nghe`;
+            const line = t('command.serverstats.track_line', locale, {
+                author: track.track_author,
+                plays: track.play_count,
+                listeners
+            });
+            return `${medal} **${title}**\n   └ ${line}`;
         })
         .join('\n\n');
 
@@ -228,14 +271,14 @@ async function showTopTracks(interaction, client, guildId, period, periodName) {
 /**
  * Show top listeners with listening time
  */
-async function showTopListeners(interaction, client, guildId, period, periodName) {
+async function showTopListeners(interaction, client, guildId, period, periodName, locale) {
     const listeners = EnhancedStatisticsService.getListeningTimePerUser(guildId, period, 10);
 
     if (!listeners || listeners.length === 0) {
         const embed = new EmbedBuilder()
             .setColor(COLORS.WARNING)
-            .setTitle('👥 Top Người Nghe')
-            .setDescription(`Chưa có dữ liệu cho **${periodName}**`)
+            .setTitle(t('command.serverstats.top_listeners_title', locale))
+            .setDescription(t('command.serverstats.no_data', locale, { period: periodName }))
             .setFooter({ text: client.config.bot.footer })
             .setTimestamp();
         return interaction.editReply({ embeds: [embed] });
@@ -243,7 +286,7 @@ async function showTopListeners(interaction, client, guildId, period, periodName
 
     const embed = new EmbedBuilder()
         .setColor(COLORS.INFO)
-        .setTitle(`👥 Top 10 Người Nghe - ${periodName}`)
+        .setTitle(t('command.serverstats.top_listeners_period', locale, { period: periodName }))
         .setThumbnail(interaction.guild.iconURL({ dynamic: true }))
         .setFooter({ text: client.config.bot.footer })
         .setTimestamp();
@@ -258,9 +301,18 @@ async function showTopListeners(interaction, client, guildId, period, periodName
 
             try {
                 const discordUser = await client.users.fetch(listener.user_id);
-                return `${medal} **${discordUser.username}**\n   └ ${listener.tracks_played} bài • ${timeStr} • ${listener.unique_tracks} bài khác nhau`;
+                const line = t('command.serverstats.listener_line', locale, {
+                    tracks: listener.tracks_played,
+                    time: timeStr,
+                    unique: listener.unique_tracks
+                });
+                return `${medal} **${discordUser.username}**\n   └ ${line}`;
             } catch (error) {
-                return `${medal} **User**\n   └ ${listener.tracks_played} bài • ${timeStr}`;
+                const line = t('command.serverstats.listener_line_short', locale, {
+                    tracks: listener.tracks_played,
+                    time: timeStr
+                });
+                return `${medal} **User**\n   └ ${line}`;
             }
         })
     );
@@ -273,30 +325,30 @@ async function showTopListeners(interaction, client, guildId, period, periodName
 /**
  * Show peak usage hours with chart
  */
-async function showPeakHours(interaction, client, guildId, period, periodName) {
+async function showPeakHours(interaction, client, guildId, period, periodName, locale) {
     const hourlyData = EnhancedStatisticsService.getPeakUsageHours(guildId, period);
 
     if (!hourlyData || hourlyData.every(h => h.play_count === 0)) {
         const embed = new EmbedBuilder()
             .setColor(COLORS.WARNING)
-            .setTitle('⏰ Giờ Cao Điểm')
-            .setDescription(`Chưa có dữ liệu cho **${periodName}**`)
+            .setTitle(t('command.serverstats.peak_hours_title', locale))
+            .setDescription(t('command.serverstats.no_data', locale, { period: periodName }))
             .setFooter({ text: client.config.bot.footer })
             .setTimestamp();
         return interaction.editReply({ embeds: [embed] });
     }
 
-    const chart = EnhancedStatisticsService.generateActivityChart(hourlyData);
+    const chart = EnhancedStatisticsService.generateActivityChart(hourlyData, 24, locale);
     const totalPlays = hourlyData.reduce((sum, h) => sum + h.play_count, 0);
 
     const embed = new EmbedBuilder()
         .setColor(COLORS.INFO)
-        .setTitle(`⏰ Hoạt Động Theo Giờ - ${periodName}`)
+        .setTitle(t('command.serverstats.hours_period', locale, { period: periodName }))
         .setThumbnail(interaction.guild.iconURL({ dynamic: true }))
         .setDescription(`\`\`\`\n${chart}\n\`\`\``)
         .addFields({
-            name: '📊 Tổng kết',
-            value: `Tổng lượt phát: **${totalPlays}**\nDữ liệu từ: **${periodName}**`,
+            name: t('command.serverstats.summary_field', locale),
+            value: t('command.serverstats.summary', locale, { count: totalPlays, period: periodName }),
             inline: false
         })
         .setFooter({ text: client.config.bot.footer })
@@ -308,14 +360,14 @@ async function showPeakHours(interaction, client, guildId, period, periodName) {
 /**
  * Show top artists breakdown
  */
-async function showTopArtists(interaction, client, guildId, period, periodName) {
+async function showTopArtists(interaction, client, guildId, period, periodName, locale) {
     const artists = EnhancedStatisticsService.getArtistBreakdown(guildId, period, 10);
 
     if (!artists || artists.length === 0) {
         const embed = new EmbedBuilder()
             .setColor(COLORS.WARNING)
-            .setTitle('🎤 Top Nghệ Sĩ')
-            .setDescription(`Chưa có dữ liệu cho **${periodName}**`)
+            .setTitle(t('command.serverstats.top_artists_title', locale))
+            .setDescription(t('command.serverstats.no_data', locale, { period: periodName }))
             .setFooter({ text: client.config.bot.footer })
             .setTimestamp();
         return interaction.editReply({ embeds: [embed] });
@@ -323,7 +375,7 @@ async function showTopArtists(interaction, client, guildId, period, periodName)
 
     const embed = new EmbedBuilder()
         .setColor(COLORS.INFO)
-        .setTitle(`🎤 Top 10 Nghệ Sĩ - ${periodName}`)
+        .setTitle(t('command.serverstats.top_artists_period', locale, { period: periodName }))
         .setThumbnail(interaction.guild.iconURL({ dynamic: true }))
         .setFooter({ text: client.config.bot.footer })
         .setTimestamp();
@@ -332,7 +384,12 @@ async function showTopArtists(interaction, client, guildId, period, periodName)
         .map((artist, index) => {
             const medal = ['🥇', '🥈', '🥉'][index] || `${index + 1}.`;
             const name = artist.artist.length > 30 ? artist.artist.substring(0, 27) + '...' : artist.artist;
-            return `${medal} **${name}**\n   └ ${artist.play_count} lần • ${artist.unique_tracks} bài • ${artist.listeners} người nghe`;
+            const line = t('command.serverstats.artist_line', locale, {
+                plays: artist.play_count,
+                tracks: artist.unique_tracks,
+                listeners: artist.listeners
+            });
+            return `${medal} **${name}**\n   └ ${line}`;
         })
         .join('\n\n');
 
@@ -2,18 +2,21 @@ import { SlashCommandBuilder, EmbedBuilder, PermissionFlagsBits } from 'discord.
 import { sendErrorResponse } from '../../UI/embeds/ErrorEmbeds.js';
 import logger from '../../utils/logger.js';
 import { VERSION, ENVIRONMENT } from '../../utils/version.js';
+import { t, getLocale, localizations } from '../../utils/i18n.js';
 import os from 'os';
 
 export default {
     data: new SlashCommandBuilder()
         .setName('stats')
         .setDescription('Hiển thị thống kê và hiệu suất của bot')
+        .setDescriptionLocalizations(localizations('command.stats.description'))
         .setDefaultMemberPermissions(PermissionFlagsBits.Administrator),
 
     async execute(interaction, client) {
         try {
             await interaction.deferReply();
 
+            const locale = getLocale(interaction);
             const metrics = client.musicManager.getMetrics();
             const memUsage = process.memoryUsage();
             const uptime = process.uptime();
@@ -40,9 +43,9 @@ export default {
 
             const embed = new EmbedBuilder()
                 .setColor(client.config.bot.color)
-                .setTitle('📊 Thống Kê Bot')
+                .setTitle(t('command.stats.title', locale))
                 .setDescription(
-                    `**${VERSION.fullDisplay}** • Bot đang hoạt động tốt với ${metrics.activeQueues} active queues`
+                    `**${VERSION.fullDisplay}** • ${t('command.stats.summary', locale, { count: metrics.activeQueues })}`
                 )
                 .addFields([
                     {
@@ -1,22 +1,31 @@
+import { t } from '../utils/i18n.js';
+
 /**
  * Shared help category dropdown options for select menus.
  * Used by both help.js command and helpHandler.js event.
- *
- * @type {Array<{label: string, description: string, value: string, emoji: string}>}
  */
-export const HELP_CATEGORY_OPTIONS = [
-    { label: 'Trang chủ', description: 'Giới thiệu về Miyao Music Bot', value: 'home', emoji: '🏠' },
-    { label: 'Phát nhạc', description: 'Play, pause, skip, stop...', value: 'playback', emoji: '🎶' },
-    { label: 'Hàng đợi', description: 'Queue, shuffle, loop, move...', value: 'queue', emoji: '📋' },
-    { label: 'Âm thanh & Filters', description: 'Volume, filters, autoplay', value: 'control', emoji: '🎛️' },
-    { label: 'Khám phá', description: 'Discover, trending, lyrics, similar', value: 'discovery', emoji: '🔍' },
-    {
-        label: 'Playlist & Favorites',
-        description: 'Quản lý danh sách phát cá nhân',
-        value: 'playlist',
-        emoji: '❤️'
-    },
-    { label: 'Thống kê', description: 'Mystats, serverstats, leaderboard', value: 'stats', emoji: '📊' },
-    { label: 'Cài đặt', description: 'Cài đặt cá nhân và server', value: 'settings', emoji: '⚙️' },
-    { label: 'Tips & Tricks', description: 'Mẹo sử dụng hiệu quả', value: 'tips', emoji: '💡' }
+const HELP_CATEGORIES = [
+    { value: 'home', emoji: '🏠' },
+    { value: 'playback', emoji: '🎶' },
+    { value: 'queue', emoji: '📋' },
+    { value: 'control', emoji: '🎛️' },
+    { value: 'discovery', emoji: '🔍' },
+    { value: 'playlist', emoji: '❤️' },
+    { value: 'stats', emoji: '📊' },
+    { value: 'settings', emoji: '⚙️' },
+    { value: 'tips', emoji: '💡' }
 ];
+
+/**
+ * Get the help category dropdown options in a locale
+ * @param {string} locale - Locale code
+ * @returns {Array<{label: string, description: string, value: string, emoji: string}>}
+ */
+export function getHelpCategoryOptions(locale) {
+    return HELP_CATEGORIES.map(({ value, emoji }) => ({
+        label: t(`command.help.option_${value}`, locale),
+        description: t(`command.help.option_${value}_description`, locale),
+        value,
+        emoji
+    }));
+}
@@ -140,7 +140,24 @@ class DatabaseManager {
                 '008_playlist_track_indexes.sql', // Additional playlist track indexes
                 '009_autoplay_preferences.sql', // Auto-play preference tracking
                 '010_feedback_storage.sql', // Feedback storage in database
-                '011_bug_report_storage.sql' // FIX-EV-C01: Bug report storage in database
+                '011_bug_report_storage.sql', // FIX-EV-C01: Bug report storage in database
+                '013_queue_snapshots.sql', // Queue persistence for restart recovery
+                '014_resume_sessions.sql', // Per-user resumable sessions (autoResume)
+                '015_localization.sql', // Guild default language, user language follows Discord locale
+                '016_content_filter.sql', // Persisted per-guild content filter configuration
+                '017_announcements.sql', // Now-playing announcement mode and channel
+                '018_quiz_results.sql', // Per-player quiz results for leaderboards and stats
+                '019_playlist_collaborators.sql', // Shared playlists with viewer/editor collaborators
+                '020_smart_playlists.sql', // Rule-based playlists computed from history and favorites
+                '021_fair_share_queue.sql', // Round-robin queue ordering by requester
+                '022_request_limits.sql', // Per-member queue, length, hourly and livestream limits
+                '023_democratic_mode.sql', // Per-action vote thresholds for destructive queue actions
+                '024_song_request_approval.sql', // Pending /play requests approved by DJs
+                '025_request_channel.sql', // Song request channel and its persistent player message
+                '026_filter_presets.sql', // Saved personal/server filter chains and per-user default chain
+                '027_lavalink_nodes.sql', // Lavalink nodes added/removed/blacklisted at runtime
+                '028_song_request_expiry.sql', // 'expired' status for song requests nobody decided on
+                '029_guild_queue_size_default.sql' // Guild queue size falls back to config when unset
             ];
 
             // Check if migrations table exists
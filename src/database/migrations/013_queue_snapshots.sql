@@ -0,0 +1,23 @@
+-- Migration 013: Queue snapshots for restart recovery
+-- Version: 1.12.0
+-- Description: Persist each guild's live queue (tracks, current track, position, loop, volume, filters)
+-- so playback can be resumed after a restart or crash.
+
+CREATE TABLE IF NOT EXISTS queue_snapshots (
+    guild_id TEXT PRIMARY KEY,
+    voice_channel_id TEXT NOT NULL,
+    text_channel_id TEXT,
+    current_track TEXT,
+    tracks TEXT NOT NULL DEFAULT '[]',
+    position INTEGER NOT NULL DEFAULT 0,
+    loop_mode TEXT NOT NULL DEFAULT 'off',
+    volume INTEGER NOT NULL DEFAULT 50,
+    filters TEXT,
+    paused INTEGER NOT NULL DEFAULT 0,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_queue_snapshots_updated
+ON queue_snapshots(updated_at);
+
+INSERT OR IGNORE INTO migrations (version, name) VALUES ('013', 'queue_snapshots');
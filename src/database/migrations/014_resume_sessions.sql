@@ -0,0 +1,20 @@
+-- Migration 014: Per-user resumable sessions
+-- Version: 1.12.0
+-- Description: Remember the queue a user was listening to when playback ended unexpectedly
+-- (bot disconnect, leave-on-empty, restart) so it can be offered back when autoResume is enabled.
+
+CREATE TABLE IF NOT EXISTS resume_sessions (
+    user_id TEXT NOT NULL,
+    guild_id TEXT NOT NULL,
+    snapshot TEXT NOT NULL,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (user_id, guild_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_resume_sessions_guild
+ON resume_sessions(guild_id);
+
+CREATE INDEX IF NOT EXISTS idx_resume_sessions_updated
+ON resume_sessions(updated_at);
+
+INSERT OR IGNORE INTO migrations (version, name) VALUES ('014', 'resume_sessions');
@@ -0,0 +1,13 @@
+-- Migration 015: Localization
+-- Version: 1.12.0
+-- Description: Per-guild default language, and let users without an explicit language
+-- follow the guild default / their Discord client locale.
+
+-- NULL = no guild default (members get their own preference or Discord locale)
+ALTER TABLE guild_settings ADD COLUMN language TEXT;
+
+-- users.language was never user-settable before this release, so every stored 'vi' is the
+-- column default rather than a choice. Clear it so the Discord client locale can apply.
+UPDATE users SET language = NULL WHERE language = 'vi';
+
+INSERT OR IGNORE INTO migrations (version, name) VALUES ('015', 'localization');
@@ -0,0 +1,22 @@
+-- Migration 016: Content filter
+-- Version: 1.12.0
+-- Description: Persist per-guild content filter configuration (enabled state, keyword
+-- categories, custom blacklist/whitelist terms) so it survives restarts.
+
+CREATE TABLE IF NOT EXISTS content_filter_settings (
+    guild_id TEXT PRIMARY KEY,
+    enabled BOOLEAN DEFAULT 0,
+    categories TEXT DEFAULT '[]', -- JSON array of ContentCategory values
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS content_filter_terms (
+    guild_id TEXT NOT NULL,
+    list_type TEXT NOT NULL CHECK(list_type IN ('blacklist', 'whitelist')),
+    term TEXT NOT NULL,
+    added_by TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (guild_id, list_type, term)
+);
+
+INSERT OR IGNORE INTO migrations (version, name) VALUES ('016', 'content_filter');
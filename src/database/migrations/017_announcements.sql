@@ -0,0 +1,15 @@
+-- Migration 017: Track announcements
+-- Version: 1.12.0
+-- Description: Per-guild now-playing announcement mode and optional dedicated announcement channel.
+-- Modes: off | compact (one line) | full (new embed per track) | edit (single embed edited in place)
+
+ALTER TABLE guild_settings ADD COLUMN announce_mode TEXT DEFAULT 'edit'
+    CHECK(announce_mode IN ('off', 'compact', 'full', 'edit'));
+
+-- NULL = announce in the channel the queue was started from
+ALTER TABLE guild_settings ADD COLUMN announce_channel_id TEXT;
+
+-- announce_songs was never read before this release; honor it for guilds that turned it off
+UPDATE guild_settings SET announce_mode = 'off' WHERE announce_songs = 0;
+
+INSERT OR IGNORE INTO migrations (version, name) VALUES ('017', 'announcements');
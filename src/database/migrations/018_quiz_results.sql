@@ -0,0 +1,27 @@
+-- Migration 018: Quiz results
+-- Version: 1.12.0
+-- Description: One row per player per finished /quiz game, so scores, accuracy, answer speed
+-- and answer streaks can be ranked in /leaderboard and shown in /mystats.
+
+CREATE TABLE IF NOT EXISTS quiz_results (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    guild_id TEXT NOT NULL,
+    user_id TEXT NOT NULL,
+    mode TEXT NOT NULL, -- song, artist, voice
+    questions INTEGER NOT NULL,
+    answered INTEGER DEFAULT 0,
+    correct INTEGER DEFAULT 0,
+    points INTEGER DEFAULT 0,
+    total_answer_ms INTEGER DEFAULT 0, -- summed over answered questions
+    best_streak INTEGER DEFAULT 0, -- longest run of consecutive correct answers in the game
+    won BOOLEAN DEFAULT 0,
+    played_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_quiz_results_guild_played
+ON quiz_results(guild_id, played_at);
+
+CREATE INDEX IF NOT EXISTS idx_quiz_results_user_guild
+ON quiz_results(user_id, guild_id);
+
+INSERT OR IGNORE INTO migrations (version, name) VALUES ('018', 'quiz_results');
@@ -0,0 +1,20 @@
+-- Migration 019: Playlist collaborators
+-- Version: 1.12.0
+-- Description: Lets playlist owners share a playlist with specific users or a Discord role,
+-- as viewers (can see and play it) or editors (can also add, remove, move and clear tracks).
+
+CREATE TABLE IF NOT EXISTS playlist_collaborators (
+    playlist_id INTEGER NOT NULL,
+    target_type TEXT NOT NULL CHECK(target_type IN ('user', 'role')),
+    target_id TEXT NOT NULL, -- user ID or role ID, depending on target_type
+    permission TEXT NOT NULL DEFAULT 'editor' CHECK(permission IN ('viewer', 'editor')),
+    added_by TEXT NOT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (playlist_id, target_type, target_id),
+    FOREIGN KEY (playlist_id) REFERENCES playlists(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_playlist_collaborators_target
+ON playlist_collaborators(target_type, target_id);
+
+INSERT OR IGNORE INTO migrations (version, name) VALUES ('019', 'playlist_collaborators');
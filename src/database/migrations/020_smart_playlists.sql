@@ -0,0 +1,13 @@
+-- Migration 020: Smart playlists
+-- Version: 1.12.0
+-- Description: Playlists can be 'smart': instead of stored tracks they carry JSON rules
+-- (source, scope, period, artist, minimum plays, not played in N days, sort, limit)
+-- that are evaluated against history and favorites every time the playlist is read.
+
+ALTER TABLE playlists ADD COLUMN kind TEXT NOT NULL DEFAULT 'static'
+    CHECK(kind IN ('static', 'smart'));
+
+-- NULL for static playlists
+ALTER TABLE playlists ADD COLUMN smart_rules TEXT;
+
+INSERT OR IGNORE INTO migrations (version, name) VALUES ('020', 'smart_playlists');
@@ -0,0 +1,11 @@
+-- Migration 021: Fair share queue
+-- Version: 1.12.0
+-- Description: Per-guild fair share mode. Appended tracks are interleaved by requester (round-robin),
+-- with fair_share_cap tracks per requester in each round.
+
+ALTER TABLE guild_settings ADD COLUMN fair_share INTEGER NOT NULL DEFAULT 0;
+
+ALTER TABLE guild_settings ADD COLUMN fair_share_cap INTEGER NOT NULL DEFAULT 1
+    CHECK(fair_share_cap BETWEEN 1 AND 10);
+
+INSERT OR IGNORE INTO migrations (version, name) VALUES ('021', 'fair_share_queue');
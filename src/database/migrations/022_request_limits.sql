@@ -0,0 +1,14 @@
+-- Migration 022: Request limits
+-- Version: 1.12.0
+-- Description: Per-guild limits on member requests, enforced when tracks are queued.
+-- 0 = no limit. max_track_duration is in seconds.
+
+ALTER TABLE guild_settings ADD COLUMN max_tracks_per_user INTEGER NOT NULL DEFAULT 0;
+
+ALTER TABLE guild_settings ADD COLUMN max_track_duration INTEGER NOT NULL DEFAULT 0;
+
+ALTER TABLE guild_settings ADD COLUMN max_requests_per_hour INTEGER NOT NULL DEFAULT 0;
+
+ALTER TABLE guild_settings ADD COLUMN block_livestreams INTEGER NOT NULL DEFAULT 0;
+
+INSERT OR IGNORE INTO migrations (version, name) VALUES ('022', 'request_limits');
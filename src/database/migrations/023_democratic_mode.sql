@@ -0,0 +1,27 @@
+-- Migration 023: Democratic mode
+-- Version: 1.12.0
+-- Description: Put stop, clear, shuffle, remove, jump and volume changes to a vote of the
+-- voice channel listeners. Thresholds are a percentage of non-bot listeners; 0 = no vote
+-- for that action. DJs and admins always bypass the vote.
+
+ALTER TABLE guild_settings ADD COLUMN democratic_mode INTEGER NOT NULL DEFAULT 0;
+
+ALTER TABLE guild_settings ADD COLUMN vote_stop_threshold INTEGER NOT NULL DEFAULT 50
+    CHECK(vote_stop_threshold BETWEEN 0 AND 100);
+
+ALTER TABLE guild_settings ADD COLUMN vote_clear_threshold INTEGER NOT NULL DEFAULT 50
+    CHECK(vote_clear_threshold BETWEEN 0 AND 100);
+
+ALTER TABLE guild_settings ADD COLUMN vote_shuffle_threshold INTEGER NOT NULL DEFAULT 50
+    CHECK(vote_shuffle_threshold BETWEEN 0 AND 100);
+
+ALTER TABLE guild_settings ADD COLUMN vote_remove_threshold INTEGER NOT NULL DEFAULT 50
+    CHECK(vote_remove_threshold BETWEEN 0 AND 100);
+
+ALTER TABLE guild_settings ADD COLUMN vote_jump_threshold INTEGER NOT NULL DEFAULT 50
+    CHECK(vote_jump_threshold BETWEEN 0 AND 100);
+
+ALTER TABLE guild_settings ADD COLUMN vote_volume_threshold INTEGER NOT NULL DEFAULT 50
+    CHECK(vote_volume_threshold BETWEEN 0 AND 100);
+
+INSERT OR IGNORE INTO migrations (version, name) VALUES ('023', 'democratic_mode');
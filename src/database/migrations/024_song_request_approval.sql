@@ -0,0 +1,36 @@
+-- Migration 024: Song request approval
+-- Version: 1.12.0
+-- Description: Moderated sessions. When request_approval is on, /play requests from members
+-- without DJ rights wait in song_requests until a DJ approves or rejects them from the
+-- approval channel (approval_channel_id, or the channel the request was made in).
+
+ALTER TABLE guild_settings ADD COLUMN request_approval INTEGER NOT NULL DEFAULT 0;
+
+ALTER TABLE guild_settings ADD COLUMN approval_channel_id TEXT;
+
+CREATE TABLE IF NOT EXISTS song_requests (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    guild_id TEXT NOT NULL,
+    user_id TEXT NOT NULL,
+    text_channel_id TEXT NOT NULL,
+    voice_channel_id TEXT NOT NULL,
+    track_title TEXT NOT NULL,
+    track_url TEXT,
+    -- JSON array of Lavalink tracks ({ encoded, info, pluginInfo })
+    tracks TEXT NOT NULL,
+    playlist_name TEXT,
+    status TEXT NOT NULL DEFAULT 'pending'
+        CHECK(status IN ('pending', 'approved', 'rejected')),
+    message_id TEXT,
+    decided_by TEXT,
+    decided_at DATETIME,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_song_requests_guild_status
+ON song_requests(guild_id, status);
+
+CREATE INDEX IF NOT EXISTS idx_song_requests_user
+ON song_requests(guild_id, user_id, status);
+
+INSERT OR IGNORE INTO migrations (version, name) VALUES ('024', 'song_request_approval');
@@ -0,0 +1,11 @@
+-- Migration 025: Song request channel
+-- Version: 1.12.0
+-- Description: A text channel where every plain message is played like a /play query. The
+-- channel keeps one pinned player message (request_message_id) that is edited in place and
+-- found again after a restart.
+
+ALTER TABLE guild_settings ADD COLUMN request_channel_id TEXT;
+
+ALTER TABLE guild_settings ADD COLUMN request_message_id TEXT;
+
+INSERT OR IGNORE INTO migrations (version, name) VALUES ('025', 'request_channel');
@@ -0,0 +1,27 @@
+-- Migration 026: Saved filter chains
+-- Version: 1.12.0
+-- Description: Named filter chains (custom EQ bands, speed, effects) saved with /filter chain save,
+-- either personal (scope 'user', owner_id = user ID) or shared with a server (scope 'guild',
+-- owner_id = guild ID). A member may pick one personal chain as their default; it is applied
+-- automatically while tracks they requested are playing.
+
+CREATE TABLE IF NOT EXISTS filter_presets (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    scope TEXT NOT NULL CHECK(scope IN ('user', 'guild')),
+    owner_id TEXT NOT NULL,
+    name TEXT NOT NULL COLLATE NOCASE,
+    -- JSON object of active FilterManager filters ({ equalizer: [...], timescale: {...}, ... })
+    filters TEXT NOT NULL,
+    created_by TEXT NOT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(scope, owner_id, name)
+);
+
+CREATE INDEX IF NOT EXISTS idx_filter_presets_owner
+ON filter_presets(scope, owner_id);
+
+-- NULL = no chain is applied automatically
+ALTER TABLE users ADD COLUMN default_filter_preset_id INTEGER;
+
+INSERT OR IGNORE INTO migrations (version, name) VALUES ('026', 'filter_presets');
@@ -0,0 +1,28 @@
+-- Migration 027: Runtime Lavalink node management
+-- Version: 1.12.0
+-- Description: Node changes made with /nodes add|remove|blacklist|unblacklist (or the node API)
+-- so they survive a restart. lavalink_nodes overrides config.json lavalink.nodes: a row with
+-- removed = 0 is a node added at runtime, a row with removed = 1 hides a config.json node.
+-- lavalink_node_blacklist mirrors NodeHealthMonitor's blacklist; expired rows are skipped on load.
+
+CREATE TABLE IF NOT EXISTS lavalink_nodes (
+    name TEXT PRIMARY KEY,
+    url TEXT,
+    -- NULL = use LAVALINK_PASSWORD
+    auth TEXT,
+    secure INTEGER NOT NULL DEFAULT 0,
+    removed INTEGER NOT NULL DEFAULT 0,
+    updated_by TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS lavalink_node_blacklist (
+    name TEXT PRIMARY KEY,
+    reason TEXT NOT NULL,
+    -- Unix milliseconds, as kept by NodeHealthMonitor
+    blacklisted_at INTEGER NOT NULL,
+    duration_ms INTEGER NOT NULL
+);
+
+INSERT OR IGNORE INTO migrations (version, name) VALUES ('027', 'lavalink_nodes');
@@ -0,0 +1,47 @@
+-- Migration 028: Song request expiry
+-- Version: 1.12.0
+-- Description: Requests nobody decided on within SONG_REQUESTS.PENDING_TTL_MS are marked
+-- 'expired' by a periodic sweep, which also removes the buttons from their approval message.
+-- SQLite cannot change a CHECK constraint in place, so song_requests is rebuilt.
+
+CREATE TABLE IF NOT EXISTS song_requests_new (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    guild_id TEXT NOT NULL,
+    user_id TEXT NOT NULL,
+    text_channel_id TEXT NOT NULL,
+    voice_channel_id TEXT NOT NULL,
+    track_title TEXT NOT NULL,
+    track_url TEXT,
+    -- JSON array of Lavalink tracks ({ encoded, info, pluginInfo })
+    tracks TEXT NOT NULL,
+    playlist_name TEXT,
+    status TEXT NOT NULL DEFAULT 'pending'
+        CHECK(status IN ('pending', 'approved', 'rejected', 'expired')),
+    message_id TEXT,
+    decided_by TEXT,
+    decided_at DATETIME,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+INSERT INTO song_requests_new
+    (id, guild_id, user_id, text_channel_id, voice_channel_id, track_title, track_url, tracks,
+     playlist_name, status, message_id, decided_by, decided_at, created_at)
+SELECT id, guild_id, user_id, text_channel_id, voice_channel_id, track_title, track_url, tracks,
+       playlist_name, status, message_id, decided_by, decided_at, created_at
+FROM song_requests;
+
+DROP TABLE song_requests;
+
+ALTER TABLE song_requests_new RENAME TO song_requests;
+
+CREATE INDEX IF NOT EXISTS idx_song_requests_guild_status
+ON song_requests(guild_id, status);
+
+CREATE INDEX IF NOT EXISTS idx_song_requests_user
+ON song_requests(guild_id, user_id, status);
+
+-- The expiry sweep looks up old pending requests across all guilds
+CREATE INDEX IF NOT EXISTS idx_song_requests_status_created
+ON song_requests(status, created_at);
+
+INSERT OR IGNORE INTO migrations (version, name) VALUES ('028', 'song_request_expiry');
@@ -0,0 +1,82 @@
+-- Migration 029: Guild queue size follows config
+-- Version: 1.12.0
+-- Description: max_queue_size no longer defaults to 500. NULL means the guild never set a
+-- limit, so queues fall back to config.music.maxQueueSize and then QUEUE.MAX_SIZE.
+-- Rows holding 500 got it from the old column default, which is indistinguishable from an
+-- explicit /settings maxqueue 500, so they are cleared as well.
+-- SQLite cannot drop a column default in place, so guild_settings is rebuilt.
+
+CREATE TABLE IF NOT EXISTS guild_settings_new (
+    guild_id TEXT PRIMARY KEY,
+    guild_name TEXT,
+    dj_role_id TEXT,                    -- DJ role ID for controlling music
+    dj_only_mode BOOLEAN DEFAULT 0,     -- If true, only DJ role can use destructive commands
+    vote_skip_enabled BOOLEAN DEFAULT 0, -- Enable vote skip feature
+    vote_skip_percentage INTEGER DEFAULT 50 CHECK(vote_skip_percentage >= 10 AND vote_skip_percentage <= 100),
+    twenty_four_seven BOOLEAN DEFAULT 0, -- 24/7 mode - bot stays in voice channel
+    announce_songs BOOLEAN DEFAULT 1,    -- Announce new songs
+    default_volume INTEGER DEFAULT 50 CHECK(default_volume >= 0 AND default_volume <= 100),
+    max_queue_size INTEGER,              -- Maximum queue size per guild (NULL: config default)
+    allow_duplicates BOOLEAN DEFAULT 1,  -- Allow duplicate tracks in queue
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    language TEXT,
+    announce_mode TEXT DEFAULT 'edit'
+        CHECK(announce_mode IN ('off', 'compact', 'full', 'edit')),
+    announce_channel_id TEXT,
+    fair_share INTEGER NOT NULL DEFAULT 0,
+    fair_share_cap INTEGER NOT NULL DEFAULT 1
+        CHECK(fair_share_cap BETWEEN 1 AND 10),
+    max_tracks_per_user INTEGER NOT NULL DEFAULT 0,
+    max_track_duration INTEGER NOT NULL DEFAULT 0,
+    max_requests_per_hour INTEGER NOT NULL DEFAULT 0,
+    block_livestreams INTEGER NOT NULL DEFAULT 0,
+    democratic_mode INTEGER NOT NULL DEFAULT 0,
+    vote_stop_threshold INTEGER NOT NULL DEFAULT 50
+        CHECK(vote_stop_threshold BETWEEN 0 AND 100),
+    vote_clear_threshold INTEGER NOT NULL DEFAULT 50
+        CHECK(vote_clear_threshold BETWEEN 0 AND 100),
+    vote_shuffle_threshold INTEGER NOT NULL DEFAULT 50
+        CHECK(vote_shuffle_threshold BETWEEN 0 AND 100),
+    vote_remove_threshold INTEGER NOT NULL DEFAULT 50
+        CHECK(vote_remove_threshold BETWEEN 0 AND 100),
+    vote_jump_threshold INTEGER NOT NULL DEFAULT 50
+        CHECK(vote_jump_threshold BETWEEN 0 AND 100),
+    vote_volume_threshold INTEGER NOT NULL DEFAULT 50
+        CHECK(vote_volume_threshold BETWEEN 0 AND 100),
+    request_approval INTEGER NOT NULL DEFAULT 0,
+    approval_channel_id TEXT,
+    request_channel_id TEXT,
+    request_message_id TEXT
+);
+
+INSERT INTO guild_settings_new
+    (guild_id, guild_name, dj_role_id, dj_only_mode, vote_skip_enabled, vote_skip_percentage,
+     twenty_four_seven, announce_songs, default_volume, max_queue_size, allow_duplicates,
+     created_at, updated_at, language, announce_mode, announce_channel_id, fair_share,
+     fair_share_cap, max_tracks_per_user, max_track_duration, max_requests_per_hour,
+     block_livestreams, democratic_mode, vote_stop_threshold, vote_clear_threshold,
+     vote_shuffle_threshold, vote_remove_threshold, vote_jump_threshold, vote_volume_threshold,
+     request_approval, approval_channel_id, request_channel_id, request_message_id)
+SELECT guild_id, guild_name, dj_role_id, dj_only_mode, vote_skip_enabled, vote_skip_percentage,
+       twenty_four_seven, announce_songs, default_volume, NULLIF(max_queue_size, 500), allow_duplicates,
+       created_at, updated_at, language, announce_mode, announce_channel_id, fair_share,
+       fair_share_cap, max_tracks_per_user, max_track_duration, max_requests_per_hour,
+       block_livestreams, democratic_mode, vote_stop_threshold, vote_clear_threshold,
+       vote_shuffle_threshold, vote_remove_threshold, vote_jump_threshold, vote_volume_threshold,
+       request_approval, approval_channel_id, request_channel_id, request_message_id
+FROM guild_settings;
+
+DROP TABLE guild_settings;
+
+ALTER TABLE guild_settings_new RENAME TO guild_settings;
+
+CREATE INDEX IF NOT EXISTS idx_guild_settings_dj ON guild_settings(dj_role_id);
+
+CREATE TRIGGER IF NOT EXISTS update_guild_settings_timestamp
+AFTER UPDATE ON guild_settings
+BEGIN
+    UPDATE guild_settings SET updated_at = CURRENT_TIMESTAMP WHERE guild_id = NEW.guild_id;
+END;
+
+INSERT OR IGNORE INTO migrations (version, name) VALUES ('029', 'guild_queue_size_default');
@@ -6,6 +6,26 @@
 import { getDatabaseManager } from '../DatabaseManager.js';
 import logger from '../../utils/logger.js';
 
+/**
+ * Action types recorded for moderation and DJ actions
+ * @type {Object.<string, string>}
+ */
+export const AUDIT_ACTIONS = Object.freeze({
+    SKIP: 'skip',
+    FORCE_SKIP: 'force_skip',
+    VOTE_SKIP: 'vote_skip',
+    STOP: 'stop',
+    ADD: 'queue_add',
+    CLEAR: 'queue_clear',
+    REMOVE: 'queue_remove',
+    MOVE: 'queue_move',
+    UNDO: 'queue_undo',
+    VOLUME: 'volume_change',
+    FILTER: 'filter_change',
+    SETTINGS: 'settings_change',
+    CONTENT_FILTER: 'content_filter_change'
+});
+
 export class AuditLog {
     /**
      * Initialize audit log table
@@ -102,6 +122,24 @@ export class AuditLog {
         }
     }
 
+    /**
+     * Log a music/DJ action with the affected track as target
+     * @param {string} action - One of AUDIT_ACTIONS
+     * @param {string} userId - User ID who performed the action
+     * @param {string} guildId - Guild ID where action occurred
+     * @param {Object|null} track - Affected Lavalink track (optional)
+     * @param {Object} details - Extra details merged into the log entry
+     * @returns {number|null} Log ID
+     */
+    static logTrackAction(action, userId, guildId, track = null, details = {}) {
+        const trackDetails = track?.info ? { track: track.info.title || 'Unknown', author: track.info.author } : {};
+
+        return this.log(action, userId, guildId, {
+            targetId: track?.info?.uri || null,
+            details: { ...trackDetails, ...details }
+        });
+    }
+
     /**
      * Get audit logs with filters
      * @param {Object} filters - Filter options
@@ -111,13 +149,22 @@ export class AuditLog {
      * @param {number} filters.limit - Limit number of results (default: 100)
      * @param {number} filters.offset - Offset for pagination
      * @param {string} filters.since - ISO date string for filtering by date
+     * @param {string} filters.until - ISO date string, upper bound (exclusive)
      * @returns {Array} Array of audit log entries
      */
     static getLogs(filters = {}) {
         try {
             const db = getDatabaseManager().getDatabase();
 
-            const { userId = null, guildId = null, action = null, limit = 100, offset = 0, since = null } = filters;
+            const {
+                userId = null,
+                guildId = null,
+                action = null,
+                limit = 100,
+                offset = 0,
+                since = null,
+                until = null
+            } = filters;
 
             let query = 'SELECT * FROM audit_logs WHERE 1=1';
             const params = [];
@@ -137,12 +184,18 @@ export class AuditLog {
                 params.push(action);
             }
 
+            // created_at is stored as 'YYYY-MM-DD HH:MM:SS' (UTC); normalize ISO input with datetime()
             if (since) {
-                query += ' AND created_at >= ?';
+                query += ' AND created_at >= datetime(?)';
                 params.push(since);
             }
 
-            query += ' ORDER BY created_at DESC LIMIT ? OFFSET ?';
+            if (until) {
+                query += ' AND created_at < datetime(?)';
+                params.push(until);
+            }
+
+            query += ' ORDER BY created_at DESC, id DESC LIMIT ? OFFSET ?';
             params.push(limit, offset);
 
             const stmt = db.prepare(query);
@@ -261,7 +314,7 @@ export class AuditLog {
         try {
             const db = getDatabaseManager().getDatabase();
 
-            const { userId = null, guildId = null, action = null, since = null } = filters;
+            const { userId = null, guildId = null, action = null, since = null, until = null } = filters;
 
             let query = 'SELECT COUNT(*) as count FROM audit_logs WHERE 1=1';
             const params = [];
@@ -282,10 +335,15 @@ export class AuditLog {
             }
 
             if (since) {
-                query += ' AND created_at >= ?';
+                query += ' AND created_at >= datetime(?)';
                 params.push(since);
             }
 
+            if (until) {
+                query += ' AND created_at < datetime(?)';
+                params.push(until);
+            }
+
             const stmt = db.prepare(query);
             const result = stmt.get(...params);
 
@@ -307,7 +365,7 @@ export class AuditLog {
 
             const cutoffDate = new Date(Date.now() - retentionDays * 24 * 60 * 60 * 1000).toISOString();
 
-            const stmt = db.prepare('DELETE FROM audit_logs WHERE created_at < ?');
+            const stmt = db.prepare('DELETE FROM audit_logs WHERE created_at < datetime(?)');
             const result = stmt.run(cutoffDate);
 
             if (result.changes > 0) {
@@ -0,0 +1,121 @@
+/**
+ * Content Filter Settings Model
+ * Per-guild content filter configuration: enabled state, keyword categories and custom term lists
+ */
+
+import { getDatabaseManager } from '../DatabaseManager.js';
+import logger from '../../utils/logger.js';
+
+/** Custom term list types */
+export const TERM_LISTS = Object.freeze({
+    BLACKLIST: 'blacklist',
+    WHITELIST: 'whitelist'
+});
+
+class ContentFilterSettings {
+    /**
+     * Get a guild's content filter configuration
+     * @param {string} guildId - Guild ID
+     * @returns {{enabled: boolean, categories: string[], blacklist: string[], whitelist: string[]}|null}
+     *   Configuration, or null if it could not be loaded
+     */
+    static get(guildId) {
+        try {
+            const db = getDatabaseManager();
+            const settings = db.queryOne('SELECT enabled, categories FROM content_filter_settings WHERE guild_id = ?', [
+                guildId
+            ]);
+            const terms = db.query('SELECT list_type, term FROM content_filter_terms WHERE guild_id = ?', [guildId]);
+
+            let categories = [];
+            try {
+                categories = settings?.categories ? JSON.parse(settings.categories) : [];
+            } catch {
+                logger.warn('Invalid content filter categories, ignoring', { guildId });
+            }
+
+            return {
+                enabled: Boolean(settings?.enabled),
+                categories: Array.isArray(categories) ? categories : [],
+                blacklist: terms.filter(row => row.list_type === TERM_LISTS.BLACKLIST).map(row => row.term),
+                whitelist: terms.filter(row => row.list_type === TERM_LISTS.WHITELIST).map(row => row.term)
+            };
+        } catch (error) {
+            logger.error('Failed to get content filter settings', { guildId, error: error.message });
+            return null;
+        }
+    }
+
+    /**
+     * Save enabled state and categories
+     * @param {string} guildId - Guild ID
+     * @param {boolean} enabled - Whether filtering is on
+     * @param {string[]} categories - Keyword categories to filter
+     * @returns {boolean} Success
+     */
+    static setEnabled(guildId, enabled, categories) {
+        try {
+            const db = getDatabaseManager();
+            db.execute(
+                `INSERT INTO content_filter_settings (guild_id, enabled, categories, updated_at)
+                 VALUES (?, ?, ?, CURRENT_TIMESTAMP)
+                 ON CONFLICT(guild_id) DO UPDATE SET
+                    enabled = excluded.enabled,
+                    categories = excluded.categories,
+                    updated_at = CURRENT_TIMESTAMP`,
+                [guildId, enabled ? 1 : 0, JSON.stringify(categories)]
+            );
+            return true;
+        } catch (error) {
+            logger.error('Failed to save content filter settings', { guildId, error: error.message });
+            return false;
+        }
+    }
+
+    /**
+     * Add a term to a guild's blacklist or whitelist
+     * @param {string} guildId - Guild ID
+     * @param {string} listType - One of TERM_LISTS
+     * @param {string} term - Lowercased term
+     * @param {string} [addedBy] - User ID who added the term
+     * @returns {boolean} Success
+     */
+    static addTerm(guildId, listType, term, addedBy = null) {
+        try {
+            const db = getDatabaseManager();
+            db.execute(
+                `INSERT OR IGNORE INTO content_filter_terms (guild_id, list_type, term, added_by)
+                 VALUES (?, ?, ?, ?)`,
+                [guildId, listType, term, addedBy]
+            );
+            return true;
+        } catch (error) {
+            logger.error('Failed to add content filter term', { guildId, listType, error: error.message });
+            return false;
+        }
+    }
+
+    /**
+     * Remove a term from a guild's blacklist or whitelist
+     * @param {string} guildId - Guild ID
+     * @param {string} listType - One of TERM_LISTS
+     * @param {string} term - Lowercased term
+     * @returns {boolean} Success
+     */
+    static removeTerm(guildId, listType, term) {
+        try {
+            const db = getDatabaseManager();
+            db.execute('DELETE FROM content_filter_terms WHERE guild_id = ? AND list_type = ? AND term = ?', [
+                guildId,
+                listType,
+                term
+            ]);
+            return true;
+        } catch (error) {
+            logger.error('Failed to remove content filter term', { guildId, listType, error: error.message });
+            return false;
+        }
+    }
+}
+
+export default ContentFilterSettings;
@@ -0,0 +1,213 @@
+/**
+ * Filter Preset Model
+ * Named filter chains saved per member or per server (/filter chain)
+ */
+
+import { getDatabaseManager } from '../DatabaseManager.js';
+import logger from '../../utils/logger.js';
+
+export const FILTER_PRESET_SCOPES = Object.freeze({
+    USER: 'user',
+    GUILD: 'guild'
+});
+
+/**
+ * Map a filter_presets row to a preset object
+ * @param {Object} row - Database row
+ * @returns {Object} Preset with `filters` parsed
+ */
+function mapRow(row) {
+    return {
+        id: row.id,
+        scope: row.scope,
+        ownerId: row.owner_id,
+        name: row.name,
+        filters: JSON.parse(row.filters),
+        createdBy: row.created_by,
+        createdAt: row.created_at,
+        updatedAt: row.updated_at
+    };
+}
+
+class FilterPreset {
+    /**
+     * Save a chain under a name, replacing the owner's chain of the same name
+     * @param {Object} preset
+     * @param {string} preset.scope - FILTER_PRESET_SCOPES value
+     * @param {string} preset.ownerId - User ID or guild ID
+     * @param {string} preset.name - Chain name (unique per owner, case-insensitive)
+     * @param {Object} preset.filters - FilterManager.getFilterChain() result
+     * @param {string} preset.createdBy - User who saved it
+     * @returns {Object|null} Saved preset, or null on failure
+     */
+    static save({ scope, ownerId, name, filters, createdBy }) {
+        try {
+            const db = getDatabaseManager();
+            db.execute(
+                `INSERT INTO filter_presets (scope, owner_id, name, filters, created_by)
+                 VALUES (?, ?, ?, ?, ?)
+                 ON CONFLICT(scope, owner_id, name) DO UPDATE SET
+                    filters = excluded.filters,
+                    created_by = excluded.created_by,
+                    updated_at = CURRENT_TIMESTAMP`,
+                [scope, ownerId, name, JSON.stringify(filters), createdBy]
+            );
+
+            logger.info('Filter preset saved', { scope, ownerId, name });
+            return this.findByName(scope, ownerId, name);
+        } catch (error) {
+            logger.error('Failed to save filter preset', { scope, ownerId, name, error });
+            return null;
+        }
+    }
+
+    /**
+     * Get a preset by ID
+     * @param {number} id - Preset ID
+     * @returns {Object|null}
+     */
+    static get(id) {
+        try {
+            const db = getDatabaseManager();
+            const row = db.queryOne('SELECT * FROM filter_presets WHERE id = ?', [id]);
+            return row ? mapRow(row) : null;
+        } catch (error) {
+            logger.error('Failed to get filter preset', { id, error });
+            return null;
+        }
+    }
+
+    /**
+     * Get an owner's preset by name (case-insensitive)
+     * @param {string} scope - FILTER_PRESET_SCOPES value
+     * @param {string} ownerId - User ID or guild ID
+     * @param {string} name - Chain name
+     * @returns {Object|null}
+     */
+    static findByName(scope, ownerId, name) {
+        try {
+            const db = getDatabaseManager();
+            const row = db.queryOne('SELECT * FROM filter_presets WHERE scope = ? AND owner_id = ? AND name = ?', [
+                scope,
+                ownerId,
+                name
+            ]);
+            return row ? mapRow(row) : null;
+        } catch (error) {
+            logger.error('Failed to find filter preset', { scope, ownerId, name, error });
+            return null;
+        }
+    }
+
+    /**
+     * List an owner's presets by name
+     * @param {string} scope - FILTER_PRESET_SCOPES value
+     * @param {string} ownerId - User ID or guild ID
+     * @returns {Object[]}
+     */
+    static list(scope, ownerId) {
+        try {
+            const db = getDatabaseManager();
+            return db
+                .query('SELECT * FROM filter_presets WHERE scope = ? AND owner_id = ? ORDER BY name', [scope, ownerId])
+                .map(mapRow);
+        } catch (error) {
+            logger.error('Failed to list filter presets', { scope, ownerId, error });
+            return [];
+        }
+    }
+
+    /**
+     * Presets a member can load in a guild (their own first, then the server's) whose name contains a query
+     * @param {string} userId - Member ID
+     * @param {string|null} guildId - Guild ID, or null to search personal presets only
+     * @param {string} [query] - Name fragment
+     * @param {number} [limit=25] - Maximum results
+     * @returns {Object[]}
+     */
+    static search(userId, guildId, query = '', limit = 25) {
+        try {
+            const db = getDatabaseManager();
+            const pattern = `%${query.replace(/[%_\\]/g, '\\$&')}%`;
+            return db
+                .query(
+                    `SELECT * FROM filter_presets
+                     WHERE ((scope = 'user' AND owner_id = ?) OR (scope = 'guild' AND owner_id = ?))
+                       AND name LIKE ? ESCAPE '\\'
+                     ORDER BY scope = 'guild', name
+                     LIMIT ?`,
+                    [userId, guildId, pattern, limit]
+                )
+                .map(mapRow);
+        } catch (error) {
+            logger.error('Failed to search filter presets', { userId, guildId, error });
+            return [];
+        }
+    }
+
+    /**
+     * Count an owner's presets
+     * @param {string} scope - FILTER_PRESET_SCOPES value
+     * @param {string} ownerId - User ID or guild ID
+     * @returns {number}
+     */
+    static count(scope, ownerId) {
+        try {
+            const db = getDatabaseManager();
+            const result = db.queryOne(
+                'SELECT COUNT(*) as count FROM filter_presets WHERE scope = ? AND owner_id = ?',
+                [scope, ownerId]
+            );
+            return result?.count || 0;
+        } catch (error) {
+            logger.error('Failed to count filter presets', { scope, ownerId, error });
+            return 0;
+        }
+    }
+
+    /**
+     * Delete a preset; members who used it as their default chain lose it
+     * @param {number} id - Preset ID
+     * @returns {boolean} Whether a preset was deleted
+     */
+    static delete(id) {
+        try {
+            const db = getDatabaseManager();
+            const deleted = db.transaction(() => {
+                db.execute('UPDATE users SET default_filter_preset_id = NULL WHERE default_filter_preset_id = ?', [id]);
+                return db.execute('DELETE FROM filter_presets WHERE id = ?', [id]).changes > 0;
+            });
+
+            if (deleted) {
+                logger.info('Filter preset deleted', { id });
+            }
+            return deleted;
+        } catch (error) {
+            logger.error('Failed to delete filter preset', { id, error });
+            return false;
+        }
+    }
+
+    /**
+     * A member's default chain (UserPreferences.defaultFilterPresetId)
+     * @param {string} userId - Member ID
+     * @returns {Object|null} Preset, or null when none is set
+     */
+    static getUserDefault(userId) {
+        try {
+            const db = getDatabaseManager();
+            const row = db.queryOne(
+                `SELECT p.* FROM users u
+                 JOIN filter_presets p ON p.id = u.default_filter_preset_id
+                 WHERE u.user_id = ?`,
+                [userId]
+            );
+            return row ? mapRow(row) : null;
+        } catch (error) {
+            logger.error('Failed to get default filter preset', { userId, error });
+            return null;
+        }
+    }
+}
+
+export default FilterPreset;
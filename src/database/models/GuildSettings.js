@@ -5,12 +5,18 @@
 
 import { getDatabaseManager } from '../DatabaseManager.js';
 import logger from '../../utils/logger.js';
+import { QUEUE, REQUEST_LIMITS, VOTING, VOTE_ACTIONS, ANNOUNCE_MODES } from '../../utils/constants.js';
 
 // In-memory LRU cache with 60s TTL for guild settings
 const CACHE_TTL_MS = 60_000;
 const CACHE_MAX_SIZE = 500;
 const _settingsCache = new Map(); // guildId -> { data, expiresAt }
 
+/** Democratic mode threshold column for each vote action */
+const VOTE_THRESHOLD_COLUMNS = Object.fromEntries(
+    Object.values(VOTE_ACTIONS).map(action => [action, `vote_${action}_threshold`])
+);
+
 /**
  * Evict expired entries and trim to max size
  */
@@ -63,9 +69,29 @@ class GuildSettings {
                     voteSkipPercentage: settings.vote_skip_percentage,
                     twentyFourSeven: Boolean(settings.twenty_four_seven),
                     announceSongs: Boolean(settings.announce_songs),
+                    announceMode: settings.announce_mode || ANNOUNCE_MODES.EDIT,
+                    announceChannelId: settings.announce_channel_id || null,
                     defaultVolume: settings.default_volume,
                     maxQueueSize: settings.max_queue_size,
                     allowDuplicates: Boolean(settings.allow_duplicates),
+                    fairShare: Boolean(settings.fair_share),
+                    fairShareCap: settings.fair_share_cap || QUEUE.DEFAULT_FAIR_SHARE_CAP,
+                    maxTracksPerUser: settings.max_tracks_per_user || 0,
+                    maxTrackDuration: settings.max_track_duration || 0,
+                    maxRequestsPerHour: settings.max_requests_per_hour || 0,
+                    blockLivestreams: Boolean(settings.block_livestreams),
+                    democraticMode: Boolean(settings.democratic_mode),
+                    voteThresholds: Object.fromEntries(
+                        Object.entries(VOTE_THRESHOLD_COLUMNS).map(([action, column]) => [
+                            action,
+                            settings[column] ?? VOTING.DEFAULT_THRESHOLD
+                        ])
+                    ),
+                    requestApproval: Boolean(settings.request_approval),
+                    approvalChannelId: settings.approval_channel_id || null,
+                    requestChannelId: settings.request_channel_id || null,
+                    requestMessageId: settings.request_message_id || null,
+                    language: settings.language || null,
                     createdAt: settings.created_at,
                     updatedAt: settings.updated_at
                 };
@@ -119,18 +145,87 @@ class GuildSettings {
             if (settings.twentyFourSeven !== undefined) {
                 addField('twenty_four_seven', settings.twentyFourSeven ? 1 : 0);
             }
+            if (settings.announceMode !== undefined) {
+                addField('announce_mode', settings.announceMode);
+                // Keep the legacy on/off flag in sync
+                if (settings.announceSongs === undefined) {
+                    addField('announce_songs', settings.announceMode !== ANNOUNCE_MODES.OFF ? 1 : 0);
+                }
+            }
             if (settings.announceSongs !== undefined) {
                 addField('announce_songs', settings.announceSongs ? 1 : 0);
             }
+            if (settings.announceChannelId !== undefined) {
+                addField('announce_channel_id', settings.announceChannelId);
+            }
             if (settings.defaultVolume !== undefined) {
                 addField('default_volume', Math.max(0, Math.min(100, settings.defaultVolume)));
             }
             if (settings.maxQueueSize !== undefined) {
-                addField('max_queue_size', Math.max(10, Math.min(1000, settings.maxQueueSize)));
+                addField(
+                    'max_queue_size',
+                    Math.max(QUEUE.MIN_GUILD_MAX_SIZE, Math.min(QUEUE.MAX_SIZE, settings.maxQueueSize))
+                );
             }
             if (settings.allowDuplicates !== undefined) {
                 addField('allow_duplicates', settings.allowDuplicates ? 1 : 0);
             }
+            if (settings.fairShare !== undefined) {
+                addField('fair_share', settings.fairShare ? 1 : 0);
+            }
+            if (settings.fairShareCap !== undefined) {
+                addField('fair_share_cap', Math.max(1, Math.min(QUEUE.MAX_FAIR_SHARE_CAP, settings.fairShareCap)));
+            }
+            if (settings.maxTracksPerUser !== undefined) {
+                addField(
+                    'max_tracks_per_user',
+                    Math.max(0, Math.min(REQUEST_LIMITS.MAX_TRACKS_PER_USER, settings.maxTracksPerUser))
+                );
+            }
+            if (settings.maxTrackDuration !== undefined) {
+                addField(
+                    'max_track_duration',
+                    Math.max(0, Math.min(REQUEST_LIMITS.MAX_TRACK_MINUTES * 60, settings.maxTrackDuration))
+                );
+            }
+            if (settings.maxRequestsPerHour !== undefined) {
+                addField(
+                    'max_requests_per_hour',
+                    Math.max(0, Math.min(REQUEST_LIMITS.MAX_REQUESTS_PER_HOUR, settings.maxRequestsPerHour))
+                );
+            }
+            if (settings.blockLivestreams !== undefined) {
+                addField('block_livestreams', settings.blockLivestreams ? 1 : 0);
+            }
+            if (settings.democraticMode !== undefined) {
+                addField('democratic_mode', settings.democraticMode ? 1 : 0);
+            }
+            if (settings.voteThresholds !== undefined) {
+                // Partial update: only the actions present are written; 0 = no vote for that action
+                for (const [action, threshold] of Object.entries(settings.voteThresholds)) {
+                    const column = VOTE_THRESHOLD_COLUMNS[action];
+                    if (!column || threshold === undefined) continue;
+                    addField(
+                        column,
+                        threshold <= 0 ? 0 : Math.max(VOTING.MIN_THRESHOLD, Math.min(VOTING.MAX_THRESHOLD, threshold))
+                    );
+                }
+            }
+            if (settings.requestApproval !== undefined) {
+                addField('request_approval', settings.requestApproval ? 1 : 0);
+            }
+            if (settings.approvalChannelId !== undefined) {
+                addField('approval_channel_id', settings.approvalChannelId);
+            }
+            if (settings.requestChannelId !== undefined) {
+                addField('request_channel_id', settings.requestChannelId);
+            }
+            if (settings.requestMessageId !== undefined) {
+                addField('request_message_id', settings.requestMessageId);
+            }
+            if (settings.language !== undefined) {
+                addField('language', settings.language);
+            }
 
             const placeholders = insertColumns.map(() => '?').join(', ');
             if (updateSets.length === 0) {
@@ -171,14 +266,47 @@ class GuildSettings {
             voteSkipPercentage: 50,
             twentyFourSeven: false,
             announceSongs: true,
+            announceMode: ANNOUNCE_MODES.EDIT,
+            announceChannelId: null,
             defaultVolume: 50,
-            maxQueueSize: 500,
+            // Unset: queues use config.music.maxQueueSize, then QUEUE.MAX_SIZE
+            maxQueueSize: null,
             allowDuplicates: true,
+            fairShare: false,
+            fairShareCap: QUEUE.DEFAULT_FAIR_SHARE_CAP,
+            maxTracksPerUser: 0,
+            maxTrackDuration: 0,
+            maxRequestsPerHour: 0,
+            blockLivestreams: false,
+            democraticMode: false,
+            voteThresholds: Object.fromEntries(
+                Object.values(VOTE_ACTIONS).map(action => [action, VOTING.DEFAULT_THRESHOLD])
+            ),
+            requestApproval: false,
+            approvalChannelId: null,
+            requestChannelId: null,
+            requestMessageId: null,
+            language: null,
             createdAt: null,
             updatedAt: null
         };
     }
 
+    /**
+     * Pick the request limits EnhancedQueue enforces out of guild settings
+     * @param {Object} settings - Guild settings object
+     * @returns {{maxTracksPerUser: number, maxTrackDuration: number, maxRequestsPerHour: number,
+     *   blockLivestreams: boolean}} Limits (0 = no limit, duration in seconds)
+     */
+    static getRequestLimits(settings) {
+        return {
+            maxTracksPerUser: settings.maxTracksPerUser,
+            maxTrackDuration: settings.maxTrackDuration,
+            maxRequestsPerHour: settings.maxRequestsPerHour,
+            blockLivestreams: settings.blockLivestreams
+        };
+    }
+
     /**
      * Check if user has DJ permissions
      * @param {Object} member - Discord guild member
@@ -239,6 +367,21 @@ class GuildSettings {
         }
     }
 
+    /**
+     * Get all guilds with a song request channel
+     * @returns {Array} List of guild IDs with a request channel
+     */
+    static getRequestChannelGuilds() {
+        try {
+            const db = getDatabaseManager();
+            const results = db.query('SELECT guild_id FROM guild_settings WHERE request_channel_id IS NOT NULL');
+            return results.map(r => r.guild_id);
+        } catch (error) {
+            logger.error('Failed to get request channel guilds', { error: error.message });
+            return [];
+        }
+    }
+
     /**
      * Get count of all guilds with custom settings
      * @returns {number} Total guilds with settings
@@ -0,0 +1,170 @@
+/**
+ * Lavalink Node Model
+ * Runtime changes to the Lavalink node pool (/nodes add|remove|blacklist|unblacklist),
+ * layered over config.json lavalink.nodes on startup
+ */
+
+import { getDatabaseManager } from '../DatabaseManager.js';
+import logger from '../../utils/logger.js';
+
+/**
+ * Map a lavalink_nodes row to a node override
+ * @param {Object} row - Database row
+ * @returns {Object}
+ */
+function mapRow(row) {
+    return {
+        name: row.name,
+        url: row.url,
+        auth: row.auth,
+        secure: row.secure === 1,
+        removed: row.removed === 1,
+        updatedBy: row.updated_by,
+        updatedAt: row.updated_at
+    };
+}
+
+class LavalinkNode {
+    /**
+     * All node overrides: nodes added at runtime and config.json nodes removed at runtime
+     * @returns {Object[]}
+     */
+    static list() {
+        try {
+            const db = getDatabaseManager();
+            return db.query('SELECT * FROM lavalink_nodes ORDER BY name').map(mapRow);
+        } catch (error) {
+            logger.error('Failed to list Lavalink node overrides', { error });
+            return [];
+        }
+    }
+
+    /**
+     * Remember a node added at runtime (replaces a removal of the same name)
+     * @param {Object} node
+     * @param {string} node.name - Node name
+     * @param {string} node.url - host:port
+     * @param {string} node.auth - Password of that node
+     * @param {boolean} node.secure - Use TLS
+     * @param {string} updatedBy - Who added it (user ID or 'api')
+     * @returns {boolean} Success
+     */
+    static saveAdded({ name, url, auth, secure }, updatedBy) {
+        try {
+            const db = getDatabaseManager();
+            db.execute(
+                `INSERT INTO lavalink_nodes (name, url, auth, secure, removed, updated_by)
+                 VALUES (?, ?, ?, ?, 0, ?)
+                 ON CONFLICT(name) DO UPDATE SET
+                    url = excluded.url,
+                    auth = excluded.auth,
+                    secure = excluded.secure,
+                    removed = 0,
+                    updated_by = excluded.updated_by,
+                    updated_at = CURRENT_TIMESTAMP`,
+                [name, url, auth, secure ? 1 : 0, updatedBy]
+            );
+            logger.info('Lavalink node override saved', { name, updatedBy });
+            return true;
+        } catch (error) {
+            logger.error('Failed to save Lavalink node', { name, error });
+            return false;
+        }
+    }
+
+    /**
+     * Remember a node removal. Runtime-added nodes are forgotten; config.json nodes are hidden.
+     * @param {string} name - Node name
+     * @param {boolean} fromConfig - Whether the node comes from config.json
+     * @param {string} updatedBy - Who removed it (user ID or 'api')
+     * @returns {boolean} Success
+     */
+    static saveRemoved(name, fromConfig, updatedBy) {
+        try {
+            const db = getDatabaseManager();
+            db.transaction(() => {
+                db.execute('DELETE FROM lavalink_node_blacklist WHERE name = ?', [name]);
+                if (fromConfig) {
+                    db.execute(
+                        `INSERT INTO lavalink_nodes (name, removed, updated_by)
+                         VALUES (?, 1, ?)
+                         ON CONFLICT(name) DO UPDATE SET
+                            url = NULL,
+                            auth = NULL,
+                            removed = 1,
+                            updated_by = excluded.updated_by,
+                            updated_at = CURRENT_TIMESTAMP`,
+                        [name, updatedBy]
+                    );
+                } else {
+                    db.execute('DELETE FROM lavalink_nodes WHERE name = ?', [name]);
+                }
+            });
+            logger.info('Lavalink node removal saved', { name, fromConfig, updatedBy });
+            return true;
+        } catch (error) {
+            logger.error('Failed to save Lavalink node removal', { name, error });
+            return false;
+        }
+    }
+
+    /**
+     * Blacklist entries that have not expired yet
+     * @returns {Array<{name: string, reason: string, blacklistedAt: number, duration: number}>}
+     */
+    static listBlacklist() {
+        try {
+            const db = getDatabaseManager();
+            return db
+                .query('SELECT * FROM lavalink_node_blacklist WHERE blacklisted_at + duration_ms > ?', [Date.now()])
+                .map(row => ({
+                    name: row.name,
+                    reason: row.reason,
+                    blacklistedAt: row.blacklisted_at,
+                    duration: row.duration_ms
+                }));
+        } catch (error) {
+            logger.error('Failed to list Lavalink node blacklist', { error });
+            return [];
+        }
+    }
+
+    /**
+     * Store a blacklist entry (NodeHealthMonitor#nodeBlacklisted)
+     * @param {string} name - Node name
+     * @param {{reason: string, blacklistedAt: number, duration: number}} entry
+     * @returns {boolean} Success
+     */
+    static saveBlacklist(name, { reason, blacklistedAt, duration }) {
+        try {
+            const db = getDatabaseManager();
+            db.execute(
+                `INSERT OR REPLACE INTO lavalink_node_blacklist (name, reason, blacklisted_at, duration_ms)
+                 VALUES (?, ?, ?, ?)`,
+                [name, reason, blacklistedAt, duration]
+            );
+            return true;
+        } catch (error) {
+            logger.error('Failed to save Lavalink node blacklist entry', { name, error });
+            return false;
+        }
+    }
+
+    /**
+     * Drop a blacklist entry (NodeHealthMonitor#nodeUnblacklisted)
+     * @param {string} name - Node name
+     * @returns {boolean} Success
+     */
+    static deleteBlacklist(name) {
+        try {
+            const db = getDatabaseManager();
+            db.execute('DELETE FROM lavalink_node_blacklist WHERE name = ?', [name]);
+            return true;
+        } catch (error) {
+            logger.error('Failed to delete Lavalink node blacklist entry', { name, error });
+            return false;
+        }
+    }
+}
+
+export default LavalinkNode;
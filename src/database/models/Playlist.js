@@ -7,6 +7,45 @@
 import { getDatabaseManager } from '../DatabaseManager.js';
 import logger from '../../utils/logger.js';
 import { DatabaseError } from '../../utils/errors.js';
+import { getDateFilter, escapeLikePattern } from '../helpers.js';
+import { parseSmartRules, SMART_SOURCES, SMART_SCOPES, SMART_SORTS } from '../../utils/smart-playlists.js';
+
+/** Access levels a user can have on a playlist; collaborators are either editors or viewers */
+export const PLAYLIST_ACCESS = Object.freeze({
+    OWNER: 'owner',
+    EDITOR: 'editor',
+    VIEWER: 'viewer'
+});
+
+/** Playlist kinds: static playlists store their tracks, smart ones compute them from rules */
+export const PLAYLIST_KINDS = Object.freeze({
+    STATIC: 'static',
+    SMART: 'smart'
+});
+
+/** Fields only the owner may change through update() */
+const OWNER_ONLY_FIELDS = ['name', 'is_public'];
+
+/**
+ * Collaborator rows that apply to a user: granted to them directly or to one of their roles.
+ * Binds: userId, roleIds as a JSON array
+ */
+const COLLABORATOR_MATCH_SQL = `(
+    (c.target_type = 'user' AND c.target_id = ?)
+    OR (c.target_type = 'role' AND c.target_id IN (SELECT value FROM json_each(?)))
+)`;
+
+/**
+ * Matches playlists (aliased p) the user may edit: their own, or ones they are an editor on.
+ * Binds: userId, userId, roleIds as a JSON array
+ */
+const EDITOR_ACCESS_SQL = `(
+    p.owner_id = ?
+    OR EXISTS (
+        SELECT 1 FROM playlist_collaborators c
+        WHERE c.playlist_id = p.id AND c.permission = 'editor' AND ${COLLABORATOR_MATCH_SQL}
+    )
+)`;
 
 class Playlist {
     /**
@@ -48,6 +87,56 @@ class Playlist {
         }
     }
 
+    /**
+     * Create a smart playlist
+     * @param {string} name - Playlist name
+     * @param {string} ownerId - Discord user ID
+     * @param {string} ownerUsername - Discord username
+     * @param {string} guildId - Discord guild ID
+     * @param {Object} rules - Normalized rules (see normalizeSmartRules)
+     * @param {string} [description] - Playlist description
+     * @param {boolean} [isPublic=false] - Whether playlist is public
+     * @returns {Object} Created playlist
+     */
+    static createSmart(name, ownerId, ownerUsername, guildId, rules, description = null, isPublic = false) {
+        try {
+            const db = getDatabaseManager();
+
+            const info = db.execute(
+                `
+                INSERT INTO playlists (name, owner_id, owner_username, guild_id, description, is_public, kind, smart_rules)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+            `,
+                [
+                    name,
+                    ownerId,
+                    ownerUsername,
+                    guildId,
+                    description,
+                    isPublic ? 1 : 0,
+                    PLAYLIST_KINDS.SMART,
+                    JSON.stringify(rules)
+                ]
+            );
+
+            logger.info('Smart playlist created', {
+                playlistId: info.lastInsertRowid,
+                name,
+                ownerId,
+                guildId,
+                source: rules.source
+            });
+
+            return this.getById(info.lastInsertRowid);
+        } catch (error) {
+            if (error.code === 'SQLITE_CONSTRAINT' || error.code === 'SQLITE_CONSTRAINT_UNIQUE') {
+                throw new DatabaseError(`Playlist "${name}" already exists for this user in this server`);
+            }
+            logger.error('Failed to create smart playlist', { error: error.message, name, ownerId, guildId });
+            throw new DatabaseError('Failed to create smart playlist', error);
+        }
+    }
+
     /**
      * Get playlist by ID
      * @param {number} playlistId - Playlist ID
@@ -135,13 +224,15 @@ class Playlist {
     }
 
     /**
-     * Get playlist by name in a guild - searches user's own playlists first, then public playlists
+     * Get playlist by name in a guild - searches user's own playlists first, then playlists
+     * shared with them, then public playlists
      * @param {string} name - Playlist name
      * @param {string} userId - User ID (to check ownership first)
      * @param {string} guildId - Guild ID
+     * @param {string[]} [roleIds=[]] - User's role IDs, for playlists shared with a role
      * @returns {Object|null} Playlist object or null
      */
-    static findByNameInGuild(name, userId, guildId) {
+    static findByNameInGuild(name, userId, guildId, roleIds = []) {
         try {
             const db = getDatabaseManager();
 
@@ -151,6 +242,11 @@ class Playlist {
                 return ownPlaylist;
             }
 
+            const [sharedPlaylist] = this._querySharedWith(userId, guildId, roleIds, name);
+            if (sharedPlaylist) {
+                return sharedPlaylist;
+            }
+
             // If not found, search for public playlist with that name in the guild
             return (
                 db.queryOne(
@@ -172,13 +268,272 @@ class Playlist {
     }
 
     /**
-     * Update playlist
+     * Get a playlist by name that the user may edit - their own first, then ones shared with them as editor
+     * @param {string} name - Playlist name
+     * @param {string} userId - User ID
+     * @param {string} guildId - Guild ID
+     * @param {string[]} [roleIds=[]] - User's role IDs, for playlists shared with a role
+     * @returns {Object|null} Playlist object or null
+     */
+    static findEditable(name, userId, guildId, roleIds = []) {
+        const ownPlaylist = this.getByName(name, userId, guildId);
+        if (ownPlaylist) {
+            return ownPlaylist;
+        }
+
+        return (
+            this._querySharedWith(userId, guildId, roleIds, name).find(
+                playlist => playlist.access === PLAYLIST_ACCESS.EDITOR
+            ) || null
+        );
+    }
+
+    /**
+     * Get playlists in a guild that other users shared with this user (directly or through a role)
+     * @param {string} userId - User ID
+     * @param {string} guildId - Guild ID
+     * @param {string[]} [roleIds=[]] - User's role IDs
+     * @returns {Array} Playlists, each with an `access` field ('editor' or 'viewer')
+     */
+    static getSharedWith(userId, guildId, roleIds = []) {
+        return this._querySharedWith(userId, guildId, roleIds);
+    }
+
+    /**
+     * Query playlists shared with a user, editor grants first
+     * @param {string} userId - User ID
+     * @param {string} guildId - Guild ID
+     * @param {string[]} roleIds - User's role IDs
+     * @param {string|null} [name=null] - Only return playlists with this name
+     * @returns {Array}
+     * @private
+     */
+    static _querySharedWith(userId, guildId, roleIds, name = null) {
+        try {
+            const db = getDatabaseManager();
+
+            // A user can match several grants (their own and their roles'); the strongest one wins,
+            // and 'editor' sorts before 'viewer'
+            let query = `
+                SELECT p.*, COUNT(pt.id) as track_count, shared.access
+                FROM playlists p
+                JOIN (
+                    SELECT c.playlist_id, MIN(c.permission) as access
+                    FROM playlist_collaborators c
+                    WHERE ${COLLABORATOR_MATCH_SQL}
+                    GROUP BY c.playlist_id
+                ) shared ON shared.playlist_id = p.id
+                LEFT JOIN playlist_tracks pt ON p.id = pt.playlist_id
+                WHERE p.guild_id = ? AND p.owner_id != ?
+            `;
+            const params = [userId, JSON.stringify(roleIds), guildId, userId];
+
+            if (name !== null) {
+                query += ' AND p.name = ?';
+                params.push(name);
+            }
+
+            query += ' GROUP BY p.id ORDER BY shared.access ASC, p.updated_at DESC';
+
+            return db.query(query, params);
+        } catch (error) {
+            logger.error('Failed to get shared playlists', { error: error.message, userId, guildId });
+            throw new DatabaseError('Failed to get shared playlists', error);
+        }
+    }
+
+    /**
+     * Work out a user's access to a playlist
+     * @param {Object} playlist - Playlist row
+     * @param {string} userId - User ID
+     * @param {string[]} [roleIds=[]] - User's role IDs
+     * @returns {string|null} One of PLAYLIST_ACCESS, or null when the user cannot see the playlist
+     */
+    static getAccess(playlist, userId, roleIds = []) {
+        if (!playlist) return null;
+        if (playlist.owner_id === userId) return PLAYLIST_ACCESS.OWNER;
+
+        try {
+            const db = getDatabaseManager();
+
+            const grant = db.queryOne(
+                `
+                SELECT MIN(c.permission) as access
+                FROM playlist_collaborators c
+                WHERE c.playlist_id = ? AND ${COLLABORATOR_MATCH_SQL}
+            `,
+                [playlist.id, userId, JSON.stringify(roleIds)]
+            );
+
+            if (grant?.access) return grant.access;
+            return playlist.is_public ? PLAYLIST_ACCESS.VIEWER : null;
+        } catch (error) {
+            logger.error('Failed to get playlist access', { error: error.message, playlistId: playlist.id, userId });
+            throw new DatabaseError('Failed to get playlist access', error);
+        }
+    }
+
+    /**
+     * Whether a user may change a playlist's tracks (owner or editor)
+     * @param {Object} playlist - Playlist row
+     * @param {string} userId - User ID
+     * @param {string[]} [roleIds=[]] - User's role IDs
+     * @returns {boolean}
+     */
+    static canEdit(playlist, userId, roleIds = []) {
+        const access = this.getAccess(playlist, userId, roleIds);
+        return access === PLAYLIST_ACCESS.OWNER || access === PLAYLIST_ACCESS.EDITOR;
+    }
+
+    /**
+     * Share a playlist with a user or role, or change an existing collaborator's permission
      * @param {number} playlistId - Playlist ID
      * @param {string} ownerId - Owner user ID (for permission check)
+     * @param {string} targetType - 'user' or 'role'
+     * @param {string} targetId - User or role ID
+     * @param {string} permission - PLAYLIST_ACCESS.EDITOR or PLAYLIST_ACCESS.VIEWER
+     * @returns {boolean} True when the collaborator is new, false when an existing one was updated
+     */
+    static addCollaborator(playlistId, ownerId, targetType, targetId, permission) {
+        try {
+            const db = getDatabaseManager();
+
+            let created = false;
+            db.transaction(() => {
+                const playlist = db.db
+                    .prepare('SELECT 1 FROM playlists WHERE id = ? AND owner_id = ?')
+                    .get(playlistId, ownerId);
+                if (!playlist) {
+                    throw new DatabaseError('You do not have permission to share this playlist');
+                }
+
+                const existing = db.db
+                    .prepare(
+                        'SELECT 1 FROM playlist_collaborators WHERE playlist_id = ? AND target_type = ? AND target_id = ?'
+                    )
+                    .get(playlistId, targetType, targetId);
+
+                if (existing) {
+                    db.db
+                        .prepare(
+                            `
+                        UPDATE playlist_collaborators SET permission = ?
+                        WHERE playlist_id = ? AND target_type = ? AND target_id = ?
+                    `
+                        )
+                        .run(permission, playlistId, targetType, targetId);
+                } else {
+                    db.db
+                        .prepare(
+                            `
+                        INSERT INTO playlist_collaborators (playlist_id, target_type, target_id, permission, added_by)
+                        VALUES (?, ?, ?, ?, ?)
+                    `
+                        )
+                        .run(playlistId, targetType, targetId, permission, ownerId);
+                    created = true;
+                }
+            });
+
+            logger.info('Playlist collaborator saved', { playlistId, targetType, targetId, permission, created });
+            return created;
+        } catch (error) {
+            logger.error('Failed to add playlist collaborator', { error: error.message, playlistId, targetId });
+            throw new DatabaseError('Failed to add playlist collaborator', error);
+        }
+    }
+
+    /**
+     * Stop sharing a playlist with a user or role
+     * @param {number} playlistId - Playlist ID
+     * @param {string} ownerId - Owner user ID (for permission check)
+     * @param {string} targetType - 'user' or 'role'
+     * @param {string} targetId - User or role ID
+     * @returns {boolean} Whether a collaborator was removed
+     */
+    static removeCollaborator(playlistId, ownerId, targetType, targetId) {
+        try {
+            const db = getDatabaseManager();
+
+            // Ownership check and deletion in one statement (P2-09)
+            const info = db.execute(
+                `
+                DELETE FROM playlist_collaborators
+                WHERE playlist_id = ? AND target_type = ? AND target_id = ?
+                AND EXISTS (SELECT 1 FROM playlists WHERE id = ? AND owner_id = ?)
+            `,
+                [playlistId, targetType, targetId, playlistId, ownerId]
+            );
+
+            if (info.changes > 0) {
+                logger.info('Playlist collaborator removed', { playlistId, targetType, targetId });
+            }
+            return info.changes > 0;
+        } catch (error) {
+            logger.error('Failed to remove playlist collaborator', { error: error.message, playlistId, targetId });
+            throw new DatabaseError('Failed to remove playlist collaborator', error);
+        }
+    }
+
+    /**
+     * Get everyone a playlist is shared with
+     * @param {number} playlistId - Playlist ID
+     * @returns {Array} Collaborator rows (target_type, target_id, permission, added_by, created_at)
+     */
+    static getCollaborators(playlistId) {
+        try {
+            const db = getDatabaseManager();
+
+            return db.query(
+                `
+                SELECT target_type, target_id, permission, added_by, created_at
+                FROM playlist_collaborators
+                WHERE playlist_id = ?
+                ORDER BY permission ASC, created_at ASC
+            `,
+                [playlistId]
+            );
+        } catch (error) {
+            logger.error('Failed to get playlist collaborators', { error: error.message, playlistId });
+            throw new DatabaseError('Failed to get playlist collaborators', error);
+        }
+    }
+
+    /**
+     * Count the tracks each user added to a playlist
+     * @param {number} playlistId - Playlist ID
+     * @returns {Array<{added_by: string, track_count: number}>} Most active contributors first
+     */
+    static getContributors(playlistId) {
+        try {
+            const db = getDatabaseManager();
+
+            return db.query(
+                `
+                SELECT added_by, COUNT(*) as track_count
+                FROM playlist_tracks
+                WHERE playlist_id = ? AND added_by IS NOT NULL
+                GROUP BY added_by
+                ORDER BY track_count DESC
+            `,
+                [playlistId]
+            );
+        } catch (error) {
+            logger.error('Failed to get playlist contributors', { error: error.message, playlistId });
+            throw new DatabaseError('Failed to get playlist contributors', error);
+        }
+    }
+
+    /**
+     * Update playlist. Editors may change the description and thumbnail; renaming and
+     * visibility stay with the owner.
+     * @param {number} playlistId - Playlist ID
+     * @param {string} userId - Acting user ID (for permission check)
      * @param {Object} changes - Object with fields to update
+     * @param {string[]} [roleIds=[]] - Acting user's role IDs, for role collaborators
      * @returns {Object} Updated playlist
      */
-    static update(playlistId, ownerId, changes) {
+    static update(playlistId, userId, changes, roleIds = []) {
         try {
             const db = getDatabaseManager();
 
@@ -199,20 +554,25 @@ class Playlist {
                 if (!playlist) {
                     throw new DatabaseError('Playlist not found');
                 }
-                if (playlist.owner_id !== ownerId) {
+                if (!this.canEdit(playlist, userId, roleIds)) {
                     throw new DatabaseError('You do not have permission to modify this playlist');
                 }
                 return playlist;
             }
 
-            // Combine ownership check with mutation in a single atomic statement (P2-09)
-            values.push(playlistId, ownerId);
+            // Combine permission check with mutation in a single atomic statement (P2-09)
+            const ownerOnly = Object.keys(changes).some(key => OWNER_ONLY_FIELDS.includes(key));
+            if (ownerOnly) {
+                values.push(playlistId, userId);
+            } else {
+                values.push(playlistId, userId, userId, JSON.stringify(roleIds));
+            }
 
             const info = db.execute(
                 `
-                UPDATE playlists
+                UPDATE playlists AS p
                 SET ${updates.join(', ')}
-                WHERE id = ? AND owner_id = ?
+                WHERE p.id = ? AND ${ownerOnly ? 'p.owner_id = ?' : EDITOR_ACCESS_SQL}
             `,
                 values
             );
@@ -289,6 +649,13 @@ class Playlist {
             // Wrap SELECT MAX + INSERT in a transaction for atomicity (BUG-D12)
             let result;
             db.transaction(() => {
+                const playlist = db.db.prepare('SELECT kind FROM playlists WHERE id = ?').get(playlistId);
+                if (playlist?.kind === PLAYLIST_KINDS.SMART) {
+                    throw new DatabaseError(
+                        'Smart playlists are computed from their rules and have no editable tracks'
+                    );
+                }
+
                 const posStmt = db.db.prepare(`
                     SELECT COALESCE(MAX(position), 0) + 1 as next_position
                     FROM playlist_tracks
@@ -340,26 +707,18 @@ class Playlist {
      * Remove track from playlist
      * @param {number} playlistId - Playlist ID
      * @param {number} trackId - Track ID
-     * @param {string} ownerId - Owner user ID (for permission check)
+     * @param {string} userId - Acting user ID, the owner or an editor (for permission check)
+     * @param {string[]} [roleIds=[]] - Acting user's role IDs, for role collaborators
      * @returns {boolean} Success
      */
-    static removeTrack(playlistId, trackId, ownerId) {
+    static removeTrack(playlistId, trackId, userId, roleIds = []) {
         try {
             const db = getDatabaseManager();
 
-            // Delete and re-index positions atomically with ownership check (P2-09, BUG-056)
+            // Delete and re-index positions atomically with permission check (P2-09, BUG-056)
             db.transaction(() => {
-                // Verify ownership atomically within transaction (P2-09)
-                const playlist = db.db
-                    .prepare('SELECT 1 FROM playlists WHERE id = ? AND owner_id = ?')
-                    .get(playlistId, ownerId);
-                if (!playlist) {
-                    const existing = db.db.prepare('SELECT 1 FROM playlists WHERE id = ?').get(playlistId);
-                    if (!existing) {
-                        throw new DatabaseError('Playlist not found');
-                    }
-                    throw new DatabaseError('You do not have permission to modify this playlist');
-                }
+                // Verify permission atomically within transaction (P2-09)
+                this._assertCanEdit(db, playlistId, userId, roleIds);
 
                 // Get the position of the track being deleted
                 const track = db.db
@@ -388,7 +747,7 @@ class Playlist {
     }
 
     /**
-     * Get all tracks in a playlist
+     * Get all tracks in a playlist. Smart playlists are resolved from their rules on every call.
      * @param {number} playlistId - Playlist ID
      * @returns {Array} Array of tracks
      */
@@ -396,6 +755,14 @@ class Playlist {
         try {
             const db = getDatabaseManager();
 
+            const playlist = db.queryOne(
+                'SELECT id, owner_id, guild_id, kind, smart_rules FROM playlists WHERE id = ?',
+                [playlistId]
+            );
+            if (playlist?.kind === PLAYLIST_KINDS.SMART) {
+                return this.resolveSmartTracks(playlist);
+            }
+
             return db.query(
                 `
                 SELECT * FROM playlist_tracks
@@ -410,31 +777,167 @@ class Playlist {
         }
     }
 
+    /**
+     * Evaluate a smart playlist's rules against history and favorites
+     * @param {Object} playlist - Playlist row (id, owner_id, guild_id, smart_rules)
+     * @returns {Array} Track rows shaped like playlist_tracks (no id or added_by), plus play_count
+     */
+    static resolveSmartTracks(playlist) {
+        const rules = parseSmartRules(playlist.smart_rules);
+        if (!rules) {
+            logger.warn('Smart playlist has unreadable rules', { playlistId: playlist.id });
+            return [];
+        }
+
+        try {
+            const db = getDatabaseManager();
+            const fromHistory = rules.source === SMART_SOURCES.HISTORY;
+            const serverWide = fromHistory && rules.scope === SMART_SCOPES.SERVER;
+
+            const conditions = [];
+            const params = [];
+
+            // "Not played in N days" looks at the same plays the rules count
+            if (rules.notPlayedDays) {
+                conditions.push(`NOT EXISTS (
+                    SELECT 1 FROM history r
+                    WHERE r.track_url = src.track_url
+                    ${fromHistory ? 'AND r.guild_id = ?' : ''} ${serverWide ? '' : 'AND r.user_id = ?'}
+                    AND r.played_at > datetime('now', ?)
+                )`);
+                if (fromHistory) params.push(playlist.guild_id);
+                if (!serverWide) params.push(playlist.owner_id);
+                params.push(`-${rules.notPlayedDays} days`);
+            }
+
+            if (rules.artist) {
+                conditions.push("src.track_author LIKE ? ESCAPE '\\'");
+                params.push(`%${escapeLikePattern(rules.artist)}%`);
+            }
+
+            let source;
+            const sourceParams = [];
+            if (fromHistory) {
+                source = `
+                    SELECT h.track_url, MAX(h.track_title) as track_title, MAX(h.track_author) as track_author,
+                        MAX(h.track_duration) as track_duration, COUNT(*) as play_count, MAX(h.played_at) as sort_recent
+                    FROM history h
+                    WHERE h.guild_id = ? AND h.track_url IS NOT NULL ${serverWide ? '' : 'AND h.user_id = ?'}
+                    ${getDateFilter(rules.period, 'h.played_at')}
+                    GROUP BY h.track_url
+                `;
+                sourceParams.push(playlist.guild_id);
+                if (!serverWide) sourceParams.push(playlist.owner_id);
+            } else {
+                source = `
+                    SELECT f.track_url, f.track_title, f.track_author, f.track_duration,
+                        (SELECT COUNT(*) FROM history p
+                         WHERE p.user_id = f.user_id AND p.track_url = f.track_url
+                         ${getDateFilter(rules.period, 'p.played_at')}) as play_count,
+                        f.added_at as sort_recent
+                    FROM favorites f
+                    WHERE f.user_id = ?
+                `;
+                sourceParams.push(playlist.owner_id);
+            }
+
+            if (rules.minPlays) {
+                conditions.push('src.play_count >= ?');
+                params.push(rules.minPlays);
+            }
+
+            const orderBy = {
+                [SMART_SORTS.PLAYS]: 'src.play_count DESC, src.sort_recent DESC',
+                [SMART_SORTS.RECENT]: 'src.sort_recent DESC',
+                [SMART_SORTS.RANDOM]: 'RANDOM()'
+            }[rules.sort];
+
+            const rows = db.query(
+                `
+                SELECT src.* FROM (${source}) src
+                ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+                ORDER BY ${orderBy}
+                LIMIT ?
+            `,
+                [...sourceParams, ...params, rules.limit]
+            );
+
+            return rows.map((row, index) => ({
+                id: null,
+                playlist_id: playlist.id,
+                track_url: row.track_url,
+                track_title: row.track_title,
+                track_author: row.track_author,
+                track_duration: row.track_duration,
+                position: index + 1,
+                added_by: null,
+                play_count: row.play_count
+            }));
+        } catch (error) {
+            logger.error('Failed to resolve smart playlist', { error: error.message, playlistId: playlist.id });
+            throw new DatabaseError('Failed to resolve smart playlist', error);
+        }
+    }
+
+    /**
+     * Replace all tracks of a static playlist, e.g. with a snapshot of a smart playlist
+     * @param {number} playlistId - Playlist ID
+     * @param {Array} tracks - Track rows (track_url, track_title, track_author, track_duration)
+     * @param {string} userId - Acting user ID, the owner or an editor (for permission check)
+     * @param {string[]} [roleIds=[]] - Acting user's role IDs, for role collaborators
+     * @returns {number} Number of tracks written
+     */
+    static replaceTracks(playlistId, tracks, userId, roleIds = []) {
+        try {
+            const db = getDatabaseManager();
+
+            db.transaction(() => {
+                this._assertCanEdit(db, playlistId, userId, roleIds);
+
+                db.db.prepare('DELETE FROM playlist_tracks WHERE playlist_id = ?').run(playlistId);
+
+                const insertStmt = db.db.prepare(`
+                    INSERT INTO playlist_tracks (playlist_id, track_url, track_title, track_author, track_duration, position, added_by)
+                    VALUES (?, ?, ?, ?, ?, ?, ?)
+                `);
+                tracks.forEach((track, index) =>
+                    insertStmt.run(
+                        playlistId,
+                        track.track_url,
+                        track.track_title,
+                        track.track_author || 'Unknown',
+                        track.track_duration || 0,
+                        index + 1,
+                        userId
+                    )
+                );
+            });
+
+            logger.info('Playlist tracks replaced', { playlistId, trackCount: tracks.length });
+            return tracks.length;
+        } catch (error) {
+            logger.error('Failed to replace playlist tracks', { error: error.message, playlistId });
+            throw new DatabaseError('Failed to replace playlist tracks', error);
+        }
+    }
+
     /**
      * Move track to new position
      * @param {number} playlistId - Playlist ID
      * @param {number} fromPosition - Current position (1-indexed)
      * @param {number} toPosition - New position (1-indexed)
-     * @param {string} ownerId - Owner user ID (for permission check)
+     * @param {string} userId - Acting user ID, the owner or an editor (for permission check)
+     * @param {string[]} [roleIds=[]] - Acting user's role IDs, for role collaborators
      * @returns {boolean} Success
      */
-    static moveTrack(playlistId, fromPosition, toPosition, ownerId) {
+    static moveTrack(playlistId, fromPosition, toPosition, userId, roleIds = []) {
         try {
             const db = getDatabaseManager();
 
-            // Use db.transaction() for atomic operation with ownership check (P2-09)
+            // Use db.transaction() for atomic operation with permission check (P2-09)
             db.transaction(() => {
-                // Verify ownership atomically within transaction (P2-09)
-                const playlist = db.db
-                    .prepare('SELECT 1 FROM playlists WHERE id = ? AND owner_id = ?')
-                    .get(playlistId, ownerId);
-                if (!playlist) {
-                    const existing = db.db.prepare('SELECT 1 FROM playlists WHERE id = ?').get(playlistId);
-                    if (!existing) {
-                        throw new DatabaseError('Playlist not found');
-                    }
-                    throw new DatabaseError('You do not have permission to modify this playlist');
-                }
+                // Verify permission atomically within transaction (P2-09)
+                this._assertCanEdit(db, playlistId, userId, roleIds);
 
                 // Get track at fromPosition
                 const getStmt = db.db.prepare(`
@@ -501,25 +1004,17 @@ class Playlist {
     /**
      * Clear all tracks from playlist
      * @param {number} playlistId - Playlist ID
-     * @param {string} ownerId - Owner user ID (for permission check)
+     * @param {string} userId - Acting user ID, the owner or an editor (for permission check)
+     * @param {string[]} [roleIds=[]] - Acting user's role IDs, for role collaborators
      * @returns {boolean} Success
      */
-    static clearTracks(playlistId, ownerId) {
+    static clearTracks(playlistId, userId, roleIds = []) {
         try {
             const db = getDatabaseManager();
 
-            // Verify ownership and clear tracks atomically (P2-09)
+            // Verify permission and clear tracks atomically (P2-09)
             db.transaction(() => {
-                const playlist = db.db
-                    .prepare('SELECT 1 FROM playlists WHERE id = ? AND owner_id = ?')
-                    .get(playlistId, ownerId);
-                if (!playlist) {
-                    const existing = db.db.prepare('SELECT 1 FROM playlists WHERE id = ?').get(playlistId);
-                    if (!existing) {
-                        throw new DatabaseError('Playlist not found');
-                    }
-                    throw new DatabaseError('You do not have permission to modify this playlist');
-                }
+                this._assertCanEdit(db, playlistId, userId, roleIds);
 
                 db.db.prepare('DELETE FROM playlist_tracks WHERE playlist_id = ?').run(playlistId);
             });
@@ -532,6 +1027,120 @@ class Playlist {
         }
     }
 
+    /**
+     * Put a playlist's tracks into a new order
+     * @param {number} playlistId - Playlist ID
+     * @param {number[]} trackIds - Every track ID of the playlist, in the new order
+     * @param {string} userId - Acting user ID, the owner or an editor (for permission check)
+     * @param {string[]} [roleIds=[]] - Acting user's role IDs, for role collaborators
+     * @returns {boolean} Success
+     */
+    static reorderTracks(playlistId, trackIds, userId, roleIds = []) {
+        try {
+            const db = getDatabaseManager();
+
+            db.transaction(() => {
+                this._assertCanEdit(db, playlistId, userId, roleIds);
+
+                // The new order must cover exactly the current tracks, so a stale view cannot drop or duplicate any
+                const currentIds = db.db
+                    .prepare('SELECT id FROM playlist_tracks WHERE playlist_id = ?')
+                    .all(playlistId)
+                    .map(row => row.id);
+                const requested = new Set(trackIds);
+                if (
+                    requested.size !== trackIds.length ||
+                    currentIds.length !== trackIds.length ||
+                    !currentIds.every(id => requested.has(id))
+                ) {
+                    throw new DatabaseError('Track order does not match the playlist');
+                }
+
+                const stmt = db.db.prepare('UPDATE playlist_tracks SET position = ? WHERE id = ? AND playlist_id = ?');
+                trackIds.forEach((trackId, index) => stmt.run(index + 1, trackId, playlistId));
+            });
+
+            logger.info('Playlist tracks reordered', { playlistId, trackCount: trackIds.length });
+            return true;
+        } catch (error) {
+            logger.error('Failed to reorder playlist tracks', { error: error.message, playlistId });
+            throw new DatabaseError('Failed to reorder playlist tracks', error);
+        }
+    }
+
+    /**
+     * Remove repeated tracks (same URL), keeping the earliest copy, and close the position gaps
+     * @param {number} playlistId - Playlist ID
+     * @param {string} userId - Acting user ID, the owner or an editor (for permission check)
+     * @param {string[]} [roleIds=[]] - Acting user's role IDs, for role collaborators
+     * @returns {Array} Removed track rows
+     */
+    static removeDuplicates(playlistId, userId, roleIds = []) {
+        try {
+            const db = getDatabaseManager();
+
+            const removed = [];
+            db.transaction(() => {
+                this._assertCanEdit(db, playlistId, userId, roleIds);
+
+                const tracks = db.db
+                    .prepare('SELECT * FROM playlist_tracks WHERE playlist_id = ? ORDER BY position ASC')
+                    .all(playlistId);
+
+                const seen = new Set();
+                const kept = [];
+                for (const track of tracks) {
+                    if (seen.has(track.track_url)) {
+                        removed.push(track);
+                    } else {
+                        seen.add(track.track_url);
+                        kept.push(track);
+                    }
+                }
+
+                if (removed.length === 0) return;
+
+                const deleteStmt = db.db.prepare('DELETE FROM playlist_tracks WHERE id = ?');
+                removed.forEach(track => deleteStmt.run(track.id));
+
+                const positionStmt = db.db.prepare('UPDATE playlist_tracks SET position = ? WHERE id = ?');
+                kept.forEach((track, index) => positionStmt.run(index + 1, track.id));
+            });
+
+            logger.info('Playlist duplicates removed', { playlistId, removed: removed.length });
+            return removed;
+        } catch (error) {
+            logger.error('Failed to remove playlist duplicates', { error: error.message, playlistId });
+            throw new DatabaseError('Failed to remove playlist duplicates', error);
+        }
+    }
+
+    /**
+     * Throw unless the user owns the playlist or is an editor on it, and it stores its own tracks.
+     * Must be called inside the caller's transaction.
+     * @param {Object} db - Database manager
+     * @param {number} playlistId - Playlist ID
+     * @param {string} userId - Acting user ID
+     * @param {string[]} roleIds - Acting user's role IDs
+     * @throws {DatabaseError}
+     * @private
+     */
+    static _assertCanEdit(db, playlistId, userId, roleIds) {
+        const playlist = db.db
+            .prepare(`SELECT p.kind FROM playlists p WHERE p.id = ? AND ${EDITOR_ACCESS_SQL}`)
+            .get(playlistId, userId, userId, JSON.stringify(roleIds));
+        if (!playlist) {
+            const existing = db.db.prepare('SELECT 1 FROM playlists WHERE id = ?').get(playlistId);
+            if (!existing) {
+                throw new DatabaseError('Playlist not found');
+            }
+            throw new DatabaseError('You do not have permission to modify this playlist');
+        }
+        if (playlist.kind === PLAYLIST_KINDS.SMART) {
+            throw new DatabaseError('Smart playlists are computed from their rules and have no editable tracks');
+        }
+    }
+
     /**
      * Get all public playlists in a guild
      * @param {string} guildId - Guild ID
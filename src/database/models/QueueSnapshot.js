@@ -0,0 +1,158 @@
+/**
+ * Queue Snapshot Model
+ * Persist live guild queues so playback can be restored after a restart
+ */
+
+import { getDatabaseManager } from '../DatabaseManager.js';
+import logger from '../../utils/logger.js';
+
+/**
+ * Parse a JSON column, returning a fallback on malformed data
+ * @param {string|null} value - Raw column value
+ * @param {*} fallback - Value returned when parsing fails
+ * @returns {*}
+ */
+function parseJson(value, fallback) {
+    if (!value) return fallback;
+    try {
+        return JSON.parse(value);
+    } catch {
+        return fallback;
+    }
+}
+
+class QueueSnapshot {
+    /**
+     * Save (upsert) a queue snapshot
+     * @param {Object} snapshot - Snapshot produced by EnhancedQueue#toSnapshot()
+     * @returns {boolean} Success
+     */
+    static save(snapshot) {
+        try {
+            const db = getDatabaseManager();
+            db.execute(
+                `INSERT INTO queue_snapshots
+                    (guild_id, voice_channel_id, text_channel_id, current_track, tracks, position,
+                     loop_mode, volume, filters, paused, updated_at)
+                 VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+                 ON CONFLICT(guild_id) DO UPDATE SET
+                    voice_channel_id = excluded.voice_channel_id,
+                    text_channel_id = excluded.text_channel_id,
+                    current_track = excluded.current_track,
+                    tracks = excluded.tracks,
+                    position = excluded.position,
+                    loop_mode = excluded.loop_mode,
+                    volume = excluded.volume,
+                    filters = excluded.filters,
+                    paused = excluded.paused,
+                    updated_at = CURRENT_TIMESTAMP`,
+                [
+                    snapshot.guildId,
+                    snapshot.voiceChannelId,
+                    snapshot.textChannelId || null,
+                    snapshot.current ? JSON.stringify(snapshot.current) : null,
+                    JSON.stringify(snapshot.tracks || []),
+                    Math.max(0, Math.floor(snapshot.position || 0)),
+                    snapshot.loop || 'off',
+                    snapshot.volume ?? 50,
+                    snapshot.filters ? JSON.stringify(snapshot.filters) : null,
+                    snapshot.paused ? 1 : 0
+                ]
+            );
+            return true;
+        } catch (error) {
+            logger.error('Failed to save queue snapshot', { guildId: snapshot?.guildId, error });
+            return false;
+        }
+    }
+
+    /**
+     * Get the snapshot for a guild
+     * @param {string} guildId - Guild ID
+     * @returns {Object|null} Snapshot or null
+     */
+    static get(guildId) {
+        try {
+            const db = getDatabaseManager();
+            const row = db.queryOne('SELECT * FROM queue_snapshots WHERE guild_id = ?', [guildId]);
+            return row ? this._fromRow(row) : null;
+        } catch (error) {
+            logger.error('Failed to get queue snapshot', { guildId, error });
+            return null;
+        }
+    }
+
+    /**
+     * Get all stored snapshots
+     * @returns {Array<Object>} Snapshots
+     */
+    static getAll() {
+        try {
+            const db = getDatabaseManager();
+            const rows = db.query('SELECT * FROM queue_snapshots ORDER BY updated_at DESC');
+            return rows.map(row => this._fromRow(row));
+        } catch (error) {
+            logger.error('Failed to get queue snapshots', { error });
+            return [];
+        }
+    }
+
+    /**
+     * Delete the snapshot for a guild
+     * @param {string} guildId - Guild ID
+     * @returns {boolean} Success
+     */
+    static delete(guildId) {
+        try {
+            const db = getDatabaseManager();
+            db.execute('DELETE FROM queue_snapshots WHERE guild_id = ?', [guildId]);
+            return true;
+        } catch (error) {
+            logger.error('Failed to delete queue snapshot', { guildId, error });
+            return false;
+        }
+    }
+
+    /**
+     * Delete snapshots older than the given age
+     * @param {number} maxAgeMs - Maximum snapshot age in milliseconds
+     * @returns {number} Number of deleted snapshots
+     */
+    static cleanup(maxAgeMs) {
+        try {
+            const db = getDatabaseManager();
+            const seconds = Math.floor(maxAgeMs / 1000);
+            const result = db.execute("DELETE FROM queue_snapshots WHERE updated_at < datetime('now', ?)", [
+                `-${seconds} seconds`
+            ]);
+            return result?.changes || 0;
+        } catch (error) {
+            logger.error('Failed to clean up queue snapshots', { error });
+            return 0;
+        }
+    }
+
+    /**
+     * Map a database row to a snapshot object
+     * @param {Object} row - Database row
+     * @returns {Object} Snapshot
+     * @private
+     */
+    static _fromRow(row) {
+        return {
+            guildId: row.guild_id,
+            voiceChannelId: row.voice_channel_id,
+            textChannelId: row.text_channel_id,
+            current: parseJson(row.current_track, null),
+            tracks: parseJson(row.tracks, []),
+            position: row.position || 0,
+            loop: row.loop_mode || 'off',
+            volume: row.volume ?? 50,
+            filters: parseJson(row.filters, null),
+            paused: Boolean(row.paused),
+            updatedAt: row.updated_at
+        };
+    }
+}
+
+export default QueueSnapshot;
@@ -0,0 +1,113 @@
+/**
+ * Quiz Result Model
+ * Per-player results of finished /quiz games, aggregated for leaderboards and personal stats
+ */
+
+import { getDatabaseManager } from '../DatabaseManager.js';
+import { getDateFilter } from '../helpers.js';
+import logger from '../../utils/logger.js';
+
+/** Aggregate columns shared by the leaderboard and personal stats queries */
+const AGGREGATE_COLUMNS = `
+    COUNT(*) as games,
+    SUM(answered) as answered,
+    SUM(correct) as correct,
+    SUM(points) as points,
+    SUM(won) as wins,
+    MAX(best_streak) as best_streak,
+    CASE WHEN SUM(answered) > 0 THEN SUM(total_answer_ms) / SUM(answered) ELSE 0 END as avg_answer_ms`;
+
+class QuizResult {
+    /**
+     * Record a finished game
+     * @param {string} guildId - Guild ID
+     * @param {Object} game - Game summary
+     * @param {string} game.mode - Quiz mode
+     * @param {number} game.questions - Questions asked
+     * @param {Array<{userId: string, answered: number, correct: number, points: number,
+     *   totalAnswerMs: number, bestStreak: number, won: boolean}>} game.players - Player results
+     * @returns {boolean} Success
+     */
+    static recordGame(guildId, { mode, questions, players }) {
+        if (!players || players.length === 0) return true;
+
+        try {
+            const db = getDatabaseManager();
+            db.transaction(() => {
+                for (const player of players) {
+                    db.execute(
+                        `INSERT INTO quiz_results
+                            (guild_id, user_id, mode, questions, answered, correct, points, total_answer_ms, best_streak, won)
+                         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+                        [
+                            guildId,
+                            player.userId,
+                            mode,
+                            questions,
+                            player.answered,
+                            player.correct,
+                            player.points,
+                            Math.round(player.totalAnswerMs),
+                            player.bestStreak,
+                            player.won ? 1 : 0
+                        ]
+                    );
+                }
+            });
+            return true;
+        } catch (error) {
+            logger.error('Failed to record quiz results', { guildId, mode, error });
+            return false;
+        }
+    }
+
+    /**
+     * Top quiz players in a guild, ranked by total points
+     * @param {string} guildId - Guild ID
+     * @param {number} limit - Maximum number of players
+     * @param {string} period - Time period ('day', 'week', 'month', 'all')
+     * @returns {Array} Aggregated rows with user_id
+     */
+    static getLeaderboard(guildId, limit = 10, period = 'all') {
+        try {
+            const db = getDatabaseManager();
+            const dateFilter = getDateFilter(period);
+
+            return db.query(
+                `SELECT user_id, ${AGGREGATE_COLUMNS}
+                 FROM quiz_results
+                 WHERE guild_id = ? ${dateFilter}
+                 GROUP BY user_id
+                 ORDER BY points DESC, correct DESC, avg_answer_ms ASC
+                 LIMIT ?`,
+                [guildId, limit]
+            );
+        } catch (error) {
+            logger.error('Failed to get quiz leaderboard', { guildId, period, error });
+            return [];
+        }
+    }
+
+    /**
+     * A user's quiz stats in a guild
+     * @param {string} userId - Discord user ID
+     * @param {string} guildId - Guild ID
+     * @returns {Object|null} Aggregated row (games = 0 when the user never played)
+     */
+    static getUserStats(userId, guildId) {
+        try {
+            const db = getDatabaseManager();
+            return db.queryOne(
+                `SELECT ${AGGREGATE_COLUMNS}
+                 FROM quiz_results
+                 WHERE user_id = ? AND guild_id = ?`,
+                [userId, guildId]
+            );
+        } catch (error) {
+            logger.error('Failed to get quiz stats', { userId, guildId, error });
+            return null;
+        }
+    }
+}
+
+export default QuizResult;
@@ -0,0 +1,116 @@
+/**
+ * Resume Session Model
+ * Per-user copy of an interrupted queue, offered back when the user has autoResume enabled
+ */
+
+import { getDatabaseManager } from '../DatabaseManager.js';
+import logger from '../../utils/logger.js';
+
+class ResumeSession {
+    /**
+     * Save (upsert) a resumable session for a user
+     * @param {string} userId - Discord user ID
+     * @param {string} guildId - Guild ID
+     * @param {Object} snapshot - Queue snapshot (see EnhancedQueue#toSnapshot)
+     * @returns {boolean} Success
+     */
+    static save(userId, guildId, snapshot) {
+        try {
+            const db = getDatabaseManager();
+            db.execute(
+                `INSERT INTO resume_sessions (user_id, guild_id, snapshot, updated_at)
+                 VALUES (?, ?, ?, CURRENT_TIMESTAMP)
+                 ON CONFLICT(user_id, guild_id) DO UPDATE SET
+                    snapshot = excluded.snapshot,
+                    updated_at = CURRENT_TIMESTAMP`,
+                [userId, guildId, JSON.stringify(snapshot)]
+            );
+            return true;
+        } catch (error) {
+            logger.error('Failed to save resume session', { userId, guildId, error });
+            return false;
+        }
+    }
+
+    /**
+     * Get a user's resumable session in a guild
+     * @param {string} userId - Discord user ID
+     * @param {string} guildId - Guild ID
+     * @param {number} [maxAgeMs] - Ignore sessions older than this
+     * @returns {Object|null} Snapshot or null
+     */
+    static get(userId, guildId, maxAgeMs = null) {
+        try {
+            const db = getDatabaseManager();
+            const row = maxAgeMs
+                ? db.queryOne(
+                      `SELECT snapshot FROM resume_sessions
+                       WHERE user_id = ? AND guild_id = ? AND updated_at >= datetime('now', ?)`,
+                      [userId, guildId, `-${Math.floor(maxAgeMs / 1000)} seconds`]
+                  )
+                : db.queryOne('SELECT snapshot FROM resume_sessions WHERE user_id = ? AND guild_id = ?', [
+                      userId,
+                      guildId
+                  ]);
+
+            if (!row) return null;
+            return JSON.parse(row.snapshot);
+        } catch (error) {
+            logger.error('Failed to get resume session', { userId, guildId, error });
+            return null;
+        }
+    }
+
+    /**
+     * Delete a user's resumable session in a guild
+     * @param {string} userId - Discord user ID
+     * @param {string} guildId - Guild ID
+     * @returns {boolean} Success
+     */
+    static delete(userId, guildId) {
+        try {
+            const db = getDatabaseManager();
+            db.execute('DELETE FROM resume_sessions WHERE user_id = ? AND guild_id = ?', [userId, guildId]);
+            return true;
+        } catch (error) {
+            logger.error('Failed to delete resume session', { userId, guildId, error });
+            return false;
+        }
+    }
+
+    /**
+     * Delete every resumable session in a guild (after one of them has been resumed)
+     * @param {string} guildId - Guild ID
+     * @returns {boolean} Success
+     */
+    static deleteByGuild(guildId) {
+        try {
+            const db = getDatabaseManager();
+            db.execute('DELETE FROM resume_sessions WHERE guild_id = ?', [guildId]);
+            return true;
+        } catch (error) {
+            logger.error('Failed to delete guild resume sessions', { guildId, error });
+            return false;
+        }
+    }
+
+    /**
+     * Delete sessions older than the given age
+     * @param {number} maxAgeMs - Maximum session age in milliseconds
+     * @returns {number} Number of deleted sessions
+     */
+    static cleanup(maxAgeMs) {
+        try {
+            const db = getDatabaseManager();
+            const result = db.execute("DELETE FROM resume_sessions WHERE updated_at < datetime('now', ?)", [
+                `-${Math.floor(maxAgeMs / 1000)} seconds`
+            ]);
+            return result?.changes || 0;
+        } catch (error) {
+            logger.error('Failed to clean up resume sessions', { error });
+            return 0;
+        }
+    }
+}
+
+export default ResumeSession;
@@ -0,0 +1,203 @@
+/**
+ * Song Request Model
+ * /play requests waiting for a DJ's approval in guilds with request approval enabled
+ */
+
+import { getDatabaseManager } from '../DatabaseManager.js';
+import { SONG_REQUESTS } from '../../utils/constants.js';
+import logger from '../../utils/logger.js';
+
+export const SONG_REQUEST_STATUS = Object.freeze({
+    PENDING: 'pending',
+    APPROVED: 'approved',
+    REJECTED: 'rejected',
+    EXPIRED: 'expired'
+});
+
+/** datetime('now', ?) modifier for the oldest created_at a pending request can have */
+const pendingCutoff = () => `-${Math.floor(SONG_REQUESTS.PENDING_TTL_MS / 1000)} seconds`;
+
+class SongRequest {
+    /**
+     * Store a pending request
+     * @param {Object} request
+     * @param {string} request.guildId - Guild ID
+     * @param {string} request.userId - Requester ID
+     * @param {string} request.textChannelId - Channel the request was made in
+     * @param {string} request.voiceChannelId - Requester's voice channel
+     * @param {Array} request.tracks - Lavalink tracks to queue once approved
+     * @param {string|null} [request.playlistName] - Set when the request is a playlist
+     * @returns {Object|null} Created request, or null on failure
+     */
+    static create({ guildId, userId, textChannelId, voiceChannelId, tracks, playlistName = null }) {
+        try {
+            const db = getDatabaseManager();
+            const first = tracks[0];
+            const result = db.execute(
+                `INSERT INTO song_requests
+                    (guild_id, user_id, text_channel_id, voice_channel_id, track_title, track_url, tracks, playlist_name)
+                 VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+                [
+                    guildId,
+                    userId,
+                    textChannelId,
+                    voiceChannelId,
+                    playlistName || first.info?.title || 'Unknown',
+                    first.info?.uri || null,
+                    JSON.stringify(
+                        tracks.map(track => ({
+                            encoded: track.encoded,
+                            info: track.info,
+                            pluginInfo: track.pluginInfo || {}
+                        }))
+                    ),
+                    playlistName
+                ]
+            );
+            return this.get(result.lastInsertRowid);
+        } catch (error) {
+            logger.error('Failed to create song request', { guildId, userId, error });
+            return null;
+        }
+    }
+
+    /**
+     * Get a request by ID
+     * @param {number} id - Request ID
+     * @returns {Object|null} Request with `tracks` parsed, or null
+     */
+    static get(id) {
+        try {
+            const db = getDatabaseManager();
+            const row = db.queryOne('SELECT * FROM song_requests WHERE id = ?', [id]);
+            if (!row) return null;
+            return { ...row, tracks: JSON.parse(row.tracks) };
+        } catch (error) {
+            logger.error('Failed to get song request', { id, error });
+            return null;
+        }
+    }
+
+    /**
+     * Count a member's requests still waiting for a decision (expired ones do not count,
+     * even before the sweep has marked them)
+     * @param {string} guildId - Guild ID
+     * @param {string} userId - Requester ID
+     * @returns {number}
+     */
+    static countPending(guildId, userId) {
+        try {
+            const db = getDatabaseManager();
+            const row = db.queryOne(
+                `SELECT COUNT(*) AS count FROM song_requests
+                 WHERE guild_id = ? AND user_id = ? AND status = ? AND created_at > datetime('now', ?)`,
+                [guildId, userId, SONG_REQUEST_STATUS.PENDING, pendingCutoff()]
+            );
+            return row?.count || 0;
+        } catch (error) {
+            logger.error('Failed to count pending song requests', { guildId, userId, error });
+            return 0;
+        }
+    }
+
+    /**
+     * Remember the approval message posted for a request
+     * @param {number} id - Request ID
+     * @param {string} messageId - Message ID in the approval channel
+     * @returns {boolean} Success
+     */
+    static setMessage(id, messageId) {
+        try {
+            const db = getDatabaseManager();
+            db.execute('UPDATE song_requests SET message_id = ? WHERE id = ?', [messageId, id]);
+            return true;
+        } catch (error) {
+            logger.error('Failed to set song request message', { id, error });
+            return false;
+        }
+    }
+
+    /**
+     * Approve or reject a pending request. Only the first decision wins, so two DJs
+     * pressing buttons at the same time cannot queue a request twice.
+     * @param {number} id - Request ID
+     * @param {string} status - SONG_REQUEST_STATUS.APPROVED or REJECTED
+     * @param {string} decidedBy - Deciding DJ's user ID
+     * @returns {boolean} Whether this call made the decision
+     */
+    static resolve(id, status, decidedBy) {
+        try {
+            const db = getDatabaseManager();
+            const result = db.execute(
+                `UPDATE song_requests SET status = ?, decided_by = ?, decided_at = CURRENT_TIMESTAMP
+                 WHERE id = ? AND status = ?`,
+                [status, decidedBy, id, SONG_REQUEST_STATUS.PENDING]
+            );
+            return (result?.changes || 0) > 0;
+        } catch (error) {
+            logger.error('Failed to resolve song request', { id, status, error });
+            return false;
+        }
+    }
+
+    /**
+     * Mark a pending request expired if nobody decided on it within SONG_REQUESTS.PENDING_TTL_MS
+     * @param {number} id - Request ID
+     * @returns {boolean} Whether this call expired it
+     */
+    static expire(id) {
+        try {
+            const db = getDatabaseManager();
+            const result = db.execute(
+                `UPDATE song_requests SET status = ?
+                 WHERE id = ? AND status = ? AND created_at <= datetime('now', ?)`,
+                [SONG_REQUEST_STATUS.EXPIRED, id, SONG_REQUEST_STATUS.PENDING, pendingCutoff()]
+            );
+            return (result?.changes || 0) > 0;
+        } catch (error) {
+            logger.error('Failed to expire song request', { id, error });
+            return false;
+        }
+    }
+
+    /**
+     * Expire every pending request older than SONG_REQUESTS.PENDING_TTL_MS
+     * @returns {Object[]} The requests this call expired, with `tracks` parsed
+     */
+    static expireStale() {
+        try {
+            const db = getDatabaseManager();
+            const rows = db.query("SELECT * FROM song_requests WHERE status = ? AND created_at <= datetime('now', ?)", [
+                SONG_REQUEST_STATUS.PENDING,
+                pendingCutoff()
+            ]);
+            return rows
+                .filter(row => this.expire(row.id))
+                .map(row => ({ ...row, status: SONG_REQUEST_STATUS.EXPIRED, tracks: JSON.parse(row.tracks) }));
+        } catch (error) {
+            logger.error('Failed to expire stale song requests', { error });
+            return [];
+        }
+    }
+
+    /**
+     * Put an approved request back to pending (its tracks could not be queued)
+     * @param {number} id - Request ID
+     * @returns {boolean} Success
+     */
+    static reopen(id) {
+        try {
+            const db = getDatabaseManager();
+            db.execute('UPDATE song_requests SET status = ?, decided_by = NULL, decided_at = NULL WHERE id = ?', [
+                SONG_REQUEST_STATUS.PENDING,
+                id
+            ]);
+            return true;
+        } catch (error) {
+            logger.error('Failed to reopen song request', { id, error });
+            return false;
+        }
+    }
+}
+
+export default SongRequest;
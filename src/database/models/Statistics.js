@@ -7,6 +7,7 @@
 
 import { getDatabaseManager } from '../DatabaseManager.js';
 import logger from '../../utils/logger.js';
+import { t } from '../../utils/i18n.js';
 import { getDateFilter, escapeLikePattern } from '../helpers.js';
 
 function validateUpdateFields(modelName, updates, allowedFields) {
@@ -727,15 +728,16 @@ export class EnhancedStatisticsService {
      * Generate a text-based activity chart
      * @param {Array} hourlyData - Array of hourly statistics
      * @param {number} maxWidth - Maximum chart width in characters
+     * @param {string} [locale] - Locale for chart labels
      * @returns {string} Text-based chart
      */
-    static generateActivityChart(hourlyData, maxWidth = 24) {
+    static generateActivityChart(hourlyData, maxWidth = 24, locale) {
         if (!hourlyData || hourlyData.length === 0) {
-            return 'Không có dữ liệu để hiển thị biểu đồ';
+            return t('stats.chart_no_data', locale);
         }
 
         const maxCount = Math.max(...hourlyData.map(h => h.play_count));
-        if (maxCount === 0) return 'Không có hoạt động';
+        if (maxCount === 0) return t('stats.chart_no_activity', locale);
 
         // Find peak hours
         const peakHours = hourlyData
@@ -768,7 +770,11 @@ export class EnhancedStatisticsService {
         // Add peak info
         if (peakHours.length > 0) {
             chartLines.push('');
-            chartLines.push(`⏰ Giờ cao điểm: ${peakHours.map(p => `${p.hour}h (${p.play_count})`).join(', ')}`);
+            chartLines.push(
+                t('stats.chart_peak_hours', locale, {
+                    hours: peakHours.map(p => `${p.hour}h (${p.play_count})`).join(', ')
+                })
+            );
         }
 
         return chartLines.join('\n');
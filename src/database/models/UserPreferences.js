@@ -28,6 +28,7 @@ class UserPreferences {
                 autoResume: Boolean(user.auto_resume),
                 notificationsEnabled: Boolean(user.notifications_enabled),
                 language: user.language,
+                defaultFilterPresetId: user.default_filter_preset_id ?? null,
                 createdAt: user.created_at,
                 updatedAt: user.updated_at
             };
@@ -75,6 +76,9 @@ class UserPreferences {
             if (preferences.language !== undefined) {
                 addField('language', preferences.language);
             }
+            if (preferences.defaultFilterPresetId !== undefined) {
+                addField('default_filter_preset_id', preferences.defaultFilterPresetId);
+            }
 
             // Preserve existing insert defaults while allowing explicit 0 for defaultVolume
             if (!insertColumns.includes('default_volume')) {
@@ -86,8 +90,9 @@ class UserPreferences {
             if (!insertColumns.includes('notifications_enabled')) {
                 addField('notifications_enabled', preferences.notificationsEnabled !== false ? 1 : 0, false);
             }
+            // NULL language = follow the guild default / Discord client locale
             if (!insertColumns.includes('language')) {
-                addField('language', preferences.language || 'vi', false);
+                addField('language', preferences.language ?? null, false);
             }
 
             const placeholders = insertColumns.map(() => '?').join(', ');
@@ -123,7 +128,8 @@ class UserPreferences {
             defaultVolume: 50,
             autoResume: false,
             notificationsEnabled: true,
-            language: 'vi',
+            language: null,
+            defaultFilterPresetId: null,
             createdAt: null,
             updatedAt: null
         };
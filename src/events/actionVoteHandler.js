@@ -0,0 +1,314 @@
+/**
+ * Action Vote Handler
+ *
+ * Implements democratic mode (`/settings democratic`): when a guild enables it, stop, clear,
+ * shuffle, remove, jump and volume changes from members without DJ/admin rights are put to a
+ * vote of the listeners in the bot's voice channel instead of running immediately.
+ *   - Each action has its own threshold (percentage of non-bot listeners, 0 = no vote)
+ *   - Admins and members with the DJ role bypass the vote (permissions.isDJOrAdmin)
+ *   - Requesters can remove their own tracks, and nobody votes alone in a channel
+ *   - One pending vote per action per guild; asking for the same thing again counts as a vote
+ *
+ * Session state lives in ActionVoteManager.
+ *
+ * @module ActionVoteHandler
+ */
+
+import { EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle } from 'discord.js';
+import GuildSettings from '../database/models/GuildSettings.js';
+import { getActionVoteManager } from '../services/ActionVoteManager.js';
+import { isDJOrAdmin } from '../utils/permissions.js';
+import { ACTION_VOTE_BUTTONS, extractId } from '../utils/button-ids.js';
+import { VOTING } from '../utils/constants.js';
+import { ValidationError, UserNotInVoiceError, DifferentVoiceChannelError } from '../utils/errors.js';
+import { sendErrorResponse } from '../UI/embeds/ErrorEmbeds.js';
+import { createInfoEmbed } from '../UI/embeds/MusicEmbeds.js';
+import { createUndoButtons } from '../UI/components/MusicControls.js';
+import { COLORS } from '../config/design-system.js';
+import { t, getLocale } from '../utils/i18n.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Count the non-bot members in the queue's voice channel
+ * @param {import('discord.js').Guild} guild
+ * @param {Object} queue - EnhancedQueue instance
+ * @returns {number}
+ */
+function countListeners(guild, queue) {
+    const voiceChannel = guild?.channels.cache.get(queue.voiceChannelId);
+    return voiceChannel ? voiceChannel.members.filter(m => !m.user.bot).size : 1;
+}
+
+/**
+ * Build the public vote message (in the guild's locale, since everyone sees it)
+ * @param {Object} session - ActionVoteManager session
+ * @param {number} listeners - Non-bot listeners in voice
+ * @param {Object} queue - EnhancedQueue instance
+ * @param {Object} config - Bot configuration
+ * @returns {{embeds: EmbedBuilder[], components: ActionRowBuilder[]}}
+ */
+function buildVoteMessage(session, listeners, queue, config) {
+    const locale = queue.locale;
+    const embed = new EmbedBuilder()
+        .setColor(COLORS.WARNING)
+        .setTitle(`${t('vote.title', locale)}: ${t(`vote.action.${session.action}`, locale)}`)
+        .setDescription(
+            `**${session.summary}**\n\n` +
+                t('vote.progress', locale, {
+                    votes: session.votes.size,
+                    required: session.requiredVotes,
+                    members: listeners,
+                    threshold: session.threshold
+                }) +
+                `\n${t('vote.requested_by', locale, { user: `<@${session.initiatorId}>` })}`
+        )
+        .setFooter({
+            text: `${config.bot.footer} • ${t('vote.footer', locale, { seconds: VOTING.SESSION_TTL_MS / 1000 })}`
+        })
+        .setTimestamp();
+
+    const row = new ActionRowBuilder().addComponents(
+        new ButtonBuilder()
+            .setCustomId(`${ACTION_VOTE_BUTTONS.VOTE_PREFIX}${session.action}`)
+            .setLabel(t('vote.button', locale, { votes: session.votes.size, required: session.requiredVotes }))
+            .setEmoji('🗳️')
+            .setStyle(ButtonStyle.Primary)
+    );
+
+    return { embeds: [embed], components: [row] };
+}
+
+/**
+ * Run a vote that reached its threshold and build the message announcing the outcome
+ * @param {Object} session - ActionVoteManager session
+ * @param {Object} client - Discord client
+ * @returns {Promise<{embeds: EmbedBuilder[], components: ActionRowBuilder[]}>}
+ */
+async function concludeVote(session, client) {
+    getActionVoteManager().clearSession(session.guildId, session.action);
+
+    const queue = client.musicManager.getQueue(session.guildId);
+    const locale = queue?.locale;
+    // Stop and volume are not journaled: only offer Undo when the vote added a journal entry
+    const undoBefore = queue?.peekUndo() ?? null;
+    const result = queue
+        ? await session.perform(queue, {
+              userId: session.initiatorId,
+              locale,
+              details: { source: 'vote', votes: session.votes.size, requiredVotes: session.requiredVotes }
+          })
+        : null;
+
+    logger.info('Action vote concluded', {
+        guildId: session.guildId,
+        action: session.action,
+        votes: session.votes.size,
+        requiredVotes: session.requiredVotes,
+        performed: Boolean(result)
+    });
+
+    if (!result) {
+        const staleEmbed = new EmbedBuilder()
+            .setColor(COLORS.WARNING)
+            .setTitle(t('vote.stale_title', locale))
+            .setDescription(t('vote.stale', locale, { summary: session.summary }))
+            .setFooter({ text: client.config.bot.footer })
+            .setTimestamp();
+        return { embeds: [staleEmbed], components: [] };
+    }
+
+    const undoAfter = queue.peekUndo();
+    const embed = new EmbedBuilder()
+        .setColor(COLORS.SUCCESS)
+        .setTitle(t('vote.passed_title', locale))
+        .setDescription(
+            `${result}\n${t('vote.passed_votes', locale, {
+                votes: session.votes.size,
+                required: session.requiredVotes
+            })}`
+        )
+        .setFooter({ text: client.config.bot.footer })
+        .setTimestamp();
+
+    return { embeds: [embed], components: createUndoButtons(undoAfter !== undoBefore ? undoAfter : null, locale) };
+}
+
+/**
+ * Reply to a command, button or modal interaction whether or not it was deferred
+ * @returns {Promise<import('discord.js').Message>}
+ */
+function respond(interaction, payload) {
+    if (interaction.deferred || interaction.replied) {
+        return interaction.editReply(payload);
+    }
+    return interaction.reply({ ...payload, fetchReply: true });
+}
+
+/**
+ * Settle a pending vote because the action was just done directly (by a DJ, admin, ...)
+ * @param {string} guildId
+ * @param {string} action - One of VOTE_ACTIONS
+ */
+export function cancelActionVote(guildId, action) {
+    const manager = getActionVoteManager();
+    const session = manager.getSession(guildId, action);
+    if (!session) return;
+
+    manager.clearSession(guildId, action);
+    session.message?.edit({ components: [] }).catch(() => {});
+}
+
+/**
+ * Put a queue action to a vote when democratic mode requires it.
+ * Returns false when the caller should perform the action itself (democratic mode off,
+ * threshold 0, DJ/admin, own track, alone in voice); otherwise the interaction has been
+ * answered with the vote (started, counted or passed) and the caller must stop.
+ *
+ * @param {import('discord.js').Interaction} interaction - Command, button, menu or modal interaction
+ * @param {Object} client - Discord client
+ * @param {Object} queue - EnhancedQueue instance
+ * @param {string} action - One of VOTE_ACTIONS
+ * @param {Object} options
+ * @param {string} [options.key] - What is being voted on; a request with a different key is refused
+ *   while a vote for the action is running
+ * @param {string} options.summary - Description of the request, in the queue's locale
+ * @param {Function} options.perform - (queue, { userId, locale, details }) => Promise<string|null>;
+ *   resolves to the result line, or null when the action no longer applies
+ * @param {string} [options.requesterId] - Requester of the target track; they need no vote
+ * @returns {Promise<boolean>} Whether the vote flow handled the interaction
+ * @throws {ValidationError} When another vote for the action is running or the user already voted
+ */
+export async function requestActionVote(interaction, client, queue, action, options) {
+    const guildId = interaction.guildId;
+    const userId = interaction.user.id;
+    const settings = GuildSettings.get(guildId);
+    const threshold = settings.democraticMode ? settings.voteThresholds[action] : 0;
+
+    if (
+        !threshold ||
+        isDJOrAdmin(interaction.member, guildId).allowed ||
+        (options.requesterId && options.requesterId === userId)
+    ) {
+        cancelActionVote(guildId, action);
+        return false;
+    }
+
+    const listeners = countListeners(interaction.guild, queue);
+    const requiredVotes = Math.ceil(listeners * (threshold / 100));
+    if (requiredVotes <= 1) {
+        cancelActionVote(guildId, action);
+        return false;
+    }
+
+    const locale = getLocale(interaction);
+    const key = options.key ?? '';
+    const manager = getActionVoteManager();
+    let session = manager.getSession(guildId, action);
+
+    if (session && session.key !== key) {
+        throw new ValidationError(
+            t('vote.in_progress', locale, {
+                action: t(`vote.action.${action}`, locale),
+                summary: session.summary
+            })
+        );
+    }
+
+    if (!session) {
+        session = manager.createSession(guildId, action, {
+            key,
+            summary: options.summary,
+            perform: options.perform,
+            initiatorId: userId,
+            requiredVotes,
+            threshold,
+            expiresIn: VOTING.SESSION_TTL_MS
+        });
+        logger.info('Action vote started', { guildId, action, userId, requiredVotes });
+    } else {
+        if (session.votes.has(userId)) {
+            throw new ValidationError(t('vote.already_voted', locale));
+        }
+        session.votes.add(userId);
+    }
+
+    // Update required votes (in case members joined/left)
+    session.requiredVotes = requiredVotes;
+    const previousMessage = session.message;
+
+    if (session.votes.size >= session.requiredVotes) {
+        previousMessage?.edit({ components: [] }).catch(() => {});
+        await respond(interaction, await concludeVote(session, client));
+        return true;
+    }
+
+    const payload = buildVoteMessage(session, listeners, queue, client.config);
+
+    if (interaction.ephemeral) {
+        // Nobody else can press buttons on an ephemeral reply: post the vote in the channel
+        session.message = await interaction.channel.send(payload);
+        await respond(interaction, {
+            embeds: [createInfoEmbed(t(`vote.action.${action}`, locale), t('vote.started', locale), client.config)]
+        });
+    } else {
+        session.message = await respond(interaction, payload);
+    }
+
+    if (previousMessage && previousMessage.id !== session.message?.id) {
+        previousMessage.edit({ components: [] }).catch(() => {});
+    }
+    return true;
+}
+
+/**
+ * Handle the agree button on a vote message
+ * @param {import('discord.js').ButtonInteraction} interaction
+ * @param {Object} client - Discord client
+ */
+export async function handleActionVoteButton(interaction, client) {
+    const locale = getLocale(interaction);
+
+    try {
+        const action = extractId(interaction.customId, ACTION_VOTE_BUTTONS.VOTE_PREFIX);
+        const manager = getActionVoteManager();
+        const session = manager.getSession(interaction.guildId, action);
+        const queue = client.musicManager.getQueue(interaction.guildId);
+
+        if (!session || !queue || session.message?.id !== interaction.message.id) {
+            await interaction.message.edit({ components: [] }).catch(() => {});
+            throw new ValidationError(t('vote.expired', locale));
+        }
+
+        const voiceChannel = interaction.member?.voice?.channel;
+        if (!voiceChannel) {
+            throw new UserNotInVoiceError();
+        }
+        if (voiceChannel.id !== queue.voiceChannelId) {
+            throw new DifferentVoiceChannelError();
+        }
+
+        if (session.votes.has(interaction.user.id)) {
+            throw new ValidationError(t('vote.already_voted', locale));
+        }
+        session.votes.add(interaction.user.id);
+
+        // Recalculate required votes
+        const listeners = countListeners(interaction.guild, queue);
+        session.requiredVotes = Math.max(1, Math.ceil(listeners * (session.threshold / 100)));
+
+        if (session.votes.size >= session.requiredVotes) {
+            return await interaction.update(await concludeVote(session, client));
+        }
+
+        await interaction.update(buildVoteMessage(session, listeners, queue, client.config));
+    } catch (error) {
+        if (error.code === 10062) return;
+        await sendErrorResponse(interaction, error, client.config, true);
+    }
+}
+
+export default {
+    requestActionVote,
+    cancelActionVote,
+    handleActionVoteButton
+};
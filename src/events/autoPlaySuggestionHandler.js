@@ -20,6 +20,7 @@ import { getAutoPlayPreferenceService, INSTANT_SKIP_THRESHOLD_MS } from '../serv
 import { AUTOPLAY_PREF_BUTTONS } from '../utils/button-ids.js';
 import { COLORS, ICONS } from '../config/design-system.js';
 import { AUTOPLAY_PREF, AUTOPLAY_SUGGESTION } from '../utils/constants.js';
+import { t, getLocale, resolveLocale } from '../utils/i18n.js';
 import logger from '../utils/logger.js';
 
 // ─── Anti-spam: track active suggestions per user ────────────────────────────
@@ -85,12 +86,17 @@ export async function maybeSendAutoPlaySuggestion(channel, userId, track, config
         const service = getAutoPlayPreferenceService();
         if (!service.shouldSuggestAutoPlay(userId, track.url)) return;
 
+        const locale = resolveLocale({
+            userId,
+            guildId: channel.guildId,
+            discordLocale: channel.guild?.preferredLocale
+        });
+
         // Build suggestion message (lightweight — no embed, just text + 2 buttons)
         const embed = new EmbedBuilder()
             .setColor(COLORS.INFO)
             .setDescription(
-                `${ICONS.AUTOPLAY || '🔄'} Bạn đã nghe **${truncate(track.title, 40)}** nhiều lần.\n` +
-                    'Bật auto-play để lần sau bot phát luôn nhé?'
+                `${ICONS.AUTOPLAY || '🔄'} ${t('autoplay_pref.suggestion', locale, { title: truncate(track.title, 40) })}`
             )
             .setFooter({ text: config.bot.footer })
             .setTimestamp();
@@ -98,12 +104,12 @@ export async function maybeSendAutoPlaySuggestion(channel, userId, track, config
         const buttons = new ActionRowBuilder().addComponents(
             new ButtonBuilder()
                 .setCustomId(AUTOPLAY_PREF_BUTTONS.SUGGESTION_ACCEPT)
-                .setLabel('Bật Auto-Play')
+                .setLabel(t('autoplay_pref.enable_button', locale))
                 .setEmoji('✅')
                 .setStyle(ButtonStyle.Success),
             new ButtonBuilder()
                 .setCustomId(AUTOPLAY_PREF_BUTTONS.SUGGESTION_DISMISS)
-                .setLabel('Không, cảm ơn')
+                .setLabel(t('autoplay_pref.dismiss_button', locale))
                 .setEmoji('❌')
                 .setStyle(ButtonStyle.Secondary)
         );
@@ -142,11 +148,12 @@ export async function maybeSendAutoPlaySuggestion(channel, userId, track, config
 export async function handleSuggestionAccept(interaction, client) {
     const userId = interaction.user.id;
     const suggestion = activeSuggestions.get(userId);
+    const locale = getLocale(interaction);
 
     if (!suggestion) {
         await interaction
             .reply({
-                content: '⏰ Đề nghị này đã hết hạn.',
+                content: t('autoplay_pref.expired', locale),
                 ephemeral: true
             })
             .catch(() => {});
@@ -167,8 +174,7 @@ export async function handleSuggestionAccept(interaction, client) {
                     new EmbedBuilder()
                         .setColor(COLORS.SUCCESS)
                         .setDescription(
-                            `${ICONS.SUCCESS || '✅'} Đã bật auto-play cho **${truncate(suggestion.track.title, 40)}**!\n` +
-                                'Lần sau bạn tìm bài này, bot sẽ phát luôn.'
+                            `${ICONS.SUCCESS || '✅'} ${t('autoplay_pref.enabled', locale, { title: truncate(suggestion.track.title, 40) })}`
                         )
                         .setFooter({ text: client.config.bot.footer })
                         .setTimestamp()
@@ -189,7 +195,7 @@ export async function handleSuggestionAccept(interaction, client) {
     } else {
         await interaction
             .update({
-                content: '❌ Không thể bật auto-play. Thử lại sau nhé!',
+                content: t('autoplay_pref.enable_failed', locale),
                 embeds: [],
                 components: []
             })
@@ -205,11 +211,12 @@ export async function handleSuggestionAccept(interaction, client) {
 export async function handleSuggestionDismiss(interaction) {
     const userId = interaction.user.id;
     const suggestion = activeSuggestions.get(userId);
+    const locale = getLocale(interaction);
 
     if (!suggestion) {
         await interaction
             .reply({
-                content: '⏰ Đề nghị này đã hết hạn.',
+                content: t('autoplay_pref.expired', locale),
                 ephemeral: true
             })
             .catch(() => {});
@@ -227,7 +234,7 @@ export async function handleSuggestionDismiss(interaction) {
             embeds: [
                 new EmbedBuilder()
                     .setColor(COLORS.MUTED)
-                    .setDescription(`${ICONS.INFO || 'ℹ️'} Đã ghi nhận. Sẽ không hỏi lại trong 30 ngày.`)
+                    .setDescription(`${ICONS.INFO || 'ℹ️'} ${t('autoplay_pref.dismissed', locale)}`)
                     .setFooter({ text: interaction.client?.config?.bot?.footer || 'Miyao Music Bot' })
                     .setTimestamp()
             ],
@@ -281,7 +288,7 @@ export function checkAutoPlayFromResults(userId, tracks) {
     if (!userId || !tracks || tracks.length === 0) return null;
 
     try {
-        const trackUrls = tracks.map(t => t.info?.uri || t.uri || t.url || '').filter(Boolean);
+        const trackUrls = tracks.map(track => track.info?.uri || track.uri || track.url || '').filter(Boolean);
         if (trackUrls.length === 0) return null;
 
         const service = getAutoPlayPreferenceService();
@@ -360,24 +367,27 @@ export async function sendInstantSkipPrompt(channel, userId, track, config) {
         const { skipPrompts } = countSuggestionsByType();
         if (skipPrompts >= MAX_SKIP_PROMPTS) return;
 
+        const locale = resolveLocale({
+            userId,
+            guildId: channel.guildId,
+            discordLocale: channel.guild?.preferredLocale
+        });
+
         const embed = new EmbedBuilder()
             .setColor(COLORS.WARNING)
-            .setDescription(
-                `⚡ Bạn đã skip nhanh bài **${truncate(track.title, 40)}** (auto-play).\n` +
-                    'Tắt auto-play cho bài này?'
-            )
+            .setDescription(t('autoplay_pref.instant_skip', locale, { title: truncate(track.title, 40) }))
             .setFooter({ text: config.bot.footer })
             .setTimestamp();
 
         const buttons = new ActionRowBuilder().addComponents(
             new ButtonBuilder()
                 .setCustomId(AUTOPLAY_PREF_BUTTONS.DISABLE_CONFIRM)
-                .setLabel('Tắt Auto-Play')
+                .setLabel(t('autoplay_pref.disable_button', locale))
                 .setEmoji('🚫')
                 .setStyle(ButtonStyle.Danger),
             new ButtonBuilder()
                 .setCustomId(AUTOPLAY_PREF_BUTTONS.DISABLE_CANCEL)
-                .setLabel('Giữ lại')
+                .setLabel(t('autoplay_pref.keep_button', locale))
                 .setEmoji('👍')
                 .setStyle(ButtonStyle.Secondary)
         );
@@ -413,9 +423,10 @@ export async function handleDisableConfirm(interaction, client) {
     const userId = interaction.user.id;
     const key = `skip:${userId}`;
     const context = activeSuggestions.get(key);
+    const locale = getLocale(interaction);
 
     if (!context) {
-        await interaction.reply({ content: '⏰ Đề nghị này đã hết hạn.', ephemeral: true }).catch(() => {});
+        await interaction.reply({ content: t('autoplay_pref.expired', locale), ephemeral: true }).catch(() => {});
         return;
     }
 
@@ -430,7 +441,7 @@ export async function handleDisableConfirm(interaction, client) {
             embeds: [
                 new EmbedBuilder()
                     .setColor(COLORS.MUTED)
-                    .setDescription(`🚫 Đã tắt auto-play cho **${truncate(context.track.title, 40)}**.`)
+                    .setDescription(t('autoplay_pref.disabled', locale, { title: truncate(context.track.title, 40) }))
                     .setFooter({ text: client.config.bot.footer })
                     .setTimestamp()
             ],
@@ -458,9 +469,10 @@ export async function handleDisableCancel(interaction, client) {
     const userId = interaction.user.id;
     const key = `skip:${userId}`;
     const context = activeSuggestions.get(key);
+    const locale = getLocale(interaction);
 
     if (!context) {
-        await interaction.reply({ content: '⏰ Đề nghị này đã hết hạn.', ephemeral: true }).catch(() => {});
+        await interaction.reply({ content: t('autoplay_pref.expired', locale), ephemeral: true }).catch(() => {});
         return;
     }
 
@@ -475,7 +487,7 @@ export async function handleDisableCancel(interaction, client) {
             embeds: [
                 new EmbedBuilder()
                     .setColor(COLORS.SUCCESS)
-                    .setDescription(`👍 Auto-play cho **${truncate(context.track.title, 40)}** vẫn được giữ.`)
+                    .setDescription(t('autoplay_pref.kept', locale, { title: truncate(context.track.title, 40) }))
                     .setFooter({ text: client.config.bot.footer })
                     .setTimestamp()
             ],
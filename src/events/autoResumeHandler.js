@@ -0,0 +1,258 @@
+/**
+ * Auto-Resume Handler
+ *
+ * Implements the per-user `autoResume` preference (`/settings autoresume`):
+ *   - When a queue ends unexpectedly (bot disconnected, left an empty channel, restart with
+ *     nobody listening), a copy of it is stored for every participant who opted in
+ *   - When one of those users joins voice again and nothing is playing in the guild,
+ *     a short confirmation prompt is posted in the session's text channel
+ *   - Accepting rejoins the user's current channel and resumes at the saved position
+ *
+ * Sessions live in the `resume_sessions` table (migration 014).
+ *
+ * @module AutoResumeHandler
+ */
+
+import { EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle } from 'discord.js';
+import ResumeSession from '../database/models/ResumeSession.js';
+import UserPreferences from '../database/models/UserPreferences.js';
+import { AUTO_RESUME_BUTTONS, extractId } from '../utils/button-ids.js';
+import { COLORS } from '../config/design-system.js';
+import { AUTO_RESUME } from '../utils/constants.js';
+import { formatDuration } from '../utils/helpers.js';
+import { t, getLocale, resolveLocale } from '../utils/i18n.js';
+import logger from '../utils/logger.js';
+
+/** Map<`${guildId}:${userId}`, { messageId, timeout }> — one prompt at a time per user per guild */
+const activePrompts = new Map();
+
+/**
+ * Store an interrupted session for every listed user who has autoResume enabled.
+ *
+ * @param {Object} snapshot - Queue snapshot (EnhancedQueue#toSnapshot)
+ * @param {Iterable<string>} userIds - Candidate users (requesters, listeners)
+ * @returns {number} Number of sessions stored
+ */
+export function rememberResumeSession(snapshot, userIds) {
+    if (!snapshot?.guildId || (!snapshot.current && !snapshot.tracks?.length)) return 0;
+
+    let saved = 0;
+    for (const userId of new Set(userIds)) {
+        if (!userId || userId === '__cache_warm__') continue;
+        if (!UserPreferences.get(userId).autoResume) continue;
+
+        if (ResumeSession.save(userId, snapshot.guildId, snapshot)) {
+            saved++;
+        }
+    }
+
+    if (saved > 0) {
+        logger.debug('Stored resumable session', { guildId: snapshot.guildId, users: saved });
+    }
+    return saved;
+}
+
+/**
+ * Offer a stored session back to a user who just joined voice.
+ * No-op unless the user has autoResume on, a fresh session exists and nothing is playing.
+ *
+ * @param {import('discord.js').GuildMember} member - Member who joined voice
+ * @param {object} client - Discord client
+ */
+export async function maybeOfferAutoResume(member, client) {
+    const guildId = member.guild.id;
+    const userId = member.id;
+    const key = `${guildId}:${userId}`;
+
+    try {
+        if (activePrompts.has(key) || activePrompts.size >= AUTO_RESUME.MAX_ACTIVE_PROMPTS) return;
+        if (!client.musicManager || client.musicManager.getQueue(guildId)) return;
+        if (!UserPreferences.get(userId).autoResume) return;
+
+        const session = ResumeSession.get(userId, guildId, AUTO_RESUME.SESSION_MAX_AGE_MS);
+        if (!session) return;
+
+        const channel = session.textChannelId ? member.guild.channels.cache.get(session.textChannelId) : null;
+        if (!channel?.isTextBased?.()) return;
+
+        // The prompt is addressed to one member, so use their language
+        const locale = resolveLocale({ userId, guildId, discordLocale: member.guild.preferredLocale });
+        const total = (session.tracks?.length || 0) + (session.current ? 1 : 0);
+        const currentLine = session.current
+            ? `${t('resume.current', locale, {
+                  title: truncate(session.current.info?.title || 'Unknown', 60),
+                  position: formatDuration(session.position)
+              })}\n`
+            : '';
+
+        const embed = new EmbedBuilder()
+            .setColor(COLORS.INFO)
+            .setTitle(t('resume.title', locale))
+            .setDescription(currentLine + t('resume.queued', locale, { count: total }))
+            .setFooter({
+                text: t('resume.footer', locale, {
+                    footer: client.config.bot.footer,
+                    seconds: AUTO_RESUME.PROMPT_TIMEOUT_MS / 1000
+                })
+            })
+            .setTimestamp();
+
+        const buttons = new ActionRowBuilder().addComponents(
+            new ButtonBuilder()
+                .setCustomId(`${AUTO_RESUME_BUTTONS.ACCEPT_PREFIX}${userId}`)
+                .setLabel(t('resume.accept', locale))
+                .setEmoji('▶️')
+                .setStyle(ButtonStyle.Success),
+            new ButtonBuilder()
+                .setCustomId(`${AUTO_RESUME_BUTTONS.DISMISS_PREFIX}${userId}`)
+                .setLabel(t('resume.dismiss', locale))
+                .setEmoji('✖️')
+                .setStyle(ButtonStyle.Secondary)
+        );
+
+        const message = await channel.send({ content: `<@${userId}>`, embeds: [embed], components: [buttons] });
+
+        const timeout = setTimeout(() => {
+            activePrompts.delete(key);
+            message.delete().catch(() => {});
+        }, AUTO_RESUME.PROMPT_TIMEOUT_MS);
+        timeout.unref?.();
+
+        activePrompts.set(key, { messageId: message.id, timeout });
+        logger.debug('Sent auto-resume prompt', { guildId, userId, tracks: total });
+    } catch (error) {
+        logger.error('Failed to send auto-resume prompt', { guildId, userId, error: error.message });
+    }
+}
+
+/**
+ * Take ownership of a prompt: verify the clicker and clear its timeout.
+ * @param {import('discord.js').ButtonInteraction} interaction
+ * @param {string} prefix - Button prefix the custom ID was matched with
+ * @returns {Promise<string|null>} Target user ID, or null if the interaction was rejected
+ */
+async function claimPrompt(interaction, prefix) {
+    const userId = extractId(interaction.customId, prefix);
+
+    if (interaction.user.id !== userId) {
+        await interaction
+            .reply({ content: t('resume.not_yours', getLocale(interaction)), ephemeral: true })
+            .catch(() => {});
+        return null;
+    }
+
+    const key = `${interaction.guildId}:${userId}`;
+    const prompt = activePrompts.get(key);
+    if (prompt) {
+        clearTimeout(prompt.timeout);
+        activePrompts.delete(key);
+    }
+
+    return userId;
+}
+
+/**
+ * Handle the "Resume" button click.
+ *
+ * @param {import('discord.js').ButtonInteraction} interaction
+ * @param {object} client
+ */
+export async function handleAutoResumeAccept(interaction, client) {
+    const userId = await claimPrompt(interaction, AUTO_RESUME_BUTTONS.ACCEPT_PREFIX);
+    if (!userId) return;
+
+    const guildId = interaction.guildId;
+    const locale = getLocale(interaction);
+    const session = ResumeSession.get(userId, guildId, AUTO_RESUME.SESSION_MAX_AGE_MS);
+
+    if (!session) {
+        await interaction.update({ content: t('resume.expired', locale), embeds: [], components: [] });
+        return;
+    }
+
+    const voiceChannelId = interaction.member?.voice?.channelId;
+    if (!voiceChannelId) {
+        await interaction.reply({ content: t('resume.join_voice', locale), ephemeral: true });
+        return;
+    }
+
+    if (!client.musicManager || client.musicManager.getQueue(guildId)) {
+        ResumeSession.delete(userId, guildId);
+        await interaction.update({
+            content: t('resume.already_playing', locale),
+            embeds: [],
+            components: []
+        });
+        return;
+    }
+
+    await interaction.deferUpdate();
+
+    try {
+        const queue = await client.musicManager.resumeFromSnapshot(
+            { ...session, guildId },
+            voiceChannelId,
+            interaction.channel
+        );
+        // One resumed session per guild — the others described the same interrupted queue
+        ResumeSession.deleteByGuild(guildId);
+
+        const embed = new EmbedBuilder()
+            .setColor(COLORS.SUCCESS)
+            .setDescription(
+                t('resume.resumed', locale) +
+                    (queue.current ? `: **${truncate(queue.current.info?.title || 'Unknown', 60)}**` : '')
+            )
+            .setFooter({ text: client.config.bot.footer })
+            .setTimestamp();
+
+        await interaction.editReply({ content: null, embeds: [embed], components: [] });
+        logger.music('Auto-resumed user session', { guildId, userId, tracks: queue.tracks.length });
+    } catch (error) {
+        logger.error('Failed to auto-resume session', { guildId, userId, error: error.message });
+        await client.musicManager.destroyQueue(guildId).catch(() => {});
+        await interaction
+            .editReply({
+                content: t('resume.failed', locale),
+                embeds: [],
+                components: []
+            })
+            .catch(() => {});
+    }
+}
+
+/**
+ * Handle the "Skip" button click — discards the stored session.
+ *
+ * @param {import('discord.js').ButtonInteraction} interaction
+ */
+export async function handleAutoResumeDismiss(interaction) {
+    const userId = await claimPrompt(interaction, AUTO_RESUME_BUTTONS.DISMISS_PREFIX);
+    if (!userId) return;
+
+    ResumeSession.delete(userId, interaction.guildId);
+
+    await interaction.update({ content: t('resume.dismissed', getLocale(interaction)), embeds: [], components: [] });
+    setTimeout(() => interaction.message?.delete().catch(() => {}), 5000).unref?.();
+}
+
+/**
+ * Truncate a string with an ellipsis
+ * @param {string} str
+ * @param {number} maxLen
+ * @returns {string}
+ */
+function truncate(str, maxLen) {
+    return str.length > maxLen ? str.slice(0, maxLen - 1) + '…' : str;
+}
+
+/**
+ * Shut down the auto-resume handler.
+ * Clears all prompt timers for clean process exit.
+ */
+export function shutdownAutoResumeHandler() {
+    for (const [, prompt] of activePrompts) {
+        if (prompt.timeout) clearTimeout(prompt.timeout);
+    }
+    activePrompts.clear();
+}
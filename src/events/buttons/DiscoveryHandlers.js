@@ -3,9 +3,10 @@
  * Handles: Discovery, Similar, Trending (Select & Play All/Shuffle)
  */
 
-import { createSuccessEmbed, createTrackAddedEmbed, createNowPlayingEmbed } from '../../UI/embeds/MusicEmbeds.js';
+import { createSuccessEmbed, createTrackAddedEmbed } from '../../UI/embeds/MusicEmbeds.js';
 import { sendErrorResponse } from '../../UI/embeds/ErrorEmbeds.js';
-import { createNowPlayingButtons } from '../../UI/components/MusicControls.js';
+import { assertQueued, ValidationError, UserNotInVoiceError, DifferentVoiceChannelError } from '../../utils/errors.js';
+import { t, getLocale } from '../../utils/i18n.js';
 import logger from '../../utils/logger.js';
 
 async function resolvePlayableTrackIfNeeded(client, interaction, track, type) {
@@ -13,7 +14,9 @@ async function resolvePlayableTrackIfNeeded(client, interaction, track, type) {
         return track;
     }
 
-    const result = await client.musicManager.search(track.info.uri, interaction.user);
+    const result = await client.musicManager.search(track.info.uri, interaction.user, {
+        guildId: interaction.guildId
+    });
     if (!result?.tracks?.length) {
         logger.debug('Failed to lazily resolve discovery track', {
             type,
@@ -29,12 +32,14 @@ async function resolvePlayableTrackIfNeeded(client, interaction, track, type) {
 }
 
 export async function handleDiscoverySelect(interaction, client, type) {
+    const locale = getLocale(interaction);
+
     try {
         const selectedValue = interaction.values?.[0];
         if (!selectedValue) {
             return sendErrorResponse(
                 interaction,
-                new Error('Không thể xác định lựa chọn của bạn.'),
+                new ValidationError(t('discovery.selection_unknown', locale)),
                 client.config,
                 true
             );
@@ -43,7 +48,12 @@ export async function handleDiscoverySelect(interaction, client, type) {
         const parts = selectedValue.split('_');
         const idx = parseInt(parts[parts.length - 1]);
         if (isNaN(idx) || idx < 0) {
-            return sendErrorResponse(interaction, new Error('Lựa chọn không hợp lệ.'), client.config, true);
+            return sendErrorResponse(
+                interaction,
+                new ValidationError(t('discovery.selection_invalid', locale)),
+                client.config,
+                true
+            );
         }
 
         const key = `${interaction.user.id}:${interaction.guildId}`;
@@ -85,7 +95,7 @@ export async function handleDiscoverySelect(interaction, client, type) {
         if (!userCache || !Array.isArray(userCache.tracks)) {
             return sendErrorResponse(
                 interaction,
-                new Error('Phiên tìm kiếm đã hết hạn, hãy sử dụng lại lệnh.'),
+                new ValidationError(t('discovery.session_expired', locale)),
                 client.config,
                 true
             );
@@ -93,14 +103,19 @@ export async function handleDiscoverySelect(interaction, client, type) {
 
         const selectedTrack = userCache.tracks[idx];
         if (!selectedTrack) {
-            return sendErrorResponse(interaction, new Error('Bài hát không hợp lệ.'), client.config, true);
+            return sendErrorResponse(
+                interaction,
+                new ValidationError(t('discovery.track_invalid', locale)),
+                client.config,
+                true
+            );
         }
 
         const track = await resolvePlayableTrackIfNeeded(client, interaction, selectedTrack, type);
         if (!track) {
             return sendErrorResponse(
                 interaction,
-                new Error('Không thể tải bài hát đã chọn. Vui lòng thử bài khác.'),
+                new ValidationError(t('discovery.track_load_failed', locale)),
                 client.config,
                 true
             );
@@ -110,7 +125,7 @@ export async function handleDiscoverySelect(interaction, client, type) {
         const voiceChannel = member.voice.channel;
 
         if (!voiceChannel) {
-            return sendErrorResponse(interaction, new Error('Bạn phải ở trong voice channel!'), client.config, true);
+            return sendErrorResponse(interaction, new UserNotInVoiceError(), client.config, true);
         }
 
         let queue = client.musicManager.getQueue(interaction.guildId);
@@ -120,11 +135,11 @@ export async function handleDiscoverySelect(interaction, client, type) {
         }
 
         if (queue.voiceChannelId !== voiceChannel.id) {
-            return sendErrorResponse(interaction, new Error('Bot đang ở voice channel khác!'), client.config, true);
+            return sendErrorResponse(interaction, new DifferentVoiceChannelError(), client.config, true);
         }
 
         track.requester = interaction.user.id;
-        queue.add(track);
+        assertQueued(queue.add(track));
         const position = queue.current ? queue.tracks.length : 1;
 
         if (cacheSource === 'cacheManager' && client.cacheManager) {
@@ -154,21 +169,12 @@ export async function handleDiscoverySelect(interaction, client, type) {
         }
 
         await interaction.update({
-            embeds: [createTrackAddedEmbed(track, position, client.config)],
+            embeds: [createTrackAddedEmbed(track, position, client.config, null, locale)],
             components: []
         });
 
         if (!queue.current) {
             await queue.play();
-            try {
-                const nowPlayingMessage = await interaction.channel.send({
-                    embeds: [createNowPlayingEmbed(queue.current, queue, client.config)],
-                    components: createNowPlayingButtons(queue, false)
-                });
-                queue.setNowPlayingMessage(nowPlayingMessage);
-            } catch (err) {
-                logger.error('Failed to send now playing message after discovery select', err);
-            }
         }
 
         logger.info(`Track selected from ${type}: ${track.info?.title}`);
@@ -179,6 +185,8 @@ export async function handleDiscoverySelect(interaction, client, type) {
 }
 
 export async function handleDiscoveryButton(interaction, client) {
+    const locale = getLocale(interaction);
+
     try {
         const customId = interaction.customId;
         let type = null;
@@ -202,7 +210,12 @@ export async function handleDiscoveryButton(interaction, client) {
         }
 
         if (!type || !action) {
-            return sendErrorResponse(interaction, new Error('Nút không hợp lệ.'), client.config, true);
+            return sendErrorResponse(
+                interaction,
+                new ValidationError(t('discovery.button_invalid', locale)),
+                client.config,
+                true
+            );
         }
 
         const key = `${interaction.user.id}:${interaction.guildId}`;
@@ -244,7 +257,7 @@ export async function handleDiscoveryButton(interaction, client) {
         if (!userCache || !Array.isArray(userCache.tracks) || userCache.tracks.length === 0) {
             return sendErrorResponse(
                 interaction,
-                new Error('Phiên tìm kiếm đã hết hạn, hãy sử dụng lại lệnh.'),
+                new ValidationError(t('discovery.session_expired', locale)),
                 client.config,
                 true
             );
@@ -254,7 +267,7 @@ export async function handleDiscoveryButton(interaction, client) {
         const voiceChannel = member.voice.channel;
 
         if (!voiceChannel) {
-            return sendErrorResponse(interaction, new Error('Bạn phải ở trong voice channel!'), client.config, true);
+            return sendErrorResponse(interaction, new UserNotInVoiceError(), client.config, true);
         }
 
         let queue = client.musicManager.getQueue(interaction.guildId);
@@ -264,7 +277,7 @@ export async function handleDiscoveryButton(interaction, client) {
         }
 
         if (queue.voiceChannelId !== voiceChannel.id) {
-            return sendErrorResponse(interaction, new Error('Bot đang ở voice channel khác!'), client.config, true);
+            return sendErrorResponse(interaction, new DifferentVoiceChannelError(), client.config, true);
         }
 
         const tracksToAdd = [...userCache.tracks];
@@ -289,14 +302,13 @@ export async function handleDiscoveryButton(interaction, client) {
                 continue;
             }
 
-            queue.add(track);
-            addedCount++;
+            addedCount += queue.add(track).added;
         }
 
         if (addedCount === 0) {
             return sendErrorResponse(
                 interaction,
-                new Error('Không thể tải các bài hát trong danh sách này.'),
+                new ValidationError(t('discovery.tracks_load_failed', locale)),
                 client.config,
                 true
             );
@@ -328,20 +340,11 @@ export async function handleDiscoveryButton(interaction, client) {
             }
         }
 
-        const typeLabels = {
-            discover: '🔍 Khám phá',
-            similar: '🔎 Tương tự',
-            trending: '🔥 Trending'
-        };
-
-        const actionLabels = {
-            play_all: 'Đã thêm',
-            shuffle: 'Đã xáo trộn và thêm'
-        };
+        const actionLabel = t(`discovery.action_${action}`, locale);
 
         const embed = createSuccessEmbed(
-            `${typeLabels[type]} - ${actionLabels[action]}`,
-            `✅ ${actionLabels[action]} **${addedCount}** bài hát vào hàng đợi!`,
+            `${t(`discovery.type_${type}`, locale)} - ${actionLabel}`,
+            t('discovery.added', locale, { action: actionLabel, count: addedCount }),
             client.config
         );
 
@@ -352,15 +355,6 @@ export async function handleDiscoveryButton(interaction, client) {
 
         if (!wasPlaying && !queue.current) {
             await queue.play();
-            try {
-                const nowPlayingMessage = await interaction.channel.send({
-                    embeds: [createNowPlayingEmbed(queue.current, queue, client.config)],
-                    components: createNowPlayingButtons(queue, false)
-                });
-                queue.setNowPlayingMessage(nowPlayingMessage);
-            } catch (err) {
-                logger.error('Failed to send now playing message after discovery button', err);
-            }
         }
 
         logger.info(`Discovery button used: ${type} ${action}, added ${addedCount} tracks`);
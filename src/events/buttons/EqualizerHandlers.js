@@ -0,0 +1,139 @@
+/**
+ * Equalizer Editor Handlers
+ * Handles: Band select menu and gain buttons of the /filter eq editor
+ *
+ * The editor message carries no state of its own: the picked band is encoded in the button IDs
+ * (EQ_EDITOR) and gains are read from the queue's FilterManager, so every click redraws the
+ * editor from what is actually applied.
+ */
+
+import { createEqualizerEmbed } from '../../UI/embeds/MusicEmbeds.js';
+import { createEqualizerEditor } from '../../UI/components/MusicControls.js';
+import { sendErrorResponse } from '../../UI/embeds/ErrorEmbeds.js';
+import { requireCurrentTrack } from '../../middleware/queueCheck.js';
+import { UserNotInVoiceError, DifferentVoiceChannelError, FilterError } from '../../utils/errors.js';
+import { EQ_EDITOR, extractId } from '../../utils/button-ids.js';
+import { EQ_GAIN_LIMITS } from '../../music/FilterManager.js';
+import { FILTER_CHAINS } from '../../utils/constants.js';
+import AuditLog, { AUDIT_ACTIONS } from '../../database/models/AuditLog.js';
+import { t, getLocale } from '../../utils/i18n.js';
+import logger from '../../utils/logger.js';
+
+/**
+ * Queue of the guild, once the member is allowed to change its filters
+ * @param {import('discord.js').Interaction} interaction
+ * @param {Object} client - Discord client
+ * @param {string} locale - Locale code
+ * @returns {Object} EnhancedQueue instance
+ */
+function getEditableQueue(interaction, client, locale) {
+    const { queue } = requireCurrentTrack(client.musicManager, interaction.guildId);
+
+    const member = interaction.member;
+    if (!member.voice.channel) throw new UserNotInVoiceError();
+    if (member.voice.channel.id !== queue.voiceChannelId) throw new DifferentVoiceChannelError();
+    if (!queue.player || !queue.player.node) {
+        throw new FilterError('Equalizer', t('command.filter.player_not_ready', locale));
+    }
+
+    return queue;
+}
+
+/**
+ * Redraw the editor message for a band
+ * @param {import('discord.js').MessageComponentInteraction} interaction
+ * @param {Object} client - Discord client
+ * @param {Object} queue - EnhancedQueue instance
+ * @param {number} band - Band being edited
+ * @param {string} locale - Locale code
+ * @param {string|null} [note] - Extra line under the chart
+ */
+async function redrawEditor(interaction, client, queue, band, locale, note = null) {
+    const gains = queue.getEqualizerGains();
+    await interaction.update({
+        embeds: [createEqualizerEmbed(gains, band, client.config, locale, note)],
+        components: createEqualizerEditor(gains, band, locale)
+    });
+}
+
+/**
+ * Handle the band select menu of the editor
+ * @param {import('discord.js').StringSelectMenuInteraction} interaction
+ * @param {Object} client - Discord client
+ */
+export async function handleEqualizerBandSelect(interaction, client) {
+    const locale = getLocale(interaction);
+    try {
+        const queue = getEditableQueue(interaction, client, locale);
+        await redrawEditor(interaction, client, queue, Number(interaction.values[0]), locale);
+    } catch (error) {
+        if (error.code === 10062) return;
+        await sendErrorResponse(interaction, error, client.config, true);
+    }
+}
+
+/**
+ * Handle the gain and reset buttons of the editor
+ * @param {import('discord.js').ButtonInteraction} interaction
+ * @param {Object} client - Discord client
+ */
+export async function handleEqualizerButton(interaction, client) {
+    const customId = interaction.customId;
+    const locale = getLocale(interaction);
+
+    try {
+        const queue = getEditableQueue(interaction, client, locale);
+        const gains = queue.getEqualizerGains();
+
+        if (customId === EQ_EDITOR.FLAT) {
+            const success = await queue.clearEqualizer();
+            if (!success) throw new FilterError('Equalizer');
+
+            AuditLog.logTrackAction(AUDIT_ACTIONS.FILTER, interaction.user.id, interaction.guildId, queue.current, {
+                filter: 'equalizer',
+                flat: true
+            });
+            await redrawEditor(interaction, client, queue, 0, locale);
+            return;
+        }
+
+        let band;
+        let gain;
+        if (customId.startsWith(EQ_EDITOR.RESET_BAND_PREFIX)) {
+            band = Number(extractId(customId, EQ_EDITOR.RESET_BAND_PREFIX));
+            gain = 0;
+        } else {
+            const [bandPart, stepsPart] = extractId(customId, EQ_EDITOR.ADJUST_PREFIX).split('_');
+            band = Number(bandPart);
+            const [minGain, maxGain] = EQ_GAIN_LIMITS;
+            const adjusted = gains[band] + Number(stepsPart) * FILTER_CHAINS.EQ_STEP;
+            gain = Math.min(maxGain, Math.max(minGain, adjusted));
+        }
+
+        const conflicts = gain !== 0 ? queue.getConflictingActiveFilters('equalizer') : [];
+        const success = await queue.setEqualizerBand(band, gain);
+        if (!success) throw new FilterError('Equalizer');
+
+        AuditLog.logTrackAction(AUDIT_ACTIONS.FILTER, interaction.user.id, interaction.guildId, queue.current, {
+            filter: 'equalizer',
+            band,
+            gain
+        });
+
+        const note =
+            conflicts.length > 0
+                ? t('command.filter.conflicts_cleared', locale, { filters: conflicts.join(', ') })
+                : null;
+        await redrawEditor(interaction, client, queue, band, locale, note);
+
+        logger.debug('Equalizer band adjusted', { guildId: interaction.guildId, band, gain });
+    } catch (error) {
+        if (error.code === 10062) return;
+        await sendErrorResponse(interaction, error, client.config, true);
+    }
+}
+
+export default {
+    handleEqualizerBandSelect,
+    handleEqualizerButton
+};
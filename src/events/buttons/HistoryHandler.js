@@ -3,16 +3,18 @@
  * Handles: History selection and replay
  */
 
-import { createErrorEmbed, createTrackAddedEmbed, createNowPlayingEmbed } from '../../UI/embeds/MusicEmbeds.js';
-import { createNowPlayingButtons } from '../../UI/components/MusicControls.js';
+import { createErrorEmbed, createTrackAddedEmbed } from '../../UI/embeds/MusicEmbeds.js';
+import { t, getLocale } from '../../utils/i18n.js';
 import logger from '../../utils/logger.js';
 
 export async function handleHistoryReplaySelect(interaction, client) {
+    const locale = getLocale(interaction);
+
     try {
         const selectedValue = interaction.values?.[0];
         if (!selectedValue) {
             return interaction.update({
-                embeds: [createErrorEmbed('Không thể xác định lựa chọn của bạn.', client.config)],
+                embeds: [createErrorEmbed(t('history.no_selection', locale), client.config, locale)],
                 components: []
             });
         }
@@ -20,7 +22,7 @@ export async function handleHistoryReplaySelect(interaction, client) {
         const idx = parseInt(selectedValue, 10);
         if (isNaN(idx) || idx < 0) {
             return interaction.update({
-                embeds: [createErrorEmbed('Lựa chọn không hợp lệ.', client.config)],
+                embeds: [createErrorEmbed(t('history.invalid_selection', locale), client.config, locale)],
                 components: []
             });
         }
@@ -30,14 +32,14 @@ export async function handleHistoryReplaySelect(interaction, client) {
 
         if (!userCache || !Array.isArray(userCache.history)) {
             return interaction.update({
-                embeds: [createErrorEmbed('Phiên lịch sử đã hết hạn, hãy bấm nút Replay lại.', client.config)],
+                embeds: [createErrorEmbed(t('history.replay_expired', locale), client.config, locale)],
                 components: []
             });
         }
 
         if (idx >= userCache.history.length) {
             return interaction.update({
-                embeds: [createErrorEmbed('Bài hát không hợp lệ.', client.config)],
+                embeds: [createErrorEmbed(t('history.invalid_track', locale), client.config, locale)],
                 components: []
             });
         }
@@ -45,7 +47,7 @@ export async function handleHistoryReplaySelect(interaction, client) {
         const entry = userCache.history[idx];
         if (!entry?.track?.info) {
             return interaction.update({
-                embeds: [createErrorEmbed('Dữ liệu bài hát không hợp lệ.', client.config)],
+                embeds: [createErrorEmbed(t('history.invalid_track_data', locale), client.config, locale)],
                 components: []
             });
         }
@@ -57,7 +59,7 @@ export async function handleHistoryReplaySelect(interaction, client) {
 
         if (!voiceChannel) {
             return interaction.update({
-                embeds: [createErrorEmbed('Bạn phải ở trong voice channel!', client.config)],
+                embeds: [createErrorEmbed(t('history.not_in_voice', locale), client.config, locale)],
                 components: []
             });
         }
@@ -70,7 +72,7 @@ export async function handleHistoryReplaySelect(interaction, client) {
 
         if (queue.voiceChannelId !== voiceChannel.id) {
             return interaction.update({
-                embeds: [createErrorEmbed('Bot đang ở voice channel khác!', client.config)],
+                embeds: [createErrorEmbed(t('history.other_channel', locale), client.config, locale)],
                 components: []
             });
         }
@@ -86,22 +88,12 @@ export async function handleHistoryReplaySelect(interaction, client) {
         client._historyCache.delete(key);
 
         await interaction.update({
-            embeds: [createTrackAddedEmbed(replayTrack, position, client.config)],
+            embeds: [createTrackAddedEmbed(replayTrack, position, client.config, null, locale)],
             components: []
         });
 
         if (!queue.current) {
             await queue.play();
-
-            try {
-                const nowPlayingMessage = await interaction.channel.send({
-                    embeds: [createNowPlayingEmbed(queue.current, queue, client.config)],
-                    components: createNowPlayingButtons(queue, false)
-                });
-                queue.setNowPlayingMessage(nowPlayingMessage);
-            } catch (err) {
-                logger.error('Failed to send now playing message after history replay', err);
-            }
         }
 
         logger.info(`Track replayed from history: ${track.info?.title}`);
@@ -109,7 +101,7 @@ export async function handleHistoryReplaySelect(interaction, client) {
         logger.error('History replay select handler error', error);
         await interaction
             .update({
-                embeds: [createErrorEmbed('Đã xảy ra lỗi khi phát lại bài hát!', client.config)],
+                embeds: [createErrorEmbed(t('history.replay_failed', locale), client.config, locale)],
                 components: []
             })
             .catch(() => {});
@@ -120,11 +112,13 @@ export async function handleHistoryReplaySelect(interaction, client) {
  * Handle personal history select menu for replaying tracks from database history
  */
 export async function handlePersonalHistorySelect(interaction, client) {
+    const locale = getLocale(interaction);
+
     try {
         const selectedValue = interaction.values?.[0];
         if (!selectedValue) {
             return interaction.update({
-                content: '❌ Không thể xác định lựa chọn của bạn.',
+                content: `❌ ${t('history.no_selection', locale)}`,
                 embeds: [],
                 components: []
             });
@@ -133,7 +127,7 @@ export async function handlePersonalHistorySelect(interaction, client) {
         const idx = parseInt(selectedValue.split('_').pop());
         if (isNaN(idx) || idx < 0) {
             return interaction.update({
-                content: '❌ Lựa chọn không hợp lệ.',
+                content: `❌ ${t('history.invalid_selection', locale)}`,
                 embeds: [],
                 components: []
             });
@@ -151,7 +145,7 @@ export async function handlePersonalHistorySelect(interaction, client) {
 
         if (!historyData || !Array.isArray(historyData.tracks)) {
             return interaction.update({
-                content: '❌ Phiên lịch sử đã hết hạn, hãy dùng lại /history.',
+                content: `❌ ${t('history.personal_expired', locale)}`,
                 embeds: [],
                 components: []
             });
@@ -160,7 +154,7 @@ export async function handlePersonalHistorySelect(interaction, client) {
         const historyEntry = historyData.tracks[idx];
         if (!historyEntry || !historyEntry.track_url) {
             return interaction.update({
-                content: '❌ Bài hát không hợp lệ.',
+                content: `❌ ${t('history.invalid_track', locale)}`,
                 embeds: [],
                 components: []
             });
@@ -172,7 +166,7 @@ export async function handlePersonalHistorySelect(interaction, client) {
 
         if (!voiceChannel) {
             return interaction.update({
-                content: '❌ Bạn phải ở trong voice channel!',
+                content: `❌ ${t('history.not_in_voice', locale)}`,
                 embeds: [],
                 components: []
             });
@@ -187,7 +181,7 @@ export async function handlePersonalHistorySelect(interaction, client) {
 
         if (queue.voiceChannelId !== voiceChannel.id) {
             return interaction.update({
-                content: '❌ Bot đang ở voice channel khác!',
+                content: `❌ ${t('history.other_channel', locale)}`,
                 embeds: [],
                 components: []
             });
@@ -197,11 +191,13 @@ export async function handlePersonalHistorySelect(interaction, client) {
         await interaction.deferUpdate();
 
         // Search for the track
-        const result = await client.musicManager.search(historyEntry.track_url, interaction.user);
+        const result = await client.musicManager.search(historyEntry.track_url, interaction.user, {
+            guildId: interaction.guildId
+        });
 
         if (!result || !result.tracks || result.tracks.length === 0) {
             return interaction.editReply({
-                content: `❌ Không thể tìm thấy bài hát: **${historyEntry.track_title}**`,
+                content: `❌ ${t('history.track_not_found', locale, { title: historyEntry.track_title })}`,
                 embeds: [],
                 components: []
             });
@@ -222,23 +218,13 @@ export async function handlePersonalHistorySelect(interaction, client) {
         }
 
         await interaction.editReply({
-            embeds: [createTrackAddedEmbed(track, position, client.config)],
+            embeds: [createTrackAddedEmbed(track, position, client.config, null, locale)],
             components: []
         });
 
         // Start playing if not already
         if (!queue.current) {
             await queue.play();
-
-            try {
-                const nowPlayingMessage = await interaction.channel.send({
-                    embeds: [createNowPlayingEmbed(queue.current, queue, client.config)],
-                    components: createNowPlayingButtons(queue, false)
-                });
-                queue.setNowPlayingMessage(nowPlayingMessage);
-            } catch (err) {
-                logger.error('Failed to send now playing message after history replay', err);
-            }
         }
 
         logger.info(`Track replayed from personal history: ${track.info?.title}`);
@@ -246,7 +232,7 @@ export async function handlePersonalHistorySelect(interaction, client) {
         logger.error('Personal history select handler error', error);
         await interaction
             .editReply({
-                content: '❌ Đã xảy ra lỗi khi phát lại bài hát!',
+                content: `❌ ${t('history.replay_failed', locale)}`,
                 embeds: [],
                 components: []
             })
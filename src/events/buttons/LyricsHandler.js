@@ -6,13 +6,16 @@
 import { createErrorEmbed } from '../../UI/embeds/MusicEmbeds.js';
 import { COLORS } from '../../config/design-system.js';
 import { getLyrics, paginateLyrics, cleanTrackName, cleanArtistName } from '../../utils/lyrics.js';
+import { t, getLocale } from '../../utils/i18n.js';
 import logger from '../../utils/logger.js';
 import { EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle } from 'discord.js';
 
 export async function handleLyrics(interaction, queue, client) {
+    const locale = getLocale(interaction);
+
     if (!queue || !queue.current) {
         return interaction.reply({
-            embeds: [createErrorEmbed('Không có nhạc nào đang phát!', client.config)],
+            embeds: [createErrorEmbed(t('error.nothing_playing', locale), client.config, locale)],
             ephemeral: true
         });
     }
@@ -31,12 +34,11 @@ export async function handleLyrics(interaction, queue, client) {
         if (!lyricsData) {
             const embed = new EmbedBuilder()
                 .setColor(COLORS.WARNING)
-                .setTitle('📝 Không Tìm Thấy Lyrics')
+                .setTitle(t('lyrics.not_found_title', locale))
                 .setDescription(
                     `**${track.info.title}**\n` +
                         `*${track.info.author || 'Unknown Artist'}*\n\n` +
-                        '❌ Không tìm thấy lời bài hát.\n\n' +
-                        '💡 *Thử dùng /lyrics với từ khóa tìm kiếm khác*'
+                        t('lyrics.not_found', locale)
                 )
                 .setThumbnail(track.info.artworkUrl || null)
                 .setFooter({ text: client.config.bot.footer })
@@ -48,11 +50,11 @@ export async function handleLyrics(interaction, queue, client) {
         if (lyricsData.instrumental) {
             const embed = new EmbedBuilder()
                 .setColor(client.config.bot.color)
-                .setTitle('🎹 Nhạc Không Lời (Instrumental)')
+                .setTitle(t('lyrics.instrumental_title', locale))
                 .setDescription(
                     `**${lyricsData.trackName}**\n` +
                         `*${lyricsData.artistName}*\n\n` +
-                        '🎵 Bài hát này là nhạc không lời.'
+                        t('lyrics.instrumental', locale)
                 )
                 .setThumbnail(track.info.artworkUrl || null)
                 .setFooter({ text: client.config.bot.footer })
@@ -66,11 +68,9 @@ export async function handleLyrics(interaction, queue, client) {
         if (!plainLyrics) {
             const embed = new EmbedBuilder()
                 .setColor(COLORS.WARNING)
-                .setTitle('📝 Không Có Lời')
+                .setTitle(t('lyrics.empty_title', locale))
                 .setDescription(
-                    `**${lyricsData.trackName}**\n` +
-                        `*${lyricsData.artistName}*\n\n` +
-                        '❌ Không tìm thấy nội dung lời bài hát.'
+                    `**${lyricsData.trackName}**\n` + `*${lyricsData.artistName}*\n\n` + t('lyrics.empty', locale)
                 )
                 .setThumbnail(track.info.artworkUrl || null)
                 .setFooter({ text: client.config.bot.footer })
@@ -91,7 +91,9 @@ export async function handleLyrics(interaction, queue, client) {
                         `${pages[page]}`
                 )
                 .setThumbnail(track.info.artworkUrl || null)
-                .setFooter({ text: `${client.config.bot.footer} | Trang ${page + 1}/${pages.length}` })
+                .setFooter({
+                    text: `${client.config.bot.footer} | ${t('lyrics.page', locale, { page: page + 1, pages: pages.length })}`
+                })
                 .setTimestamp();
         };
 
@@ -152,7 +154,7 @@ export async function handleLyrics(interaction, queue, client) {
 
         collector.on('collect', async i => {
             if (i.user.id !== interaction.user.id) {
-                return i.reply({ content: '❌ Chỉ người yêu cầu mới có thể điều khiển!', ephemeral: true });
+                return i.reply({ content: t('lyrics.requester_only', getLocale(i)), ephemeral: true });
             }
 
             switch (i.customId) {
@@ -190,12 +192,11 @@ export async function handleLyrics(interaction, queue, client) {
 
         const embed = new EmbedBuilder()
             .setColor(COLORS.ERROR)
-            .setTitle('❌ Lỗi Khi Tải Lyrics')
+            .setTitle(t('lyrics.error_title', locale))
             .setDescription(
                 `**${track.info.title}**\n` +
                     `*${track.info.author || 'Unknown Artist'}*\n\n` +
-                    'Đã xảy ra lỗi khi tải lời bài hát.\n\n' +
-                    '💡 *Vui lòng thử lại sau hoặc dùng /lyrics*'
+                    t('lyrics.error', locale)
             )
             .setFooter({ text: client.config.bot.footer })
             .setTimestamp();
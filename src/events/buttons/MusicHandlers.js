@@ -5,30 +5,58 @@
 
 import { createSuccessEmbed, createInfoEmbed, createHistoryReplayEmbed } from '../../UI/embeds/MusicEmbeds.js';
 import { sendErrorResponse } from '../../UI/embeds/ErrorEmbeds.js';
-import { createHistoryReplayButtons } from '../../UI/components/MusicControls.js';
+import { createHistoryReplayButtons, createUndoButtons } from '../../UI/components/MusicControls.js';
+import {
+    NothingPlayingError,
+    EmptyQueueError,
+    NoPreviousTrackError,
+    PermissionError,
+    ValidationError,
+    QuizInProgressError
+} from '../../utils/errors.js';
+import { t, getLocale } from '../../utils/i18n.js';
 import logger from '../../utils/logger.js';
 import Playlist from '../../database/models/Playlist.js';
 import { EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle } from 'discord.js';
 import { COLORS } from '../../config/design-system.js';
 import GuildSettings from '../../database/models/GuildSettings.js';
+import AuditLog, { AUDIT_ACTIONS } from '../../database/models/AuditLog.js';
 import { checkDJPermission } from '../../utils/permissions.js';
 import { canBypassVoteSkip } from '../../commands/music/skip.js';
 import { getVoteSkipManager } from '../../services/VoteSkipManager.js';
+import { requestActionVote } from '../actionVoteHandler.js';
+import { stopPlayback } from '../../commands/music/stop.js';
+import { changeVolume } from '../../commands/music/volume.js';
+import { shuffleQueue } from '../../commands/queue/shuffle.js';
+import { VOTE_ACTIONS } from '../../utils/constants.js';
 
 export async function handlePause(interaction, queue, client) {
     try {
+        const locale = getLocale(interaction);
+
         if (!queue || !queue.current) {
-            return sendErrorResponse(interaction, new Error('Không có nhạc nào đang phát!'), client.config, true);
+            return sendErrorResponse(interaction, new NothingPlayingError(), client.config, true);
+        }
+
+        if (queue.quizActive) {
+            return sendErrorResponse(interaction, new QuizInProgressError(), client.config, true);
         }
 
         if (queue.paused) {
-            return sendErrorResponse(interaction, new Error('Nhạc đã được tạm dừng rồi!'), client.config, true);
+            return sendErrorResponse(
+                interaction,
+                new ValidationError(t('command.pause.already_paused', locale)),
+                client.config,
+                true
+            );
         }
 
         await queue.pause();
 
         await interaction.reply({
-            embeds: [createSuccessEmbed('Đã tạm dừng', 'Nhạc đã được tạm dừng.', client.config)],
+            embeds: [
+                createSuccessEmbed(t('controls.paused_title', locale), t('controls.paused', locale), client.config)
+            ],
             ephemeral: true
         });
 
@@ -42,18 +70,31 @@ export async function handlePause(interaction, queue, client) {
 
 export async function handleResume(interaction, queue, client) {
     try {
+        const locale = getLocale(interaction);
+
         if (!queue || !queue.current) {
-            return sendErrorResponse(interaction, new Error('Không có nhạc nào đang phát!'), client.config, true);
+            return sendErrorResponse(interaction, new NothingPlayingError(), client.config, true);
+        }
+
+        if (queue.quizActive) {
+            return sendErrorResponse(interaction, new QuizInProgressError(), client.config, true);
         }
 
         if (!queue.paused) {
-            return sendErrorResponse(interaction, new Error('Nhạc đang phát!'), client.config, true);
+            return sendErrorResponse(
+                interaction,
+                new ValidationError(t('controls.already_playing', locale)),
+                client.config,
+                true
+            );
         }
 
         await queue.resume();
 
         await interaction.reply({
-            embeds: [createSuccessEmbed('Đã tiếp tục', 'Nhạc đã được tiếp tục.', client.config)],
+            embeds: [
+                createSuccessEmbed(t('controls.resumed_title', locale), t('controls.resumed', locale), client.config)
+            ],
             ephemeral: true
         });
 
@@ -67,15 +108,34 @@ export async function handleResume(interaction, queue, client) {
 
 export async function handleStop(interaction, queue, client) {
     try {
+        const locale = getLocale(interaction);
+
         if (!queue || !queue.current) {
-            return sendErrorResponse(interaction, new Error('Không có nhạc nào đang phát!'), client.config, true);
+            return sendErrorResponse(interaction, new NothingPlayingError(), client.config, true);
         }
 
+        if (queue.quizActive) {
+            return sendErrorResponse(interaction, new QuizInProgressError(), client.config, true);
+        }
+
+        // Democratic mode: non-DJs put the stop to a vote
+        const voted = await requestActionVote(interaction, client, queue, VOTE_ACTIONS.STOP, {
+            summary: t('vote.summary.stop', queue.locale),
+            perform: stopPlayback
+        });
+        if (voted) return;
+
+        const stoppedTrack = queue.current;
+        const clearedCount = queue.tracks.length;
         await queue.stop();
+        AuditLog.logTrackAction(AUDIT_ACTIONS.STOP, interaction.user.id, interaction.guildId, stoppedTrack, {
+            clearedTracks: clearedCount,
+            source: 'button'
+        });
 
         await interaction.reply({
             embeds: [
-                createSuccessEmbed('Đã dừng phát nhạc', 'Đã dừng phát nhạc và xóa hàng đợi thành công.', client.config)
+                createSuccessEmbed(t('controls.stopped_title', locale), t('controls.stopped', locale), client.config)
             ],
             ephemeral: true
         });
@@ -90,8 +150,14 @@ export async function handleStop(interaction, queue, client) {
 
 export async function handleSkip(interaction, queue, client) {
     try {
+        const locale = getLocale(interaction);
+
         if (!queue || !queue.current) {
-            return sendErrorResponse(interaction, new Error('Không có nhạc nào đang phát!'), client.config, true);
+            return sendErrorResponse(interaction, new NothingPlayingError(), client.config, true);
+        }
+
+        if (queue.quizActive) {
+            return sendErrorResponse(interaction, new QuizInProgressError(), client.config, true);
         }
 
         const guildSettings = GuildSettings.get(interaction.guildId);
@@ -102,7 +168,7 @@ export async function handleSkip(interaction, queue, client) {
             if (!djCheck.allowed) {
                 return sendErrorResponse(
                     interaction,
-                    new Error('Chế độ DJ-only đang bật! Bạn cần vai trò DJ để skip.'),
+                    new PermissionError(t('controls.dj_only_skip', locale)),
                     client.config,
                     true
                 );
@@ -113,7 +179,7 @@ export async function handleSkip(interaction, queue, client) {
         if (guildSettings.voteSkipEnabled) {
             const canBypass = await canBypassVoteSkip(interaction, queue, guildSettings);
             if (!canBypass) {
-                return await _handleButtonVoteSkip(interaction, client, queue, guildSettings);
+                return await _handleButtonVoteSkip(interaction, client, queue, guildSettings, locale);
             }
         }
 
@@ -121,10 +187,19 @@ export async function handleSkip(interaction, queue, client) {
         getVoteSkipManager().clearSession(interaction.guildId);
 
         const skipped = queue.current?.info?.title || 'Unknown Track';
+        AuditLog.logTrackAction(AUDIT_ACTIONS.SKIP, interaction.user.id, interaction.guildId, queue.current, {
+            source: 'button'
+        });
         await queue.skip();
 
         await interaction.reply({
-            embeds: [createSuccessEmbed('Đã bỏ qua', `Đã bỏ qua **${skipped}**`, client.config)],
+            embeds: [
+                createSuccessEmbed(
+                    t('command.skip.title', locale),
+                    t('command.skip.done', locale, { title: skipped }),
+                    client.config
+                )
+            ],
             ephemeral: true
         });
 
@@ -140,7 +215,7 @@ export async function handleSkip(interaction, queue, client) {
  * P0-03: Handle vote skip initiated from the skip button
  * Adapted from commands/music/skip.js handleVoteSkip for button interactions
  */
-async function _handleButtonVoteSkip(interaction, client, queue, guildSettings) {
+async function _handleButtonVoteSkip(interaction, client, queue, guildSettings, locale) {
     const voiceChannel = interaction.guild.channels.cache.get(queue.voiceChannelId);
     const membersInVoice = voiceChannel ? voiceChannel.members.filter(m => !m.user.bot).size : 1;
 
@@ -165,7 +240,11 @@ async function _handleButtonVoteSkip(interaction, client, queue, guildSettings)
     } else {
         if (session.votes.has(interaction.user.id)) {
             return interaction.reply({
-                embeds: [new EmbedBuilder().setColor(COLORS.ERROR).setDescription('❌ Bạn đã vote skip rồi!')],
+                embeds: [
+                    new EmbedBuilder()
+                        .setColor(COLORS.ERROR)
+                        .setDescription(`❌ ${t('voteskip.already_voted', locale)}`)
+                ],
                 ephemeral: true
             });
         }
@@ -177,15 +256,24 @@ async function _handleButtonVoteSkip(interaction, client, queue, guildSettings)
     if (session.votes.size >= session.requiredVotes) {
         manager.clearSession(interaction.guildId);
         const skippedTrack = queue.current?.info?.title || 'Unknown Track';
+        AuditLog.logTrackAction(AUDIT_ACTIONS.VOTE_SKIP, interaction.user.id, interaction.guildId, queue.current, {
+            votes: session.votes.size,
+            requiredVotes: session.requiredVotes,
+            source: 'button'
+        });
         await queue.skip();
 
         return interaction.reply({
             embeds: [
                 new EmbedBuilder()
                     .setColor(client.config.bot.color)
-                    .setTitle('⏭️ Vote Skip Thành Công!')
+                    .setTitle(t('voteskip.success_title', queue.locale))
                     .setDescription(
-                        `Đã bỏ qua **${skippedTrack}**\n└ ${session.votes.size}/${session.requiredVotes} phiếu bầu`
+                        t('voteskip.success', queue.locale, {
+                            title: skippedTrack,
+                            votes: session.votes.size,
+                            required: session.requiredVotes
+                        })
                     )
                     .setFooter({ text: client.config.bot.footer })
                     .setTimestamp()
@@ -198,12 +286,14 @@ async function _handleButtonVoteSkip(interaction, client, queue, guildSettings)
         .setTitle('🗳️ Vote Skip')
         .setDescription(
             `**${session.trackTitle}**\n\n` +
-                `📊 **Tiến độ:** ${session.votes.size}/${session.requiredVotes} phiếu\n` +
-                `👥 **Thành viên trong voice:** ${membersInVoice}\n` +
-                `📈 **Yêu cầu:** ${requiredPercentage}% phiếu bầu\n\n` +
-                '*Nhấn nút bên dưới để vote skip!*'
+                t('voteskip.progress', queue.locale, {
+                    votes: session.votes.size,
+                    required: session.requiredVotes,
+                    members: membersInVoice,
+                    percentage: requiredPercentage
+                })
         )
-        .setFooter({ text: 'Vote sẽ hết hạn khi bài hát kết thúc' })
+        .setFooter({ text: t('voteskip.footer', queue.locale) })
         .setTimestamp();
 
     const row = new ActionRowBuilder().addComponents(
@@ -220,35 +310,32 @@ async function _handleButtonVoteSkip(interaction, client, queue, guildSettings)
 
 export async function handlePrevious(interaction, queue, client) {
     try {
+        const locale = getLocale(interaction);
+
         if (!queue) {
-            return sendErrorResponse(interaction, new Error('Không có hàng đợi nào!'), client.config, true);
+            return sendErrorResponse(interaction, new EmptyQueueError(), client.config, true);
         }
 
         // BUG-C25: Check player exists before calling previous()
         if (!queue.player) {
             return sendErrorResponse(
                 interaction,
-                new Error('Không có trình phát nào đang hoạt động!'),
+                new ValidationError(t('controls.no_player', locale)),
                 client.config,
                 true
             );
         }
 
         if (!queue.history || queue.history.length === 0) {
-            return sendErrorResponse(
-                interaction,
-                new Error('Không có bài hát nào trong lịch sử để quay lại!'),
-                client.config,
-                true
-            );
+            return sendErrorResponse(interaction, new NoPreviousTrackError(), client.config, true);
         }
 
-        const result = await queue.previous();
+        const result = await queue.previous(locale);
 
         if (!result.success) {
             return sendErrorResponse(
                 interaction,
-                new Error(result.message || 'Không thể quay lại bài trước!'),
+                new ValidationError(result.message || t('controls.previous_failed', locale)),
                 client.config,
                 true
             );
@@ -261,8 +348,8 @@ export async function handlePrevious(interaction, queue, client) {
         await interaction.reply({
             embeds: [
                 createSuccessEmbed(
-                    '⏮️ Đã quay lại bài trước',
-                    `Đang phát: **${trackTitle}**\n👤 ${trackAuthor}`,
+                    t('controls.previous_title', locale),
+                    t('controls.previous', locale, { title: trackTitle, author: trackAuthor }),
                     client.config
                 )
             ],
@@ -283,8 +370,10 @@ export async function handlePrevious(interaction, queue, client) {
 
 export async function handleLoop(interaction, queue, client) {
     try {
+        const locale = getLocale(interaction);
+
         if (!queue) {
-            return sendErrorResponse(interaction, new Error('Không có hàng đợi nào!'), client.config, true);
+            return sendErrorResponse(interaction, new EmptyQueueError(), client.config, true);
         }
 
         const modes = ['off', 'track', 'queue'];
@@ -293,15 +382,13 @@ export async function handleLoop(interaction, queue, client) {
 
         await queue.setLoop(nextMode);
 
-        const modeText = {
-            off: 'Tắt',
-            track: '🔂 Lặp bài hát',
-            queue: '🔁 Lặp hàng đợi'
-        };
-
         await interaction.reply({
             embeds: [
-                createSuccessEmbed('Đã thay đổi chế độ lặp', `Chế độ lặp: **${modeText[nextMode]}**`, client.config)
+                createSuccessEmbed(
+                    t('controls.loop_title', locale),
+                    t('controls.loop', locale, { mode: t(`controls.loop_${nextMode}`, locale) }),
+                    client.config
+                )
             ],
             ephemeral: true
         });
@@ -316,29 +403,39 @@ export async function handleLoop(interaction, queue, client) {
 
 export async function handleShuffle(interaction, queue, client) {
     try {
+        const locale = getLocale(interaction);
+
         if (!queue) {
-            return sendErrorResponse(interaction, new Error('Không có hàng đợi nào!'), client.config, true);
+            return sendErrorResponse(interaction, new EmptyQueueError(), client.config, true);
         }
 
         if (queue.tracks.length < 2) {
             return sendErrorResponse(
                 interaction,
-                new Error('Cần ít nhất 2 bài trong hàng đợi để xáo trộn!'),
+                new ValidationError(t('command.shuffle.too_few', locale)),
                 client.config,
                 true
             );
         }
 
-        queue.shuffle();
+        // Democratic mode: non-DJs put the shuffle to a vote
+        const voted = await requestActionVote(interaction, client, queue, VOTE_ACTIONS.SHUFFLE, {
+            summary: t('vote.summary.shuffle', queue.locale, { count: queue.tracks.length }),
+            perform: shuffleQueue
+        });
+        if (voted) return;
+
+        queue.shuffle(interaction.user.id);
 
         await interaction.reply({
             embeds: [
                 createSuccessEmbed(
-                    'Đã xáo trộn',
-                    `Đã xáo trộn ${queue.tracks.length} bài trong hàng đợi.`,
+                    t('controls.shuffled_title', locale),
+                    t('controls.shuffled', locale, { count: queue.tracks.length }),
                     client.config
                 )
             ],
+            components: createUndoButtons(queue.peekUndo(), locale),
             ephemeral: true
         });
 
@@ -352,15 +449,38 @@ export async function handleShuffle(interaction, queue, client) {
 
 export async function handleVolumeUp(interaction, queue, client) {
     try {
+        const locale = getLocale(interaction);
+
         if (!queue) {
-            return sendErrorResponse(interaction, new Error('Không có hàng đợi nào!'), client.config, true);
+            return sendErrorResponse(interaction, new EmptyQueueError(), client.config, true);
         }
 
+        const previousVolume = queue.volume;
         const newVolume = Math.min(100, queue.volume + 10);
+
+        // Democratic mode: non-DJs put the volume change to a vote
+        const voted = await requestActionVote(interaction, client, queue, VOTE_ACTIONS.VOLUME, {
+            key: String(newVolume),
+            summary: t('vote.summary.volume', queue.locale, { from: previousVolume, to: newVolume }),
+            perform: (target, context) => changeVolume(target, newVolume, context)
+        });
+        if (voted) return;
+
         await queue.setVolume(newVolume);
+        AuditLog.logTrackAction(AUDIT_ACTIONS.VOLUME, interaction.user.id, interaction.guildId, queue.current, {
+            from: previousVolume,
+            to: newVolume,
+            source: 'button'
+        });
 
         await interaction.reply({
-            embeds: [createInfoEmbed('Âm lượng', `Đã tăng âm lượng lên **${newVolume}%**`, client.config)],
+            embeds: [
+                createInfoEmbed(
+                    t('command.volume.title', locale),
+                    t('controls.volume_up', locale, { volume: newVolume }),
+                    client.config
+                )
+            ],
             ephemeral: true
         });
 
@@ -375,15 +495,38 @@ export async function handleVolumeUp(interaction, queue, client) {
 
 export async function handleVolumeDown(interaction, queue, client) {
     try {
+        const locale = getLocale(interaction);
+
         if (!queue) {
-            return sendErrorResponse(interaction, new Error('Không có hàng đợi nào!'), client.config, true);
+            return sendErrorResponse(interaction, new EmptyQueueError(), client.config, true);
         }
 
+        const previousVolume = queue.volume;
         const newVolume = Math.max(0, queue.volume - 10);
+
+        // Democratic mode: non-DJs put the volume change to a vote
+        const voted = await requestActionVote(interaction, client, queue, VOTE_ACTIONS.VOLUME, {
+            key: String(newVolume),
+            summary: t('vote.summary.volume', queue.locale, { from: previousVolume, to: newVolume }),
+            perform: (target, context) => changeVolume(target, newVolume, context)
+        });
+        if (voted) return;
+
         await queue.setVolume(newVolume);
+        AuditLog.logTrackAction(AUDIT_ACTIONS.VOLUME, interaction.user.id, interaction.guildId, queue.current, {
+            from: previousVolume,
+            to: newVolume,
+            source: 'button'
+        });
 
         await interaction.reply({
-            embeds: [createInfoEmbed('Âm lượng', `Đã giảm âm lượng xuống **${newVolume}%**`, client.config)],
+            embeds: [
+                createInfoEmbed(
+                    t('command.volume.title', locale),
+                    t('controls.volume_down', locale, { volume: newVolume }),
+                    client.config
+                )
+            ],
             ephemeral: true
         });
 
@@ -398,16 +541,32 @@ export async function handleVolumeDown(interaction, queue, client) {
 
 export async function handleSeek(interaction, queue, client, offset, absolute = false) {
     try {
+        const locale = getLocale(interaction);
+
         if (!queue || !queue.current) {
-            return sendErrorResponse(interaction, new Error('Không có nhạc nào đang phát!'), client.config, true);
+            return sendErrorResponse(interaction, new NothingPlayingError(), client.config, true);
+        }
+
+        if (queue.quizActive) {
+            return sendErrorResponse(interaction, new QuizInProgressError(), client.config, true);
         }
 
         if (typeof offset !== 'number' || isNaN(offset)) {
-            return sendErrorResponse(interaction, new Error('Tham số seek không hợp lệ!'), client.config, true);
+            return sendErrorResponse(
+                interaction,
+                new ValidationError(t('controls.seek_invalid', locale)),
+                client.config,
+                true
+            );
         }
 
         if (queue.current.info?.isStream) {
-            return sendErrorResponse(interaction, new Error('Không thể tua livestream!'), client.config, true);
+            return sendErrorResponse(
+                interaction,
+                new ValidationError(t('command.seek.livestream', locale)),
+                client.config,
+                true
+            );
         }
 
         const currentPosition = queue.player?.position || 0;
@@ -416,7 +575,7 @@ export async function handleSeek(interaction, queue, client, offset, absolute =
         if (!duration || duration <= 0) {
             return sendErrorResponse(
                 interaction,
-                new Error('Không thể xác định thời lượng bài hát!'),
+                new ValidationError(t('controls.seek_unknown_duration', locale)),
                 client.config,
                 true
             );
@@ -450,8 +609,11 @@ export async function handleSeek(interaction, queue, client, offset, absolute =
         await interaction.reply({
             embeds: [
                 createInfoEmbed(
-                    'Đã tua nhạc',
-                    `${action}\n**Vị trí mới:** ${formatTime(newPosition)} / ${formatTime(duration)}`,
+                    t('controls.seek_title', locale),
+                    `${action}\n${t('controls.seek_position', locale, {
+                        position: formatTime(newPosition),
+                        duration: formatTime(duration)
+                    })}`,
                     client.config
                 )
             ],
@@ -476,14 +638,26 @@ export async function handleSeek(interaction, queue, client, offset, absolute =
 
 export async function handleReplay(interaction, queue, client) {
     try {
+        const locale = getLocale(interaction);
+
         if (!queue) {
-            return sendErrorResponse(interaction, new Error('Không có lịch sử phát nhạc!'), client.config, true);
+            return sendErrorResponse(
+                interaction,
+                new ValidationError(t('controls.no_history', locale)),
+                client.config,
+                true
+            );
         }
 
         const history = queue.history || [];
 
         if (history.length === 0) {
-            return sendErrorResponse(interaction, new Error('Chưa có bài hát nào trong lịch sử!'), client.config, true);
+            return sendErrorResponse(
+                interaction,
+                new ValidationError(t('controls.history_empty', locale)),
+                client.config,
+                true
+            );
         }
 
         if (!client._historyCache) {
@@ -522,8 +696,8 @@ export async function handleReplay(interaction, queue, client) {
         client._historyCache.set(key, { history, timestamp: Date.now() });
 
         await interaction.reply({
-            embeds: [createHistoryReplayEmbed(history, client.config)],
-            components: createHistoryReplayButtons(history),
+            embeds: [createHistoryReplayEmbed(history, client.config, locale)],
+            components: createHistoryReplayButtons(history, locale),
             ephemeral: false
         });
 
@@ -541,8 +715,10 @@ export async function handleReplay(interaction, queue, client) {
 
 export async function handleLikeTrack(interaction, queue, client) {
     try {
+        const locale = getLocale(interaction);
+
         if (!queue || !queue.current) {
-            return sendErrorResponse(interaction, new Error('Không có bài hát nào đang phát!'), client.config, true);
+            return sendErrorResponse(interaction, new NothingPlayingError(), client.config, true);
         }
 
         const track = queue.current;
@@ -572,17 +748,21 @@ export async function handleLikeTrack(interaction, queue, client) {
             }
 
             const existingTracks = Playlist.getTracks(sharedPlaylist.id);
-            const isAlreadyInPlaylist = existingTracks.some(t => t.track_url === track.info.uri);
+            const isAlreadyInPlaylist = existingTracks.some(entry => entry.track_url === track.info.uri);
 
             if (isAlreadyInPlaylist) {
                 const embed = new EmbedBuilder()
                     .setColor(COLORS.WARNING)
-                    .setTitle('💝 Bài hát này đã được yêu thích rồi!')
+                    .setTitle(t('controls.like_exists_title', locale))
                     .setDescription(
-                        `**${track.info.title}**\n└ 🎤 ${track.info.author}\n\n*Bài hát này đã có trong playlist "${SHARED_PLAYLIST_NAME}" trước đó rồi nhé!*`
+                        t('controls.like_exists', locale, {
+                            title: track.info.title,
+                            author: track.info.author,
+                            playlist: SHARED_PLAYLIST_NAME
+                        })
                     )
                     .setThumbnail(track.info.artworkUrl || null)
-                    .setFooter({ text: `Playlist hiện có ${existingTracks.length} bài hát` })
+                    .setFooter({ text: t('controls.like_exists_footer', locale, { count: existingTracks.length }) })
                     .setTimestamp();
 
                 return interaction.reply({ embeds: [embed], ephemeral: true });
@@ -602,22 +782,24 @@ export async function handleLikeTrack(interaction, queue, client) {
 
                 const embed = new EmbedBuilder()
                     .setColor(client.config.bot.color)
-                    .setTitle('💖 Đã thêm vào danh sách yêu thích!')
+                    .setTitle(t('controls.like_added_title', locale))
                     .setDescription(
-                        `**${track.info.title}**\n` +
-                            `└ 🎤 ${track.info.author}\n\n` +
-                            `✨ Cảm ơn **${interaction.user.displayName}** đã thêm bài hát này vào playlist chung!\n` +
-                            `📋 Playlist: **${SHARED_PLAYLIST_NAME}**`
+                        t('controls.like_added', locale, {
+                            title: track.info.title,
+                            author: track.info.author,
+                            user: interaction.user.displayName,
+                            playlist: SHARED_PLAYLIST_NAME
+                        })
                     )
                     .setThumbnail(track.info.artworkUrl || null)
-                    .setFooter({ text: `Tổng ${totalTracks} bài hát được yêu thích • Dùng /playlist view để xem` })
+                    .setFooter({ text: t('controls.like_added_footer', locale, { count: totalTracks }) })
                     .setTimestamp();
 
                 return interaction.reply({ embeds: [embed], ephemeral: false });
             } else {
                 return sendErrorResponse(
                     interaction,
-                    new Error('Không thể thêm bài hát vào danh sách yêu thích!'),
+                    new Error(t('controls.like_failed', locale)),
                     client.config,
                     true
                 );
@@ -5,24 +5,26 @@
 
 import { createErrorEmbed } from '../../UI/embeds/MusicEmbeds.js';
 import { ModalBuilder, TextInputBuilder, TextInputStyle, ActionRowBuilder } from 'discord.js';
+import { t, getLocale } from '../../utils/i18n.js';
 
 export async function handleAddCurrentTrackToPlaylist(interaction, queue, client) {
+    const locale = getLocale(interaction);
     if (!queue || !queue.current) {
         return interaction.reply({
-            embeds: [createErrorEmbed('Không có bài hát nào đang phát!', client.config)],
+            embeds: [createErrorEmbed(t('command.playlist.nothing_playing', locale), client.config)],
             ephemeral: true
         });
     }
 
     const modal = new ModalBuilder()
         .setCustomId('add_current_track_to_playlist_modal')
-        .setTitle('Thêm bài hát vào playlist');
+        .setTitle(t('command.playlist.modal_add_current_title', locale));
 
     const playlistNameInput = new TextInputBuilder()
         .setCustomId('playlist_name')
-        .setLabel('Tên playlist')
+        .setLabel(t('command.playlist.modal_name_label', locale))
         .setStyle(TextInputStyle.Short)
-        .setPlaceholder('Nhập tên playlist...')
+        .setPlaceholder(t('command.playlist.modal_name_ellipsis_placeholder', locale))
         .setRequired(true)
         .setMaxLength(100);
 
@@ -33,9 +35,10 @@ export async function handleAddCurrentTrackToPlaylist(interaction, queue, client
 }
 
 export async function handleAddQueueToPlaylist(interaction, queue, client) {
+    const locale = getLocale(interaction);
     if (!queue) {
         return interaction.reply({
-            embeds: [createErrorEmbed('Không có hàng đợi nào!', client.config)],
+            embeds: [createErrorEmbed(t('command.playlist.no_queue', locale), client.config)],
             ephemeral: true
         });
     }
@@ -44,20 +47,20 @@ export async function handleAddQueueToPlaylist(interaction, queue, client) {
 
     if (totalTracks === 0) {
         return interaction.reply({
-            embeds: [createErrorEmbed('Hàng đợi trống!', client.config)],
+            embeds: [createErrorEmbed(t('command.queue.empty', locale), client.config)],
             ephemeral: true
         });
     }
 
     const modal = new ModalBuilder()
         .setCustomId('add_queue_to_playlist_modal')
-        .setTitle(`Thêm ${totalTracks} bài vào playlist`);
+        .setTitle(t('command.playlist.modal_add_queue_title', locale, { count: totalTracks }));
 
     const playlistNameInput = new TextInputBuilder()
         .setCustomId('playlist_name')
-        .setLabel('Tên playlist')
+        .setLabel(t('command.playlist.modal_name_label', locale))
         .setStyle(TextInputStyle.Short)
-        .setPlaceholder('Nhập tên playlist...')
+        .setPlaceholder(t('command.playlist.modal_name_ellipsis_placeholder', locale))
         .setRequired(true)
         .setMaxLength(100);
 
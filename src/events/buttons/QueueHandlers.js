@@ -5,13 +5,19 @@
 
 import { createQueueEmbed, createSuccessEmbed } from '../../UI/embeds/MusicEmbeds.js';
 import { sendErrorResponse } from '../../UI/embeds/ErrorEmbeds.js';
-import { createQueueButtons } from '../../UI/components/MusicControls.js';
+import { createQueueButtons, createUndoButtons } from '../../UI/components/MusicControls.js';
+import AuditLog, { AUDIT_ACTIONS } from '../../database/models/AuditLog.js';
+import { NothingPlayingError, EmptyQueueError, ValidationError } from '../../utils/errors.js';
+import { VOTE_ACTIONS } from '../../utils/constants.js';
+import { requestActionVote } from '../actionVoteHandler.js';
+import { removeQueuedTrack } from '../../commands/queue/remove.js';
+import { t, getLocale } from '../../utils/i18n.js';
 import logger from '../../utils/logger.js';
 import { ModalBuilder, TextInputBuilder, TextInputStyle, ActionRowBuilder } from 'discord.js';
 
 export async function handleShowQueue(interaction, queue, client) {
     if (!queue || !queue.current) {
-        return sendErrorResponse(interaction, new Error('Không có nhạc nào đang phát!'), client.config, true);
+        return sendErrorResponse(interaction, new NothingPlayingError(), client.config, true);
     }
 
     const page = 1;
@@ -28,7 +34,7 @@ export async function handleQueueButton(interaction, queue, client) {
     const customId = interaction.customId;
 
     if (!queue || !queue.current) {
-        return sendErrorResponse(interaction, new Error('Không có nhạc nào đang phát!'), client.config, true);
+        return sendErrorResponse(interaction, new NothingPlayingError(), client.config, true);
     }
 
     // Extract current page from customId (format: queue_action_pageNumber)
@@ -64,8 +70,10 @@ export async function handleQueueButton(interaction, queue, client) {
 }
 
 export async function handleRemoveQueueTrack(interaction, queue, client) {
+    const locale = getLocale(interaction);
+
     if (!queue) {
-        return sendErrorResponse(interaction, new Error('Không có hàng đợi nào!'), client.config, true);
+        return sendErrorResponse(interaction, new EmptyQueueError(), client.config, true);
     }
 
     const queuedTracks = queue.tracks?.length || 0;
@@ -73,20 +81,20 @@ export async function handleRemoveQueueTrack(interaction, queue, client) {
     if (queuedTracks === 0) {
         return sendErrorResponse(
             interaction,
-            new Error(
-                'Không có bài nào trong hàng đợi để xóa!\n\n*Bài đang phát không thể xóa, hãy dùng /skip hoặc /stop*'
-            ),
+            new ValidationError(t('controls.remove_nothing', locale)),
             client.config,
             true
         );
     }
 
-    const modal = new ModalBuilder().setCustomId('queue_remove_track_modal').setTitle('Xóa Bài Nhạc Khỏi Hàng Đợi');
+    const modal = new ModalBuilder()
+        .setCustomId('queue_remove_track_modal')
+        .setTitle(t('controls.remove_modal_title', locale));
 
     const trackInput = new TextInputBuilder()
         .setCustomId('track_identifier')
-        .setLabel(`Vị trí bài muốn xóa (1-${queuedTracks})`)
-        .setPlaceholder(`Nhập số từ 1 đến ${queuedTracks} hoặc một phần tên bài hát`)
+        .setLabel(t('controls.remove_modal_label', locale, { max: queuedTracks }))
+        .setPlaceholder(t('controls.remove_modal_placeholder', locale, { max: queuedTracks }))
         .setStyle(TextInputStyle.Short)
         .setRequired(true)
         .setMaxLength(200);
@@ -100,28 +108,27 @@ export async function handleRemoveQueueTrack(interaction, queue, client) {
 export async function handleQueueRemoveTrackModalSubmit(interaction, client) {
     await interaction.deferReply({ ephemeral: true });
 
+    const locale = getLocale(interaction);
     const queue = client.musicManager.getQueue(interaction.guildId);
 
     if (!queue) {
-        return sendErrorResponse(interaction, new Error('Không có hàng đợi nào!'), client.config);
+        return sendErrorResponse(interaction, new EmptyQueueError(), client.config);
     }
 
     const trackIdentifier = interaction.fields.getTextInputValue('track_identifier').trim();
 
     if (!trackIdentifier) {
-        return sendErrorResponse(interaction, new Error('Vui lòng nhập tên hoặc số thứ tự bài nhạc!'), client.config);
+        return sendErrorResponse(
+            interaction,
+            new ValidationError(t('controls.remove_empty_input', locale)),
+            client.config
+        );
     }
 
     const queuedTracks = queue.tracks || [];
 
     if (queuedTracks.length === 0) {
-        return sendErrorResponse(
-            interaction,
-            new Error(
-                'Không có bài nào trong hàng đợi để xóa!\n\n*Bài đang phát không thể xóa, hãy dùng /skip hoặc /stop*'
-            ),
-            client.config
-        );
+        return sendErrorResponse(interaction, new ValidationError(t('controls.remove_nothing', locale)), client.config);
     }
 
     let trackToRemove = null;
@@ -132,9 +139,7 @@ export async function handleQueueRemoveTrackModalSubmit(interaction, client) {
         if (position < 1 || position > queuedTracks.length) {
             return sendErrorResponse(
                 interaction,
-                new Error(
-                    `Vị trí không hợp lệ!\n\nHàng đợi có **${queuedTracks.length}** bài (nhập số từ 1 đến ${queuedTracks.length})`
-                ),
+                new ValidationError(t('controls.remove_invalid_position', locale, { count: queuedTracks.length })),
                 client.config
             );
         }
@@ -143,18 +148,28 @@ export async function handleQueueRemoveTrackModalSubmit(interaction, client) {
         removePosition = position - 1;
     } else {
         const searchTerm = trackIdentifier.toLowerCase();
-        const foundIndex = queuedTracks.findIndex(t => t.info.title.toLowerCase().includes(searchTerm));
+        const foundIndex = queuedTracks.findIndex(track => track.info.title.toLowerCase().includes(searchTerm));
 
         if (foundIndex === -1) {
             const availableTracks = queuedTracks
                 .slice(0, 5)
-                .map((t, i) => `${i + 1}. ${t.info.title.substring(0, 40)}${t.info.title.length > 40 ? '...' : ''}`)
+                .map(
+                    (track, i) =>
+                        `${i + 1}. ${track.info.title.substring(0, 40)}${track.info.title.length > 40 ? '...' : ''}`
+                )
                 .join('\n');
 
             return sendErrorResponse(
                 interaction,
-                new Error(
-                    `Không tìm thấy bài nhạc có tên "${trackIdentifier}" trong hàng đợi.\n\n**Các bài trong hàng đợi:**\n${availableTracks}${queuedTracks.length > 5 ? `\n...và ${queuedTracks.length - 5} bài khác` : ''}`
+                new ValidationError(
+                    t('controls.remove_not_found', locale, {
+                        query: trackIdentifier,
+                        tracks:
+                            availableTracks +
+                            (queuedTracks.length > 5
+                                ? t('controls.remove_more', locale, { count: queuedTracks.length - 5 })
+                                : '')
+                    })
                 ),
                 client.config
             );
@@ -165,23 +180,42 @@ export async function handleQueueRemoveTrackModalSubmit(interaction, client) {
     }
 
     try {
-        queue.remove(removePosition);
+        // Democratic mode: non-DJs put removing someone else's track to a vote
+        const voted = await requestActionVote(interaction, client, queue, VOTE_ACTIONS.REMOVE, {
+            key: trackToRemove.info?.uri || trackToRemove.info?.title,
+            summary: t('vote.summary.remove', queue.locale, {
+                title: trackToRemove.info?.title || 'Unknown Track',
+                position: removePosition + 1
+            }),
+            perform: (target, context) => removeQueuedTrack(target, trackToRemove, context),
+            requesterId: trackToRemove.requester?.id || trackToRemove.requester
+        });
+        if (voted) return;
+
+        queue.remove(removePosition, interaction.user.id);
+        AuditLog.logTrackAction(AUDIT_ACTIONS.REMOVE, interaction.user.id, interaction.guildId, trackToRemove, {
+            position: removePosition + 1,
+            source: 'button'
+        });
 
         const remainingCount = queue.tracks?.length || 0;
 
         const embed = createSuccessEmbed(
-            '✅ Đã Xóa Bài Nhạc',
-            `**${trackToRemove.info.title}**\n└ 🎤 ${trackToRemove.info.author}\n\nĐã xóa khỏi hàng đợi thành công!`,
+            t('controls.removed_title', locale),
+            t('controls.removed', locale, { title: trackToRemove.info.title, author: trackToRemove.info.author }),
             client.config
         );
 
         embed
             .setFooter({
-                text: `${client.config?.bot?.footer || 'Miyao Music Bot'} • Còn ${remainingCount} bài trong hàng đợi`
+                text: t('controls.removed_footer', locale, {
+                    footer: client.config?.bot?.footer || 'Miyao Music Bot',
+                    count: remainingCount
+                })
             })
             .setTimestamp();
 
-        await interaction.editReply({ embeds: [embed] });
+        await interaction.editReply({ embeds: [embed], components: createUndoButtons(queue.peekUndo(), locale) });
         logger.command('queue-remove-track-modal', interaction.user.id, interaction.guildId);
     } catch (error) {
         logger.error('Failed to remove track from queue', error);
@@ -3,11 +3,21 @@
  * Handles: Cancel search, Confirm play, Detailed view, Pick track, Search select dropdown
  */
 
-import { createTrackAddedEmbed, createNowPlayingEmbed, createInfoEmbed } from '../../UI/embeds/MusicEmbeds.js';
+import { createQueuedTrackEmbed, createInfoEmbed } from '../../UI/embeds/MusicEmbeds.js';
 import { sendErrorResponse } from '../../UI/embeds/ErrorEmbeds.js';
-import { createNowPlayingButtons, createSearchResultButtons } from '../../UI/components/MusicControls.js';
+import { createSearchResultButtons } from '../../UI/components/MusicControls.js';
 import { getAutoPlayPreferenceService } from '../../services/AutoPlayPreferenceService.js';
 import { maybeSendAutoPlaySuggestion, getConfirmationProgress } from '../autoPlaySuggestionHandler.js';
+import { requiresApproval, submitSongRequest } from './SongRequestHandlers.js';
+import {
+    UserNotInVoiceError,
+    DifferentVoiceChannelError,
+    ValidationError,
+    QueueFullError,
+    RequestLimitError,
+    DuplicateTrackError
+} from '../../utils/errors.js';
+import { t, getLocale } from '../../utils/i18n.js';
 import logger from '../../utils/logger.js';
 
 /**
@@ -18,8 +28,9 @@ import logger from '../../utils/logger.js';
  * @param {import('discord.js').TextBasedChannel} channel
  * @param {string} userId
  * @param {string} trackUrl
+ * @param {string} locale - Locale code of the user being tracked
  */
-async function maybeSendProgressHint(channel, userId, trackUrl) {
+async function maybeSendProgressHint(channel, userId, trackUrl, locale) {
     try {
         const progress = getConfirmationProgress(userId, trackUrl);
         if (!progress) return;
@@ -31,9 +42,7 @@ async function maybeSendProgressHint(channel, userId, trackUrl) {
 
         const remaining = threshold - current;
         const hint =
-            remaining === 1
-                ? '💡 _Còn 1 lần nữa là bot sẽ đề nghị tự động phát bài này!_'
-                : `💡 _Nghe bài này thêm ${remaining} lần nữa, bot sẽ đề nghị auto-play._`;
+            remaining === 1 ? t('search.hint_one_more', locale) : t('search.hint_remaining', locale, { remaining });
 
         const msg = await channel.send({ content: hint });
         // Auto-delete after 8 seconds to keep chat clean
@@ -44,61 +53,82 @@ async function maybeSendProgressHint(channel, userId, trackUrl) {
 }
 
 /**
- * Shared helper for processing a search result: voice-channel validation,
+ * Forget the user's cached /play search results
+ */
+function _clearSearchCache(interaction, client) {
+    const key = `${interaction.user.id}:${interaction.guildId}`;
+    if (client.cacheManager) {
+        client.cacheManager.delete('searchResults', key);
+    } else {
+        client._lastSearchResults?.delete(key);
+    }
+}
+
+/**
+ * Shared helper for processing a search result: voice-channel validation, approval requests,
  * queue creation, track adding, now-playing response, and auto-play tracking.
  *
  * @param {import('discord.js').Interaction} interaction
  * @param {object} client
  * @param {object} track - The selected track to play
+ * @param {object} [placement] - Placement chosen with /play (see EnhancedQueue.enqueue)
  * @returns {Promise<boolean>} true if successfully processed, false if an error response was sent
  */
-async function _processSearchResult(interaction, client, track) {
+async function _processSearchResult(interaction, client, track, placement) {
+    const locale = getLocale(interaction);
     const member = interaction.member;
     const voiceChannel = member.voice.channel;
 
     if (!voiceChannel) {
-        await sendErrorResponse(interaction, new Error('Bạn phải ở trong voice channel!'), client.config);
+        await sendErrorResponse(interaction, new UserNotInVoiceError(), client.config);
         return false;
     }
 
+    // Request approval mode: the pick goes to the DJs instead of the queue
+    if (requiresApproval(member, interaction.guildId)) {
+        const embed = await submitSongRequest(interaction, client, { tracks: [track], voiceChannel });
+        _clearSearchCache(interaction, client);
+        await interaction.update({ embeds: [embed], components: [] });
+        return true;
+    }
+
     let queue = client.musicManager.getQueue(interaction.guildId);
 
     if (!queue) {
         queue = await client.musicManager.createQueue(interaction.guildId, voiceChannel.id, interaction.channel);
     }
     if (queue.voiceChannelId !== voiceChannel.id) {
-        await sendErrorResponse(interaction, new Error('Bot đang ở voice channel khác!'), client.config);
+        await sendErrorResponse(interaction, new DifferentVoiceChannelError(), client.config);
         return false;
     }
 
     track.requester = interaction.user.id;
-    queue.add(track);
-    const position = queue.current ? queue.tracks.length : 1;
-
-    // Clear search cache
-    const key = `${interaction.user.id}:${interaction.guildId}`;
-    if (client.cacheManager) {
-        client.cacheManager.delete('searchResults', key);
-    } else {
-        client._lastSearchResults?.delete(key);
+    const addResult = queue.enqueue(track, placement);
+    if (addResult.error === 'QUEUE_FULL') {
+        await sendErrorResponse(interaction, new QueueFullError(addResult.maxSize), client.config);
+        return false;
+    }
+    if (addResult.error === 'REQUEST_LIMIT') {
+        await sendErrorResponse(
+            interaction,
+            RequestLimitError.fromAddResult(addResult.limited, addResult.limits),
+            client.config
+        );
+        return false;
     }
+    if (addResult.added === 0) {
+        await sendErrorResponse(interaction, new DuplicateTrackError(track.info?.title), client.config);
+        return false;
+    }
+    _clearSearchCache(interaction, client);
 
     await interaction.update({
-        embeds: [createTrackAddedEmbed(track, position, client.config)],
+        embeds: [createQueuedTrackEmbed(track, addResult, queue, client.config, null, locale)],
         components: []
     });
 
     if (!queue.current) {
         await queue.play();
-        try {
-            const nowPlayingMessage = await interaction.channel.send({
-                embeds: [createNowPlayingEmbed(queue.current, queue, client.config)],
-                components: createNowPlayingButtons(queue, false)
-            });
-            queue.setNowPlayingMessage(nowPlayingMessage);
-        } catch (err) {
-            logger.error('Failed to send now playing message', err);
-        }
     }
 
     // Auto-play tracking: record confirmation and maybe suggest auto-play
@@ -120,7 +150,7 @@ async function _processSearchResult(interaction, client, track) {
             );
 
             // Show progress hint toward auto-play threshold (non-blocking)
-            maybeSendProgressHint(interaction.channel, interaction.user.id, trackUrl).catch(() => {});
+            maybeSendProgressHint(interaction.channel, interaction.user.id, trackUrl, locale).catch(() => {});
         }
     } catch (err) {
         logger.debug('Auto-play tracking failed (non-critical)', err.message);
@@ -130,13 +160,8 @@ async function _processSearchResult(interaction, client, track) {
 }
 
 export async function handleSearchCancel(interaction, client) {
-    const key = `${interaction.user.id}:${interaction.guildId}`;
-    if (client.cacheManager) {
-        client.cacheManager.delete('searchResults', key);
-    } else {
-        client._lastSearchResults?.delete(key);
-    }
-    await interaction.update({ content: '❌ Đã hủy lựa chọn.', embeds: [], components: [] });
+    _clearSearchCache(interaction, client);
+    await interaction.update({ content: t('search.cancelled', getLocale(interaction)), embeds: [], components: [] });
 }
 
 export async function handleSearchConfirmPlay(interaction, client) {
@@ -153,13 +178,13 @@ export async function handleSearchConfirmPlay(interaction, client) {
     if (!userCache || !Array.isArray(userCache.tracks) || userCache.tracks.length === 0) {
         return sendErrorResponse(
             interaction,
-            new Error('Phiên tìm kiếm đã hết hạn, hãy dùng lại /play.'),
+            new ValidationError(t('search.expired', getLocale(interaction))),
             client.config
         );
     }
     const track = userCache.tracks[0];
 
-    const success = await _processSearchResult(interaction, client, track);
+    const success = await _processSearchResult(interaction, client, track, userCache.placement);
     if (!success) return;
 
     logger.command('play-confirmed', interaction.user.id, interaction.guildId);
@@ -178,24 +203,31 @@ export async function handleSearchShowDetailed(interaction, client) {
     if (!userCache || !Array.isArray(userCache.tracks)) {
         return sendErrorResponse(
             interaction,
-            new Error('Phiên tìm kiếm đã hết hạn, hãy dùng lại /play.'),
+            new ValidationError(t('search.expired', getLocale(interaction))),
             client.config
         );
     }
+    const locale = getLocale(interaction);
     const choices = userCache.tracks;
     const description = choices
-        .map((t, i) => {
-            const title = t.info.title.length > 60 ? t.info.title.substring(0, 57) + '...' : t.info.title;
-            const duration = t.info.isStream ? '🔴 LIVE' : `${Math.round(t.info.length / 1000 / 60) || 0}p`;
+        .map((track, i) => {
+            const title = track.info.title.length > 60 ? track.info.title.substring(0, 57) + '...' : track.info.title;
+            const duration = track.info.isStream
+                ? '🔴 LIVE'
+                : t('search.minutes', locale, { minutes: Math.round(track.info.length / 1000 / 60) || 0 });
             return `**${i + 1}.** ${title} • ${duration}`;
         })
         .join('\n');
 
     await interaction.update({
         embeds: [
-            createInfoEmbed('Kết quả tìm kiếm', `Chọn một kết quả bên dưới để phát:\n\n${description}`, client.config)
+            createInfoEmbed(
+                t('search.results_title', locale),
+                t('search.results_desc', locale, { results: description }),
+                client.config
+            )
         ],
-        components: createSearchResultButtons(choices)
+        components: createSearchResultButtons(choices, locale)
     });
     logger.command('play-detailed-search', interaction.user.id, interaction.guildId);
 }
@@ -213,16 +245,20 @@ export async function handleSearchPick(interaction, client, idx) {
     if (!userCache || !Array.isArray(userCache.tracks)) {
         return sendErrorResponse(
             interaction,
-            new Error('Phiên tìm kiếm đã hết hạn, hãy dùng lại /play.'),
+            new ValidationError(t('search.expired', getLocale(interaction))),
             client.config
         );
     }
     const track = userCache.tracks[idx];
     if (!track) {
-        return sendErrorResponse(interaction, new Error('Mục bạn chọn không hợp lệ.'), client.config);
+        return sendErrorResponse(
+            interaction,
+            new ValidationError(t('search.invalid_pick', getLocale(interaction))),
+            client.config
+        );
     }
 
-    await _processSearchResult(interaction, client, track);
+    await _processSearchResult(interaction, client, track, userCache.placement);
 }
 
 export async function handleSearchSelect(interaction, client) {
@@ -241,17 +277,21 @@ export async function handleSearchSelect(interaction, client) {
         if (!userCache || !Array.isArray(userCache.tracks)) {
             return sendErrorResponse(
                 interaction,
-                new Error('Phiên tìm kiếm đã hết hạn, hãy dùng lại /play.'),
+                new ValidationError(t('search.expired', getLocale(interaction))),
                 client.config
             );
         }
 
         const track = userCache.tracks[idx];
         if (!track) {
-            return sendErrorResponse(interaction, new Error('Bài hát không hợp lệ.'), client.config);
+            return sendErrorResponse(
+                interaction,
+                new ValidationError(t('search.invalid_track', getLocale(interaction))),
+                client.config
+            );
         }
 
-        const success = await _processSearchResult(interaction, client, track);
+        const success = await _processSearchResult(interaction, client, track, userCache.placement);
         if (!success) return;
 
         logger.info(`Track selected from search: ${track.info?.title}`);
@@ -0,0 +1,366 @@
+/**
+ * Song Request Approval Handlers
+ * Handles: Submitting /play requests for approval, Approve/Reject buttons in the approval channel
+ *
+ * When a guild turns on request approval (`/settings approval`), /play requests from members
+ * without DJ rights (permissions.isDJOrAdmin) are stored in song_requests and posted to the
+ * approval channel instead of being queued. A DJ's decision queues the tracks with
+ * EnhancedQueue.add and the requester is told the outcome in the channel they asked in.
+ * Requests nobody decides on within SONG_REQUESTS.PENDING_TTL_MS expire (startSongRequestSweep).
+ */
+
+import { EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle } from 'discord.js';
+import GuildSettings from '../../database/models/GuildSettings.js';
+import SongRequest, { SONG_REQUEST_STATUS } from '../../database/models/SongRequest.js';
+import { sendErrorResponse } from '../../UI/embeds/ErrorEmbeds.js';
+import { isDJOrAdmin } from '../../utils/permissions.js';
+import { SONG_REQUEST_BUTTONS, extractId } from '../../utils/button-ids.js';
+import { SONG_REQUESTS } from '../../utils/constants.js';
+import { formatDuration, truncate } from '../../utils/helpers.js';
+import {
+    ValidationError,
+    PermissionError,
+    DatabaseError,
+    DuplicateTrackError,
+    assertQueued
+} from '../../utils/errors.js';
+import { COLORS } from '../../config/design-system.js';
+import { t, getLocale, getGuildLocale, resolveLocale } from '../../utils/i18n.js';
+import logger from '../../utils/logger.js';
+
+/**
+ * Whether a member's /play requests have to wait for approval
+ * @param {import('discord.js').GuildMember} member - Requesting member
+ * @param {string} guildId - Guild ID
+ * @returns {boolean}
+ */
+export function requiresApproval(member, guildId) {
+    return GuildSettings.get(guildId).requestApproval && !isDJOrAdmin(member, guildId).allowed;
+}
+
+/**
+ * One-line description of what was requested
+ * @param {Object} request - SongRequest row
+ * @param {string} locale - Locale code
+ * @returns {string}
+ */
+function describeRequest(request, locale) {
+    if (request.playlist_name) {
+        return t('song_request.playlist', locale, { name: request.playlist_name, count: request.tracks.length });
+    }
+
+    const info = request.tracks[0]?.info || {};
+    const title = truncate(info.title || request.track_title, 80);
+    const length = info.isStream ? '🔴 LIVE' : formatDuration(info.length || 0);
+    return (
+        `🎵 ${request.track_url ? `**[${title}](${request.track_url})**` : `**${title}**`}` +
+        `${info.author ? ` — ${truncate(info.author, 40)}` : ''} • \`${length}\``
+    );
+}
+
+/**
+ * Build the message posted in the approval channel (in the guild's locale, since DJs share it)
+ * @param {Object} request - SongRequest row
+ * @param {string} locale - Locale code
+ * @param {Object} config - Bot configuration
+ * @returns {{embeds: EmbedBuilder[], components: ActionRowBuilder[]}}
+ */
+function buildApprovalMessage(request, locale, config) {
+    const status = request.status || SONG_REQUEST_STATUS.PENDING;
+    const colors = {
+        [SONG_REQUEST_STATUS.PENDING]: COLORS.WARNING,
+        [SONG_REQUEST_STATUS.APPROVED]: COLORS.SUCCESS,
+        [SONG_REQUEST_STATUS.REJECTED]: COLORS.ERROR,
+        [SONG_REQUEST_STATUS.EXPIRED]: COLORS.MUTED
+    };
+
+    const embed = new EmbedBuilder()
+        .setColor(colors[status])
+        .setTitle(t('song_request.title', locale, { id: request.id }))
+        .setDescription(describeRequest(request, locale))
+        .addFields([
+            { name: t('song_request.field_requester', locale), value: `<@${request.user_id}>`, inline: true },
+            { name: t('song_request.field_voice', locale), value: `<#${request.voice_channel_id}>`, inline: true },
+            {
+                name: t('song_request.field_status', locale),
+                value: t(`song_request.status_${status}`, locale, { user: `<@${request.decided_by}>` }),
+                inline: true
+            }
+        ])
+        .setFooter({ text: `${config.bot.footer} • ${t('song_request.footer', locale)}` })
+        .setTimestamp();
+
+    if (status !== SONG_REQUEST_STATUS.PENDING) {
+        return { embeds: [embed], components: [] };
+    }
+
+    const row = new ActionRowBuilder().addComponents(
+        new ButtonBuilder()
+            .setCustomId(`${SONG_REQUEST_BUTTONS.APPROVE_PREFIX}${request.id}`)
+            .setLabel(t('song_request.approve', locale))
+            .setEmoji('✅')
+            .setStyle(ButtonStyle.Success),
+        new ButtonBuilder()
+            .setCustomId(`${SONG_REQUEST_BUTTONS.REJECT_PREFIX}${request.id}`)
+            .setLabel(t('song_request.reject', locale))
+            .setEmoji('❌')
+            .setStyle(ButtonStyle.Danger)
+    );
+
+    return { embeds: [embed], components: [row] };
+}
+
+/**
+ * Store a /play request and post it for approval instead of queueing it
+ * @param {import('discord.js').Interaction} interaction - /play command or search button interaction
+ * @param {Object} client - Discord client
+ * @param {Object} options
+ * @param {Array} options.tracks - Resolved Lavalink tracks
+ * @param {string|null} [options.playlistName] - Set when a playlist or album was requested
+ * @param {import('discord.js').VoiceBasedChannel} options.voiceChannel - Requester's voice channel
+ * @returns {Promise<EmbedBuilder>} Confirmation for the requester
+ * @throws {ValidationError} When the member already has too many pending requests
+ */
+export async function submitSongRequest(interaction, client, { tracks, playlistName = null, voiceChannel }) {
+    const locale = getLocale(interaction);
+    const { guildId, guild } = interaction;
+    const userId = interaction.user.id;
+
+    if (SongRequest.countPending(guildId, userId) >= SONG_REQUESTS.MAX_PENDING_PER_USER) {
+        throw new ValidationError(t('song_request.too_many', locale, { max: SONG_REQUESTS.MAX_PENDING_PER_USER }));
+    }
+
+    const request = SongRequest.create({
+        guildId,
+        userId,
+        textChannelId: interaction.channelId,
+        voiceChannelId: voiceChannel.id,
+        tracks,
+        playlistName
+    });
+    if (!request) {
+        throw new DatabaseError('create song request');
+    }
+
+    const payload = buildApprovalMessage(request, getGuildLocale(guildId, guild), client.config);
+    const { approvalChannelId } = GuildSettings.get(guildId);
+    const approvalChannel = approvalChannelId ? guild.channels.cache.get(approvalChannelId) : null;
+
+    let message = null;
+    if (approvalChannel) {
+        message = await approvalChannel.send(payload).catch(error => {
+            logger.warn('Approval channel unusable, posting request in the command channel', {
+                guildId,
+                channelId: approvalChannelId,
+                error: error.message
+            });
+            return null;
+        });
+    }
+    if (!message) {
+        message = await interaction.channel.send(payload);
+    }
+    SongRequest.setMessage(request.id, message.id);
+
+    logger.info('Song request submitted', { guildId, userId, requestId: request.id, tracks: tracks.length });
+
+    return new EmbedBuilder()
+        .setColor(COLORS.INFO)
+        .setTitle(t('song_request.pending_title', locale))
+        .setDescription(
+            t('song_request.pending', locale, {
+                request: describeRequest(request, locale),
+                minutes: Math.round(SONG_REQUESTS.PENDING_TTL_MS / 60000)
+            })
+        )
+        .setFooter({ text: client.config.bot.footer })
+        .setTimestamp();
+}
+
+/**
+ * Queue an approved request, creating the queue in the requester's voice channel if needed
+ * @param {Object} client - Discord client
+ * @param {import('discord.js').ButtonInteraction} interaction - Approve button interaction
+ * @param {Object} request - SongRequest row
+ * @param {string} voiceChannelId - Voice channel the requester is in now
+ * @returns {Promise<Object>} EnhancedQueue#add result
+ */
+async function queueRequest(client, interaction, request, voiceChannelId) {
+    let queue = client.musicManager.getQueue(request.guild_id);
+    if (!queue) {
+        const textChannel = interaction.guild.channels.cache.get(request.text_channel_id) || interaction.channel;
+        queue = await client.musicManager.createQueue(request.guild_id, voiceChannelId, textChannel);
+    }
+
+    const tracks = request.tracks.map(track => ({ ...track, requester: request.user_id }));
+    const addResult = queue.add(tracks);
+    assertQueued(addResult);
+    if (addResult.added === 0) {
+        throw new DuplicateTrackError(request.track_title);
+    }
+
+    if (!queue.current) {
+        await queue.play();
+    }
+    return addResult;
+}
+
+/**
+ * Tell the requester what happened to their request, in the channel they asked in
+ * @param {import('discord.js').Guild} guild
+ * @param {Object} request - Decided SongRequest row
+ * @param {Object} config - Bot configuration
+ */
+async function notifyRequester(guild, request, config) {
+    const channel = guild.channels.cache.get(request.text_channel_id);
+    if (!channel) return;
+
+    const locale = resolveLocale({
+        userId: request.user_id,
+        guildId: request.guild_id,
+        discordLocale: guild.preferredLocale
+    });
+    const approved = request.status === SONG_REQUEST_STATUS.APPROVED;
+    const embed = new EmbedBuilder()
+        .setColor(approved ? COLORS.SUCCESS : COLORS.ERROR)
+        .setTitle(t(approved ? 'song_request.approved_title' : 'song_request.rejected_title', locale))
+        .setDescription(
+            t(approved ? 'song_request.approved' : 'song_request.rejected', locale, {
+                request: describeRequest(request, locale),
+                dj: `<@${request.decided_by}>`
+            })
+        )
+        .setFooter({ text: config.bot.footer })
+        .setTimestamp();
+
+    await channel
+        .send({ content: `<@${request.user_id}>`, embeds: [embed], allowedMentions: { users: [request.user_id] } })
+        .catch(error =>
+            logger.warn('Failed to notify song requester', { requestId: request.id, error: error.message })
+        );
+}
+
+/**
+ * Handle the Approve and Reject buttons on a pending request
+ * @param {import('discord.js').ButtonInteraction} interaction
+ * @param {Object} client - Discord client
+ */
+export async function handleSongRequestDecision(interaction, client) {
+    const locale = getLocale(interaction);
+
+    try {
+        const approve = interaction.customId.startsWith(SONG_REQUEST_BUTTONS.APPROVE_PREFIX);
+        const requestId = Number(
+            extractId(
+                interaction.customId,
+                approve ? SONG_REQUEST_BUTTONS.APPROVE_PREFIX : SONG_REQUEST_BUTTONS.REJECT_PREFIX
+            )
+        );
+
+        if (!isDJOrAdmin(interaction.member, interaction.guildId).allowed) {
+            throw new PermissionError(t('song_request.dj_only', locale));
+        }
+
+        const request = SongRequest.get(requestId);
+        if (!request || request.guild_id !== interaction.guildId) {
+            await interaction.message.edit({ components: [] }).catch(() => {});
+            throw new ValidationError(t('song_request.not_found', locale));
+        }
+
+        if (request.status === SONG_REQUEST_STATUS.EXPIRED || SongRequest.expire(requestId)) {
+            const expired = { ...request, status: SONG_REQUEST_STATUS.EXPIRED };
+            const guildLocale = getGuildLocale(interaction.guildId, interaction.guild);
+            await interaction.message.edit(buildApprovalMessage(expired, guildLocale, client.config)).catch(() => {});
+            throw new ValidationError(t('song_request.expired', locale));
+        }
+
+        // Approved tracks play in the requester's voice channel, so they have to still be listening there
+        const voiceChannelId = interaction.guild.voiceStates.cache.get(request.user_id)?.channelId;
+        const queue = client.musicManager.getQueue(request.guild_id);
+        if (approve && (!voiceChannelId || (queue && queue.voiceChannelId !== voiceChannelId))) {
+            throw new ValidationError(t('song_request.requester_left', locale, { user: `<@${request.user_id}>` }));
+        }
+
+        const status = approve ? SONG_REQUEST_STATUS.APPROVED : SONG_REQUEST_STATUS.REJECTED;
+        // Claim the decision first so a second DJ clicking at the same time cannot queue it twice
+        if (!SongRequest.resolve(requestId, status, interaction.user.id)) {
+            await interaction.message.edit({ components: [] }).catch(() => {});
+            throw new ValidationError(t('song_request.already_decided', locale));
+        }
+
+        if (approve) {
+            try {
+                await queueRequest(client, interaction, request, voiceChannelId);
+            } catch (error) {
+                // Leave the request pending so a DJ can retry once the queue has room
+                SongRequest.reopen(requestId);
+                throw error;
+            }
+        }
+
+        const decided = { ...request, status, decided_by: interaction.user.id };
+        await interaction.update(
+            buildApprovalMessage(decided, getGuildLocale(interaction.guildId, interaction.guild), client.config)
+        );
+        await notifyRequester(interaction.guild, decided, client.config);
+
+        logger.info('Song request decided', {
+            guildId: interaction.guildId,
+            requestId,
+            status,
+            decidedBy: interaction.user.id
+        });
+    } catch (error) {
+        if (error.code === 10062) return;
+        await sendErrorResponse(interaction, error, client.config, true);
+    }
+}
+
+/**
+ * Expire requests nobody decided on and take the Approve/Reject buttons off their messages
+ * @param {Object} client - Discord client
+ * @returns {Promise<number>} Number of requests expired
+ */
+export async function expireSongRequests(client) {
+    const expired = SongRequest.expireStale();
+
+    for (const request of expired) {
+        const guild = client.guilds.cache.get(request.guild_id);
+        if (!guild || !request.message_id) continue;
+
+        // The message went to the approval channel, or the request's channel when that was unusable
+        const { approvalChannelId } = GuildSettings.get(guild.id);
+        const payload = buildApprovalMessage(request, getGuildLocale(guild.id, guild), client.config);
+        for (const channelId of new Set([approvalChannelId, request.text_channel_id])) {
+            const channel = channelId ? guild.channels.cache.get(channelId) : null;
+            const message = await channel?.messages?.fetch(request.message_id).catch(() => null);
+            if (!message) continue;
+
+            await message.edit(payload).catch(error =>
+                logger.warn('Failed to update expired song request', {
+                    requestId: request.id,
+                    error: error.message
+                })
+            );
+            break;
+        }
+    }
+
+    if (expired.length > 0) {
+        logger.info('Song requests expired', { count: expired.length });
+    }
+    return expired.length;
+}
+
+/**
+ * Expire stale requests now and every SONG_REQUESTS.SWEEP_INTERVAL_MS
+ * @param {Object} client - Discord client
+ * @returns {NodeJS.Timeout} Sweep interval
+ */
+export function startSongRequestSweep(client) {
+    const sweep = () =>
+        expireSongRequests(client).catch(error => logger.error('Song request expiry sweep failed', { error }));
+
+    sweep();
+    return setInterval(sweep, SONG_REQUESTS.SWEEP_INTERVAL_MS).unref();
+}
@@ -3,7 +3,18 @@ import logger from '../../utils/logger.js';
 import { sendErrorResponse } from '../../UI/embeds/ErrorEmbeds.js';
 import { COLORS } from '../../config/design-system.js';
 import { handleVoteSkipButton } from '../../commands/music/skip.js';
+import { handleUndoButton } from '../../commands/queue/undo.js';
 import { getVoteSkipManager } from '../../services/VoteSkipManager.js';
+import AuditLog, { AUDIT_ACTIONS } from '../../database/models/AuditLog.js';
+import {
+    NothingPlayingError,
+    UserNotInVoiceError,
+    DifferentVoiceChannelError,
+    ValidationError,
+    QuizInProgressError
+} from '../../utils/errors.js';
+import { t, getLocale } from '../../utils/i18n.js';
+import { SONG_REQUEST_BUTTONS, UNDO_BUTTONS, EQ_EDITOR } from '../../utils/button-ids.js';
 
 // Import split handlers
 import * as MusicHandlers from './MusicHandlers.js';
@@ -13,6 +24,8 @@ import * as LyricsHandler from './LyricsHandler.js';
 import * as PlaylistHandlers from './PlaylistHandlers.js';
 import * as DiscoveryHandlers from './DiscoveryHandlers.js';
 import * as HistoryHandler from './HistoryHandler.js';
+import * as SongRequestHandlers from './SongRequestHandlers.js';
+import * as EqualizerHandlers from './EqualizerHandlers.js';
 import { handleSettingsButton } from '../menus/MenuHandlers.js';
 
 /**
@@ -20,10 +33,33 @@ import { handleSettingsButton } from '../menus/MenuHandlers.js';
  */
 export async function handleMusicButton(interaction, client) {
     const customId = interaction.customId;
+    const locale = getLocale(interaction);
 
     // Get queue
     const queue = client.musicManager.getQueue(interaction.guildId);
 
+    // Song request approval buttons (DJs may review from outside voice)
+    if (
+        customId.startsWith(SONG_REQUEST_BUTTONS.APPROVE_PREFIX) ||
+        customId.startsWith(SONG_REQUEST_BUTTONS.REJECT_PREFIX)
+    ) {
+        return await SongRequestHandlers.handleSongRequestDecision(interaction, client);
+    }
+
+    // Undo button under a queue change confirmation
+    if (customId.startsWith(UNDO_BUTTONS.UNDO_PREFIX)) {
+        return await handleUndoButton(interaction, client);
+    }
+
+    // /filter eq editor buttons
+    if (
+        customId === EQ_EDITOR.FLAT ||
+        customId.startsWith(EQ_EDITOR.ADJUST_PREFIX) ||
+        customId.startsWith(EQ_EDITOR.RESET_BAND_PREFIX)
+    ) {
+        return await EqualizerHandlers.handleEqualizerButton(interaction, client);
+    }
+
     // Vote skip handler from /skip command
     if (customId === 'vote_skip') {
         try {
@@ -41,29 +77,44 @@ export async function handleMusicButton(interaction, client) {
         try {
             const vsManager = getVoteSkipManager();
             if (!queue || !queue.current) {
-                return sendErrorResponse(interaction, new Error('Không có nhạc nào đang phát!'), client.config, true);
+                return sendErrorResponse(interaction, new NothingPlayingError(), client.config, true);
+            }
+            if (queue.quizActive) {
+                return sendErrorResponse(interaction, new QuizInProgressError(), client.config, true);
             }
             const session = vsManager.getSession(interaction.guildId);
             if (!session || session.trackUri !== queue.current.info.uri) {
                 return sendErrorResponse(
                     interaction,
-                    new Error('Phiên vote skip này đã hết hạn!'),
+                    new ValidationError(t('controls.vote_expired', locale)),
                     client.config,
                     true
                 );
             }
             if (session.votes.has(interaction.user.id)) {
-                return sendErrorResponse(interaction, new Error('Bạn đã bỏ phiếu rồi!'), client.config, true);
+                return sendErrorResponse(
+                    interaction,
+                    new ValidationError(t('command.voteskip.already_voted', locale)),
+                    client.config,
+                    true
+                );
             }
             vsManager.addVote(interaction.guildId, interaction.user.id);
             if (session.votes.size >= session.requiredVotes) {
                 vsManager.clearSession(interaction.guildId);
                 const skippedTitle = queue.current?.info?.title || 'Unknown';
+                AuditLog.logTrackAction(
+                    AUDIT_ACTIONS.VOTE_SKIP,
+                    interaction.user.id,
+                    interaction.guildId,
+                    queue.current,
+                    { votes: session.votes.size, requiredVotes: session.requiredVotes }
+                );
                 await queue.skip();
                 const embed = new EmbedBuilder()
                     .setColor(COLORS.SUCCESS)
-                    .setTitle('⏭️ Bỏ Qua Thành Công')
-                    .setDescription(`**${skippedTitle}** đã được bỏ qua bởi bình chọn!`)
+                    .setTitle(t('command.voteskip.success_title', queue.locale))
+                    .setDescription(t('command.voteskip.success', queue.locale, { title: skippedTitle }))
                     .setFooter({ text: client.config.bot.footer })
                     .setTimestamp();
                 return interaction.update({ embeds: [embed], components: [] });
@@ -72,7 +123,12 @@ export async function handleMusicButton(interaction, client) {
             const row = new ActionRowBuilder().addComponents(
                 new ButtonBuilder()
                     .setCustomId('voteskip_vote')
-                    .setLabel(`Bỏ phiếu (${session.votes.size}/${session.requiredVotes})`)
+                    .setLabel(
+                        t('command.voteskip.button', queue.locale, {
+                            votes: session.votes.size,
+                            required: session.requiredVotes
+                        })
+                    )
                     .setStyle(ButtonStyle.Primary)
                     .setEmoji('⏭️')
             );
@@ -100,12 +156,7 @@ export async function handleMusicButton(interaction, client) {
     const voiceChannel = member?.voice?.channel;
 
     if (!noVoiceChannelRequired.includes(customId) && !voiceChannel) {
-        return sendErrorResponse(
-            interaction,
-            new Error('Bạn phải ở trong voice channel để sử dụng nút này!'),
-            client.config,
-            true
-        );
+        return sendErrorResponse(interaction, new UserNotInVoiceError(), client.config, true);
     }
 
     // Check if bot is in same voice channel
@@ -115,7 +166,7 @@ export async function handleMusicButton(interaction, client) {
         voiceChannel &&
         queue.voiceChannelId !== voiceChannel.id
     ) {
-        return sendErrorResponse(interaction, new Error('Bạn phải ở cùng voice channel với bot!'), client.config, true);
+        return sendErrorResponse(interaction, new DifferentVoiceChannelError(), client.config, true);
     }
 
     try {
@@ -138,7 +189,7 @@ export async function handleMusicButton(interaction, client) {
         if (!queue) {
             return sendErrorResponse(
                 interaction,
-                new Error('Không có hàng đợi nhạc nào đang hoạt động!'),
+                new ValidationError(t('controls.no_queue', locale)),
                 client.config,
                 true
             );
@@ -188,7 +239,7 @@ export async function handleMusicButton(interaction, client) {
                 return await MusicHandlers.handleReplay(interaction, queue, client);
             case 'history_replay_cancel':
                 return await interaction.update({
-                    content: '❌ Đã hủy chọn bài từ lịch sử.',
+                    content: t('controls.history_cancelled', locale),
                     embeds: [],
                     components: []
                 });
@@ -220,13 +271,18 @@ export async function handleMusicButton(interaction, client) {
                     // We should log unrecognized button
                     return sendErrorResponse(
                         interaction,
-                        new Error('Nút này chưa được triển khai!'),
+                        new ValidationError(t('controls.not_implemented', locale)),
                         client.config,
                         true
                     );
                 }
 
-                await sendErrorResponse(interaction, new Error('Nút này chưa được triển khai!'), client.config, true);
+                await sendErrorResponse(
+                    interaction,
+                    new ValidationError(t('controls.not_implemented', locale)),
+                    client.config,
+                    true
+                );
         }
     } catch (error) {
         if (error.code === 10062) return;
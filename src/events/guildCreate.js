@@ -6,6 +6,7 @@
 
 import { EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle, PermissionFlagsBits } from 'discord.js';
 import { COLORS } from '../config/design-system.js';
+import { t, getGuildLocale } from '../utils/i18n.js';
 import logger from '../utils/logger.js';
 
 export default {
@@ -28,26 +29,13 @@ export default {
                 return;
             }
 
+            const locale = getGuildLocale(guild.id, guild);
+
             // Create welcome embed
             const embed = new EmbedBuilder()
                 .setColor(COLORS.PRIMARY)
-                .setTitle('👋 Xin chào! Cảm ơn bạn đã thêm Miyao Bot')
-                .setDescription(
-                    'Miyao Bot là một music bot mạnh mẽ với nhiều tính năng:\n\n' +
-                        '🎵 **Phát nhạc** - Phát nhạc từ YouTube, Spotify, SoundCloud\n' +
-                        '📋 **Quản lý hàng đợi** - Thêm, xóa, sắp xếp bài hát dễ dàng\n' +
-                        '🎚️ **Filters** - Bassboost, nightcore, và nhiều hiệu ứng khác\n' +
-                        '💾 **Playlists** - Tạo và quản lý playlist cá nhân\n' +
-                        '🔍 **Discovery** - Khám phá nhạc mới dựa trên lịch sử nghe\n' +
-                        '📊 **Statistics** - Xem thống kê nghe nhạc của bạn\n' +
-                        '🎯 **Autoplay** - Tự động phát nhạc liên tục\n\n' +
-                        '━━━━━━━━━━━━━━━━━━━━━━\n' +
-                        '⚡ **Bắt đầu nhanh (3 bước):**\n\n' +
-                        '**1.** Vào một kênh thoại (voice channel)\n' +
-                        '**2.** Gõ `/play <tên bài hát hoặc URL>`\n' +
-                        '**3.** Thưởng thức! Dùng `/help` để khám phá thêm\n\n' +
-                        '🔧 *Admin có thể dùng `/settings` để cấu hình bot.*'
-                )
+                .setTitle(t('welcome.title', locale))
+                .setDescription(t('welcome.description', locale))
                 .setThumbnail(client.user.displayAvatarURL())
                 .setFooter({ text: client.config.bot.footer })
                 .setTimestamp();
@@ -55,7 +43,7 @@ export default {
             // Create quick action buttons
             const buttons = [
                 new ButtonBuilder()
-                    .setLabel('Hướng dẫn')
+                    .setLabel(t('welcome.guide_button', locale))
                     .setStyle(ButtonStyle.Link)
                     .setURL('https://github.com/khuongit24/Miyao-Bot')
                     .setEmoji('📚'),
@@ -65,7 +53,7 @@ export default {
                     .setURL('https://github.com/khuongit24/Miyao-Bot')
                     .setEmoji('⭐'),
                 new ButtonBuilder()
-                    .setLabel('Báo lỗi')
+                    .setLabel(t('welcome.report_button', locale))
                     .setStyle(ButtonStyle.Link)
                     .setURL('https://github.com/khuongit24/Miyao-Bot/issues')
                     .setEmoji('🐛')
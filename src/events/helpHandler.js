@@ -10,7 +10,8 @@ import {
 } from 'discord.js';
 import logger from '../utils/logger.js';
 import { COLORS } from '../config/design-system.js';
-import { HELP_CATEGORY_OPTIONS } from '../config/help-categories.js';
+import { getHelpCategoryOptions } from '../config/help-categories.js';
+import { t, getLocale, intlLocale } from '../utils/i18n.js';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import FeedbackSubmission from '../database/models/FeedbackSubmission.js';
@@ -24,33 +25,33 @@ const __dirname = path.dirname(__filename);
  * Uses categories from help.js command for single source of truth
  */
 export async function handleShowHelpMenu(interaction, client) {
+    const locale = getLocale(interaction);
+
     try {
         const helpCommand = client.commands.get('help');
-        if (!helpCommand?.categories) {
+        if (!helpCommand?.getCategory) {
             return await interaction.reply({
-                content: '❌ Không thể tải menu trợ giúp!',
+                content: t('command.help.menu_load_failed', locale),
                 ephemeral: true
             });
         }
 
-        const categories = helpCommand.categories;
-
         // Build select menu using help.js categories
         const selectMenu = new StringSelectMenuBuilder()
             .setCustomId('help_category')
-            .setPlaceholder('📂 Chọn danh mục lệnh...')
-            .addOptions(HELP_CATEGORY_OPTIONS);
+            .setPlaceholder(t('command.help.menu_category_placeholder', locale))
+            .addOptions(getHelpCategoryOptions(locale));
 
         // Build action buttons
         const buttons = new ActionRowBuilder().addComponents(
             new ButtonBuilder()
                 .setCustomId('help_feedback')
-                .setLabel('Gửi góp ý')
+                .setLabel(t('command.help.feedback_button', locale))
                 .setStyle(ButtonStyle.Primary)
                 .setEmoji('✉️'),
             new ButtonBuilder()
                 .setCustomId('help_report')
-                .setLabel('Báo cáo lỗi')
+                .setLabel(t('command.help.report_button', locale))
                 .setStyle(ButtonStyle.Danger)
                 .setEmoji('🐛'),
             new ButtonBuilder()
@@ -61,14 +62,14 @@ export async function handleShowHelpMenu(interaction, client) {
         );
 
         // Create embed using home category from help.js
-        const homeCategory = categories.home;
+        const homeCategory = helpCommand.getCategory('home', locale);
         const embed = new EmbedBuilder()
             .setColor(client.config?.bot?.color || COLORS.PRIMARY)
             .setTitle(`${homeCategory.emoji} ${homeCategory.title}`)
             .setDescription(homeCategory.description)
             .setThumbnail(client.user.displayAvatarURL())
             .setFooter({
-                text: `${client.config?.bot?.footer || client.user.username} • Version ${client.config?.bot?.version || '1.0'}`,
+                text: `${client.config?.bot?.footer || client.user.username} • ${t('command.help.version_footer', locale, { version: client.config?.bot?.version || '1.0' })}`,
                 iconURL: client.user.displayAvatarURL()
             })
             .setTimestamp();
@@ -83,7 +84,7 @@ export async function handleShowHelpMenu(interaction, client) {
         logger.error('Handle show help menu error', error);
         await interaction
             .reply({
-                content: '❌ Đã xảy ra lỗi khi hiển thị menu trợ giúp!',
+                content: t('command.help.menu_failed', locale),
                 ephemeral: true
             })
             .catch(() => {});
@@ -94,6 +95,8 @@ export async function handleShowHelpMenu(interaction, client) {
  * Handle showing all commands list (from button click)
  */
 export async function handleShowAllCommands(interaction, client) {
+    const locale = getLocale(interaction);
+
     try {
         // Get all commands from the client
         const commands = [...client.commands.values()];
@@ -127,7 +130,7 @@ export async function handleShowAllCommands(interaction, client) {
                     ['play', 'pause', 'resume', 'stop', 'skip', 'seek', 'volume', 'nowplaying', 'replay'].includes(name)
                 ) {
                     category = 'music';
-                } else if (['queue', 'clear', 'shuffle', 'loop', 'remove', 'move', 'jump'].includes(name)) {
+                } else if (['queue', 'clear', 'shuffle', 'loop', 'remove', 'move', 'jump', 'undo'].includes(name)) {
                     category = 'queue';
                 } else if (['playlist'].includes(name)) {
                     category = 'playlist';
@@ -157,14 +160,11 @@ export async function handleShowAllCommands(interaction, client) {
         const embed = new EmbedBuilder()
             .setColor(client.config?.bot?.color || COLORS.PRIMARY)
             .setAuthor({
-                name: `${client.user.username} - Tất cả lệnh`,
+                name: t('command.help.all_author', locale, { name: client.user.username }),
                 iconURL: client.user.displayAvatarURL()
             })
-            .setTitle('📋 Danh sách tất cả lệnh')
-            .setDescription(
-                `Tổng cộng **${commands.length}** lệnh có sẵn.\n` +
-                    'Dùng `/help command:<tên lệnh>` để xem chi tiết.\n\n'
-            )
+            .setTitle(t('command.help.all_title', locale))
+            .setDescription(t('command.help.all_description', locale, { count: commands.length }))
             .setFooter({
                 text: `${client.config?.bot?.footer || client.user.username}`,
                 iconURL: client.user.displayAvatarURL()
@@ -189,7 +189,7 @@ export async function handleShowAllCommands(interaction, client) {
             const cmdList = categories[categoryKey];
             if (cmdList && cmdList.length > 0) {
                 const emoji = categoryEmojis[categoryKey] || '📁';
-                const categoryName = categoryKey.charAt(0).toUpperCase() + categoryKey.slice(1);
+                const categoryName = t(`command.help.group_${categoryKey}`, locale);
                 const commandsStr = cmdList
                     .sort()
                     .map(c => `\`/${c}\``)
@@ -207,17 +207,17 @@ export async function handleShowAllCommands(interaction, client) {
         const row = new ActionRowBuilder().addComponents(
             new ButtonBuilder()
                 .setCustomId('help_show_menu')
-                .setLabel('Về Menu chính')
+                .setLabel(t('command.help.back_button', locale))
                 .setStyle(ButtonStyle.Secondary)
                 .setEmoji('🏠'),
             new ButtonBuilder()
                 .setCustomId('help_feedback')
-                .setLabel('Gửi góp ý')
+                .setLabel(t('command.help.feedback_button', locale))
                 .setStyle(ButtonStyle.Primary)
                 .setEmoji('✉️'),
             new ButtonBuilder()
                 .setCustomId('help_report')
-                .setLabel('Báo cáo lỗi')
+                .setLabel(t('command.help.report_button', locale))
                 .setStyle(ButtonStyle.Danger)
                 .setEmoji('🐛')
         );
@@ -232,7 +232,7 @@ export async function handleShowAllCommands(interaction, client) {
         logger.error('Handle show all commands error', error);
         await interaction
             .reply({
-                content: '❌ Đã xảy ra lỗi khi hiển thị danh sách lệnh!',
+                content: t('command.help.all_failed', locale),
                 ephemeral: true
             })
             .catch(() => {});
@@ -243,14 +243,16 @@ export async function handleShowAllCommands(interaction, client) {
  * Handle help category selection from dropdown
  */
 export async function handleHelpCategory(interaction, client) {
+    const locale = getLocale(interaction);
+
     try {
         const categoryValue = interaction.values[0];
         const helpCommand = client.commands.get('help');
-        const category = helpCommand.categories[categoryValue];
+        const category = helpCommand.getCategory(categoryValue, locale);
 
         if (!category) {
             return await interaction.reply({
-                content: '❌ Danh mục không tồn tại!',
+                content: t('command.help.unknown_category', locale),
                 ephemeral: true
             });
         }
@@ -261,7 +263,9 @@ export async function handleHelpCategory(interaction, client) {
             .setTitle(`${category.emoji} ${category.title}`)
             .setDescription(category.description)
             .setThumbnail(client.user.displayAvatarURL())
-            .setFooter({ text: `${client.config.bot.footer} • Version ${client.config.bot.version}` })
+            .setFooter({
+                text: `${client.config.bot.footer} • ${t('command.help.version_footer', locale, { version: client.config.bot.version })}`
+            })
             .setTimestamp();
 
         // Update the message with new embed (keep components)
@@ -274,7 +278,7 @@ export async function handleHelpCategory(interaction, client) {
         logger.error('Help category handler error', error);
         await interaction
             .reply({
-                content: '❌ Đã xảy ra lỗi khi xử lý category!',
+                content: t('command.help.category_failed', locale),
                 ephemeral: true
             })
             .catch(() => {});
@@ -285,32 +289,34 @@ export async function handleHelpCategory(interaction, client) {
  * Handle feedback button - Show modal
  */
 export async function handleFeedback(interaction, client) {
+    const locale = getLocale(interaction);
+
     try {
         // Create modal
-        const modal = new ModalBuilder().setCustomId('feedback_modal').setTitle('📝 Gửi góp ý cho Miyao Bot');
+        const modal = new ModalBuilder().setCustomId('feedback_modal').setTitle(t('feedback.modal_title', locale));
 
         // Create input fields
         const subjectInput = new TextInputBuilder()
             .setCustomId('feedback_subject')
-            .setLabel('Tiêu đề')
+            .setLabel(t('feedback.subject_label', locale))
             .setStyle(TextInputStyle.Short)
-            .setPlaceholder('VD: Đề xuất thêm tính năng playlist')
+            .setPlaceholder(t('feedback.subject_placeholder', locale))
             .setRequired(true)
             .setMaxLength(100);
 
         const contentInput = new TextInputBuilder()
             .setCustomId('feedback_content')
-            .setLabel('Nội dung góp ý')
+            .setLabel(t('feedback.content_label', locale))
             .setStyle(TextInputStyle.Paragraph)
-            .setPlaceholder('Mô tả chi tiết góp ý của bạn...')
+            .setPlaceholder(t('feedback.content_placeholder', locale))
             .setRequired(true)
             .setMaxLength(1000);
 
         const contactInput = new TextInputBuilder()
             .setCustomId('feedback_contact')
-            .setLabel('Thông tin liên hệ (tùy chọn)')
+            .setLabel(t('feedback.contact_label', locale))
             .setStyle(TextInputStyle.Short)
-            .setPlaceholder('Email hoặc Discord username')
+            .setPlaceholder(t('feedback.contact_placeholder', locale))
             .setRequired(false)
             .setMaxLength(100);
 
@@ -329,7 +335,7 @@ export async function handleFeedback(interaction, client) {
         logger.error('Feedback handler error', error);
         await interaction
             .reply({
-                content: '❌ Đã xảy ra lỗi khi hiển thị form góp ý!',
+                content: t('feedback.form_failed', locale),
                 ephemeral: true
             })
             .catch(() => {});
@@ -340,48 +346,50 @@ export async function handleFeedback(interaction, client) {
  * Handle bug report button - Show modal
  */
 export async function handleBugReport(interaction, client) {
+    const locale = getLocale(interaction);
+
     try {
         // Create modal
-        const modal = new ModalBuilder().setCustomId('bugreport_modal').setTitle('🐛 Báo cáo lỗi Miyao Bot');
+        const modal = new ModalBuilder().setCustomId('bugreport_modal').setTitle(t('feedback.bug_modal_title', locale));
 
         // Create input fields
         const titleInput = new TextInputBuilder()
             .setCustomId('bug_title')
-            .setLabel('Tên lỗi')
+            .setLabel(t('feedback.bug_title_label', locale))
             .setStyle(TextInputStyle.Short)
-            .setPlaceholder('VD: Bot bị disconnect khi skip bài')
+            .setPlaceholder(t('feedback.bug_title_placeholder', locale))
             .setRequired(true)
             .setMaxLength(100);
 
         const stepsInput = new TextInputBuilder()
             .setCustomId('bug_steps')
-            .setLabel('Các bước tái hiện lỗi')
+            .setLabel(t('feedback.bug_steps_label', locale))
             .setStyle(TextInputStyle.Paragraph)
-            .setPlaceholder('1. Vào voice channel\n2. /play một bài\n3. /skip\n4. Bot disconnect')
+            .setPlaceholder(t('feedback.bug_steps_placeholder', locale))
             .setRequired(true)
             .setMaxLength(500);
 
         const expectedInput = new TextInputBuilder()
             .setCustomId('bug_expected')
-            .setLabel('Kết quả mong đợi')
+            .setLabel(t('feedback.bug_expected_label', locale))
             .setStyle(TextInputStyle.Short)
-            .setPlaceholder('Bot nên phát bài tiếp theo trong queue')
+            .setPlaceholder(t('feedback.bug_expected_placeholder', locale))
             .setRequired(true)
             .setMaxLength(200);
 
         const actualInput = new TextInputBuilder()
             .setCustomId('bug_actual')
-            .setLabel('Kết quả thực tế')
+            .setLabel(t('feedback.bug_actual_label', locale))
             .setStyle(TextInputStyle.Short)
-            .setPlaceholder('Bot bị disconnect khỏi voice channel')
+            .setPlaceholder(t('feedback.bug_actual_placeholder', locale))
             .setRequired(true)
             .setMaxLength(200);
 
         const contactInput = new TextInputBuilder()
             .setCustomId('bug_contact')
-            .setLabel('Thông tin liên hệ (tùy chọn)')
+            .setLabel(t('feedback.contact_label', locale))
             .setStyle(TextInputStyle.Short)
-            .setPlaceholder('Discord username để liên hệ nếu cần')
+            .setPlaceholder(t('feedback.bug_contact_placeholder', locale))
             .setRequired(false)
             .setMaxLength(100);
 
@@ -402,7 +410,7 @@ export async function handleBugReport(interaction, client) {
         logger.error('Bug report handler error', error);
         await interaction
             .reply({
-                content: '❌ Đã xảy ra lỗi khi hiển thị form báo cáo lỗi!',
+                content: t('feedback.bug_form_failed', locale),
                 ephemeral: true
             })
             .catch(() => {});
@@ -413,37 +421,39 @@ export async function handleBugReport(interaction, client) {
  * Handle feedback modal submission
  */
 export async function handleFeedbackSubmit(interaction, client) {
+    const locale = getLocale(interaction);
+
     try {
         // Get form data with validation
         const subject = interaction.fields.getTextInputValue('feedback_subject')?.trim();
         const content = interaction.fields.getTextInputValue('feedback_content')?.trim();
-        const contact = interaction.fields.getTextInputValue('feedback_contact')?.trim() || 'Không cung cấp';
+        const contact = interaction.fields.getTextInputValue('feedback_contact')?.trim() || null;
 
         // Validate inputs
         if (!subject || subject.length < 5) {
             return interaction.reply({
-                content: '❌ Tiêu đề phải có ít nhất 5 ký tự!',
+                content: t('feedback.subject_too_short', locale),
                 ephemeral: true
             });
         }
 
         if (!content || content.length < 10) {
             return interaction.reply({
-                content: '❌ Nội dung phải có ít nhất 10 ký tự!',
+                content: t('feedback.content_too_short', locale),
                 ephemeral: true
             });
         }
 
         if (subject.length > 100) {
             return interaction.reply({
-                content: '❌ Tiêu đề không được vượt quá 100 ký tự!',
+                content: t('feedback.subject_too_long', locale),
                 ephemeral: true
             });
         }
 
         if (content.length > 2000) {
             return interaction.reply({
-                content: '❌ Nội dung không được vượt quá 2000 ký tự!',
+                content: t('feedback.content_too_long', locale),
                 ephemeral: true
             });
         }
@@ -457,7 +467,7 @@ export async function handleFeedbackSubmit(interaction, client) {
                 // 1 minute cooldown
                 const remainingTime = Math.ceil((60000 - timeSinceLastFeedback) / 1000);
                 return interaction.reply({
-                    content: `⏳ Vui lòng đợi ${remainingTime}s trước khi gửi feedback tiếp theo!`,
+                    content: t('feedback.cooldown', locale, { seconds: remainingTime }),
                     ephemeral: true
                 });
             }
@@ -477,7 +487,7 @@ export async function handleFeedbackSubmit(interaction, client) {
 
         if (!feedbackId) {
             return interaction.reply({
-                content: '❌ Không thể lưu feedback! Vui lòng thử lại sau.',
+                content: t('feedback.save_failed', locale),
                 ephemeral: true
             });
         }
@@ -485,18 +495,17 @@ export async function handleFeedbackSubmit(interaction, client) {
         // Send confirmation
         const embed = new EmbedBuilder()
             .setColor(COLORS.SUCCESS)
-            .setTitle('✅ Góp ý đã được gửi!')
-            .setDescription(
-                `Cảm ơn **${interaction.user.username}** đã gửi góp ý cho Miyao Bot!\n\n` +
-                    `**Tiêu đề:** ${subject}\n\n` +
-                    'Chúng mình sẽ xem xét và cải thiện bot dựa trên góp ý của bạn. ' +
-                    'Bạn có thể theo dõi tiến trình tại [GitHub](https://github.com/khuongit24).'
-            )
+            .setTitle(t('feedback.sent_title', locale))
+            .setDescription(t('feedback.sent', locale, { user: interaction.user.username, subject }))
             .addFields([
                 { name: '📝 Feedback ID', value: `#${feedbackId}`, inline: true },
-                { name: '📅 Thời gian', value: new Date().toLocaleString('vi-VN'), inline: true }
+                {
+                    name: t('feedback.time_field', locale),
+                    value: new Date().toLocaleString(intlLocale(locale)),
+                    inline: true
+                }
             ])
-            .setFooter({ text: `${client.config.bot.footer} • Cảm ơn bạn đã đóng góp!` })
+            .setFooter({ text: `${client.config.bot.footer} • ${t('feedback.sent_footer', locale)}` })
             .setTimestamp();
 
         await interaction.reply({
@@ -511,7 +520,7 @@ export async function handleFeedbackSubmit(interaction, client) {
         logger.error('Feedback submit handler error', error);
 
         // Try to respond if not already replied
-        const errorMessage = '❌ Đã xảy ra lỗi không mong muốn! Vui lòng báo cáo cho admin.';
+        const errorMessage = t('feedback.unexpected_error', locale);
         if (!interaction.replied && !interaction.deferred) {
             await interaction
                 .reply({
@@ -534,39 +543,41 @@ export async function handleFeedbackSubmit(interaction, client) {
  * Handle bug report modal submission
  */
 export async function handleBugReportSubmit(interaction, client) {
+    const locale = getLocale(interaction);
+
     try {
         // Get form data with validation
         const title = interaction.fields.getTextInputValue('bug_title')?.trim();
         const steps = interaction.fields.getTextInputValue('bug_steps')?.trim();
         const expected = interaction.fields.getTextInputValue('bug_expected')?.trim();
         const actual = interaction.fields.getTextInputValue('bug_actual')?.trim();
-        const contact = interaction.fields.getTextInputValue('bug_contact')?.trim() || 'Không cung cấp';
+        const contact = interaction.fields.getTextInputValue('bug_contact')?.trim() || null;
 
         // Validate inputs
         if (!title || title.length < 5) {
             return interaction.reply({
-                content: '❌ Tên lỗi phải có ít nhất 5 ký tự!',
+                content: t('feedback.bug_title_too_short', locale),
                 ephemeral: true
             });
         }
 
         if (!steps || steps.length < 10) {
             return interaction.reply({
-                content: '❌ Các bước tái hiện phải có ít nhất 10 ký tự!',
+                content: t('feedback.bug_steps_too_short', locale),
                 ephemeral: true
             });
         }
 
         if (!expected || expected.length < 5) {
             return interaction.reply({
-                content: '❌ Kết quả mong đợi phải có ít nhất 5 ký tự!',
+                content: t('feedback.bug_expected_too_short', locale),
                 ephemeral: true
             });
         }
 
         if (!actual || actual.length < 5) {
             return interaction.reply({
-                content: '❌ Kết quả thực tế phải có ít nhất 5 ký tự!',
+                content: t('feedback.bug_actual_too_short', locale),
                 ephemeral: true
             });
         }
@@ -578,7 +589,7 @@ export async function handleBugReportSubmit(interaction, client) {
 
         if (isDuplicate) {
             return interaction.reply({
-                content: '⚠️ Bạn đã báo cáo lỗi tương tự gần đây! Vui lòng đợi trước khi gửi lại.',
+                content: t('feedback.bug_duplicate', locale),
                 ephemeral: true
             });
         }
@@ -591,7 +602,7 @@ export async function handleBugReportSubmit(interaction, client) {
             if (timeSinceLastBug < 60000) {
                 const remainingTime = Math.ceil((60000 - timeSinceLastBug) / 1000);
                 return interaction.reply({
-                    content: `⏳ Vui lòng đợi ${remainingTime}s trước khi gửi bug report tiếp theo!`,
+                    content: t('feedback.bug_cooldown', locale, { seconds: remainingTime }),
                     ephemeral: true
                 });
             }
@@ -615,7 +626,7 @@ export async function handleBugReportSubmit(interaction, client) {
 
         if (!bugReportId) {
             return interaction.reply({
-                content: '❌ Không thể lưu bug report! Vui lòng thử lại sau.',
+                content: t('feedback.bug_save_failed', locale),
                 ephemeral: true
             });
         }
@@ -623,19 +634,18 @@ export async function handleBugReportSubmit(interaction, client) {
         // Send confirmation
         const embed = new EmbedBuilder()
             .setColor(COLORS.SUCCESS)
-            .setTitle('🐛 Báo cáo lỗi đã được gửi!')
-            .setDescription(
-                `Cảm ơn **${interaction.user.username}** đã báo cáo lỗi!\n\n` +
-                    `**Lỗi:** ${title}\n\n` +
-                    'Chúng mình sẽ kiểm tra và sửa lỗi này càng sớm càng tốt. ' +
-                    'Bạn có thể theo dõi tiến trình tại [GitHub Issues](https://github.com/khuongit24/Miyao-Bot/issues).'
-            )
+            .setTitle(t('feedback.bug_sent_title', locale))
+            .setDescription(t('feedback.bug_sent', locale, { user: interaction.user.username, title }))
             .addFields([
                 { name: '🐛 Bug ID', value: `#${bugReportId}`, inline: true },
-                { name: '📊 Trạng thái', value: '🔴 Đang mở', inline: true },
-                { name: '📅 Thời gian', value: new Date().toLocaleString('vi-VN'), inline: true }
+                { name: t('feedback.status_field', locale), value: t('feedback.status_open', locale), inline: true },
+                {
+                    name: t('feedback.time_field', locale),
+                    value: new Date().toLocaleString(intlLocale(locale)),
+                    inline: true
+                }
             ])
-            .setFooter({ text: `${client.config.bot.footer} • Cảm ơn bạn đã giúp cải thiện bot!` })
+            .setFooter({ text: `${client.config.bot.footer} • ${t('feedback.bug_sent_footer', locale)}` })
             .setTimestamp();
 
         await interaction.reply({
@@ -650,7 +660,7 @@ export async function handleBugReportSubmit(interaction, client) {
         logger.error('Bug report submit handler error', error);
 
         // Try to respond if not already replied
-        const errorMessage = '❌ Đã xảy ra lỗi không mong muốn! Vui lòng báo cáo trực tiếp cho admin.';
+        const errorMessage = t('feedback.bug_unexpected_error', locale);
         if (!interaction.replied && !interaction.deferred) {
             await interaction
                 .reply({
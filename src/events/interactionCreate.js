@@ -10,6 +10,7 @@ import {
     handleQueueRemoveTrackModalSubmit
 } from './buttons/index.js';
 import { handleFilterSelect, handleVolumeSelect } from './menus/MenuHandlers.js';
+import { handleEqualizerBandSelect } from './buttons/EqualizerHandlers.js';
 import {
     handleHelpCategory,
     handleFeedback,
@@ -26,8 +27,11 @@ import {
     handleDisableConfirm,
     handleDisableCancel
 } from './autoPlaySuggestionHandler.js';
+import { handleAutoResumeAccept, handleAutoResumeDismiss } from './autoResumeHandler.js';
+import { handleActionVoteButton } from './actionVoteHandler.js';
 import { handlePreferencesButton } from '../commands/settings/mypreferences.js';
 import { commandRateLimiter } from '../utils/rate-limiter.js';
+import { t, getLocale } from '../utils/i18n.js';
 import { getEventQueue, Priority } from '../utils/EventQueue.js';
 import * as contextMenusModule from '../commands/social/context-menus.js';
 
@@ -83,7 +87,7 @@ setInterval(() => {
  * BUG-MW01: Check if user exceeded heavy command rate limit
  * @param {string} userId
  * @param {string} commandName
- * @returns {{ allowed: boolean, remaining?: number, resetIn?: number, reason?: string }}
+ * @returns {{ allowed: boolean, remaining?: number, resetIn?: number }}
  */
 function checkHeavyCommandRateLimit(userId, commandName) {
     if (!HEAVY_COMMANDS.has(commandName)) return { allowed: true };
@@ -105,8 +109,7 @@ function checkHeavyCommandRateLimit(userId, commandName) {
     return {
         allowed: false,
         remaining: 0,
-        resetIn: usage.resetAt - now,
-        reason: 'Bạn đang sử dụng quá nhiều lệnh nặng (play, search, lyrics...)! Vui lòng đợi.'
+        resetIn: usage.resetAt - now
     };
 }
 
@@ -179,7 +182,7 @@ export default {
             // Security H4: Button Interaction Rate Limit
             if (checkButtonRateLimit(interaction.user.id)) {
                 await interaction.reply({
-                    content: '⚠️ Bạn đang thao tác quá nhanh! Vui lòng đợi một chút.',
+                    content: t('interaction.button_rate_limited', getLocale(interaction)),
                     ephemeral: true
                 });
                 logger.warn(`Button rate limit hit for user ${interaction.user.id}`);
@@ -273,7 +276,7 @@ async function handleModalSubmit(interaction, client) {
         if (!interaction.replied && !interaction.deferred) {
             await interaction
                 .reply({
-                    content: '❌ Đã xảy ra lỗi khi xử lý form!',
+                    content: t('interaction.modal_error', getLocale(interaction)),
                     ephemeral: true
                 })
                 .catch(() => {});
@@ -315,6 +318,8 @@ async function handleSelectMenu(interaction, client) {
             await handleFilterSelect(interaction, client);
         } else if (interaction.customId === 'music_volume_select') {
             await handleVolumeSelect(interaction, client);
+        } else if (interaction.customId === 'eq_band_select') {
+            await handleEqualizerBandSelect(interaction, client);
         }
 
         logger.info(`Select menu handled successfully: ${interaction.customId}`);
@@ -328,7 +333,7 @@ async function handleSelectMenu(interaction, client) {
         if (!interaction.replied && !interaction.deferred) {
             await interaction
                 .reply({
-                    content: '❌ Đã xảy ra lỗi khi xử lý menu!',
+                    content: t('interaction.menu_error', getLocale(interaction)),
                     ephemeral: true
                 })
                 .catch(() => {});
@@ -385,11 +390,14 @@ async function handleButton(interaction, client) {
         ) {
             await handleDiscoveryButton(interaction, client);
         }
-        // Music control buttons, search selection, or history replay
+        // Music control buttons, search selection, history replay, song request approval, queue undo, or EQ editor
         else if (
             interaction.customId.startsWith('music_') ||
             interaction.customId.startsWith('search_') ||
-            interaction.customId.startsWith('history_replay_')
+            interaction.customId.startsWith('history_replay_') ||
+            interaction.customId.startsWith('songreq_') ||
+            interaction.customId.startsWith('queue_undo_') ||
+            interaction.customId.startsWith('eq_')
         ) {
             await handleMusicButton(interaction, client);
         }
@@ -407,6 +415,16 @@ async function handleButton(interaction, client) {
             } else if (id.startsWith('ap_pref_')) {
                 await handlePreferencesButton(interaction, client);
             }
+        }
+        // Auto-resume prompt buttons
+        else if (interaction.customId.startsWith('autoresume_accept_')) {
+            await handleAutoResumeAccept(interaction, client);
+        } else if (interaction.customId.startsWith('autoresume_dismiss_')) {
+            await handleAutoResumeDismiss(interaction);
+        }
+        // Democratic mode vote buttons
+        else if (interaction.customId.startsWith('action_vote_')) {
+            await handleActionVoteButton(interaction, client);
         } else {
             // BUG-E03: Unrecognized button - log and skip
             logger.debug(`Unhandled button customId: ${interaction.customId}`);
@@ -424,7 +442,7 @@ async function handleButton(interaction, client) {
         if (!interaction.replied && !interaction.deferred) {
             await interaction
                 .reply({
-                    content: '❌ Đã xảy ra lỗi khi xử lý nút này!',
+                    content: t('interaction.button_error', getLocale(interaction)),
                     ephemeral: true
                 })
                 .catch(() => {});
@@ -456,7 +474,7 @@ async function handleContextMenu(interaction, client) {
         if (!interaction.replied && !interaction.deferred) {
             await interaction
                 .reply({
-                    content: '❌ Đã xảy ra lỗi khi thực thi context menu!',
+                    content: t('interaction.context_menu_error', getLocale(interaction)),
                     ephemeral: true
                 })
                 .catch(() => {});
@@ -490,7 +508,10 @@ async function processSlashCommand(interaction, client) {
         });
 
         await interaction.reply({
-            content: `⏱️ ${rateLimitCheck.reason}\n\n**Thông tin:**\n• Còn lại: ${rateLimitCheck.remaining} lệnh\n• Reset sau: ${Math.ceil(rateLimitCheck.resetIn / 1000)} giây`,
+            content: t('interaction.rate_limited', getLocale(interaction), {
+                remaining: rateLimitCheck.remaining,
+                seconds: Math.ceil(rateLimitCheck.resetIn / 1000)
+            }),
             ephemeral: true
         });
 
@@ -508,7 +529,9 @@ async function processSlashCommand(interaction, client) {
             });
 
             await interaction.reply({
-                content: `⏱️ ${heavyCheck.reason}\n\n• Reset sau: ${Math.ceil(heavyCheck.resetIn / 1000)} giây`,
+                content: t('interaction.heavy_rate_limited', getLocale(interaction), {
+                    seconds: Math.ceil(heavyCheck.resetIn / 1000)
+                }),
                 ephemeral: true
             });
 
@@ -531,7 +554,7 @@ async function processSlashCommand(interaction, client) {
         await interaction.deferReply({ ephemeral: true });
         try {
             await interaction.editReply({
-                content: '⏳ Server đang xử lý nhiều request. Lệnh của bạn đang được xếp hàng, vui lòng đợi...'
+                content: t('interaction.queued', getLocale(interaction))
             });
         } catch {
             // Ignore message update failures (interaction may expire)
@@ -556,7 +579,7 @@ async function processSlashCommand(interaction, client) {
                     if (!ctx.interaction.replied && ctx.interaction.deferred) {
                         await ctx.interaction
                             .editReply({
-                                content: '✅ Đã xử lý xong!'
+                                content: t('interaction.queued_done', getLocale(interaction))
                             })
                             .catch(() => {});
                     }
@@ -575,7 +598,7 @@ async function processSlashCommand(interaction, client) {
         if (!enqueued) {
             await interaction
                 .editReply({
-                    content: '❌ Server quá tải! Vui lòng thử lại sau vài giây.'
+                    content: t('interaction.overloaded', getLocale(interaction))
                 })
                 .catch(() => {});
         }
@@ -628,7 +651,7 @@ async function executeCommand(interaction, client, command) {
         }
 
         const errorMessage = {
-            content: '❌ Đã xảy ra lỗi khi thực thi lệnh này!',
+            content: t('interaction.command_error', getLocale(interaction)),
             ephemeral: true
         };
 
@@ -13,6 +13,12 @@ import {
 } from '../../UI/components/MusicControls.js';
 import { EmbedBuilder } from 'discord.js';
 import { COLORS } from '../../config/design-system.js';
+import AuditLog, { AUDIT_ACTIONS } from '../../database/models/AuditLog.js';
+import { MiyaoError } from '../../utils/errors.js';
+import { VOTE_ACTIONS } from '../../utils/constants.js';
+import { requestActionVote } from '../actionVoteHandler.js';
+import { changeVolume } from '../../commands/music/volume.js';
+import { t, getLocale } from '../../utils/i18n.js';
 import logger from '../../utils/logger.js';
 
 /**
@@ -24,10 +30,11 @@ import logger from '../../utils/logger.js';
 export async function handleSettingsButton(interaction, client) {
     const guildId = interaction.guildId;
     const queue = client.musicManager.getQueue(guildId);
+    const locale = getLocale(interaction);
 
     if (!queue || !queue.current) {
         return interaction.reply({
-            embeds: [createErrorEmbed('Không có nhạc đang phát để chỉnh cài đặt!', client.config)],
+            embeds: [createErrorEmbed(t('controls.settings_nothing_playing', locale), client.config, locale)],
             ephemeral: true
         });
     }
@@ -36,16 +43,18 @@ export async function handleSettingsButton(interaction, client) {
         const activeFilters = queue.getActiveFilters?.() || [];
         const currentVolume = queue.volume ?? 50;
 
-        const filterRows = createFilterSelectMenu(activeFilters);
-        const volumeRows = createVolumeSelectMenu(currentVolume);
+        const filterRows = createFilterSelectMenu(activeFilters, locale);
+        const volumeRows = createVolumeSelectMenu(currentVolume, locale);
 
         const settingsEmbed = new EmbedBuilder()
-            .setTitle('⚙️ Cài đặt phát nhạc')
+            .setTitle(t('controls.settings_title', locale))
             .setDescription(
-                `**Bài đang phát:** ${queue.current.info?.title || 'Không rõ'}\n\n` +
-                    `🔊 **Âm lượng:** ${currentVolume}%\n` +
-                    `🎚️ **Filter:** ${activeFilters.length > 0 ? activeFilters.join(', ') : 'Không có'}\n` +
-                    `🔁 **Lặp lại:** ${queue.loop || 'Tắt'}`
+                t('controls.settings_desc', locale, {
+                    title: queue.current.info?.title || t('controls.unknown_title', locale),
+                    volume: currentVolume,
+                    filters: activeFilters.length > 0 ? activeFilters.join(', ') : t('controls.none', locale),
+                    loop: t(`loop.${queue.loop || 'off'}`, locale)
+                })
             )
             .setColor(COLORS.INFO)
             .setFooter({ text: client.config.bot.footer })
@@ -63,7 +72,7 @@ export async function handleSettingsButton(interaction, client) {
         if (!interaction.replied && !interaction.deferred) {
             await interaction
                 .reply({
-                    embeds: [createErrorEmbed('Có lỗi khi mở cài đặt.', client.config)],
+                    embeds: [createErrorEmbed(t('controls.settings_open_failed', locale), client.config, locale)],
                     ephemeral: true
                 })
                 .catch(() => {});
@@ -81,10 +90,11 @@ export async function handleFilterSelect(interaction, client) {
 
     const guildId = interaction.guildId;
     const queue = client.musicManager.getQueue(guildId);
+    const locale = getLocale(interaction);
 
     if (!queue || !queue.current) {
         return interaction.followUp({
-            content: '❌ Không có nhạc đang phát!',
+            content: t('controls.nothing_playing', locale),
             ephemeral: true
         });
     }
@@ -99,10 +109,10 @@ export async function handleFilterSelect(interaction, client) {
             case 'clear':
                 if (typeof queue.clearFilters === 'function') {
                     success = await queue.clearFilters();
-                    message = 'Đã tắt tất cả hiệu ứng.';
+                    message = t('controls.filters_cleared', locale);
                 } else {
                     logger.warn('Filter method clearFilters not available on player');
-                    message = 'Tính năng xóa filter chưa khả dụng.';
+                    message = t('controls.filter_clear_unavailable', locale);
                 }
                 break;
             case 'bass':
@@ -112,46 +122,46 @@ export async function handleFilterSelect(interaction, client) {
                 if (typeof queue.setEqualizer === 'function') {
                     success = await queue.setEqualizer(value);
                     const eqNames = { bass: 'Bass Boost', pop: 'Pop', rock: 'Rock', jazz: 'Jazz' };
-                    message = `Đã bật chế độ ${eqNames[value]}.`;
+                    message = t('controls.eq_enabled', locale, { name: eqNames[value] });
                 } else {
                     logger.warn('Filter method setEqualizer not available on player');
-                    message = 'Tính năng Equalizer chưa khả dụng.';
+                    message = t('controls.filter_unavailable', locale, { name: 'Equalizer' });
                 }
                 break;
             case 'nightcore':
                 if (typeof queue.setNightcore === 'function') {
                     success = await queue.setNightcore(true);
-                    message = 'Đã bật Nightcore.';
+                    message = t('controls.filter_enabled', locale, { name: 'Nightcore' });
                 } else {
                     logger.warn('Filter method setNightcore not available on player');
-                    message = 'Tính năng Nightcore chưa khả dụng.';
+                    message = t('controls.filter_unavailable', locale, { name: 'Nightcore' });
                 }
                 break;
             case 'vaporwave':
                 if (typeof queue.setVaporwave === 'function') {
                     success = await queue.setVaporwave(true);
-                    message = 'Đã bật Vaporwave.';
+                    message = t('controls.filter_enabled', locale, { name: 'Vaporwave' });
                 } else {
                     logger.warn('Filter method setVaporwave not available on player');
-                    message = 'Tính năng Vaporwave chưa khả dụng.';
+                    message = t('controls.filter_unavailable', locale, { name: 'Vaporwave' });
                 }
                 break;
             case 'karaoke':
                 if (typeof queue.setKaraoke === 'function') {
                     success = await queue.setKaraoke(true);
-                    message = 'Đã bật Karaoke.';
+                    message = t('controls.filter_enabled', locale, { name: 'Karaoke' });
                 } else {
                     logger.warn('Filter method setKaraoke not available on player');
-                    message = 'Tính năng Karaoke chưa khả dụng.';
+                    message = t('controls.filter_unavailable', locale, { name: 'Karaoke' });
                 }
                 break;
             case '8d':
                 if (typeof queue.set8D === 'function') {
                     success = await queue.set8D(true);
-                    message = 'Đã bật 8D Audio.';
+                    message = t('controls.filter_enabled', locale, { name: '8D Audio' });
                 } else {
                     logger.warn('Filter method set8D not available on player');
-                    message = 'Tính năng 8D Audio chưa khả dụng.';
+                    message = t('controls.filter_unavailable', locale, { name: '8D Audio' });
                 }
                 break;
             default:
@@ -159,6 +169,11 @@ export async function handleFilterSelect(interaction, client) {
         }
 
         if (success) {
+            AuditLog.logTrackAction(AUDIT_ACTIONS.FILTER, interaction.user.id, guildId, queue.current, {
+                filter: value,
+                source: 'menu'
+            });
+
             // Update the Now Playing message to show new filters
             const embed = createNowPlayingEmbed(queue.current, queue, client.config);
             const buttons = createNowPlayingButtons(queue);
@@ -183,7 +198,7 @@ export async function handleFilterSelect(interaction, client) {
             }
         } else {
             await interaction.followUp({
-                content: `❌ Không thể áp dụng filter: ${value}`,
+                content: t('controls.filter_failed', locale, { filter: value }),
                 ephemeral: true
             });
         }
@@ -192,7 +207,7 @@ export async function handleFilterSelect(interaction, client) {
         logger.error('Filter select error', error);
         await interaction
             .followUp({
-                content: '❌ Có lỗi khi áp dụng filter.',
+                content: t('controls.filter_error', locale),
                 ephemeral: true
             })
             .catch(() => {});
@@ -205,27 +220,44 @@ export async function handleFilterSelect(interaction, client) {
  * @param {Client} client
  */
 export async function handleVolumeSelect(interaction, client) {
-    await interaction.deferUpdate();
-
     const guildId = interaction.guildId;
     const queue = client.musicManager.getQueue(guildId);
-
-    if (!queue) return;
-
+    const locale = getLocale(interaction);
     const volume = parseInt(interaction.values[0]);
-    if (isNaN(volume)) return;
+
+    if (!queue || isNaN(volume)) {
+        await interaction.deferUpdate();
+        return;
+    }
 
     // Clamp volume to 0-100 range
     const clampedVolume = Math.max(0, Math.min(100, volume));
 
     try {
+        const previousVolume = queue.volume;
+
+        // Democratic mode: non-DJs put the volume change to a vote (asked before deferring,
+        // so the vote is posted as its own message instead of editing the player)
+        const voted = await requestActionVote(interaction, client, queue, VOTE_ACTIONS.VOLUME, {
+            key: String(clampedVolume),
+            summary: t('vote.summary.volume', queue.locale, { from: previousVolume, to: clampedVolume }),
+            perform: (target, context) => changeVolume(target, clampedVolume, context)
+        });
+        if (voted) return;
+
+        await interaction.deferUpdate();
         await queue.setVolume(clampedVolume);
+        AuditLog.logTrackAction(AUDIT_ACTIONS.VOLUME, interaction.user.id, guildId, queue.current, {
+            from: previousVolume,
+            to: clampedVolume,
+            source: 'menu'
+        });
 
         const embed = createNowPlayingEmbed(queue.current, queue, client.config);
         const buttons = createNowPlayingButtons(queue);
 
         await interaction.followUp({
-            content: `🔊 Đã chỉnh âm lượng: **${clampedVolume}%**`,
+            content: t('controls.volume_set', locale, { volume: clampedVolume }),
             ephemeral: true
         });
 
@@ -242,11 +274,13 @@ export async function handleVolumeSelect(interaction, client) {
     } catch (error) {
         if (error.code === 10062) return;
         logger.error('Volume select error', error);
-        await interaction
-            .followUp({
-                content: '❌ Có lỗi khi chỉnh âm lượng.',
-                ephemeral: true
-            })
-            .catch(() => {});
+        // Vote refusals (another vote running, already voted) arrive before the menu is deferred
+        const payload = {
+            content: error instanceof MiyaoError ? error.message : t('controls.volume_error', locale),
+            ephemeral: true
+        };
+        await (
+            interaction.deferred || interaction.replied ? interaction.followUp(payload) : interaction.reply(payload)
+        ).catch(() => {});
     }
 }
@@ -1,6 +1,9 @@
 import logger from '../utils/logger.js';
+import GuildSettings from '../database/models/GuildSettings.js';
+import { handleRequestChannelMessage } from './requestChannelHandler.js';
 import { createErrorEmbed } from '../UI/embeds/MusicEmbeds.js';
 import { COLORS } from '../config/design-system.js';
+import { t, resolveLocale } from '../utils/i18n.js';
 
 // P2-12: Rate limiting for prefix commands
 const prefixCooldowns = new Map();
@@ -10,9 +13,10 @@ const MAX_ERROR_LENGTH = 128;
 /**
  * Sanitize error messages to avoid leaking stack traces or internals to users.
  * @param {Error} error
+ * @param {string} locale - Locale code
  * @returns {string}
  */
-function sanitizeErrorMessage(error) {
+function sanitizeErrorMessage(error, locale) {
     const safeMessages = [
         'TIMEOUT',
         'NOT_FOUND',
@@ -29,12 +33,17 @@ function sanitizeErrorMessage(error) {
     if (safeMessages.some(keyword => msg.toUpperCase().includes(keyword))) {
         return msg.slice(0, MAX_ERROR_LENGTH);
     }
-    return 'Đã xảy ra lỗi nội bộ. Vui lòng thử lại sau.';
+    return t('prefix.internal_error', locale);
 }
 
 export default {
     name: 'messageCreate',
     async execute(message, client) {
+        // Song request channel: every message there is a /play query (ours are only cleaned up)
+        if (message.guildId && GuildSettings.get(message.guildId).requestChannelId === message.channelId) {
+            return handleRequestChannelMessage(message, client);
+        }
+
         // Ignore bot messages
         if (message.author.bot) return;
 
@@ -53,15 +62,19 @@ export default {
 
         logger.debug(`Prefix command received: ${prefix}${commandName} from ${message.author.tag}`);
 
+        const locale = resolveLocale({
+            userId: message.author.id,
+            guildId: message.guildId,
+            discordLocale: message.guild?.preferredLocale
+        });
+
         // P2-12: Rate limiting check
         const now = Date.now();
         const userCooldownKey = `${message.author.id}:${commandName}`;
         const lastUsed = prefixCooldowns.get(userCooldownKey);
         if (lastUsed && now - lastUsed < COOLDOWN_MS) {
             const remaining = ((COOLDOWN_MS - (now - lastUsed)) / 1000).toFixed(1);
-            return message
-                .reply({ content: `⏳ Vui lòng đợi ${remaining}s trước khi dùng lại lệnh này.` })
-                .catch(() => {});
+            return message.reply({ content: t('prefix.cooldown', locale, { seconds: remaining }) }).catch(() => {});
         }
         prefixCooldowns.set(userCooldownKey, now);
 
@@ -71,7 +84,7 @@ export default {
             if (!message.member?.permissions?.has(requiredPerms)) {
                 return message
                     .reply({
-                        embeds: [createErrorEmbed('❌ Bạn không có quyền sử dụng lệnh này.', client.config)]
+                        embeds: [createErrorEmbed(t('prefix.no_permission', locale), client.config, locale)]
                     })
                     .catch(() => {});
             }
@@ -88,6 +101,7 @@ export default {
                 member: message.member,
                 guild: message.guild,
                 guildId: message.guildId,
+                locale: message.guild?.preferredLocale,
                 channel: message.channel,
                 channelId: message.channelId,
                 client: client,
@@ -247,7 +261,7 @@ export default {
                     botReplyMessage = await message.reply({
                         embeds: [
                             {
-                                description: '⏳ Đang xử lý...',
+                                description: t('prefix.processing', locale),
                                 color: parseInt((client.config?.bot?.color || COLORS.PRIMARY).replace('#', ''), 16)
                             }
                         ]
@@ -297,14 +311,17 @@ export default {
             logger.error(`Prefix command error: ${commandName}`, error);
 
             // P2-12: Sanitize error messages - don't expose stack traces to users
-            const safeMessage = sanitizeErrorMessage(error);
+            const safeMessage = sanitizeErrorMessage(error, locale);
             const errorMessage = {
                 embeds: [
                     createErrorEmbed(
-                        `❌ Đã xảy ra lỗi khi thực thi lệnh \`${prefix}${commandName}\`!\n\n` +
-                            `**Lỗi:** ${safeMessage}\n\n` +
-                            `*Thử sử dụng slash command \`/${commandName}\` để có trải nghiệm tốt hơn.*`,
-                        client.config
+                        t('prefix.command_failed', locale, {
+                            command: `${prefix}${commandName}`,
+                            error: safeMessage,
+                            name: commandName
+                        }),
+                        client.config,
+                        locale
                     )
                 ]
             };
@@ -4,23 +4,28 @@
  */
 
 import { EmbedBuilder, ActionRowBuilder, ModalBuilder, TextInputBuilder, TextInputStyle } from 'discord.js';
-import Playlist from '../../database/models/Playlist.js';
-import { createErrorEmbed, createNowPlayingEmbed } from '../../UI/embeds/MusicEmbeds.js';
-import { createNowPlayingButtons } from '../../UI/components/MusicControls.js';
+import Playlist, { PLAYLIST_KINDS } from '../../database/models/Playlist.js';
+import { createErrorEmbed } from '../../UI/embeds/MusicEmbeds.js';
+import { createRequestLimitEmbed } from '../../UI/embeds/ErrorEmbeds.js';
 import { getDatabaseManager } from '../../database/DatabaseManager.js';
+import { getMemberRoleIds } from '../../utils/permissions.js';
+import { t, getLocale } from '../../utils/i18n.js';
 import logger from '../../utils/logger.js';
 import {
     PlaylistNotFoundError,
     ValidationError,
     UserNotInVoiceError,
     VoiceChannelPermissionError,
-    DifferentVoiceChannelError
+    DifferentVoiceChannelError,
+    SmartPlaylistError,
+    assertQueued
 } from '../../utils/errors.js';
 
 export async function handlePlayPlaylistButton(interaction, client) {
+    const locale = getLocale(interaction);
     const playlistId = parseInt(interaction.customId.replace('playlist_play_', ''));
     if (isNaN(playlistId)) {
-        throw new ValidationError('Playlist ID không hợp lệ!', 'playlist_id');
+        throw new ValidationError(t('command.playlist.invalid_id', locale), 'playlist_id');
     }
 
     await interaction.deferReply();
@@ -46,15 +51,15 @@ export async function handlePlayPlaylistButton(interaction, client) {
         throw new PlaylistNotFoundError(`Playlist ID ${playlistId}`);
     }
 
-    // Verify ownership or public status
-    if (playlist.owner_id !== interaction.user.id && !playlist.is_public) {
-        throw new ValidationError('Bạn không có quyền phát playlist này!', 'permission');
+    // Owner, collaborators, or anyone for public playlists
+    if (!Playlist.getAccess(playlist, interaction.user.id, getMemberRoleIds(interaction.member))) {
+        throw new ValidationError(t('command.playlist.no_play_permission', locale), 'permission');
     }
 
     const playlistTracks = Playlist.getTracks(playlist.id);
 
     if (playlistTracks.length === 0) {
-        throw new ValidationError('Playlist đang trống!', 'tracks');
+        throw new ValidationError(t('command.playlist.play_empty', locale), 'tracks');
     }
 
     // Get or create queue
@@ -84,7 +89,7 @@ export async function handlePlayPlaylistButton(interaction, client) {
         const results = await Promise.allSettled(
             batch.map(simpleTrack =>
                 client.musicManager
-                    .search(simpleTrack.track_url, interaction.user)
+                    .search(simpleTrack.track_url, interaction.user, { guildId: interaction.guildId })
                     .then(result => ({ success: true, result, track: simpleTrack }))
                     .catch(error => ({ success: false, error, track: simpleTrack }))
             )
@@ -118,7 +123,7 @@ export async function handlePlayPlaylistButton(interaction, client) {
     }
 
     if (resolvedTracks.length === 0) {
-        throw new ValidationError('Không thể tải bất kỳ bài hát nào từ playlist!', 'tracks');
+        throw new ValidationError(t('command.playlist.play_none_loaded', locale), 'tracks');
     }
 
     // Add requester to all resolved tracks
@@ -127,38 +132,29 @@ export async function handlePlayPlaylistButton(interaction, client) {
     });
 
     // Add all resolved tracks to queue
-    queue.add(resolvedTracks);
+    const addResult = queue.add(resolvedTracks);
+    assertQueued(addResult);
 
     const embed = new EmbedBuilder()
         .setColor(client.config.bot.color)
-        .setTitle('📋 Đang Phát Playlist')
+        .setTitle(t('command.playlist.now_playing_title', locale))
         .setDescription(
-            `**${playlist.name}**\n` +
-                `└ Đã thêm ${resolvedTracks.length}/${playlistTracks.length} bài hát vào hàng đợi` +
-                (failedCount > 0 ? `\n⚠️ ${failedCount} bài không tải được` : '')
+            t('command.playlist.queued', locale, {
+                name: playlist.name,
+                added: addResult.added,
+                total: playlistTracks.length
+            }) + (failedCount > 0 ? `\n${t('command.playlist.queued_failed', locale, { count: failedCount })}` : '')
         )
         .setFooter({ text: client.config.bot.footer })
         .setTimestamp();
 
-    await interaction.editReply({ embeds: [embed] });
+    await interaction.editReply({
+        embeds: addResult.limited ? [embed, createRequestLimitEmbed(addResult, client.config)] : [embed]
+    });
 
     // Start playing if not already
     if (!queue.current) {
         await queue.play();
-
-        // Send now playing with buttons after a short delay
-        setTimeout(async () => {
-            try {
-                const nowPlayingMessage = await interaction.channel.send({
-                    embeds: [createNowPlayingEmbed(queue.current, queue, client.config)],
-                    components: createNowPlayingButtons(queue, false)
-                });
-
-                queue.setNowPlayingMessage(nowPlayingMessage);
-            } catch (error) {
-                logger.error('Failed to send now playing message from playlist button', error);
-            }
-        }, 1000);
     }
 
     logger.command('playlist-play-button', interaction.user.id, interaction.guildId);
@@ -167,9 +163,10 @@ export async function handlePlayPlaylistButton(interaction, client) {
 export async function handleShufflePlaylist(interaction, client) {
     await interaction.deferReply({ ephemeral: true });
 
+    const locale = getLocale(interaction);
     const playlistId = parseInt(interaction.customId.replace('playlist_shuffle_', ''));
     if (isNaN(playlistId)) {
-        throw new ValidationError('Playlist ID không hợp lệ!', 'playlist_id');
+        throw new ValidationError(t('command.playlist.invalid_id', locale), 'playlist_id');
     }
 
     // Get playlist
@@ -179,15 +176,19 @@ export async function handleShufflePlaylist(interaction, client) {
         throw new PlaylistNotFoundError(`Playlist ID ${playlistId}`);
     }
 
-    // Verify ownership
-    if (playlist.owner_id !== interaction.user.id) {
-        throw new ValidationError('Bạn không có quyền chỉnh sửa playlist này!', 'permission');
+    // Owner or editor collaborators may change tracks
+    if (!Playlist.canEdit(playlist, interaction.user.id, getMemberRoleIds(interaction.member))) {
+        throw new ValidationError(t('command.playlist.no_edit_permission', locale), 'permission');
+    }
+
+    if (playlist.kind === PLAYLIST_KINDS.SMART) {
+        throw new SmartPlaylistError('read_only', 'playlist_id', { name: playlist.name });
     }
 
     const tracks = Playlist.getTracks(playlist.id);
 
     if (tracks.length < 2) {
-        throw new ValidationError('Playlist cần ít nhất 2 bài hát để xáo trộn!', 'tracks');
+        throw new ValidationError(t('command.playlist.shuffle_too_few', locale), 'tracks');
     }
 
     // Shuffle the tracks using Fisher-Yates algorithm
@@ -215,15 +216,13 @@ export async function handleShufflePlaylist(interaction, client) {
             }
         });
     } catch (error) {
-        throw new ValidationError(`Không thể xáo trộn playlist: ${error.message}`, 'shuffle');
+        throw new ValidationError(t('command.playlist.shuffle_error', locale, { error: error.message }), 'shuffle');
     }
 
     const embed = new EmbedBuilder()
         .setColor(client.config.bot.color)
-        .setTitle('🔀 Đã Xáo Trộn Playlist')
-        .setDescription(
-            `Playlist **${playlist.name}** đã được xáo trộn thành công!\n\n🎵 **${tracks.length}** bài hát đã được sắp xếp lại ngẫu nhiên.`
-        )
+        .setTitle(t('command.playlist.shuffled_title', locale))
+        .setDescription(t('command.playlist.shuffled', locale, { name: playlist.name, count: tracks.length }))
         .setFooter({ text: client.config.bot.footer })
         .setTimestamp();
 
@@ -232,9 +231,10 @@ export async function handleShufflePlaylist(interaction, client) {
 }
 
 export async function showClonePlaylistModal(interaction) {
+    const locale = getLocale(interaction);
     const playlistId = parseInt(interaction.customId.replace('playlist_clone_', ''));
     if (isNaN(playlistId)) {
-        throw new ValidationError('Playlist ID không hợp lệ!', 'playlist_id');
+        throw new ValidationError(t('command.playlist.invalid_id', locale), 'playlist_id');
     }
 
     // Get source playlist
@@ -244,12 +244,14 @@ export async function showClonePlaylistModal(interaction) {
         throw new PlaylistNotFoundError(`Playlist ID ${playlistId}`);
     }
 
-    const modal = new ModalBuilder().setCustomId(`playlist_clone_submit_${playlistId}`).setTitle('Nhân Bản Playlist');
+    const modal = new ModalBuilder()
+        .setCustomId(`playlist_clone_submit_${playlistId}`)
+        .setTitle(t('command.playlist.modal_clone_title', locale));
 
     const nameInput = new TextInputBuilder()
         .setCustomId('playlist_name')
-        .setLabel('Tên Playlist Mới')
-        .setPlaceholder('Nhập tên cho playlist mới')
+        .setLabel(t('command.playlist.modal_new_name_label', locale))
+        .setPlaceholder(t('command.playlist.modal_clone_placeholder', locale))
         .setStyle(TextInputStyle.Short)
         .setRequired(true)
         .setMaxLength(50)
@@ -264,15 +266,16 @@ export async function showClonePlaylistModal(interaction) {
 export async function handleClonePlaylistSubmit(interaction, client) {
     await interaction.deferReply({ ephemeral: true });
 
+    const locale = getLocale(interaction);
     const sourcePlaylistId = parseInt(interaction.customId.replace('playlist_clone_submit_', ''));
     if (isNaN(sourcePlaylistId)) {
-        throw new ValidationError('Playlist ID không hợp lệ!', 'playlist_id');
+        throw new ValidationError(t('command.playlist.invalid_id', locale), 'playlist_id');
     }
     const newName = interaction.fields.getTextInputValue('playlist_name').trim();
 
     // Validate name
     if (newName.length === 0) {
-        throw new ValidationError('Tên playlist không được để trống', 'name');
+        throw new ValidationError(t('command.playlist.name_empty', locale), 'name');
     }
 
     // Get source playlist
@@ -282,15 +285,15 @@ export async function handleClonePlaylistSubmit(interaction, client) {
         throw new PlaylistNotFoundError(`Source Playlist ID ${sourcePlaylistId}`);
     }
 
-    // Check if user can access source playlist (own or public)
-    if (sourcePlaylist.owner_id !== interaction.user.id && !sourcePlaylist.is_public) {
-        throw new ValidationError('Bạn không có quyền sao chép playlist này!', 'permission');
+    // Check if user can access source playlist (own, shared with them, or public)
+    if (!Playlist.getAccess(sourcePlaylist, interaction.user.id, getMemberRoleIds(interaction.member))) {
+        throw new ValidationError(t('command.playlist.clone_no_permission', locale), 'permission');
     }
 
     // Check if new name conflicts with existing playlist
     const existing = Playlist.getByName(newName, interaction.user.id, interaction.guildId);
     if (existing) {
-        throw new ValidationError(`Playlist "${newName}" đã tồn tại`, 'name');
+        throw new ValidationError(t('command.playlist.name_exists', locale, { name: newName }), 'name');
     }
 
     // Create new playlist
@@ -299,12 +302,12 @@ export async function handleClonePlaylistSubmit(interaction, client) {
         interaction.user.id,
         interaction.user.username,
         interaction.guildId,
-        `Bản sao từ: ${sourcePlaylist.name}`,
+        t('command.playlist.clone_copy_of', locale, { name: sourcePlaylist.name }),
         false // Clone is private by default
     );
 
     if (!newPlaylist) {
-        throw new ValidationError('Không thể tạo playlist mới!', 'create');
+        throw new ValidationError(t('command.playlist.create_failed', locale), 'create');
     }
 
     // Copy all tracks from source to new playlist
@@ -329,15 +332,19 @@ export async function handleClonePlaylistSubmit(interaction, client) {
 
     const embed = new EmbedBuilder()
         .setColor(client.config.bot.color)
-        .setTitle('📋 Đã Nhân Bản Playlist')
+        .setTitle(t('command.playlist.cloned_title', locale))
         .setDescription(
-            `Playlist **${newName}** đã được tạo từ **${sourcePlaylist.name}**!\n\n` +
-                `✅ Đã sao chép **${copiedCount}**/${sourceTracks.length} bài hát`
+            t('command.playlist.cloned', locale, {
+                name: newName,
+                source: sourcePlaylist.name,
+                copied: copiedCount,
+                total: sourceTracks.length
+            })
         )
         .addFields([
             {
-                name: '💡 Gợi ý',
-                value: 'Sử dụng `/playlist show` để xem playlist mới của bạn!',
+                name: t('command.playlist.tip_field', locale),
+                value: t('command.playlist.cloned_tip', locale),
                 inline: false
             }
         ])
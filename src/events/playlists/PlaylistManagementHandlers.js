@@ -1,36 +1,44 @@
 /**
  * Playlist Management Handlers
- * Handles: Create, Edit, Delete playlists
+ * Handles: Create, Edit, Delete, Reorder playlists
  */
 
 import { EmbedBuilder, ActionRowBuilder, ModalBuilder, TextInputBuilder, TextInputStyle } from 'discord.js';
 import Playlist from '../../database/models/Playlist.js';
 import { ValidationError, PlaylistNotFoundError } from '../../utils/errors.js';
+import { getMemberRoleIds } from '../../utils/permissions.js';
+import { t, getLocale } from '../../utils/i18n.js';
 import logger from '../../utils/logger.js';
 
+/** Maximum move lines accepted by the bulk reorder modal */
+const MAX_REORDER_MOVES = 50;
+
 export async function showCreatePlaylistModal(interaction) {
-    const modal = new ModalBuilder().setCustomId('playlist_create_submit').setTitle('Tạo Playlist Mới');
+    const locale = getLocale(interaction);
+    const modal = new ModalBuilder()
+        .setCustomId('playlist_create_submit')
+        .setTitle(t('command.playlist.modal_create_title', locale));
 
     const nameInput = new TextInputBuilder()
         .setCustomId('playlist_name')
-        .setLabel('Tên Playlist')
-        .setPlaceholder('Nhập tên playlist (tối đa 50 ký tự)')
+        .setLabel(t('command.playlist.modal_name_label', locale))
+        .setPlaceholder(t('command.playlist.modal_name_placeholder', locale))
         .setStyle(TextInputStyle.Short)
         .setRequired(true)
         .setMaxLength(50);
 
     const descriptionInput = new TextInputBuilder()
         .setCustomId('playlist_description')
-        .setLabel('Mô Tả (Không bắt buộc)')
-        .setPlaceholder('Nhập mô tả cho playlist')
+        .setLabel(t('command.playlist.modal_description_label', locale))
+        .setPlaceholder(t('command.playlist.modal_description_placeholder', locale))
         .setStyle(TextInputStyle.Paragraph)
         .setRequired(false)
         .setMaxLength(200);
 
     const publicInput = new TextInputBuilder()
         .setCustomId('playlist_public')
-        .setLabel('Công Khai? (yes/no)')
-        .setPlaceholder('Nhập "yes" để công khai, "no" để riêng tư')
+        .setLabel(t('command.playlist.modal_public_label', locale))
+        .setPlaceholder(t('command.playlist.modal_public_placeholder', locale))
         .setStyle(TextInputStyle.Short)
         .setRequired(false)
         .setMaxLength(3)
@@ -48,6 +56,7 @@ export async function showCreatePlaylistModal(interaction) {
 export async function handleCreatePlaylistSubmit(interaction, client) {
     await interaction.deferReply({ ephemeral: true });
 
+    const locale = getLocale(interaction);
     const name = interaction.fields.getTextInputValue('playlist_name').trim();
     const description = interaction.fields.getTextInputValue('playlist_description')?.trim() || null;
     const publicInput = interaction.fields.getTextInputValue('playlist_public')?.trim().toLowerCase() || 'no';
@@ -56,17 +65,17 @@ export async function handleCreatePlaylistSubmit(interaction, client) {
 
     // Validate name
     if (name.length === 0) {
-        throw new ValidationError('Tên playlist không được để trống', 'name');
+        throw new ValidationError(t('command.playlist.name_empty', locale), 'name');
     }
 
     if (name.length > 50) {
-        throw new ValidationError('Tên playlist không được dài quá 50 ký tự', 'name');
+        throw new ValidationError(t('command.playlist.name_too_long', locale, { max: 50 }), 'name');
     }
 
     // Check if playlist already exists
     const existing = Playlist.getByName(name, interaction.user.id, interaction.guildId);
     if (existing) {
-        throw new ValidationError(`Playlist "${name}" đã tồn tại`, 'name');
+        throw new ValidationError(t('command.playlist.name_exists', locale, { name }), 'name');
     }
 
     // Create playlist
@@ -80,22 +89,25 @@ export async function handleCreatePlaylistSubmit(interaction, client) {
     );
 
     if (!playlist) {
-        throw new Error('Không thể tạo playlist. Vui lòng thử lại sau.');
+        throw new Error(t('command.playlist.create_failed_retry', locale));
     }
 
     const embed = new EmbedBuilder()
         .setColor(client.config.bot.color)
-        .setTitle('✅ Playlist Đã Tạo')
-        .setDescription(`Playlist **${name}** đã được tạo thành công!`)
+        .setTitle(t('command.playlist.created_title', locale))
+        .setDescription(t('command.playlist.created', locale, { name }))
         .addFields([
             {
-                name: '📋 Thông tin',
-                value: `• **Mô tả:** ${description || 'Không có'}\n• **Công khai:** ${isPublic ? 'Có' : 'Không'}\n• **Số bài hát:** 0`,
+                name: t('command.playlist.info_field', locale),
+                value: t('command.playlist.created_info', locale, {
+                    description: description || t('command.playlist.none', locale),
+                    public: t(isPublic ? 'command.playlist.yes' : 'command.playlist.no', locale)
+                }),
                 inline: false
             },
             {
-                name: '💡 Tiếp theo',
-                value: 'Sử dụng `/playlist menu` để quản lý playlist của bạn!',
+                name: t('command.playlist.next_field', locale),
+                value: t('command.playlist.created_next_menu', locale),
                 inline: false
             }
         ])
@@ -107,20 +119,23 @@ export async function handleCreatePlaylistSubmit(interaction, client) {
 }
 
 export async function showDeletePlaylistModal(interaction) {
-    const modal = new ModalBuilder().setCustomId('playlist_delete_submit').setTitle('Xóa Playlist');
+    const locale = getLocale(interaction);
+    const modal = new ModalBuilder()
+        .setCustomId('playlist_delete_submit')
+        .setTitle(t('command.playlist.modal_delete_title', locale));
 
     const nameInput = new TextInputBuilder()
         .setCustomId('playlist_name')
-        .setLabel('Tên Playlist')
-        .setPlaceholder('Nhập tên playlist cần xóa')
+        .setLabel(t('command.playlist.modal_name_label', locale))
+        .setPlaceholder(t('command.playlist.modal_delete_placeholder', locale))
         .setStyle(TextInputStyle.Short)
         .setRequired(true)
         .setMaxLength(50);
 
     const confirmInput = new TextInputBuilder()
         .setCustomId('confirm_delete')
-        .setLabel('Xác Nhận (gõ "XAC NHAN" để xóa)')
-        .setPlaceholder('Gõ "XAC NHAN" để xác nhận xóa')
+        .setLabel(t('command.playlist.modal_confirm_label', locale))
+        .setPlaceholder(t('command.playlist.modal_confirm_placeholder', locale))
         .setStyle(TextInputStyle.Short)
         .setRequired(true)
         .setMaxLength(10);
@@ -136,15 +151,16 @@ export async function showDeletePlaylistModal(interaction) {
 export async function handleDeletePlaylistSubmit(interaction, client) {
     await interaction.deferReply({ ephemeral: true });
 
+    const locale = getLocale(interaction);
     const name = interaction.fields.getTextInputValue('playlist_name').trim();
     const confirm = interaction.fields.getTextInputValue('confirm_delete').trim().toUpperCase();
 
     if (name.length === 0) {
-        throw new ValidationError('Tên playlist không được để trống', 'name');
+        throw new ValidationError(t('command.playlist.name_empty', locale), 'name');
     }
 
     if (confirm !== 'XAC NHAN') {
-        throw new ValidationError('Xác nhận không đúng. Vui lòng gõ "XAC NHAN" để xóa', 'confirm');
+        throw new ValidationError(t('command.playlist.delete_confirm_mismatch', locale), 'confirm');
     }
 
     const playlist = Playlist.getByName(name, interaction.user.id, interaction.guildId);
@@ -156,13 +172,13 @@ export async function handleDeletePlaylistSubmit(interaction, client) {
     const success = Playlist.delete(playlist.id, interaction.user.id);
 
     if (!success) {
-        throw new Error('Không thể xóa playlist');
+        throw new Error(t('command.playlist.delete_failed', locale));
     }
 
     const embed = new EmbedBuilder()
         .setColor(client.config.bot.color)
-        .setTitle('✅ Đã Xóa Playlist')
-        .setDescription(`Playlist **${name}** đã được xóa thành công!`)
+        .setTitle(t('command.playlist.deleted_title', locale))
+        .setDescription(t('command.playlist.deleted', locale, { name }))
         .setFooter({ text: client.config.bot.footer })
         .setTimestamp();
 
@@ -171,6 +187,7 @@ export async function handleDeletePlaylistSubmit(interaction, client) {
 }
 
 export async function showEditPlaylistModal(interaction) {
+    const locale = getLocale(interaction);
     const playlistId = parseInt(interaction.customId.replace('playlist_edit_', ''));
 
     // Get current playlist info
@@ -182,15 +199,17 @@ export async function showEditPlaylistModal(interaction) {
 
     // Verify ownership
     if (playlist.owner_id !== interaction.user.id) {
-        throw new ValidationError('Bạn không có quyền chỉnh sửa playlist này!', 'permission');
+        throw new ValidationError(t('command.playlist.no_edit_permission', locale), 'permission');
     }
 
-    const modal = new ModalBuilder().setCustomId(`playlist_edit_submit_${playlistId}`).setTitle('Chỉnh Sửa Playlist');
+    const modal = new ModalBuilder()
+        .setCustomId(`playlist_edit_submit_${playlistId}`)
+        .setTitle(t('command.playlist.modal_edit_title', locale));
 
     const nameInput = new TextInputBuilder()
         .setCustomId('playlist_name')
-        .setLabel('Tên Playlist')
-        .setPlaceholder('Nhập tên playlist mới')
+        .setLabel(t('command.playlist.modal_name_label', locale))
+        .setPlaceholder(t('command.playlist.modal_new_name_placeholder', locale))
         .setStyle(TextInputStyle.Short)
         .setRequired(true)
         .setMaxLength(50)
@@ -198,8 +217,8 @@ export async function showEditPlaylistModal(interaction) {
 
     const descriptionInput = new TextInputBuilder()
         .setCustomId('playlist_description')
-        .setLabel('Mô Tả (Không bắt buộc)')
-        .setPlaceholder('Nhập mô tả cho playlist')
+        .setLabel(t('command.playlist.modal_description_label', locale))
+        .setPlaceholder(t('command.playlist.modal_description_placeholder', locale))
         .setStyle(TextInputStyle.Paragraph)
         .setRequired(false)
         .setMaxLength(200)
@@ -207,8 +226,8 @@ export async function showEditPlaylistModal(interaction) {
 
     const publicInput = new TextInputBuilder()
         .setCustomId('playlist_public')
-        .setLabel('Công Khai? (yes/no)')
-        .setPlaceholder('Nhập "yes" để công khai, "no" để riêng tư')
+        .setLabel(t('command.playlist.modal_public_label', locale))
+        .setPlaceholder(t('command.playlist.modal_public_placeholder', locale))
         .setStyle(TextInputStyle.Short)
         .setRequired(false)
         .setMaxLength(3)
@@ -226,6 +245,7 @@ export async function showEditPlaylistModal(interaction) {
 export async function handleEditPlaylistSubmit(interaction, client) {
     await interaction.deferReply({ ephemeral: true });
 
+    const locale = getLocale(interaction);
     const playlistId = parseInt(interaction.customId.replace('playlist_edit_submit_', ''));
     const name = interaction.fields.getTextInputValue('playlist_name').trim();
     const description = interaction.fields.getTextInputValue('playlist_description')?.trim() || null;
@@ -235,7 +255,7 @@ export async function handleEditPlaylistSubmit(interaction, client) {
 
     // Validate name
     if (name.length === 0) {
-        throw new ValidationError('Tên playlist không được để trống', 'name');
+        throw new ValidationError(t('command.playlist.name_empty', locale), 'name');
     }
 
     // Get playlist
@@ -247,14 +267,14 @@ export async function handleEditPlaylistSubmit(interaction, client) {
 
     // Verify ownership
     if (playlist.owner_id !== interaction.user.id) {
-        throw new ValidationError('Bạn không có quyền chỉnh sửa playlist này!', 'permission');
+        throw new ValidationError(t('command.playlist.no_edit_permission', locale), 'permission');
     }
 
     // Check if new name conflicts with existing playlist (if name changed)
     if (name !== playlist.name) {
         const existing = Playlist.getByName(name, interaction.user.id, interaction.guildId);
         if (existing) {
-            throw new ValidationError(`Playlist "${name}" đã tồn tại`, 'name');
+            throw new ValidationError(t('command.playlist.name_exists', locale, { name }), 'name');
         }
     }
 
@@ -266,17 +286,21 @@ export async function handleEditPlaylistSubmit(interaction, client) {
     });
 
     if (!updated) {
-        throw new Error('Không thể cập nhật playlist. Vui lòng thử lại sau.');
+        throw new Error(t('command.playlist.update_failed', locale));
     }
 
     const embed = new EmbedBuilder()
         .setColor(client.config.bot.color)
-        .setTitle('✅ Playlist Đã Cập Nhật')
-        .setDescription(`Playlist **${name}** đã được cập nhật thành công!`)
+        .setTitle(t('command.playlist.edit_title', locale))
+        .setDescription(t('command.playlist.edit_done', locale, { name }))
         .addFields([
             {
-                name: '📋 Thông tin mới',
-                value: `• **Tên:** ${name}\n• **Mô tả:** ${description || 'Không có'}\n• **Công khai:** ${isPublic ? 'Có' : 'Không'}`,
+                name: t('command.playlist.edit_new_info', locale),
+                value: t('command.playlist.edit_modal_info', locale, {
+                    name,
+                    description: description || t('command.playlist.none', locale),
+                    public: t(isPublic ? 'command.playlist.yes' : 'command.playlist.no', locale)
+                }),
                 inline: false
             }
         ])
@@ -286,3 +310,142 @@ export async function handleEditPlaylistSubmit(interaction, client) {
     await interaction.editReply({ embeds: [embed] });
     logger.command('playlist-edit-modal', interaction.user.id, interaction.guildId);
 }
+
+export async function showReorderPlaylistModal(interaction) {
+    const locale = getLocale(interaction);
+    const playlistId = parseInt(interaction.customId.replace('playlist_reorder_', ''));
+
+    const playlist = Playlist.getById(playlistId);
+
+    if (!playlist) {
+        throw new PlaylistNotFoundError(`Playlist ID ${playlistId}`);
+    }
+
+    if (!Playlist.canEdit(playlist, interaction.user.id, getMemberRoleIds(interaction.member))) {
+        throw new ValidationError(t('command.playlist.no_edit_permission', locale), 'permission');
+    }
+
+    const modal = new ModalBuilder()
+        .setCustomId(`playlist_reorder_submit_${playlistId}`)
+        .setTitle(t('command.playlist.reorder_modal_title', locale));
+
+    const movesInput = new TextInputBuilder()
+        .setCustomId('reorder_moves')
+        .setLabel(t('command.playlist.reorder_modal_label', locale, { max: playlist.track_count }))
+        .setPlaceholder(t('command.playlist.reorder_modal_placeholder', locale))
+        .setStyle(TextInputStyle.Paragraph)
+        .setRequired(true)
+        .setMaxLength(1000);
+
+    modal.addComponents(new ActionRowBuilder().addComponents(movesInput));
+
+    await interaction.showModal(modal);
+}
+
+/**
+ * Parse the bulk reorder input: one "from to" move per line ("12 1", "12>1", "12 -> 1", "12,1")
+ * @param {string} input - Modal text
+ * @param {number} trackCount - Number of tracks in the playlist
+ * @param {string} locale - Locale code for error messages
+ * @returns {Array<{from: number, to: number}>}
+ * @throws {ValidationError} On a malformed line or an out-of-range position
+ */
+function parseReorderMoves(input, trackCount, locale) {
+    const lines = input
+        .split('\n')
+        .map(line => line.trim())
+        .filter(line => line.length > 0);
+
+    if (lines.length > MAX_REORDER_MOVES) {
+        throw new ValidationError(
+            t('command.playlist.reorder_too_many', locale, { max: MAX_REORDER_MOVES }),
+            'reorder_moves'
+        );
+    }
+
+    return lines.map((line, index) => {
+        const match = line.match(/^(\d+)\s*(?:->|→|>|,|\s)\s*(\d+)$/);
+        if (!match) {
+            throw new ValidationError(
+                t('command.playlist.reorder_bad_line', locale, { line: index + 1, text: line }),
+                'reorder_moves'
+            );
+        }
+
+        const from = parseInt(match[1]);
+        const to = parseInt(match[2]);
+        if (from < 1 || from > trackCount || to < 1 || to > trackCount) {
+            throw new ValidationError(
+                t('command.playlist.reorder_out_of_range', locale, { line: index + 1, max: trackCount, text: line }),
+                'reorder_moves'
+            );
+        }
+
+        return { from, to };
+    });
+}
+
+export async function handleReorderPlaylistSubmit(interaction, client) {
+    await interaction.deferReply({ ephemeral: true });
+
+    const locale = getLocale(interaction);
+    const playlistId = parseInt(interaction.customId.replace('playlist_reorder_submit_', ''));
+    const input = interaction.fields.getTextInputValue('reorder_moves');
+
+    const playlist = Playlist.getById(playlistId);
+
+    if (!playlist) {
+        throw new PlaylistNotFoundError(`Playlist ID ${playlistId}`);
+    }
+
+    const roleIds = getMemberRoleIds(interaction.member);
+    if (!Playlist.canEdit(playlist, interaction.user.id, roleIds)) {
+        throw new ValidationError(t('command.playlist.no_edit_permission', locale), 'permission');
+    }
+
+    const tracks = Playlist.getTracks(playlist.id);
+
+    if (tracks.length < 2) {
+        throw new ValidationError(t('command.playlist.reorder_too_few', locale), 'tracks');
+    }
+
+    const moves = parseReorderMoves(input, tracks.length, locale);
+
+    // Apply the moves in order, each one against the result of the previous
+    const order = [...tracks];
+    for (const { from, to } of moves) {
+        const [track] = order.splice(from - 1, 1);
+        order.splice(to - 1, 0, track);
+    }
+
+    Playlist.reorderTracks(
+        playlist.id,
+        order.map(track => track.id),
+        interaction.user.id,
+        roleIds
+    );
+
+    const preview = order
+        .slice(0, 10)
+        .map((track, index) => {
+            const title =
+                track.track_title.length > 50 ? track.track_title.substring(0, 47) + '...' : track.track_title;
+            return `${index + 1}. ${title}`;
+        })
+        .join('\n');
+
+    const embed = new EmbedBuilder()
+        .setColor(client.config.bot.color)
+        .setTitle(t('command.playlist.reorder_title', locale))
+        .setDescription(
+            `${t('command.playlist.reorder_done', locale, { count: moves.length, name: playlist.name })}\n\n${preview}` +
+                (order.length > 10
+                    ? `\n${t('command.playlist.more_tracks', locale, { count: order.length - 10 })}`
+                    : '')
+        )
+        .setFooter({ text: client.config.bot.footer })
+        .setTimestamp();
+
+    await interaction.editReply({ embeds: [embed] });
+    logger.command('playlist-reorder-modal', interaction.user.id, interaction.guildId);
+}
@@ -7,23 +7,29 @@ import { EmbedBuilder, ActionRowBuilder, ModalBuilder, TextInputBuilder, TextInp
 import Playlist from '../../database/models/Playlist.js';
 import { COLORS } from '../../config/design-system.js';
 import { ValidationError, PlaylistNotFoundError, NoSearchResultsError } from '../../utils/errors.js';
+import { assertNotBlocked } from '../../utils/content-filter.js';
+import { getMemberRoleIds } from '../../utils/permissions.js';
+import { t, getLocale } from '../../utils/i18n.js';
 import logger from '../../utils/logger.js';
 
 export async function showAddTrackModal(interaction) {
-    const modal = new ModalBuilder().setCustomId('playlist_add_track_submit').setTitle('Thêm Nhạc Vào Playlist');
+    const locale = getLocale(interaction);
+    const modal = new ModalBuilder()
+        .setCustomId('playlist_add_track_submit')
+        .setTitle(t('command.playlist.modal_add_track_title', locale));
 
     const playlistNameInput = new TextInputBuilder()
         .setCustomId('playlist_name')
-        .setLabel('Tên Playlist')
-        .setPlaceholder('Nhập tên playlist')
+        .setLabel(t('command.playlist.modal_name_label', locale))
+        .setPlaceholder(t('command.playlist.modal_name_short_placeholder', locale))
         .setStyle(TextInputStyle.Short)
         .setRequired(true)
         .setMaxLength(50);
 
     const queryInput = new TextInputBuilder()
         .setCustomId('track_query')
-        .setLabel('Bài Hát (URL hoặc tên)')
-        .setPlaceholder('Nhập URL hoặc tên bài hát')
+        .setLabel(t('command.playlist.modal_track_label', locale))
+        .setPlaceholder(t('command.playlist.modal_track_placeholder', locale))
         .setStyle(TextInputStyle.Short)
         .setRequired(true)
         .setMaxLength(200);
@@ -39,25 +45,32 @@ export async function showAddTrackModal(interaction) {
 export async function handleAddTrackSubmit(interaction, client) {
     await interaction.deferReply({ ephemeral: true });
 
+    const locale = getLocale(interaction);
     const name = interaction.fields.getTextInputValue('playlist_name').trim();
     const query = interaction.fields.getTextInputValue('track_query').trim();
 
     if (name.length === 0) {
-        throw new ValidationError('Tên playlist không được để trống', 'name');
+        throw new ValidationError(t('command.playlist.name_empty', locale), 'name');
     }
 
     if (query.length === 0) {
-        throw new ValidationError('Truy vấn không được để trống', 'query');
+        throw new ValidationError(t('command.playlist.query_empty', locale), 'query');
     }
 
-    const playlist = Playlist.getByName(name, interaction.user.id, interaction.guildId);
+    const playlist = Playlist.findEditable(
+        name,
+        interaction.user.id,
+        interaction.guildId,
+        getMemberRoleIds(interaction.member)
+    );
 
     if (!playlist) {
         throw new PlaylistNotFoundError(name);
     }
 
     // Search for track
-    const result = await client.musicManager.search(query, interaction.user);
+    const result = await client.musicManager.search(query, interaction.user, { guildId: interaction.guildId });
+    assertNotBlocked(result);
 
     if (!result || !result.tracks || result.tracks.length === 0) {
         throw new NoSearchResultsError(query);
@@ -76,16 +89,21 @@ export async function handleAddTrackSubmit(interaction, client) {
     const addedTrack = Playlist.addTrack(playlist.id, simpleTrack, interaction.user.id);
 
     if (!addedTrack) {
-        throw new Error('Không thể thêm bài hát vào playlist');
+        throw new Error(t('command.playlist.add_failed', locale));
     }
 
     const tracks = Playlist.getTracks(playlist.id);
 
     const embed = new EmbedBuilder()
         .setColor(client.config.bot.color)
-        .setTitle('✅ Đã Thêm Vào Playlist')
-        .setDescription(`**${track.info.title}**\n└ Đã thêm vào playlist **${name}**`)
-        .setFooter({ text: `Tổng ${tracks.length} bài hát • ${client.config.bot.footer}` })
+        .setTitle(t('command.playlist.added_title', locale))
+        .setDescription(t('command.playlist.added', locale, { title: track.info.title, name }))
+        .setFooter({
+            text: t('command.playlist.track_total_footer', locale, {
+                count: tracks.length,
+                footer: client.config.bot.footer
+            })
+        })
         .setTimestamp();
 
     if (track.info.artworkUrl) {
@@ -97,16 +115,17 @@ export async function handleAddTrackSubmit(interaction, client) {
 }
 
 export async function showAddTrackToPlaylistModal(interaction) {
+    const locale = getLocale(interaction);
     const playlistId = parseInt(interaction.customId.replace('playlist_add_track_to_', ''));
 
     const modal = new ModalBuilder()
         .setCustomId(`playlist_add_track_to_submit_${playlistId}`)
-        .setTitle('Thêm Nhạc Vào Playlist');
+        .setTitle(t('command.playlist.modal_add_track_title', locale));
 
     const queryInput = new TextInputBuilder()
         .setCustomId('track_query')
-        .setLabel('Bài Hát (URL hoặc tên)')
-        .setPlaceholder('Nhập URL YouTube/Spotify hoặc tên bài hát để tìm kiếm')
+        .setLabel(t('command.playlist.modal_track_label', locale))
+        .setPlaceholder(t('command.playlist.modal_tracks_placeholder', locale))
         .setStyle(TextInputStyle.Paragraph)
         .setRequired(true)
         .setMaxLength(500);
@@ -120,11 +139,12 @@ export async function showAddTrackToPlaylistModal(interaction) {
 export async function handleAddTrackToPlaylistSubmit(interaction, client) {
     await interaction.deferReply({ ephemeral: true });
 
+    const locale = getLocale(interaction);
     const playlistId = parseInt(interaction.customId.replace('playlist_add_track_to_submit_', ''));
     const query = interaction.fields.getTextInputValue('track_query').trim();
 
     if (!query) {
-        throw new ValidationError('Vui lòng nhập URL hoặc tên bài hát!', 'track_query');
+        throw new ValidationError(t('command.playlist.query_required', locale), 'track_query');
     }
 
     // Get playlist
@@ -134,9 +154,9 @@ export async function handleAddTrackToPlaylistSubmit(interaction, client) {
         throw new PlaylistNotFoundError(`Playlist ID ${playlistId}`);
     }
 
-    // Verify ownership
-    if (playlist.owner_id !== interaction.user.id) {
-        throw new ValidationError('Bạn không có quyền chỉnh sửa playlist này!', 'permission');
+    // Owner or editor collaborators may change tracks
+    if (!Playlist.canEdit(playlist, interaction.user.id, getMemberRoleIds(interaction.member))) {
+        throw new ValidationError(t('command.playlist.no_edit_permission', locale), 'permission');
     }
 
     // Check if query contains multiple lines (bulk add)
@@ -153,8 +173,8 @@ export async function handleAddTrackToPlaylistSubmit(interaction, client) {
 
         const loadingEmbed = new EmbedBuilder()
             .setColor(client.config.bot.color)
-            .setTitle('⏳ Đang thêm nhạc...')
-            .setDescription(`Đang xử lý ${queries.length} bài hát...`)
+            .setTitle(t('command.playlist.bulk_adding_title', locale))
+            .setDescription(t('command.playlist.bulk_adding', locale, { count: queries.length }))
             .setFooter({ text: client.config.bot.footer })
             .setTimestamp();
 
@@ -163,7 +183,9 @@ export async function handleAddTrackToPlaylistSubmit(interaction, client) {
         for (const trackQuery of queries.slice(0, 25)) {
             // Limit to 25 tracks per bulk add
             try {
-                const result = await client.musicManager.search(trackQuery, interaction.user);
+                const result = await client.musicManager.search(trackQuery, interaction.user, {
+                    guildId: interaction.guildId
+                });
 
                 if (result?.tracks?.length > 0) {
                     const track = result.tracks[0];
@@ -194,27 +216,34 @@ export async function handleAddTrackToPlaylistSubmit(interaction, client) {
         const tracks = Playlist.getTracks(playlist.id);
         const embed = new EmbedBuilder()
             .setColor(failedCount > 0 ? COLORS.WARNING : client.config.bot.color)
-            .setTitle('📋 Kết Quả Thêm Nhạc')
+            .setTitle(t('command.playlist.bulk_result_title', locale))
             .setDescription(
                 `**${playlist.name}**\n\n` +
-                    `✅ Thành công: **${successCount}** bài\n` +
-                    `❌ Thất bại: **${failedCount}** bài` +
+                    t('command.playlist.bulk_result', locale, { success: successCount, failed: failedCount }) +
                     (failedTracks.length > 0
-                        ? `\n\n**Không tìm thấy:**\n${failedTracks
+                        ? `\n\n${t('command.playlist.bulk_not_found', locale)}\n${failedTracks
                               .slice(0, 5)
-                              .map(t => `• ${t}...`)
-                              .join(
-                                  '\n'
-                              )}${failedTracks.length > 5 ? `\n...và ${failedTracks.length - 5} bài khác` : ''}`
+                              .map(failed => `• ${failed}...`)
+                              .join('\n')}${
+                              failedTracks.length > 5
+                                  ? `\n${t('command.playlist.more_tracks', locale, { count: failedTracks.length - 5 })}`
+                                  : ''
+                          }`
                         : '')
             )
-            .setFooter({ text: `Tổng ${tracks.length} bài hát trong playlist • ${client.config.bot.footer}` })
+            .setFooter({
+                text: t('command.playlist.bulk_footer', locale, {
+                    count: tracks.length,
+                    footer: client.config.bot.footer
+                })
+            })
             .setTimestamp();
 
         await interaction.editReply({ embeds: [embed] });
     } else {
         // Single track add mode
-        const result = await client.musicManager.search(query, interaction.user);
+        const result = await client.musicManager.search(query, interaction.user, { guildId: interaction.guildId });
+        assertNotBlocked(result);
 
         if (!result || !result.tracks || result.tracks.length === 0) {
             throw new NoSearchResultsError(query);
@@ -232,16 +261,21 @@ export async function handleAddTrackToPlaylistSubmit(interaction, client) {
         const addedTrack = Playlist.addTrack(playlist.id, simpleTrack, interaction.user.id);
 
         if (!addedTrack) {
-            throw new ValidationError('Không thể thêm bài hát vào playlist!', 'add');
+            throw new ValidationError(t('command.playlist.add_failed_bang', locale), 'add');
         }
 
         const tracks = Playlist.getTracks(playlist.id);
 
         const embed = new EmbedBuilder()
             .setColor(client.config.bot.color)
-            .setTitle('✅ Đã Thêm Vào Playlist')
-            .setDescription(`**${track.info.title}**\n└ Đã thêm vào playlist **${playlist.name}**`)
-            .setFooter({ text: `Tổng ${tracks.length} bài hát • ${client.config.bot.footer}` })
+            .setTitle(t('command.playlist.added_title', locale))
+            .setDescription(t('command.playlist.added', locale, { title: track.info.title, name: playlist.name }))
+            .setFooter({
+                text: t('command.playlist.track_total_footer', locale, {
+                    count: tracks.length,
+                    footer: client.config.bot.footer
+                })
+            })
             .setTimestamp();
 
         if (track.info.artworkUrl) {
@@ -255,16 +289,17 @@ export async function handleAddTrackToPlaylistSubmit(interaction, client) {
 }
 
 export async function showRemovePlaylistTrackModal(interaction) {
+    const locale = getLocale(interaction);
     const playlistId = parseInt(interaction.customId.replace('playlist_remove_track_', ''));
 
     const modal = new ModalBuilder()
         .setCustomId(`playlist_remove_track_submit_${playlistId}`)
-        .setTitle('Xóa Bài Hát Khỏi Playlist');
+        .setTitle(t('command.playlist.modal_remove_title', locale));
 
     const trackInput = new TextInputBuilder()
         .setCustomId('track_identifier')
-        .setLabel('Tên hoặc số thứ tự bài hát')
-        .setPlaceholder('Nhập tên bài hát hoặc số thứ tự (ví dụ: 1, 2, 3...)')
+        .setLabel(t('command.playlist.modal_remove_label', locale))
+        .setPlaceholder(t('command.playlist.modal_remove_placeholder', locale))
         .setStyle(TextInputStyle.Short)
         .setRequired(true)
         .setMaxLength(200);
@@ -278,11 +313,12 @@ export async function showRemovePlaylistTrackModal(interaction) {
 export async function handleRemovePlaylistTrackSubmit(interaction, client) {
     await interaction.deferReply({ ephemeral: true });
 
+    const locale = getLocale(interaction);
     const playlistId = parseInt(interaction.customId.replace('playlist_remove_track_submit_', ''));
     const trackIdentifier = interaction.fields.getTextInputValue('track_identifier').trim();
 
     if (!trackIdentifier) {
-        throw new ValidationError('Vui lòng nhập tên hoặc số thứ tự bài hát!', 'track_identifier');
+        throw new ValidationError(t('command.playlist.remove_identifier_required', locale), 'track_identifier');
     }
 
     // Get playlist
@@ -292,15 +328,15 @@ export async function handleRemovePlaylistTrackSubmit(interaction, client) {
         throw new PlaylistNotFoundError(`Playlist ID ${playlistId}`);
     }
 
-    // Verify ownership
-    if (playlist.owner_id !== interaction.user.id) {
-        throw new ValidationError('Bạn không có quyền chỉnh sửa playlist này!', 'permission');
+    // Owner or editor collaborators may change tracks
+    if (!Playlist.canEdit(playlist, interaction.user.id, getMemberRoleIds(interaction.member))) {
+        throw new ValidationError(t('command.playlist.no_edit_permission', locale), 'permission');
     }
 
     const tracks = Playlist.getTracks(playlist.id);
 
     if (tracks.length === 0) {
-        throw new ValidationError('Playlist đang trống!', 'tracks');
+        throw new ValidationError(t('command.playlist.play_empty', locale), 'tracks');
     }
 
     let trackToRemove = null;
@@ -310,38 +346,53 @@ export async function handleRemovePlaylistTrackSubmit(interaction, client) {
     if (!isNaN(position)) {
         if (position < 1 || position > tracks.length) {
             throw new ValidationError(
-                `Vị trí không hợp lệ! Playlist có ${tracks.length} bài hát (1-${tracks.length})`,
+                t('command.playlist.remove_position_range', locale, { count: tracks.length }),
                 'position'
             );
         }
-        trackToRemove = tracks.find(t => t.position === position);
+        trackToRemove = tracks.find(track => track.position === position);
     } else {
         // Search by name
         const searchTerm = trackIdentifier.toLowerCase();
-        trackToRemove = tracks.find(t => t.track_title.toLowerCase().includes(searchTerm));
+        trackToRemove = tracks.find(track => track.track_title.toLowerCase().includes(searchTerm));
 
         if (!trackToRemove) {
-            throw new ValidationError(`Không tìm thấy bài hát có tên "${trackIdentifier}"`, 'track_name');
+            throw new ValidationError(
+                t('command.playlist.remove_name_not_found', locale, { name: trackIdentifier }),
+                'track_name'
+            );
         }
     }
 
     if (!trackToRemove) {
-        throw new ValidationError('Không tìm thấy bài hát!', 'track');
+        throw new ValidationError(t('command.playlist.remove_track_not_found', locale), 'track');
     }
 
-    const success = Playlist.removeTrack(playlist.id, trackToRemove.id, interaction.user.id);
+    const success = Playlist.removeTrack(
+        playlist.id,
+        trackToRemove.id,
+        interaction.user.id,
+        getMemberRoleIds(interaction.member)
+    );
 
     if (!success) {
-        throw new ValidationError('Không thể xóa bài hát khỏi playlist!', 'remove');
+        throw new ValidationError(t('command.playlist.remove_failed_bang', locale), 'remove');
     }
 
     const remainingTracks = Playlist.getTracks(playlist.id);
 
     const embed = new EmbedBuilder()
         .setColor(client.config.bot.color)
-        .setTitle('✅ Đã Xóa Bài Hát')
-        .setDescription(`**${trackToRemove.track_title}**\n└ Đã xóa khỏi playlist **${playlist.name}**`)
-        .setFooter({ text: `Còn ${remainingTracks.length} bài hát trong playlist • ${client.config.bot.footer}` })
+        .setTitle(t('command.playlist.track_removed_title', locale))
+        .setDescription(
+            t('command.playlist.removed', locale, { title: trackToRemove.track_title, name: playlist.name })
+        )
+        .setFooter({
+            text: t('command.playlist.remaining_footer', locale, {
+                count: remainingTracks.length,
+                footer: client.config.bot.footer
+            })
+        })
         .setTimestamp();
 
     await interaction.editReply({ embeds: [embed] });
@@ -351,17 +402,18 @@ export async function handleRemovePlaylistTrackSubmit(interaction, client) {
 export async function handleAddCurrentTrackToPlaylistSubmit(interaction, client) {
     await interaction.deferReply({ ephemeral: true });
 
+    const locale = getLocale(interaction);
     const playlistName = interaction.fields.getTextInputValue('playlist_name').trim();
 
     if (playlistName.length === 0) {
-        throw new ValidationError('Tên playlist không được để trống', 'playlist_name');
+        throw new ValidationError(t('command.playlist.name_empty', locale), 'playlist_name');
     }
 
     // Get the queue
     const queue = client.musicManager.getQueue(interaction.guildId);
 
     if (!queue || !queue.current) {
-        throw new Error('Không có bài hát nào đang phát!');
+        throw new Error(t('command.playlist.nothing_playing', locale));
     }
 
     const track = queue.current;
@@ -381,7 +433,7 @@ export async function handleAddCurrentTrackToPlaylistSubmit(interaction, client)
         );
 
         if (!playlist) {
-            throw new Error('Không thể tạo playlist mới!');
+            throw new Error(t('command.playlist.create_failed', locale));
         }
     }
 
@@ -397,17 +449,17 @@ export async function handleAddCurrentTrackToPlaylistSubmit(interaction, client)
     const success = Playlist.addTrack(playlist.id, trackData, interaction.user.id);
 
     if (!success) {
-        throw new Error('Không thể thêm bài hát vào playlist!');
+        throw new Error(t('command.playlist.add_failed_bang', locale));
     }
 
     const embed = new EmbedBuilder()
         .setColor(client.config.bot.color)
-        .setTitle('✅ Đã Thêm Bài Hát')
-        .setDescription(`**${track.info.title}** đã được thêm vào playlist **${playlistName}**`)
+        .setTitle(t('command.playlist.track_added_title', locale))
+        .setDescription(t('command.playlist.track_added', locale, { title: track.info.title, name: playlistName }))
         .setThumbnail(trackData.thumbnail)
         .addFields(
             { name: '📝 Playlist', value: playlistName, inline: true },
-            { name: '🎵 Bài hát', value: track.info.title, inline: true }
+            { name: t('command.playlist.track_field', locale), value: track.info.title, inline: true }
         )
         .setFooter({ text: client.config.bot.footer })
         .setTimestamp();
@@ -419,17 +471,18 @@ export async function handleAddCurrentTrackToPlaylistSubmit(interaction, client)
 export async function handleAddQueueToPlaylistSubmit(interaction, client) {
     await interaction.deferReply({ ephemeral: true });
 
+    const locale = getLocale(interaction);
     const playlistName = interaction.fields.getTextInputValue('playlist_name').trim();
 
     if (playlistName.length === 0) {
-        throw new ValidationError('Tên playlist không được để trống', 'playlist_name');
+        throw new ValidationError(t('command.playlist.name_empty', locale), 'playlist_name');
     }
 
     // Get the queue
     const queue = client.musicManager.getQueue(interaction.guildId);
 
     if (!queue) {
-        throw new Error('Không có hàng đợi nào!');
+        throw new Error(t('command.playlist.no_queue', locale));
     }
 
     // Collect all tracks (current + queued)
@@ -444,7 +497,7 @@ export async function handleAddQueueToPlaylistSubmit(interaction, client) {
     }
 
     if (allTracks.length === 0) {
-        throw new Error('Hàng đợi trống!');
+        throw new Error(t('command.queue.empty', locale));
     }
 
     // Get or create playlist
@@ -462,7 +515,7 @@ export async function handleAddQueueToPlaylistSubmit(interaction, client) {
         );
 
         if (!playlist) {
-            throw new Error('Không thể tạo playlist mới!');
+            throw new Error(t('command.playlist.create_failed', locale));
         }
     }
 
@@ -495,12 +548,12 @@ export async function handleAddQueueToPlaylistSubmit(interaction, client) {
 
     const embed = new EmbedBuilder()
         .setColor(client.config.bot.color)
-        .setTitle('✅ Đã Thêm Hàng Đợi')
-        .setDescription(`**${successCount}** bài hát đã được thêm vào playlist **${playlistName}**`)
+        .setTitle(t('command.playlist.queue_added_title', locale))
+        .setDescription(t('command.playlist.queue_added', locale, { count: successCount, name: playlistName }))
         .addFields(
             { name: '📝 Playlist', value: playlistName, inline: true },
-            { name: '✅ Thành công', value: successCount.toString(), inline: true },
-            { name: '❌ Thất bại', value: failedCount.toString(), inline: true }
+            { name: t('command.playlist.success_field', locale), value: successCount.toString(), inline: true },
+            { name: t('command.playlist.failed_field', locale), value: failedCount.toString(), inline: true }
         )
         .setFooter({ text: client.config.bot.footer })
         .setTimestamp();
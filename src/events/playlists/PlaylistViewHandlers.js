@@ -12,17 +12,23 @@ import {
     TextInputBuilder,
     TextInputStyle
 } from 'discord.js';
-import Playlist from '../../database/models/Playlist.js';
+import Playlist, { PLAYLIST_ACCESS, PLAYLIST_KINDS } from '../../database/models/Playlist.js';
 import { PlaylistNotFoundError, ValidationError } from '../../utils/errors.js';
+import { getMemberRoleIds } from '../../utils/permissions.js';
+import { parseSmartRules, describeSmartRules } from '../../utils/smart-playlists.js';
+import { t, getLocale, intlLocale } from '../../utils/i18n.js';
 import logger from '../../utils/logger.js';
 
 export async function showSearchPlaylistModal(interaction) {
-    const modal = new ModalBuilder().setCustomId('playlist_search_submit').setTitle('Tìm Kiếm Playlist');
+    const locale = getLocale(interaction);
+    const modal = new ModalBuilder()
+        .setCustomId('playlist_search_submit')
+        .setTitle(t('command.playlist.modal_search_title', locale));
 
     const nameInput = new TextInputBuilder()
         .setCustomId('playlist_name')
-        .setLabel('Tên Playlist')
-        .setPlaceholder('Nhập tên playlist để tìm kiếm')
+        .setLabel(t('command.playlist.modal_name_label', locale))
+        .setPlaceholder(t('command.playlist.modal_search_placeholder', locale))
         .setStyle(TextInputStyle.Short)
         .setRequired(true)
         .setMaxLength(50);
@@ -36,42 +42,74 @@ export async function showSearchPlaylistModal(interaction) {
 export async function handleSearchPlaylistSubmit(interaction, client) {
     await interaction.deferReply({ ephemeral: true });
 
+    const locale = getLocale(interaction);
     const name = interaction.fields.getTextInputValue('playlist_name').trim();
 
     if (name.length === 0) {
-        throw new ValidationError('Tên playlist không được để trống', 'name');
+        throw new ValidationError(t('command.playlist.name_empty', locale), 'name');
     }
 
-    const playlist = Playlist.getByName(name, interaction.user.id, interaction.guildId);
+    const roleIds = getMemberRoleIds(interaction.member);
+    const playlist = Playlist.findByNameInGuild(name, interaction.user.id, interaction.guildId, roleIds);
 
     if (!playlist) {
         throw new PlaylistNotFoundError(name);
     }
 
     const tracks = Playlist.getTracks(playlist.id);
-    const isOwn = playlist.owner_id === interaction.user.id;
+    const access = Playlist.getAccess(playlist, interaction.user.id, roleIds);
+    const isOwn = access === PLAYLIST_ACCESS.OWNER;
+    const canEdit = isOwn || access === PLAYLIST_ACCESS.EDITOR;
+    const isSmart = playlist.kind === PLAYLIST_KINDS.SMART;
+    const canEditTracks = canEdit && !isSmart;
+    const collaborators = Playlist.getCollaborators(playlist.id);
 
-    let description = `**Chủ sở hữu:** ${isOwn ? 'Bạn' : `<@${playlist.owner_id}>`}\n`;
-    description += `**Mô tả:** ${playlist.description || 'Không có'}\n`;
-    description += `**Công khai:** ${playlist.is_public ? 'Có' : 'Không'}\n`;
-    description += `**Tạo lúc:** ${new Date(playlist.created_at).toLocaleString('vi-VN')}\n\n`;
+    let description = `${t('command.playlist.show_owner', locale, {
+        owner: isOwn ? t('command.playlist.show_owner_you', locale) : `<@${playlist.owner_id}>`
+    })}\n`;
+    if (isSmart) {
+        const rules = parseSmartRules(playlist.smart_rules);
+        description += `${t('command.playlist.show_smart', locale)}\n${rules ? `${describeSmartRules(rules, locale)}\n` : ''}`;
+    }
+    description += `${t('command.playlist.show_about', locale, {
+        description: playlist.description || t('command.playlist.none', locale)
+    })}\n`;
+    description += `${t('command.playlist.show_public', locale, {
+        value: t(playlist.is_public ? 'command.playlist.yes' : 'command.playlist.no', locale)
+    })}\n`;
+    if (collaborators.length > 0) {
+        description += `${t('command.playlist.show_collaborators', locale, { count: collaborators.length })}\n`;
+    }
+    if (!isOwn) {
+        description += `${t('command.playlist.show_your_access', locale, {
+            access: t(canEdit ? 'command.playlist.access_editor' : 'command.playlist.access_viewer', locale)
+        })}\n`;
+    }
+    description += `${t('command.playlist.show_created', locale, {
+        date: new Date(playlist.created_at).toLocaleString(intlLocale(locale))
+    })}\n\n`;
 
     if (tracks.length === 0) {
-        description += '*Playlist đang trống*';
+        description += t(isSmart ? 'command.playlist.smart_no_matches' : 'command.playlist.show_empty', locale);
     } else {
-        description += '**Danh sách bài hát:**\n';
+        description += `${t('command.playlist.show_tracks', locale)}\n`;
         const trackList = tracks
             .slice(0, 10)
             .map((track, index) => {
                 const title =
                     track.track_title.length > 50 ? track.track_title.substring(0, 47) + '...' : track.track_title;
-                return `${index + 1}. ${title}`;
+                // Credit collaborators for the tracks they added
+                const addedBy = track.added_by && track.added_by !== playlist.owner_id ? ` • <@${track.added_by}>` : '';
+                const plays = track.play_count
+                    ? ` • ${t('command.playlist.play_count', locale, { count: track.play_count })}`
+                    : '';
+                return `${index + 1}. ${title}${addedBy}${plays}`;
             })
             .join('\n');
         description += trackList;
 
         if (tracks.length > 10) {
-            description += `\n\n...và ${tracks.length - 10} bài khác`;
+            description += `\n\n${t('command.playlist.more_tracks', locale, { count: tracks.length - 10 })}`;
         }
     }
 
@@ -82,6 +120,10 @@ export async function handleSearchPlaylistSubmit(interaction, client) {
         .setFooter({ text: `Playlist ID: ${playlist.id} • ${client.config.bot.footer}` })
         .setTimestamp();
 
+    if (playlist.thumbnail) {
+        embed.setThumbnail(playlist.thumbnail);
+    }
+
     // Build action buttons
     const components = [];
 
@@ -93,26 +135,32 @@ export async function handleSearchPlaylistSubmit(interaction, client) {
         row1.addComponents(
             new ButtonBuilder()
                 .setCustomId(`playlist_play_${playlist.id}`)
-                .setLabel('Phát Playlist')
+                .setLabel(t('command.playlist.play_button', locale))
                 .setEmoji('▶️')
                 .setStyle(ButtonStyle.Success)
         );
     }
 
-    // Only show edit buttons if user owns the playlist
-    if (isOwn) {
+    // Only show edit buttons to the owner and editors
+    if (canEditTracks) {
         row1.addComponents(
             new ButtonBuilder()
                 .setCustomId(`playlist_add_track_to_${playlist.id}`)
-                .setLabel('Thêm Nhạc')
+                .setLabel(t('command.playlist.add_tracks_button', locale))
                 .setEmoji('➕')
                 .setStyle(ButtonStyle.Primary),
             new ButtonBuilder()
                 .setCustomId(`playlist_remove_track_${playlist.id}`)
-                .setLabel('Xóa Nhạc')
+                .setLabel(t('command.playlist.remove_tracks_button', locale))
                 .setEmoji('🗑️')
                 .setStyle(ButtonStyle.Danger)
-                .setDisabled(tracks.length === 0)
+                .setDisabled(tracks.length === 0),
+            new ButtonBuilder()
+                .setCustomId(`playlist_reorder_${playlist.id}`)
+                .setLabel(t('command.playlist.reorder_button', locale))
+                .setEmoji('↕️')
+                .setStyle(ButtonStyle.Secondary)
+                .setDisabled(tracks.length < 2)
         );
     }
 
@@ -125,28 +173,39 @@ export async function handleSearchPlaylistSubmit(interaction, client) {
         const row2 = new ActionRowBuilder().addComponents(
             new ButtonBuilder()
                 .setCustomId(`playlist_edit_${playlist.id}`)
-                .setLabel('Sửa Playlist')
+                .setLabel(t('command.playlist.edit_button', locale))
                 .setEmoji('✏️')
                 .setStyle(ButtonStyle.Secondary),
             new ButtonBuilder()
                 .setCustomId(`playlist_shuffle_${playlist.id}`)
-                .setLabel('Xáo Trộn')
+                .setLabel(t('command.playlist.shuffle_button', locale))
                 .setEmoji('🔀')
                 .setStyle(ButtonStyle.Secondary)
-                .setDisabled(tracks.length < 2),
+                .setDisabled(isSmart || tracks.length < 2),
             new ButtonBuilder()
                 .setCustomId(`playlist_clone_${playlist.id}`)
-                .setLabel('Nhân Bản')
+                .setLabel(t('command.playlist.clone_button', locale))
                 .setEmoji('📋')
                 .setStyle(ButtonStyle.Secondary)
         );
         components.push(row2);
     } else {
-        // Non-owner can clone public playlists
-        const row2 = new ActionRowBuilder().addComponents(
+        // Non-owner can clone public and shared playlists; editors can also shuffle
+        const row2 = new ActionRowBuilder();
+        if (canEditTracks) {
+            row2.addComponents(
+                new ButtonBuilder()
+                    .setCustomId(`playlist_shuffle_${playlist.id}`)
+                    .setLabel(t('command.playlist.shuffle_button', locale))
+                    .setEmoji('🔀')
+                    .setStyle(ButtonStyle.Secondary)
+                    .setDisabled(tracks.length < 2)
+            );
+        }
+        row2.addComponents(
             new ButtonBuilder()
                 .setCustomId(`playlist_clone_${playlist.id}`)
-                .setLabel('Lưu Bản Sao')
+                .setLabel(t('command.playlist.save_copy_button', locale))
                 .setEmoji('📋')
                 .setStyle(ButtonStyle.Primary)
         );
@@ -172,25 +231,37 @@ export async function handlePlaylistAutocomplete(interaction) {
             // Get user's own playlists
             const userPlaylists = Playlist.getByOwner(interaction.user.id, interaction.guildId);
 
+            // Get playlists other users shared with this user
+            const sharedPlaylists = Playlist.getSharedWith(
+                interaction.user.id,
+                interaction.guildId,
+                getMemberRoleIds(interaction.member)
+            );
+
             // Get public playlists in the guild (from other users/bot)
             const publicPlaylists = Playlist.getPublic(interaction.guildId);
 
-            // Combine and deduplicate (user's own playlists take priority)
-            const userPlaylistNames = new Set(userPlaylists.map(p => p.name));
-            const combinedPlaylists = [
-                ...userPlaylists,
-                ...publicPlaylists.filter(p => !userPlaylistNames.has(p.name))
-            ];
+            // Combine and deduplicate by name in lookup order: own, shared, public
+            const seenNames = new Set();
+            const combinedPlaylists = [...userPlaylists, ...sharedPlaylists, ...publicPlaylists].filter(p => {
+                if (seenNames.has(p.name)) return false;
+                seenNames.add(p.name);
+                return true;
+            });
 
             // Filter by search query
             const filtered = combinedPlaylists.filter(p => p.name.toLowerCase().includes(query));
 
-            // Create choices with indicator for public vs own playlists
+            // Create choices with indicator for own, shared and public playlists
             const choices = filtered.slice(0, 25).map(p => {
                 const isOwn = p.owner_id === interaction.user.id;
-                const prefix = isOwn ? '📁' : '🌐';
+                const prefix = isOwn ? '📁' : p.access ? '🤝' : '🌐';
+                const contents =
+                    p.kind === PLAYLIST_KINDS.SMART
+                        ? 'smart'
+                        : t('command.playlist.track_count', getLocale(interaction), { count: p.track_count || 0 });
                 return {
-                    name: `${prefix} ${p.name} (${p.track_count || 0} bài hát)`,
+                    name: `${prefix} ${p.name} (${contents})`,
                     value: p.name
                 };
             });
@@ -5,7 +5,9 @@
 
 import logger from '../../utils/logger.js';
 import { createErrorEmbed } from '../../UI/embeds/MusicEmbeds.js';
-import Playlist from '../../database/models/Playlist.js';
+import Playlist, { PLAYLIST_KINDS } from '../../database/models/Playlist.js';
+import { getMemberRoleIds } from '../../utils/permissions.js';
+import { t, getLocale } from '../../utils/i18n.js';
 
 // Import split handlers
 import * as ControlHandlers from './PlaylistControlHandlers.js';
@@ -14,12 +16,14 @@ import * as TrackHandlers from './PlaylistTrackHandlers.js';
 import * as ViewHandlers from './PlaylistViewHandlers.js';
 
 /**
- * Verify playlist ownership for mutating actions
+ * Verify playlist access for mutating actions
  * @param {string} customId - Button custom ID containing playlist ID
  * @param {string} userId - Interacting user's ID
+ * @param {string[]} roleIds - Interacting user's role IDs
+ * @param {string} locale - Locale code for the denial reason
  * @returns {{ valid: boolean, playlist?: Object, reason?: string }}
  */
-function checkPlaylistOwnership(customId, userId) {
+function checkPlaylistOwnership(customId, userId, roleIds, locale) {
     // Extract playlist ID from customId (e.g. 'playlist_edit_42' -> 42)
     const match = customId.match(/_(\d+)$/);
     if (!match) return { valid: true }; // No ID in customId, skip check
@@ -29,10 +33,13 @@ function checkPlaylistOwnership(customId, userId) {
 
     try {
         const playlist = Playlist.getById(playlistId);
-        if (!playlist) return { valid: false, reason: 'Playlist không tồn tại!' };
-        // Allow if user is owner or playlist is public (for play/shuffle)
-        if (playlist.owner_id !== userId && !playlist.is_public) {
-            return { valid: false, reason: 'Bạn không có quyền thao tác với playlist này!' };
+        if (!playlist) return { valid: false, reason: t('command.playlist.not_found_access', locale) };
+        // Allow owners, collaborators and public playlists here; each handler enforces edit rights
+        if (!Playlist.getAccess(playlist, userId, roleIds)) {
+            return { valid: false, reason: t('command.playlist.no_action_permission', locale) };
+        }
+        if (playlist.kind === PLAYLIST_KINDS.SMART && TRACK_EDIT_PREFIXES.some(p => customId.startsWith(p))) {
+            return { valid: false, reason: t('command.playlist.smart_tracks_read_only', locale) };
         }
         return { valid: true, playlist };
     } catch {
@@ -41,23 +48,37 @@ function checkPlaylistOwnership(customId, userId) {
 }
 
 /** Actions that mutate the playlist and require ownership */
-const OWNERSHIP_REQUIRED_PREFIXES = ['playlist_edit_', 'playlist_remove_track_', 'playlist_add_track_to_'];
+const OWNERSHIP_REQUIRED_PREFIXES = [
+    'playlist_edit_',
+    'playlist_remove_track_',
+    'playlist_add_track_to_',
+    'playlist_reorder_'
+];
+
+/** Actions that change stored tracks, which smart playlists don't have */
+const TRACK_EDIT_PREFIXES = ['playlist_remove_track_', 'playlist_add_track_to_', 'playlist_reorder_'];
 
 /**
  * Handle playlist button interactions
  */
 export async function handlePlaylistButton(interaction, client) {
     const customId = interaction.customId;
+    const locale = getLocale(interaction);
 
     try {
         // BUG-065: Verify playlist ownership before mutating actions
         if (OWNERSHIP_REQUIRED_PREFIXES.some(p => customId.startsWith(p))) {
-            const ownerCheck = checkPlaylistOwnership(customId, interaction.user.id);
+            const ownerCheck = checkPlaylistOwnership(
+                customId,
+                interaction.user.id,
+                getMemberRoleIds(interaction.member),
+                locale
+            );
             if (!ownerCheck.valid) {
                 return interaction.reply({
                     embeds: [
                         createErrorEmbed(
-                            ownerCheck.reason || 'Bạn không có quyền thao tác với playlist này!',
+                            ownerCheck.reason || t('command.playlist.no_action_permission', locale),
                             client.config
                         )
                     ],
@@ -89,6 +110,9 @@ export async function handlePlaylistButton(interaction, client) {
         if (customId.startsWith('playlist_edit_')) {
             return await ManagementHandlers.showEditPlaylistModal(interaction);
         }
+        if (customId.startsWith('playlist_reorder_')) {
+            return await ManagementHandlers.showReorderPlaylistModal(interaction);
+        }
 
         // Modal triggers (from menu command or other buttons)
         switch (customId) {
@@ -112,12 +136,12 @@ export async function handlePlaylistButton(interaction, client) {
         try {
             if (interaction.deferred && !interaction.replied) {
                 await interaction.editReply({
-                    embeds: [createErrorEmbed('Đã xảy ra lỗi khi xử lý yêu cầu!', client.config)],
+                    embeds: [createErrorEmbed(t('command.playlist.request_failed', locale), client.config)],
                     components: []
                 });
             } else if (!interaction.replied) {
                 await interaction.reply({
-                    embeds: [createErrorEmbed('Đã xảy ra lỗi khi xử lý yêu cầu!', client.config)],
+                    embeds: [createErrorEmbed(t('command.playlist.request_failed', locale), client.config)],
                     ephemeral: true
                 });
             }
@@ -133,6 +157,7 @@ export async function handlePlaylistButton(interaction, client) {
  */
 export async function handlePlaylistModalSubmit(interaction, client) {
     const customId = interaction.customId;
+    const locale = getLocale(interaction);
 
     try {
         // Management Submissions
@@ -145,6 +170,9 @@ export async function handlePlaylistModalSubmit(interaction, client) {
         if (customId.startsWith('playlist_edit_submit_')) {
             return await ManagementHandlers.handleEditPlaylistSubmit(interaction, client);
         }
+        if (customId.startsWith('playlist_reorder_submit_')) {
+            return await ManagementHandlers.handleReorderPlaylistSubmit(interaction, client);
+        }
 
         // View/Search Submissions
         if (customId === 'playlist_search_submit') {
@@ -179,12 +207,16 @@ export async function handlePlaylistModalSubmit(interaction, client) {
         try {
             if (interaction.deferred && !interaction.replied) {
                 await interaction.editReply({
-                    embeds: [createErrorEmbed(error.message || 'Đã xảy ra lỗi khi xử lý!', client.config)],
+                    embeds: [
+                        createErrorEmbed(error.message || t('command.playlist.submit_failed', locale), client.config)
+                    ],
                     components: []
                 });
             } else if (!interaction.replied) {
                 await interaction.reply({
-                    embeds: [createErrorEmbed(error.message || 'Đã xảy ra lỗi khi xử lý!', client.config)],
+                    embeds: [
+                        createErrorEmbed(error.message || t('command.playlist.submit_failed', locale), client.config)
+                    ],
                     ephemeral: true
                 });
             }
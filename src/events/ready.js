@@ -1,4 +1,6 @@
 import logger from '../utils/logger.js';
+import { restoreRequestChannels } from './requestChannelHandler.js';
+import { startSongRequestSweep } from './buttons/SongRequestHandlers.js';
 
 export default {
     name: 'clientReady', // Changed from 'ready' to 'clientReady' for discord.js v14+
@@ -33,6 +35,12 @@ export default {
                 // Continue execution even if presence fails
             }
 
+            // Re-attach to song request channel player messages (recreated if deleted while offline)
+            await restoreRequestChannels(client);
+
+            // Expire song requests nobody reviewed, including ones left over from before a restart
+            startSongRequestSweep(client);
+
             logger.info('Bot is ready!');
         } catch (error) {
             logger.error('Error in ready event:', error);
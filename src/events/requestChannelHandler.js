@@ -0,0 +1,258 @@
+/**
+ * Song Request Channel Handler
+ *
+ * In a guild's request channel (`/settings requestchannel`), every plain message is a /play query:
+ *   - The member's message is deleted and the query is searched and queued (top result, or the
+ *     whole playlist for playlist links), or sent for approval when request approval applies
+ *   - The bot's short confirmation or error replies delete themselves after REPLY_TTL_MS
+ *   - Other bot messages posted there are cleaned up after BOT_MESSAGE_TTL_MS, except the
+ *     pinned player message (RequestChannelManager) and pending approval requests
+ *
+ * @module RequestChannelHandler
+ */
+
+import { createQueuedTrackEmbed, createPlaylistAddedEmbed, createErrorEmbed } from '../UI/embeds/MusicEmbeds.js';
+import { createRequestLimitEmbed } from '../UI/embeds/ErrorEmbeds.js';
+import { getRequestChannelManager } from '../services/RequestChannelManager.js';
+import { requiresApproval, submitSongRequest } from './buttons/SongRequestHandlers.js';
+import { assertNotBlocked } from '../utils/content-filter.js';
+import { isMusicSystemAvailable } from '../utils/resilience.js';
+import {
+    UserNotInVoiceError,
+    VoiceChannelPermissionError,
+    DifferentVoiceChannelError,
+    NoSearchResultsError,
+    DuplicateTrackError,
+    MiyaoError,
+    assertQueued,
+    formatErrorForUser
+} from '../utils/errors.js';
+import { SONG_REQUEST_BUTTONS } from '../utils/button-ids.js';
+import { REQUEST_CHANNEL } from '../utils/constants.js';
+import { t, resolveLocale } from '../utils/i18n.js';
+import logger from '../utils/logger.js';
+
+/** Map<`${guildId}:${userId}`, timestamp> — last request per member */
+const requestCooldowns = new Map();
+
+/**
+ * Delete a message after a delay, ignoring messages that are already gone
+ * @param {import('discord.js').Message} message
+ * @param {number} delay - Milliseconds
+ * @param {Function} [shouldDelete] - Re-checked when the delay is over
+ */
+function deleteLater(message, delay, shouldDelete = () => true) {
+    const timer = setTimeout(() => {
+        if (shouldDelete()) {
+            message.delete().catch(() => {});
+        }
+    }, delay);
+    timer.unref?.();
+}
+
+/**
+ * Post a reply in the request channel that removes itself after REPLY_TTL_MS
+ * @param {import('discord.js').Message} message - The member's (deleted) request message
+ * @param {import('discord.js').EmbedBuilder[]} embeds
+ */
+async function sendTemporaryReply(message, embeds) {
+    const reply = await message.channel
+        .send({ content: `<@${message.author.id}>`, embeds, allowedMentions: { parse: [] } })
+        .catch(error => {
+            logger.debug('Failed to reply in request channel', { guildId: message.guildId, error: error.message });
+            return null;
+        });
+    if (reply) {
+        deleteLater(reply, REQUEST_CHANNEL.REPLY_TTL_MS);
+    }
+}
+
+/**
+ * Whether the member asked too recently; records the request otherwise
+ * @param {string} key - `${guildId}:${userId}`
+ * @returns {number} Seconds left, or 0 when the request may go ahead
+ */
+function checkCooldown(key) {
+    const now = Date.now();
+    const last = requestCooldowns.get(key);
+    if (last && now - last < REQUEST_CHANNEL.COOLDOWN_MS) {
+        return Math.ceil((REQUEST_CHANNEL.COOLDOWN_MS - (now - last)) / 1000);
+    }
+
+    requestCooldowns.set(key, now);
+    // Stale entries are only needed for COOLDOWN_MS; prune them once the map grows
+    if (requestCooldowns.size > 1000) {
+        for (const [entryKey, timestamp] of requestCooldowns) {
+            if (now - timestamp >= REQUEST_CHANNEL.COOLDOWN_MS) requestCooldowns.delete(entryKey);
+        }
+    }
+    return 0;
+}
+
+/**
+ * Search a query and queue the result for the member who sent it
+ * @param {import('discord.js').Message} message - Request message
+ * @param {Object} client - Discord client
+ * @param {string} query - Message content
+ * @param {string} locale - Requester's locale
+ * @returns {Promise<import('discord.js').EmbedBuilder[]>} Confirmation embeds
+ */
+async function queueRequest(message, client, query, locale) {
+    const { guildId, member } = message;
+
+    const voiceChannel = member?.voice?.channel;
+    if (!voiceChannel) throw new UserNotInVoiceError();
+    if (!voiceChannel.permissionsFor(client.user)?.has(['ViewChannel', 'Connect', 'Speak'])) {
+        throw new VoiceChannelPermissionError(voiceChannel.name);
+    }
+
+    const existingQueue = client.musicManager.getQueue(guildId);
+    if (existingQueue?.voiceChannelId && existingQueue.voiceChannelId !== voiceChannel.id) {
+        throw new DifferentVoiceChannelError();
+    }
+
+    const result = await client.musicManager.search(query, message.author, { guildId });
+    if (result?.error === 'SERVICE_UNAVAILABLE') {
+        return [createErrorEmbed(t('request_channel.unavailable', locale), client.config, locale)];
+    }
+    assertNotBlocked(result);
+
+    const isPlaylist = result?.loadType === 'playlist';
+    const tracks = (isPlaylist ? result.tracks : result?.tracks?.slice(0, 1) || []).filter(track => track.encoded);
+    if (tracks.length === 0) throw new NoSearchResultsError(query);
+    const playlistName = isPlaylist ? result.playlistInfo?.name || 'Playlist' : null;
+
+    if (requiresApproval(member, guildId)) {
+        // submitSongRequest only reads these fields of an interaction
+        const request = {
+            guildId,
+            guild: message.guild,
+            channelId: message.channelId,
+            channel: message.channel,
+            user: message.author,
+            member,
+            locale: message.guild.preferredLocale
+        };
+        return [await submitSongRequest(request, client, { tracks, playlistName, voiceChannel })];
+    }
+
+    const queue = existingQueue || (await client.musicManager.createQueue(guildId, voiceChannel.id, message.channel));
+    tracks.forEach(track => (track.requester = message.author.id));
+
+    const addResult = queue.add(isPlaylist ? tracks : tracks[0]);
+    assertQueued(addResult);
+    if (addResult.added === 0) throw new DuplicateTrackError(tracks[0].info?.title);
+
+    const embeds = isPlaylist
+        ? [createPlaylistAddedEmbed(playlistName, addResult.added, client.config, locale)]
+        : [createQueuedTrackEmbed(tracks[0], addResult, queue, client.config, null, locale)];
+    if (addResult.limited) {
+        embeds.push(createRequestLimitEmbed(addResult, client.config, locale));
+    }
+
+    if (!queue.current) {
+        await queue.play();
+    }
+
+    client.metrics?.trackMusic(isPlaylist ? 'playlist_added' : 'track_added', { trackCount: addResult.added });
+    logger.command('request-channel', message.author.id, guildId, { tracks: addResult.added });
+    return embeds;
+}
+
+/**
+ * Handle a message posted in a guild's request channel
+ * @param {import('discord.js').Message} message
+ * @param {Object} client - Discord client
+ */
+export async function handleRequestChannelMessage(message, client) {
+    const manager = getRequestChannelManager();
+
+    // Our own messages: pin notices go at once, everything else after a while
+    if (message.author.id === client.user.id) {
+        if (message.system) {
+            await message.delete().catch(() => {});
+            return;
+        }
+        const awaitingDecision = message.components.some(row =>
+            row.components.some(component => component.customId?.startsWith(SONG_REQUEST_BUTTONS.APPROVE_PREFIX))
+        );
+        if (!awaitingDecision) {
+            // Checked again later: the player message may be posted before its ID is stored
+            deleteLater(
+                message,
+                REQUEST_CHANNEL.BOT_MESSAGE_TTL_MS,
+                () => !manager.isPlayerMessage(message.guildId, message.id)
+            );
+        }
+        return;
+    }
+    if (message.author.bot || message.system) return;
+
+    await message.delete().catch(error => {
+        logger.debug('Could not delete request message', { guildId: message.guildId, error: error.message });
+    });
+
+    const query = message.content.trim();
+    if (!query) return;
+
+    const locale = resolveLocale({
+        userId: message.author.id,
+        guildId: message.guildId,
+        discordLocale: message.guild.preferredLocale
+    });
+
+    const cooldown = checkCooldown(`${message.guildId}:${message.author.id}`);
+    if (cooldown > 0) {
+        await sendTemporaryReply(message, [
+            createErrorEmbed(t('request_channel.cooldown', locale, { seconds: cooldown }), client.config, locale)
+        ]);
+        return;
+    }
+
+    if (!isMusicSystemAvailable(client.musicManager)) {
+        await sendTemporaryReply(message, [
+            createErrorEmbed(t('request_channel.unavailable', locale), client.config, locale)
+        ]);
+        return;
+    }
+
+    try {
+        const embeds = await queueRequest(message, client, query, locale);
+        await sendTemporaryReply(message, embeds);
+    } catch (error) {
+        if (!(error instanceof MiyaoError)) {
+            logger.error('Request channel error', { guildId: message.guildId, error });
+        }
+        const { description } = formatErrorForUser(error, locale);
+        await sendTemporaryReply(message, [createErrorEmbed(description, client.config, locale)]);
+    }
+}
+
+/**
+ * Re-attach to every request channel's player message after a restart
+ * @param {Object} client - Discord client
+ */
+export async function restoreRequestChannels(client) {
+    try {
+        const restored = await getRequestChannelManager().restoreAll(client);
+        if (restored > 0) {
+            logger.info(`Restored ${restored} request channel player(s)`);
+        }
+    } catch (error) {
+        logger.warn('Failed to restore request channels', { error: error.message });
+    }
+}
+
+/**
+ * Clear request cooldowns and pending player refreshes (graceful shutdown)
+ */
+export function shutdownRequestChannelHandler() {
+    requestCooldowns.clear();
+    getRequestChannelManager().clearAll();
+}
+
+export default {
+    handleRequestChannelMessage,
+    restoreRequestChannels,
+    shutdownRequestChannelHandler
+};
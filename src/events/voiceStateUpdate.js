@@ -1,6 +1,7 @@
 import logger from '../utils/logger.js';
 import GuildSettings from '../database/models/GuildSettings.js';
 import { VOICE_STATE } from '../utils/constants.js';
+import { maybeOfferAutoResume } from './autoResumeHandler.js';
 
 // Store leave timers per guild to prevent stacking
 const leaveTimers = new Map();
@@ -181,6 +182,11 @@ export default {
                 if (queue && queue.voiceChannelId === newState.channelId) {
                     clearLeaveTimer(newState.guild.id);
                 }
+
+                // User joined voice while nothing is playing → offer their interrupted session (autoResume)
+                if (!queue && !oldState.channelId) {
+                    maybeOfferAutoResume(newState.member, client).catch(() => {});
+                }
             }
 
             // Check if user left voice channel (leaveOnEmpty logic)
@@ -7,7 +7,7 @@
  * that can be applied to commands that require an active queue or current track.
  */
 
-import { NothingPlayingError, EmptyQueueError, InvalidPositionError } from '../utils/errors.js';
+import { NothingPlayingError, EmptyQueueError, InvalidPositionError, QuizInProgressError } from '../utils/errors.js';
 
 /**
  * Check if there's an active queue for the guild
@@ -86,6 +86,20 @@ export function requireAnyTrack(musicManager, guildId) {
     return { queue, hasCurrentTrack, hasUpcomingTracks };
 }
 
+/**
+ * Check that no voice quiz holds the player (skip, stop, seek and pause wait until it ends)
+ * @param {EnhancedQueue} queue - Music queue
+ * @throws {QuizInProgressError} If a voice quiz is running
+ * @returns {EnhancedQueue}
+ */
+export function requireNoQuiz(queue) {
+    if (queue?.quizActive) {
+        throw new QuizInProgressError();
+    }
+
+    return queue;
+}
+
 /**
  * Get queue if exists, otherwise return null (no error)
  * Useful for commands that work differently when no queue exists
@@ -123,6 +137,7 @@ export default {
     requireCurrentTrack,
     requireQueueTracks,
     requireAnyTrack,
+    requireNoQuiz,
     getQueueOrNull,
     validateQueuePosition
 };
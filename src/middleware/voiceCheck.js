@@ -25,7 +25,7 @@ export function requireVoiceChannel(interaction) {
     // FIX-MW-H01: Guard against null member in DM context
     const member = interaction.member;
     if (!member) {
-        throw new UserNotInVoiceError('Command chỉ dùng trong server');
+        throw new UserNotInVoiceError();
     }
     const voiceChannel = member.voice.channel;
 
@@ -65,7 +65,7 @@ export function requireSameVoiceChannel(interaction, queue) {
     // FIX-MW-H01: Guard against null member in DM context
     const member = interaction.member;
     if (!member) {
-        throw new UserNotInVoiceError('Command chỉ dùng trong server');
+        throw new UserNotInVoiceError();
     }
 
     if (!member.voice.channel) {
@@ -10,6 +10,7 @@ import { AUTOPLAY } from '../utils/constants.js';
 import { getRecommendationEngine } from './RecommendationEngine.js';
 import { EmbedBuilder } from 'discord.js';
 import { COLORS } from '../config/design-system.js';
+import { t, getGuildLocale } from '../utils/i18n.js';
 
 /**
  * Manages autoplay — finding related tracks when queue is empty
@@ -207,7 +208,7 @@ export class AutoplayManager {
 
         try {
             const result = await Promise.race([
-                queue.manager.search(strategy.query, null),
+                queue.manager.search(strategy.query, null, { guildId: queue.guildId }),
                 new Promise((_, reject) => {
                     onAbort = () => reject(new Error('Timeout'));
                     ac.signal.addEventListener('abort', onAbort, { once: true });
@@ -227,10 +228,10 @@ export class AutoplayManager {
     }
 
     _selectFromSearchResults(recEngine, tracks, referenceTrack, recentUrls) {
-        const candidates = tracks.filter(t => {
-            if (recentUrls.has(t.info.uri)) return false;
+        const candidates = tracks.filter(track => {
+            if (recentUrls.has(track.info.uri)) return false;
             // Simple title check
-            return !recEngine.shouldSkipTrack(t);
+            return !recEngine.shouldSkipTrack(track);
         });
 
         if (candidates.length === 0) return null;
@@ -295,28 +296,31 @@ export class AutoplayManager {
             const icon = strategyIcons[strategy] || '🎵';
             const isSerendipity = track.isSerendipity;
             const genre = track._autoplayGenre || track.detectedGenre;
+            const locale = getGuildLocale(this.guildId, textChannel.guild);
 
             let reason = '';
             switch (strategy) {
                 case 'collaborative':
-                    reason = '🎯 Người nghe tương tự cũng thích';
+                    reason = t('autoplay.reason_collaborative', locale);
                     break;
                 case 'artist_tracks':
                 case 'artist_popular':
-                    reason = `🎤 Bài khác của ${track.info.author}`;
+                    reason = t('autoplay.reason_artist', locale, { artist: track.info.author });
                     break;
                 case 'genre_trending':
                 case 'genre_popular':
-                    reason = `🎵 ${genre ? `${genre.toUpperCase()} đang hot` : 'Cùng thể loại'}`;
+                    reason = genre
+                        ? t('autoplay.reason_genre_hot', locale, { genre: genre.toUpperCase() })
+                        : t('autoplay.reason_genre', locale);
                     break;
                 case 'mood_match':
-                    reason = '🎭 Cùng tâm trạng';
+                    reason = t('autoplay.reason_mood', locale);
                     break;
                 case 'guild_preference':
-                    reason = '📊 Dựa trên sở thích server';
+                    reason = t('autoplay.reason_guild', locale);
                     break;
                 default:
-                    reason = '🎵 Gợi ý cho bạn';
+                    reason = t('autoplay.reason_default', locale);
             }
 
             const embed = new EmbedBuilder()
@@ -326,7 +330,7 @@ export class AutoplayManager {
                         `└ 🎤 ${track.info.author}\n\n` +
                         `${reason}`
                 )
-                .setFooter({ text: '💡 Dùng /autoplay để tắt • /similar để xem thêm' });
+                .setFooter({ text: t('autoplay.footer', locale) });
 
             await textChannel.send({ embeds: [embed] });
         } catch (error) {
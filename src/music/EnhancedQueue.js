@@ -5,18 +5,33 @@
  */
 
 import logger from '../utils/logger.js';
-import { TIME, PLAYBACK, QUEUE } from '../utils/constants.js';
+import {
+    TIME,
+    PLAYBACK,
+    QUEUE,
+    QUEUE_SNAPSHOT,
+    QUEUE_PLACEMENTS,
+    QUEUE_UNDO,
+    UNDO_ACTIONS
+} from '../utils/constants.js';
 import { EmbedBuilder } from 'discord.js';
 import { COLORS, ICONS } from '../config/design-system.js';
 import { createOAuthErrorEmbed } from '../UI/embeds/ErrorEmbeds.js';
+import { t, getGuildLocale } from '../utils/i18n.js';
 
 // Extracted managers
 import { FilterManager } from './FilterManager.js';
 import { ReconnectionManager } from './ReconnectionManager.js';
 import { ProgressTracker } from './ProgressTracker.js';
+import { TrackAnnouncer } from './TrackAnnouncer.js';
 import { AutoplayManager } from './AutoplayManager.js';
 import { recordTrackEndFullListen } from '../events/autoPlaySuggestionHandler.js';
+import { rememberResumeSession } from '../events/autoResumeHandler.js';
+import { getRequestChannelManager } from '../services/RequestChannelManager.js';
+import { trackRequestLimiter } from '../utils/rate-limiter.js';
 import History from '../database/models/History.js';
+import QueueSnapshot from '../database/models/QueueSnapshot.js';
+import FilterPreset from '../database/models/FilterPreset.js';
 
 /**
  * Enhanced Queue with advanced features
@@ -46,7 +61,16 @@ export class EnhancedQueue {
         this.loop = 'off';
         this.volume = options.volume ?? manager.config?.music?.defaultVolume ?? 50;
         this.paused = false;
-        this.removeDuplicates = false;
+        this.removeDuplicates = options.removeDuplicates ?? false;
+        // Guild setting (passed by MusicManager when set), else config.music.maxQueueSize, else QUEUE.MAX_SIZE
+        this.maxQueueSize = options.maxQueueSize ?? manager.config?.music?.maxQueueSize ?? QUEUE.MAX_SIZE;
+
+        // Fair share: appended tracks are interleaved by requester, fairShareCap tracks per person per round
+        this.fairShare = options.fairShare ?? false;
+        this.fairShareCap = options.fairShareCap ?? QUEUE.DEFAULT_FAIR_SHARE_CAP;
+
+        // Guild request limits checked by add() (see _applyRequestLimits); null = no limits
+        this.requestLimits = options.requestLimits ?? null;
 
         this.leaveTimeout = null;
         this._isLeavingGracefully = false;
@@ -69,6 +93,12 @@ export class EnhancedQueue {
         this._existingUris = new Set();
         this._uriIndexDirty = true;
 
+        // Undo journal for clear/shuffle/remove/move/dedupe/jump, newest last (see undo())
+        this.undoJournal = [];
+        this._undoSeq = 0;
+        // Tracks that have started playing, so undo does not queue them a second time
+        this._startedTracks = new WeakSet();
+
         // Playback statistics
         this.stats = {
             tracksPlayed: 0,
@@ -79,7 +109,12 @@ export class EnhancedQueue {
 
         // --- Extracted Managers ---
         /** @type {FilterManager} Audio filter management */
-        this.filterManager = new FilterManager(guildId);
+        this.filterManager = new FilterManager(guildId, {
+            onApply: () => {
+                this._scheduleSnapshot();
+                this._notifyQueueChanged();
+            }
+        });
 
         /** @type {ReconnectionManager} Voice reconnection with backoff */
         this.reconnectionManager = new ReconnectionManager(guildId);
@@ -87,6 +122,9 @@ export class EnhancedQueue {
         /** @type {ProgressTracker} Now-playing progress updates */
         this.progressTracker = new ProgressTracker(guildId);
 
+        /** @type {TrackAnnouncer} Per-track now-playing announcements */
+        this.trackAnnouncer = new TrackAnnouncer(guildId);
+
         /** @type {AutoplayManager} Automatic track recommendation */
         this.autoplayManager = new AutoplayManager(guildId);
 
@@ -101,10 +139,26 @@ export class EnhancedQueue {
         // Connection state flag — prevents voiceStateUpdate from destroying
         // the queue during connect() retry attempts
         this._isConnecting = false;
+
+        // Queue persistence — debounced snapshot writes for restart recovery
+        this._snapshotTimer = null;
+        this._lastSnapshotAt = 0;
+
+        // Voice quiz — while set, the quiz owns the player and queue events are ignored
+        this.quizActive = false;
+        this._suspendedPlayback = null;
+        this._resumedTrack = null;
+
+        // Node drain — the node a player was moved off still reports its copy ending once
+        this._awaitingMoveCleanup = false;
     }
 
     _markUriIndexDirty() {
         this._uriIndexDirty = true;
+        // Mutations that rebuild the track list pass through here; add() updates the index in place
+        // and schedules its own snapshot
+        this._scheduleSnapshot();
+        this._notifyQueueChanged();
     }
 
     _getExistingUris() {
@@ -217,15 +271,19 @@ export class EnhancedQueue {
     _sendSourceSwitchNotification(originalTrack, altTrack, sourceName) {
         if (!this.textChannel) return;
 
+        const locale = this.locale;
         const embed = {
             color: 0xffa500,
-            title: '\uD83D\uDD04 Tự động chuyển nguồn nhạc',
+            title: t('player.source_switch_title', locale),
             description: [
-                `\u26A0\uFE0F YouTube không khả dụng cho bài **${originalTrack.info.title}**`,
-                `\uD83D\uDD04 Đã tự động tìm trên **${sourceName}**`,
-                `\uD83C\uDFB5 Đang phát: **${altTrack.info.title}** — ${altTrack.info.author || 'Unknown'}`
+                t('player.source_switch_unavailable', locale, { title: originalTrack.info.title }),
+                t('player.source_switch_found', locale, { source: sourceName }),
+                t('player.source_switch_playing', locale, {
+                    title: altTrack.info.title,
+                    author: altTrack.info.author || 'Unknown'
+                })
             ].join('\n'),
-            footer: { text: 'Chất lượng âm thanh có thể khác biệt do nguồn nhạc khác nhau' }
+            footer: { text: t('player.source_switch_footer', locale) }
         };
 
         this.textChannel.send({ embeds: [embed] }).catch(err => {
@@ -244,20 +302,8 @@ export class EnhancedQueue {
         if (this.textChannel) {
             const embed = {
                 color: 0xff0000,
-                title: '\u274C Không thể phát nhạc',
-                description: [
-                    'Tất cả nguồn nhạc đều không khả dụng.',
-                    '',
-                    '**Nguyên nhân có thể:**',
-                    '\u2022 YouTube yêu cầu xác thực OAuth',
-                    '\u2022 SoundCloud không tìm thấy bài tương tự',
-                    '\u2022 Kết nối mạng không ổn định',
-                    '',
-                    '**Giải pháp:**',
-                    '\u2022 Thử lại sau vài phút',
-                    '\u2022 Sử dụng URL trực tiếp từ SoundCloud hoặc Bandcamp',
-                    '\u2022 Liên hệ admin để kiểm tra cấu hình OAuth'
-                ].join('\n')
+                title: t('player.all_sources_failed_title', this.locale),
+                description: t('player.all_sources_failed', this.locale)
             };
             this.textChannel.send({ embeds: [embed] }).catch(() => {});
         }
@@ -314,11 +360,7 @@ export class EnhancedQueue {
             const trackTitle = failedTrack?.info?.title || 'Unknown';
             const embed = new EmbedBuilder()
                 .setColor(COLORS.WARNING)
-                .setDescription(
-                    `${ICONS.WARNING} **Phát hiện lỗi phát nhạc im lặng**\n\n` +
-                        `Bài hát **${trackTitle}** không phát được âm thanh.\n` +
-                        `Đang thử tìm từ nguồn nhạc khác...`
-                );
+                .setDescription(`${ICONS.WARNING} ${t('player.silent_failure', this.locale, { title: trackTitle })}`);
             this.textChannel.send({ embeds: [embed] }).catch(() => {});
         }
 
@@ -363,9 +405,7 @@ export class EnhancedQueue {
         // Notify user
         if (this.textChannel) {
             const trackTitle = stalledTrack?.info?.title || 'Unknown';
-            this.textChannel
-                .send(`⚠️ Phát hiện bài **${trackTitle}** bị kẹt (không có âm thanh). Đang thử nguồn nhạc khác...`)
-                .catch(() => {});
+            this.textChannel.send(t('player.stalled', this.locale, { title: trackTitle })).catch(() => {});
         }
 
         // Stop current playback before retrying
@@ -463,6 +503,14 @@ export class EnhancedQueue {
         return this.reconnectionManager.state;
     }
 
+    /**
+     * Locale for messages shared by the whole guild (now playing, channel notices)
+     * @type {string}
+     */
+    get locale() {
+        return getGuildLocale(this.guildId, this.textChannel?.guild);
+    }
+
     // ==========================================
     // Connection & Player Setup
     // ==========================================
@@ -533,6 +581,123 @@ export class EnhancedQueue {
         return this.reconnectionManager.reconnect(this);
     }
 
+    /**
+     * Move the player to another Lavalink node and pick playback back up where it was.
+     * The current track is re-resolved on the target node (falling back to its encoded form);
+     * position, pause state, volume and filters are carried over in a single player update.
+     * The source player is only destroyed once the target accepted the update; if it did not,
+     * the player stays on the source node, like Shoukaku's Player.move falls back to the last node.
+     * @param {Object} targetNode - Shoukaku node to move to
+     * @param {Object} [options]
+     * @param {string} [options.reason='failover'] - 'failover' (source node went down) or 'drain'
+     * @returns {Promise<boolean>} Whether the player moved; throws if the target rejected it
+     */
+    async moveToNode(targetNode, { reason = 'failover' } = {}) {
+        const player = this.player;
+        if (!player || !targetNode || player.node?.name === targetNode.name) return false;
+
+        const sourceNode = player.node;
+        const track = this.current;
+        const position = track ? player.position || this._lastKnownPosition || 0 : 0;
+
+        // Voice session details of the current connection (throws if it never got a voice server)
+        const { playerOptions } = player.data;
+
+        let encoded = player.track;
+        if (track) {
+            const resolved = await this._resolveOnNode(targetNode, track);
+            if (resolved) track.encoded = resolved.encoded;
+            encoded = track.encoded || encoded;
+        }
+
+        const sourceHadTrack = Boolean(player.track);
+        player.node = targetNode;
+        // The track starts again on the new node; it was already counted when it first started
+        this._resumedTrack = track || null;
+
+        try {
+            await player.update({
+                ...playerOptions,
+                track: { encoded: track ? encoded : null },
+                position,
+                paused: this.paused,
+                volume: this.volume
+            });
+        } catch (error) {
+            player.node = sourceNode;
+            this._resumedTrack = null;
+            throw error;
+        }
+
+        if (sourceNode?.state === 1) {
+            // Draining: the source is still up and would keep playing its copy
+            this._awaitingMoveCleanup = sourceHadTrack;
+            await sourceNode.rest.destroyPlayer(this.guildId).catch(error => {
+                this._awaitingMoveCleanup = false;
+                logger.warn('Failed to destroy player on source node', {
+                    guildId: this.guildId,
+                    node: sourceNode.name,
+                    error: error.message
+                });
+            });
+        }
+
+        logger.music('Player moved to another node', {
+            guildId: this.guildId,
+            from: sourceNode?.name,
+            to: targetNode.name,
+            reason,
+            track: track?.info?.title,
+            position
+        });
+
+        if (this.textChannel) {
+            const embed = new EmbedBuilder()
+                .setColor(COLORS.WARNING)
+                .setTitle(t('player.node_moved_title', this.locale))
+                .setDescription(
+                    t(reason === 'drain' ? 'player.node_moved_drain' : 'player.node_moved_failover', this.locale, {
+                        node: targetNode.name
+                    })
+                )
+                .setTimestamp();
+            this.textChannel.send({ embeds: [embed] }).catch(() => {});
+        }
+
+        return true;
+    }
+
+    /**
+     * Look a track up again on a specific node
+     * @param {Object} node - Shoukaku node
+     * @param {Object} track - Track to re-resolve (matched by identifier)
+     * @returns {Promise<Object|null>} Fresh track from the node, or null if it could not be matched
+     * @private
+     */
+    async _resolveOnNode(node, track) {
+        if (!track.info?.uri) return null;
+
+        try {
+            const result = await node.rest.resolve(track.info.uri);
+            let candidates = [];
+            if (result?.loadType === 'track') {
+                candidates = [result.data];
+            } else if (result?.loadType === 'search') {
+                candidates = result.data || [];
+            } else if (result?.loadType === 'playlist') {
+                candidates = result.data?.tracks || [];
+            }
+            return candidates.find(candidate => candidate?.info?.identifier === track.info.identifier) || null;
+        } catch (error) {
+            logger.warn('Failed to re-resolve track on target node', {
+                guildId: this.guildId,
+                node: node.name,
+                error: error.message
+            });
+            return null;
+        }
+    }
+
     _detachPlayerEventHandlers(player = this.player) {
         if (!player || !this._playerEventHandlers) {
             return;
@@ -558,6 +723,8 @@ export class EnhancedQueue {
         this._detachPlayerEventHandlers(this.player);
 
         const onStart = async data => {
+            if (this.quizActive) return;
+
             // Clear playback watchdog — track has started on Lavalink
             this._clearPlaybackWatchdog();
 
@@ -566,10 +733,15 @@ export class EnhancedQueue {
                 track: data.track?.info?.title
             });
             this.clearLeaveTimeout();
-            this.stats.tracksPlayed++;
+
+            // A track picked back up after a voice quiz was already counted when it first started
+            const resumed = this._resumedTrack !== null && this._resumedTrack === this.current;
+            this._resumedTrack = null;
+            if (!resumed) this.stats.tracksPlayed++;
+            if (this.current) this._startedTracks.add(this.current);
 
             // Add to in-memory history (compact track shape to reduce memory)
-            if (this.current && this.loop !== 'track') {
+            if (this.current && this.loop !== 'track' && !resumed) {
                 // EQ-M01: Store user ID string instead of full User object to reduce memory
                 const rawRequester = this.current.requester || this.current.requesterId || null;
                 const requesterId = typeof rawRequester === 'string' ? rawRequester : rawRequester?.id || rawRequester;
@@ -600,12 +772,30 @@ export class EnhancedQueue {
                 });
             }
 
-            if (this.nowPlayingMessage) {
-                this.startProgressUpdates();
+            if (this.current) {
+                this._applyRequesterFilters(this.current).catch(error => {
+                    logger.warn('Failed to apply default filter chain', {
+                        guildId: this.guildId,
+                        error: error.message
+                    });
+                });
             }
+
+            this.trackAnnouncer.announce(this).catch(error => {
+                logger.warn('Track announcement failed', { guildId: this.guildId, error: error.message });
+            });
         };
 
         const onEnd = data => {
+            // Quiz clips ending must not advance the suspended queue
+            if (this.quizActive) return;
+
+            // moveToNode() destroyed the copy on the drained node; playback continues on the new one
+            if (data.reason === 'cleanup' && this._awaitingMoveCleanup) {
+                this._awaitingMoveCleanup = false;
+                return;
+            }
+
             logger.music('Track ended', { guildId: this.guildId, reason: data.reason });
             this.stopProgressUpdates();
 
@@ -670,6 +860,11 @@ export class EnhancedQueue {
         };
 
         const onException = data => {
+            if (this.quizActive) {
+                logger.warn('Quiz clip playback failed', { guildId: this.guildId, exception: data.exception });
+                return;
+            }
+
             this._clearPlaybackWatchdog();
 
             const exceptionMsg = data.exception?.message || data.exception?.cause || '';
@@ -697,10 +892,12 @@ export class EnhancedQueue {
                 if (isOAuth && !this._oauthFailureDetected) {
                     // Send OAuth error message ONCE per queue session
                     this._oauthFailureDetected = true;
-                    const embed = createOAuthErrorEmbed(trackTitle);
+                    const embed = createOAuthErrorEmbed(trackTitle, this.locale);
                     this.textChannel.send({ embeds: [embed] }).catch(() => {});
                 } else if (!isOAuth) {
-                    this.textChannel.send(`⏭️ Bỏ qua bài hát do lỗi phát: **${trackTitle}**`).catch(() => {});
+                    this.textChannel
+                        .send(t('player.skipped_error', this.locale, { title: trackTitle }))
+                        .catch(() => {});
                 }
                 // If isOAuth and already detected: silently skip
             }
@@ -734,6 +931,8 @@ export class EnhancedQueue {
         };
 
         const onStuck = data => {
+            if (this.quizActive) return;
+
             this._clearPlaybackWatchdog();
 
             logger.warn('Player stuck', { guildId: this.guildId, threshold: data.thresholdMs });
@@ -753,7 +952,7 @@ export class EnhancedQueue {
             // Notify user about the stuck track
             if (this.textChannel && this.current) {
                 const trackTitle = this.current?.info?.title || 'Unknown';
-                this.textChannel.send(`⏭️ Bài hát bị kẹt, đang bỏ qua: **${trackTitle}**`).catch(() => {});
+                this.textChannel.send(t('player.skipped_stuck', this.locale, { title: trackTitle })).catch(() => {});
             }
 
             if (this.tracks.length > 0) {
@@ -796,8 +995,8 @@ export class EnhancedQueue {
             // Null out player so next play() triggers fresh connection
             this.player = null;
 
-            // If we were actively playing, attempt reconnection
-            if (this.current && !this._isStopping && !this._isLeavingGracefully) {
+            // If we were actively playing, attempt reconnection (a quiz reconnects on its own when it ends)
+            if (this.current && !this._isStopping && !this._isLeavingGracefully && !this.quizActive) {
                 logger.info('Attempting reconnection after unexpected WebSocket close', {
                     guildId: this.guildId,
                     currentTrack: this.current?.info?.title
@@ -814,6 +1013,8 @@ export class EnhancedQueue {
         };
 
         const onUpdate = data => {
+            if (this.quizActive) return;
+
             // Position stall detection — catches cases where Lavalink reports "playing"
             // but audio position never advances (e.g., broken stream, voice connection issue)
             const position = data?.state?.position ?? 0;
@@ -834,6 +1035,11 @@ export class EnhancedQueue {
                 this._lastKnownPosition = position;
                 this._positionStallCount = 0;
             }
+
+            // Keep the stored resume position reasonably fresh while playing
+            if (this.current && Date.now() - this._lastSnapshotAt >= QUEUE_SNAPSHOT.POSITION_SAVE_INTERVAL_MS) {
+                this._scheduleSnapshot();
+            }
         };
 
         this._playerEventHandlers = {
@@ -954,6 +1160,119 @@ export class EnhancedQueue {
         return this.filterManager.setTimescale(options, this.player);
     }
 
+    /**
+     * Set one equalizer band (custom EQ)
+     * @param {number} band - Band index (0-14)
+     * @param {number} gain - Band gain (-0.25 to 1.0)
+     * @returns {Promise<boolean>} Success status
+     */
+    async setEqualizerBand(band, gain) {
+        return this.filterManager.setEqualizerBand(band, gain, this.player);
+    }
+
+    /**
+     * Remove the equalizer, keeping other filters
+     * @returns {Promise<boolean>} Success status
+     */
+    async clearEqualizer() {
+        return this.filterManager.clearEqualizer(this.player);
+    }
+
+    /**
+     * Get the gain of every equalizer band
+     * @returns {number[]} 15 gains indexed by band
+     */
+    getEqualizerGains() {
+        return this.filterManager.getEqualizerGains();
+    }
+
+    /**
+     * Get the active filters as a saveable chain
+     * @returns {Object} Filter key → settings
+     */
+    getFilterChain() {
+        return this.filterManager.getFilterChain();
+    }
+
+    /**
+     * Replace all filters with a saved chain
+     * @param {Object} chain - Saved chain (FilterPreset.filters)
+     * @returns {Promise<boolean>} Success status
+     */
+    async applyFilterChain(chain) {
+        return this.filterManager.applyFilterChain(chain, this.player);
+    }
+
+    /**
+     * Apply the default filter chain of a track's requester, or restore the filters
+     * a previous requester's default chain replaced
+     * @param {Object} track - Track that just started
+     * @returns {Promise<boolean>} Success status
+     * @private
+     */
+    async _applyRequesterFilters(track) {
+        const requesterId = this._requesterIdOf(track);
+        const preset = requesterId ? FilterPreset.getUserDefault(requesterId) : null;
+        if (preset) {
+            return this.filterManager.applyAutoChain(requesterId, preset.filters, this.player);
+        }
+        return this.filterManager.releaseAutoChain(this.player);
+    }
+
+    /**
+     * Set tremolo
+     * @param {Object|null} options - { frequency?, depth? }, or null to disable
+     * @returns {Promise<boolean>} Success status
+     */
+    async setTremolo(options) {
+        return this.filterManager.setTremolo(options, this.player);
+    }
+
+    /**
+     * Set vibrato
+     * @param {Object|null} options - { frequency?, depth? }, or null to disable
+     * @returns {Promise<boolean>} Success status
+     */
+    async setVibrato(options) {
+        return this.filterManager.setVibrato(options, this.player);
+    }
+
+    /**
+     * Set rotation
+     * @param {Object|null} options - { rotationHz? }, or null to disable
+     * @returns {Promise<boolean>} Success status
+     */
+    async setRotation(options) {
+        return this.filterManager.setRotation(options, this.player);
+    }
+
+    /**
+     * Set distortion
+     * @param {Object|null} options - Sin/cos/tan offsets and scales, offset, scale; or null to disable
+     * @returns {Promise<boolean>} Success status
+     */
+    async setDistortion(options) {
+        return this.filterManager.setDistortion(options, this.player);
+    }
+
+    /**
+     * Set channel mix
+     * @param {Object|null} options - { leftToLeft?, leftToRight?, rightToLeft?, rightToRight? }, or null to disable
+     * @returns {Promise<boolean>} Success status
+     */
+    async setChannelMix(options) {
+        return this.filterManager.setChannelMix(options, this.player);
+    }
+
+    /**
+     * Set low pass
+     * @param {Object|null} options - { smoothing? }, or null to disable
+     * @returns {Promise<boolean>} Success status
+     */
+    async setLowPass(options) {
+        return this.filterManager.setLowPass(options, this.player);
+    }
+
     // ==========================================
     // Queue Management
     // ==========================================
@@ -963,14 +1282,18 @@ export class EnhancedQueue {
      * @param {Object|Object[]} track - Track or array of tracks
      * @param {Object} options - Options for adding tracks
      * @param {boolean} options.skipDuplicateCheck - Skip duplicate check
-     * @returns {Object} Result with added count and skipped duplicates
+     * @param {number} [options.position] - Queue index to insert at (appends when omitted or past the end).
+     *   Without a position, fair share mode spreads the tracks over the requester's rounds instead of appending.
+     * @returns {Object} Result with added count, skipped duplicates and the index the tracks landed at;
+     *   `interleaved` is set when fair share placed them before other requesters' tracks, and `limited`
+     *   (with `limits`) when guild request limits dropped some. `error` is 'REQUEST_LIMIT' when they dropped all.
      */
     add(track, options = {}) {
         let tracks = Array.isArray(track) ? track : [track];
         const skipDuplicateCheck = options.skipDuplicateCheck || false;
 
-        // Enforce max queue size (configurable via config.music.maxQueueSize)
-        const maxQueueSize = this.manager.config?.music?.maxQueueSize || QUEUE.MAX_SIZE;
+        // Enforce max queue size (resolved in the constructor, changed by setMaxQueueSize)
+        const maxQueueSize = this.maxQueueSize;
         if (this.tracks.length >= maxQueueSize) {
             logger.warn('Queue full, rejecting tracks', {
                 guildId: this.guildId,
@@ -988,6 +1311,12 @@ export class EnhancedQueue {
             };
         }
 
+        // Guild request limits: track length, livestreams, per-member queue share, requests per hour
+        let limited = null;
+        if (this.requestLimits) {
+            ({ tracks, limited } = this._applyRequestLimits(tracks));
+        }
+
         // Trim incoming tracks to fit within limit
         const availableSlots = maxQueueSize - this.tracks.length;
         let trimmed = 0;
@@ -1004,6 +1333,7 @@ export class EnhancedQueue {
 
         let addedCount = 0;
         const skippedDuplicates = [];
+        const accepted = [];
 
         if (this.removeDuplicates && !skipDuplicateCheck) {
             const existingUris = this._getExistingUris();
@@ -1022,7 +1352,7 @@ export class EnhancedQueue {
                         uri: uri
                     });
                 } else {
-                    this.tracks.push(t);
+                    accepted.push(t);
                     addedCount++;
 
                     if (uri) {
@@ -1039,7 +1369,7 @@ export class EnhancedQueue {
                 });
             }
         } else {
-            this.tracks.push(...tracks);
+            accepted.push(...tracks);
             addedCount = tracks.length;
 
             for (const addedTrack of tracks) {
@@ -1050,20 +1380,266 @@ export class EnhancedQueue {
             }
         }
 
+        let insertAt;
+        // Only fair share placement counts as interleaved; an explicit position is what the user asked for
+        let interleaved = false;
+        if (Number.isInteger(options.position)) {
+            insertAt = Math.max(0, Math.min(options.position, this.tracks.length));
+            this.tracks.splice(insertAt, 0, ...accepted);
+        } else if (this.fairShare) {
+            insertAt = this._insertFairly(accepted);
+            interleaved = insertAt < this.tracks.length - accepted.length;
+        } else {
+            insertAt = this.tracks.length;
+            this.tracks.push(...accepted);
+        }
+
         // Update activity timestamp
         if (addedCount > 0) {
             this.lastActivityTime = Date.now();
+            this._recordRequests(accepted);
+            this._scheduleSnapshot();
+            this._notifyQueueChanged();
         }
 
+        const limitedCount = limited ? limited.livestream + limited.duration + limited.perUser + limited.hourly : 0;
+
         return {
             added: addedCount,
-            skipped: skippedDuplicates.length + trimmed,
+            skipped: skippedDuplicates.length + trimmed + limitedCount,
             skippedTracks: skippedDuplicates,
             total: this.tracks.length,
-            ...(trimmed > 0 && { trimmed, maxSize: maxQueueSize })
+            index: insertAt,
+            ...(interleaved && { interleaved: true }),
+            ...(trimmed > 0 && { trimmed, maxSize: maxQueueSize }),
+            ...(limited && { limited, limits: this.requestLimits }),
+            ...(limited && addedCount === 0 && { error: 'REQUEST_LIMIT' })
         };
     }
 
+    /**
+     * Add track(s) at the requested placement
+     * @param {Object|Object[]} track - Track or array of tracks
+     * @param {Object} [placement]
+     * @param {string} [placement.mode] - One of QUEUE_PLACEMENTS (default: end)
+     * @param {number} [placement.position] - 1-based queue position; overrides next/end
+     * @returns {Object} add() result; `playingNow` is set when the tracks interrupted the current one
+     */
+    enqueue(track, { mode = QUEUE_PLACEMENTS.END, position = null } = {}) {
+        if (mode === QUEUE_PLACEMENTS.NOW) {
+            return this.playNow(track);
+        }
+
+        const index = position ? position - 1 : mode === QUEUE_PLACEMENTS.NEXT ? 0 : undefined;
+        return this.add(track, { position: index });
+    }
+
+    /**
+     * Start track(s) right away. The interrupted track goes back to the front of the queue,
+     * after the new tracks, and continues from where it stopped.
+     * @param {Object|Object[]} track - Track or array of tracks
+     * @returns {Object} add() result with `playingNow` set when playback was interrupted
+     */
+    playNow(track) {
+        const result = this.add(track, { position: 0 });
+
+        // Nothing to interrupt: the caller starts playback as usual
+        if (result.added === 0 || !this.current || this.quizActive) {
+            return result;
+        }
+
+        const interrupted = this.current;
+        const position = this.player?.position ?? this._lastKnownPosition ?? 0;
+        if (!interrupted.info?.isStream && position > 0) {
+            interrupted._resumePosition = position;
+        }
+
+        const [first] = this.tracks.splice(0, 1);
+        this.tracks.splice(result.added - 1, 0, interrupted);
+        this._markUriIndexDirty();
+
+        logger.info('Interrupting current track', {
+            guildId: this.guildId,
+            interrupted: interrupted.info?.title,
+            resumeAt: interrupted._resumePosition || 0,
+            added: result.added
+        });
+
+        // Not awaited, so callers can answer their interaction while the track loads
+        this.play(first).catch(error => {
+            logger.error('Play-now track failed', { guildId: this.guildId, error: error.message });
+        });
+        return { ...result, index: 0, playingNow: true };
+    }
+
+    /**
+     * Requester ID of a track, or null for tracks nobody asked for (e.g. autoplay)
+     * @param {Object} track
+     * @returns {string|null}
+     * @private
+     */
+    _requesterIdOf(track) {
+        const requester = track?.requester || track?.requesterId;
+        return (typeof requester === 'string' ? requester : requester?.id) || null;
+    }
+
+    /**
+     * Drop tracks that break the guild's request limits. Length and livestream limits apply to every
+     * track; per-member limits only to tracks with a requester.
+     * @param {Object[]} tracks - Incoming tracks
+     * @returns {{tracks: Object[], limited: Object|null}} Allowed tracks, and when any were dropped the
+     *   count per reason (livestream, duration, perUser, hourly) plus `hourlyResetIn` in ms
+     * @private
+     */
+    _applyRequestLimits(tracks) {
+        const { maxTracksPerUser, maxTrackDuration, maxRequestsPerHour, blockLivestreams } = this.requestLimits;
+        const limited = { livestream: 0, duration: 0, perUser: 0, hourly: 0, hourlyResetIn: 0 };
+        const queuedBy = new Map();
+        const requestedBy = new Map();
+
+        const allowed = tracks.filter(track => {
+            const info = track?.info || {};
+            if (blockLivestreams && info.isStream) {
+                limited.livestream++;
+                return false;
+            }
+            if (maxTrackDuration > 0 && !info.isStream && info.length > maxTrackDuration * 1000) {
+                limited.duration++;
+                return false;
+            }
+
+            const requesterId = this._requesterIdOf(track);
+            if (!requesterId) return true;
+
+            if (maxTracksPerUser > 0) {
+                if (!queuedBy.has(requesterId)) {
+                    queuedBy.set(requesterId, this.tracks.filter(t => this._requesterIdOf(t) === requesterId).length);
+                }
+                if (queuedBy.get(requesterId) >= maxTracksPerUser) {
+                    limited.perUser++;
+                    return false;
+                }
+            }
+            if (maxRequestsPerHour > 0) {
+                if (!requestedBy.has(requesterId)) {
+                    requestedBy.set(requesterId, trackRequestLimiter.count(this.guildId, requesterId));
+                }
+                if (requestedBy.get(requesterId) >= maxRequestsPerHour) {
+                    limited.hourly++;
+                    limited.hourlyResetIn ||= trackRequestLimiter.resetIn(this.guildId, requesterId);
+                    return false;
+                }
+                requestedBy.set(requesterId, requestedBy.get(requesterId) + 1);
+            }
+            if (maxTracksPerUser > 0) {
+                queuedBy.set(requesterId, queuedBy.get(requesterId) + 1);
+            }
+            return true;
+        });
+
+        if (allowed.length === tracks.length) {
+            return { tracks, limited: null };
+        }
+
+        logger.info('Request limits dropped tracks', {
+            guildId: this.guildId,
+            requested: tracks.length,
+            accepted: allowed.length,
+            livestream: limited.livestream,
+            duration: limited.duration,
+            perUser: limited.perUser,
+            hourly: limited.hourly
+        });
+        return { tracks: allowed, limited };
+    }
+
+    /**
+     * Count queued tracks toward their requesters' hourly request limit
+     * @param {Object[]} tracks - Tracks that were added
+     * @private
+     */
+    _recordRequests(tracks) {
+        const perRequester = new Map();
+        for (const track of tracks) {
+            const requesterId = this._requesterIdOf(track);
+            if (requesterId) perRequester.set(requesterId, (perRequester.get(requesterId) || 0) + 1);
+        }
+        for (const [requesterId, count] of perRequester) {
+            trackRequestLimiter.record(this.guildId, requesterId, count);
+        }
+    }
+
+    /**
+     * Replace the guild request limits
+     * @param {Object|null} limits - maxTracksPerUser, maxTrackDuration (seconds), maxRequestsPerHour, blockLivestreams
+     * @returns {Object|null} New limits
+     */
+    setRequestLimits(limits) {
+        this.requestLimits = limits;
+        logger.music('Request limits updated', { guildId: this.guildId, ...limits });
+        return this.requestLimits;
+    }
+
+    /**
+     * Insert tracks in fair share order. Each requester gets up to fairShareCap tracks per round
+     * (the playing track counts toward the first round), and a new track goes after the last queued
+     * track of its round, so one big playlist cannot push everyone else's requests back.
+     * @param {Object[]} tracks - Tracks to insert, in request order
+     * @returns {number} Queue index of the earliest inserted track
+     * @private
+     */
+    _insertFairly(tracks) {
+        const counts = new Map();
+        const roundOf = track => {
+            const requesterId = this._requesterIdOf(track);
+            const count = counts.get(requesterId) || 0;
+            counts.set(requesterId, count + 1);
+            return Math.floor(count / this.fairShareCap);
+        };
+
+        if (this.current) roundOf(this.current);
+        const rounds = this.tracks.map(roundOf);
+
+        let firstIndex = this.tracks.length;
+        for (const track of tracks) {
+            const round = roundOf(track);
+            let index = rounds.length;
+            while (index > 0 && rounds[index - 1] > round) index--;
+
+            this.tracks.splice(index, 0, track);
+            rounds.splice(index, 0, round);
+            firstIndex = Math.min(firstIndex, index);
+        }
+        return firstIndex;
+    }
+
+    /**
+     * Reorder the whole queue into fair share rounds, keeping the existing order within each round
+     * @private
+     */
+    _rebalanceFairShare() {
+        const pending = this.tracks;
+        this.tracks = [];
+        this._insertFairly(pending);
+        this._markUriIndexDirty();
+    }
+
+    /**
+     * Turn fair share mode on or off. Turning it on reorders the current queue.
+     * @param {boolean} enabled - Enable/disable fair share
+     * @param {number} [cap] - Tracks per requester per round
+     * @returns {boolean} New state
+     */
+    setFairShare(enabled, cap = this.fairShareCap) {
+        this.fairShare = enabled;
+        this.fairShareCap = cap;
+        if (enabled) {
+            this._rebalanceFairShare();
+        }
+        logger.music(`Fair share ${enabled ? 'enabled' : 'disabled'}`, { guildId: this.guildId, cap });
+        return this.fairShare;
+    }
+
     /**
      * Set remove duplicates mode
      * @param {boolean} enabled - Enable/disable duplicate removal
@@ -1075,6 +1651,18 @@ export class EnhancedQueue {
         return this.removeDuplicates;
     }
 
+    /**
+     * Set the maximum number of queued tracks.
+     * Tracks already in the queue are kept; only new additions are limited.
+     * @param {number} size - New limit
+     * @returns {number} New limit
+     */
+    setMaxQueueSize(size) {
+        this.maxQueueSize = size;
+        logger.music('Max queue size updated', { guildId: this.guildId, maxQueueSize: size });
+        return this.maxQueueSize;
+    }
+
     /**
      * Check if a track is already in queue or currently playing
      * @param {Object} track - Track to check
@@ -1093,9 +1681,10 @@ export class EnhancedQueue {
 
     /**
      * Remove all duplicate tracks from current queue
+     * @param {string|null} [userId] - Who asked, for the undo journal
      * @returns {Object} Result with removed count and removed tracks info
      */
-    removeDuplicatesFromQueue() {
+    removeDuplicatesFromQueue(userId = null) {
         const seenUris = new Set();
         const removed = [];
         const uniqueTracks = [];
@@ -1121,6 +1710,9 @@ export class EnhancedQueue {
         }
 
         const removedCount = this.tracks.length - uniqueTracks.length;
+        if (removedCount > 0) {
+            this._recordUndo(UNDO_ACTIONS.DEDUPE, userId, { count: removedCount });
+        }
         this.tracks = uniqueTracks;
         this._markUriIndexDirty();
 
@@ -1152,6 +1744,12 @@ export class EnhancedQueue {
         // Update activity timestamp
         this.lastActivityTime = Date.now();
 
+        // The quiz owns the player; queued tracks start once it hands playback back
+        if (this.quizActive) {
+            if (track) this.tracks.unshift(track);
+            return true;
+        }
+
         const maxRetries = this.manager.config?.music?.playMaxRetries || PLAYBACK.TRACK_PLAY_MAX_RETRIES;
         let currentTrack = track;
 
@@ -1222,7 +1820,17 @@ export class EnhancedQueue {
                     }
                 }
 
-                await this.player.playTrack({ track: { encoded: toPlay.encoded } });
+                // A track interrupted by playNow() picks up where it stopped
+                const resumeAt = toPlay._resumePosition;
+                if (resumeAt !== undefined) {
+                    delete toPlay._resumePosition;
+                    this._resumedTrack = toPlay;
+                }
+
+                await this.player.playTrack({
+                    track: { encoded: toPlay.encoded },
+                    ...(resumeAt && { position: resumeAt })
+                });
                 // Start playback watchdog — detects if track never starts
                 this._startPlaybackWatchdog(toPlay);
 
@@ -1251,10 +1859,12 @@ export class EnhancedQueue {
                     const trackTitle = toPlay?.info?.title || 'Unknown';
                     if (isOAuth && !this._oauthFailureDetected) {
                         this._oauthFailureDetected = true;
-                        const embed = createOAuthErrorEmbed(trackTitle);
+                        const embed = createOAuthErrorEmbed(trackTitle, this.locale);
                         this.textChannel.send({ embeds: [embed] }).catch(() => {});
                     } else if (!isOAuth) {
-                        this.textChannel.send(`⏭️ Bỏ qua bài hát do lỗi phát: **${trackTitle}**`).catch(() => {});
+                        this.textChannel
+                            .send(t('player.skipped_error', this.locale, { title: trackTitle }))
+                            .catch(() => {});
                     }
                 }
 
@@ -1344,10 +1954,12 @@ export class EnhancedQueue {
      * @returns {Promise<boolean>} Success status
      */
     async pause() {
-        if (!this.player || this.paused) return false;
+        if (!this.player || this.paused || this.quizActive) return false;
         try {
             await this.player.setPaused(true);
             this.paused = true;
+            this._scheduleSnapshot();
+            this._notifyQueueChanged();
             this.recordUserInteraction();
             await this.updateNowPlaying();
             return true;
@@ -1362,10 +1974,12 @@ export class EnhancedQueue {
      * @returns {Promise<boolean>} Success status
      */
     async resume() {
-        if (!this.player || !this.paused) return false;
+        if (!this.player || !this.paused || this.quizActive) return false;
         try {
             await this.player.setPaused(false);
             this.paused = false;
+            this._scheduleSnapshot();
+            this._notifyQueueChanged();
             this.recordUserInteraction();
             await this.updateNowPlaying();
             return true;
@@ -1380,7 +1994,7 @@ export class EnhancedQueue {
      * @returns {Promise<boolean>} Success status
      */
     async skip() {
-        if (!this.player) return false;
+        if (!this.player || this.quizActive) return false;
         try {
             this.stats.skips++;
             this.recordUserInteraction();
@@ -1394,9 +2008,12 @@ export class EnhancedQueue {
 
     /**
      * Stop playback and clear queue
-     * @returns {Promise<boolean>} Success status
+     * @returns {Promise<boolean>} Success status, false while a voice quiz holds the player
      */
     async stop() {
+        // The quiz owns the player: onEnd ignores its events, so _isStopping would never be reset
+        if (this.quizActive) return false;
+
         this.tracks = [];
         this.current = null;
         this.paused = false;
@@ -1434,6 +2051,8 @@ export class EnhancedQueue {
         volume = Math.max(0, Math.min(200, volume));
         this.volume = volume;
         this.recordUserInteraction();
+        this._scheduleSnapshot();
+        this._notifyQueueChanged();
         if (!this.player) {
             return volume;
         }
@@ -1453,7 +2072,7 @@ export class EnhancedQueue {
      * @returns {Promise<boolean>} Success status
      */
     async seek(position) {
-        if (!this.player || !this.current) return false;
+        if (!this.player || !this.current || this.quizActive) return false;
         try {
             this.recordUserInteraction();
             await this.player.seekTo(position);
@@ -1475,6 +2094,8 @@ export class EnhancedQueue {
         }
         this.loop = mode;
         this.recordUserInteraction();
+        this._scheduleSnapshot();
+        this._notifyQueueChanged();
         await this.updateNowPlaying();
         return mode;
     }
@@ -1482,9 +2103,14 @@ export class EnhancedQueue {
     /**
      * Shuffle queue
      * BUG-048: Excludes current track from shuffle when it appears in queue (from queue loop)
+     * In fair share mode the rounds are kept; only the order within them is random.
+     * @param {string|null} [userId] - Who asked, for the undo journal
      */
-    shuffle() {
+    shuffle(userId = null) {
         this.recordUserInteraction();
+        if (this.tracks.length > 1) {
+            this._recordUndo(UNDO_ACTIONS.SHUFFLE, userId, { count: this.tracks.length });
+        }
 
         // BUG-048: If current track is in queue (from queue loop), exclude it from shuffle
         const currentEncoded = this.current?.encoded;
@@ -1502,6 +2128,10 @@ export class EnhancedQueue {
             [this.tracks[i], this.tracks[j]] = [this.tracks[j], this.tracks[i]];
         }
 
+        if (this.fairShare) {
+            this._rebalanceFairShare();
+        }
+
         // Re-add current track at the end if it was removed
         if (currentTrackInQueue) {
             this.tracks.push(currentTrackInQueue);
@@ -1512,8 +2142,12 @@ export class EnhancedQueue {
 
     /**
      * Clear queue
+     * @param {string|null} [userId] - Who asked, for the undo journal
      */
-    clear() {
+    clear(userId = null) {
+        if (this.tracks.length > 0) {
+            this._recordUndo(UNDO_ACTIONS.CLEAR, userId, { count: this.tracks.length });
+        }
         this.tracks = [];
         this._markUriIndexDirty();
     }
@@ -1521,12 +2155,17 @@ export class EnhancedQueue {
     /**
      * Remove track at index
      * @param {number} index - Index of track to remove
+     * @param {string|null} [userId] - Who asked, for the undo journal
      * @returns {Object|null} Removed track or null
      */
-    remove(index) {
+    remove(index, userId = null) {
         if (index < 0 || index >= this.tracks.length) {
             return null;
         }
+        this._recordUndo(UNDO_ACTIONS.REMOVE, userId, {
+            title: this.tracks[index].info?.title,
+            position: index + 1
+        });
         const removed = this.tracks.splice(index, 1)[0];
         this._markUriIndexDirty();
         return removed;
@@ -1536,13 +2175,19 @@ export class EnhancedQueue {
      * Move track from one position to another
      * @param {number} fromIndex - Current index
      * @param {number} toIndex - Destination index
+     * @param {string|null} [userId] - Who asked, for the undo journal
      * @returns {boolean} Success status
      */
-    move(fromIndex, toIndex) {
+    move(fromIndex, toIndex, userId = null) {
         if (this.tracks.length === 0) return false;
         if (fromIndex === toIndex) return true;
         if (fromIndex < 0 || fromIndex >= this.tracks.length) return false;
         if (toIndex < 0 || toIndex >= this.tracks.length) return false;
+        this._recordUndo(UNDO_ACTIONS.MOVE, userId, {
+            title: this.tracks[fromIndex].info?.title,
+            from: fromIndex + 1,
+            to: toIndex + 1
+        });
         const [track] = this.tracks.splice(fromIndex, 1);
         this.tracks.splice(toIndex, 0, track);
         this._markUriIndexDirty();
@@ -1551,9 +2196,10 @@ export class EnhancedQueue {
 
     /**
      * Go back to the previous track from history
+     * @param {string} [locale] - Locale for the result message (defaults to the guild locale)
      * @returns {Promise<{success: boolean, track?: Object, message?: string}>} Result
      */
-    async previous() {
+    async previous(locale = this.locale) {
         try {
             this.clearLeaveTimeout();
 
@@ -1561,7 +2207,7 @@ export class EnhancedQueue {
                 logger.debug('No history available for previous track', { guildId: this.guildId });
                 return {
                     success: false,
-                    message: 'Không có bài hát nào trong lịch sử để quay lại!'
+                    message: t('player.previous_no_history', locale)
                 };
             }
 
@@ -1571,7 +2217,7 @@ export class EnhancedQueue {
                 logger.debug('Invalid history entry for previous track', { guildId: this.guildId });
                 return {
                     success: false,
-                    message: 'Dữ liệu lịch sử không hợp lệ!'
+                    message: t('player.previous_invalid_history', locale)
                 };
             }
 
@@ -1602,7 +2248,7 @@ export class EnhancedQueue {
                     });
                     return {
                         success: false,
-                        message: 'Không thể quay lại bài này vì dữ liệu phát nhạc không đầy đủ!'
+                        message: t('player.previous_unplayable', locale)
                     };
                 }
             }
@@ -1653,7 +2299,7 @@ export class EnhancedQueue {
             return {
                 success: true,
                 track: previousTrack,
-                message: `Đang phát: ${previousTrack.info?.title}`
+                message: t('player.previous_playing', locale, { title: previousTrack.info?.title })
             };
         } catch (error) {
             this._skippingToPrevious = false;
@@ -1663,7 +2309,7 @@ export class EnhancedQueue {
             });
             return {
                 success: false,
-                message: 'Đã xảy ra lỗi khi quay lại bài trước!'
+                message: t('player.previous_failed', locale)
             };
         }
     }
@@ -1671,15 +2317,23 @@ export class EnhancedQueue {
     /**
      * Jump to specific position in queue
      * @param {number} position - 1-based position
+     * @param {string|null} [userId] - Who asked, for the undo journal
      * @returns {Promise<boolean>} Success status
      */
-    async jump(position) {
+    async jump(position, userId = null) {
         if (!Number.isInteger(position)) return false;
         if (this.tracks.length === 0) return false;
         if (position < 1 || position > this.tracks.length) return false;
         const index = position - 1;
+        // Recorded before the splice; dropped again below if the jump never happens
+        const entry = this._recordUndo(UNDO_ACTIONS.JUMP, userId, {
+            title: this.tracks[index].info?.title,
+            position,
+            target: this.tracks[index],
+            interrupted: this.current,
+            resumeAt: this.current?.info?.isStream ? 0 : (this.player?.position ?? this._lastKnownPosition ?? 0)
+        });
         const [track] = this.tracks.splice(index, 1);
-        if (!track) return false;
 
         // EQ-M04: Validate track has a valid encoded field before playing
         if (!track.encoded) {
@@ -1700,6 +2354,7 @@ export class EnhancedQueue {
                         uri: track.info?.uri,
                         error: resolveErr.message
                     });
+                    this._discardUndo(entry);
                     this._markUriIndexDirty();
                     throw new Error(
                         `Cannot jump to track "${track.info?.title || 'Unknown'}": failed to resolve encoded data — ${resolveErr.message}`
@@ -1711,6 +2366,7 @@ export class EnhancedQueue {
                     position,
                     title: track.info?.title
                 });
+                this._discardUndo(entry);
                 this._markUriIndexDirty();
                 throw new Error(
                     `Cannot jump to track at position ${position}: track has no encoded data and no URI to resolve`
@@ -1723,6 +2379,98 @@ export class EnhancedQueue {
         return true;
     }
 
+    // ==========================================
+    // Undo Journal
+    // ==========================================
+
+    /**
+     * Remember the upcoming tracks before a change so undo() can put them back
+     * @param {string} action - One of UNDO_ACTIONS
+     * @param {string|null} userId - Who made the change
+     * @param {Object} [details] - Shown when describing the change (count, title, position, from, to)
+     * @returns {Object} Journal entry
+     * @private
+     */
+    _recordUndo(action, userId, details = {}) {
+        const entry = {
+            id: ++this._undoSeq,
+            action,
+            userId,
+            tracks: [...this.tracks],
+            createdAt: Date.now(),
+            ...details
+        };
+        this.undoJournal.push(entry);
+        if (this.undoJournal.length > QUEUE_UNDO.MAX_ENTRIES) {
+            this.undoJournal.shift();
+        }
+        return entry;
+    }
+
+    /**
+     * Forget a journal entry for a change that did not happen after all
+     * @param {Object} entry - Entry returned by _recordUndo()
+     * @private
+     */
+    _discardUndo(entry) {
+        const index = this.undoJournal.indexOf(entry);
+        if (index !== -1) this.undoJournal.splice(index, 1);
+    }
+
+    /**
+     * Latest change that can be undone
+     * @returns {Object|null} Journal entry
+     */
+    peekUndo() {
+        return this.undoJournal.at(-1) ?? null;
+    }
+
+    /**
+     * Revert the latest queue change.
+     * The upcoming tracks go back to how they were; tracks that have played since are left out
+     * and tracks added since stay queued after them. Undoing a jump also resumes the track it
+     * interrupted, from where it stopped.
+     * @param {number|null} [entryId] - Only undo if this is still the latest change
+     * @returns {Promise<{entry: Object, restored: number}|null>} Null when there is nothing (matching) to undo
+     */
+    async undo(entryId = null) {
+        const entry = this.peekUndo();
+        if (!entry || (entryId !== null && entry.id !== entryId)) return null;
+        this.undoJournal.pop();
+        this.recordUserInteraction();
+
+        const jumpedTo = entry.action === UNDO_ACTIONS.JUMP && this.current === entry.target ? entry.target : null;
+        const queued = new Set(this.tracks);
+        const restoredTracks = entry.tracks.filter(
+            track => queued.has(track) || track === jumpedTo || !this._startedTracks.has(track)
+        );
+        const kept = new Set(restoredTracks);
+        const before = this.tracks.length;
+        this.tracks = [...restoredTracks, ...this.tracks.filter(track => !kept.has(track))];
+        this._markUriIndexDirty();
+
+        const interrupted = entry.action === UNDO_ACTIONS.JUMP ? entry.interrupted : null;
+        if (interrupted && interrupted !== this.current) {
+            if (entry.resumeAt > 0) interrupted._resumePosition = entry.resumeAt;
+            if (jumpedTo) {
+                // Still on the track we jumped to: switch straight back
+                await this.play(interrupted);
+            } else {
+                this.tracks.unshift(interrupted);
+                this._markUriIndexDirty();
+            }
+        }
+
+        logger.info('Queue change undone', {
+            guildId: this.guildId,
+            action: entry.action,
+            changedBy: entry.userId,
+            tracks: this.tracks.length
+        });
+
+        return { entry, restored: Math.max(0, this.tracks.length - before) };
+    }
+
     // ==========================================
     // Leave & Goodbye
     // ==========================================
@@ -1796,52 +2544,55 @@ export class EnhancedQueue {
         }
 
         try {
+            const locale = getGuildLocale(guildId, textChannel.guild);
             const formatDuration = ms => {
-                if (!ms || ms <= 0) return '0 phút';
-                const minutes = Math.floor(ms / 60000);
+                const minutes = ms > 0 ? Math.floor(ms / 60000) : 0;
                 const hours = Math.floor(minutes / 60);
                 if (hours > 0) {
-                    return `${hours} giờ ${minutes % 60} phút`;
+                    return t('goodbye.duration_hours', locale, { hours, minutes: minutes % 60 });
                 }
-                return `${minutes} phút`;
+                return t('goodbye.duration_minutes', locale, { minutes });
             };
 
             const embed = new EmbedBuilder()
                 .setColor(COLORS.PRIMARY)
-                .setTitle('👋 Hẹn gặp lại!')
-                .setDescription('Cảm ơn bạn đã nghe nhạc cùng mình')
+                .setTitle(t('goodbye.title', locale))
+                .setDescription(t('goodbye.description', locale))
                 .setTimestamp();
 
             if (tracksPlayed > 0 || totalDuration > 0) {
                 embed.addFields({
-                    name: 'Phiên nghe nhạc',
-                    value: `🎵 **${tracksPlayed}** bài • ⏱️ **${formatDuration(totalDuration)}**`,
+                    name: t('goodbye.session', locale),
+                    value: t('goodbye.session_value', locale, {
+                        count: tracksPlayed,
+                        duration: formatDuration(totalDuration)
+                    }),
                     inline: false
                 });
             }
 
             if (reason === 'end') {
                 embed.addFields({
-                    name: '💡 Mẹo',
-                    value: '`/play` để tiếp tục • `/autoplay on` để phát nhạc liên tục',
+                    name: t('goodbye.tip', locale),
+                    value: t('goodbye.tip_end', locale),
                     inline: false
                 });
                 embed.setFooter({
-                    text: `${footer} • Rời sau ${delayMinutes} phút không có nhạc`
+                    text: `${footer} • ${t('goodbye.footer_end', locale, { minutes: delayMinutes })}`
                 });
             } else if (reason === 'empty') {
                 embed.addFields({
-                    name: '💡 Mẹo',
-                    value: '`/play` để phát nhạc • `/settings 247 on` để bot ở lại',
+                    name: t('goodbye.tip', locale),
+                    value: t('goodbye.tip_empty', locale),
                     inline: false
                 });
                 embed.setFooter({
-                    text: `${footer} • Rời sau ${delayMinutes} phút không có ai`
+                    text: `${footer} • ${t('goodbye.footer_empty', locale, { minutes: delayMinutes })}`
                 });
             } else if (reason === 'disconnect') {
                 embed.addFields({
-                    name: '💡 Mẹo',
-                    value: '`/play` để bắt đầu lại phiên nhạc mới',
+                    name: t('goodbye.tip', locale),
+                    value: t('goodbye.tip_disconnect', locale),
                     inline: false
                 });
                 embed.setFooter({
@@ -1920,6 +2671,258 @@ export class EnhancedQueue {
         return this.autoplayManager.addRelatedTrack(this);
     }
 
+    // ==========================================
+    // Voice Quiz
+    // ==========================================
+
+    /**
+     * Hand the player over to a voice quiz. The current track and its position are set
+     * aside and player events are ignored until {@link EnhancedQueue#resumeAfterQuiz} runs.
+     * @returns {Promise<boolean>} False if a quiz already holds the player
+     */
+    async suspendForQuiz() {
+        if (this.quizActive) return false;
+
+        this.stopProgressUpdates();
+        this._clearPlaybackWatchdog();
+        this.clearLeaveTimeout();
+
+        if (!this.player) {
+            await this.connect();
+        }
+
+        this._suspendedPlayback = this.current
+            ? {
+                  track: this.current,
+                  position: this.player?.position ?? this._lastKnownPosition ?? 0,
+                  paused: this.paused
+              }
+            : null;
+        this.quizActive = true;
+
+        // A restart mid-quiz should bring back the music, not the quiz clip
+        this.saveSnapshot();
+
+        return true;
+    }
+
+    /**
+     * Play a quiz clip through the player
+     * @param {Object} track - Resolved Lavalink track
+     * @param {number} startMs - Offset to start from
+     * @param {number} durationMs - How long the clip plays
+     * @returns {Promise<boolean>} Success status
+     */
+    async playQuizClip(track, startMs, durationMs) {
+        if (!this.quizActive || !track?.encoded) return false;
+
+        try {
+            if (!this.player) await this.connect();
+            await this.player.playTrack({
+                track: { encoded: track.encoded },
+                position: startMs,
+                endTime: startMs + durationMs,
+                paused: false
+            });
+            return true;
+        } catch (error) {
+            logger.error('Failed to play quiz clip', { guildId: this.guildId, error: error.message });
+            return false;
+        }
+    }
+
+    /**
+     * Stop the quiz clip that is playing, if any
+     * @returns {Promise<void>}
+     */
+    async stopQuizClip() {
+        if (!this.quizActive || !this.player) return;
+        await this.player.stopTrack().catch(() => {});
+    }
+
+    /**
+     * Give the player back to the queue after a voice quiz: the suspended track continues
+     * from where it left off, otherwise the queue moves on to whatever is waiting.
+     * @returns {Promise<void>}
+     */
+    async resumeAfterQuiz() {
+        if (!this.quizActive) return;
+
+        const suspended = this._suspendedPlayback;
+        this._suspendedPlayback = null;
+        this.quizActive = false;
+        this.lastActivityTime = Date.now();
+
+        try {
+            if (suspended && this.current === suspended.track && suspended.track.encoded) {
+                if (!this.player) await this.connect();
+
+                const info = suspended.track.info || {};
+                this._resumedTrack = suspended.track;
+                this.paused = suspended.paused;
+                await this.player.playTrack({
+                    track: { encoded: suspended.track.encoded },
+                    position: info.isStream ? undefined : suspended.position,
+                    paused: suspended.paused
+                });
+                if (!suspended.paused) this._startPlaybackWatchdog(suspended.track);
+                return;
+            }
+
+            // The quiz stopped its last clip already; play() replaces whatever is left on the player
+            this.current = null;
+            if (this.tracks.length > 0) {
+                await this.play();
+            } else {
+                this.scheduleLeave();
+            }
+        } catch (error) {
+            this._resumedTrack = null;
+            logger.error('Failed to resume playback after quiz', { guildId: this.guildId, error: error.message });
+            this.current = null;
+            this.scheduleLeave();
+        } finally {
+            this._scheduleSnapshot();
+            this._notifyQueueChanged();
+        }
+    }
+
+    // ==========================================
+    // Persistence (restart recovery)
+    // ==========================================
+
+    /**
+     * Schedule a debounced snapshot write
+     * @private
+     */
+    _scheduleSnapshot() {
+        if (this._snapshotTimer) return;
+
+        this._snapshotTimer = setTimeout(() => {
+            this._snapshotTimer = null;
+            this.saveSnapshot();
+        }, QUEUE_SNAPSHOT.SAVE_DEBOUNCE_MS);
+        this._snapshotTimer.unref?.();
+    }
+
+    /**
+     * Refresh the song request channel's player message after a visible queue change
+     * (tracks, playback state, volume, loop, filters). Debounced by RequestChannelManager.
+     * @private
+     */
+    _notifyQueueChanged() {
+        getRequestChannelManager().scheduleRefresh(this.manager?.client, this.guildId);
+    }
+
+    /**
+     * Cancel a pending snapshot write
+     * @private
+     */
+    _cancelSnapshot() {
+        if (this._snapshotTimer) {
+            clearTimeout(this._snapshotTimer);
+            this._snapshotTimer = null;
+        }
+    }
+
+    /**
+     * Reduce a track to the fields needed to replay it
+     * @param {Object} track - Lavalink track
+     * @returns {Object|null} Serializable track
+     * @private
+     */
+    _serializeTrack(track) {
+        if (!track?.info) return null;
+
+        const rawRequester = track.requester || track.requesterId || null;
+        const requester = typeof rawRequester === 'string' ? rawRequester : rawRequester?.id || null;
+
+        return {
+            encoded: track.encoded || null,
+            info: track.info,
+            pluginInfo: track.pluginInfo || {},
+            requester,
+            ...(track._requiresResolve && { _requiresResolve: true })
+        };
+    }
+
+    /**
+     * Build a serializable snapshot of the queue state
+     * @returns {Object} Snapshot
+     */
+    toSnapshot() {
+        return {
+            guildId: this.guildId,
+            voiceChannelId: this.voiceChannelId,
+            textChannelId: this.textChannel?.id || null,
+            current: this._serializeTrack(this.current),
+            tracks: this.tracks.map(track => this._serializeTrack(track)).filter(Boolean),
+            position: this.quizActive
+                ? (this._suspendedPlayback?.position ?? 0)
+                : (this.player?.position ?? this._lastKnownPosition ?? 0),
+            loop: this.loop,
+            volume: this.volume,
+            filters: this.filters,
+            paused: this.paused
+        };
+    }
+
+    /**
+     * Persist the queue state now. An idle queue removes its snapshot instead.
+     * @returns {boolean} Success status
+     */
+    saveSnapshot() {
+        this._cancelSnapshot();
+        this._lastSnapshotAt = Date.now();
+
+        if (!this.current && this.tracks.length === 0) {
+            return QueueSnapshot.delete(this.guildId);
+        }
+
+        return QueueSnapshot.save(this.toSnapshot());
+    }
+
+    /**
+     * Users who took part in this session: requesters of queued/recent tracks and current listeners
+     * @returns {Set<string>} User IDs
+     * @private
+     */
+    _getSessionParticipants() {
+        const participants = new Set();
+        const addRequester = track => {
+            const requester = track?.requester || track?.requesterId;
+            const id = typeof requester === 'string' ? requester : requester?.id;
+            if (id) participants.add(id);
+        };
+
+        addRequester(this.current);
+        this.tracks.forEach(addRequester);
+        this.history.slice(0, 10).forEach(entry => addRequester(entry.track));
+
+        const channel = this.manager.client?.guilds.cache.get(this.guildId)?.channels.cache.get(this.voiceChannelId);
+        channel?.members?.forEach(member => {
+            if (!member.user.bot) participants.add(member.id);
+        });
+
+        return participants;
+    }
+
+    /**
+     * Load queue state from a stored snapshot (does not start playback)
+     * @param {Object} snapshot - Snapshot from QueueSnapshot
+     */
+    restoreSnapshot(snapshot) {
+        this.tracks = Array.isArray(snapshot.tracks) ? snapshot.tracks : [];
+        this.loop = ['off', 'track', 'queue'].includes(snapshot.loop) ? snapshot.loop : 'off';
+        this.volume = Math.max(0, Math.min(200, snapshot.volume ?? this.volume));
+
+        if (snapshot.filters) {
+            this.filters = { ...this.filters, ...snapshot.filters };
+        }
+
+        this._markUriIndexDirty();
+    }
+
     // ==========================================
     // Destroy & Stats
     // ==========================================
@@ -1943,17 +2946,28 @@ export class EnhancedQueue {
      * 4. Nullifies player, track list, current track, and now-playing message.
      * 5. Removes this queue from `MusicManager.queues` (idempotent with
      *    `MusicManager.destroyQueue()` which also calls `queues.delete()`).
+     * 6. Deletes the persisted snapshot unless `preserveSnapshot` is set (shutdown path).
      *
      * @warning Calling `destroy()` directly bypasses MusicManager-level cleanup.
      *          Use `MusicManager.destroyQueue(guildId)` unless you have a specific reason not to.
      */
     async destroy(options = {}) {
-        const { skipManagerDelete = false } = options;
+        const { skipManagerDelete = false, preserveSnapshot = false } = options;
 
         this.clearLeaveTimeout();
         this.stopProgressUpdates();
         this._clearPlaybackWatchdog();
 
+        // Playback ended without /stop (disconnect, empty channel, node loss) — keep a copy
+        // for participants who opted into autoResume
+        if (!preserveSnapshot && (this.current || this.tracks.length > 0)) {
+            try {
+                rememberResumeSession(this.toSnapshot(), this._getSessionParticipants());
+            } catch (error) {
+                logger.warn('Failed to store resumable session', { guildId: this.guildId, error: error.message });
+            }
+        }
+
         if (this.player) {
             try {
                 this._detachPlayerEventHandlers(this.player);
@@ -1970,8 +2984,15 @@ export class EnhancedQueue {
         this._oauthFailureDetected = false;
         this._consecutiveOAuthErrors = 0;
         this._markUriIndexDirty();
+        this._cancelSnapshot();
         this.nowPlayingMessage = null;
 
+        if (!preserveSnapshot) {
+            QueueSnapshot.delete(this.guildId);
+            // Back to the idle card once the queue is gone
+            this._notifyQueueChanged();
+        }
+
         if (skipManagerDelete) {
             return;
         }
@@ -79,16 +79,97 @@ const EQ_PRESETS = {
     ]
 };
 
+/**
+ * Center frequencies of Lavalink's 15 equalizer bands (band index → label)
+ * @type {string[]}
+ */
+const EQ_BAND_FREQUENCIES = [
+    '25 Hz',
+    '40 Hz',
+    '63 Hz',
+    '100 Hz',
+    '160 Hz',
+    '250 Hz',
+    '400 Hz',
+    '630 Hz',
+    '1 kHz',
+    '1.6 kHz',
+    '2.5 kHz',
+    '4 kHz',
+    '6.3 kHz',
+    '10 kHz',
+    '16 kHz'
+];
+
+/**
+ * Gain range Lavalink accepts for an equalizer band (-0.25 mutes the band, 0.25 doubles it)
+ * @type {[number, number]}
+ */
+const EQ_GAIN_LIMITS = [-0.25, 1.0];
+
 // FM-M01: Removed COMPATIBLE_FILTERS dead code — it was never referenced anywhere.
 // Only CONFLICTING_FILTERS is used for actual filter conflict resolution.
 
 /**
  * Filters that CONFLICT and will be cleared (inverse of compatibility)
+ * - lowPass cuts the highs the EQ presets boost
+ * - channelMix fights 8D rotation for the stereo image and undoes karaoke's vocal cancelling
  * @type {Object.<string, string[]>}
  */
 const CONFLICTING_FILTERS = {
     timescale: ['equalizer'],
-    equalizer: ['timescale']
+    equalizer: ['timescale', 'lowPass'],
+    lowPass: ['equalizer'],
+    channelMix: ['rotation', 'karaoke'],
+    rotation: ['channelMix'],
+    karaoke: ['channelMix']
+};
+
+/**
+ * Default settings of the parameterized Lavalink v4 filters.
+ * Options left out of a setter call keep their current value, or fall back to these.
+ * @type {Object.<string, Object.<string, number>>}
+ */
+const FILTER_DEFAULTS = {
+    tremolo: { frequency: 2.0, depth: 0.5 },
+    vibrato: { frequency: 2.0, depth: 0.5 },
+    rotation: { rotationHz: 0.2 },
+    distortion: {
+        sinOffset: 0,
+        sinScale: 1,
+        cosOffset: 0,
+        cosScale: 1,
+        tanOffset: 0,
+        tanScale: 1,
+        offset: 0,
+        scale: 1
+    },
+    channelMix: { leftToLeft: 1, leftToRight: 0, rightToLeft: 0, rightToRight: 1 },
+    lowPass: { smoothing: 20 }
+};
+
+/**
+ * Accepted [min, max] of each filter setting. Lavalink only enforces a few of these
+ * (vibrato frequency ≤ 14, depths in (0, 1], mix factors in [0, 1]); the rest keep
+ * values in a range that still sounds like music.
+ * @type {Object.<string, Object.<string, [number, number]>>}
+ */
+const FILTER_LIMITS = {
+    tremolo: { frequency: [0.1, 20], depth: [0.05, 1] },
+    vibrato: { frequency: [0.1, 14], depth: [0.05, 1] },
+    rotation: { rotationHz: [0.01, 5] },
+    distortion: {
+        sinOffset: [-5, 5],
+        sinScale: [-5, 5],
+        cosOffset: [-5, 5],
+        cosScale: [-5, 5],
+        tanOffset: [-5, 5],
+        tanScale: [-5, 5],
+        offset: [-5, 5],
+        scale: [-5, 5]
+    },
+    channelMix: { leftToLeft: [0, 1], leftToRight: [0, 1], rightToLeft: [0, 1], rightToRight: [0, 1] },
+    lowPass: { smoothing: [1.5, 100] }
 };
 
 /**
@@ -97,9 +178,20 @@ const CONFLICTING_FILTERS = {
 export class FilterManager {
     /**
      * @param {string} guildId - Guild ID for logging context
+     * @param {Object} [options]
+     * @param {Function} [options.onApply] - Called after filters are successfully pushed to the player
      */
-    constructor(guildId) {
+    constructor(guildId, options = {}) {
         this.guildId = guildId;
+        this.onApply = options.onApply || null;
+
+        /**
+         * Set while a member's default chain is applied for their track:
+         * { userId, previous } where previous is the chain to restore afterwards.
+         * Any manual filter change ends it (the current filters are kept).
+         * @type {{userId: string, previous: Object}|null}
+         */
+        this.autoChain = null;
 
         /** @type {Object} Current filter states */
         this.filters = {
@@ -142,6 +234,7 @@ export class FilterManager {
             // CRITICAL: Always call setFilters, even with empty object
             // Lavalink v4: "filters overrides all previously applied filters"
             await player.setFilters(filters);
+            this.onApply?.();
 
             const filterCount = Object.keys(filters).length;
             if (filterCount > 0) {
@@ -215,6 +308,7 @@ export class FilterManager {
      * @returns {Promise<boolean>} Success status
      */
     async clearFilters(player) {
+        this._endAutoChain();
         try {
             this.filters = {
                 equalizer: [],
@@ -266,6 +360,7 @@ export class FilterManager {
      * @returns {Promise<boolean>} Success status
      */
     async setEqualizer(preset, player) {
+        this._endAutoChain();
         if (!EQ_PRESETS[preset]) {
             logger.warn(`Unknown equalizer preset: ${preset}`, { guildId: this.guildId });
             return false;
@@ -294,6 +389,7 @@ export class FilterManager {
      * @returns {Promise<boolean>} Success status
      */
     async setNightcore(enabled, player) {
+        this._endAutoChain();
         try {
             if (enabled) {
                 const clearedFilters = this._clearConflictingFilters('timescale');
@@ -324,6 +420,7 @@ export class FilterManager {
      * @returns {Promise<boolean>} Success status
      */
     async setVaporwave(enabled, player) {
+        this._endAutoChain();
         try {
             if (enabled) {
                 const clearedFilters = this._clearConflictingFilters('timescale');
@@ -354,13 +451,16 @@ export class FilterManager {
      * @returns {Promise<boolean>} Success status
      */
     async set8D(enabled, player) {
+        this._endAutoChain();
         try {
             if (enabled) {
+                const clearedFilters = this._clearConflictingFilters('rotation');
                 this.filters.rotation = { rotationHz: 0.2 };
 
                 const activeFilters = this.getActiveFilters();
                 logger.info('Enabled 8D audio filter', {
                     guildId: this.guildId,
+                    clearedFilters,
                     activeFilters
                 });
             } else {
@@ -382,15 +482,17 @@ export class FilterManager {
      * @returns {Promise<boolean>} Success status
      */
     async setKaraoke(enabled, player) {
+        this._endAutoChain();
         try {
             if (enabled) {
+                const clearedFilters = this._clearConflictingFilters('karaoke');
                 this.filters.karaoke = {
                     level: 1.0,
                     monoLevel: 1.0,
                     filterBand: 220.0,
                     filterWidth: 100.0
                 };
-                logger.info('Enabled karaoke filter', { guildId: this.guildId });
+                logger.info('Enabled karaoke filter', { guildId: this.guildId, clearedFilters });
             } else {
                 this.filters.karaoke = null;
                 logger.info('Disabled karaoke filter', { guildId: this.guildId });
@@ -413,6 +515,7 @@ export class FilterManager {
      * @returns {Promise<boolean>} Success status
      */
     async setTimescale({ speed, pitch, rate }, player) {
+        this._endAutoChain();
         try {
             const defaults = { speed: 1.0, pitch: 1.0, rate: 1.0 };
             const currentTimescale = this.filters.timescale || defaults;
@@ -446,8 +549,319 @@ export class FilterManager {
             return false;
         }
     }
+
+    /**
+     * Set the gain of one equalizer band, keeping the other bands (a preset becomes a custom EQ)
+     * @param {number} band - Band index (0-14, see EQ_BAND_FREQUENCIES)
+     * @param {number} gain - Gain within EQ_GAIN_LIMITS; 0 leaves the band untouched
+     * @param {Object} player - Shoukaku player instance
+     * @returns {Promise<boolean>} Success status (false for an invalid band or gain)
+     */
+    async setEqualizerBand(band, gain, player) {
+        this._endAutoChain();
+        if (!this._isValidBand({ band, gain })) {
+            logger.warn(`Invalid equalizer band: ${band}=${gain}`, { guildId: this.guildId });
+            return false;
+        }
+
+        try {
+            const bands = this.filters.equalizer.filter(entry => entry.band !== band);
+            // Floating point steps (0.05 + 0.05 + ...) are rounded so gains display cleanly
+            const rounded = Math.round(gain * 100) / 100;
+            if (rounded !== 0) bands.push({ band, gain: rounded });
+            bands.sort((a, b) => a.band - b.band);
+
+            const clearedFilters = bands.length > 0 ? this._clearConflictingFilters('equalizer') : [];
+            this.filters.equalizer = bands;
+
+            logger.info(`Set equalizer band ${band} to ${rounded}`, { guildId: this.guildId, clearedFilters });
+            return await this.applyFilters(player);
+        } catch (error) {
+            logger.error('Failed to set equalizer band', error, { guildId: this.guildId });
+            return false;
+        }
+    }
+
+    /**
+     * Remove the equalizer (preset or custom bands) without touching other filters
+     * @param {Object} player - Shoukaku player instance
+     * @returns {Promise<boolean>} Success status
+     */
+    async clearEqualizer(player) {
+        this._endAutoChain();
+        this.filters.equalizer = [];
+        logger.info('Cleared equalizer', { guildId: this.guildId });
+        return this.applyFilters(player);
+    }
+
+    /**
+     * Gain of every equalizer band, 0 for bands the current EQ leaves alone
+     * @returns {number[]} 15 gains indexed by band
+     */
+    getEqualizerGains() {
+        const gains = new Array(EQ_BAND_FREQUENCIES.length).fill(0);
+        for (const { band, gain } of this.filters.equalizer) {
+            gains[band] = gain;
+        }
+        return gains;
+    }
+
+    /**
+     * Active filters as a plain object that can be saved and applied again with applyFilterChain
+     * @returns {Object} Filter key → settings (inactive filters left out)
+     */
+    getFilterChain() {
+        const chain = {};
+        for (const type of this.getActiveFilters()) {
+            chain[type] = structuredClone(this.filters[type]);
+        }
+        return chain;
+    }
+
+    /**
+     * Replace all filters with a saved chain (FilterPreset)
+     * @param {Object} chain - getFilterChain() result
+     * @param {Object} player - Shoukaku player instance
+     * @returns {Promise<boolean>} Success status (false for a chain that fails validation)
+     */
+    async applyFilterChain(chain, player) {
+        this._endAutoChain();
+        if (!this._isValidChain(chain)) {
+            logger.warn('Invalid filter chain', { guildId: this.guildId, filters: Object.keys(chain || {}) });
+            return false;
+        }
+
+        this._replaceFilters(chain);
+        logger.info('Applied filter chain', { guildId: this.guildId, filters: Object.keys(chain) });
+        return this.applyFilters(player);
+    }
+
+    /**
+     * Apply a member's default chain while their track plays, remembering the filters it replaces.
+     * A chain that is already applied for the same member is left alone.
+     * @param {string} userId - Member whose default chain this is
+     * @param {Object} chain - Saved chain
+     * @param {Object} player - Shoukaku player instance
+     * @returns {Promise<boolean>} Success status
+     */
+    async applyAutoChain(userId, chain, player) {
+        if (this.autoChain?.userId === userId) return true;
+        if (!this._isValidChain(chain)) {
+            logger.warn('Invalid default filter chain', { guildId: this.guildId, userId });
+            return false;
+        }
+
+        const previous = this.autoChain ? this.autoChain.previous : this.getFilterChain();
+        this._replaceFilters(chain);
+        this.autoChain = { userId, previous };
+
+        logger.info('Applied default filter chain', { guildId: this.guildId, userId, filters: Object.keys(chain) });
+        return this.applyFilters(player);
+    }
+
+    /**
+     * Put back the filters an automatic chain replaced (no-op when none is applied)
+     * @param {Object} player - Shoukaku player instance
+     * @returns {Promise<boolean>} Success status
+     */
+    async releaseAutoChain(player) {
+        if (!this.autoChain) return true;
+
+        const { userId, previous } = this.autoChain;
+        this.autoChain = null;
+        this._replaceFilters(previous);
+
+        logger.info('Restored filters after default filter chain', { guildId: this.guildId, userId });
+        return this.applyFilters(player);
+    }
+
+    /**
+     * A manual change takes over the filters an automatic chain applied
+     * @private
+     */
+    _endAutoChain() {
+        this.autoChain = null;
+    }
+
+    /**
+     * Reset every filter, then set the ones in a chain
+     * @param {Object} chain - Validated chain
+     * @private
+     */
+    _replaceFilters(chain) {
+        for (const type of Object.keys(this.filters)) {
+            this.filters[type] = type === 'equalizer' ? [] : null;
+        }
+        for (const [type, settings] of Object.entries(chain)) {
+            this.filters[type] = structuredClone(settings);
+        }
+    }
+
+    /**
+     * @param {{band: number, gain: number}} entry
+     * @returns {boolean} Whether the band index and gain are within Lavalink's limits
+     * @private
+     */
+    _isValidBand({ band, gain }) {
+        const [min, max] = EQ_GAIN_LIMITS;
+        return (
+            Number.isInteger(band) &&
+            band >= 0 &&
+            band < EQ_BAND_FREQUENCIES.length &&
+            Number.isFinite(gain) &&
+            gain >= min &&
+            gain <= max
+        );
+    }
+
+    /**
+     * Check a saved chain before applying it: known filters only, values within range
+     * @param {Object} chain
+     * @returns {boolean}
+     * @private
+     */
+    _isValidChain(chain) {
+        if (!chain || typeof chain !== 'object' || Array.isArray(chain)) return false;
+
+        return Object.entries(chain).every(([type, settings]) => {
+            if (!(type in this.filters)) return false;
+            if (type === 'equalizer') {
+                return Array.isArray(settings) && settings.every(entry => this._isValidBand(entry));
+            }
+            if (!settings || typeof settings !== 'object') return false;
+
+            const values = Object.entries(settings);
+            if (type === 'timescale') {
+                return values.every(([, value]) => Number.isFinite(value) && value > 0);
+            }
+            if (type === 'karaoke') {
+                return values.every(([, value]) => Number.isFinite(value));
+            }
+            return values.every(([key, value]) => {
+                const [min, max] = FILTER_LIMITS[type]?.[key] || [];
+                return min !== undefined && Number.isFinite(value) && value >= min && value <= max;
+            });
+        });
+    }
+
+    /**
+     * Set tremolo (volume oscillation)
+     * @param {Object|null} options - { frequency?, depth? }, or null to disable
+     * @param {Object} player - Shoukaku player instance
+     * @returns {Promise<boolean>} Success status
+     */
+    async setTremolo(options, player) {
+        return this._setParameterizedFilter('tremolo', options, player);
+    }
+
+    /**
+     * Set vibrato (pitch oscillation)
+     * @param {Object|null} options - { frequency?, depth? }, or null to disable
+     * @param {Object} player - Shoukaku player instance
+     * @returns {Promise<boolean>} Success status
+     */
+    async setVibrato(options, player) {
+        return this._setParameterizedFilter('vibrato', options, player);
+    }
+
+    /**
+     * Set rotation (audio panning around the stereo field, what the 8D preset uses)
+     * @param {Object|null} options - { rotationHz? }, or null to disable
+     * @param {Object} player - Shoukaku player instance
+     * @returns {Promise<boolean>} Success status
+     */
+    async setRotation(options, player) {
+        return this._setParameterizedFilter('rotation', options, player);
+    }
+
+    /**
+     * Set distortion
+     * @param {Object|null} options - { sinOffset?, sinScale?, cosOffset?, cosScale?, tanOffset?, tanScale?, offset?, scale? }, or null to disable
+     * @param {Object} player - Shoukaku player instance
+     * @returns {Promise<boolean>} Success status
+     */
+    async setDistortion(options, player) {
+        return this._setParameterizedFilter('distortion', options, player);
+    }
+
+    /**
+     * Set channel mix (left/right mixing factors; all 0.5 makes the audio mono)
+     * @param {Object|null} options - { leftToLeft?, leftToRight?, rightToLeft?, rightToRight? }, or null to disable
+     * @param {Object} player - Shoukaku player instance
+     * @returns {Promise<boolean>} Success status
+     */
+    async setChannelMix(options, player) {
+        return this._setParameterizedFilter('channelMix', options, player);
+    }
+
+    /**
+     * Set low pass (suppresses higher frequencies)
+     * @param {Object|null} options - { smoothing? }, or null to disable
+     * @param {Object} player - Shoukaku player instance
+     * @returns {Promise<boolean>} Success status
+     */
+    async setLowPass(options, player) {
+        return this._setParameterizedFilter('lowPass', options, player);
+    }
+
+    /**
+     * Enable, adjust or disable one of the FILTER_DEFAULTS filters.
+     * Provided values are merged into the current settings (like setTimescale); a channel mix
+     * that ends up as the identity mix is disabled instead of sent.
+     * @param {string} type - Filter key (tremolo, vibrato, rotation, distortion, channelMix, lowPass)
+     * @param {Object|null} options - Settings to change, or null to disable
+     * @param {Object} player - Shoukaku player instance
+     * @returns {Promise<boolean>} Success status (false for out-of-range values)
+     * @private
+     */
+    async _setParameterizedFilter(type, options, player) {
+        this._endAutoChain();
+        try {
+            if (options === null) {
+                this.filters[type] = null;
+                logger.info(`Disabled ${type} filter`, { guildId: this.guildId });
+                return await this.applyFilters(player);
+            }
+
+            const limits = FILTER_LIMITS[type];
+            const merged = { ...(this.filters[type] || FILTER_DEFAULTS[type]) };
+            for (const [key, value] of Object.entries(options)) {
+                if (value === undefined || value === null) continue;
+                const [min, max] = limits[key] || [];
+                if (min === undefined || !Number.isFinite(value) || value < min || value > max) {
+                    logger.warn(`Invalid ${type} setting: ${key}=${value}`, { guildId: this.guildId });
+                    return false;
+                }
+                merged[key] = value;
+            }
+
+            const isIdentityMix =
+                type === 'channelMix' &&
+                Object.entries(FILTER_DEFAULTS.channelMix).every(
+                    ([key, value]) => Math.abs(merged[key] - value) < 0.001
+                );
+            if (isIdentityMix) {
+                this.filters.channelMix = null;
+                logger.info('Reset channelMix filter', { guildId: this.guildId });
+            } else {
+                const clearedFilters = this._clearConflictingFilters(type);
+                this.filters[type] = merged;
+
+                logger.info(`Set ${type} filter`, {
+                    guildId: this.guildId,
+                    settings: merged,
+                    clearedFilters
+                });
+            }
+
+            return await this.applyFilters(player);
+        } catch (error) {
+            logger.error(`Failed to set ${type} filter`, error, { guildId: this.guildId });
+            return false;
+        }
+    }
 }
 
 // Export constants for backward compatibility
-export { EQ_PRESETS, CONFLICTING_FILTERS };
+export { EQ_PRESETS, EQ_BAND_FREQUENCIES, EQ_GAIN_LIMITS, CONFLICTING_FILTERS, FILTER_DEFAULTS, FILTER_LIMITS };
 export default FilterManager;
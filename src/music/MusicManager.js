@@ -14,12 +14,32 @@
 import { Shoukaku, Connectors } from 'shoukaku';
 import { EventEmitter } from 'events';
 import logger from '../utils/logger.js';
-import { TIME, MEMORY, MUSIC_MANAGER, SEARCH_PREFIXES, SOURCE_PRIORITY, PLATFORM_NAMES } from '../utils/constants.js';
+import {
+    TIME,
+    MEMORY,
+    MUSIC_MANAGER,
+    QUEUE_SNAPSHOT,
+    SEARCH_PREFIXES,
+    SOURCE_PRIORITY,
+    PLATFORM_NAMES
+} from '../utils/constants.js';
 import CircuitBreaker from '../utils/CircuitBreaker.js';
 import { withTimeout } from '../utils/resilience.js';
+import { filterSearchResult } from '../utils/content-filter.js';
 import { SearchCache } from './SearchCache.js';
 import { NodeHealthMonitor } from './NodeHealthMonitor.js';
 import { EnhancedQueue } from './EnhancedQueue.js';
+import QueueSnapshot from '../database/models/QueueSnapshot.js';
+import LavalinkNode from '../database/models/LavalinkNode.js';
+import {
+    NodeChangeError,
+    NodeNotFoundError,
+    LavalinkNodeUnavailableError,
+    QueueCapacityError,
+    NoSearchResultsError
+} from '../utils/errors.js';
+import { rememberResumeSession } from '../events/autoResumeHandler.js';
+import { t, getGuildLocale } from '../utils/i18n.js';
 
 // FIX-L04: Module-level cache for dynamic imports used in createQueue
 let _GuildSettingsModule = null;
@@ -112,7 +132,11 @@ export class MusicManager extends EventEmitter {
             logger.debug('Loaded Lavalink authentication from environment variables');
         }
 
-        this.shoukaku = new Shoukaku(new Connectors.DiscordJS(client), lavalinkNodes, {
+        // Nodes added or removed at runtime (/nodes add|remove) are layered over config.json
+        this.configNodeNames = new Set(lavalinkNodes.map(node => node.name));
+        const activeNodes = this._applyNodeOverrides(lavalinkNodes);
+
+        this.shoukaku = new Shoukaku(new Connectors.DiscordJS(client), activeNodes, {
             moveOnDisconnect: true,
             resume: true,
             resumeTimeout: config.lavalink.resumeTimeout || 60,
@@ -131,6 +155,7 @@ export class MusicManager extends EventEmitter {
         });
 
         this._setupEventListeners();
+        this._restoreNodeBlacklist();
         this._backgroundTasksStarted = false;
 
         logger.info('MusicManager initialized with advanced features');
@@ -154,6 +179,10 @@ export class MusicManager extends EventEmitter {
      */
     _setupEventListeners() {
         this.shoukaku.on('ready', name => {
+            if (!this.shoukaku.nodes.has(name)) {
+                logger.debug(`Ignoring reconnect of removed Lavalink node "${name}"`);
+                return;
+            }
             logger.info(`✅ Lavalink node "${name}" is ready`);
             this.emit('nodeReady', name);
         });
@@ -226,7 +255,7 @@ export class MusicManager extends EventEmitter {
                 }
             }
 
-            // Enhanced cleanup with retry
+            // Move what Shoukaku could not to a healthy node
             this._handleNodeDisconnect(name, moved);
         });
 
@@ -242,7 +271,13 @@ export class MusicManager extends EventEmitter {
     }
 
     /**
-     * Handle node disconnection with smart recovery
+     * Handle node disconnection with smart recovery.
+     * Shoukaku only emits `disconnect` once it has given up reconnecting, and its own player move
+     * fails for a dead node (it destroys the player there first), so the queues still pointing at
+     * the node are moved to the best remaining node here. A queue is only destroyed when no node
+     * is left or the move fails.
+     * @param {string} nodeName - Node that went down
+     * @param {number} moved - Players Shoukaku managed to move itself
      * @private
      */
     async _handleNodeDisconnect(nodeName, moved) {
@@ -279,36 +314,128 @@ export class MusicManager extends EventEmitter {
             }
         }
 
-        // MM-H02: Parallel recovery with concurrency limiter (max 10 concurrent)
-        const MAX_CONCURRENCY = 10;
+        logger.info(`Recovering ${affectedGuilds.length} queue(s) from node "${nodeName}"`, { movedByShoukaku: moved });
+
         const recoverGuild = async guildId => {
             // BUG-050: Check if queue still exists before accessing it
-            let queue = this.queues.get(guildId);
+            const queue = this.queues.get(guildId);
             if (!queue) return;
 
-            if (moved) {
-                // Node was moved, try to reconnect
+            const targetNode = this.nodeMonitor.getBestNode(this.shoukaku, [nodeName]);
+            if (!targetNode) {
+                // No node left to move to, clean up
+                logger.warn(`No healthy node to move guild ${guildId} to, destroying queue`);
+                await this.destroyQueue(guildId);
+                return;
+            }
+
+            if (!queue.player) {
+                // A connect in flight picks a live node by itself
+                if (queue._isConnecting) return;
+
+                // Never got a player on the dead node: connect from scratch
                 logger.info(`Attempting to recover queue for guild ${guildId}`);
                 try {
                     await queue.reconnect();
-
-                    // BUG-N13: TOCTOU re-check after await
-                    queue = this.queues.get(guildId);
-                    if (!queue) return;
                 } catch (error) {
                     logger.error(`Failed to recover queue for guild ${guildId}`, error);
+                    // BUG-N13: TOCTOU re-check after await
                     if (this.queues.has(guildId)) {
                         await this.destroyQueue(guildId);
                     }
                 }
-            } else {
-                // Node permanently down, clean up
-                if (this.queues.has(guildId)) {
-                    await this.destroyQueue(guildId);
-                }
+                return;
             }
+
+            await this.migrateQueue(guildId, targetNode, { reason: 'failover' });
         };
 
+        const results = await this._runWithConcurrency(affectedGuilds, recoverGuild);
+        const failedCount = results.filter(r => r.status === 'rejected').length;
+        if (failedCount > 0) {
+            logger.warn(`Node disconnect recovery: ${failedCount}/${affectedGuilds.length} guild(s) failed`);
+        }
+    }
+
+    /**
+     * Move a guild's player to another node, keeping the current track, position, volume and filters.
+     * After a failover the queue is destroyed if the move fails, as it would have been without migration;
+     * a drain leaves the player playing on its current node instead.
+     * @param {string} guildId - Guild ID
+     * @param {Object} targetNode - Shoukaku node to move to
+     * @param {Object} [options]
+     * @param {string} [options.reason='failover'] - 'failover' or 'drain' (picks the notice shown to listeners)
+     * @param {boolean} [options.destroyOnFailure=true] - Destroy the queue when the move fails
+     * @returns {Promise<boolean>} Whether the player moved
+     */
+    async migrateQueue(guildId, targetNode, { reason = 'failover', destroyOnFailure = true } = {}) {
+        const queue = this.queues.get(guildId);
+        if (!queue?.player) return false;
+
+        try {
+            return await queue.moveToNode(targetNode, { reason });
+        } catch (error) {
+            logger.error(`Failed to move guild ${guildId} to node "${targetNode?.name}"`, error);
+            // BUG-N13: TOCTOU re-check after await
+            if (destroyOnFailure && this.queues.has(guildId)) {
+                await this.destroyQueue(guildId);
+            }
+            return false;
+        }
+    }
+
+    /**
+     * Move every player off a node ahead of maintenance.
+     * The node is blacklisted first so nothing new lands on it while the players move.
+     * Players that fail to move keep playing on the node.
+     * @param {string} nodeName - Node to drain
+     * @param {number} [blacklistMs] - How long the node stays out of node selection
+     * @returns {Promise<{moved: number, failed: number, total: number, targetless: boolean}>}
+     *   `targetless` is set when no other node could take the players (nothing was moved)
+     */
+    async drainNode(nodeName, blacklistMs = MUSIC_MANAGER.DRAIN_BLACKLIST_MS) {
+        const guildIds = [...this.queues.entries()]
+            .filter(([, queue]) => queue.player?.node?.name === nodeName)
+            .map(([guildId]) => guildId);
+
+        if (!this.nodeMonitor.getBestNode(this.shoukaku, [nodeName])) {
+            return { moved: 0, failed: 0, total: guildIds.length, targetless: true };
+        }
+
+        this.nodeMonitor.blacklistNode(nodeName, 'drain', blacklistMs);
+
+        let moved = 0;
+        const results = await this._runWithConcurrency(guildIds, async guildId => {
+            // Re-pick per player so the load spreads over the remaining nodes
+            const targetNode = this.nodeMonitor.getBestNode(this.shoukaku, [nodeName]);
+            const migrated =
+                targetNode &&
+                (await this.migrateQueue(guildId, targetNode, { reason: 'drain', destroyOnFailure: false }));
+            if (migrated) {
+                moved++;
+            }
+        });
+
+        const failed = guildIds.length - moved;
+        logger.info(`Drained node "${nodeName}"`, {
+            moved,
+            failed,
+            errors: results.filter(r => r.status === 'rejected').length
+        });
+        return { moved, failed, total: guildIds.length, targetless: false };
+    }
+
+    /**
+     * Run an async task per guild with a bounded number running at once
+     * @param {string[]} guildIds - Guild IDs to process
+     * @param {Function} task - Async task receiving a guild ID
+     * @returns {Promise<PromiseSettledResult[]>} Settled results, in guild order
+     * @private
+     */
+    async _runWithConcurrency(guildIds, task) {
+        // MM-H02: Parallel recovery with concurrency limiter
+        const MAX_CONCURRENCY = MUSIC_MANAGER.MIGRATION_CONCURRENCY;
+
         // Semaphore-based concurrency limiter with proper waiter queue
         let activeCount = 0;
         const waitQueue = [];
@@ -328,20 +455,195 @@ export class MusicManager extends EventEmitter {
             }
         };
 
-        const tasks = affectedGuilds.map(async guildId => {
+        const tasks = guildIds.map(async guildId => {
             await acquireSlot();
             try {
-                await recoverGuild(guildId);
+                await task(guildId);
             } finally {
                 releaseSlot();
             }
         });
 
-        const results = await Promise.allSettled(tasks);
-        const failedCount = results.filter(r => r.status === 'rejected').length;
-        if (failedCount > 0) {
-            logger.warn(`Node disconnect recovery: ${failedCount}/${affectedGuilds.length} guild(s) failed`);
+        return Promise.allSettled(tasks);
+    }
+
+    /**
+     * Lavalink node options for Shoukaku from a runtime-added node
+     * @param {Object} node - { name, url, auth, secure }
+     * @returns {Object}
+     * @private
+     */
+    _toNodeOptions({ name, url, auth, secure }) {
+        return { name, url, auth, secure: Boolean(secure) };
+    }
+
+    /**
+     * Apply stored node changes to the config.json node list
+     * @param {Object[]} configNodes - Nodes from config.json
+     * @returns {Object[]} Nodes to connect to
+     * @private
+     */
+    _applyNodeOverrides(configNodes) {
+        const overrides = LavalinkNode.list();
+        const removed = new Set(overrides.filter(node => node.removed).map(node => node.name));
+        const added = overrides
+            .filter(node => {
+                if (node.removed || this.configNodeNames.has(node.name)) return false;
+                if (!node.auth) {
+                    // Never hand LAVALINK_PASSWORD to an address someone typed in
+                    logger.warn(`Skipping runtime Lavalink node "${node.name}" without a password`);
+                    return false;
+                }
+                return true;
+            })
+            .map(node => this._toNodeOptions(node));
+        const nodes = [...configNodes.filter(node => !removed.has(node.name)), ...added];
+
+        if (nodes.length === 0) {
+            // Never start without nodes because of stale removals
+            logger.warn('Every Lavalink node was removed at runtime, falling back to config.json nodes');
+            return configNodes;
+        }
+
+        if (overrides.length > 0) {
+            logger.info('Applied runtime Lavalink node changes', { added: added.length, removed: removed.size });
+        }
+        return nodes;
+    }
+
+    /**
+     * Reload blacklist entries that outlived the last restart and keep the table in sync afterwards
+     * @private
+     */
+    _restoreNodeBlacklist() {
+        for (const entry of LavalinkNode.listBlacklist()) {
+            this.nodeMonitor.blacklistNode(entry.name, entry.reason, entry.blacklistedAt + entry.duration - Date.now());
+        }
+
+        this.nodeMonitor.on('nodeBlacklisted', ({ name, reason, blacklistedAt, duration }) => {
+            LavalinkNode.saveBlacklist(name, { reason, blacklistedAt, duration });
+        });
+        this.nodeMonitor.on('nodeUnblacklisted', ({ name }) => {
+            LavalinkNode.deleteBlacklist(name);
+        });
+    }
+
+    /**
+     * Connect to a new Lavalink node and remember it across restarts
+     * @param {Object} node
+     * @param {string} node.name - Unique node name
+     * @param {string} node.url - host:port
+     * @param {string} node.auth - Password of that node (LAVALINK_PASSWORD is never sent to it)
+     * @param {boolean} [node.secure=false] - Use TLS
+     * @param {string} updatedBy - Who added it (user ID or 'api')
+     * @throws {NodeChangeError} If the name is taken, the URL is not host:port or the password is missing
+     */
+    addNode({ name, url, auth = null, secure = false }, updatedBy) {
+        if (typeof name !== 'string' || !name.trim() || name.length > MUSIC_MANAGER.NODE_NAME_MAX_LENGTH) {
+            throw new NodeChangeError('name_length', { max: MUSIC_MANAGER.NODE_NAME_MAX_LENGTH });
+        }
+        if (this.shoukaku.nodes.has(name)) {
+            throw new NodeChangeError('exists', { name });
+        }
+        if (typeof url !== 'string' || !/^[^\s:/]+:\d{1,5}$/.test(url)) {
+            throw new NodeChangeError('url', {}, 'url');
+        }
+        if (typeof auth !== 'string' || !auth) {
+            throw new NodeChangeError('password_required', {}, 'password');
+        }
+
+        this.shoukaku.addNode(this._toNodeOptions({ name, url, auth, secure }));
+        LavalinkNode.saveAdded({ name, url, auth, secure }, updatedBy);
+
+        logger.info(`➕ Lavalink node "${name}" added at runtime`, { url, secure: Boolean(secure), updatedBy });
+    }
+
+    /**
+     * Move players off a node, disconnect it and keep it out of the pool across restarts
+     * @param {string} name - Node name
+     * @param {string} updatedBy - Who removed it (user ID or 'api')
+     * @returns {Promise<{moved: number, failed: number, total: number}>} Drain result
+     * @throws {NodeNotFoundError} If the node does not exist
+     * @throws {NodeChangeError} If it is the last node, or some of its players could not be moved
+     */
+    async removeNode(name, updatedBy) {
+        const node = this.shoukaku.nodes.get(name);
+        if (!node) {
+            throw new NodeNotFoundError(name);
         }
+        if (this.shoukaku.nodes.size <= 1) {
+            throw new NodeChangeError('last_node');
+        }
+
+        const drained = await this.drainNode(name);
+        if (drained.targetless && drained.total > 0) {
+            throw new NodeChangeError('no_target', { name, count: drained.total });
+        }
+        if (drained.failed > 0) {
+            // Those players are still playing on the node; removing it now would cut them off
+            throw new NodeChangeError('move_failed', { name, failed: drained.failed, total: drained.total });
+        }
+
+        // Shoukaku 4.3 reconnects any node whose socket closes, removed ones included (Node#close
+        // always calls connect()), and reconnectTries/reconnectInterval are shared by every node.
+        // Once out of shoukaku.nodes it gets no players; the ready handler ignores it if it comes back.
+        // Upstream: https://github.com/shipgirlproject/Shoukaku/issues
+        node.disconnect(1000, 'Removed at runtime');
+        this.shoukaku.removeNode(name, 'Removed at runtime');
+        this.nodeMonitor.forgetNode(name);
+        LavalinkNode.saveRemoved(name, this.configNodeNames.has(name), updatedBy);
+
+        logger.info(`➖ Lavalink node "${name}" removed at runtime`, { updatedBy, moved: drained.moved });
+        return { moved: drained.moved, failed: drained.failed, total: drained.total };
+    }
+
+    /**
+     * Keep a node out of node selection for a while (persists across restarts)
+     * @param {string} name - Node name
+     * @param {string} reason - Why
+     * @param {number} durationMs - How long
+     * @throws {NodeNotFoundError} If the node does not exist
+     */
+    blacklistNode(name, reason, durationMs) {
+        if (!this.shoukaku.nodes.has(name)) {
+            throw new NodeNotFoundError(name);
+        }
+        this.nodeMonitor.blacklistNode(name, reason, durationMs);
+    }
+
+    /**
+     * Put a blacklisted node back into node selection
+     * @param {string} name - Node name
+     * @returns {boolean} Whether the node was blacklisted
+     */
+    unblacklistNode(name) {
+        return this.nodeMonitor.unblacklistNode(name);
+    }
+
+    /**
+     * Node pool overview for /nodes report and the node API
+     * @returns {Object} NodeHealthMonitor report plus, per node, where it came from and its live state
+     */
+    getNodeOverview() {
+        const blacklist = new Map(this.nodeMonitor.getBlacklistStatus().map(entry => [entry.name, entry]));
+        const playersByNode = new Map();
+        for (const queue of this.queues.values()) {
+            const nodeName = queue.player?.node?.name;
+            if (nodeName) playersByNode.set(nodeName, (playersByNode.get(nodeName) || 0) + 1);
+        }
+
+        return {
+            ...this.nodeMonitor.getReport(),
+            pool: [...this.shoukaku.nodes.values()].map(node => ({
+                name: node.name,
+                source: this.configNodeNames.has(node.name) ? 'config' : 'runtime',
+                // Shoukaku v4.3.0 State: 0=CONNECTING, 1=CONNECTED, 2=DISCONNECTING, 3=DISCONNECTED
+                connected: node.state === 1,
+                state: node.state,
+                guildPlayers: playersByNode.get(node.name) || 0,
+                blacklist: blacklist.get(node.name) || null
+            }))
+        };
     }
 
     /**
@@ -609,18 +911,17 @@ export class MusicManager extends EventEmitter {
                 current: this.queues.size,
                 max: maxConcurrentQueues
             });
-            throw new Error(`Đã đạt giới hạn ${maxConcurrentQueues} hàng đợi đồng thời. Vui lòng thử lại sau.`);
+            throw new QueueCapacityError(maxConcurrentQueues);
         }
 
         // Graceful degradation: check if Lavalink is available before creating queue
         if (!this.hasAvailableNode()) {
             logger.warn('No Lavalink nodes available when creating queue', { guildId });
-            throw new Error('Hệ thống phát nhạc hiện không khả dụng. Vui lòng thử lại sau.');
+            throw new LavalinkNodeUnavailableError();
         }
 
-        const queue = new EnhancedQueue(this, guildId, voiceChannelId, textChannel);
-
-        // Apply guild settings for duplicate handling
+        // Apply guild settings: default volume, queue size limit, duplicate handling, fair share and request limits
+        const queueOptions = {};
         try {
             // FIX-L04: Cache the dynamic import so it's not re-imported on every queue creation
             if (!_GuildSettingsModule) {
@@ -629,21 +930,29 @@ export class MusicManager extends EventEmitter {
             const GuildSettings = _GuildSettingsModule;
             const guildSettings = GuildSettings.get(guildId);
 
-            // If guild doesn't allow duplicates, enable removeDuplicates
+            if (Number.isFinite(guildSettings?.defaultVolume)) {
+                queueOptions.volume = guildSettings.defaultVolume;
+            }
+            if (Number.isFinite(guildSettings?.maxQueueSize) && guildSettings.maxQueueSize > 0) {
+                queueOptions.maxQueueSize = guildSettings.maxQueueSize;
+            }
             if (guildSettings && !guildSettings.allowDuplicates) {
-                queue.setRemoveDuplicates(true);
-                logger.debug('Applied guild setting: removeDuplicates enabled', { guildId });
+                queueOptions.removeDuplicates = true;
             }
-
-            // Apply default volume from guild settings if set
-            if (guildSettings?.defaultVolume && guildSettings.defaultVolume !== 50) {
-                queue.volume = guildSettings.defaultVolume;
-                logger.debug('Applied guild setting: default volume', { guildId, volume: guildSettings.defaultVolume });
+            if (guildSettings?.fairShare) {
+                queueOptions.fairShare = true;
+                queueOptions.fairShareCap = guildSettings.fairShareCap;
+            }
+            if (guildSettings) {
+                queueOptions.requestLimits = GuildSettings.getRequestLimits(guildSettings);
             }
+            logger.debug('Applied guild settings to queue', { guildId, ...queueOptions });
         } catch (error) {
             logger.debug('Could not apply guild settings to queue', { guildId, error: error.message });
         }
 
+        const queue = new EnhancedQueue(this, guildId, voiceChannelId, textChannel, queueOptions);
+
         this.queues.set(guildId, queue);
         logger.music('Queue created', { guildId, totalQueues: this.queues.size });
         return queue;
@@ -681,9 +990,24 @@ export class MusicManager extends EventEmitter {
      * @param {string} query - Search query
      * @param {User} requester - User who requested
      * @param {Object} options - Search options
+     * @param {string} [options.guildId] - Drop tracks blocked by this guild's content filter
      * @returns {Promise<Object>} Search results
      */
     async search(query, requester, options = {}) {
+        const result = await this._cachedSearch(query, requester, options);
+        // Cached results stay unfiltered; each guild's filter is applied on the way out
+        return options.guildId ? filterSearchResult(result, query, options.guildId) : result;
+    }
+
+    /**
+     * Search with caching and in-flight deduplication (no content filtering)
+     * @param {string} query - Search query
+     * @param {User} requester - User who requested
+     * @param {Object} options - Search options
+     * @returns {Promise<Object>} Search results
+     * @private
+     */
+    async _cachedSearch(query, requester, options) {
         this.metrics.totalSearches++;
 
         // Graceful degradation: return empty results when Lavalink is down
@@ -694,7 +1018,7 @@ export class MusicManager extends EventEmitter {
                 tracks: [],
                 playlistInfo: null,
                 error: 'SERVICE_UNAVAILABLE',
-                message: 'Hệ thống tìm kiếm nhạc hiện không khả dụng. Vui lòng thử lại sau.'
+                message: t('error.search_unavailable', getGuildLocale(options.guildId))
             };
         }
 
@@ -819,7 +1143,7 @@ export class MusicManager extends EventEmitter {
                 const node = this.nodeMonitor.getBestNode(this.shoukaku);
 
                 if (!node) {
-                    throw new Error('Không có Lavalink node khả dụng');
+                    throw new LavalinkNodeUnavailableError();
                 }
 
                 const searchTimeoutMs = this.config?.music?.searchTimeoutMs || MUSIC_MANAGER.SEARCH_TIMEOUT_MS;
@@ -906,7 +1230,7 @@ export class MusicManager extends EventEmitter {
         }
 
         this.metrics.errors++;
-        throw lastError || new Error('Không tìm thấy bài hát từ bất kỳ nguồn nào');
+        throw lastError || new NoSearchResultsError(query);
     }
 
     /**
@@ -924,7 +1248,7 @@ export class MusicManager extends EventEmitter {
         try {
             const primaryNode = this.nodeMonitor.getBestNode(this.shoukaku);
             if (!primaryNode) {
-                throw new Error('Không có Lavalink node khả dụng');
+                throw new LavalinkNodeUnavailableError();
             }
 
             const searchTimeoutMs = this.config?.music?.searchTimeoutMs || MUSIC_MANAGER.SEARCH_TIMEOUT_MS;
@@ -1301,6 +1625,110 @@ export class MusicManager extends EventEmitter {
         });
     }
 
+    /**
+     * Create a queue from a stored snapshot and resume playback at the saved position
+     * @param {Object} snapshot - Snapshot from EnhancedQueue#toSnapshot()
+     * @param {string} voiceChannelId - Voice channel to join
+     * @param {TextChannel|null} textChannel - Text channel for notifications
+     * @returns {Promise<EnhancedQueue>}
+     */
+    async resumeFromSnapshot(snapshot, voiceChannelId, textChannel) {
+        const queue = await this.createQueue(snapshot.guildId, voiceChannelId, textChannel);
+        queue.restoreSnapshot(snapshot);
+        await queue.connect();
+
+        const started = await queue.play(snapshot.current || undefined);
+        if (started && snapshot.current && snapshot.position > 0 && snapshot.current.info?.isSeekable) {
+            await queue.seek(snapshot.position);
+        }
+        if (started && snapshot.paused) {
+            await queue.pause();
+        }
+
+        return queue;
+    }
+
+    /**
+     * Restore queues persisted before the last shutdown or crash.
+     * Rejoins each saved voice channel and resumes the current track at its saved position.
+     * Call only after a Lavalink node is ready.
+     * @returns {Promise<{restored: number, skipped: number, failed: number}>}
+     */
+    async restoreQueues() {
+        const result = { restored: 0, skipped: 0, failed: 0 };
+
+        QueueSnapshot.cleanup(QUEUE_SNAPSHOT.MAX_AGE_MS);
+        const snapshots = QueueSnapshot.getAll();
+        if (snapshots.length === 0) {
+            return result;
+        }
+
+        logger.info(`Restoring ${snapshots.length} persisted queue(s)`);
+
+        if (!_GuildSettingsModule) {
+            _GuildSettingsModule = (await import('../database/models/GuildSettings.js')).default;
+        }
+        const GuildSettings = _GuildSettingsModule;
+
+        for (const snapshot of snapshots) {
+            const { guildId } = snapshot;
+
+            try {
+                if (this.queues.has(guildId) || (!snapshot.current && snapshot.tracks.length === 0)) {
+                    result.skipped++;
+                    continue;
+                }
+
+                const guild = this.client.guilds.cache.get(guildId);
+                const voiceChannel = guild?.channels.cache.get(snapshot.voiceChannelId);
+                if (!voiceChannel) {
+                    QueueSnapshot.delete(guildId);
+                    result.skipped++;
+                    continue;
+                }
+
+                // Don't rejoin an empty channel unless the guild keeps the bot around 24/7.
+                // Requesters with autoResume get the session offered back when they rejoin instead.
+                const hasListeners = voiceChannel.members?.some(member => !member.user.bot);
+                if (!hasListeners && !GuildSettings.get(guildId)?.twentyFourSeven) {
+                    const requesters = [snapshot.current, ...snapshot.tracks].map(track => track?.requester);
+                    rememberResumeSession(snapshot, requesters);
+                    QueueSnapshot.delete(guildId);
+                    result.skipped++;
+                    continue;
+                }
+
+                const textChannel = snapshot.textChannelId
+                    ? guild.channels.cache.get(snapshot.textChannelId) || null
+                    : null;
+
+                const queue = await this.resumeFromSnapshot(snapshot, voiceChannel.id, textChannel);
+
+                if (textChannel) {
+                    const total = queue.tracks.length + (queue.current ? 1 : 0);
+                    textChannel.send(t('player.queue_restored', queue.locale, { count: total })).catch(() => {});
+                }
+
+                result.restored++;
+                logger.music('Queue restored from snapshot', {
+                    guildId,
+                    tracks: queue.tracks.length,
+                    position: snapshot.position
+                });
+            } catch (error) {
+                result.failed++;
+                logger.error('Failed to restore queue from snapshot', { guildId, error: error.message });
+                await this.destroyQueue(guildId).catch(() => {});
+                QueueSnapshot.delete(guildId);
+            }
+
+            await new Promise(resolve => setTimeout(resolve, QUEUE_SNAPSHOT.RESTORE_STAGGER_MS));
+        }
+
+        logger.info('Queue restore completed', result);
+        return result;
+    }
+
     /**
      * Warm cache with popular tracks
      * @param {number} topN - Number of top tracks to preload
@@ -1499,7 +1927,13 @@ export class MusicManager extends EventEmitter {
         for (const guildId of guildIds) {
             const queue = this.queues.get(guildId);
             if (queue) {
-                promises.push(queue.destroy().catch(err => logger.error(`Error destroying queue ${guildId}`, err)));
+                // Persist before teardown so the queue can be restored on next startup
+                queue.saveSnapshot();
+                promises.push(
+                    queue
+                        .destroy({ preserveSnapshot: true })
+                        .catch(err => logger.error(`Error destroying queue ${guildId}`, err))
+                );
             }
         }
 
@@ -187,15 +187,16 @@ export class NodeHealthMonitor extends EventEmitter {
      * Get the best available node based on load
      * Excludes blacklisted nodes from selection
      * @param {Shoukaku} shoukaku - Shoukaku instance
+     * @param {string[]} [excludeNames=[]] - Nodes that must not be picked, even as a last resort (e.g. the node being left)
      * @returns {Node|null} Best available node
      */
-    getBestNode(shoukaku) {
+    getBestNode(shoukaku, excludeNames = []) {
         let bestNode = null;
         let lowestLoad = Infinity;
 
         for (const [name, stats] of this.nodeStats) {
             // Skip disconnected nodes
-            if (!stats.connected) continue;
+            if (!stats.connected || excludeNames.includes(name)) continue;
 
             // Skip blacklisted nodes
             if (this.isBlacklisted(name)) {
@@ -221,14 +222,16 @@ export class NodeHealthMonitor extends EventEmitter {
         if (!bestNode && shoukaku && shoukaku.nodes) {
             // State 2 = CONNECTED in Shoukaku v4
             bestNode = [...shoukaku.nodes.values()].find(node => {
-                return node.state === 1 && !this.isBlacklisted(node.name); // 1 = CONNECTED in Shoukaku v4.3.0
+                return node.state === 1 && !excludeNames.includes(node.name) && !this.isBlacklisted(node.name); // 1 = CONNECTED in Shoukaku v4.3.0
             });
         }
 
         // Last resort: If all nodes are blacklisted, try to find any connected node
         // This prevents complete service outage when all nodes have issues
         if (!bestNode && shoukaku && shoukaku.nodes) {
-            const anyConnected = [...shoukaku.nodes.values()].find(node => node.state === 1); // 1 = CONNECTED in Shoukaku v4.3.0
+            const anyConnected = [...shoukaku.nodes.values()].find(
+                node => node.state === 1 && !excludeNames.includes(node.name)
+            ); // 1 = CONNECTED in Shoukaku v4.3.0
             if (anyConnected) {
                 logger.warn('All nodes blacklisted, using any available node as last resort', {
                     node: anyConnected.name
@@ -306,6 +309,16 @@ export class NodeHealthMonitor extends EventEmitter {
         return existed;
     }
 
+    /**
+     * Drop everything tracked for a node that left the pool
+     * @param {string} nodeName - Removed node
+     */
+    forgetNode(nodeName) {
+        this.nodeStats.delete(nodeName);
+        this.blacklist.delete(nodeName);
+        this.failureCounters.delete(nodeName);
+    }
+
     /**
      * Record a failure for a node (for auto-blacklisting)
      * @param {string} nodeName - Node name
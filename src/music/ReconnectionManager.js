@@ -9,6 +9,7 @@ import logger from '../utils/logger.js';
 import { RECONNECTION } from '../utils/constants.js';
 import { EmbedBuilder } from 'discord.js';
 import { COLORS } from '../config/design-system.js';
+import { t, getGuildLocale } from '../utils/i18n.js';
 
 /**
  * Manages reconnection logic with exponential backoff for voice channel failures
@@ -224,24 +225,28 @@ export class ReconnectionManager {
         if (!textChannel) return;
 
         try {
+            const locale = getGuildLocale(this.guildId, textChannel.guild);
             let embed;
 
             switch (status) {
                 case 'starting':
                     embed = new EmbedBuilder()
                         .setColor(COLORS.WARNING)
-                        .setTitle('🔄 Đang kết nối lại...')
-                        .setDescription('Phát hiện lỗi kết nối. Đang cố gắng kết nối lại với server nhạc...')
+                        .setTitle(t('reconnect.starting_title', locale))
+                        .setDescription(t('reconnect.starting', locale))
                         .setTimestamp();
                     break;
 
                 case 'retrying':
                     embed = new EmbedBuilder()
                         .setColor(COLORS.WARNING)
-                        .setTitle('🔄 Đang thử lại...')
+                        .setTitle(t('reconnect.retrying_title', locale))
                         .setDescription(
-                            `Lần thử ${attempt}/${maxAttempts}\n` +
-                                `⏳ Đợi ${Math.round(delay / 1000)} giây trước khi thử lại...`
+                            t('reconnect.retrying', locale, {
+                                attempt,
+                                max: maxAttempts,
+                                seconds: Math.round(delay / 1000)
+                            })
                         )
                         .setTimestamp();
                     break;
@@ -249,19 +254,16 @@ export class ReconnectionManager {
                 case 'success':
                     embed = new EmbedBuilder()
                         .setColor(COLORS.SUCCESS)
-                        .setTitle('✅ Đã kết nối lại!')
-                        .setDescription(`Kết nối thành công sau ${attempt} lần thử.\n` + 'Đang tiếp tục phát nhạc...')
+                        .setTitle(t('reconnect.success_title', locale))
+                        .setDescription(t('reconnect.success', locale, { attempt }))
                         .setTimestamp();
                     break;
 
                 case 'failed':
                     embed = new EmbedBuilder()
                         .setColor(COLORS.ERROR)
-                        .setTitle('❌ Không thể kết nối lại')
-                        .setDescription(
-                            `Đã thử ${maxAttempts} lần nhưng không thành công.\n` +
-                                'Vui lòng thử lại sau hoặc dùng lệnh /play để bắt đầu lại.'
-                        )
+                        .setTitle(t('reconnect.failed_title', locale))
+                        .setDescription(t('reconnect.failed', locale, { max: maxAttempts }))
                         .setTimestamp();
                     break;
             }
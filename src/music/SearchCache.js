@@ -130,6 +130,38 @@ export class SearchCache {
         return true;
     }
 
+    /**
+     * Find cached tracks whose title or artist contains the given text, newest searches first.
+     * Read-only: does not change LRU order or hit/miss stats.
+     * @param {string} text - Text to match (case-insensitive; empty matches everything)
+     * @param {number} [limit=10] - Maximum tracks to return
+     * @returns {Object[]} Cached tracks, unique by URI
+     */
+    findTracks(text, limit = 10) {
+        const needle = (text || '').toLowerCase();
+        const now = Date.now();
+        const seen = new Set();
+        const found = [];
+
+        for (const entry of [...this.cache.values()].reverse()) {
+            if (now - entry.timestamp > this.ttlMs) continue;
+
+            for (const track of entry.value?.tracks || []) {
+                const uri = track.info?.uri;
+                if (!uri || seen.has(uri)) continue;
+
+                const haystack = `${track.info.title || ''} ${track.info.author || ''}`.toLowerCase();
+                if (needle && !haystack.includes(needle)) continue;
+
+                seen.add(uri);
+                found.push(track);
+                if (found.length >= limit) return found;
+            }
+        }
+
+        return found;
+    }
+
     /**
      * Delete a specific key from cache
      * @param {string} key - Cache key
@@ -0,0 +1,177 @@
+/**
+ * @file TrackAnnouncer.js
+ * @description Sends the now-playing announcement when a track starts, honoring the guild's
+ * announcement mode (off / compact / full / edit) and optional announcement channel.
+ * @version 1.12.0
+ */
+
+import { PermissionFlagsBits } from 'discord.js';
+import logger from '../utils/logger.js';
+import { ANNOUNCE_MODES } from '../utils/constants.js';
+import { formatDuration } from '../utils/helpers.js';
+import { t } from '../utils/i18n.js';
+import { createNowPlayingEmbed } from '../UI/embeds/MusicEmbeds.js';
+import { createNowPlayingButtons } from '../UI/components/MusicControls.js';
+import GuildSettings from '../database/models/GuildSettings.js';
+
+/**
+ * Announces tracks for one guild queue.
+ * The live now-playing message itself is owned by ProgressTracker; this class decides
+ * whether to post a new one, edit the existing one, or post a one-line notice.
+ */
+export class TrackAnnouncer {
+    /**
+     * @param {string} guildId - Guild ID for logging context
+     */
+    constructor(guildId) {
+        this.guildId = guildId;
+    }
+
+    /**
+     * Announce the queue's current track
+     * @param {Object} queue - EnhancedQueue instance
+     * @returns {Promise<void>}
+     */
+    async announce(queue) {
+        const track = queue.current;
+        if (!track) return;
+
+        const settings = GuildSettings.get(this.guildId);
+        const mode = settings.announceMode || ANNOUNCE_MODES.EDIT;
+        const liveMessage = queue.nowPlayingMessage;
+
+        // Track loop replays the same song: never re-announce, just keep the live message ticking
+        if (queue.loop === 'track' && liveMessage) {
+            queue.startProgressUpdates();
+            return;
+        }
+
+        if (mode === ANNOUNCE_MODES.OFF) {
+            // A message the user asked for with /nowplaying keeps following playback
+            if (liveMessage) queue.startProgressUpdates();
+            return;
+        }
+
+        const channel = this._resolveChannel(queue, settings.announceChannelId);
+        if (!channel) return;
+
+        // The request channel's pinned player already shows the new track
+        if (channel.id === settings.requestChannelId) {
+            if (liveMessage) queue.startProgressUpdates();
+            return;
+        }
+
+        try {
+            switch (mode) {
+                case ANNOUNCE_MODES.COMPACT:
+                    if (liveMessage) queue.startProgressUpdates();
+                    await channel.send({
+                        content: this._formatCompact(track, queue.locale),
+                        allowedMentions: { parse: [] }
+                    });
+                    return;
+
+                case ANNOUNCE_MODES.FULL:
+                    await this._retire(liveMessage);
+                    queue.setNowPlayingMessage(await this._sendEmbed(channel, queue));
+                    return;
+
+                case ANNOUNCE_MODES.EDIT:
+                default:
+                    if (liveMessage && liveMessage.channelId === channel.id) {
+                        queue.startProgressUpdates();
+                        await queue.updateNowPlaying();
+                        return;
+                    }
+                    await this._retire(liveMessage);
+                    queue.setNowPlayingMessage(await this._sendEmbed(channel, queue));
+            }
+        } catch (error) {
+            logger.warn('Failed to announce track', {
+                guildId: this.guildId,
+                mode,
+                channelId: channel.id,
+                error: error.message
+            });
+        }
+    }
+
+    /**
+     * Pick the announcement channel, falling back to the queue's text channel
+     * when none is configured or the bot can no longer post there
+     * @param {Object} queue - EnhancedQueue instance
+     * @param {string|null} channelId - Configured announcement channel
+     * @returns {import('discord.js').TextBasedChannel|null}
+     * @private
+     */
+    _resolveChannel(queue, channelId) {
+        if (channelId) {
+            const guild = queue.textChannel?.guild ?? queue.manager?.client?.guilds?.cache.get(this.guildId);
+            const channel = guild?.channels?.cache.get(channelId);
+            const me = guild?.members?.me;
+
+            if (
+                channel?.isTextBased?.() &&
+                (!me ||
+                    channel
+                        .permissionsFor(me)
+                        ?.has([
+                            PermissionFlagsBits.ViewChannel,
+                            PermissionFlagsBits.SendMessages,
+                            PermissionFlagsBits.EmbedLinks
+                        ]))
+            ) {
+                return channel;
+            }
+
+            logger.debug('Announcement channel unavailable, using queue text channel', {
+                guildId: this.guildId,
+                channelId
+            });
+        }
+
+        return queue.textChannel || null;
+    }
+
+    /**
+     * Post a fresh now-playing embed with controls
+     * @private
+     */
+    async _sendEmbed(channel, queue) {
+        return channel.send({
+            embeds: [createNowPlayingEmbed(queue.current, queue, queue.manager.config)],
+            components: createNowPlayingButtons(queue, false)
+        });
+    }
+
+    /**
+     * Strip the controls from a now-playing message that is being replaced,
+     * so old messages don't keep stale buttons
+     * @param {import('discord.js').Message|null} message
+     * @private
+     */
+    async _retire(message) {
+        if (!message) return;
+        await message.edit({ components: [] }).catch(() => {});
+    }
+
+    /**
+     * One-line announcement for compact mode
+     * @param {Object} track - Lavalink track
+     * @param {string} locale - Locale code
+     * @returns {string}
+     * @private
+     */
+    _formatCompact(track, locale) {
+        const info = track.info || {};
+        const requester = track.requester?.id || track.requester;
+        const line = t('announce.compact', locale, {
+            title: info.title || 'Unknown',
+            author: info.author || 'Unknown',
+            duration: info.isStream ? 'LIVE' : formatDuration(info.length)
+        });
+        return typeof requester === 'string' ? `${line} • <@${requester}>` : line;
+    }
+}
+
+export default TrackAnnouncer;
@@ -0,0 +1,129 @@
+import logger from '../utils/logger.js';
+
+/**
+ * Shared ActionVoteManager — singleton service.
+ * Democratic mode counterpart of VoteSkipManager: holds the pending votes for destructive
+ * queue actions (stop, clear, shuffle, remove, jump, volume), one session per action per guild.
+ *
+ * Session shape:
+ *   { guildId, action, key, summary, perform, initiatorId, votes: Set<userId>, requiredVotes,
+ *     threshold, createdAt, message, _expiryTimer }
+ *
+ * `key` identifies what is being voted on (e.g. the track URI for remove, the level for volume),
+ * so a second request for the same thing counts as a vote instead of starting a new session.
+ * `perform(queue, context)` runs the action once the vote passes.
+ */
+
+let instance = null;
+
+class ActionVoteManager {
+    constructor() {
+        /** @type {Map<string, object>} `${guildId}:${action}` → session */
+        // Bounded by active guilds × action count; expiry timers auto-delete
+        this.sessions = new Map();
+    }
+
+    /**
+     * Create a new vote session for an action, replacing any existing one.
+     * @param {string} guildId
+     * @param {string} action - One of VOTE_ACTIONS
+     * @param {object} options
+     * @param {string}   options.key            — what is being voted on
+     * @param {string}   options.summary        — description shown on the vote message
+     * @param {Function} options.perform        — (queue, context) => Promise<string|null>
+     * @param {string}   options.initiatorId    — first voter
+     * @param {number}   options.requiredVotes
+     * @param {number}   options.threshold      — percentage of listeners required
+     * @param {number}   [options.expiresIn]    — auto-expire in ms (0 / omitted = no expiry)
+     * @returns {object} the created session
+     */
+    createSession(guildId, action, options) {
+        this.clearSession(guildId, action);
+
+        const session = {
+            guildId,
+            action,
+            key: options.key || '',
+            summary: options.summary || '',
+            perform: options.perform,
+            initiatorId: options.initiatorId,
+            votes: new Set([options.initiatorId]),
+            requiredVotes: options.requiredVotes || 1,
+            threshold: options.threshold,
+            createdAt: Date.now(),
+            message: null,
+            _expiryTimer: null
+        };
+
+        const sessionKey = `${guildId}:${action}`;
+        this.sessions.set(sessionKey, session);
+
+        if (options.expiresIn && options.expiresIn > 0) {
+            session._expiryTimer = setTimeout(() => {
+                // Only delete if the session hasn't been replaced
+                if (this.sessions.get(sessionKey) === session) {
+                    this.sessions.delete(sessionKey);
+                    // Take the vote button off the expired message
+                    session.message?.edit({ components: [] }).catch(() => {});
+                    logger.debug('ActionVoteManager', `Session expired for ${action} in guild ${guildId}`);
+                }
+            }, options.expiresIn);
+        }
+
+        return session;
+    }
+
+    /**
+     * @param {string} guildId
+     * @param {string} action
+     * @returns {object|null}
+     */
+    getSession(guildId, action) {
+        return this.sessions.get(`${guildId}:${action}`) || null;
+    }
+
+    /**
+     * Clear (delete) a session and cancel its expiry timer.
+     * @param {string} guildId
+     * @param {string} action
+     * @returns {boolean} true if a session was removed
+     */
+    clearSession(guildId, action) {
+        const sessionKey = `${guildId}:${action}`;
+        const session = this.sessions.get(sessionKey);
+        if (session?._expiryTimer) {
+            clearTimeout(session._expiryTimer);
+        }
+        return this.sessions.delete(sessionKey);
+    }
+
+    /**
+     * Clear every session (e.g. on graceful shutdown).
+     */
+    clearAll() {
+        for (const [, session] of this.sessions) {
+            if (session._expiryTimer) {
+                clearTimeout(session._expiryTimer);
+            }
+        }
+        this.sessions.clear();
+    }
+}
+
+/**
+ * Get the singleton ActionVoteManager instance.
+ * @returns {ActionVoteManager}
+ */
+export function getActionVoteManager() {
+    if (!instance) {
+        instance = new ActionVoteManager();
+    }
+    return instance;
+}
+
+export function resetActionVoteManager() {
+    if (instance) {
+        instance.clearAll();
+    }
+    instance = null;
+}
@@ -0,0 +1,242 @@
+import GuildSettings from '../database/models/GuildSettings.js';
+import { createRequestChannelEmbed } from '../UI/embeds/MusicEmbeds.js';
+import { createNowPlayingButtons } from '../UI/components/MusicControls.js';
+import { REQUEST_CHANNEL } from '../utils/constants.js';
+import { getGuildLocale } from '../utils/i18n.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Shared RequestChannelManager — singleton service.
+ * Owns the pinned player message of each guild's song request channel
+ * (GuildSettings.requestChannelId / requestMessageId) and keeps it in step with the queue.
+ *
+ * Queues call scheduleRefresh() on every state change; edits are debounced per guild so a
+ * burst of changes (playlist added, track started) becomes one message edit. When the stored
+ * message is gone (deleted, or the bot restarted and lost it), a new one is posted and pinned.
+ */
+
+let instance = null;
+
+class RequestChannelManager {
+    constructor() {
+        /** @type {Map<string, import('discord.js').Message>} guildId → player message */
+        this.messages = new Map();
+        /** @type {Map<string, NodeJS.Timeout>} guildId → pending refresh */
+        this.timers = new Map();
+        /** @type {Set<string>} guilds with a refresh in flight */
+        this.refreshing = new Set();
+    }
+
+    /**
+     * Whether a message is a guild's player message
+     * @param {string} guildId
+     * @param {string} messageId
+     * @returns {boolean}
+     */
+    isPlayerMessage(guildId, messageId) {
+        return (this.messages.get(guildId)?.id ?? GuildSettings.get(guildId).requestMessageId) === messageId;
+    }
+
+    /**
+     * Refresh a guild's player message after the debounce delay
+     * @param {import('discord.js').Client} client
+     * @param {string} guildId
+     */
+    scheduleRefresh(client, guildId) {
+        if (!client || this.timers.has(guildId)) return;
+        if (!GuildSettings.get(guildId).requestChannelId) return;
+
+        const timer = setTimeout(() => {
+            this.timers.delete(guildId);
+            this.refresh(client, guildId).catch(error => {
+                logger.warn('Request channel refresh failed', { guildId, error: error.message });
+            });
+        }, REQUEST_CHANNEL.REFRESH_DEBOUNCE_MS);
+        timer.unref?.();
+        this.timers.set(guildId, timer);
+    }
+
+    /**
+     * Bring a guild's player message up to date, posting a new one if it is missing
+     * @param {import('discord.js').Client} client
+     * @param {string} guildId
+     * @returns {Promise<void>}
+     */
+    async refresh(client, guildId) {
+        // A refresh already running reads the latest state when it edits; queue one more after it
+        if (this.refreshing.has(guildId)) {
+            this.scheduleRefresh(client, guildId);
+            return;
+        }
+
+        const settings = GuildSettings.get(guildId);
+        if (!settings.requestChannelId) return;
+
+        const guild = client.guilds.cache.get(guildId);
+        const channel = guild?.channels.cache.get(settings.requestChannelId);
+        if (!channel) {
+            // The channel was deleted while the bot was away
+            logger.info('Request channel no longer exists, disabling it', { guildId });
+            this.forget(guildId);
+            GuildSettings.set(guildId, { requestChannelId: null, requestMessageId: null });
+            return;
+        }
+
+        this.refreshing.add(guildId);
+        try {
+            const payload = this._buildPayload(client, guild);
+            let message = this.messages.get(guildId);
+            if (!message && settings.requestMessageId) {
+                message = await channel.messages.fetch(settings.requestMessageId).catch(() => null);
+            }
+
+            if (message) {
+                try {
+                    await message.edit(payload);
+                    this.messages.set(guildId, message);
+                    return;
+                } catch (error) {
+                    // 10008: Unknown Message — post a replacement below
+                    if (error.code !== 10008) throw error;
+                }
+            }
+
+            await this._post(channel, payload);
+        } finally {
+            this.refreshing.delete(guildId);
+        }
+    }
+
+    /**
+     * Make a channel the guild's request channel, replacing any previous player message
+     * @param {import('discord.js').Client} client
+     * @param {import('discord.js').TextChannel} channel
+     * @returns {Promise<import('discord.js').Message>} The new player message
+     */
+    async setup(client, channel) {
+        const guildId = channel.guild.id;
+        await this._deleteMessage(client, guildId);
+
+        GuildSettings.set(guildId, { requestChannelId: channel.id, requestMessageId: null }, channel.guild.name);
+        const message = await this._post(channel, this._buildPayload(client, channel.guild));
+
+        logger.info('Request channel set up', { guildId, channelId: channel.id, messageId: message.id });
+        return message;
+    }
+
+    /**
+     * Turn a guild's request channel off and remove its player message
+     * @param {import('discord.js').Client} client
+     * @param {string} guildId
+     * @returns {Promise<void>}
+     */
+    async disable(client, guildId) {
+        await this._deleteMessage(client, guildId);
+        GuildSettings.set(guildId, { requestChannelId: null, requestMessageId: null });
+        logger.info('Request channel disabled', { guildId });
+    }
+
+    /**
+     * Re-attach to every guild's player message after a restart
+     * @param {import('discord.js').Client} client
+     * @returns {Promise<number>} Number of guilds refreshed
+     */
+    async restoreAll(client) {
+        let restored = 0;
+        for (const guildId of GuildSettings.getRequestChannelGuilds()) {
+            if (!client.guilds.cache.has(guildId)) continue;
+            try {
+                await this.refresh(client, guildId);
+                restored++;
+            } catch (error) {
+                logger.warn('Failed to restore request channel', { guildId, error: error.message });
+            }
+        }
+        return restored;
+    }
+
+    /**
+     * Drop the cached message and pending refresh of a guild
+     * @param {string} guildId
+     */
+    forget(guildId) {
+        const timer = this.timers.get(guildId);
+        if (timer) clearTimeout(timer);
+        this.timers.delete(guildId);
+        this.messages.delete(guildId);
+    }
+
+    /**
+     * Cancel every pending refresh (e.g. on graceful shutdown)
+     */
+    clearAll() {
+        for (const timer of this.timers.values()) {
+            clearTimeout(timer);
+        }
+        this.timers.clear();
+        this.messages.clear();
+    }
+
+    /**
+     * Player message content for the guild's current queue state
+     * @private
+     */
+    _buildPayload(client, guild) {
+        const queue = client.musicManager?.getQueue(guild.id) ?? null;
+        return {
+            embeds: [createRequestChannelEmbed(queue, client.config, getGuildLocale(guild.id, guild))],
+            components: queue?.current ? createNowPlayingButtons(queue, false) : []
+        };
+    }
+
+    /**
+     * Post and pin a new player message and remember it
+     * @private
+     */
+    async _post(channel, payload) {
+        const guildId = channel.guild.id;
+        const message = await channel.send(payload);
+        // Pinning needs Manage Messages; the player still works unpinned
+        await message.pin().catch(error => {
+            logger.debug('Could not pin request channel player', { guildId, error: error.message });
+        });
+
+        this.messages.set(guildId, message);
+        GuildSettings.set(guildId, { requestMessageId: message.id });
+        return message;
+    }
+
+    /**
+     * Delete a guild's current player message, if it still exists
+     * @private
+     */
+    async _deleteMessage(client, guildId) {
+        const settings = GuildSettings.get(guildId);
+        let message = this.messages.get(guildId);
+        if (!message && settings.requestChannelId && settings.requestMessageId) {
+            const channel = client.guilds.cache.get(guildId)?.channels.cache.get(settings.requestChannelId);
+            message = await channel?.messages.fetch(settings.requestMessageId).catch(() => null);
+        }
+
+        this.forget(guildId);
+        await message?.delete().catch(() => {});
+    }
+}
+
+/**
+ * Get the singleton RequestChannelManager instance.
+ * @returns {RequestChannelManager}
+ */
+export function getRequestChannelManager() {
+    if (!instance) {
+        instance = new RequestChannelManager();
+    }
+    return instance;
+}
+
+export function resetRequestChannelManager() {
+    if (instance) {
+        instance.clearAll();
+    }
+    instance = null;
+}
@@ -95,6 +95,8 @@ export const PLAYLIST = {
     SHUFFLE_PREFIX: 'playlist_shuffle_',
     /** Prefix: `playlist_clone_{id}` */
     CLONE_PREFIX: 'playlist_clone_',
+    /** Prefix: `playlist_reorder_{id}` */
+    REORDER_PREFIX: 'playlist_reorder_',
 
     // Modal submissions
     /** Prefix: `playlist_remove_track_submit_{id}` */
@@ -104,7 +106,9 @@ export const PLAYLIST = {
     /** Prefix: `playlist_edit_submit_{id}` */
     EDIT_SUBMIT_PREFIX: 'playlist_edit_submit_',
     /** Prefix: `playlist_clone_submit_{id}` */
-    CLONE_SUBMIT_PREFIX: 'playlist_clone_submit_'
+    CLONE_SUBMIT_PREFIX: 'playlist_clone_submit_',
+    /** Prefix: `playlist_reorder_submit_{id}` */
+    REORDER_SUBMIT_PREFIX: 'playlist_reorder_submit_'
 };
 
 // ─────────────────────────────────────────────────────────
@@ -170,6 +174,61 @@ export const AUTOPLAY_PREF_BUTTONS = {
     PREF_DISABLE_ALL: 'ap_pref_disable_all'
 };
 
+// ─────────────────────────────────────────────────────────
+// Auto-Resume (UserPreferences.autoResume)
+// ─────────────────────────────────────────────────────────
+
+export const AUTO_RESUME_BUTTONS = {
+    /** Prefix: `autoresume_accept_{userId}` — resume the stored session */
+    ACCEPT_PREFIX: 'autoresume_accept_',
+    /** Prefix: `autoresume_dismiss_{userId}` — discard the stored session */
+    DISMISS_PREFIX: 'autoresume_dismiss_'
+};
+
+// ─────────────────────────────────────────────────────────
+// Democratic Mode Votes (GuildSettings.democraticMode)
+// ─────────────────────────────────────────────────────────
+
+export const ACTION_VOTE_BUTTONS = {
+    /** Prefix: `action_vote_{action}` — agree with the pending vote for a VOTE_ACTIONS action */
+    VOTE_PREFIX: 'action_vote_'
+};
+
+// ─────────────────────────────────────────────────────────
+// Queue Undo (EnhancedQueue undo journal)
+// ─────────────────────────────────────────────────────────
+
+export const UNDO_BUTTONS = {
+    /** Prefix: `queue_undo_{entryId}` — revert the queue change the message reports */
+    UNDO_PREFIX: 'queue_undo_'
+};
+
+// ─────────────────────────────────────────────────────────
+// Equalizer Editor (/filter eq)
+// ─────────────────────────────────────────────────────────
+
+export const EQ_EDITOR = {
+    /** Select menu: band to adjust (value = band index) */
+    BAND_SELECT: 'eq_band_select',
+    /** Prefix: `eq_adjust_{band}_{steps}` — change a band's gain by steps × FILTER_CHAINS.EQ_STEP */
+    ADJUST_PREFIX: 'eq_adjust_',
+    /** Prefix: `eq_zero_{band}` — set one band back to 0 */
+    RESET_BAND_PREFIX: 'eq_zero_',
+    /** Remove the whole equalizer */
+    FLAT: 'eq_flat'
+};
+
+// ─────────────────────────────────────────────────────────
+// Song Request Approval (GuildSettings.requestApproval)
+// ─────────────────────────────────────────────────────────
+
+export const SONG_REQUEST_BUTTONS = {
+    /** Prefix: `songreq_approve_{requestId}` — queue a pending request */
+    APPROVE_PREFIX: 'songreq_approve_',
+    /** Prefix: `songreq_reject_{requestId}` — turn a pending request down */
+    REJECT_PREFIX: 'songreq_reject_'
+};
+
 /**
  * Check if a custom ID matches a prefix pattern.
  *
@@ -213,6 +272,11 @@ export default {
     HELP,
     SELECT_MENUS,
     AUTOPLAY_PREF_BUTTONS,
+    AUTO_RESUME_BUTTONS,
+    ACTION_VOTE_BUTTONS,
+    UNDO_BUTTONS,
+    EQ_EDITOR,
+    SONG_REQUEST_BUTTONS,
     matchesPrefix,
     extractId
 };
@@ -48,9 +48,106 @@ export const MEMORY = {
 // Queue limits
 export const QUEUE = {
     MAX_SIZE: 1000, // Maximum tracks in queue
+    MIN_GUILD_MAX_SIZE: 10, // Lowest per-guild queue limit an admin can set
     MAX_HISTORY_SIZE: 100, // Maximum history entries in memory
     MAX_PLAYLIST_SIZE: 500, // Maximum tracks per playlist
-    DEFAULT_PAGE_SIZE: 10 // Default pagination size
+    DEFAULT_PAGE_SIZE: 10, // Default pagination size
+    DEFAULT_FAIR_SHARE_CAP: 1, // Tracks per requester per round in fair share mode
+    MAX_FAIR_SHARE_CAP: 10 // Highest per-round cap an admin can set
+};
+
+// Per-member request limits (/settings limits); a stored 0 means no limit
+export const REQUEST_LIMITS = {
+    WINDOW_MS: 60 * 60 * 1000, // Window for max requests per hour
+    MAX_TRACKS_PER_USER: 200, // Highest queued-tracks-per-member limit an admin can set
+    MAX_TRACK_MINUTES: 600, // Highest track length limit an admin can set
+    MAX_REQUESTS_PER_HOUR: 500 // Highest requests-per-hour limit an admin can set
+};
+
+// Queue actions put to a vote in democratic mode (/settings democratic)
+export const VOTE_ACTIONS = Object.freeze({
+    STOP: 'stop',
+    CLEAR: 'clear',
+    SHUFFLE: 'shuffle',
+    REMOVE: 'remove',
+    JUMP: 'jump',
+    VOLUME: 'volume'
+});
+
+// Democratic mode thresholds are a share of the non-bot listeners; a stored 0 means no vote
+export const VOTING = {
+    DEFAULT_THRESHOLD: 50, // Percentage of listeners needed when a guild enables democratic mode
+    MIN_THRESHOLD: 10, // Lowest non-zero threshold an admin can set
+    MAX_THRESHOLD: 100,
+    SESSION_TTL_MS: 60 * 1000 // Pending votes expire after this long
+};
+
+// Song request approval (guild_settings.request_approval)
+export const SONG_REQUESTS = {
+    MAX_PENDING_PER_USER: 3, // Requests a member can have waiting for a DJ at once
+    PENDING_TTL_MS: 30 * 60 * 1000, // Undecided requests expire after this long
+    SWEEP_INTERVAL_MS: 5 * 60 * 1000 // How often expired requests lose their Approve/Reject buttons
+};
+
+// Song request channel (guild_settings.request_channel_id)
+export const REQUEST_CHANNEL = {
+    REFRESH_DEBOUNCE_MS: 1500, // Coalesce queue changes into one player message edit
+    REPLY_TTL_MS: 8 * 1000, // Confirmations and errors for requests are deleted after this long
+    BOT_MESSAGE_TTL_MS: 60 * 1000, // Other bot messages (votes, notices) get time to finish first
+    COOLDOWN_MS: 3000, // Per-member delay between requests
+    UP_NEXT_COUNT: 5 // Queued tracks listed on the player message
+};
+
+// Now-playing announcement modes (guild_settings.announce_mode)
+export const ANNOUNCE_MODES = Object.freeze({
+    OFF: 'off', // No automatic now-playing message
+    COMPACT: 'compact', // One plain-text line per track
+    FULL: 'full', // New now-playing embed per track
+    EDIT: 'edit' // Single now-playing embed edited in place (default)
+});
+
+// Where /play and search picks put new tracks (EnhancedQueue.enqueue)
+export const QUEUE_PLACEMENTS = Object.freeze({
+    END: 'end', // Append to the queue (default)
+    NEXT: 'next', // Play right after the current track
+    NOW: 'now' // Interrupt the current track, which resumes afterwards
+});
+
+// Queue changes /undo can revert (EnhancedQueue undo journal)
+export const UNDO_ACTIONS = Object.freeze({
+    CLEAR: 'clear',
+    SHUFFLE: 'shuffle',
+    REMOVE: 'remove',
+    MOVE: 'move',
+    DEDUPE: 'dedupe',
+    JUMP: 'jump'
+});
+
+export const QUEUE_UNDO = {
+    MAX_ENTRIES: 10, // Changes remembered per guild; older ones can no longer be undone
+    HISTORY_SHOWN: 5 // Earlier changes listed under an /undo result
+};
+
+// Saved filter chains (/filter chain) and the /filter eq editor
+export const FILTER_CHAINS = {
+    MAX_PER_OWNER: 25, // Chains per member or per server (also the autocomplete limit)
+    NAME_MAX_LENGTH: 32,
+    EQ_STEP: 0.05 // Gain change of the small editor buttons; the large ones move 5 steps
+};
+
+// Queue persistence (restart recovery)
+export const QUEUE_SNAPSHOT = {
+    SAVE_DEBOUNCE_MS: 2000, // Coalesce bursts of queue mutations into one write
+    POSITION_SAVE_INTERVAL_MS: 15 * 1000, // Refresh stored position while playing
+    MAX_AGE_MS: 6 * 60 * 60 * 1000, // Snapshots older than this are not restored
+    RESTORE_STAGGER_MS: 1000 // Delay between guild restores to avoid join bursts
+};
+
+// Per-user auto-resume (UserPreferences.autoResume)
+export const AUTO_RESUME = {
+    SESSION_MAX_AGE_MS: 24 * 60 * 60 * 1000, // Sessions older than this are not offered
+    PROMPT_TIMEOUT_MS: 60 * 1000, // Confirmation prompt auto-dismiss
+    MAX_ACTIVE_PROMPTS: 200 // Cap on concurrent prompts across all guilds
 };
 
 // Volume settings
@@ -79,7 +176,16 @@ export const MUSIC_MANAGER = {
     HEALTH_MONITOR_INTERVAL_MS: 30 * 1000,
     SEARCH_TIMEOUT_MS: 10 * 1000,
     LAVALINK_RECONNECT_DELAY_MS: 5 * 1000,
-    MIN_RECONNECT_INTERVAL_SECONDS: 1
+    MIN_RECONNECT_INTERVAL_SECONDS: 1,
+    /** Players moved off a node at the same time (failover and /nodes drain) */
+    MIGRATION_CONCURRENCY: 10,
+    /** How long a drained node stays out of node selection */
+    DRAIN_BLACKLIST_MS: 60 * 60 * 1000,
+    /** Longest name accepted for a node added at runtime */
+    NODE_NAME_MAX_LENGTH: 32,
+    /** /nodes blacklist duration bounds (minutes) */
+    NODE_BLACKLIST_DEFAULT_MINUTES: 60,
+    NODE_BLACKLIST_MAX_MINUTES: 7 * 24 * 60
 };
 
 // Cache settings
@@ -89,6 +195,27 @@ export const CACHE = {
     MAX_HISTORY_CACHE: 100
 };
 
+// Playlist export/import files
+export const PLAYLIST_FILES = {
+    /** Largest uploaded file accepted by /playlist import (bytes) */
+    MAX_IMPORT_SIZE: 1024 * 1024,
+    /** Maximum entries resolved per import (URL or file) */
+    MAX_IMPORT_TRACKS: 500,
+    /** Failed entries listed in the import embed; the attached report has all of them */
+    FAILED_PREVIEW: 10
+};
+
+// Rule-based smart playlists
+export const SMART_PLAYLISTS = {
+    /** Tracks a smart playlist resolves to when no limit is given */
+    DEFAULT_TRACKS: 50,
+    /** Upper bound for the limit rule */
+    MAX_TRACKS: 100,
+    /** Upper bound for the "not played in N days" and "played N+ times" rules */
+    MAX_DAYS: 365,
+    MAX_MIN_PLAYS: 100
+};
+
 // Playlist resolution settings
 export const PLAYLIST_RESOLUTION = {
     /** Number of tracks to resolve concurrently */
@@ -219,6 +346,14 @@ export const RATE_LIMIT = {
     STRICT_MAX_REQUESTS: 10
 };
 
+// Playback control API (/api/v1)
+export const CONTROL_API = {
+    /** Longest search query or URL accepted when adding tracks */
+    MAX_QUERY_LENGTH: 200,
+    /** Most tracks returned per queue page or add response */
+    MAX_TRACKS_LISTED: 100
+};
+
 // Database
 export const DATABASE = {
     DEFAULT_PATH: './data/miyao.db',
@@ -264,6 +399,7 @@ export const ERROR_CODES = {
     INVALID_INPUT: 1003,
     QUEUE_EMPTY: 1004,
     QUEUE_FULL: 1005,
+    REQUEST_LIMIT: 1006,
 
     // Music errors (2000-2999)
     NO_RESULTS_FOUND: 2001,
@@ -326,9 +462,7 @@ export const PLATFORM_NAMES = Object.freeze({
     bandcamp: 'Bandcamp',
     deezer: 'Deezer',
     twitch: 'Twitch',
-    vimeo: 'Vimeo',
-    http: 'Luồng HTTP',
-    unknown: 'Không rõ nguồn'
+    vimeo: 'Vimeo'
 });
 
 /**
@@ -363,10 +497,18 @@ export const LOG_LEVELS = {
     TIME,
     MEMORY,
     QUEUE,
+    REQUEST_LIMITS,
+    VOTING,
+    SONG_REQUESTS,
+    REQUEST_CHANNEL,
+    QUEUE_UNDO,
+    FILTER_CHAINS,
     VOLUME,
     PLAYBACK,
     CACHE,
     PLAYLIST_RESOLUTION,
+    PLAYLIST_FILES,
+    SMART_PLAYLISTS,
     AUTOPLAY,
     AUTOPLAY_PREF,
     AUTOPLAY_SUGGESTION,
@@ -377,6 +519,7 @@ export const LOG_LEVELS = {
     LAVALINK,
     MUSIC_MANAGER,
     RATE_LIMIT,
+    CONTROL_API,
     DATABASE,
     DISCORD,
     PROGRESS_BAR,
@@ -389,10 +532,18 @@ export default {
     TIME,
     MEMORY,
     QUEUE,
+    REQUEST_LIMITS,
+    VOTING,
+    SONG_REQUESTS,
+    REQUEST_CHANNEL,
+    QUEUE_UNDO,
+    FILTER_CHAINS,
     VOLUME,
     PLAYBACK,
     CACHE,
     PLAYLIST_RESOLUTION,
+    PLAYLIST_FILES,
+    SMART_PLAYLISTS,
     AUTOPLAY,
     AUTOPLAY_PREF,
     AUTOPLAY_SUGGESTION,
@@ -403,6 +554,7 @@ export default {
     LAVALINK,
     MUSIC_MANAGER,
     RATE_LIMIT,
+    CONTROL_API,
     DATABASE,
     DISCORD,
     PROGRESS_BAR,
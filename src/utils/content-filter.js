@@ -4,6 +4,9 @@
  */
 
 import logger from './logger.js';
+import ContentFilterSettings, { TERM_LISTS } from '../database/models/ContentFilterSettings.js';
+import { ContentBlockedError } from './errors.js';
+import { t, getGuildLocale } from './i18n.js';
 
 /**
  * Module-level RegExp cache to avoid recompiling the same pattern on every call.
@@ -85,7 +88,8 @@ const BLACKLISTED_KEYWORDS = {
 
 /**
  * Content filter configuration per guild
- * Stored in memory - should be persisted to database in production
+ * Persisted in content_filter_settings / content_filter_terms; this class keeps an LRU cache
+ * in front of the database and writes changes through.
  */
 const MAX_GUILD_CONFIGS = 1000;
 
@@ -122,14 +126,20 @@ class ContentFilterConfig {
      */
     getConfig(guildId) {
         if (!this.guildConfigs.has(guildId)) {
+            // Default configuration when nothing is stored: disabled with no filtering
+            const stored = ContentFilterSettings.get(guildId);
+            const config = {
+                enabled: stored?.enabled ?? false,
+                categories: new Set(stored?.categories ?? []),
+                blacklist: new Set(stored?.blacklist ?? []),
+                whitelist: new Set(stored?.whitelist ?? [])
+            };
+
+            // Don't cache a failed load so the next check retries the database
+            if (!stored) return config;
+
             this._evictIfNeeded();
-            // Default configuration: disabled with no filtering
-            this.guildConfigs.set(guildId, {
-                enabled: false,
-                categories: new Set(),
-                blacklist: new Set(),
-                whitelist: new Set()
-            });
+            this.guildConfigs.set(guildId, config);
         } else {
             // Move to end of Map to mark as recently used (LRU)
             const config = this.guildConfigs.get(guildId);
@@ -143,66 +153,96 @@ class ContentFilterConfig {
      * Enable content filtering for guild
      * @param {string} guildId - Guild ID
      * @param {string[]} categories - Categories to filter
+     * @returns {boolean} Success
      */
     enable(guildId, categories = []) {
+        if (!ContentFilterSettings.setEnabled(guildId, true, categories)) return false;
+
         const config = this.getConfig(guildId);
         config.enabled = true;
         config.categories = new Set(categories);
         logger.info(`Content filter enabled for guild ${guildId}`, { categories });
+        return true;
     }
 
     /**
-     * Disable content filtering for guild
+     * Disable content filtering for guild (categories and term lists are kept)
      * @param {string} guildId - Guild ID
+     * @returns {boolean} Success
      */
     disable(guildId) {
         const config = this.getConfig(guildId);
+        if (!ContentFilterSettings.setEnabled(guildId, false, Array.from(config.categories))) return false;
+
         config.enabled = false;
         logger.info(`Content filter disabled for guild ${guildId}`);
+        return true;
     }
 
     /**
      * Add term to blacklist
      * @param {string} guildId - Guild ID
      * @param {string} term - Term to blacklist
+     * @param {string} [addedBy] - User ID who added the term
+     * @returns {boolean} Success
      */
-    addToBlacklist(guildId, term) {
-        const config = this.getConfig(guildId);
-        config.blacklist.add(term.toLowerCase());
-        logger.info(`Added to blacklist for guild ${guildId}`, { term });
+    addToBlacklist(guildId, term, addedBy = null) {
+        return this._addTerm(guildId, TERM_LISTS.BLACKLIST, term, addedBy);
     }
 
     /**
      * Remove term from blacklist
      * @param {string} guildId - Guild ID
      * @param {string} term - Term to remove
+     * @returns {boolean} Success
      */
     removeFromBlacklist(guildId, term) {
-        const config = this.getConfig(guildId);
-        config.blacklist.delete(term.toLowerCase());
-        logger.info(`Removed from blacklist for guild ${guildId}`, { term });
+        return this._removeTerm(guildId, TERM_LISTS.BLACKLIST, term);
     }
 
     /**
      * Add term to whitelist (bypasses all filters)
      * @param {string} guildId - Guild ID
      * @param {string} term - Term to whitelist
+     * @param {string} [addedBy] - User ID who added the term
+     * @returns {boolean} Success
      */
-    addToWhitelist(guildId, term) {
-        const config = this.getConfig(guildId);
-        config.whitelist.add(term.toLowerCase());
-        logger.info(`Added to whitelist for guild ${guildId}`, { term });
+    addToWhitelist(guildId, term, addedBy = null) {
+        return this._addTerm(guildId, TERM_LISTS.WHITELIST, term, addedBy);
     }
 
     /**
      * Remove term from whitelist
      * @param {string} guildId - Guild ID
      * @param {string} term - Term to remove
+     * @returns {boolean} Success
      */
     removeFromWhitelist(guildId, term) {
-        const config = this.getConfig(guildId);
-        config.whitelist.delete(term.toLowerCase());
-        logger.info(`Removed from whitelist for guild ${guildId}`, { term });
+        return this._removeTerm(guildId, TERM_LISTS.WHITELIST, term);
+    }
+
+    /**
+     * @private
+     */
+    _addTerm(guildId, listType, term, addedBy) {
+        const normalized = term.toLowerCase();
+        if (!ContentFilterSettings.addTerm(guildId, listType, normalized, addedBy)) return false;
+
+        this.getConfig(guildId)[listType].add(normalized);
+        logger.info(`Added to ${listType} for guild ${guildId}`, { term: normalized });
+        return true;
+    }
+
+    /**
+     * @private
+     */
+    _removeTerm(guildId, listType, term) {
+        const normalized = term.toLowerCase();
+        if (!ContentFilterSettings.removeTerm(guildId, listType, normalized)) return false;
+
+        this.getConfig(guildId)[listType].delete(normalized);
+        logger.info(`Removed from ${listType} for guild ${guildId}`, { term: normalized });
+        return true;
     }
 
     /**
@@ -271,7 +311,7 @@ export function checkContent(query, title, author, guildId) {
             logger.warn('Content blocked by guild blacklist', { guildId, term: blacklisted });
             return {
                 safe: false,
-                reason: 'Nội dung chứa từ ngữ bị cấm trong server này',
+                reason: getCategoryMessage('blacklist', getGuildLocale(guildId)),
                 category: 'blacklist'
             };
         }
@@ -295,7 +335,7 @@ export function checkContent(query, title, author, guildId) {
                 });
                 return {
                     safe: false,
-                    reason: getCategoryMessage(category),
+                    reason: getCategoryMessage(category, getGuildLocale(guildId)),
                     category
                 };
             }
@@ -305,20 +345,72 @@ export function checkContent(query, title, author, guildId) {
     return { safe: true };
 }
 
+/**
+ * Remove tracks blocked by a guild's content filter from a search result.
+ * When every track is blocked the result becomes empty with `error: 'CONTENT_BLOCKED'`.
+ * @param {Object} result - Result of MusicManager#search
+ * @param {string} query - Original search query
+ * @param {string} guildId - Guild ID
+ * @returns {Object} Filtered result (`blockedCount` / `blockedCategory` set when tracks were removed)
+ */
+export function filterSearchResult(result, query, guildId) {
+    if (!result?.tracks?.length || !filterConfig.getConfig(guildId).enabled) {
+        return result;
+    }
+
+    const tracks = [];
+    let firstBlock = null;
+    for (const track of result.tracks) {
+        const check = checkContent(query, track.info?.title, track.info?.author, guildId);
+        if (check.safe) {
+            tracks.push(track);
+        } else {
+            firstBlock ??= check;
+        }
+    }
+
+    if (!firstBlock) return result;
+
+    const blocked = {
+        blockedCount: result.tracks.length - tracks.length,
+        blockedCategory: firstBlock.category
+    };
+
+    if (tracks.length === 0) {
+        return {
+            ...result,
+            ...blocked,
+            loadType: 'empty',
+            tracks: [],
+            error: 'CONTENT_BLOCKED',
+            message: firstBlock.reason
+        };
+    }
+
+    return { ...result, ...blocked, tracks };
+}
+
+/**
+ * Throw if every track of a search result was removed by the content filter
+ * @param {Object} result - Result of MusicManager#search
+ * @throws {ContentBlockedError}
+ */
+export function assertNotBlocked(result) {
+    if (result?.error === 'CONTENT_BLOCKED') {
+        throw new ContentBlockedError(result.blockedCategory, result.message);
+    }
+}
+
 /**
  * Get user-friendly message for blocked category
- * @param {string} category - Content category
+ * @param {string} category - Content category, or 'blacklist' for guild terms
+ * @param {string} [locale] - Locale code
  * @returns {string} Message
  */
-function getCategoryMessage(category) {
-    const messages = {
-        [ContentCategory.NSFW]: 'Nội dung không phù hợp (NSFW) bị chặn',
-        [ContentCategory.VIOLENCE]: 'Nội dung bạo lực bị chặn',
-        [ContentCategory.HATE_SPEECH]: 'Nội dung kích động thù hận bị chặn',
-        [ContentCategory.PROFANITY]: 'Nội dung có từ ngữ thô tục bị chặn',
-        [ContentCategory.SPAM]: 'Nội dung spam/quảng cáo bị chặn'
-    };
-    return messages[category] || 'Nội dung không phù hợp bị chặn';
+function getCategoryMessage(category, locale) {
+    const key = `error.content_blocked.${category}`;
+    const message = t(key, locale);
+    return message === key ? t('error.content_blocked', locale) : message;
 }
 
 /**
@@ -391,9 +483,10 @@ export function analyzeContent(text) {
 /**
  * Check if URL is safe (basic check)
  * @param {string} url - URL to check
+ * @param {string} [locale] - Locale code for the reason
  * @returns {Object} { safe: boolean, reason?: string }
  */
-export function checkURL(url) {
+export function checkURL(url, locale) {
     if (!url) return { safe: true };
 
     const lowerURL = url.toLowerCase();
@@ -414,7 +507,7 @@ export function checkURL(url) {
             logger.warn('Suspicious URL detected', { url });
             return {
                 safe: false,
-                reason: 'URL này có thể không an toàn'
+                reason: t('error.unsafe_url', locale)
             };
         }
     }
@@ -445,6 +538,8 @@ export function getFilterStats(guildId) {
 export default {
     ContentCategory,
     checkContent,
+    filterSearchResult,
+    assertNotBlocked,
     analyzeContent,
     checkURL,
     contentFilterConfig,
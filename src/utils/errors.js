@@ -2,10 +2,11 @@
  * Error Handling System
  * Comprehensive error taxonomy with user-friendly messages
  * @module errors
- * @version 1.11.2 - Enhanced UX with emojis and better suggestions
+ * @version 1.12.0 - Localized messages and suggestions (see utils/locales)
  */
 
 import { COLORS } from '../config/design-system.js';
+import { t, DEFAULT_LOCALE } from './i18n.js';
 
 /**
  * Error type emojis for visual identification
@@ -37,9 +38,39 @@ export class MiyaoError extends Error {
         this.suggestions = suggestions;
         this.emoji = emoji;
         this.timestamp = new Date().toISOString();
+        this.i18n = null;
         Error.captureStackTrace(this, this.constructor);
     }
 
+    /**
+     * Attach translation keys: `key` for the message, `key.suggestions` (newline-separated) for suggestions
+     * @param {string} key - Translation key
+     * @param {Object} [params] - Replacements for both strings
+     * @param {Object} [options]
+     * @param {boolean} [options.translateMessage=true] - False when the caller supplied the message
+     * @param {string} [options.suggestionsKey] - Override the suggestions key
+     */
+    setI18n(key, params = {}, { translateMessage = true, suggestionsKey = `${key}.suggestions` } = {}) {
+        this.i18n = { key, params, translateMessage, suggestionsKey };
+    }
+
+    /**
+     * Get the message and suggestions in a locale
+     * @param {string} [locale] - Locale code
+     * @returns {{message: string, suggestions: string[]}}
+     */
+    localize(locale = DEFAULT_LOCALE) {
+        if (!this.i18n) {
+            return { message: this.message, suggestions: this.suggestions };
+        }
+
+        const { key, params, translateMessage, suggestionsKey } = this.i18n;
+        return {
+            message: translateMessage ? t(key, locale, params) : this.message,
+            suggestions: t(suggestionsKey, locale, params).split('\n')
+        };
+    }
+
     toJSON() {
         return {
             name: this.name,
@@ -73,6 +104,7 @@ export class NetworkError extends MiyaoError {
             ERROR_TYPE_EMOJIS.network
         );
         this.details = details;
+        this.setI18n('error.network', {}, { translateMessage: false });
     }
 }
 
@@ -86,6 +118,7 @@ export class LavalinkConnectionError extends NetworkError {
             '🔄 Bot đang tự động kết nối lại',
             '📞 Liên hệ admin nếu lỗi tiếp diễn quá 1 phút'
         ];
+        this.setI18n('error.lavalink_connection');
     }
 }
 
@@ -100,6 +133,7 @@ export class LavalinkNodeUnavailableError extends NetworkError {
             '🔄 Vui lòng thử lại sau 1-2 phút',
             '📞 Liên hệ admin nếu vấn đề kéo dài'
         ];
+        this.setI18n('error.lavalink_unavailable');
     }
 }
 
@@ -120,6 +154,7 @@ export class PermissionError extends MiyaoError {
             ERROR_TYPE_EMOJIS.permission
         );
         this.requiredPermission = requiredPermission;
+        this.setI18n('error.permission', {}, { translateMessage: false });
     }
 }
 
@@ -133,6 +168,7 @@ export class VoiceChannelPermissionError extends PermissionError {
             '✅ Bot cần: View Channel, Connect, Speak',
             '🔄 Thử kênh thoại khác'
         ];
+        this.setI18n('error.voice_permission', { channel: channelName });
     }
 }
 
@@ -143,6 +179,7 @@ export class UserNotInVoiceError extends PermissionError {
         this.severity = 'info';
         this.emoji = ERROR_TYPE_EMOJIS.voice;
         this.suggestions = ['🎤 Vào một kênh thoại trước', '🔄 Sau đó thử lại lệnh nhé!'];
+        this.setI18n('error.user_not_in_voice');
     }
 }
 
@@ -153,6 +190,7 @@ export class DifferentVoiceChannelError extends PermissionError {
         this.severity = 'warning';
         this.emoji = ERROR_TYPE_EMOJIS.voice;
         this.suggestions = ['🔊 Vào kênh thoại của bot', '⏹️ Hoặc /stop bot để bắt đầu lại ở kênh của bạn'];
+        this.setI18n('error.different_voice_channel');
     }
 }
 
@@ -173,6 +211,7 @@ export class ValidationError extends MiyaoError {
             ERROR_TYPE_EMOJIS.validation
         );
         this.field = field;
+        this.setI18n('error.validation', {}, { translateMessage: false });
     }
 }
 
@@ -187,6 +226,7 @@ export class InvalidUrlError extends ValidationError {
             '🔍 Hoặc tìm kiếm bằng tên bài hát',
             '📋 Ví dụ: /play Anh Đã Quen Với Cô Đơn'
         ];
+        this.setI18n('error.invalid_url', { url: displayUrl ? `: ${displayUrl}` : '' });
     }
 }
 
@@ -196,6 +236,7 @@ export class InvalidVolumeError extends ValidationError {
         this.code = 'INVALID_VOLUME';
         this.emoji = '🔊';
         this.suggestions = ['🔢 Dùng số từ 0 đến 100', '💡 Ví dụ: /volume 50', '🔇 0 = tắt tiếng, 🔊 100 = max'];
+        this.setI18n('error.invalid_volume', { volume });
     }
 }
 
@@ -209,6 +250,7 @@ export class InvalidPositionError extends ValidationError {
             '📋 Xem /queue để biết vị trí có sẵn',
             '💡 Đếm từ 1 (bài đầu tiên = 1)'
         ];
+        this.setI18n('error.invalid_position', { position, max });
     }
 }
 
@@ -222,12 +264,74 @@ export class InvalidTimeError extends ValidationError {
             '💡 Ví dụ: 1:30, 02:45, 1:23:45',
             '🔢 Ví dụ: /seek 1:30 để tua đến phút 1:30'
         ];
+        this.setI18n('error.invalid_time', { time: timeString });
     }
 }
 
 /**
  * Rate limit errors
  */
+export class DuplicateTrackError extends ValidationError {
+    constructor(title = '') {
+        super(`"${title}" đã có trong hàng đợi`, 'track');
+        this.code = 'DUPLICATE_TRACK';
+        this.emoji = '🔁';
+        this.suggestions = ['📋 Xem /queue để kiểm tra hàng đợi', '⚙️ Server đang chặn bài hát trùng lặp'];
+        this.setI18n('error.duplicate_track', { title });
+    }
+}
+
+export class PlaylistFileError extends ValidationError {
+    /**
+     * @param {string} reason - unsupported | empty | invalid_json | json_no_tracks | csv_empty | csv_columns |
+     *   too_large | download_failed
+     * @param {Object} [params] - Message values (maxKb)
+     */
+    constructor(reason, params = {}) {
+        super('File playlist không hợp lệ', 'file');
+        this.code = `PLAYLIST_FILE_${reason.toUpperCase()}`;
+        this.reason = reason;
+        this.emoji = '📄';
+        this.setI18n(`error.playlist_file.${reason}`, params, { suggestionsKey: 'error.playlist_file.suggestions' });
+    }
+}
+
+export class SmartPlaylistError extends ValidationError {
+    /**
+     * @param {string} reason - Rule checks: source | scope | period | sort | favorites_scope | artist_length | range;
+     *   track edits: read_only | not_smart | no_matches
+     * @param {string} field - Option the error is about
+     * @param {Object} [params] - Message values (name, field, min, max)
+     */
+    constructor(reason, field, params = {}) {
+        super('Smart playlist không hợp lệ', field);
+        this.code = `SMART_PLAYLIST_${reason.toUpperCase()}`;
+        this.reason = reason;
+        this.emoji = '🧠';
+        this.setI18n(`error.smart_playlist.${reason}`, params, { suggestionsKey: 'error.smart_playlist.suggestions' });
+    }
+}
+
+export class ContentBlockedError extends MiyaoError {
+    constructor(category = null, reason = null) {
+        super(
+            reason || 'Nội dung không phù hợp bị chặn',
+            'CONTENT_BLOCKED',
+            'warning',
+            ['🛡️ Server này đang bật bộ lọc nội dung', '🔍 Thử tìm bài hát khác'],
+            '🚫'
+        );
+        this.category = category;
+        this.setI18n(
+            category ? `error.content_blocked.${category}` : 'error.content_blocked',
+            {},
+            {
+                suggestionsKey: 'error.content_blocked.suggestions'
+            }
+        );
+    }
+}
+
 export class RateLimitError extends MiyaoError {
     constructor(retryAfter = 60) {
         super(
@@ -238,6 +342,7 @@ export class RateLimitError extends MiyaoError {
             ERROR_TYPE_EMOJIS.rateLimit
         );
         this.retryAfter = retryAfter;
+        this.setI18n('error.rate_limit', { seconds: retryAfter });
     }
 }
 
@@ -250,6 +355,7 @@ export class SearchRateLimitError extends RateLimitError {
             '🔗 Dùng URL trực tiếp thay vì tìm kiếm',
             '💾 Tạo playlist để không phải tìm lại'
         ];
+        this.setI18n('error.rate_limit', { seconds: 30 }, { suggestionsKey: 'error.search_rate_limit.suggestions' });
     }
 }
 
@@ -266,6 +372,7 @@ export class ResourceNotFoundError extends MiyaoError {
             ERROR_TYPE_EMOJIS.notFound
         );
         this.resourceType = resourceType;
+        this.setI18n('error.not_found', {}, { translateMessage: false });
     }
 }
 
@@ -282,6 +389,7 @@ export class NoSearchResultsError extends ResourceNotFoundError {
             '🔗 Dùng link YouTube/Spotify trực tiếp',
             '🔥 Thử /trending để khám phá nhạc mới'
         ];
+        this.setI18n('error.no_search_results', { query: displayQuery });
     }
 }
 
@@ -295,6 +403,7 @@ export class TrackNotFoundError extends ResourceNotFoundError {
             '🔍 Thử tìm bằng tên bài hát',
             '📜 Xem /history để tìm bài đã nghe'
         ];
+        this.setI18n('error.track_not_found');
     }
 }
 
@@ -309,6 +418,7 @@ export class PlaylistNotFoundError extends ResourceNotFoundError {
             '📋 Xem /playlist list để thấy playlist của bạn',
             '✨ Tạo mới với /playlist create <tên>'
         ];
+        this.setI18n('error.playlist_not_found', { name: displayName });
     }
 }
 
@@ -323,6 +433,7 @@ export class EmptyQueueError extends ResourceNotFoundError {
             '📁 Load playlist với /playlist play',
             '🔥 Khám phá nhạc mới với /trending'
         ];
+        this.setI18n('error.empty_queue');
     }
 }
 
@@ -337,6 +448,7 @@ export class NothingPlayingError extends ResourceNotFoundError {
             '▶️ Nếu đã dừng, dùng /resume',
             '📋 Xem /queue để kiểm tra hàng đợi'
         ];
+        this.setI18n('error.nothing_playing');
     }
 }
 
@@ -351,6 +463,7 @@ export class NoPreviousTrackError extends ResourceNotFoundError {
             '📜 Xem /history để tìm bài đã nghe trước đó',
             '🔄 Bật loop nếu muốn nghe lại: /loop track'
         ];
+        this.setI18n('error.no_previous_track');
     }
 }
 
@@ -371,6 +484,7 @@ export class InternalError extends MiyaoError {
             ERROR_TYPE_EMOJIS.internal
         );
         this.originalError = originalError;
+        this.setI18n('error.internal', {}, { translateMessage: false });
     }
 }
 
@@ -385,12 +499,13 @@ export class DatabaseError extends InternalError {
             '📞 Liên hệ admin nếu lỗi tiếp diễn',
             '💡 Dữ liệu của bạn vẫn an toàn!'
         ];
+        this.setI18n('error.database');
     }
 }
 
 export class PlayerError extends InternalError {
-    constructor(message = 'Lỗi khi phát nhạc', originalError = null) {
-        super(message, originalError);
+    constructor(message = null, originalError = null) {
+        super(message || 'Lỗi khi phát nhạc', originalError);
         this.code = 'PLAYER_ERROR';
         this.emoji = ERROR_TYPE_EMOJIS.player;
         this.suggestions = [
@@ -398,6 +513,7 @@ export class PlayerError extends InternalError {
             '🔄 Bài hát có thể tạm không khả dụng',
             '🎵 Thử bài khác nếu lỗi tiếp diễn'
         ];
+        this.setI18n('error.player', {}, { translateMessage: !message });
     }
 }
 
@@ -413,6 +529,100 @@ export class QueueFullError extends InternalError {
             '⏳ Đợi một số bài phát xong',
             '💾 Lưu queue vào playlist để dùng sau'
         ];
+        this.setI18n('error.queue_full', { max: maxSize });
+    }
+}
+
+/**
+ * The bot is already running its configured maximum of concurrent guild queues
+ */
+export class QueueCapacityError extends InternalError {
+    constructor(maxQueues = 50) {
+        super(`Đã đạt giới hạn ${maxQueues} hàng đợi đồng thời. Vui lòng thử lại sau.`);
+        this.code = 'QUEUE_CAPACITY_REACHED';
+        this.severity = 'warning';
+        this.emoji = ERROR_TYPE_EMOJIS.queue;
+        this.maxQueues = maxQueues;
+        this.suggestions = ['⏳ Đợi vài phút rồi thử lại', '📞 Liên hệ admin nếu vấn đề kéo dài'];
+        this.setI18n('error.queue_capacity', { max: maxQueues });
+    }
+}
+
+/**
+ * A guild request limit (/settings limits) stopped every requested track from being queued
+ */
+export class RequestLimitError extends MiyaoError {
+    /**
+     * @param {string} reason - livestream | duration | per_user | hourly
+     * @param {Object} [params] - Message values: max (limit), minutes (hourly wait or duration limit)
+     */
+    constructor(reason, params = {}) {
+        super(
+            'Yêu cầu vượt giới hạn của server',
+            'REQUEST_LIMIT',
+            'warning',
+            [
+                '⏳ Đợi các bài của bạn phát xong',
+                '🔍 Chọn bài ngắn hơn hoặc không phải livestream',
+                '⚙️ Admin xem giới hạn với /settings server'
+            ],
+            '🚦'
+        );
+        this.reason = reason;
+        this.setI18n(`error.request_limit.${reason}`, params, {
+            suggestionsKey: 'error.request_limit.suggestions'
+        });
+    }
+
+    /**
+     * Build the error for an EnhancedQueue.add() result, using the reason that dropped the most tracks
+     * @param {Object} limited - add() result `limited` counts
+     * @param {Object} limits - add() result `limits`
+     * @returns {RequestLimitError}
+     */
+    static fromAddResult(limited, limits) {
+        const reasons = [
+            ['per_user', limited.perUser, { max: limits.maxTracksPerUser }],
+            [
+                'hourly',
+                limited.hourly,
+                { max: limits.maxRequestsPerHour, minutes: Math.ceil(limited.hourlyResetIn / 60000) || 1 }
+            ],
+            ['duration', limited.duration, { minutes: Math.round(limits.maxTrackDuration / 60) }],
+            ['livestream', limited.livestream, {}]
+        ];
+        const [reason, , params] = reasons.reduce((top, entry) => (entry[1] > top[1] ? entry : top));
+        return new RequestLimitError(reason, params);
+    }
+}
+
+/**
+ * A voice quiz holds the player, so playback controls have to wait until it ends
+ */
+export class QuizInProgressError extends MiyaoError {
+    constructor() {
+        super(
+            'Đang có quiz giọng nói, không thể điều khiển phát nhạc',
+            'QUIZ_IN_PROGRESS',
+            'warning',
+            ['⏳ Đợi quiz kết thúc, nhạc sẽ tự phát tiếp', '🎮 Tham gia trả lời quiz trong lúc chờ'],
+            '🎮'
+        );
+        this.setI18n('error.quiz_in_progress');
+    }
+}
+
+/**
+ * Throw when EnhancedQueue.add() queued nothing because the queue is full or request limits dropped everything
+ * @param {Object} addResult - add()/enqueue() result
+ * @throws {QueueFullError|RequestLimitError}
+ */
+export function assertQueued(addResult) {
+    if (addResult?.error === 'QUEUE_FULL') {
+        throw new QueueFullError(addResult.maxSize);
+    }
+    if (addResult?.error === 'REQUEST_LIMIT') {
+        throw RequestLimitError.fromAddResult(addResult.limited, addResult.limits);
     }
 }
 
@@ -426,6 +636,7 @@ export class FilterError extends MiyaoError {
             '🎛️'
         );
         this.filterName = filterName;
+        this.setI18n('error.filter', { filter: filterName, reason: reason ? `: ${reason}` : '' });
     }
 }
 
@@ -442,6 +653,34 @@ export class AutoplayError extends MiyaoError {
             ],
             '🔄'
         );
+        this.setI18n('error.autoplay', { reason: reason ? `: ${reason}` : '' });
+    }
+}
+
+/**
+ * A change to the Lavalink node pool (/nodes and the node API) was refused
+ */
+export class NodeChangeError extends ValidationError {
+    /**
+     * @param {string} reason - name_length | exists | url | password_required | last_node | no_target | move_failed | not_blacklisted
+     * @param {Object} [params] - Message values (name, max, count, failed, total)
+     * @param {string} [field] - Input the change was refused for
+     */
+    constructor(reason, params = {}, field = 'name') {
+        super('Không thể thay đổi Lavalink node', field);
+        this.code = `NODE_${reason.toUpperCase()}`;
+        this.reason = reason;
+        this.emoji = '📡';
+        this.setI18n(`error.node.${reason}`, params, { suggestionsKey: 'error.node.suggestions' });
+    }
+}
+
+export class NodeNotFoundError extends ResourceNotFoundError {
+    constructor(name = '') {
+        super(`Không tìm thấy node "${name}"`, 'node');
+        this.code = 'NODE_NOT_FOUND';
+        this.emoji = '📡';
+        this.setI18n('error.node.not_found', { name }, { suggestionsKey: 'error.node.suggestions' });
     }
 }
 
@@ -505,24 +744,39 @@ export function withErrorHandling(fn, _context = 'operation') {
             }
 
             // Wrap unknown errors
-            throw new InternalError('Đã xảy ra lỗi không mong muốn', error);
+            throw wrapUnexpected(error);
         }
     };
 }
 
+/**
+ * Wrap a non-Miyao error in a localized "unexpected error"
+ * @param {Error} error - Original error
+ * @returns {InternalError}
+ */
+function wrapUnexpected(error) {
+    const wrapped = new InternalError('Đã xảy ra lỗi không mong muốn', error);
+    wrapped.setI18n('error.unexpected', {}, { suggestionsKey: 'error.internal.suggestions' });
+    return wrapped;
+}
+
 /**
  * Create user-friendly error response
+ * @param {Error} error - Error to format
+ * @param {string} [locale] - Locale code
  */
-export function formatErrorForUser(error) {
+export function formatErrorForUser(error, locale = DEFAULT_LOCALE) {
     if (!(error instanceof MiyaoError)) {
-        error = new InternalError('Đã xảy ra lỗi không mong muốn', error);
+        error = wrapUnexpected(error);
     }
 
+    const { message, suggestions } = error.localize(locale);
+
     return {
         title: `${error.emoji || getErrorEmoji(error.severity)} ${error.code.replace(/_/g, ' ')}`,
-        description: error.message,
+        description: message,
         color: getErrorColor(error.severity),
-        suggestions: error.suggestions,
+        suggestions,
         timestamp: error.timestamp,
         severity: error.severity,
         emoji: error.emoji
@@ -531,17 +785,20 @@ export function formatErrorForUser(error) {
 
 /**
  * Create a friendly error message string
+ * @param {Error} error - Error to format
+ * @param {string} [locale] - Locale code
  */
-export function formatErrorMessage(error) {
+export function formatErrorMessage(error, locale = DEFAULT_LOCALE) {
     if (!(error instanceof MiyaoError)) {
-        return '❌ Đã xảy ra lỗi không mong muốn. Vui lòng thử lại!';
+        return t('error.unexpected_retry', locale);
     }
 
-    let message = `${error.emoji || '❌'} **${error.message}**\n\n`;
+    const localized = error.localize(locale);
+    let message = `${error.emoji || '❌'} **${localized.message}**\n\n`;
 
-    if (error.suggestions && error.suggestions.length > 0) {
-        message += '**💡 Bạn có thể thử:**\n';
-        message += error.suggestions.map(s => `• ${s}`).join('\n');
+    if (localized.suggestions && localized.suggestions.length > 0) {
+        message += `${t('error.try_these', locale)}\n`;
+        message += localized.suggestions.map(s => `• ${s}`).join('\n');
     }
 
     return message;
@@ -561,6 +818,10 @@ export default {
     InvalidVolumeError,
     InvalidPositionError,
     InvalidTimeError,
+    DuplicateTrackError,
+    PlaylistFileError,
+    SmartPlaylistError,
+    ContentBlockedError,
     RateLimitError,
     SearchRateLimitError,
     ResourceNotFoundError,
@@ -574,12 +835,18 @@ export default {
     DatabaseError,
     PlayerError,
     QueueFullError,
+    QueueCapacityError,
+    RequestLimitError,
+    QuizInProgressError,
     FilterError,
     AutoplayError,
+    NodeChangeError,
+    NodeNotFoundError,
     ErrorSeverity,
     getErrorColor,
     getErrorEmoji,
     withErrorHandling,
+    assertQueued,
     formatErrorForUser,
     formatErrorMessage
 };
@@ -1,24 +1,29 @@
 /**
  * @file i18n.js
  * @description Internationalization support for Miyao Bot
- * @version 1.6.0
+ * @version 1.12.0 - Locale resolution (user > guild > Discord client), guild default language
  */
 
 import { readFileSync } from 'fs';
 import { join, dirname } from 'path';
 import { fileURLToPath } from 'url';
+import UserPreferences from '../database/models/UserPreferences.js';
+import GuildSettings from '../database/models/GuildSettings.js';
 import logger from './logger.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
 // Available locales
-const LOCALES = ['vi', 'en'];
-const DEFAULT_LOCALE = 'vi';
+export const LOCALES = ['vi', 'en'];
+export const DEFAULT_LOCALE = 'vi';
 
 // Loaded translations
 const translations = {};
 
+// Resolved locale per interaction (an interaction is handled once, so this never goes stale)
+const interactionLocales = new WeakMap();
+
 /**
  * Load translation files
  */
@@ -75,42 +80,122 @@ export function t(key, locale = DEFAULT_LOCALE, replacements = {}) {
     return text;
 }
 
+/**
+ * Map a Discord locale (e.g. 'en-US', 'en-GB', 'vi') to a supported locale
+ * @param {string|null} discordLocale - Discord locale code
+ * @returns {string|null} Supported locale or null
+ */
+export function normalizeLocale(discordLocale) {
+    if (!discordLocale) return null;
+    const base = String(discordLocale).toLowerCase().split('-')[0];
+    return LOCALES.includes(base) ? base : null;
+}
+
+/**
+ * Resolve the locale for a user in a guild.
+ * Order: user's `language` preference > guild default > Discord client locale > bot default.
+ * @param {Object} context
+ * @param {string} [context.userId] - Discord user ID
+ * @param {string} [context.guildId] - Guild ID
+ * @param {string} [context.discordLocale] - Discord client locale (interaction.locale)
+ * @returns {string} Locale code
+ */
+export function resolveLocale({ userId = null, guildId = null, discordLocale = null } = {}) {
+    try {
+        if (userId) {
+            const language = normalizeLocale(UserPreferences.get(userId)?.language);
+            if (language) return language;
+        }
+
+        if (guildId) {
+            const language = normalizeLocale(GuildSettings.get(guildId)?.language);
+            if (language) return language;
+        }
+    } catch (error) {
+        logger.error('Failed to resolve locale', { userId, guildId, error: error.message });
+    }
+
+    return normalizeLocale(discordLocale) || DEFAULT_LOCALE;
+}
+
+/**
+ * Get the locale to reply to an interaction in
+ * @param {import('discord.js').BaseInteraction} interaction - Discord interaction
+ * @returns {string} Locale code
+ */
+export function getLocale(interaction) {
+    if (!interaction) return DEFAULT_LOCALE;
+
+    let locale = interactionLocales.get(interaction);
+    if (!locale) {
+        locale = resolveLocale({
+            userId: interaction.user?.id,
+            guildId: interaction.guildId,
+            discordLocale: interaction.locale
+        });
+        interactionLocales.set(interaction, locale);
+    }
+    return locale;
+}
+
+/**
+ * Get the locale for messages shared by a whole guild (now playing, announcements).
+ * Order: guild default > guild's Discord community locale > bot default.
+ * @param {string} guildId - Guild ID
+ * @param {import('discord.js').Guild} [guild] - Guild object, for its preferredLocale
+ * @returns {string} Locale code
+ */
+export function getGuildLocale(guildId, guild = null) {
+    return resolveLocale({ guildId, discordLocale: guild?.preferredLocale });
+}
+
+/**
+ * Map a locale to the BCP 47 tag used for Intl date/number formatting
+ * @param {string} locale - Locale code
+ * @returns {string} Intl locale tag
+ */
+export function intlLocale(locale) {
+    return locale === 'en' ? 'en-US' : 'vi-VN';
+}
+
+/**
+ * Build a Discord localization map for a translation key
+ * (for SlashCommandBuilder#setDescriptionLocalizations / #setNameLocalizations)
+ * @param {string} key - Translation key
+ * @returns {Object<string, string>} Discord locale -> text
+ */
+export function localizations(key) {
+    const english = translations.en?.[key];
+    return english ? { 'en-US': english, 'en-GB': english } : {};
+}
+
 /**
  * Get user's preferred locale from database
  * @param {string} userId - Discord user ID
  * @returns {Promise<string>} Locale code
  */
 export async function getUserLocale(userId) {
-    try {
-        const { default: UserPreferences } = await import('../database/models/UserPreferences.js');
-        const prefs = UserPreferences.get(userId);
-        return prefs?.locale || DEFAULT_LOCALE;
-    } catch (error) {
-        logger.error('Failed to get user locale', { userId, error: error.message });
-        return DEFAULT_LOCALE;
-    }
+    return resolveLocale({ userId });
 }
 
 /**
  * Set user's preferred locale
  * @param {string} userId - Discord user ID
- * @param {string} locale - Locale code
+ * @param {string|null} locale - Locale code, or null to follow the guild/Discord locale
  * @returns {Promise<boolean>} Success
  */
 export async function setUserLocale(userId, locale) {
-    if (!LOCALES.includes(locale)) {
+    if (locale !== null && !LOCALES.includes(locale)) {
         throw new Error(`Invalid locale: ${locale}. Available: ${LOCALES.join(', ')}`);
     }
 
-    try {
-        const { default: UserPreferences } = await import('../database/models/UserPreferences.js');
-        UserPreferences.set(userId, { locale });
+    const success = UserPreferences.set(userId, { language: locale });
+    if (success) {
         logger.info('User locale updated', { userId, locale });
-        return true;
-    } catch (error) {
-        logger.error('Failed to set user locale', { userId, locale, error: error.message });
-        return false;
+    } else {
+        logger.error('Failed to set user locale', { userId, locale });
     }
+    return success;
 }
 
 /**
@@ -129,6 +214,12 @@ loadTranslations();
 
 export default {
     t,
+    normalizeLocale,
+    resolveLocale,
+    getLocale,
+    getGuildLocale,
+    intlLocale,
+    localizations,
     getUserLocale,
     setUserLocale,
     getAvailableLocales,
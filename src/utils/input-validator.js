@@ -5,6 +5,7 @@
 
 import logger from './logger.js';
 import { sanitizeForLog } from './sanitize.js';
+import { t } from './i18n.js';
 
 /**
  * Validation result object
@@ -17,13 +18,14 @@ import { sanitizeForLog } from './sanitize.js';
 /**
  * Validate search query
  * @param {string} query - Search query
+ * @param {string} [locale] - Locale code for error messages
  * @returns {ValidationResult}
  */
-export function validateSearchQuery(query) {
+export function validateSearchQuery(query, locale) {
     if (!query || typeof query !== 'string') {
         return {
             valid: false,
-            error: 'Truy vấn tìm kiếm không hợp lệ'
+            error: t('validation.query_invalid', locale)
         };
     }
 
@@ -34,14 +36,14 @@ export function validateSearchQuery(query) {
     if (trimmed.length === 0) {
         return {
             valid: false,
-            error: 'Truy vấn tìm kiếm không được để trống'
+            error: t('validation.query_empty', locale)
         };
     }
 
     if (trimmed.length > 200) {
         return {
             valid: false,
-            error: 'Truy vấn tìm kiếm quá dài (tối đa 200 ký tự)'
+            error: t('validation.query_too_long', locale)
         };
     }
 
@@ -62,7 +64,7 @@ export function validateSearchQuery(query) {
             logger.warn('Suspicious search query detected', { query: trimmed });
             return {
                 valid: false,
-                error: 'Truy vấn tìm kiếm chứa nội dung không hợp lệ'
+                error: t('validation.query_suspicious', locale)
             };
         }
     }
@@ -73,7 +75,7 @@ export function validateSearchQuery(query) {
         logger.warn('Excessive special characters in query', { query: trimmed, count: specialCharCount });
         return {
             valid: false,
-            error: 'Truy vấn tìm kiếm chứa quá nhiều ký tự đặc biệt'
+            error: t('validation.query_special_chars', locale)
         };
     }
 
@@ -86,7 +88,7 @@ export function validateSearchQuery(query) {
     if (sanitized.length === 0) {
         return {
             valid: false,
-            error: 'Truy vấn tìm kiếm không hợp lệ sau khi xử lý'
+            error: t('validation.query_invalid_sanitized', locale)
         };
     }
 
@@ -99,13 +101,14 @@ export function validateSearchQuery(query) {
 /**
  * Validate playlist name
  * @param {string} name - Playlist name
+ * @param {string} [locale] - Locale code for error messages
  * @returns {ValidationResult}
  */
-export function validatePlaylistName(name) {
+export function validatePlaylistName(name, locale) {
     if (!name || typeof name !== 'string') {
         return {
             valid: false,
-            error: 'Tên playlist không hợp lệ'
+            error: t('validation.playlist_name_invalid', locale)
         };
     }
 
@@ -114,14 +117,14 @@ export function validatePlaylistName(name) {
     if (trimmed.length === 0) {
         return {
             valid: false,
-            error: 'Tên playlist không được để trống'
+            error: t('validation.playlist_name_empty', locale)
         };
     }
 
     if (trimmed.length > 100) {
         return {
             valid: false,
-            error: 'Tên playlist quá dài (tối đa 100 ký tự)'
+            error: t('validation.playlist_name_too_long', locale)
         };
     }
 
@@ -130,7 +133,7 @@ export function validatePlaylistName(name) {
     if (!validPattern.test(trimmed)) {
         return {
             valid: false,
-            error: 'Tên playlist chỉ được chứa chữ, số, dấu cách, gạch ngang và gạch dưới'
+            error: t('validation.playlist_name_chars', locale)
         };
     }
 
@@ -139,7 +142,7 @@ export function validatePlaylistName(name) {
     if (reservedNames.includes(trimmed.toLowerCase())) {
         return {
             valid: false,
-            error: 'Tên playlist này không được phép sử dụng'
+            error: t('validation.playlist_name_reserved', locale)
         };
     }
 
@@ -152,9 +155,10 @@ export function validatePlaylistName(name) {
 /**
  * Validate playlist description
  * @param {string} description - Playlist description
+ * @param {string} [locale] - Locale code for error messages
  * @returns {ValidationResult}
  */
-export function validatePlaylistDescription(description) {
+export function validatePlaylistDescription(description, locale) {
     if (!description) {
         return {
             valid: true,
@@ -165,7 +169,7 @@ export function validatePlaylistDescription(description) {
     if (typeof description !== 'string') {
         return {
             valid: false,
-            error: 'Mô tả playlist không hợp lệ'
+            error: t('validation.playlist_description_invalid', locale)
         };
     }
 
@@ -174,7 +178,7 @@ export function validatePlaylistDescription(description) {
     if (trimmed.length > 500) {
         return {
             valid: false,
-            error: 'Mô tả playlist quá dài (tối đa 500 ký tự)'
+            error: t('validation.playlist_description_too_long', locale)
         };
     }
 
@@ -194,22 +198,23 @@ export function validatePlaylistDescription(description) {
 /**
  * Validate volume value
  * @param {number} volume - Volume value (0-100)
+ * @param {string} [locale] - Locale code for error messages
  * @returns {ValidationResult}
  */
-export function validateVolume(volume) {
+export function validateVolume(volume, locale) {
     const num = Number(volume);
 
     if (isNaN(num)) {
         return {
             valid: false,
-            error: 'Âm lượng phải là một số'
+            error: t('validation.volume_nan', locale)
         };
     }
 
     if (num < 0 || num > 100) {
         return {
             valid: false,
-            error: 'Âm lượng phải trong khoảng 0-100'
+            error: t('validation.volume_range', locale)
         };
     }
 
@@ -223,29 +228,30 @@ export function validateVolume(volume) {
  * Validate queue position
  * @param {number} position - Queue position
  * @param {number} maxPosition - Maximum valid position
+ * @param {string} [locale] - Locale code for error messages
  * @returns {ValidationResult}
  */
-export function validateQueuePosition(position, maxPosition) {
+export function validateQueuePosition(position, maxPosition, locale) {
     const num = Number(position);
 
     if (isNaN(num)) {
         return {
             valid: false,
-            error: 'Vị trí phải là một số'
+            error: t('validation.position_nan', locale)
         };
     }
 
     if (!Number.isInteger(num)) {
         return {
             valid: false,
-            error: 'Vị trí phải là số nguyên'
+            error: t('validation.position_integer', locale)
         };
     }
 
     if (num < 1 || num > maxPosition) {
         return {
             valid: false,
-            error: `Vị trí phải trong khoảng 1-${maxPosition}`
+            error: t('validation.position_range', locale, { max: maxPosition })
         };
     }
 
@@ -258,13 +264,14 @@ export function validateQueuePosition(position, maxPosition) {
 /**
  * Validate URL
  * @param {string} url - URL to validate
+ * @param {string} [locale] - Locale code for error messages
  * @returns {ValidationResult}
  */
-export function validateURL(url) {
+export function validateURL(url, locale) {
     if (!url || typeof url !== 'string') {
         return {
             valid: false,
-            error: 'URL không hợp lệ'
+            error: t('validation.url_invalid', locale)
         };
     }
 
@@ -275,7 +282,7 @@ export function validateURL(url) {
         if (!['http:', 'https:'].includes(parsed.protocol)) {
             return {
                 valid: false,
-                error: 'Chỉ chấp nhận URL với giao thức HTTP hoặc HTTPS'
+                error: t('validation.url_protocol', locale)
             };
         }
 
@@ -313,7 +320,7 @@ export function validateURL(url) {
                 logger.warn('Attempt to access private URL via decimal IP', { url, decimalIp });
                 return {
                     valid: false,
-                    error: 'Không được phép truy cập URL nội bộ'
+                    error: t('validation.url_private', locale)
                 };
             }
         }
@@ -342,7 +349,7 @@ export function validateURL(url) {
                             logger.warn('Attempt to access private URL via encoded IP', { url, normalizedIp });
                             return {
                                 valid: false,
-                                error: 'Không được phép truy cập URL nội bộ'
+                                error: t('validation.url_private', locale)
                             };
                         }
                     }
@@ -355,7 +362,7 @@ export function validateURL(url) {
                 logger.warn('Attempt to access private URL', { url });
                 return {
                     valid: false,
-                    error: 'Không được phép truy cập URL nội bộ'
+                    error: t('validation.url_private', locale)
                 };
             }
         }
@@ -367,7 +374,7 @@ export function validateURL(url) {
     } catch (error) {
         return {
             valid: false,
-            error: 'URL không hợp lệ'
+            error: t('validation.url_invalid', locale)
         };
     }
 }
@@ -375,13 +382,14 @@ export function validateURL(url) {
 /**
  * Validate Discord ID (user, guild, channel)
  * @param {string} id - Discord ID
+ * @param {string} [locale] - Locale code for error messages
  * @returns {ValidationResult}
  */
-export function validateDiscordId(id) {
+export function validateDiscordId(id, locale) {
     if (!id || typeof id !== 'string') {
         return {
             valid: false,
-            error: 'ID không hợp lệ'
+            error: t('validation.id_invalid', locale)
         };
     }
 
@@ -389,7 +397,7 @@ export function validateDiscordId(id) {
     if (!/^\d{17,19}$/.test(id)) {
         return {
             valid: false,
-            error: 'ID Discord không hợp lệ'
+            error: t('validation.discord_id_invalid', locale)
         };
     }
 
@@ -403,13 +411,14 @@ export function validateDiscordId(id) {
  * Validate filter name
  * @param {string} filterName - Filter name
  * @param {string[]} validFilters - Array of valid filter names
+ * @param {string} [locale] - Locale code for error messages
  * @returns {ValidationResult}
  */
-export function validateFilterName(filterName, validFilters) {
+export function validateFilterName(filterName, validFilters, locale) {
     if (!filterName || typeof filterName !== 'string') {
         return {
             valid: false,
-            error: 'Tên filter không hợp lệ'
+            error: t('validation.filter_name_invalid', locale)
         };
     }
 
@@ -418,7 +427,7 @@ export function validateFilterName(filterName, validFilters) {
     if (!validFilters.includes(normalized)) {
         return {
             valid: false,
-            error: `Filter không tồn tại. Filter hợp lệ: ${validFilters.join(', ')}`
+            error: t('validation.filter_unknown', locale, { filters: validFilters.join(', ') })
         };
     }
 
@@ -440,22 +449,29 @@ export { sanitizeForLog };
  * @param {number} options.maxLength - Maximum length
  * @param {RegExp} options.pattern - Regex pattern to match
  * @param {string} options.fieldName - Field name for error messages
+ * @param {string} [options.locale] - Locale code for error messages
  * @returns {ValidationResult}
  */
 export function validateString(input, options = {}) {
-    const { minLength = 0, maxLength = 1000, pattern = null, fieldName = 'Giá trị' } = options;
+    const {
+        minLength = 0,
+        maxLength = 1000,
+        pattern = null,
+        locale,
+        fieldName = t('validation.field_default', locale)
+    } = options;
 
     if (input === null || input === undefined) {
         return {
             valid: false,
-            error: `${fieldName} không được để trống`
+            error: t('validation.field_required', locale, { field: fieldName })
         };
     }
 
     if (typeof input !== 'string') {
         return {
             valid: false,
-            error: `${fieldName} phải là chuỗi ký tự`
+            error: t('validation.field_not_string', locale, { field: fieldName })
         };
     }
 
@@ -464,21 +480,21 @@ export function validateString(input, options = {}) {
     if (trimmed.length < minLength) {
         return {
             valid: false,
-            error: `${fieldName} phải có ít nhất ${minLength} ký tự`
+            error: t('validation.field_too_short', locale, { field: fieldName, min: minLength })
         };
     }
 
     if (trimmed.length > maxLength) {
         return {
             valid: false,
-            error: `${fieldName} không được vượt quá ${maxLength} ký tự`
+            error: t('validation.field_too_long', locale, { field: fieldName, max: maxLength })
         };
     }
 
     if (pattern && !pattern.test(trimmed)) {
         return {
             valid: false,
-            error: `${fieldName} không đúng định dạng`
+            error: t('validation.field_format', locale, { field: fieldName })
         };
     }
 
@@ -496,31 +512,38 @@ export function validateString(input, options = {}) {
  * @param {number} options.max - Maximum value
  * @param {boolean} options.integer - Must be integer
  * @param {string} options.fieldName - Field name for error messages
+ * @param {string} [options.locale] - Locale code for error messages
  * @returns {ValidationResult}
  */
 export function validateNumber(input, options = {}) {
-    const { min = -Infinity, max = Infinity, integer = false, fieldName = 'Giá trị' } = options;
+    const {
+        min = -Infinity,
+        max = Infinity,
+        integer = false,
+        locale,
+        fieldName = t('validation.field_default', locale)
+    } = options;
 
     const num = Number(input);
 
     if (isNaN(num)) {
         return {
             valid: false,
-            error: `${fieldName} phải là một số`
+            error: t('validation.field_nan', locale, { field: fieldName })
         };
     }
 
     if (integer && !Number.isInteger(num)) {
         return {
             valid: false,
-            error: `${fieldName} phải là số nguyên`
+            error: t('validation.field_integer', locale, { field: fieldName })
         };
     }
 
     if (num < min || num > max) {
         return {
             valid: false,
-            error: `${fieldName} phải trong khoảng ${min}-${max}`
+            error: t('validation.field_range', locale, { field: fieldName, min, max })
         };
     }
 
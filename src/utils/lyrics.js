@@ -272,8 +272,11 @@ async function trySearchMatch(query, originalTrack, originalArtist, duration = n
 
 /**
  * Calculate string similarity (Dice coefficient)
+ * @param {string} str1
+ * @param {string} str2
+ * @returns {number} Similarity between 0 and 1
  */
-function calculateSimilarity(str1, str2) {
+export function calculateSimilarity(str1, str2) {
     if (!str1 || !str2) return 0;
     if (str1 === str2) return 1;
 
@@ -740,5 +743,6 @@ export default {
     getCurrentLyricLine,
     formatSyncedLyrics,
     cleanTrackName,
-    cleanArtistName
+    cleanArtistName,
+    calculateSimilarity
 };
@@ -5,6 +5,7 @@
  */
 
 import { EmbedBuilder } from 'discord.js';
+import { t } from './i18n.js';
 
 /**
  * Maximum character limits for Discord embeds
@@ -258,14 +259,15 @@ export function exceedsMobileLimits(text, type = 'description') {
  * Wrap long content in a code block with line numbers for better mobile readability
  * @param {string} content - Content to wrap
  * @param {string} lang - Language for syntax highlighting (default: '')
+ * @param {string} [locale] - Locale for the truncation note
  * @returns {string} Formatted code block
  */
-export function wrapInCodeBlock(content, lang = '') {
+export function wrapInCodeBlock(content, lang = '', locale) {
     // Discord code block limit is ~2000 chars
     const maxLength = 1900;
 
     if (content.length > maxLength) {
-        content = content.slice(0, maxLength) + '\n... (nội dung bị cắt)';
+        content = content.slice(0, maxLength) + `\n${t('common.content_truncated', locale)}`;
     }
 
     return `\`\`\`${lang}\n${content}\n\`\`\``;
@@ -11,6 +11,7 @@ import { EmbedBuilder } from 'discord.js';
 import GuildSettings from '../database/models/GuildSettings.js';
 import logger from './logger.js';
 import { COLORS } from '../config/design-system.js';
+import { t, getLocale } from './i18n.js';
 
 /**
  * Check if a guild member has permission based on config roles.
@@ -91,6 +92,51 @@ export function checkDJPermission(member, guildId) {
     }
 }
 
+/**
+ * Check if a guild member has DJ rights for moderated features (democratic mode votes,
+ * song request approval). Unlike checkDJPermission, a guild without a DJ role does not
+ * make everyone a DJ here: only administrators and holders of the configured DJ role qualify.
+ *
+ * @param {import('discord.js').GuildMember} member - Discord guild member
+ * @param {string} guildId - Guild ID to check DJ role for
+ * @returns {{allowed: boolean, reason: string}}
+ *
+ * @example
+ * if (!isDJOrAdmin(interaction.member, interaction.guildId).allowed) {
+ *     // put the action to a vote
+ * }
+ */
+export function isDJOrAdmin(member, guildId) {
+    if (member.permissions.has('Administrator')) {
+        return { allowed: true, reason: 'admin' };
+    }
+
+    try {
+        const { djRoleId } = GuildSettings.get(guildId);
+        if (djRoleId && getMemberRoleIds(member).includes(djRoleId)) {
+            return { allowed: true, reason: 'has_dj_role' };
+        }
+        return { allowed: false, reason: 'not_dj' };
+    } catch (error) {
+        logger.error('Error checking DJ rights', error);
+        return { allowed: false, reason: 'error_default_deny' };
+    }
+}
+
+/**
+ * Check if a user is the bot owner (`OWNER_ID`). Owner-only actions affect every
+ * server the bot is in, such as managing Lavalink nodes.
+ *
+ * @param {string} userId - Discord user ID
+ * @returns {boolean} Whether the user is the bot owner
+ *
+ * @example
+ * if (!isBotOwner(interaction.user.id)) throw new PermissionError();
+ */
+export function isBotOwner(userId) {
+    return Boolean(process.env.OWNER_ID) && userId === process.env.OWNER_ID;
+}
+
 /**
  * Check if a command requires DJ role and verify the user's permission.
  * Returns an embed with a denial message if the user lacks permission.
@@ -119,21 +165,38 @@ export async function checkDJCommandPermission(interaction, djCommands = []) {
     }
 
     // User doesn't have permission - build denial embed
+    const locale = getLocale(interaction);
     const embed = new EmbedBuilder()
         .setColor(COLORS.ERROR)
-        .setTitle('❌ Không có quyền')
-        .setDescription(
-            `Lệnh \`/${commandName}\` yêu cầu vai trò DJ!\n\n` +
-                '• Liên hệ admin để được cấp vai trò DJ\n' +
-                '• Hoặc admin có thể tắt yêu cầu DJ role trong `/settings server dj-role`'
-        )
+        .setTitle(t('permission.dj_required_title', locale))
+        .setDescription(t('permission.dj_required', locale, { command: commandName }))
         .setTimestamp();
 
     return { allowed: false, embed };
 }
 
+/**
+ * Get the role IDs of a guild member, whether it is a cached GuildMember
+ * or the raw API member Discord sends with uncached interactions.
+ *
+ * @param {import('discord.js').GuildMember|Object|null} member - Guild member
+ * @returns {string[]} Role IDs (empty outside guilds)
+ *
+ * @example
+ * const roleIds = getMemberRoleIds(interaction.member);
+ */
+export function getMemberRoleIds(member) {
+    const roles = member?.roles;
+    if (!roles) return [];
+    if (Array.isArray(roles)) return roles;
+    return roles.cache ? [...roles.cache.keys()] : [];
+}
+
 export default {
     hasPermission,
     checkDJPermission,
-    checkDJCommandPermission
+    checkDJCommandPermission,
+    isDJOrAdmin,
+    isBotOwner,
+    getMemberRoleIds
 };
@@ -0,0 +1,365 @@
+/**
+ * Playlist Files
+ * Serialize playlists to portable files (Miyao JSON, M3U8, CSV) and parse them back
+ * into plain entries for /playlist import
+ */
+
+import { PlaylistFileError } from './errors.js';
+
+/** Export formats and their file details */
+export const PLAYLIST_FILE_FORMATS = Object.freeze({
+    json: { extension: 'json', contentType: 'application/json' },
+    m3u8: { extension: 'm3u8', contentType: 'audio/x-mpegurl' },
+    csv: { extension: 'csv', contentType: 'text/csv' }
+});
+
+/** Identifies Miyao JSON exports */
+const MIYAO_FORMAT = 'miyao-playlist';
+const MIYAO_FORMAT_VERSION = 1;
+
+/** CSV header aliases (lowercased), so exports from other bots and tools import too */
+const CSV_COLUMNS = {
+    title: ['title', 'track_title', 'track name', 'track', 'name', 'song'],
+    author: ['author', 'artist', 'artists', 'artist name(s)', 'artist name', 'track_author'],
+    url: ['url', 'uri', 'link', 'track_url', 'track uri', 'spotify uri'],
+    durationMs: ['duration_ms', 'duration (ms)', 'track_duration', 'length'],
+    durationSeconds: ['duration', 'duration_seconds', 'seconds']
+};
+
+/**
+ * Build a safe attachment file name from a playlist name
+ * @param {string} name - Playlist name
+ * @param {string} extension - File extension without the dot
+ * @returns {string}
+ */
+export function getExportFileName(name, extension) {
+    const base = (name || '')
+        .normalize('NFC')
+        .replace(/[^\p{L}\p{N}_-]+/gu, '_')
+        .replace(/^_+|_+$/g, '')
+        .slice(0, 50);
+    return `${base || 'playlist'}.${extension}`;
+}
+
+/**
+ * Serialize a playlist and its tracks
+ * @param {Object} playlist - Playlist row (name, description, owner_username)
+ * @param {Array} tracks - Playlist track rows (track_title, track_author, track_url, track_duration, added_at)
+ * @param {string} format - One of PLAYLIST_FILE_FORMATS
+ * @returns {string} File content
+ */
+export function serializePlaylist(playlist, tracks, format) {
+    switch (format) {
+        case 'm3u8':
+            return serializeM3u(playlist, tracks);
+        case 'csv':
+            return serializeCsv(tracks);
+        case 'json':
+        default:
+            return JSON.stringify(
+                {
+                    format: MIYAO_FORMAT,
+                    version: MIYAO_FORMAT_VERSION,
+                    exportedAt: new Date().toISOString(),
+                    playlist: {
+                        name: playlist.name,
+                        description: playlist.description || null,
+                        owner: playlist.owner_username || null,
+                        trackCount: tracks.length
+                    },
+                    tracks: tracks.map(track => ({
+                        title: track.track_title,
+                        author: track.track_author || null,
+                        url: track.track_url,
+                        duration: track.track_duration || 0,
+                        addedAt: track.added_at || null
+                    }))
+                },
+                null,
+                2
+            );
+    }
+}
+
+function serializeM3u(playlist, tracks) {
+    const lines = ['#EXTM3U', `#PLAYLIST:${singleLine(playlist.name)}`];
+    for (const track of tracks) {
+        const seconds = track.track_duration ? Math.round(track.track_duration / 1000) : -1;
+        // Attribute values cannot hold double quotes
+        const author = singleLine(track.track_author).replace(/"/g, "'");
+        const title = singleLine(track.track_title);
+        // tvg-artist keeps the author exact even when it contains " - "; other players read the display title
+        const attributes = author ? ` tvg-artist="${author}"` : '';
+        lines.push(`#EXTINF:${seconds}${attributes},${author ? `${author} - ${title}` : title}`, track.track_url);
+    }
+    return lines.join('\n') + '\n';
+}
+
+function serializeCsv(tracks) {
+    const rows = [['title', 'author', 'url', 'duration_ms']];
+    for (const track of tracks) {
+        rows.push([track.track_title, track.track_author || '', track.track_url, String(track.track_duration || 0)]);
+    }
+    return rows.map(row => row.map(csvField).join(',')).join('\r\n') + '\r\n';
+}
+
+function singleLine(value) {
+    return String(value ?? '')
+        .replace(/[\r\n]+/g, ' ')
+        .trim();
+}
+
+function csvField(value) {
+    const text = String(value ?? '');
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Parse an uploaded playlist file
+ * @param {string} content - File content
+ * @param {string} fileName - Original file name (used to pick the format)
+ * @returns {{name: string|null, description: string|null, entries: Array<{title: string|null,
+ *   author: string|null, url: string|null, duration: number}>}}
+ * @throws {PlaylistFileError} When the file cannot be read as any supported format
+ */
+export function parsePlaylistFile(content, fileName = '') {
+    const text = content.replace(/^\uFEFF/, '');
+    const extension = fileName.toLowerCase().split('.').pop();
+    const trimmed = text.trimStart();
+
+    let parsed;
+    if (extension === 'json' || trimmed.startsWith('{') || trimmed.startsWith('[')) {
+        parsed = parseJsonPlaylist(text);
+    } else if (extension === 'm3u' || extension === 'm3u8' || trimmed.startsWith('#EXTM3U')) {
+        parsed = parseM3u(text);
+    } else if (extension === 'csv') {
+        parsed = parseCsvPlaylist(text);
+    } else {
+        throw new PlaylistFileError('unsupported');
+    }
+
+    const entries = parsed.entries.filter(entry => entry.url || entry.title);
+    if (entries.length === 0) {
+        throw new PlaylistFileError('empty');
+    }
+
+    return { ...parsed, entries };
+}
+
+/**
+ * Build the search query for an imported entry: its URL when it has one, otherwise "author title"
+ * @param {Object} entry - Parsed entry
+ * @returns {string|null}
+ */
+export function getEntryQuery(entry) {
+    if (entry.url) return entry.url;
+    if (!entry.title) return null;
+    return entry.author ? `${entry.author} ${entry.title}` : entry.title;
+}
+
+/**
+ * Normalize a location into a playable URL, or null for local paths and junk
+ * @param {string} value
+ * @returns {string|null}
+ */
+function normalizeUrl(value) {
+    const text = (value || '').trim();
+    if (/^https?:\/\//i.test(text)) return text;
+
+    // spotify:track:<id> URIs (e.g. Exportify CSVs)
+    const spotify = text.match(/^spotify:(track|album|playlist):([A-Za-z0-9]+)$/);
+    if (spotify) return `https://open.spotify.com/${spotify[1]}/${spotify[2]}`;
+
+    return null;
+}
+
+function makeEntry({ title, author, url, duration }) {
+    return {
+        title: title ? String(title).trim() || null : null,
+        author: author ? String(author).trim() || null : null,
+        url: normalizeUrl(url),
+        duration: Number.isFinite(Number(duration)) && Number(duration) > 0 ? Math.round(Number(duration)) : 0
+    };
+}
+
+function parseJsonPlaylist(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch {
+        throw new PlaylistFileError('invalid_json');
+    }
+
+    const tracks = Array.isArray(data) ? data : data?.tracks;
+    if (!Array.isArray(tracks)) {
+        throw new PlaylistFileError('json_no_tracks');
+    }
+
+    return {
+        name: data?.playlist?.name || data?.name || null,
+        description: data?.playlist?.description || data?.description || null,
+        entries: tracks
+            .filter(track => track && typeof track === 'object')
+            .map(track =>
+                makeEntry({
+                    title: track.title ?? track.track_title ?? track.name,
+                    author: track.author ?? track.track_author ?? track.artist,
+                    url: track.url ?? track.uri ?? track.track_url,
+                    duration: track.duration ?? track.length ?? track.track_duration
+                })
+            )
+    };
+}
+
+function parseM3u(text) {
+    const entries = [];
+    let name = null;
+    let pending = null;
+
+    for (const rawLine of text.split(/\r?\n/)) {
+        const line = rawLine.trim();
+        if (!line) continue;
+
+        if (line.startsWith('#PLAYLIST:')) {
+            name = line.slice('#PLAYLIST:'.length).trim() || null;
+        } else if (line.startsWith('#EXTINF:')) {
+            pending = parseExtinf(line.slice('#EXTINF:'.length));
+        } else if (!line.startsWith('#')) {
+            const url = normalizeUrl(line);
+            // Local files only carry a name; search for it by the display title or the file name
+            const fallbackTitle = url
+                ? null
+                : line
+                      .split(/[\\/]/)
+                      .pop()
+                      .replace(/\.[^.]+$/, '');
+            entries.push(
+                makeEntry({
+                    title: pending?.title || fallbackTitle,
+                    author: pending?.author,
+                    url,
+                    duration: pending?.duration
+                })
+            );
+            pending = null;
+        }
+    }
+
+    return { name, description: null, entries };
+}
+
+/**
+ * Parse the body of an #EXTINF line: <seconds>[ key="value"...],<display title>
+ * @param {string} body - Text after "#EXTINF:"
+ * @returns {{title: string, author: string|null, duration: number}}
+ */
+export function parseExtinf(body) {
+    // Attribute values are quoted and may contain commas, so skip past them before looking for the title comma
+    const match = body.match(/^\s*(-?[\d.]+)?((?:\s+[\w-]+="[^"]*")*)\s*,(.*)$/);
+    const seconds = parseInt(match ? match[1] : body, 10);
+    const duration = seconds > 0 ? seconds * 1000 : 0;
+    const display = match ? match[3].trim() : '';
+
+    const artist = match?.[2].match(/tvg-artist="([^"]*)"/)?.[1].trim();
+    if (artist) {
+        const prefix = `${artist} - `;
+        return { title: display.startsWith(prefix) ? display.slice(prefix.length) : display, author: artist, duration };
+    }
+
+    // Plain "Artist - Title"; titles often carry " - Remastered" style suffixes, so split on the first one
+    const dash = display.indexOf(' - ');
+    return {
+        title: dash === -1 ? display : display.slice(dash + 3),
+        author: dash === -1 ? null : display.slice(0, dash),
+        duration
+    };
+}
+
+/**
+ * Split CSV text into rows (RFC 4180: quoted fields, doubled quotes, CRLF or LF)
+ * @param {string} text
+ * @returns {string[][]}
+ */
+function parseCsvRows(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+
+        if (inQuotes) {
+            if (char === '"') {
+                if (text[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else {
+                    inQuotes = false;
+                }
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+
+    if (field || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    return rows.filter(cells => cells.some(cell => cell.trim()));
+}
+
+function parseCsvPlaylist(text) {
+    const [header, ...rows] = parseCsvRows(text);
+    if (!header) {
+        throw new PlaylistFileError('csv_empty');
+    }
+
+    const headerNames = header.map(cell => cell.trim().toLowerCase());
+    const columnOf = aliases => headerNames.findIndex(name => aliases.includes(name));
+    const columns = Object.fromEntries(Object.entries(CSV_COLUMNS).map(([key, aliases]) => [key, columnOf(aliases)]));
+
+    if (columns.title === -1 && columns.url === -1) {
+        throw new PlaylistFileError('csv_columns');
+    }
+
+    const cell = (cells, index) => (index === -1 ? null : cells[index]);
+
+    return {
+        name: null,
+        description: null,
+        entries: rows.map(cells => {
+            const durationMs = cell(cells, columns.durationMs);
+            const durationSeconds = cell(cells, columns.durationSeconds);
+            return makeEntry({
+                title: cell(cells, columns.title),
+                author: cell(cells, columns.author),
+                url: cell(cells, columns.url),
+                duration: durationMs ? Number(durationMs) : Number(durationSeconds) * 1000
+            });
+        })
+    };
+}
+
+export default {
+    PLAYLIST_FILE_FORMATS,
+    getExportFileName,
+    serializePlaylist,
+    parsePlaylistFile,
+    getEntryQuery
+};
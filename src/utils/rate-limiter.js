@@ -9,6 +9,8 @@ import logger from './logger.js';
 import { readFileSync } from 'fs';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
+import { REQUEST_LIMITS } from './constants.js';
+import { t, getGuildLocale } from './i18n.js';
 
 // Config is read synchronously once at module load and cached in this variable.
 // This is safe because ESM module evaluation is inherently synchronous and
@@ -80,9 +82,10 @@ export class CommandRateLimiter {
      * Check if user can execute command
      * @param {string} userId - Discord user ID
      * @param {boolean} isAdmin - Whether user is admin (admins bypass limits)
+     * @param {string} [locale] - Locale code for the reason
      * @returns {Object} { allowed: boolean, remaining: number, resetIn: number, reason?: string }
      */
-    check(userId, isAdmin = false) {
+    check(userId, isAdmin = false, locale) {
         // Admins bypass rate limits
         if (isAdmin) {
             return { allowed: true, remaining: Infinity, resetIn: 0 };
@@ -133,7 +136,7 @@ export class CommandRateLimiter {
             allowed: false,
             remaining: 0,
             resetIn,
-            reason: `Bạn đang sử dụng lệnh quá nhanh! Vui lòng đợi ${Math.ceil(resetIn / 1000)} giây.`
+            reason: t('rate_limit.user', locale, { seconds: Math.ceil(resetIn / 1000) })
         };
     }
 
@@ -336,27 +339,26 @@ export class GuildRateLimiter {
             resetIn
         });
 
+        const locale = getGuildLocale(guildId);
         return {
             allowed: false,
             remaining: 0,
             resetIn,
-            reason: `Server đang thực hiện quá nhiều thao tác ${this.getOperationName(operationType)}. Vui lòng đợi ${Math.ceil(resetIn / 1000)} giây.`
+            reason: t('rate_limit.guild', locale, {
+                operation: this.getOperationName(operationType, locale),
+                seconds: Math.ceil(resetIn / 1000)
+            })
         };
     }
 
     /**
      * Get friendly operation name
      * @param {string} operationType - Operation type
+     * @param {string} [locale] - Locale code
      * @returns {string} Friendly name
      */
-    getOperationName(operationType) {
-        const names = {
-            queueOperations: 'hàng đợi',
-            searches: 'tìm kiếm',
-            playlistOperations: 'playlist',
-            filterChanges: 'thay đổi filter'
-        };
-        return names[operationType] || operationType;
+    getOperationName(operationType, locale) {
+        return operationType in this.limits ? t(`rate_limit.op_${operationType}`, locale) : operationType;
     }
 
     /**
@@ -466,13 +468,111 @@ export class GuildRateLimiter {
     }
 }
 
+/**
+ * Per-member track request log for the guild "requests per hour" limit.
+ * Lives outside EnhancedQueue so the count survives the bot leaving and rejoining.
+ */
+export class TrackRequestLimiter {
+    /**
+     * @param {number} [windowMs] - Sliding window length
+     */
+    constructor(windowMs = REQUEST_LIMITS.WINDOW_MS) {
+        this.windowMs = windowMs;
+        this.requests = new Map(); // `${guildId}:${userId}` -> ascending request timestamps
+
+        this.cleanupInterval = setInterval(() => {
+            this.cleanup();
+        }, DEFAULT_COMMAND_LIMITS.cleanupIntervalMs);
+        this.cleanupInterval.unref();
+    }
+
+    /**
+     * Timestamps still inside the window, dropping expired ones
+     * @private
+     */
+    _active(guildId, userId) {
+        const key = `${guildId}:${userId}`;
+        const timestamps = this.requests.get(key);
+        if (!timestamps) return [];
+
+        const cutoff = Date.now() - this.windowMs;
+        const firstActive = timestamps.findIndex(time => time > cutoff);
+        if (firstActive === -1) {
+            this.requests.delete(key);
+            return [];
+        }
+        if (firstActive > 0) timestamps.splice(0, firstActive);
+        return timestamps;
+    }
+
+    /**
+     * Number of tracks a member requested in the current window
+     * @param {string} guildId - Guild ID
+     * @param {string} userId - Discord user ID
+     * @returns {number}
+     */
+    count(guildId, userId) {
+        return this._active(guildId, userId).length;
+    }
+
+    /**
+     * Milliseconds until the member's oldest request in the window expires
+     * @param {string} guildId - Guild ID
+     * @param {string} userId - Discord user ID
+     * @returns {number} 0 when nothing is recorded
+     */
+    resetIn(guildId, userId) {
+        const [oldest] = this._active(guildId, userId);
+        return oldest ? Math.max(0, oldest + this.windowMs - Date.now()) : 0;
+    }
+
+    /**
+     * Record queued tracks
+     * @param {string} guildId - Guild ID
+     * @param {string} userId - Discord user ID
+     * @param {number} [count=1] - Tracks queued
+     */
+    record(guildId, userId, count = 1) {
+        const timestamps = this._active(guildId, userId);
+        const now = Date.now();
+        for (let i = 0; i < count; i++) timestamps.push(now);
+        this.requests.set(`${guildId}:${userId}`, timestamps);
+    }
+
+    /**
+     * Drop members whose requests have all expired
+     */
+    cleanup() {
+        const cutoff = Date.now() - this.windowMs;
+        for (const [key, timestamps] of this.requests) {
+            if (timestamps[timestamps.length - 1] <= cutoff) {
+                this.requests.delete(key);
+            }
+        }
+    }
+
+    /**
+     * Cleanup and stop background tasks
+     */
+    destroy() {
+        if (this.cleanupInterval) {
+            clearInterval(this.cleanupInterval);
+            this.cleanupInterval = null;
+        }
+        this.requests.clear();
+    }
+}
+
 // Export singleton instances (using config values)
 export const commandRateLimiter = new CommandRateLimiter();
 export const guildRateLimiter = new GuildRateLimiter();
+export const trackRequestLimiter = new TrackRequestLimiter();
 
 export default {
     CommandRateLimiter,
     GuildRateLimiter,
+    TrackRequestLimiter,
     commandRateLimiter,
-    guildRateLimiter
+    guildRateLimiter,
+    trackRequestLimiter
 };
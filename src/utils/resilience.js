@@ -7,6 +7,7 @@
 
 import logger from './logger.js';
 import { COLORS } from '../config/design-system.js';
+import { t } from './i18n.js';
 
 /**
  * FIX-UTL-H02: Hard upper bound on retry delay.
@@ -330,25 +331,25 @@ export function isMusicSystemAvailable(musicManager) {
 
 /**
  * Get degraded mode message for users
- * @param {string} feature - Feature that's unavailable
+ * @param {'music'|'playback'|'search'} feature - Feature that's unavailable
+ * @param {string} [locale] - Locale code
  * @returns {Object} Embed-ready message
  */
-export function getDegradedModeMessage(feature = 'music playback') {
+export function getDegradedModeMessage(feature = 'music', locale) {
     return {
-        title: '🔴 Chế Độ Bảo Trì',
-        description:
-            `Hệ thống ${feature} tạm thời không khả dụng.\n\n` +
-            '**Chúng tôi đang khắc phục vấn đề.**\n' +
-            'Vui lòng thử lại sau vài phút.',
+        title: t('resilience.degraded_title', locale),
+        description: t('resilience.degraded_description', locale, {
+            feature: t(`resilience.feature_${feature}`, locale)
+        }),
         fields: [
             {
-                name: '🔧 Thông tin kỹ thuật',
+                name: t('resilience.degraded_technical', locale),
                 value: 'Service unavailable - automatic recovery in progress',
                 inline: false
             },
             {
-                name: '⏰ Dự kiến',
-                value: 'Hệ thống sẽ tự động phục hồi trong vài phút',
+                name: t('resilience.degraded_eta', locale),
+                value: t('resilience.degraded_eta_value', locale),
                 inline: false
             }
         ],
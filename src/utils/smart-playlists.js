@@ -0,0 +1,152 @@
+/**
+ * Smart Playlists
+ * Rules for playlists whose tracks are computed on every play from listening history and favorites
+ */
+
+import { SmartPlaylistError } from './errors.js';
+import { SMART_PLAYLISTS } from './constants.js';
+import { t } from './i18n.js';
+
+/** Where a smart playlist draws its tracks from */
+export const SMART_SOURCES = Object.freeze({
+    HISTORY: 'history',
+    FAVORITES: 'favorites'
+});
+
+/** Whose plays count: the playlist owner's, or everyone's in the playlist's server */
+export const SMART_SCOPES = Object.freeze({
+    OWNER: 'owner',
+    SERVER: 'server'
+});
+
+/** Result ordering */
+export const SMART_SORTS = Object.freeze({
+    PLAYS: 'plays',
+    RECENT: 'recent',
+    RANDOM: 'random'
+});
+
+/** Play-count windows, as accepted by getDateFilter() */
+export const SMART_PERIODS = Object.freeze(['today', 'week', 'month', 'year', 'all']);
+
+/**
+ * Validate builder input and fill in defaults
+ * @param {Object} input - Raw rule values (missing or null values use defaults)
+ * @param {string} [input.source] - One of SMART_SOURCES
+ * @param {string} [input.scope] - One of SMART_SCOPES
+ * @param {string} [input.period] - One of SMART_PERIODS
+ * @param {string} [input.artist] - Only tracks whose artist contains this text
+ * @param {number} [input.minPlays] - Only tracks played at least this many times in the period
+ * @param {number} [input.notPlayedDays] - Only tracks not played in the last N days
+ * @param {string} [input.sort] - One of SMART_SORTS
+ * @param {number} [input.limit] - Maximum tracks
+ * @returns {Object} Normalized rules
+ * @throws {SmartPlaylistError} On an unknown or out-of-range value
+ */
+export function normalizeSmartRules(input = {}) {
+    const source = input.source || SMART_SOURCES.HISTORY;
+    const scope = input.scope || SMART_SCOPES.OWNER;
+    const period = input.period || 'all';
+    const sort = input.sort || SMART_SORTS.PLAYS;
+
+    if (!Object.values(SMART_SOURCES).includes(source)) {
+        throw new SmartPlaylistError('source', 'source');
+    }
+    if (!Object.values(SMART_SCOPES).includes(scope)) {
+        throw new SmartPlaylistError('scope', 'scope');
+    }
+    if (!SMART_PERIODS.includes(period)) {
+        throw new SmartPlaylistError('period', 'period');
+    }
+    if (!Object.values(SMART_SORTS).includes(sort)) {
+        throw new SmartPlaylistError('sort', 'sort');
+    }
+
+    // Favorites belong to a user, not a server
+    if (source === SMART_SOURCES.FAVORITES && scope === SMART_SCOPES.SERVER) {
+        throw new SmartPlaylistError('favorites_scope', 'scope');
+    }
+
+    const artist = input.artist?.trim() || null;
+    if (artist && artist.length > 100) {
+        throw new SmartPlaylistError('artist_length', 'artist', { max: 100 });
+    }
+
+    return {
+        source,
+        scope,
+        period,
+        artist,
+        minPlays: clampOptional(input.minPlays, 1, SMART_PLAYLISTS.MAX_MIN_PLAYS, 'min_plays'),
+        notPlayedDays: clampOptional(input.notPlayedDays, 1, SMART_PLAYLISTS.MAX_DAYS, 'not_played_days'),
+        sort,
+        limit: clampOptional(input.limit, 1, SMART_PLAYLISTS.MAX_TRACKS, 'limit') ?? SMART_PLAYLISTS.DEFAULT_TRACKS
+    };
+}
+
+function clampOptional(value, min, max, field) {
+    if (value === null || value === undefined) return null;
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < min || number > max) {
+        throw new SmartPlaylistError('range', field, { field, min, max });
+    }
+    return number;
+}
+
+/**
+ * Read rules stored on a playlist row
+ * @param {string|null} json - playlists.smart_rules
+ * @returns {Object|null} Normalized rules, or null when missing or unreadable
+ */
+export function parseSmartRules(json) {
+    if (!json) return null;
+    try {
+        return normalizeSmartRules(JSON.parse(json));
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Describe rules for embeds, one bullet per rule
+ * @param {Object} rules - Normalized rules
+ * @param {string} [locale] - Locale code
+ * @returns {string}
+ */
+export function describeSmartRules(rules, locale) {
+    // Favorites are always the owner's (see normalizeSmartRules), so there is one line per source and scope
+    const lines = [t(`smart_playlist.rule_source_${rules.source}_${rules.scope}`, locale)];
+
+    if (rules.period !== 'all' || rules.source === SMART_SOURCES.HISTORY) {
+        lines.push(
+            t('smart_playlist.rule_period', locale, { period: t(`smart_playlist.period_${rules.period}`, locale) })
+        );
+    }
+    if (rules.artist) {
+        lines.push(t('smart_playlist.rule_artist', locale, { artist: rules.artist }));
+    }
+    if (rules.minPlays) {
+        lines.push(t('smart_playlist.rule_min_plays', locale, { count: rules.minPlays }));
+    }
+    if (rules.notPlayedDays) {
+        lines.push(t('smart_playlist.rule_not_played', locale, { days: rules.notPlayedDays }));
+    }
+    lines.push(
+        t('smart_playlist.rule_sort', locale, {
+            sort: t(`smart_playlist.sort_${rules.sort}`, locale),
+            limit: rules.limit
+        })
+    );
+
+    return lines.join('\n');
+}
+
+export default {
+    SMART_SOURCES,
+    SMART_SCOPES,
+    SMART_SORTS,
+    SMART_PERIODS,
+    normalizeSmartRules,
+    parseSmartRules,
+    describeSmartRules
+};
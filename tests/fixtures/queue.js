@@ -0,0 +1,52 @@
+/**
+ * Shared EnhancedQueue fixtures for unit tests
+ */
+
+import { jest, beforeEach, afterEach } from '@jest/globals';
+import { EnhancedQueue } from '../../src/music/EnhancedQueue.js';
+
+/**
+ * Run each test under fake timers so the debounced snapshot writes that queue
+ * changes schedule are dropped instead of reaching the database
+ */
+export function useQueueTimers() {
+    beforeEach(() => {
+        jest.useFakeTimers({ now: 10000 });
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+}
+
+/**
+ * Queue with no player, text channel or client attached
+ * @param {Object} [options] - EnhancedQueue options (fairShare, requestLimits, ...)
+ * @param {string} [guildId]
+ * @returns {EnhancedQueue}
+ */
+export function createQueue(options = {}, guildId = 'guild-test') {
+    return new EnhancedQueue({ config: { music: {} } }, guildId, 'voice', null, options);
+}
+
+/**
+ * Minimal Lavalink track
+ * @param {string} title - Also used as the encoded data and URI
+ * @param {string|null} [requester] - Requester user ID
+ * @param {Object} [info] - Extra track info (length, isStream, ...)
+ * @returns {Object}
+ */
+export function track(title, requester = null, info = {}) {
+    return {
+        encoded: title,
+        requester,
+        info: { title, uri: `https://a.test/${title}`, length: 180000, ...info }
+    };
+}
+
+/**
+ * Titles of the queued tracks, in order
+ * @param {EnhancedQueue} queue
+ * @returns {string[]}
+ */
+export const titles = queue => queue.tracks.map(item => item.info.title);
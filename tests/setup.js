@@ -0,0 +1,8 @@
+/**
+ * Jest setup - runs before each test file
+ * Keeps tests off the real database and quiet in the console
+ */
+
+process.env.NODE_ENV = 'test';
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+process.env.DATABASE_PATH = ':memory:';
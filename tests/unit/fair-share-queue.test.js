@@ -0,0 +1,84 @@
+/**
+ * Fair share queue ordering tests
+ */
+
+import { describe, it, expect } from '@jest/globals';
+import { createQueue, track, titles, useQueueTimers } from '../fixtures/queue.js';
+
+const request = (...names) => names.map(name => track(name, name[0]));
+
+describe('EnhancedQueue.add with fair share', () => {
+    useQueueTimers();
+
+    it('slots a new requester in before the second round', () => {
+        const queue = createQueue({ fairShare: true, fairShareCap: 1 });
+        queue.add(request('A1', 'A2', 'A3'));
+
+        expect(queue.add(request('B1'))).toMatchObject({ added: 1, index: 1, interleaved: true });
+        expect(titles(queue)).toEqual(['A1', 'B1', 'A2', 'A3']);
+    });
+
+    it('interleaves a batch round by round, keeping request order', () => {
+        const queue = createQueue({ fairShare: true, fairShareCap: 1 });
+        queue.add(request('A1', 'A2', 'A3'));
+        queue.add(request('B1', 'B2', 'B3', 'B4'));
+
+        expect(titles(queue)).toEqual(['A1', 'B1', 'A2', 'B2', 'A3', 'B3', 'B4']);
+    });
+
+    it('gives each requester fairShareCap tracks per round', () => {
+        const queue = createQueue({ fairShare: true, fairShareCap: 2 });
+        queue.add(request('A1', 'A2', 'A3', 'A4'));
+        queue.add(request('B1', 'B2', 'B3'));
+
+        expect(titles(queue)).toEqual(['A1', 'A2', 'B1', 'B2', 'A3', 'A4', 'B3']);
+    });
+
+    it("counts the playing track toward its requester's first round", () => {
+        const queue = createQueue({ fairShare: true, fairShareCap: 1 });
+        queue.current = track('B0', 'B');
+        queue.add(request('A1', 'A2'));
+        const result = queue.add(request('B1'));
+
+        expect(titles(queue)).toEqual(['A1', 'A2', 'B1']);
+        expect(result.interleaved).toBeUndefined();
+    });
+
+    it('does not flag an explicit position as interleaved', () => {
+        const queue = createQueue({ fairShare: true, fairShareCap: 1 });
+        queue.add(request('A1', 'A2', 'A3'));
+        const result = queue.add(request('B1'), { position: 0 });
+
+        expect(titles(queue)).toEqual(['B1', 'A1', 'A2', 'A3']);
+        expect(result.index).toBe(0);
+        expect(result.interleaved).toBeUndefined();
+    });
+
+    it('keeps tracks without a requester in their own share', () => {
+        const queue = createQueue({ fairShare: true, fairShareCap: 1 });
+        queue.add(request('A1', 'A2'));
+        queue.add(track('auto'));
+
+        expect(titles(queue)).toEqual(['A1', 'auto', 'A2']);
+    });
+
+    it('appends in request order when fair share is off', () => {
+        const queue = createQueue({ fairShareCap: 1 });
+        queue.add(request('A1', 'A2'));
+        queue.add(request('B1'));
+
+        expect(titles(queue)).toEqual(['A1', 'A2', 'B1']);
+    });
+});
+
+describe('EnhancedQueue.setFairShare', () => {
+    useQueueTimers();
+
+    it('rebalances the existing queue when turned on', () => {
+        const queue = createQueue({ fairShareCap: 1 });
+        queue.add(request('A1', 'A2', 'B1', 'C1'));
+        queue.setFairShare(true);
+
+        expect(titles(queue)).toEqual(['A1', 'B1', 'C1', 'A2']);
+    });
+});
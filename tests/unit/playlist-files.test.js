@@ -0,0 +1,144 @@
+/**
+ * Playlist file parsing tests
+ */
+
+import { describe, it, expect } from '@jest/globals';
+import { parsePlaylistFile, parseExtinf, getEntryQuery, serializePlaylist } from '../../src/utils/playlist-files.js';
+import { PlaylistFileError } from '../../src/utils/errors.js';
+
+describe('parseExtinf', () => {
+    it('splits "Artist - Title" on the first dash', () => {
+        expect(parseExtinf('215,Queen - Bohemian Rhapsody - Remastered 2011')).toEqual({
+            title: 'Bohemian Rhapsody - Remastered 2011',
+            author: 'Queen',
+            duration: 215000
+        });
+    });
+
+    it('prefers tvg-artist, even when the artist contains a dash', () => {
+        expect(parseExtinf('180 tvg-artist="A-ha, Live",A-ha, Live - Take On Me')).toEqual({
+            title: 'Take On Me',
+            author: 'A-ha, Live',
+            duration: 180000
+        });
+    });
+
+    it('treats unknown durations as 0', () => {
+        expect(parseExtinf('-1,Just A Title')).toEqual({
+            title: 'Just A Title',
+            author: null,
+            duration: 0
+        });
+    });
+});
+
+describe('parsePlaylistFile', () => {
+    it('reads Miyao JSON exports', () => {
+        const content = JSON.stringify({
+            format: 'miyao-playlist',
+            playlist: { name: 'Chill', description: 'Evening' },
+            tracks: [
+                {
+                    title: 'Song',
+                    author: 'Artist',
+                    url: 'https://youtu.be/abc',
+                    duration: 1000
+                }
+            ]
+        });
+
+        expect(parsePlaylistFile(content, 'chill.json')).toEqual({
+            name: 'Chill',
+            description: 'Evening',
+            entries: [
+                {
+                    title: 'Song',
+                    author: 'Artist',
+                    url: 'https://youtu.be/abc',
+                    duration: 1000
+                }
+            ]
+        });
+    });
+
+    it('reads M3U files, keeping local files as title searches', () => {
+        const content = [
+            '#EXTM3U',
+            '#PLAYLIST:Road Trip',
+            '#EXTINF:200,Artist - Song',
+            'https://example.com/song.mp3',
+            'C:\\Music\\Other Song.flac'
+        ].join('\r\n');
+
+        const parsed = parsePlaylistFile(content, 'trip.m3u8');
+        expect(parsed.name).toBe('Road Trip');
+        expect(parsed.entries).toEqual([
+            {
+                title: 'Song',
+                author: 'Artist',
+                url: 'https://example.com/song.mp3',
+                duration: 200000
+            },
+            { title: 'Other Song', author: null, url: null, duration: 0 }
+        ]);
+    });
+
+    it('reads CSV files with quoted fields and header aliases', () => {
+        const content =
+            'Track Name,Artist Name(s),Spotify URI,Duration (ms)\n"Hello, World","A ""B""",spotify:track:123,1500\n';
+
+        expect(parsePlaylistFile(content, 'export.csv').entries).toEqual([
+            {
+                title: 'Hello, World',
+                author: 'A "B"',
+                url: 'https://open.spotify.com/track/123',
+                duration: 1500
+            }
+        ]);
+    });
+
+    it('round-trips its own exports', () => {
+        const playlist = { name: 'Mix' };
+        const tracks = [
+            {
+                track_title: 'One',
+                track_author: 'First - Artist',
+                track_url: 'https://a.test/1',
+                track_duration: 61000
+            },
+            {
+                track_title: 'Two, "quoted"',
+                track_author: null,
+                track_url: 'https://a.test/2',
+                track_duration: 0
+            }
+        ];
+
+        for (const format of ['json', 'm3u8', 'csv']) {
+            const { entries } = parsePlaylistFile(serializePlaylist(playlist, tracks, format), `mix.${format}`);
+            expect(entries.map(entry => [entry.title, entry.author, entry.url])).toEqual([
+                ['One', 'First - Artist', 'https://a.test/1'],
+                ['Two, "quoted"', null, 'https://a.test/2']
+            ]);
+        }
+    });
+
+    it.each([
+        ['unsupported', 'notes.txt', 'hello'],
+        ['invalid_json', 'broken.json', '{ nope'],
+        ['json_no_tracks', 'object.json', '{"name":"x"}'],
+        ['empty', 'empty.m3u', '#EXTM3U\n'],
+        ['csv_columns', 'columns.csv', 'foo,bar\n1,2\n']
+    ])('rejects with reason %s', (reason, fileName, content) => {
+        expect(() => parsePlaylistFile(content, fileName)).toThrow(PlaylistFileError);
+        expect(() => parsePlaylistFile(content, fileName)).toThrow(expect.objectContaining({ reason }));
+    });
+});
+
+describe('getEntryQuery', () => {
+    it('uses the URL first, then "author title"', () => {
+        expect(getEntryQuery({ url: 'https://a.test', title: 'T' })).toBe('https://a.test');
+        expect(getEntryQuery({ url: null, title: 'T', author: 'A' })).toBe('A T');
+        expect(getEntryQuery({ url: null, title: null })).toBeNull();
+    });
+});
@@ -0,0 +1,115 @@
+/**
+ * Queue undo journal tests
+ */
+
+import { describe, it, expect, jest } from '@jest/globals';
+import { QUEUE_UNDO, UNDO_ACTIONS } from '../../src/utils/constants.js';
+import { createQueue, track, titles, useQueueTimers } from '../fixtures/queue.js';
+
+function queueOf(names = ['one', 'two', 'three']) {
+    const queue = createQueue({}, 'guild-undo');
+    queue.add(names.map(name => track(name)));
+    return queue;
+}
+
+describe('EnhancedQueue.undo', () => {
+    useQueueTimers();
+
+    it('returns null when there is nothing to undo', async () => {
+        const queue = queueOf();
+
+        expect(queue.peekUndo()).toBeNull();
+        await expect(queue.undo()).resolves.toBeNull();
+    });
+
+    it('brings back a cleared queue', async () => {
+        const queue = queueOf();
+        queue.clear('u1');
+
+        expect(queue.peekUndo()).toMatchObject({ action: UNDO_ACTIONS.CLEAR, userId: 'u1', count: 3 });
+        const result = await queue.undo();
+        expect(result.restored).toBe(3);
+        expect(titles(queue)).toEqual(['one', 'two', 'three']);
+        expect(queue.peekUndo()).toBeNull();
+    });
+
+    it('reverts remove, move and shuffle, newest first', async () => {
+        const queue = queueOf(['a', 'b', 'c', 'd']);
+        queue.remove(0);
+        queue.move(0, 2);
+        queue.shuffle();
+
+        await queue.undo();
+        expect(titles(queue)).toEqual(['c', 'd', 'b']);
+        await queue.undo();
+        expect(titles(queue)).toEqual(['b', 'c', 'd']);
+        await queue.undo();
+        expect(titles(queue)).toEqual(['a', 'b', 'c', 'd']);
+    });
+
+    it('brings back tracks removed as duplicates', async () => {
+        const queue = queueOf(['a', 'b']);
+        queue.add(track('a'), { skipDuplicateCheck: true });
+        queue.removeDuplicatesFromQueue();
+
+        expect(titles(queue)).toEqual(['a', 'b']);
+        await queue.undo();
+        expect(titles(queue)).toEqual(['a', 'b', 'a']);
+    });
+
+    it('keeps tracks added since the change after the restored ones', async () => {
+        const queue = queueOf(['a', 'b']);
+        queue.clear();
+        queue.add(track('new'));
+        await queue.undo();
+
+        expect(titles(queue)).toEqual(['a', 'b', 'new']);
+    });
+
+    it('only undoes the expected entry when an id is given', async () => {
+        const queue = queueOf();
+        queue.clear();
+        const { id } = queue.peekUndo();
+        queue.add(track('new'));
+        queue.remove(0);
+
+        await expect(queue.undo(id)).resolves.toBeNull();
+        expect(titles(queue)).toEqual([]);
+    });
+
+    it('remembers at most QUEUE_UNDO.MAX_ENTRIES changes', () => {
+        const queue = queueOf();
+        for (let i = 0; i < QUEUE_UNDO.MAX_ENTRIES + 3; i++) queue.move(0, 1);
+
+        expect(queue.undoJournal).toHaveLength(QUEUE_UNDO.MAX_ENTRIES);
+        expect(queue.undoJournal[0].id).toBe(4);
+    });
+
+    it('does not record changes that do nothing', () => {
+        const queue = queueOf([]);
+        queue.clear();
+        queue.shuffle();
+        queue.remove(5);
+
+        expect(queue.undoJournal).toHaveLength(0);
+    });
+
+    it('undoes a jump by resuming the interrupted track', async () => {
+        const queue = queueOf(['a', 'b', 'c']);
+        const play = jest.spyOn(queue, 'play').mockImplementation(async next => {
+            queue.current = next;
+        });
+        const interrupted = track('playing');
+        queue.current = interrupted;
+        queue.player = { position: 42000 };
+
+        await queue.jump(3);
+        expect(queue.current.info.title).toBe('c');
+        expect(titles(queue)).toEqual(['a', 'b']);
+
+        await queue.undo();
+        expect(play).toHaveBeenLastCalledWith(interrupted);
+        expect(interrupted._resumePosition).toBe(42000);
+        expect(titles(queue)).toEqual(['a', 'b', 'c']);
+    });
+});
@@ -0,0 +1,111 @@
+/**
+ * Per-member request limit tests
+ */
+
+import { describe, it, expect, jest, afterEach } from '@jest/globals';
+import { TrackRequestLimiter, trackRequestLimiter } from '../../src/utils/rate-limiter.js';
+import { createQueue, track, titles, useQueueTimers } from '../fixtures/queue.js';
+
+const NO_LIMITS = { maxTracksPerUser: 0, maxTrackDuration: 0, maxRequestsPerHour: 0, blockLivestreams: false };
+
+const limitedQueue = (guildId, requestLimits) =>
+    createQueue({ requestLimits: { ...NO_LIMITS, ...requestLimits } }, guildId);
+
+describe('EnhancedQueue.add with request limits', () => {
+    useQueueTimers();
+
+    it('adds everything when no limit is hit', () => {
+        const queue = limitedQueue('guild-limits-none', {});
+        const result = queue.add([track('one', 'u1'), track('two', 'u2')]);
+
+        expect(result).toMatchObject({ added: 2, skipped: 0 });
+        expect(result.limited).toBeUndefined();
+    });
+
+    it('drops livestreams and tracks over the length limit', () => {
+        const queue = limitedQueue('guild-limits-length', { maxTrackDuration: 600, blockLivestreams: true });
+        const result = queue.add([
+            track('short', 'u1'),
+            track('long', 'u1', { length: 601000 }),
+            track('live', 'u1', { isStream: true, length: 0 })
+        ]);
+
+        expect(titles(queue)).toEqual(['short']);
+        expect(result.skipped).toBe(2);
+        expect(result.limited).toMatchObject({ livestream: 1, duration: 1, perUser: 0, hourly: 0 });
+    });
+
+    it('counts tracks already queued toward the per-member limit', () => {
+        const queue = limitedQueue('guild-limits-per-user', { maxTracksPerUser: 2 });
+        queue.add(track('queued', 'u1'));
+        const result = queue.add([track('a', 'u1'), track('b', 'u1'), track('c', 'u2')]);
+
+        expect(titles(queue)).toEqual(['queued', 'a', 'c']);
+        expect(result.limited.perUser).toBe(1);
+    });
+
+    it('reports REQUEST_LIMIT when every track was dropped', () => {
+        const queue = limitedQueue('guild-limits-all', { maxTracksPerUser: 1 });
+        queue.add(track('queued', 'u1'));
+
+        expect(queue.add(track('more', 'u1'))).toMatchObject({ added: 0, error: 'REQUEST_LIMIT' });
+    });
+
+    it('does not apply per-member limits to tracks without a requester', () => {
+        const queue = limitedQueue('guild-limits-autoplay', { maxTracksPerUser: 1, maxRequestsPerHour: 1 });
+        const result = queue.add([track('auto-1'), track('auto-2')]);
+
+        expect(result.added).toBe(2);
+        expect(result.limited).toBeUndefined();
+    });
+
+    it('enforces the hourly limit across requests', () => {
+        const guildId = 'guild-limits-hourly';
+        const queue = limitedQueue(guildId, { maxRequestsPerHour: 3 });
+        trackRequestLimiter.record(guildId, 'u1', 1);
+        queue.add(track('first', 'u1'));
+        const result = queue.add([track('a', 'u1'), track('b', 'u1'), track('c', 'u2')]);
+
+        expect(titles(queue)).toEqual(['first', 'a', 'c']);
+        expect(result.limited.hourly).toBe(1);
+        expect(result.limited.hourlyResetIn).toBeGreaterThan(0);
+    });
+});
+
+describe('TrackRequestLimiter', () => {
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+
+    it('forgets requests once they leave the window', () => {
+        jest.useFakeTimers({ now: 10000 });
+        const limiter = new TrackRequestLimiter(1000);
+
+        limiter.record('g', 'u', 2);
+        jest.setSystemTime(10400);
+        limiter.record('g', 'u');
+        expect(limiter.count('g', 'u')).toBe(3);
+        expect(limiter.resetIn('g', 'u')).toBe(600);
+
+        jest.setSystemTime(11000);
+        expect(limiter.count('g', 'u')).toBe(1);
+        expect(limiter.resetIn('g', 'u')).toBe(400);
+
+        jest.setSystemTime(11400);
+        expect(limiter.count('g', 'u')).toBe(0);
+        expect(limiter.resetIn('g', 'u')).toBe(0);
+
+        limiter.destroy();
+    });
+
+    it('keeps members and guilds apart', () => {
+        const limiter = new TrackRequestLimiter(1000);
+        limiter.record('g1', 'u');
+
+        expect(limiter.count('g1', 'u')).toBe(1);
+        expect(limiter.count('g2', 'u')).toBe(0);
+        expect(limiter.count('g1', 'other')).toBe(0);
+
+        limiter.destroy();
+    });
+});
@@ -0,0 +1,78 @@
+/**
+ * Smart playlist rule validation tests
+ */
+
+import { describe, it, expect } from '@jest/globals';
+import { normalizeSmartRules, parseSmartRules, describeSmartRules } from '../../src/utils/smart-playlists.js';
+import { SMART_PLAYLISTS } from '../../src/utils/constants.js';
+import { SmartPlaylistError } from '../../src/utils/errors.js';
+
+describe('normalizeSmartRules', () => {
+    it('fills in defaults', () => {
+        expect(normalizeSmartRules()).toEqual({
+            source: 'history',
+            scope: 'owner',
+            period: 'all',
+            artist: null,
+            minPlays: null,
+            notPlayedDays: null,
+            sort: 'plays',
+            limit: SMART_PLAYLISTS.DEFAULT_TRACKS
+        });
+    });
+
+    it('keeps valid values and trims the artist', () => {
+        const rules = normalizeSmartRules({
+            source: 'history',
+            scope: 'server',
+            period: 'month',
+            artist: '  Adele ',
+            minPlays: '3',
+            notPlayedDays: 30,
+            sort: 'recent',
+            limit: 20
+        });
+
+        expect(rules).toMatchObject({ scope: 'server', period: 'month', artist: 'Adele', minPlays: 3, limit: 20 });
+    });
+
+    it.each([
+        ['source', { source: 'radio' }],
+        ['scope', { scope: 'everyone' }],
+        ['period', { period: 'decade' }],
+        ['sort', { sort: 'alphabetical' }],
+        ['favorites_scope', { source: 'favorites', scope: 'server' }],
+        ['artist_length', { artist: 'a'.repeat(101) }],
+        ['range', { limit: SMART_PLAYLISTS.MAX_TRACKS + 1 }],
+        ['range', { minPlays: 0 }],
+        ['range', { notPlayedDays: 1.5 }]
+    ])('rejects %s: %j', (reason, input) => {
+        expect(() => normalizeSmartRules(input)).toThrow(SmartPlaylistError);
+        expect(() => normalizeSmartRules(input)).toThrow(expect.objectContaining({ reason }));
+    });
+});
+
+describe('parseSmartRules', () => {
+    it('reads stored rules', () => {
+        expect(parseSmartRules('{"source":"favorites","limit":10}')).toMatchObject({
+            source: 'favorites',
+            scope: 'owner',
+            limit: 10
+        });
+    });
+
+    it('returns null for missing or unreadable rules', () => {
+        expect(parseSmartRules(null)).toBeNull();
+        expect(parseSmartRules('{ nope')).toBeNull();
+        expect(parseSmartRules('{"sort":"alphabetical"}')).toBeNull();
+    });
+});
+
+describe('describeSmartRules', () => {
+    it('has one line per rule that is set', () => {
+        const lines = describeSmartRules(normalizeSmartRules({ artist: 'Adele', minPlays: 2 }), 'en').split('\n');
+
+        expect(lines).toHaveLength(5);
+        expect(lines.join('\n')).toContain('Adele');
+    });
+});